@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import connectDB from '../src/config/database.js';
+import Cart from '../src/models/Cart.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment variables
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+/**
+ * Replace the unique index on Cart.user from before guest carts with the
+ * partial one, so carts without a user (guest sessions) stop colliding.
+ * Safe to run repeatedly.
+ */
+async function migrateCartIndexes() {
+  try {
+    console.log('🔌 Connecting to MongoDB...');
+    await connectDB();
+    console.log('✅ Connected to MongoDB');
+
+    console.log('🛒 Updating cart indexes...');
+
+    const indexes = await Cart.collection.indexes();
+    const userIndex = indexes.find((index) => index.name === 'user_1');
+
+    // Index options can't be changed in place, so drop the old one first
+    if (userIndex && !userIndex.partialFilterExpression) {
+      await Cart.collection.dropIndex('user_1');
+      console.log('   Dropped non-partial index: user_1');
+    }
+
+    // Builds the partial user and sessionId indexes declared on the schema
+    await Cart.createIndexes();
+
+    console.log('✅ Cart indexes migrated successfully!');
+
+    await mongoose.disconnect();
+    console.log('\n✅ Disconnected from MongoDB');
+  } catch (error) {
+    console.error('❌ Error migrating cart indexes:', error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+// Run the script
+migrateCartIndexes();
@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import connectDB from '../src/config/database.js';
+import Order from '../src/models/Order.js';
+import { FULFILLMENT_STATUS, ORDER_STATUS } from '../src/config/constants.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment variables
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+/**
+ * Move tracking stored on Order.shipping (orders shipped before split
+ * shipments) into a single fulfillment covering every item.
+ * Safe to run repeatedly.
+ */
+async function migrateFulfillments() {
+  try {
+    console.log('🔌 Connecting to MongoDB...');
+    await connectDB();
+    console.log('✅ Connected to MongoDB');
+
+    console.log('📦 Moving order tracking into fulfillments...');
+
+    // The old fields are no longer in the schema, so read them raw
+    const orders = await Order.collection
+      .find({
+        'shipping.trackingNumber': { $exists: true, $nin: [null, ''] },
+        'fulfillments.0': { $exists: false },
+      })
+      .toArray();
+
+    for (const order of orders) {
+      const delivered = order.status === ORDER_STATUS.DELIVERED;
+
+      await Order.collection.updateOne(
+        { _id: order._id },
+        {
+          $set: {
+            fulfillments: [
+              {
+                _id: new mongoose.Types.ObjectId(),
+                items: order.items.map((item) => ({ item: item._id, quantity: item.quantity })),
+                carrier: order.shipping.carrier,
+                trackingNumber: order.shipping.trackingNumber,
+                labelUrl: order.shipping.labelUrl,
+                status: delivered ? FULFILLMENT_STATUS.DELIVERED : FULFILLMENT_STATUS.SHIPPED,
+                trackingEvents: order.shipping.trackingEvents || [],
+                lastTrackedAt: order.shipping.lastTrackedAt,
+                shippedAt: order.shippedAt || order.updatedAt,
+                deliveredAt: delivered ? order.deliveredAt : undefined,
+              },
+            ],
+          },
+          $unset: {
+            'shipping.carrier': '',
+            'shipping.trackingNumber': '',
+            'shipping.labelUrl': '',
+            'shipping.trackingEvents': '',
+            'shipping.lastTrackedAt': '',
+          },
+        },
+        { ignoreUndefined: true }
+      );
+    }
+
+    console.log('✅ Fulfillments migrated successfully!');
+    console.log(`   Orders migrated: ${orders.length}`);
+
+    await mongoose.disconnect();
+    console.log('\n✅ Disconnected from MongoDB');
+  } catch (error) {
+    console.error('❌ Error migrating fulfillments:', error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+// Run the script
+migrateFulfillments();
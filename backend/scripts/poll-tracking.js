@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import connectDB from '../src/config/database.js';
+import trackingService from '../src/services/carrier/tracking.service.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment variables
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+/**
+ * Fetch new tracking events for every package still on its way.
+ * Meant to run on a schedule (e.g. cron every 30 minutes) for carriers that
+ * do not send webhooks. Safe to run repeatedly.
+ */
+async function pollTracking() {
+  try {
+    console.log('🔌 Connecting to MongoDB...');
+    await connectDB();
+    console.log('✅ Connected to MongoDB');
+
+    console.log('🚚 Polling carriers for tracking updates...');
+    const result = await trackingService.pollActiveShipments();
+
+    console.log('✅ Tracking poll finished');
+    console.log(`   Packages polled: ${result.polled}`);
+    console.log(`   Packages with new events: ${result.updated}`);
+    console.log(`   Failed: ${result.failed}`);
+
+    await mongoose.disconnect();
+    console.log('\n✅ Disconnected from MongoDB');
+  } catch (error) {
+    console.error('❌ Error polling tracking:', error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+// Run the script
+pollTracking();
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import connectDB from '../src/config/database.js';
+import Review from '../src/models/Review.js';
+import '../src/models/Product.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment variables
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+/**
+ * Rebuild Product.ratings (average, count, breakdown) for all products
+ * from approved reviews. Safe to run repeatedly.
+ */
+async function rebuildProductRatings() {
+  try {
+    console.log('🔌 Connecting to MongoDB...');
+    await connectDB();
+    console.log('✅ Connected to MongoDB');
+
+    console.log('⭐ Rebuilding product ratings from reviews...');
+    const result = await Review.rebuildAllProductRatings();
+
+    console.log('✅ Product ratings rebuilt successfully!');
+    console.log(`   Products with approved reviews: ${result.productsWithReviews}`);
+    console.log(`   Products reset to zero: ${result.productsReset}`);
+
+    await mongoose.disconnect();
+    console.log('\n✅ Disconnected from MongoDB');
+  } catch (error) {
+    console.error('❌ Error rebuilding product ratings:', error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+// Run the script
+rebuildProductRatings();
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import connectDB from '../src/config/database.js';
+import ShippingZone from '../src/models/ShippingZone.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment variables
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+// Starter zone: the flat standard/express rates checkout used before zones existed
+const starterZone = {
+  name: 'Everywhere',
+  countries: [],
+  sortOrder: 100,
+  methods: [
+    {
+      code: 'standard',
+      name: 'Standard shipping',
+      deliveryEstimate: '5-7 business days',
+      rateType: 'flat',
+      cost: 10,
+    },
+    {
+      code: 'express',
+      name: 'Express shipping',
+      deliveryEstimate: '1-2 business days',
+      rateType: 'flat',
+      cost: 25,
+    },
+  ],
+};
+
+/**
+ * Create a starter shipping zone so checkout can offer rates.
+ * Does nothing if any zone already exists.
+ */
+async function seedShippingZones() {
+  try {
+    console.log('🔌 Connecting to MongoDB...');
+    await connectDB();
+    console.log('✅ Connected to MongoDB');
+
+    const existing = await ShippingZone.countDocuments();
+    if (existing > 0) {
+      console.log(`ℹ️  ${existing} shipping zone(s) already configured, nothing to do`);
+    } else {
+      const zone = await ShippingZone.create(starterZone);
+      console.log(`✅ Created shipping zone "${zone.name}" with ${zone.methods.length} methods`);
+    }
+
+    await mongoose.disconnect();
+    console.log('\n✅ Disconnected from MongoDB');
+  } catch (error) {
+    console.error('❌ Error seeding shipping zones:', error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+// Run the script
+seedShippingZones();
@@ -5,7 +5,13 @@ import cookieParser from 'cookie-parser';
 import routes from './routes/index.js';
 import { errorHandler, notFoundHandler, initializeErrorHandlers } from './middleware/error-handler.middleware.js';
 import { sanitizeMongo } from './middleware/security.middleware.js';
-import { apiLimiter, authLimiter } from './middleware/rate-limit.middleware.js';
+import {
+  apiLimiter,
+  authLimiter,
+  emailVerificationLimiter,
+  dataExportLimiter,
+  passwordResetLimiter,
+} from './middleware/rate-limit.middleware.js';
 import logger from './config/logging.config.js';
 import errorTrackingService from './services/error-tracking.service.js';
 import { requestLogger } from './middleware/request-logger.middleware.js';
@@ -77,7 +83,7 @@ app.use((req, res, next) => {
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Cookie parser with security options
-app.use(cookieParser());
+app.use(cookieParser(config.cookies.secret));
 
 // NoSQL injection prevention - MUST be before routes
 app.use(sanitizeMongo);
@@ -88,6 +94,13 @@ app.use('/api/', apiLimiter);
 // Stricter rate limiting for auth routes
 app.use('/api/v1/auth/login', authLimiter);
 app.use('/api/v1/auth/register', authLimiter);
+app.use('/api/v1/auth/resend-verification', emailVerificationLimiter);
+app.use('/api/v1/auth/me/export', dataExportLimiter);
+app.use('/api/v1/auth/forgot-password', authLimiter);
+app.use('/api/v1/auth/reset-password', authLimiter);
+// authLimiter skips successful requests and forgot-password always succeeds,
+// so also cap how many reset emails one IP can trigger
+app.use('/api/v1/auth/forgot-password', passwordResetLimiter);
 
 // API routes
 app.use(`/api/${config.server.apiVersion}`, routes);
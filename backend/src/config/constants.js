@@ -1,12 +1,15 @@
 export const USER_ROLES = {
   ADMIN: 'admin',
+  STAFF: 'staff',
   CUSTOMER: 'customer',
 };
 
 export const ORDER_STATUS = {
   PENDING: 'pending',
   PROCESSING: 'processing',
+  PARTIALLY_SHIPPED: 'partially_shipped',
   SHIPPED: 'shipped',
+  PARTIALLY_DELIVERED: 'partially_delivered',
   DELIVERED: 'delivered',
   CANCELLED: 'cancelled',
 };
@@ -15,6 +18,7 @@ export const PAYMENT_STATUS = {
   PENDING: 'pending',
   PAID: 'paid',
   FAILED: 'failed',
+  PARTIALLY_REFUNDED: 'partially_refunded',
   REFUNDED: 'refunded',
   CANCELLED: 'cancelled',
 };
@@ -23,6 +27,87 @@ export const PAYMENT_METHODS = {
   STRIPE: 'stripe',
   PAYPAL: 'paypal',
   PAYHERE: 'payhere',
+  GIFT_CARD: 'gift_card', // Order fully covered by gift cards
+};
+
+export const LOYALTY_TRANSACTION_TYPES = {
+  EARN: 'earn',
+  REDEEM: 'redeem',
+  CLAWBACK: 'clawback',
+  RESTORE: 'restore',
+  EXPIRE: 'expire',
+  ADJUST: 'adjust',
+};
+
+// Product tax classes; each tax rate applies to one class
+export const TAX_CLASSES = {
+  STANDARD: 'standard',
+  REDUCED: 'reduced',
+  EXEMPT: 'exempt', // Never taxed
+};
+
+// How a shipping method prices a package
+export const SHIPPING_RATE_TYPES = {
+  FLAT: 'flat',
+  WEIGHT: 'weight', // Tiered by total weight
+  PRICE: 'price', // Tiered by merchandise total
+  DIMENSIONAL: 'dimensional', // Tiered by the greater of actual and volumetric weight
+};
+
+// Carriers with an adapter in services/carrier
+export const CARRIERS = {
+  MANUAL: 'manual', // Built in: staff or a local courier report events
+};
+
+// Tracking event statuses, normalised across carriers
+export const TRACKING_STATUS = {
+  LABEL_CREATED: 'label_created',
+  IN_TRANSIT: 'in_transit',
+  OUT_FOR_DELIVERY: 'out_for_delivery',
+  DELIVERED: 'delivered',
+  EXCEPTION: 'exception', // Delay, failed attempt, damage
+  RETURNED: 'returned', // Returned to sender
+};
+
+// Status of one package of an order
+export const FULFILLMENT_STATUS = {
+  SHIPPED: 'shipped',
+  DELIVERED: 'delivered',
+};
+
+// Return (RMA) lifecycle: requested -> approved -> received -> refunded, or rejected
+export const RETURN_STATUS = {
+  REQUESTED: 'requested',
+  APPROVED: 'approved',
+  RECEIVED: 'received',
+  REFUNDED: 'refunded',
+  REJECTED: 'rejected',
+};
+
+// Why the customer is sending an item back
+export const RETURN_REASONS = {
+  DAMAGED: 'damaged',
+  DEFECTIVE: 'defective',
+  WRONG_ITEM: 'wrong_item',
+  NOT_AS_DESCRIBED: 'not_as_described',
+  NO_LONGER_NEEDED: 'no_longer_needed',
+  OTHER: 'other',
+};
+
+// What happens to a returned item once it arrives
+export const RETURN_DISPOSITIONS = {
+  RESTOCK: 'restock',
+  WRITE_OFF: 'write_off',
+};
+
+// Lines of the checkout price breakdown stored on each order
+export const PRICE_LINE_TYPES = {
+  SUBTOTAL: 'subtotal',
+  COUPON: 'coupon',
+  LOYALTY: 'loyalty',
+  SHIPPING: 'shipping',
+  TAX: 'tax',
+  GIFT_CARD: 'gift_card',
 };
 
 export const HTTP_STATUS = {
@@ -34,6 +119,7 @@ export const HTTP_STATUS = {
   NOT_FOUND: 404,
   CONFLICT: 409,
   UNPROCESSABLE_ENTITY: 422,
+  TOO_MANY_REQUESTS: 429,
   INTERNAL_SERVER_ERROR: 500,
 };
 
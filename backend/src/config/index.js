@@ -113,6 +113,9 @@ const config = {
     sameSite: process.env.COOKIE_SAME_SITE || (NODE_ENV === 'production' ? 'none' : 'lax'),
     httpOnly: true,
     maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
+    // Signs the guest session cookie
+    secret: process.env.COOKIE_SECRET || process.env.JWT_SECRET || 'change-this-in-production',
+    guestSessionMaxAge: 30 * 24 * 60 * 60 * 1000, // 30 days, same as cart expiry
   },
 
   // Stripe
@@ -122,6 +125,14 @@ const config = {
     apiVersion: process.env.STRIPE_API_VERSION || '2023-10-16',
   },
 
+  // Shipping carriers
+  carriers: {
+    manual: {
+      // Shared secret a local courier sends in the X-Webhook-Secret header
+      webhookSecret: process.env.MANUAL_CARRIER_WEBHOOK_SECRET || '',
+    },
+  },
+
   // Cloudinary
   cloudinary: {
     cloudName: process.env.CLOUDINARY_CLOUD_NAME || '',
@@ -153,6 +164,50 @@ const config = {
     passwordMaxLength: parseInt(process.env.PASSWORD_MAX_LENGTH || '128', 10),
   },
 
+  // Account verification and recovery
+  auth: {
+    emailVerificationExpiryHours: parseInt(process.env.EMAIL_VERIFICATION_EXPIRY_HOURS || '24', 10),
+    passwordResetExpiryMinutes: parseInt(process.env.PASSWORD_RESET_EXPIRY_MINUTES || '60', 10),
+    requireVerifiedEmailForCheckout: process.env.REQUIRE_VERIFIED_EMAIL_FOR_CHECKOUT === 'true',
+    twoFactor: {
+      issuer: process.env.TWO_FACTOR_ISSUER || 'E-Commerce',
+      requiredForAdmins: process.env.REQUIRE_ADMIN_2FA === 'true',
+    },
+    // Per-account lockout: after `threshold` consecutive failures the account is
+    // locked for baseMinutes, doubling with each further failure up to maxMinutes
+    lockout: {
+      threshold: parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD || '5', 10),
+      baseMinutes: parseInt(process.env.LOGIN_LOCKOUT_BASE_MINUTES || '1', 10),
+      maxMinutes: parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES || '60', 10),
+    },
+  },
+
+  // Mail
+  mail: {
+    transport: process.env.MAIL_TRANSPORT || 'console', // console | file
+    from: process.env.MAIL_FROM || 'E-Commerce <no-reply@example.com>',
+    outputDir: process.env.MAIL_OUTPUT_DIR || './tmp/mail', // Used by the file transport
+  },
+
+  // Checkout pricing
+  pricing: {
+    currency: process.env.CURRENCY || 'usd',
+    // Catalog prices are stored excluding tax; 'inclusive' shows them with tax added
+    priceDisplay: process.env.PRICE_DISPLAY === 'inclusive' ? 'inclusive' : 'exclusive',
+    // Where tax and shipping are estimated before the customer enters an address
+    baseAddress: {
+      country: process.env.STORE_COUNTRY || 'US',
+      state: process.env.STORE_STATE || '',
+      zipCode: process.env.STORE_ZIP || '',
+    },
+  },
+
+  // Returns
+  returns: {
+    // Days after delivery a customer can request a return
+    windowDays: parseInt(process.env.RETURN_WINDOW_DAYS || '30', 10),
+  },
+
   // File Upload
   upload: {
     maxFileSize: parseInt(process.env.MAX_FILE_SIZE || '5242880', 10), // 5MB
@@ -196,6 +251,8 @@ export const {
   rateLimit,
   logging,
   security,
+  auth,
+  mail,
   upload,
 } = config;
 
@@ -0,0 +1,180 @@
+/**
+ * Permissions Configuration
+ * Back-office permissions and the built-in staff roles
+ *
+ * Admins hold every permission. Staff accounts get the permissions of their
+ * assigned role; roles are stored in the database and editable by admins.
+ */
+
+export const PERMISSIONS = {
+  // Dashboard & Reporting
+  DASHBOARD_READ: 'dashboard:read',
+  ANALYTICS_READ: 'analytics:read',
+
+  // Orders
+  ORDERS_READ: 'orders:read',
+  ORDERS_FULFIL: 'orders:fulfil',
+  PAYMENTS_REFUND: 'payments:refund',
+  RETURNS_MANAGE: 'returns:manage',
+
+  // Catalog
+  PRODUCTS_WRITE: 'products:write',
+  INVENTORY_READ: 'inventory:read',
+  REVIEWS_MODERATE: 'reviews:moderate',
+
+  // Customers
+  CUSTOMERS_READ: 'customers:read',
+  CUSTOMERS_MANAGE: 'customers:manage',
+  SECURITY_READ: 'security:read',
+
+  // Marketing
+  COUPONS_MANAGE: 'coupons:manage',
+  GIFT_CARDS_MANAGE: 'gift_cards:manage',
+
+  // Settings
+  FEATURES_MANAGE: 'features:manage',
+  TAX_MANAGE: 'tax:manage',
+  SHIPPING_MANAGE: 'shipping:manage',
+};
+
+/**
+ * Permission Metadata
+ * Display names and grouping for the role editor
+ */
+export const PERMISSION_METADATA = {
+  [PERMISSIONS.DASHBOARD_READ]: {
+    name: 'View dashboard',
+    description: 'See the admin dashboard and headline stats',
+    category: 'reporting',
+  },
+  [PERMISSIONS.ANALYTICS_READ]: {
+    name: 'View analytics',
+    description: 'Revenue, top products and other analytics reports',
+    category: 'reporting',
+  },
+  [PERMISSIONS.ORDERS_READ]: {
+    name: 'View orders',
+    description: 'List and open any customer order',
+    category: 'orders',
+  },
+  [PERMISSIONS.ORDERS_FULFIL]: {
+    name: 'Fulfil orders',
+    description: 'Update order status and shipping, cancel orders',
+    category: 'orders',
+  },
+  [PERMISSIONS.PAYMENTS_REFUND]: {
+    name: 'Refund payments',
+    description: 'Issue refunds against paid orders',
+    category: 'orders',
+  },
+  [PERMISSIONS.RETURNS_MANAGE]: {
+    name: 'Manage returns',
+    description: 'Approve, reject and receive customer returns',
+    category: 'orders',
+  },
+  [PERMISSIONS.PRODUCTS_WRITE]: {
+    name: 'Edit catalog',
+    description: 'Create, edit and delete products, categories and images',
+    category: 'catalog',
+  },
+  [PERMISSIONS.INVENTORY_READ]: {
+    name: 'View inventory',
+    description: 'See stock levels and low-stock alerts',
+    category: 'catalog',
+  },
+  [PERMISSIONS.REVIEWS_MODERATE]: {
+    name: 'Moderate reviews',
+    description: 'Approve, reject, reply to and delete reviews',
+    category: 'catalog',
+  },
+  [PERMISSIONS.CUSTOMERS_READ]: {
+    name: 'View customers',
+    description: 'Search customers and view their profile and order history',
+    category: 'customers',
+  },
+  [PERMISSIONS.CUSTOMERS_MANAGE]: {
+    name: 'Manage customers',
+    description: 'Deactivate accounts, sign customers out, send password resets, edit notes and tags',
+    category: 'customers',
+  },
+  [PERMISSIONS.SECURITY_READ]: {
+    name: 'View login activity',
+    description: 'Review sign-in attempts across all accounts',
+    category: 'customers',
+  },
+  [PERMISSIONS.COUPONS_MANAGE]: {
+    name: 'Manage coupons',
+    description: 'Create, edit and delete coupons',
+    category: 'marketing',
+  },
+  [PERMISSIONS.GIFT_CARDS_MANAGE]: {
+    name: 'Manage gift cards',
+    description: 'Issue, adjust and deactivate gift cards',
+    category: 'marketing',
+  },
+  [PERMISSIONS.FEATURES_MANAGE]: {
+    name: 'Manage feature toggles',
+    description: 'Enable, disable and configure store features',
+    category: 'settings',
+  },
+  [PERMISSIONS.TAX_MANAGE]: {
+    name: 'Manage tax rates',
+    description: 'Edit and import the tax rate table',
+    category: 'settings',
+  },
+  [PERMISSIONS.SHIPPING_MANAGE]: {
+    name: 'Manage shipping',
+    description: 'Edit shipping zones, methods and rate tables',
+    category: 'settings',
+  },
+};
+
+/**
+ * Built-in staff roles
+ * Created on first use; admins can change their permissions afterwards.
+ */
+export const DEFAULT_STAFF_ROLES = [
+  {
+    key: 'support',
+    name: 'Support',
+    description: 'Helps customers with their accounts and orders',
+    permissions: [
+      PERMISSIONS.DASHBOARD_READ,
+      PERMISSIONS.ORDERS_READ,
+      PERMISSIONS.CUSTOMERS_READ,
+      PERMISSIONS.CUSTOMERS_MANAGE,
+      PERMISSIONS.REVIEWS_MODERATE,
+      PERMISSIONS.RETURNS_MANAGE,
+    ],
+  },
+  {
+    key: 'fulfilment',
+    name: 'Fulfilment',
+    description: 'Picks, packs and ships orders',
+    permissions: [
+      PERMISSIONS.DASHBOARD_READ,
+      PERMISSIONS.ORDERS_READ,
+      PERMISSIONS.ORDERS_FULFIL,
+      PERMISSIONS.RETURNS_MANAGE,
+      PERMISSIONS.INVENTORY_READ,
+    ],
+  },
+  {
+    key: 'catalog_editor',
+    name: 'Catalog Editor',
+    description: 'Maintains products, categories and reviews',
+    permissions: [
+      PERMISSIONS.DASHBOARD_READ,
+      PERMISSIONS.PRODUCTS_WRITE,
+      PERMISSIONS.INVENTORY_READ,
+      PERMISSIONS.REVIEWS_MODERATE,
+    ],
+  },
+];
+
+/**
+ * Get all permissions
+ */
+export const getAllPermissions = () => {
+  return Object.values(PERMISSIONS);
+};
@@ -0,0 +1,59 @@
+import accountService from '../services/account.service.js';
+import { sendSuccess, sendError } from '../utils/response.util.js';
+import { HTTP_STATUS } from '../config/constants.js';
+import { logger } from '../utils/logger.util.js';
+
+/**
+ * Download a copy of the user's personal data
+ */
+export const exportData = async (req, res) => {
+  try {
+    const date = new Date().toISOString().slice(0, 10);
+    const fileName = `account-data-${date}`;
+
+    if (req.query.format === 'zip') {
+      const archive = await accountService.buildExportArchive(req.user.id);
+
+      res.set({
+        'Content-Type': 'application/zip',
+        'Content-Disposition': `attachment; filename="${fileName}.zip"`,
+        'Cache-Control': 'no-store',
+      });
+      return res.send(archive);
+    }
+
+    const data = await accountService.buildExport(req.user.id);
+
+    res.set({
+      'Content-Disposition': `attachment; filename="${fileName}.json"`,
+      'Cache-Control': 'no-store',
+    });
+    res.type('application/json').send(JSON.stringify(data, null, 2));
+  } catch (error) {
+    logger.error('Export account data error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to export account data',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Permanently close the user's account
+ */
+export const deleteAccount = async (req, res) => {
+  try {
+    await accountService.deleteAccount(req.user.id, req.body);
+
+    res.clearCookie('refreshToken');
+    sendSuccess(res, null, 'Your account has been deleted');
+  } catch (error) {
+    logger.error('Delete account error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to delete account',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
@@ -0,0 +1,74 @@
+import addressService from '../services/address.service.js';
+import { sendSuccess, sendError } from '../utils/response.util.js';
+import { HTTP_STATUS } from '../config/constants.js';
+import { logger } from '../utils/logger.util.js';
+
+/**
+ * Get saved addresses
+ */
+export const getAddresses = async (req, res) => {
+  try {
+    const addresses = await addressService.listAddresses(req.user.id);
+    sendSuccess(res, { addresses }, 'Addresses retrieved successfully');
+  } catch (error) {
+    logger.error('Get addresses error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to retrieve addresses',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Add address
+ */
+export const addAddress = async (req, res) => {
+  try {
+    const addresses = await addressService.addAddress(req.user.id, req.body);
+    sendSuccess(res, { addresses }, 'Address added successfully', HTTP_STATUS.CREATED);
+  } catch (error) {
+    logger.error('Add address error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to add address',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Update address
+ */
+export const updateAddress = async (req, res) => {
+  try {
+    const { addressId } = req.params;
+    const addresses = await addressService.updateAddress(req.user.id, addressId, req.body);
+    sendSuccess(res, { addresses }, 'Address updated successfully');
+  } catch (error) {
+    logger.error('Update address error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to update address',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Delete address
+ */
+export const deleteAddress = async (req, res) => {
+  try {
+    const { addressId } = req.params;
+    const addresses = await addressService.deleteAddress(req.user.id, addressId);
+    sendSuccess(res, { addresses }, 'Address deleted successfully');
+  } catch (error) {
+    logger.error('Delete address error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to delete address',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
@@ -1,5 +1,6 @@
 import orderService from '../services/order.service.js';
 import productService from '../services/product.service.js';
+import analyticsService from '../services/analytics.service.js';
 import User from '../models/User.js';
 import { sendSuccess, sendError } from '../utils/response.util.js';
 import { HTTP_STATUS } from '../config/constants.js';
@@ -31,6 +32,8 @@ class AdminController {
       const [
         currentOrders,
         previousOrders,
+        currentRevenueStats,
+        previousRevenueStats,
         allOrders,
         allProducts,
         allUsers,
@@ -46,6 +49,15 @@ class AdminController {
           startDate: previousPeriodStart.toISOString(),
           endDate: previousPeriodEnd.toISOString(),
         }),
+        // Revenue net of refunds, from paid orders only (as in analytics)
+        analyticsService.getTotalRevenue({
+          startDate: currentPeriodStart,
+          endDate: currentPeriodEnd,
+        }),
+        analyticsService.getTotalRevenue({
+          startDate: previousPeriodStart,
+          endDate: previousPeriodEnd,
+        }),
         // All orders (for recent orders)
         orderService.getAllOrders({ limit: 10, sortBy: 'createdAt', sortOrder: 'desc' }),
         // All products
@@ -56,15 +68,8 @@ class AdminController {
         productService.getProducts({ limit: 10000 }),
       ]);
 
-      // Calculate revenue
-      const currentRevenue = currentOrders.orders.reduce(
-        (sum, order) => sum + (order.total || 0),
-        0
-      );
-      const previousRevenue = previousOrders.orders.reduce(
-        (sum, order) => sum + (order.total || 0),
-        0
-      );
+      const currentRevenue = currentRevenueStats.totalRevenue;
+      const previousRevenue = previousRevenueStats.totalRevenue;
       const revenueChange =
         previousRevenue > 0
           ? ((currentRevenue - previousRevenue) / previousRevenue) * 100
@@ -97,7 +102,7 @@ class AdminController {
         total: order.total,
         user: {
           name: order.user?.name || 'Guest',
-          email: order.user?.email || '',
+          email: order.user?.email || order.email || '',
         },
         createdAt: order.createdAt,
       }));
@@ -1,23 +1,62 @@
 import * as authService from '../services/auth.service.js';
+import twoFactorService from '../services/two-factor.service.js';
+import loginSecurityService from '../services/login-security.service.js';
+import cartService from '../services/cart.service.js';
+import { getGuestSessionId, clearGuestSession } from '../middleware/guest-session.middleware.js';
 import { sendSuccess, sendError } from '../utils/response.util.js';
 import { HTTP_STATUS } from '../config/constants.js';
 import { logger } from '../utils/logger.util.js';
 import config from '../config/index.js';
 
+/**
+ * Set refresh token as httpOnly cookie
+ */
+const setRefreshTokenCookie = (res, refreshToken) => {
+  res.cookie('refreshToken', refreshToken, {
+    httpOnly: true,
+    secure: config.cookies.secure,
+    sameSite: config.cookies.sameSite,
+    maxAge: config.cookies.maxAge,
+  });
+};
+
+/**
+ * Move the visitor's guest cart into the account they just signed in to
+ * A failed merge is logged but never fails the sign-in.
+ */
+const adoptGuestCart = async (req, res, userId) => {
+  const guestSessionId = getGuestSessionId(req);
+
+  if (!guestSessionId) {
+    return;
+  }
+
+  try {
+    await cartService.mergeGuestCart(guestSessionId, userId);
+  } catch (error) {
+    logger.error('Guest cart merge error:', error);
+  }
+
+  clearGuestSession(res);
+};
+
+/**
+ * Device details stored on the session
+ */
+const getClientInfo = (req) => ({
+  userAgent: req.get('user-agent'),
+  ip: req.ip,
+});
+
 /**
  * Register a new user
  */
 export const register = async (req, res) => {
   try {
-    const result = await authService.register(req.body);
+    const result = await authService.register(req.body, getClientInfo(req));
 
-    // Set refresh token as httpOnly cookie
-    res.cookie('refreshToken', result.refreshToken, {
-      httpOnly: true,
-      secure: config.cookies.secure,
-      sameSite: config.cookies.sameSite,
-      maxAge: config.cookies.maxAge,
-    });
+    setRefreshTokenCookie(res, result.refreshToken);
+    await adoptGuestCart(req, res, result.user._id);
 
     sendSuccess(
       res,
@@ -44,15 +83,18 @@ export const register = async (req, res) => {
 export const login = async (req, res) => {
   try {
     const { email, password } = req.body;
-    const result = await authService.login(email, password);
+    const result = await authService.login(email, password, getClientInfo(req));
+
+    if (result.twoFactorRequired) {
+      return sendSuccess(
+        res,
+        { twoFactorRequired: true, challengeToken: result.challengeToken },
+        'Two-factor authentication required'
+      );
+    }
 
-    // Set refresh token as httpOnly cookie
-    res.cookie('refreshToken', result.refreshToken, {
-      httpOnly: true,
-      secure: config.cookies.secure,
-      sameSite: config.cookies.sameSite,
-      maxAge: config.cookies.maxAge,
-    });
+    setRefreshTokenCookie(res, result.refreshToken);
+    await adoptGuestCart(req, res, result.user._id);
 
     sendSuccess(
       res,
@@ -78,13 +120,24 @@ export const login = async (req, res) => {
 export const refreshToken = async (req, res) => {
   try {
     // Get refresh token from cookie or body
-    const refreshToken = req.cookies?.refreshToken || req.body?.refreshToken;
+    const fromCookie = req.cookies?.refreshToken;
+    const refreshToken = fromCookie || req.body?.refreshToken;
 
-    const result = await authService.refreshAccessToken(refreshToken);
+    const result = await authService.refreshAccessToken(refreshToken, getClientInfo(req));
 
-    sendSuccess(res, result, 'Token refreshed successfully');
+    // Refresh tokens rotate on every use, so hand back the new one the same
+    // way the old one arrived
+    if (fromCookie) {
+      setRefreshTokenCookie(res, result.refreshToken);
+      sendSuccess(res, { accessToken: result.accessToken }, 'Token refreshed successfully');
+    } else {
+      sendSuccess(res, result, 'Token refreshed successfully');
+    }
   } catch (error) {
     logger.error('Refresh token error:', error);
+    if (error.statusCode === HTTP_STATUS.UNAUTHORIZED) {
+      res.clearCookie('refreshToken');
+    }
     sendError(
       res,
       error.message || 'Token refresh failed',
@@ -99,7 +152,7 @@ export const refreshToken = async (req, res) => {
 export const logout = async (req, res) => {
   try {
     if (req.user?.id) {
-      await authService.logout(req.user.id);
+      await authService.logout(req.user.id, req.sessionId);
     }
 
     // Clear refresh token cookie
@@ -150,4 +203,280 @@ export const updateProfile = async (req, res) => {
   }
 };
 
+/**
+ * Verify email address
+ */
+export const verifyEmail = async (req, res) => {
+  try {
+    const user = await authService.verifyEmail(req.body.token);
+    sendSuccess(res, { user }, 'Email verified successfully');
+  } catch (error) {
+    logger.error('Verify email error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to verify email',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
 
+/**
+ * Resend email verification link
+ */
+export const resendVerification = async (req, res) => {
+  try {
+    await authService.resendVerification(req.user.id);
+    sendSuccess(res, null, 'Verification email sent');
+  } catch (error) {
+    logger.error('Resend verification error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to send verification email',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Request password reset email
+ */
+export const forgotPassword = async (req, res) => {
+  try {
+    await authService.forgotPassword(req.body.email);
+    sendSuccess(
+      res,
+      null,
+      'If an account exists for that email, a password reset link has been sent'
+    );
+  } catch (error) {
+    logger.error('Forgot password error:', error);
+    sendError(
+      res,
+      'Failed to process password reset request',
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Reset password with emailed token
+ */
+export const resetPassword = async (req, res) => {
+  try {
+    await authService.resetPassword(req.body.token, req.body.password);
+
+    // Clear refresh cookie in case this browser had a session
+    res.clearCookie('refreshToken');
+    sendSuccess(res, null, 'Password reset successfully. Please sign in with your new password');
+  } catch (error) {
+    logger.error('Reset password error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to reset password',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * List signed-in devices
+ */
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await authService.getSessions(req.user.id, req.sessionId);
+    sendSuccess(res, { sessions }, 'Sessions retrieved successfully');
+  } catch (error) {
+    logger.error('Get sessions error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to get sessions',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Sign out a single device
+ */
+export const revokeSession = async (req, res) => {
+  try {
+    await authService.revokeSession(req.user.id, req.params.id);
+    sendSuccess(res, null, 'Session revoked successfully');
+  } catch (error) {
+    logger.error('Revoke session error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to revoke session',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Sign out all other devices
+ */
+export const revokeOtherSessions = async (req, res) => {
+  try {
+    const revoked = await authService.revokeOtherSessions(req.user.id, req.sessionId);
+    sendSuccess(res, { revoked }, 'Other sessions revoked successfully');
+  } catch (error) {
+    logger.error('Revoke other sessions error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to revoke sessions',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Complete login with a two-factor code
+ */
+export const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    const result = await authService.verifyTwoFactorLogin(
+      challengeToken,
+      { code, recoveryCode },
+      getClientInfo(req)
+    );
+
+    setRefreshTokenCookie(res, result.refreshToken);
+    await adoptGuestCart(req, res, result.user._id);
+
+    sendSuccess(
+      res,
+      {
+        user: result.user,
+        accessToken: result.accessToken,
+      },
+      'Login successful'
+    );
+  } catch (error) {
+    logger.error('Two-factor login error:', error);
+    sendError(
+      res,
+      error.message || 'Login failed',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Get two-factor authentication status
+ */
+export const getTwoFactorStatus = async (req, res) => {
+  try {
+    const twoFactor = await twoFactorService.getStatus(req.user.id);
+    sendSuccess(res, { twoFactor }, 'Two-factor status retrieved successfully');
+  } catch (error) {
+    logger.error('Get two-factor status error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to get two-factor status',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Start two-factor enrollment
+ */
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const result = await twoFactorService.setup(req.user.id);
+    sendSuccess(res, result, 'Scan the QR code with your authenticator app');
+  } catch (error) {
+    logger.error('Setup two-factor error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to start two-factor setup',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Confirm two-factor enrollment
+ */
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const result = await twoFactorService.enable(req.user.id, req.body.code);
+    sendSuccess(res, result, 'Two-factor authentication enabled');
+  } catch (error) {
+    logger.error('Enable two-factor error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to enable two-factor authentication',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Turn off two-factor authentication
+ */
+export const disableTwoFactor = async (req, res) => {
+  try {
+    await twoFactorService.disable(req.user.id, req.body);
+    sendSuccess(res, null, 'Two-factor authentication disabled');
+  } catch (error) {
+    logger.error('Disable two-factor error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to disable two-factor authentication',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Replace two-factor recovery codes
+ */
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const result = await twoFactorService.regenerateRecoveryCodes(req.user.id, req.body.code);
+    sendSuccess(res, result, 'Recovery codes regenerated');
+  } catch (error) {
+    logger.error('Regenerate recovery codes error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to regenerate recovery codes',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Get current user's login history
+ */
+export const getLoginHistory = async (req, res) => {
+  try {
+    const result = await loginSecurityService.getUserHistory(req.user.id, req.query);
+    sendSuccess(res, result, 'Login history retrieved successfully');
+  } catch (error) {
+    logger.error('Get login history error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to get login history',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Get login history across all accounts (admin)
+ */
+export const getAllLoginHistory = async (req, res) => {
+  try {
+    const result = await loginSecurityService.getAllHistory(req.query);
+    sendSuccess(res, result, 'Login history retrieved successfully');
+  } catch (error) {
+    logger.error('Get all login history error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to get login history',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
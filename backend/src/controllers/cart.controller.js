@@ -4,12 +4,17 @@ import { HTTP_STATUS } from '../config/constants.js';
 import { logger } from '../utils/logger.util.js';
 
 /**
- * Get user's cart
+ * Cart owner for the request: the user id, or the guest session
+ */
+const getCartOwner = (req) => (req.user ? req.user.id : { sessionId: req.guestSessionId });
+
+/**
+ * Get the current cart
  */
 export const getCart = async (req, res) => {
   try {
-    const userId = req.user.id;
-    const cart = await cartService.getOrCreateCart(userId);
+    const owner = getCartOwner(req);
+    const cart = await cartService.getOrCreateCart(owner);
 
     sendSuccess(res, { cart }, 'Cart retrieved successfully');
   } catch (error) {
@@ -27,17 +32,17 @@ export const getCart = async (req, res) => {
  */
 export const addItem = async (req, res) => {
   try {
-    const userId = req.user.id;
+    const owner = getCartOwner(req);
     const { productId, quantity, selectedVariants } = req.body;
 
     logger.debug('Adding item to cart:', {
-      userId,
+      userId: req.user?.id,
       productId,
       quantity,
       selectedVariants,
     });
 
-    const cart = await cartService.addItem(userId, productId, quantity, selectedVariants || []);
+    const cart = await cartService.addItem(owner, productId, quantity, selectedVariants || []);
 
     logger.debug('Cart after adding item:', {
       itemCount: cart.items?.length || 0,
@@ -81,11 +86,11 @@ export const addItem = async (req, res) => {
  */
 export const updateItemQuantity = async (req, res) => {
   try {
-    const userId = req.user.id;
+    const owner = getCartOwner(req);
     const { itemId } = req.params;
     const { quantity } = req.body;
 
-    const cart = await cartService.updateItemQuantity(userId, itemId, quantity);
+    const cart = await cartService.updateItemQuantity(owner, itemId, quantity);
 
     sendSuccess(res, { cart }, 'Item quantity updated successfully');
   } catch (error) {
@@ -113,10 +118,10 @@ export const updateItemQuantity = async (req, res) => {
  */
 export const removeItem = async (req, res) => {
   try {
-    const userId = req.user.id;
+    const owner = getCartOwner(req);
     const { itemId } = req.params;
 
-    const cart = await cartService.removeItem(userId, itemId);
+    const cart = await cartService.removeItem(owner, itemId);
 
     sendSuccess(res, { cart }, 'Item removed from cart successfully');
   } catch (error) {
@@ -134,8 +139,8 @@ export const removeItem = async (req, res) => {
  */
 export const clearCart = async (req, res) => {
   try {
-    const userId = req.user.id;
-    const cart = await cartService.clearCart(userId);
+    const owner = getCartOwner(req);
+    const cart = await cartService.clearCart(owner);
 
     sendSuccess(res, { cart }, 'Cart cleared successfully');
   } catch (error) {
@@ -154,9 +159,9 @@ export const clearCart = async (req, res) => {
  */
 export const getCartSummary = async (req, res) => {
   try {
-    const userId = req.user.id;
+    const owner = getCartOwner(req);
     const { couponCode } = req.query; // Get coupon code from query string
-    const summary = await cartService.getCartSummary(userId, couponCode || null);
+    const summary = await cartService.getCartSummary(owner, couponCode || null);
 
     sendSuccess(res, summary, 'Cart summary retrieved successfully');
   } catch (error) {
@@ -0,0 +1,27 @@
+import pricingService from '../services/pricing.service.js';
+import { sendSuccess, sendError } from '../utils/response.util.js';
+import { HTTP_STATUS } from '../config/constants.js';
+import { logger } from '../utils/logger.util.js';
+
+/**
+ * Checkout owner for the request: the user id, or the guest session
+ */
+const getCheckoutOwner = (req) => (req.user ? req.user.id : { sessionId: req.guestSessionId });
+
+/**
+ * Price the current cart exactly as order creation will
+ */
+export const getQuote = async (req, res) => {
+  try {
+    const quote = await pricingService.getQuote(getCheckoutOwner(req), req.body);
+
+    sendSuccess(res, { quote }, 'Checkout quote calculated successfully');
+  } catch (error) {
+    logger.error('Checkout quote error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to calculate checkout quote',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
@@ -4,6 +4,45 @@ import { logger } from '../utils/logger.util.js';
 import cloudinary from '../config/cloudinary.js';
 import crypto from 'crypto';
 
+/**
+ * Sign an upload into a folder
+ * @returns {Object} Everything the frontend needs to upload straight to Cloudinary
+ */
+const signUpload = (folder, timestamp) => {
+  if (!process.env.CLOUDINARY_API_SECRET) {
+    const error = new Error('Cloudinary API secret not configured');
+    error.statusCode = HTTP_STATUS.INTERNAL_SERVER_ERROR;
+    throw error;
+  }
+
+  // Generate signature for unsigned upload
+  // Frontend will use this signature to upload directly to Cloudinary
+  const params = {
+    folder,
+    timestamp: timestamp || Math.round(Date.now() / 1000),
+  };
+
+  // Create signature string
+  const signatureString = Object.keys(params)
+    .sort()
+    .map((key) => `${key}=${params[key]}`)
+    .join('&');
+
+  // Generate signature using HMAC-SHA1
+  const signature = crypto
+    .createHmac('sha1', process.env.CLOUDINARY_API_SECRET)
+    .update(signatureString)
+    .digest('hex');
+
+  return {
+    signature,
+    timestamp: params.timestamp,
+    folder,
+    cloudName: process.env.CLOUDINARY_CLOUD_NAME,
+    apiKey: process.env.CLOUDINARY_API_KEY,
+  };
+};
+
 /**
  * Generate Cloudinary upload signature
  * This allows secure direct uploads from the frontend
@@ -12,38 +51,7 @@ export const generateSignature = async (req, res) => {
   try {
     const { folder = 'products', timestamp } = req.body;
 
-    if (!process.env.CLOUDINARY_API_SECRET) {
-      const error = new Error('Cloudinary API secret not configured');
-      error.statusCode = HTTP_STATUS.INTERNAL_SERVER_ERROR;
-      throw error;
-    }
-
-    // Generate signature for unsigned upload
-    // Frontend will use this signature to upload directly to Cloudinary
-    const params = {
-      folder,
-      timestamp: timestamp || Math.round(Date.now() / 1000),
-    };
-
-    // Create signature string
-    const signatureString = Object.keys(params)
-      .sort()
-      .map((key) => `${key}=${params[key]}`)
-      .join('&');
-
-    // Generate signature using HMAC-SHA1
-    const signature = crypto
-      .createHmac('sha1', process.env.CLOUDINARY_API_SECRET)
-      .update(signatureString)
-      .digest('hex');
-
-    sendSuccess(res, {
-      signature,
-      timestamp: params.timestamp,
-      folder,
-      cloudName: process.env.CLOUDINARY_CLOUD_NAME,
-      apiKey: process.env.CLOUDINARY_API_KEY,
-    });
+    sendSuccess(res, signUpload(folder, timestamp));
   } catch (error) {
     logger.error('Generate signature error:', error);
     sendError(
@@ -54,5 +62,19 @@ export const generateSignature = async (req, res) => {
   }
 };
 
-
-
+/**
+ * Generate a signature for customer return photos
+ * Always signs the returns folder, so customers can't write anywhere else.
+ */
+export const generateReturnPhotoSignature = async (req, res) => {
+  try {
+    sendSuccess(res, signUpload('returns', req.body.timestamp));
+  } catch (error) {
+    logger.error('Generate return photo signature error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to generate upload signature',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
@@ -0,0 +1,165 @@
+import customerService from '../services/customer.service.js';
+import { sendSuccess, sendError } from '../utils/response.util.js';
+import { HTTP_STATUS } from '../config/constants.js';
+import { logger } from '../utils/logger.util.js';
+
+/**
+ * List and search customers (Admin)
+ */
+export const getCustomers = async (req, res) => {
+  try {
+    const result = await customerService.listCustomers(req.query);
+    sendSuccess(res, result, 'Customers retrieved successfully');
+  } catch (error) {
+    logger.error('Get customers error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to retrieve customers',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Get tags in use (Admin)
+ */
+export const getCustomerTags = async (req, res) => {
+  try {
+    const tags = await customerService.listTags();
+    sendSuccess(res, { tags }, 'Customer tags retrieved successfully');
+  } catch (error) {
+    logger.error('Get customer tags error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to retrieve customer tags',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Get customer detail (Admin)
+ */
+export const getCustomer = async (req, res) => {
+  try {
+    const result = await customerService.getCustomer(req.params.id);
+    sendSuccess(res, result, 'Customer retrieved successfully');
+  } catch (error) {
+    logger.error('Get customer error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to retrieve customer',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Deactivate or reactivate customer (Admin)
+ */
+export const updateCustomerStatus = async (req, res) => {
+  try {
+    const customer = await customerService.setActive(
+      req.params.id,
+      req.body.isActive,
+      req.user.id
+    );
+    sendSuccess(
+      res,
+      { customer },
+      customer.isActive ? 'Customer reactivated' : 'Customer deactivated'
+    );
+  } catch (error) {
+    logger.error('Update customer status error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to update customer status',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Sign customer out of all devices (Admin)
+ */
+export const forceLogoutCustomer = async (req, res) => {
+  try {
+    const revoked = await customerService.forceLogout(req.params.id, req.user.id);
+    sendSuccess(res, { revoked }, `Signed out of ${revoked} session(s)`);
+  } catch (error) {
+    logger.error('Force logout customer error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to sign customer out',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Email customer a password reset link (Admin)
+ */
+export const sendCustomerPasswordReset = async (req, res) => {
+  try {
+    await customerService.sendPasswordReset(req.params.id, req.user.id);
+    sendSuccess(res, null, 'Password reset email sent');
+  } catch (error) {
+    logger.error('Send customer password reset error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to send password reset',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Add internal note (Admin)
+ */
+export const addCustomerNote = async (req, res) => {
+  try {
+    const notes = await customerService.addNote(req.params.id, req.user.id, req.body.body);
+    sendSuccess(res, { notes }, 'Note added', HTTP_STATUS.CREATED);
+  } catch (error) {
+    logger.error('Add customer note error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to add note',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Delete internal note (Admin)
+ */
+export const deleteCustomerNote = async (req, res) => {
+  try {
+    const notes = await customerService.deleteNote(req.params.id, req.params.noteId);
+    sendSuccess(res, { notes }, 'Note deleted');
+  } catch (error) {
+    logger.error('Delete customer note error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to delete note',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Replace customer tags (Admin)
+ */
+export const updateCustomerTags = async (req, res) => {
+  try {
+    const tags = await customerService.updateTags(req.params.id, req.body.tags);
+    sendSuccess(res, { tags }, 'Tags updated');
+  } catch (error) {
+    logger.error('Update customer tags error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to update tags',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
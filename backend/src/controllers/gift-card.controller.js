@@ -0,0 +1,117 @@
+import giftCardService from '../services/gift-card.service.js';
+import { sendSuccess, sendError } from '../utils/response.util.js';
+import { HTTP_STATUS } from '../config/constants.js';
+import { logger } from '../utils/logger.util.js';
+
+/**
+ * Check gift card balance (public)
+ */
+export const checkBalance = async (req, res) => {
+  try {
+    const result = await giftCardService.checkBalance(req.body.code);
+    sendSuccess(res, result, 'Gift card balance retrieved successfully');
+  } catch (error) {
+    logger.error('Check gift card balance error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to check gift card balance',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Get all gift cards (Admin only)
+ */
+export const getAllGiftCards = async (req, res) => {
+  try {
+    const result = await giftCardService.getAllGiftCards(req.query);
+    sendSuccess(res, result, 'Gift cards retrieved successfully');
+  } catch (error) {
+    logger.error('Get gift cards error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to retrieve gift cards',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Get gift card with ledger (Admin only)
+ */
+export const getGiftCard = async (req, res) => {
+  try {
+    const giftCard = await giftCardService.getGiftCardById(req.params.id);
+    sendSuccess(res, { giftCard }, 'Gift card retrieved successfully');
+  } catch (error) {
+    logger.error('Get gift card error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to retrieve gift card',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Issue a gift card (Admin only)
+ */
+export const issueGiftCard = async (req, res) => {
+  try {
+    const giftCard = await giftCardService.issueGiftCard(req.body, req.user.id);
+    sendSuccess(res, { giftCard }, 'Gift card issued successfully', HTTP_STATUS.CREATED);
+  } catch (error) {
+    logger.error('Issue gift card error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to issue gift card',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Issue gift cards in bulk (Admin only)
+ */
+export const bulkIssueGiftCards = async (req, res) => {
+  try {
+    const result = await giftCardService.bulkIssueGiftCards(req.body, req.user.id);
+    sendSuccess(
+      res,
+      result,
+      `${result.giftCards.length} gift cards issued successfully`,
+      HTTP_STATUS.CREATED
+    );
+  } catch (error) {
+    logger.error('Bulk issue gift cards error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to issue gift cards',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Activate or deactivate a gift card (Admin only)
+ */
+export const updateGiftCardStatus = async (req, res) => {
+  try {
+    const { isActive, note } = req.body;
+    const giftCard = await giftCardService.setGiftCardActive(
+      req.params.id,
+      isActive,
+      req.user.id,
+      note
+    );
+    sendSuccess(res, { giftCard }, 'Gift card status updated successfully');
+  } catch (error) {
+    logger.error('Update gift card status error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to update gift card status',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
@@ -0,0 +1,38 @@
+import loyaltyService from '../services/loyalty.service.js';
+import { sendSuccess, sendError } from '../utils/response.util.js';
+import { HTTP_STATUS } from '../config/constants.js';
+import { logger } from '../utils/logger.util.js';
+
+/**
+ * Get user's points balance
+ */
+export const getAccount = async (req, res) => {
+  try {
+    const account = await loyaltyService.getAccountSummary(req.user.id);
+    sendSuccess(res, { account }, 'Loyalty account retrieved successfully');
+  } catch (error) {
+    logger.error('Get loyalty account error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to retrieve loyalty account',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Get user's points history
+ */
+export const getTransactions = async (req, res) => {
+  try {
+    const result = await loyaltyService.getTransactions(req.user.id, req.query);
+    sendSuccess(res, result, 'Points history retrieved successfully');
+  } catch (error) {
+    logger.error('Get loyalty transactions error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to retrieve points history',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
@@ -1,17 +1,26 @@
 import orderService from '../services/order.service.js';
+import fulfillmentService from '../services/fulfillment.service.js';
+import trackingService from '../services/carrier/tracking.service.js';
 import { sendSuccess, sendError } from '../utils/response.util.js';
 import { HTTP_STATUS } from '../config/constants.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import { canAct } from '../middleware/role.middleware.js';
 import { logger } from '../utils/logger.util.js';
 
+/**
+ * Order owner for the request: the user id, or the guest session
+ */
+const getOrderOwner = (req) => (req.user ? req.user.id : { sessionId: req.guestSessionId });
+
 /**
  * Create order from cart
  */
 export const createOrder = async (req, res) => {
   try {
-    const userId = req.user.id;
+    const owner = getOrderOwner(req);
     const orderData = req.body;
 
-    const order = await orderService.createOrderFromCart(userId, orderData);
+    const order = await orderService.createOrderFromCart(owner, orderData);
 
     sendSuccess(
       res,
@@ -45,10 +54,9 @@ export const createOrder = async (req, res) => {
 export const getOrder = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user.id;
-    const isAdmin = req.user.role === 'admin';
+    const isAdmin = canAct(req, PERMISSIONS.ORDERS_READ);
 
-    const order = await orderService.getOrderById(id, userId, isAdmin);
+    const order = await orderService.getOrderById(id, getOrderOwner(req), isAdmin);
 
     sendSuccess(res, { order }, 'Order retrieved successfully');
   } catch (error) {
@@ -61,6 +69,43 @@ export const getOrder = async (req, res) => {
   }
 };
 
+/**
+ * Look up an order by number and email
+ */
+export const lookupOrder = async (req, res) => {
+  try {
+    const { orderNumber, email } = req.body;
+    const link = await orderService.lookupOrder(orderNumber, email);
+
+    sendSuccess(res, link, 'Order found');
+  } catch (error) {
+    logger.error('Order lookup error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to look up order',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Get order status from a signed status link
+ */
+export const getOrderStatus = async (req, res) => {
+  try {
+    const order = await orderService.getOrderStatus(req.params.token);
+
+    sendSuccess(res, { order }, 'Order status retrieved successfully');
+  } catch (error) {
+    logger.error('Get order status error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to retrieve order status',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
 /**
  * Get user's orders
  */
@@ -126,7 +171,7 @@ export const cancelOrder = async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user.id;
-    const isAdmin = req.user.role === 'admin';
+    const isAdmin = canAct(req, PERMISSIONS.ORDERS_FULFIL);
     const { reason } = req.body;
 
     const order = await orderService.cancelOrder(id, userId, reason, isAdmin);
@@ -144,11 +189,19 @@ export const cancelOrder = async (req, res) => {
 
 /**
  * Update shipping information (Admin only)
+ * A tracking number here ships all remaining items as one package.
  */
 export const updateShippingInfo = async (req, res) => {
   try {
     const { id } = req.params;
-    const shippingData = req.body;
+    const { trackingNumber, carrier, ...shippingData } = req.body;
+
+    if (trackingNumber) {
+      await fulfillmentService.createFulfillment(id, {
+        trackingNumber,
+        carrier: carrier || undefined,
+      });
+    }
 
     const order = await orderService.updateShippingInfo(id, shippingData);
 
@@ -163,6 +216,77 @@ export const updateShippingInfo = async (req, res) => {
   }
 };
 
+/**
+ * Ship items in a package (Admin only)
+ */
+export const createFulfillment = async (req, res) => {
+  try {
+    const order = await fulfillmentService.createFulfillment(req.params.id, req.body);
 
+    sendSuccess(res, { order }, 'Items shipped successfully', HTTP_STATUS.CREATED);
+  } catch (error) {
+    logger.error('Create fulfillment error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to ship items',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
 
+/**
+ * Update a package's carrier or tracking number (Admin only)
+ */
+export const updateFulfillment = async (req, res) => {
+  try {
+    const { id, fulfillmentId } = req.params;
+    const order = await fulfillmentService.updateFulfillment(id, fulfillmentId, req.body);
 
+    sendSuccess(res, { order }, 'Package updated successfully');
+  } catch (error) {
+    logger.error('Update fulfillment error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to update package',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Record a tracking event for a package (Admin only)
+ */
+export const addTrackingEvent = async (req, res) => {
+  try {
+    const { id, fulfillmentId } = req.params;
+    const order = await trackingService.addEvent(id, fulfillmentId, req.body);
+
+    sendSuccess(res, { order }, 'Tracking event recorded successfully');
+  } catch (error) {
+    logger.error('Add tracking event error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to record tracking event',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Fetch a package's latest tracking events from the carrier (Admin only)
+ */
+export const refreshTracking = async (req, res) => {
+  try {
+    const { id, fulfillmentId } = req.params;
+    const order = await trackingService.pollFulfillment(id, fulfillmentId);
+
+    sendSuccess(res, { order }, 'Tracking refreshed successfully');
+  } catch (error) {
+    logger.error('Refresh tracking error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to refresh tracking',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
@@ -3,6 +3,11 @@ import { sendSuccess, sendError } from '../utils/response.util.js';
 import { HTTP_STATUS } from '../config/constants.js';
 import { logger } from '../utils/logger.util.js';
 
+/**
+ * Who is paying: the user id, or the guest session that placed the order
+ */
+const getPayer = (req) => (req.user ? req.user.id : { sessionId: req.guestSessionId });
+
 /**
  * Create payment intent
  */
@@ -10,7 +15,11 @@ export const createPaymentIntent = async (req, res) => {
   try {
     const { orderId, paymentMethod } = req.body;
 
-    const result = await paymentService.createPaymentIntent(orderId, paymentMethod);
+    const result = await paymentService.createPaymentIntent(
+      orderId,
+      paymentMethod,
+      getPayer(req)
+    );
 
     sendSuccess(
       res,
@@ -35,7 +44,7 @@ export const verifyPayment = async (req, res) => {
   try {
     const { orderId, paymentIntentId } = req.body;
 
-    const result = await paymentService.verifyPayment(orderId, paymentIntentId);
+    const result = await paymentService.verifyPayment(orderId, paymentIntentId, getPayer(req));
 
     sendSuccess(res, result, 'Payment verified successfully');
   } catch (error) {
@@ -80,9 +89,15 @@ export const handleWebhook = async (req, res) => {
 export const refundPayment = async (req, res) => {
   try {
     const { orderId } = req.params;
-    const { amount } = req.body;
 
-    const result = await paymentService.refundPayment(orderId, amount);
+    const result = await paymentService.refundPayment(orderId, {
+      ...req.body,
+      refundedBy: req.user._id,
+    });
+
+    if (!result.success) {
+      return sendError(res, 'Payment gateway declined the refund', HTTP_STATUS.BAD_REQUEST);
+    }
 
     sendSuccess(res, result, 'Payment refunded successfully');
   } catch (error) {
@@ -0,0 +1,160 @@
+import returnService from '../services/return.service.js';
+import { sendSuccess, sendError } from '../utils/response.util.js';
+import { HTTP_STATUS } from '../config/constants.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import { canAct } from '../middleware/role.middleware.js';
+import { logger } from '../utils/logger.util.js';
+
+/**
+ * Get the items of an order that can still be returned
+ */
+export const getReturnableItems = async (req, res) => {
+  try {
+    const result = await returnService.getReturnableItems(req.params.orderId, req.user._id);
+    sendSuccess(res, result, 'Returnable items retrieved successfully');
+  } catch (error) {
+    logger.error('Get returnable items error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to retrieve returnable items',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Request a return
+ */
+export const createReturn = async (req, res) => {
+  try {
+    const ret = await returnService.createReturn(req.user._id, req.body);
+    sendSuccess(res, { return: ret }, 'Return requested successfully', HTTP_STATUS.CREATED);
+  } catch (error) {
+    logger.error('Create return error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to request return',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Get the current user's returns
+ */
+export const getMyReturns = async (req, res) => {
+  try {
+    const result = await returnService.getUserReturns(req.user._id, req.query);
+    sendSuccess(res, result, 'Returns retrieved successfully');
+  } catch (error) {
+    logger.error('Get my returns error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to retrieve returns',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Get all returns (Staff)
+ */
+export const getAllReturns = async (req, res) => {
+  try {
+    const result = await returnService.getAllReturns(req.query);
+    sendSuccess(res, result, 'Returns retrieved successfully');
+  } catch (error) {
+    logger.error('Get returns error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to retrieve returns',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Get single return
+ */
+export const getReturn = async (req, res) => {
+  try {
+    const isStaff = canAct(req, PERMISSIONS.RETURNS_MANAGE);
+    const ret = await returnService.getReturnById(req.params.id, req.user._id, isStaff);
+    sendSuccess(res, { return: ret }, 'Return retrieved successfully');
+  } catch (error) {
+    logger.error('Get return error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to retrieve return',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Approve a return (Staff)
+ */
+export const approveReturn = async (req, res) => {
+  try {
+    const ret = await returnService.approveReturn(req.params.id, req.body);
+    sendSuccess(res, { return: ret }, 'Return approved successfully');
+  } catch (error) {
+    logger.error('Approve return error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to approve return',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Reject a return (Staff)
+ */
+export const rejectReturn = async (req, res) => {
+  try {
+    const ret = await returnService.rejectReturn(req.params.id, req.body);
+    sendSuccess(res, { return: ret }, 'Return rejected successfully');
+  } catch (error) {
+    logger.error('Reject return error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to reject return',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Mark a return received and restock its items (Staff)
+ */
+export const receiveReturn = async (req, res) => {
+  try {
+    const ret = await returnService.receiveReturn(req.params.id, req.body);
+    sendSuccess(res, { return: ret }, 'Return received successfully');
+  } catch (error) {
+    logger.error('Receive return error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to receive return',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Refund a return (Staff)
+ */
+export const refundReturn = async (req, res) => {
+  try {
+    const ret = await returnService.refundReturn(req.params.id, req.body, req.user._id);
+    sendSuccess(res, { return: ret }, 'Return refunded successfully');
+  } catch (error) {
+    logger.error('Refund return error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to refund return',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
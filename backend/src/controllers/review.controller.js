@@ -0,0 +1,196 @@
+import reviewService from '../services/review.service.js';
+import { sendSuccess, sendError } from '../utils/response.util.js';
+import { HTTP_STATUS } from '../config/constants.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import { canAct } from '../middleware/role.middleware.js';
+import { logger } from '../utils/logger.util.js';
+
+/**
+ * Get reviews for a product
+ */
+export const getProductReviews = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await reviewService.getProductReviews(id, req.query, req.user?.id);
+    sendSuccess(res, result, 'Reviews retrieved successfully');
+  } catch (error) {
+    logger.error('Get product reviews error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to retrieve reviews',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Create review for a product
+ */
+export const createReview = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const review = await reviewService.createReview(id, req.user.id, req.body);
+    sendSuccess(res, { review }, 'Review submitted and awaiting moderation', HTTP_STATUS.CREATED);
+  } catch (error) {
+    logger.error('Create review error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to create review',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Update own review
+ */
+export const updateReview = async (req, res) => {
+  try {
+    const { id, reviewId } = req.params;
+    const review = await reviewService.updateReview(id, reviewId, req.user.id, req.body);
+    sendSuccess(res, { review }, 'Review updated successfully');
+  } catch (error) {
+    logger.error('Update review error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to update review',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Delete review (owner or admin)
+ */
+export const deleteReview = async (req, res) => {
+  try {
+    const { id, reviewId } = req.params;
+    const isAdmin = canAct(req, PERMISSIONS.REVIEWS_MODERATE);
+    await reviewService.deleteReview(id, reviewId, req.user.id, isAdmin);
+    sendSuccess(res, null, 'Review deleted successfully');
+  } catch (error) {
+    logger.error('Delete review error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to delete review',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Toggle helpful vote on a review
+ */
+export const toggleHelpful = async (req, res) => {
+  try {
+    const { id, reviewId } = req.params;
+    const result = await reviewService.toggleHelpful(id, reviewId, req.user.id);
+    sendSuccess(
+      res,
+      result,
+      result.votedHelpful ? 'Review marked as helpful' : 'Helpful vote removed'
+    );
+  } catch (error) {
+    logger.error('Toggle helpful vote error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to update helpful vote',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Get reviews for moderation (Admin only)
+ */
+export const getReviewsForModeration = async (req, res) => {
+  try {
+    const result = await reviewService.getReviewsForModeration(req.query);
+    sendSuccess(res, result, 'Reviews retrieved successfully');
+  } catch (error) {
+    logger.error('Get reviews for moderation error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to retrieve reviews',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Moderate single review (Admin only)
+ */
+export const moderateReview = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, moderationNotes } = req.body;
+    const review = await reviewService.moderateReview(id, status, req.user.id, moderationNotes);
+    sendSuccess(res, { review }, 'Review moderated successfully');
+  } catch (error) {
+    logger.error('Moderate review error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to moderate review',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Moderate reviews in bulk (Admin only)
+ */
+export const bulkModerateReviews = async (req, res) => {
+  try {
+    const { reviewIds, status, moderationNotes } = req.body;
+    const result = await reviewService.bulkModerateReviews(
+      reviewIds,
+      status,
+      req.user.id,
+      moderationNotes
+    );
+    sendSuccess(res, result, 'Reviews moderated successfully');
+  } catch (error) {
+    logger.error('Bulk moderate reviews error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to moderate reviews',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Post or update merchant reply on a review (Admin only)
+ */
+export const replyToReview = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const review = await reviewService.replyToReview(id, req.body.comment, req.user.id);
+    sendSuccess(res, { review }, 'Reply posted successfully');
+  } catch (error) {
+    logger.error('Reply to review error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to post reply',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Remove merchant reply from a review (Admin only)
+ */
+export const deleteReviewReply = async (req, res) => {
+  try {
+    const { id } = req.params;
+    await reviewService.deleteReviewReply(id);
+    sendSuccess(res, null, 'Reply removed successfully');
+  } catch (error) {
+    logger.error('Delete review reply error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to remove reply',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
@@ -0,0 +1,141 @@
+import roleService from '../services/role.service.js';
+import { sendSuccess, sendError } from '../utils/response.util.js';
+import { HTTP_STATUS } from '../config/constants.js';
+import { logger } from '../utils/logger.util.js';
+
+/**
+ * List permissions available to roles (Admin)
+ */
+export const getPermissions = async (req, res) => {
+  try {
+    const permissions = roleService.getPermissionCatalog();
+    sendSuccess(res, { permissions }, 'Permissions retrieved successfully');
+  } catch (error) {
+    logger.error('Get permissions error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to retrieve permissions',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * List staff roles (Admin)
+ */
+export const getRoles = async (req, res) => {
+  try {
+    const roles = await roleService.listRoles();
+    sendSuccess(res, { roles }, 'Roles retrieved successfully');
+  } catch (error) {
+    logger.error('Get roles error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to retrieve roles',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Create staff role (Admin)
+ */
+export const createRole = async (req, res) => {
+  try {
+    const role = await roleService.createRole(req.body);
+    sendSuccess(res, { role }, 'Role created successfully', HTTP_STATUS.CREATED);
+  } catch (error) {
+    logger.error('Create role error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to create role',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Update staff role (Admin)
+ */
+export const updateRole = async (req, res) => {
+  try {
+    const role = await roleService.updateRole(req.params.id, req.body);
+    sendSuccess(res, { role }, 'Role updated successfully');
+  } catch (error) {
+    logger.error('Update role error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to update role',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Delete staff role (Admin)
+ */
+export const deleteRole = async (req, res) => {
+  try {
+    await roleService.deleteRole(req.params.id);
+    sendSuccess(res, null, 'Role deleted successfully');
+  } catch (error) {
+    logger.error('Delete role error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to delete role',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * List admin and staff accounts (Admin)
+ */
+export const getStaff = async (req, res) => {
+  try {
+    const staff = await roleService.listStaff();
+    sendSuccess(res, { staff }, 'Staff retrieved successfully');
+  } catch (error) {
+    logger.error('Get staff error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to retrieve staff',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Grant back-office access to an existing account (Admin)
+ */
+export const addStaffMember = async (req, res) => {
+  try {
+    const { email, ...assignment } = req.body;
+    const member = await roleService.assignRole({ email }, assignment, req.user.id);
+    sendSuccess(res, { member }, 'Staff member added successfully');
+  } catch (error) {
+    logger.error('Add staff member error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to add staff member',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Change or revoke a user's back-office access (Admin)
+ */
+export const assignUserRole = async (req, res) => {
+  try {
+    const member = await roleService.assignRole({ userId: req.params.id }, req.body, req.user.id);
+    sendSuccess(res, { member }, 'Role assigned successfully');
+  } catch (error) {
+    logger.error('Assign role error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to assign role',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
@@ -0,0 +1,136 @@
+import shippingService from '../services/shipping.service.js';
+import pricingService from '../services/pricing.service.js';
+import trackingService from '../services/carrier/tracking.service.js';
+import { sendSuccess, sendError } from '../utils/response.util.js';
+import { HTTP_STATUS } from '../config/constants.js';
+import { logger } from '../utils/logger.util.js';
+
+/**
+ * Cart owner for the request: the user id, or the guest session
+ */
+const getCartOwner = (req) => (req.user ? req.user.id : { sessionId: req.guestSessionId });
+
+/**
+ * Get shipping rates for the current cart and an address
+ */
+export const getShippingRates = async (req, res) => {
+  try {
+    const { couponCode, ...shippingAddress } = req.query;
+    const result = await pricingService.getShippingRates(getCartOwner(req), {
+      shippingAddress,
+      couponCode,
+    });
+
+    sendSuccess(res, result, 'Shipping rates retrieved successfully');
+  } catch (error) {
+    logger.error('Get shipping rates error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to retrieve shipping rates',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Get shipping zones (Admin only)
+ */
+export const getZones = async (req, res) => {
+  try {
+    const zones = await shippingService.getZones();
+    sendSuccess(res, { zones }, 'Shipping zones retrieved successfully');
+  } catch (error) {
+    logger.error('Get shipping zones error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to retrieve shipping zones',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Get a shipping zone (Admin only)
+ */
+export const getZone = async (req, res) => {
+  try {
+    const zone = await shippingService.getZone(req.params.id);
+    sendSuccess(res, { zone }, 'Shipping zone retrieved successfully');
+  } catch (error) {
+    logger.error('Get shipping zone error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to retrieve shipping zone',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Create a shipping zone (Admin only)
+ */
+export const createZone = async (req, res) => {
+  try {
+    const zone = await shippingService.createZone(req.body);
+    sendSuccess(res, { zone }, 'Shipping zone created successfully', HTTP_STATUS.CREATED);
+  } catch (error) {
+    logger.error('Create shipping zone error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to create shipping zone',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Update a shipping zone (Admin only)
+ */
+export const updateZone = async (req, res) => {
+  try {
+    const zone = await shippingService.updateZone(req.params.id, req.body);
+    sendSuccess(res, { zone }, 'Shipping zone updated successfully');
+  } catch (error) {
+    logger.error('Update shipping zone error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to update shipping zone',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Delete a shipping zone (Admin only)
+ */
+export const deleteZone = async (req, res) => {
+  try {
+    await shippingService.deleteZone(req.params.id);
+    sendSuccess(res, null, 'Shipping zone deleted successfully');
+  } catch (error) {
+    logger.error('Delete shipping zone error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to delete shipping zone',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Handle a carrier tracking webhook
+ */
+export const handleTrackingWebhook = async (req, res) => {
+  try {
+    const result = await trackingService.handleWebhook(req.params.carrier, req.body, req.headers);
+
+    sendSuccess(res, result, 'Webhook processed successfully');
+  } catch (error) {
+    logger.error('Tracking webhook error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to process webhook',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
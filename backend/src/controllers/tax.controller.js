@@ -0,0 +1,107 @@
+import taxService from '../services/tax.service.js';
+import { sendSuccess, sendError } from '../utils/response.util.js';
+import { HTTP_STATUS } from '../config/constants.js';
+import { logger } from '../utils/logger.util.js';
+
+/**
+ * Get price display settings (public)
+ */
+export const getDisplaySettings = async (req, res) => {
+  try {
+    const settings = await taxService.getDisplaySettings();
+    sendSuccess(res, settings, 'Tax display settings retrieved successfully');
+  } catch (error) {
+    logger.error('Get tax display settings error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to retrieve tax display settings',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Get tax rates (Admin only)
+ */
+export const getTaxRates = async (req, res) => {
+  try {
+    const result = await taxService.getTaxRates(req.query);
+    sendSuccess(res, result, 'Tax rates retrieved successfully');
+  } catch (error) {
+    logger.error('Get tax rates error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to retrieve tax rates',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Create a tax rate (Admin only)
+ */
+export const createTaxRate = async (req, res) => {
+  try {
+    const taxRate = await taxService.createTaxRate(req.body);
+    sendSuccess(res, { taxRate }, 'Tax rate created successfully', HTTP_STATUS.CREATED);
+  } catch (error) {
+    logger.error('Create tax rate error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to create tax rate',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Update a tax rate (Admin only)
+ */
+export const updateTaxRate = async (req, res) => {
+  try {
+    const taxRate = await taxService.updateTaxRate(req.params.id, req.body);
+    sendSuccess(res, { taxRate }, 'Tax rate updated successfully');
+  } catch (error) {
+    logger.error('Update tax rate error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to update tax rate',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Delete a tax rate (Admin only)
+ */
+export const deleteTaxRate = async (req, res) => {
+  try {
+    await taxService.deleteTaxRate(req.params.id);
+    sendSuccess(res, null, 'Tax rate deleted successfully');
+  } catch (error) {
+    logger.error('Delete tax rate error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to delete tax rate',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Import tax rates from CSV (Admin only)
+ */
+export const importTaxRates = async (req, res) => {
+  try {
+    const result = await taxService.importTaxRates(req.body.csv, { replace: req.body.replace });
+    sendSuccess(res, result, 'Tax rates imported successfully');
+  } catch (error) {
+    logger.error('Import tax rates error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to import tax rates',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      error.validationErrors ? { validationErrors: error.validationErrors } : null
+    );
+  }
+};
@@ -0,0 +1,92 @@
+import wishlistService from '../services/wishlist.service.js';
+import { sendSuccess, sendError } from '../utils/response.util.js';
+import { HTTP_STATUS } from '../config/constants.js';
+import { logger } from '../utils/logger.util.js';
+
+/**
+ * Get user's wishlist
+ */
+export const getWishlist = async (req, res) => {
+  try {
+    const wishlist = await wishlistService.getOrCreateWishlist(req.user.id);
+    sendSuccess(res, { wishlist }, 'Wishlist retrieved successfully');
+  } catch (error) {
+    logger.error('Get wishlist error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to retrieve wishlist',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Add item to wishlist
+ */
+export const addItem = async (req, res) => {
+  try {
+    const { productId, selectedVariants } = req.body;
+    const wishlist = await wishlistService.addItem(req.user.id, productId, selectedVariants || []);
+    sendSuccess(res, { wishlist }, 'Item added to wishlist', HTTP_STATUS.CREATED);
+  } catch (error) {
+    logger.error('Add item to wishlist error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to add item to wishlist',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Remove item from wishlist
+ */
+export const removeItem = async (req, res) => {
+  try {
+    const { itemId } = req.params;
+    const wishlist = await wishlistService.removeItem(req.user.id, itemId);
+    sendSuccess(res, { wishlist }, 'Item removed from wishlist');
+  } catch (error) {
+    logger.error('Remove item from wishlist error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to remove item from wishlist',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Clear wishlist
+ */
+export const clearWishlist = async (req, res) => {
+  try {
+    const wishlist = await wishlistService.clearWishlist(req.user.id);
+    sendSuccess(res, { wishlist }, 'Wishlist cleared successfully');
+  } catch (error) {
+    logger.error('Clear wishlist error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to clear wishlist',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
+/**
+ * Move wishlist item to cart
+ */
+export const moveToCart = async (req, res) => {
+  try {
+    const { itemId } = req.params;
+    const result = await wishlistService.moveToCart(req.user.id, itemId, req.body.quantity);
+    sendSuccess(res, result, 'Item moved to cart');
+  } catch (error) {
+    logger.error('Move wishlist item to cart error:', error);
+    sendError(
+      res,
+      error.message || 'Failed to move item to cart',
+      error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR
+    );
+  }
+};
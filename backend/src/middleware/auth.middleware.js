@@ -1,7 +1,9 @@
 import { verifyToken, generateTokenPayload } from '../utils/jwt.util.js';
 import { sendError } from '../utils/response.util.js';
-import { HTTP_STATUS } from '../config/constants.js';
+import { HTTP_STATUS, USER_ROLES } from '../config/constants.js';
 import User from '../models/User.js';
+import sessionService from '../services/session.service.js';
+import config from '../config/index.js';
 
 /**
  * Verify JWT access token and attach user to request
@@ -20,15 +22,35 @@ export const authenticate = async (req, res, next) => {
     // Verify token
     const decoded = verifyToken(token);
 
+    // Refresh and two-factor challenge tokens cannot be used for API access
+    if (decoded.type !== 'access') {
+      return sendError(res, 'Invalid token', HTTP_STATUS.UNAUTHORIZED);
+    }
+
+    // Reject access tokens whose session was signed out or revoked
+    if (decoded.sid && !(await sessionService.isSessionActive(decoded.sid))) {
+      return sendError(res, 'Session has been revoked', HTTP_STATUS.UNAUTHORIZED);
+    }
+
     // Get user from database
     const user = await User.findById(decoded.id).select('-password');
 
-    if (!user) {
+    if (!user || user.deletedAt) {
       return sendError(res, 'User not found', HTTP_STATUS.UNAUTHORIZED);
     }
 
-    // Attach user to request
+    if (!user.isActive) {
+      return sendError(res, 'Account is deactivated', HTTP_STATUS.FORBIDDEN);
+    }
+
+    // Staff permissions come from their role; load it for permission checks
+    if (user.role === USER_ROLES.STAFF) {
+      await user.populate('staffRole', 'key name permissions');
+    }
+
+    // Attach user and session to request
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     if (error.message === 'Token expired') {
@@ -41,6 +63,50 @@ export const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Attach user to request when a valid access token is present,
+ * otherwise continue as guest
+ */
+export const optionalAuthenticate = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+      const decoded = verifyToken(authHeader.substring(7));
+      const sessionActive =
+        decoded.type === 'access' &&
+        (!decoded.sid || (await sessionService.isSessionActive(decoded.sid)));
+      const user = sessionActive ? await User.findById(decoded.id).select('-password') : null;
 
+      if (user && user.isActive && !user.deletedAt) {
+        if (user.role === USER_ROLES.STAFF) {
+          await user.populate('staffRole', 'key name permissions');
+        }
+        req.user = user;
+        req.sessionId = decoded.sid;
+      }
+    }
+  } catch (error) {
+    // Invalid or expired token: treat as guest
+  }
 
+  next();
+};
 
+/**
+ * Block checkout for users who have not verified their email address
+ * Only enforced when REQUIRE_VERIFIED_EMAIL_FOR_CHECKOUT is enabled.
+ * Guests have no account to verify and pass through.
+ * Must be used after authenticate or optionalAuthenticate.
+ */
+export const requireVerifiedEmailForCheckout = (req, res, next) => {
+  if (config.auth.requireVerifiedEmailForCheckout && req.user && !req.user.isEmailVerified) {
+    return sendError(
+      res,
+      'Please verify your email address before checking out',
+      HTTP_STATUS.FORBIDDEN
+    );
+  }
+
+  next();
+};
@@ -0,0 +1,46 @@
+import { generateSecureToken } from '../utils/jwt.util.js';
+import config from '../config/index.js';
+
+export const GUEST_SESSION_COOKIE = 'guestSession';
+
+const guestSessionCookieOptions = () => ({
+  httpOnly: true,
+  secure: config.cookies.secure,
+  sameSite: config.cookies.sameSite,
+  signed: true,
+});
+
+/**
+ * Read the guest session id from the signed cookie
+ * Returns null when the cookie is missing or has been tampered with.
+ */
+export const getGuestSessionId = (req) => req.signedCookies?.[GUEST_SESSION_COOKIE] || null;
+
+/**
+ * Drop the guest session cookie, e.g. once its cart belongs to an account
+ */
+export const clearGuestSession = (res) => {
+  res.clearCookie(GUEST_SESSION_COOKIE, guestSessionCookieOptions());
+};
+
+/**
+ * Give anonymous visitors a guest session for their cart and checkout
+ * Sets req.guestSessionId when there is no authenticated user.
+ * Must be used after optionalAuthenticate.
+ */
+export const guestSession = (req, res, next) => {
+  if (req.user) {
+    return next();
+  }
+
+  const guestSessionId = getGuestSessionId(req) || generateSecureToken();
+
+  // Re-issued on every request so the cookie lives as long as the cart
+  res.cookie(GUEST_SESSION_COOKIE, guestSessionId, {
+    ...guestSessionCookieOptions(),
+    maxAge: config.cookies.guestSessionMaxAge,
+  });
+
+  req.guestSessionId = guestSessionId;
+  next();
+};
@@ -138,3 +138,110 @@ export const paymentLimiter = rateLimit({
   },
 });
 
+
+/**
+ * Rate limiter for gift card balance checks
+ * 10 lookups per 15 minutes per IP (limits code guessing)
+ */
+export const giftCardLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  message: {
+    success: false,
+    error: {
+      message: 'Too many gift card lookups, please try again later.',
+    },
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    logger.warn(`Gift card rate limit exceeded for IP: ${req.ip}`);
+    res.status(429).json({
+      success: false,
+      error: {
+        message: 'Too many gift card lookups, please try again later.',
+      },
+    });
+  },
+});
+
+/**
+ * Rate limiter for guest order lookups
+ * 10 lookups per 15 minutes per IP (limits order number and email guessing)
+ */
+export const orderLookupLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  message: {
+    success: false,
+    error: {
+      message: 'Too many order lookups, please try again later.',
+    },
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    logger.warn(`Order lookup rate limit exceeded for IP: ${req.ip}`);
+    res.status(429).json({
+      success: false,
+      error: {
+        message: 'Too many order lookups, please try again later.',
+        retryAfter: Math.ceil(15 * 60), // 15 minutes in seconds
+      },
+    });
+  },
+});
+
+/**
+ * Rate limiter for resending verification emails
+ * 3 emails per hour per IP
+ */
+export const emailVerificationLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3,
+  message: {
+    success: false,
+    error: {
+      message: 'Too many verification emails requested, please try again later.',
+    },
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    logger.warn(`Email verification rate limit exceeded for IP: ${req.ip}`);
+    res.status(429).json({
+      success: false,
+      error: {
+        message: 'Too many verification emails requested, please try again later.',
+        retryAfter: Math.ceil(60 * 60), // 1 hour in seconds
+      },
+    });
+  },
+});
+
+/**
+ * Rate limiter for personal data exports
+ * 5 exports per hour per IP
+ */
+export const dataExportLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5,
+  message: {
+    success: false,
+    error: {
+      message: 'Too many data export requests, please try again later.',
+    },
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    logger.warn(`Data export rate limit exceeded for IP: ${req.ip}`);
+    res.status(429).json({
+      success: false,
+      error: {
+        message: 'Too many data export requests, please try again later.',
+        retryAfter: Math.ceil(60 * 60), // 1 hour in seconds
+      },
+    });
+  },
+});
@@ -1,6 +1,26 @@
 import { sendError } from '../utils/response.util.js';
 import { HTTP_STATUS } from '../config/constants.js';
 import { USER_ROLES } from '../config/constants.js';
+import twoFactorService from '../services/two-factor.service.js';
+
+/**
+ * Reject back-office accounts that have not enrolled in two-factor
+ * authentication while the policy is on
+ * @returns {Boolean} True when a response was sent
+ */
+const rejectMissingTwoFactor = (req, res) => {
+  if (!twoFactorService.isRequiredFor(req.user) || req.user.twoFactor?.enabled) {
+    return false;
+  }
+
+  sendError(
+    res,
+    'Two-factor authentication is required for admin and staff accounts. Enable it from your profile.',
+    HTTP_STATUS.FORBIDDEN,
+    { code: 'TWO_FACTOR_REQUIRED' }
+  );
+  return true;
+};
 
 /**
  * Check if user has required role(s)
@@ -21,16 +41,63 @@ export const authorize = (...roles) => {
       );
     }
 
+    // Back-office accounts must enroll in two-factor authentication when the policy is on
+    if (rejectMissingTwoFactor(req, res)) {
+      return;
+    }
+
     next();
   };
 };
 
-// Convenience middleware for admin only
-export const adminOnly = authorize(USER_ROLES.ADMIN);
+/**
+ * Check if user holds every required permission
+ * Admins hold all permissions; staff get those of their assigned role.
+ * @param {...String} permissions - Required permissions (see config/permissions.js)
+ * @returns {Function} Express middleware
+ */
+export const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return sendError(res, 'Authentication required', HTTP_STATUS.UNAUTHORIZED);
+    }
 
-// Convenience middleware for customer only
-export const customerOnly = authorize(USER_ROLES.CUSTOMER);
+    if (!req.user.hasPermission(...permissions)) {
+      return sendError(
+        res,
+        'You do not have permission to access this resource',
+        HTTP_STATUS.FORBIDDEN
+      );
+    }
+
+    if (rejectMissingTwoFactor(req, res)) {
+      return;
+    }
+
+    next();
+  };
+};
 
+/**
+ * Check inside a handler whether the user may act with these permissions
+ * For routes open to customers that give staff more, e.g. every order
+ * instead of their own. Use this rather than User.hasPermission directly:
+ * back-office accounts missing required two-factor get only what a
+ * customer would.
+ * @param {Object} req - Express request
+ * @param {...String} permissions - Required permissions (see config/permissions.js)
+ * @returns {Boolean}
+ */
+export const canAct = (req, ...permissions) => {
+  if (!req.user?.hasPermission(...permissions)) {
+    return false;
+  }
 
+  return !twoFactorService.isRequiredFor(req.user) || Boolean(req.user.twoFactor?.enabled);
+};
 
+// Convenience middleware for admin only
+export const adminOnly = authorize(USER_ROLES.ADMIN);
 
+// Convenience middleware for customer only
+export const customerOnly = authorize(USER_ROLES.CUSTOMER);
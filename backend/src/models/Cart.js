@@ -41,19 +41,15 @@ const cartItemSchema = new mongoose.Schema(
 
 const cartSchema = new mongoose.Schema(
   {
+    // Account carts have a user, guest carts a session id
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
-      required: true,
-      unique: true,
-      index: true,
     },
     items: [cartItemSchema],
-    // Session ID for guest carts (optional)
+    // Session ID for guest carts, from the signed guest session cookie
     sessionId: {
       type: String,
-      index: true,
-      sparse: true,
     },
     // Expires after 30 days of inactivity
     expiresAt: {
@@ -69,10 +65,25 @@ const cartSchema = new mongoose.Schema(
 );
 
 // Indexes
-cartSchema.index({ user: 1 }, { unique: true });
-cartSchema.index({ sessionId: 1 }, { sparse: true });
+// One cart per user and per guest session
+cartSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { user: { $type: 'objectId' } } }
+);
+cartSchema.index(
+  { sessionId: 1 },
+  { unique: true, partialFilterExpression: { sessionId: { $type: 'string' } } }
+);
 cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL index
 
+// Every cart belongs to a user or a guest session
+cartSchema.pre('validate', function (next) {
+  if (!this.user && !this.sessionId) {
+    this.invalidate('user', 'Cart must belong to a user or a guest session');
+  }
+  next();
+});
+
 // Virtual for cart total
 cartSchema.virtual('total').get(function () {
   return this.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
@@ -0,0 +1,150 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// Unambiguous characters (no 0/O, 1/I/L)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+/**
+ * Gift card ledger entry
+ * Every balance change is recorded with the resulting balance
+ */
+const giftCardTransactionSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['issue', 'redeem', 'restore', 'adjust', 'void'],
+      required: true,
+    },
+    // Signed amount (negative for redemptions)
+    amount: {
+      type: Number,
+      required: true,
+    },
+    balanceAfter: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+    },
+    performedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    note: String,
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: true }
+);
+
+/**
+ * Gift Card Model
+ * Stored-value cards redeemable at checkout
+ */
+const giftCardSchema = new mongoose.Schema(
+  {
+    // Redemption code (unique, uppercase)
+    code: {
+      type: String,
+      required: [true, 'Gift card code is required'],
+      unique: true,
+      uppercase: true,
+      trim: true,
+      index: true,
+    },
+    initialBalance: {
+      type: Number,
+      required: [true, 'Initial balance is required'],
+      min: [0.01, 'Initial balance must be greater than 0'],
+    },
+    // Remaining balance
+    balance: {
+      type: Number,
+      required: true,
+      min: [0, 'Balance cannot be negative'],
+    },
+    currency: {
+      type: String,
+      default: 'usd',
+    },
+    expiresAt: {
+      type: Date,
+      index: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+    // Optional recipient details
+    recipientEmail: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    recipientName: {
+      type: String,
+      trim: true,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Note cannot exceed 500 characters'],
+    },
+    // Groups cards issued together in bulk
+    batchId: {
+      type: String,
+      index: true,
+      sparse: true,
+    },
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    transactions: [giftCardTransactionSchema],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+giftCardSchema.index({ isActive: 1, expiresAt: 1 });
+giftCardSchema.index({ createdAt: -1 });
+
+// Virtual: card is expired
+giftCardSchema.virtual('isExpired').get(function () {
+  return !!this.expiresAt && this.expiresAt <= new Date();
+});
+
+// Virtual: card can be redeemed
+giftCardSchema.virtual('isRedeemable').get(function () {
+  return this.isActive && !this.isExpired && this.balance > 0;
+});
+
+// Virtual: masked code for display (last 4 characters)
+giftCardSchema.virtual('maskedCode').get(function () {
+  return this.code ? `****-${this.code.slice(-4)}` : null;
+});
+
+/**
+ * Generate a random code in the form GC-XXXX-XXXX-XXXX
+ */
+giftCardSchema.statics.generateCode = function () {
+  const bytes = crypto.randomBytes(12);
+  const chars = Array.from(bytes, (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]);
+  return `GC-${chars.slice(0, 4).join('')}-${chars.slice(4, 8).join('')}-${chars.slice(8, 12).join('')}`;
+};
+
+// Ensure virtuals are included in JSON
+giftCardSchema.set('toJSON', { virtuals: true });
+giftCardSchema.set('toObject', { virtuals: true });
+
+const GiftCard = mongoose.model('GiftCard', giftCardSchema);
+
+export default GiftCard;
@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+/**
+ * Login Event Model
+ * One entry per sign-in attempt, kept for the user's login history and admin review
+ */
+const loginEventSchema = new mongoose.Schema(
+  {
+    // Null when the email did not match an account
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    success: {
+      type: Boolean,
+      required: true,
+    },
+    failureReason: {
+      type: String,
+      enum: ['unknown_email', 'invalid_password', 'invalid_2fa', 'locked'],
+    },
+    ip: {
+      type: String,
+      default: '',
+    },
+    userAgent: {
+      type: String,
+      default: '',
+      maxlength: 500,
+    },
+    // Hash of the version-stripped user agent, used to recognise devices
+    deviceHash: {
+      type: String,
+    },
+    // Successful login from a device not seen on this account before
+    newDevice: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Indexes
+loginEventSchema.index({ user: 1, createdAt: -1 });
+loginEventSchema.index({ user: 1, success: 1, deviceHash: 1 });
+loginEventSchema.index({ createdAt: -1 });
+// Keep one year of history
+loginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 365 * 24 * 60 * 60 });
+
+const LoginEvent = mongoose.model('LoginEvent', loginEventSchema);
+
+export default LoginEvent;
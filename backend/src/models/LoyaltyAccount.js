@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+/**
+ * Loyalty Account Model
+ * Running points balance per user; the ledger lives in LoyaltyTransaction
+ */
+const loyaltyAccountSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      unique: true,
+      index: true,
+    },
+    // Spendable points (sum of remaining points on earn/restore entries)
+    balance: {
+      type: Number,
+      default: 0,
+      min: [0, 'Points balance cannot be negative'],
+    },
+    lifetimeEarned: {
+      type: Number,
+      default: 0,
+    },
+    lifetimeRedeemed: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const LoyaltyAccount = mongoose.model('LoyaltyAccount', loyaltyAccountSchema);
+
+export default LoyaltyAccount;
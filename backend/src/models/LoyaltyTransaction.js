@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+import { LOYALTY_TRANSACTION_TYPES } from '../config/constants.js';
+
+/**
+ * Loyalty Transaction Model
+ * Points ledger entry. Earn and restore entries are also "lots" that track
+ * how many of their points are still unspent so they can expire.
+ */
+const loyaltyTransactionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: Object.values(LOYALTY_TRANSACTION_TYPES),
+      required: true,
+    },
+    // Signed points (negative for redeem, clawback and expire)
+    points: {
+      type: Number,
+      required: true,
+    },
+    balanceAfter: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Description cannot exceed 200 characters'],
+    },
+    // Lot tracking (earn / restore entries only)
+    remaining: {
+      type: Number,
+      min: 0,
+    },
+    expiresAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+loyaltyTransactionSchema.index({ user: 1, createdAt: -1 });
+loyaltyTransactionSchema.index({ user: 1, remaining: 1, expiresAt: 1 });
+
+const LoyaltyTransaction = mongoose.model('LoyaltyTransaction', loyaltyTransactionSchema);
+
+export default LoyaltyTransaction;
@@ -1,5 +1,130 @@
 import mongoose from 'mongoose';
-import { ORDER_STATUS, PAYMENT_STATUS } from '../config/constants.js';
+import {
+  ORDER_STATUS,
+  PAYMENT_STATUS,
+  PAYMENT_METHODS,
+  PRICE_LINE_TYPES,
+  TAX_CLASSES,
+  TRACKING_STATUS,
+  FULFILLMENT_STATUS,
+} from '../config/constants.js';
+
+/**
+ * One package of an order
+ * Covers some quantity of some order items; an order can ship in several.
+ */
+const fulfillmentSchema = new mongoose.Schema({
+  items: [
+    {
+      _id: false,
+      // _id of the line in Order.items
+      item: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+      },
+      quantity: {
+        type: Number,
+        required: true,
+        min: 1,
+      },
+    },
+  ],
+  // Carrier adapter key (e.g. "manual") or the name of any other carrier
+  carrier: String,
+  trackingNumber: String,
+  labelUrl: String,
+  status: {
+    type: String,
+    enum: Object.values(FULFILLMENT_STATUS),
+    default: FULFILLMENT_STATUS.SHIPPED,
+  },
+  // Carrier scans, oldest first
+  trackingEvents: [
+    {
+      _id: false,
+      status: {
+        type: String,
+        enum: Object.values(TRACKING_STATUS),
+        required: true,
+      },
+      description: String,
+      location: String,
+      occurredAt: {
+        type: Date,
+        required: true,
+      },
+      // Carrier's id for the event; polls and webhooks may repeat events
+      eventId: String,
+    },
+  ],
+  lastTrackedAt: Date,
+  shippedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  deliveredAt: Date,
+});
+
+/**
+ * Money paid back on an order
+ * Lists the items and quantities it covers; refunds without items are
+ * goodwill amounts or refunds made at the payment gateway.
+ */
+const refundSchema = new mongoose.Schema(
+  {
+    items: [
+      {
+        _id: false,
+        // _id of the line in Order.items
+        item: {
+          type: mongoose.Schema.Types.ObjectId,
+          required: true,
+        },
+        quantity: {
+          type: Number,
+          required: true,
+          min: 1,
+        },
+        // Prorated from the line so repeated refunds add up to it exactly
+        subtotal: Number,
+        discount: Number,
+        tax: Number,
+      },
+    ],
+    // Shipping cost and its tax
+    shipping: {
+      type: Number,
+      default: 0,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // How the amount was paid back
+    gatewayAmount: {
+      type: Number,
+      default: 0,
+    },
+    giftCardAmount: {
+      type: Number,
+      default: 0,
+    },
+    refundId: String, // Gateway refund ID
+    reason: String,
+    return: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Return',
+    },
+    refundedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
 
 const orderSchema = new mongoose.Schema(
   {
@@ -9,12 +134,29 @@ const orderSchema = new mongoose.Schema(
       unique: true,
       index: true,
     },
+    // Not set for guest checkouts
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
-      required: true,
       index: true,
     },
+    // Contact email captured at guest checkout
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      required: [
+        function () {
+          return !this.user;
+        },
+        'Email is required for guest orders',
+      ],
+    },
+    // Guest session that placed the order, so the same browser can pay for it
+    guestSessionId: {
+      type: String,
+      select: false,
+    },
     items: [
       {
         product: {
@@ -52,6 +194,27 @@ const orderSchema = new mongoose.Schema(
           type: Number,
           required: true,
         },
+        // Tax snapshot so invoices and refunds can prorate per line
+        taxClass: {
+          type: String,
+          enum: Object.values(TAX_CLASSES),
+          default: TAX_CLASSES.STANDARD,
+        },
+        discount: {
+          type: Number,
+          default: 0, // Share of coupon and points discounts
+          min: 0,
+        },
+        taxRate: {
+          type: Number,
+          default: 0, // Combined percentage applied
+          min: 0,
+        },
+        tax: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
       },
     ],
     shippingAddress: {
@@ -75,7 +238,7 @@ const orderSchema = new mongoose.Schema(
     payment: {
       method: {
         type: String,
-        enum: ['stripe', 'paypal', 'payhere'],
+        enum: Object.values(PAYMENT_METHODS),
         required: true,
       },
       status: {
@@ -95,21 +258,35 @@ const orderSchema = new mongoose.Schema(
         default: 'usd',
       },
       paidAt: Date,
-      refundedAt: Date,
+      refundedAt: Date, // Latest refund
+      // Gateway refunds requested but not yet recorded in refunds
+      pendingRefundAmount: {
+        type: Number,
+        default: 0,
+      },
     },
     shipping: {
+      // Rate chosen at checkout: "<zone id>:<method id>"
+      rateId: String,
+      zone: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ShippingZone',
+      },
+      // Method code, e.g. "standard"
       method: {
         type: String,
         required: true,
       },
+      // Method name shown to the customer
+      name: String,
       cost: {
         type: Number,
         required: true,
         min: 0,
       },
-      trackingNumber: String,
-      carrier: String,
     },
+    // Packages sent so far, each with its own carrier and tracking
+    fulfillments: [fulfillmentSchema],
     status: {
       type: String,
       enum: Object.values(ORDER_STATUS),
@@ -141,7 +318,62 @@ const orderSchema = new mongoose.Schema(
         type: Number,
       },
     },
+    // Gift cards redeemed against this order
+    giftCards: [
+      {
+        giftCard: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'GiftCard',
+          required: true,
+        },
+        code: String, // Masked code snapshot
+        amount: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        restoredAmount: {
+          type: Number,
+          default: 0, // Put back on the card by refunds so far
+        },
+        restoredAt: Date, // Set when the whole amount is back on the card
+      },
+    ],
+    giftCardAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Loyalty points redeemed and earned on this order
+    loyalty: {
+      pointsRedeemed: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      discountAmount: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      redeemedRestoredAt: Date,
+      pointsEarned: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      earnedAt: Date,
+      pointsClawedBack: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+    },
     tax: {
+      type: Number,
+      default: 0, // Item tax plus shippingTax
+    },
+    shippingTax: {
       type: Number,
       default: 0,
     },
@@ -153,6 +385,32 @@ const orderSchema = new mongoose.Schema(
       type: Number,
       required: true,
     },
+    refunds: [refundSchema],
+    // Sum of refunds; total minus this is what the customer has paid net
+    refundedAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Line-by-line price breakdown computed at checkout, in display order
+    priceBreakdown: [
+      {
+        _id: false,
+        type: {
+          type: String,
+          enum: Object.values(PRICE_LINE_TYPES),
+          required: true,
+        },
+        label: {
+          type: String,
+          required: true,
+        },
+        amount: {
+          type: Number,
+          required: true, // Negative for discounts and gift cards
+        },
+      },
+    ],
     notes: String,
     // Admin notes (internal)
     adminNotes: String,
@@ -201,15 +459,82 @@ orderSchema.index({ 'payment.paymentIntentId': 1 }, { sparse: true });
 // 7. Transaction ID (for payment lookups)
 orderSchema.index({ 'payment.transactionId': 1 }, { sparse: true });
 
-// 8. PaidAt (for revenue reports)
+// 8. Carrier + tracking number (for tracking webhooks and polling)
+orderSchema.index(
+  { 'fulfillments.carrier': 1, 'fulfillments.trackingNumber': 1 },
+  { sparse: true }
+);
+
+// 9. PaidAt (for revenue reports)
 orderSchema.index({ paidAt: -1 });
 
-// 9. CreatedAt (for time-based queries)
+// 10. CreatedAt (for time-based queries)
 orderSchema.index({ createdAt: -1 });
 
-// 10. Text search for order number (already indexed, but explicit)
+// 11. Text search for order number (already indexed, but explicit)
 orderSchema.index({ orderNumber: 'text' });
 
+// Amount left to charge after gift cards
+orderSchema.virtual('amountDue').get(function () {
+  return Math.max(0, Math.round((this.total - (this.giftCardAmount || 0)) * 100) / 100);
+});
+
+// What the customer has paid net of refunds
+orderSchema.virtual('netPaid').get(function () {
+  return Math.max(0, Math.round((this.total - (this.refundedAmount || 0)) * 100) / 100);
+});
+
+/**
+ * Whether the order was placed by this owner
+ * @param {String|Object} owner - User ID, or { sessionId } for a guest
+ * Guest orders must be loaded with +guestSessionId.
+ */
+orderSchema.methods.isPlacedBy = function (owner) {
+  if (owner?.sessionId) {
+    return !this.user && this.guestSessionId === owner.sessionId;
+  }
+
+  return Boolean(this.user && owner) && this.user._id.toString() === owner.toString();
+};
+
+/**
+ * Quantity of each line not yet in a package
+ * @returns {Map<String, Number>} Order item _id -> quantity left to ship
+ */
+orderSchema.methods.getUnfulfilledQuantities = function () {
+  const remaining = new Map(this.items.map((item) => [item._id.toString(), item.quantity]));
+
+  for (const fulfillment of this.fulfillments || []) {
+    for (const line of fulfillment.items) {
+      const key = line.item.toString();
+      if (remaining.has(key)) {
+        remaining.set(key, remaining.get(key) - line.quantity);
+      }
+    }
+  }
+
+  return remaining;
+};
+
+/**
+ * Quantity of each line not yet refunded
+ * @returns {Map<String, Number>} Order item _id -> quantity left to refund
+ */
+orderSchema.methods.getRefundableQuantities = function () {
+  const remaining = new Map(this.items.map((item) => [item._id.toString(), item.quantity]));
+
+  for (const refund of this.refunds || []) {
+    for (const line of refund.items) {
+      const key = line.item.toString();
+      if (remaining.has(key)) {
+        remaining.set(key, remaining.get(key) - line.quantity);
+      }
+    }
+  }
+
+  return remaining;
+};
+
 // Generate order number before saving
 orderSchema.pre('save', async function (next) {
   if (!this.orderNumber) {
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { TAX_CLASSES } from '../config/constants.js';
 
 const productSchema = new mongoose.Schema(
   {
@@ -37,6 +38,12 @@ const productSchema = new mongoose.Schema(
       type: Number,
       min: [0, 'Compare at price cannot be negative'],
     },
+    // Which tax rates apply; prices are stored excluding tax
+    taxClass: {
+      type: String,
+      enum: Object.values(TAX_CLASSES),
+      default: TAX_CLASSES.STANDARD,
+    },
     category: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Category',
@@ -121,7 +128,7 @@ const productSchema = new mongoose.Schema(
       trim: true,
       index: true, // For SKU lookups
     },
-    // Weight and dimensions for shipping
+    // Weight (kg) and dimensions (cm) for shipping rates
     weight: {
       type: Number,
       min: [0, 'Weight cannot be negative'],
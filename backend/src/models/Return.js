@@ -0,0 +1,140 @@
+import mongoose from 'mongoose';
+import { RETURN_STATUS, RETURN_REASONS, RETURN_DISPOSITIONS } from '../config/constants.js';
+
+/**
+ * Return Model (RMA)
+ * A customer's request to send back some of the items of one order. Staff
+ * approve it, mark it received (restocking or writing off each item) and
+ * then refund it.
+ */
+const returnSchema = new mongoose.Schema(
+  {
+    returnNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+      index: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    items: {
+      type: [
+        {
+          _id: false,
+          // _id of the line in Order.items
+          item: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true,
+          },
+          product: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product',
+            required: true,
+          },
+          name: {
+            type: String,
+            required: true, // Snapshot from the order
+          },
+          image: String,
+          selectedVariants: [
+            {
+              _id: false,
+              variantName: String,
+              optionValue: String,
+            },
+          ],
+          quantity: {
+            type: Number,
+            required: true,
+            min: 1,
+          },
+          reason: {
+            type: String,
+            enum: Object.values(RETURN_REASONS),
+            required: true,
+          },
+          // Chosen by staff when the item arrives
+          disposition: {
+            type: String,
+            enum: Object.values(RETURN_DISPOSITIONS),
+          },
+          // Set once the stock is back, so a retried receipt skips the line
+          restockedAt: Date,
+        },
+      ],
+      validate: {
+        validator: (items) => items.length > 0,
+        message: 'A return needs at least one item',
+      },
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Comment cannot exceed 1000 characters'],
+    },
+    // Customer photos of the items
+    photos: [
+      {
+        _id: false,
+        url: {
+          type: String,
+          required: true,
+        },
+        publicId: String,
+      },
+    ],
+    status: {
+      type: String,
+      enum: Object.values(RETURN_STATUS),
+      default: RETURN_STATUS.REQUESTED,
+      index: true,
+    },
+    // Shown to the customer when the return is rejected
+    rejectionReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Rejection reason cannot exceed 500 characters'],
+    },
+    // Internal notes
+    adminNotes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Admin notes cannot exceed 1000 characters'],
+    },
+    refund: {
+      amount: Number,
+      refundId: String, // Gateway refund ID
+    },
+    approvedAt: Date,
+    receivedAt: Date,
+    refundedAt: Date,
+    rejectedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Staff queue: newest requests by status
+returnSchema.index({ status: 1, createdAt: -1 });
+
+/**
+ * Generate a return number, e.g. RMA-1718000000000-0042
+ */
+returnSchema.statics.generateReturnNumber = function () {
+  const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
+  return `RMA-${Date.now()}-${random}`;
+};
+
+const Return = mongoose.model('Return', returnSchema);
+
+export default Return;
@@ -78,6 +78,19 @@ const reviewSchema = new mongoose.Schema(
     },
     moderatedAt: Date,
     moderationNotes: String,
+    // Public merchant reply shown under the review
+    merchantReply: {
+      comment: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Reply cannot exceed 1000 characters'],
+      },
+      repliedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      repliedAt: Date,
+    },
   },
   {
     timestamps: true,
@@ -128,48 +141,106 @@ reviewSchema.methods.unmarkHelpful = function (userId) {
   return Promise.resolve(this);
 };
 
-// Static method to update product ratings after review
+/**
+ * Aggregate approved reviews into Product.ratings shape
+ * @param {Object} match - Extra match conditions (e.g. a single product)
+ * @returns {Promise<Array>} [{ _id: productId, average, count, breakdown }]
+ */
+reviewSchema.statics.aggregateRatings = async function (match = {}) {
+  const results = await this.aggregate([
+    { $match: { ...match, status: 'approved' } },
+    {
+      $group: {
+        _id: '$product',
+        average: { $avg: '$rating' },
+        count: { $sum: 1 },
+        ratings: { $push: '$rating' },
+      },
+    },
+  ]);
+
+  return results.map((result) => {
+    const breakdown = { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 };
+    result.ratings.forEach((rating) => {
+      breakdown[rating] += 1;
+    });
+
+    return {
+      _id: result._id,
+      average: Math.round(result.average * 10) / 10, // Round to 1 decimal
+      count: result.count,
+      breakdown,
+    };
+  });
+};
+
+/**
+ * Build Product update for given rating aggregates (zeros if none)
+ */
+const buildRatingsUpdate = (ratings) => ({
+  'ratings.average': ratings?.average || 0,
+  'ratings.count': ratings?.count || 0,
+  'ratings.breakdown': ratings?.breakdown || { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 },
+});
+
+// Static method to update product ratings after review changes
 reviewSchema.statics.updateProductRatings = async function (productId) {
   const Product = mongoose.model('Product');
-  const reviews = await this.find({
-    product: productId,
-    status: 'approved',
+  const [ratings] = await this.aggregateRatings({
+    product: new mongoose.Types.ObjectId(productId.toString()),
   });
 
-  if (reviews.length === 0) {
-    await Product.findByIdAndUpdate(productId, {
-      'ratings.average': 0,
-      'ratings.count': 0,
-      'ratings.breakdown.5': 0,
-      'ratings.breakdown.4': 0,
-      'ratings.breakdown.3': 0,
-      'ratings.breakdown.2': 0,
-      'ratings.breakdown.1': 0,
-    });
-    return;
+  await Product.findByIdAndUpdate(productId, buildRatingsUpdate(ratings));
+  return ratings || null;
+};
+
+/**
+ * Rebuild ratings for every product from the Review collection
+ * Products without approved reviews are reset to zero
+ * @returns {Promise<Object>} { productsWithReviews, productsReset }
+ */
+reviewSchema.statics.rebuildAllProductRatings = async function () {
+  const Product = mongoose.model('Product');
+  const allRatings = await this.aggregateRatings();
+  const ratedProductIds = allRatings.map((ratings) => ratings._id);
+
+  if (allRatings.length > 0) {
+    await Product.bulkWrite(
+      allRatings.map((ratings) => ({
+        updateOne: {
+          filter: { _id: ratings._id },
+          update: { $set: buildRatingsUpdate(ratings) },
+        },
+      }))
+    );
   }
 
-  const totalRating = reviews.reduce((sum, review) => sum + review.rating, 0);
-  const average = totalRating / reviews.length;
+  const resetResult = await Product.updateMany(
+    { _id: { $nin: ratedProductIds }, 'ratings.count': { $ne: 0 } },
+    { $set: buildRatingsUpdate(null) }
+  );
 
-  const breakdown = {
-    5: reviews.filter((r) => r.rating === 5).length,
-    4: reviews.filter((r) => r.rating === 4).length,
-    3: reviews.filter((r) => r.rating === 3).length,
-    2: reviews.filter((r) => r.rating === 2).length,
-    1: reviews.filter((r) => r.rating === 1).length,
+  return {
+    productsWithReviews: allRatings.length,
+    productsReset: resetResult.modifiedCount || 0,
   };
-
-  await Product.findByIdAndUpdate(productId, {
-    'ratings.average': Math.round(average * 10) / 10, // Round to 1 decimal
-    'ratings.count': reviews.length,
-    'ratings.breakdown': breakdown,
-  });
 };
 
+// Track whether a save changes what counts towards product ratings
+reviewSchema.pre('save', function (next) {
+  if (this.isNew) {
+    this.$locals.affectsRatings = this.status === 'approved';
+  } else {
+    this.$locals.affectsRatings =
+      this.isModified('status') ||
+      (this.status === 'approved' && this.isModified('rating'));
+  }
+  next();
+});
+
 // Post-save hook to update product ratings
 reviewSchema.post('save', async function () {
-  if (this.status === 'approved') {
+  if (this.$locals.affectsRatings) {
     await this.constructor.updateProductRatings(this.product);
   }
 });
@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+import { PERMISSIONS } from '../config/permissions.js';
+
+/**
+ * Role Model
+ * A named set of permissions assigned to staff accounts
+ */
+const roleSchema = new mongoose.Schema(
+  {
+    // Stable identifier, e.g. 'fulfilment'
+    key: {
+      type: String,
+      required: [true, 'Role key is required'],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      immutable: true,
+      match: [/^[a-z0-9_]+$/, 'Role key may only contain lowercase letters, numbers and _'],
+    },
+    name: {
+      type: String,
+      required: [true, 'Role name is required'],
+      trim: true,
+      maxlength: [50, 'Role name cannot exceed 50 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Description cannot exceed 200 characters'],
+    },
+    permissions: {
+      type: [
+        {
+          type: String,
+          enum: {
+            values: Object.values(PERMISSIONS),
+            message: 'Invalid permission',
+          },
+        },
+      ],
+      default: [],
+    },
+    // Built-in roles are recreated whenever they are missing, so they cannot be deleted
+    builtIn: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Role = mongoose.model('Role', roleSchema);
+
+export default Role;
@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+/**
+ * Session Model
+ * One record per signed-in device. The refresh token rotates on every use;
+ * the session is the token family, so replaying a rotated token revokes it.
+ */
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    // SHA-256 hash of the current (latest) refresh token
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+    userAgent: {
+      type: String,
+      default: '',
+      maxlength: 500,
+    },
+    ip: {
+      type: String,
+      default: '',
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Refresh token expiry; expired sessions are removed by the TTL index
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: [
+        'logout',
+        'user_revoked',
+        'token_reuse',
+        'password_reset',
+        'account_deleted',
+        'admin_revoked',
+      ],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+
+/**
+ * Check if the session can still be used
+ * @returns {Boolean}
+ */
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
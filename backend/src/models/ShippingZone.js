@@ -0,0 +1,175 @@
+import mongoose from 'mongoose';
+import { SHIPPING_RATE_TYPES } from '../config/constants.js';
+
+/**
+ * One step of a rate table
+ * The first tier whose limit covers the package sets the cost.
+ */
+const rateTierSchema = new mongoose.Schema(
+  {
+    // Upper bound in kg (weight, dimensional) or currency (price); empty = no limit
+    upTo: {
+      type: Number,
+      min: [0, 'Tier limit cannot be negative'],
+      default: null,
+    },
+    cost: {
+      type: Number,
+      required: [true, 'Tier cost is required'],
+      min: [0, 'Tier cost cannot be negative'],
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Shipping method offered within a zone
+ */
+const shippingMethodSchema = new mongoose.Schema({
+  // Stable identifier stored on orders, e.g. "standard"
+  code: {
+    type: String,
+    required: [true, 'Method code is required'],
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9_-]+$/, 'Method code can only contain letters, numbers, hyphens and underscores'],
+  },
+  // Shown to customers, e.g. "Standard shipping"
+  name: {
+    type: String,
+    required: [true, 'Method name is required'],
+    trim: true,
+    maxlength: [100, 'Method name cannot exceed 100 characters'],
+  },
+  // e.g. "3-5 business days"
+  deliveryEstimate: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Delivery estimate cannot exceed 100 characters'],
+  },
+  rateType: {
+    type: String,
+    enum: Object.values(SHIPPING_RATE_TYPES),
+    default: SHIPPING_RATE_TYPES.FLAT,
+  },
+  // Flat rate cost
+  cost: {
+    type: Number,
+    min: [0, 'Cost cannot be negative'],
+    default: 0,
+  },
+  // Rate table for tiered rate types, in ascending order of upTo
+  tiers: {
+    type: [rateTierSchema],
+    default: [],
+  },
+  // cm³ per kg when converting size to volumetric weight
+  volumetricDivisor: {
+    type: Number,
+    min: [1, 'Volumetric divisor must be at least 1'],
+    default: 5000,
+  },
+  // Free once the merchandise total reaches this; empty = never
+  freeShippingThreshold: {
+    type: Number,
+    min: [0, 'Free shipping threshold cannot be negative'],
+    default: null,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+});
+
+// Tiered methods need a table to price anything
+shippingMethodSchema.pre('validate', function (next) {
+  if (this.rateType !== SHIPPING_RATE_TYPES.FLAT && this.tiers.length === 0) {
+    this.invalidate('tiers', `A ${this.rateType} rate needs at least one tier`);
+  }
+  next();
+});
+
+/**
+ * Shipping Zone Model
+ * A set of destinations and the methods offered there. An address belongs to
+ * the first active zone (by sortOrder) that contains it; a zone without
+ * countries covers everywhere and is only used when no other zone matches.
+ */
+const shippingZoneSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Zone name is required'],
+      unique: true,
+      trim: true,
+      maxlength: [100, 'Zone name cannot exceed 100 characters'],
+    },
+    // ISO country codes; empty = rest of the world
+    countries: [
+      {
+        type: String,
+        uppercase: true,
+        trim: true,
+      },
+    ],
+    // Empty = every state of the countries
+    states: [
+      {
+        type: String,
+        uppercase: true,
+        trim: true,
+      },
+    ],
+    // Empty = every postcode; otherwise postcodes starting with one of these
+    zipPrefixes: [
+      {
+        type: String,
+        uppercase: true,
+        trim: true,
+      },
+    ],
+    sortOrder: {
+      type: Number,
+      default: 0,
+    },
+    methods: {
+      type: [shippingMethodSchema],
+      default: [],
+      validate: {
+        validator: (methods) => new Set(methods.map((method) => method.code)).size === methods.length,
+        message: 'Method codes must be unique within a zone',
+      },
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Does this zone contain the address?
+ */
+shippingZoneSchema.methods.matchesAddress = function (address = {}) {
+  const country = (address.country || '').toUpperCase().trim();
+  const state = (address.state || '').toUpperCase().trim();
+  const zipCode = (address.zipCode || '').toUpperCase().replace(/\s+/g, '');
+
+  if (this.countries.length === 0) {
+    return true;
+  }
+
+  return (
+    this.countries.includes(country) &&
+    (this.states.length === 0 || this.states.includes(state)) &&
+    (this.zipPrefixes.length === 0 ||
+      this.zipPrefixes.some((prefix) => zipCode.startsWith(prefix.replace(/\s+/g, ''))))
+  );
+};
+
+const ShippingZone = mongoose.model('ShippingZone', shippingZoneSchema);
+
+export default ShippingZone;
@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+import { TAX_CLASSES } from '../config/constants.js';
+
+/**
+ * Tax Rate Model
+ * One rule of the tax table. Every active rule whose jurisdiction contains the
+ * shipping address applies, so a country rate and a state rate stack.
+ */
+const taxRateSchema = new mongoose.Schema(
+  {
+    // Shown to admins and on invoices, e.g. "CA State Tax"
+    name: {
+      type: String,
+      required: [true, 'Tax rate name is required'],
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters'],
+    },
+    // ISO country code
+    country: {
+      type: String,
+      required: [true, 'Country is required'],
+      uppercase: true,
+      trim: true,
+      maxlength: [2, 'Country must be a 2-letter ISO code'],
+    },
+    // Empty = whole country
+    state: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: '',
+    },
+    // Empty = whole state; otherwise matches postcodes starting with it
+    zipPrefix: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: '',
+    },
+    taxClass: {
+      type: String,
+      enum: Object.values(TAX_CLASSES).filter((taxClass) => taxClass !== TAX_CLASSES.EXEMPT),
+      default: TAX_CLASSES.STANDARD,
+    },
+    // Percentage, e.g. 7.25
+    rate: {
+      type: Number,
+      required: [true, 'Rate is required'],
+      min: [0, 'Rate cannot be negative'],
+      max: [100, 'Rate cannot exceed 100%'],
+    },
+    // Compound rates are charged on the price plus the non-compound taxes
+    isCompound: {
+      type: Boolean,
+      default: false,
+    },
+    // Also charged on the shipping cost
+    appliesToShipping: {
+      type: Boolean,
+      default: false,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One rule per name within a jurisdiction and class
+taxRateSchema.index({ country: 1, state: 1, zipPrefix: 1, taxClass: 1, name: 1 }, { unique: true });
+
+/**
+ * Does this rule cover the address?
+ */
+taxRateSchema.methods.matchesAddress = function (address = {}) {
+  const country = (address.country || '').toUpperCase().trim();
+  const state = (address.state || '').toUpperCase().trim();
+  const zipCode = (address.zipCode || '').toUpperCase().replace(/\s+/g, '');
+
+  return (
+    this.country === country &&
+    (!this.state || this.state === state) &&
+    (!this.zipPrefix || zipCode.startsWith(this.zipPrefix.replace(/\s+/g, '')))
+  );
+};
+
+const TaxRate = mongoose.model('TaxRate', taxRateSchema);
+
+export default TaxRate;
@@ -1,6 +1,7 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 import { USER_ROLES } from '../config/constants.js';
+import { PERMISSIONS } from '../config/permissions.js';
 
 const userSchema = new mongoose.Schema(
   {
@@ -27,9 +28,14 @@ const userSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: [USER_ROLES.ADMIN, USER_ROLES.CUSTOMER],
+      enum: [USER_ROLES.ADMIN, USER_ROLES.STAFF, USER_ROLES.CUSTOMER],
       default: USER_ROLES.CUSTOMER,
     },
+    // Permission set for staff accounts; unused for admins and customers
+    staffRole: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Role',
+    },
     phone: {
       type: String,
       trim: true,
@@ -41,21 +47,35 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // SHA-256 hash of the token emailed to the user
     emailVerificationToken: {
       type: String,
+      index: true,
+      sparse: true,
+    },
+    emailVerificationExpires: {
+      type: Date,
     },
+    // SHA-256 hash of the token emailed to the user
     passwordResetToken: {
       type: String,
+      index: true,
+      sparse: true,
     },
     passwordResetExpires: {
       type: Date,
     },
-    refreshToken: {
-      type: String,
-    },
     lastLogin: {
       type: Date,
     },
+    // Consecutive failed sign-ins; reset on success
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lockUntil: {
+      type: Date,
+    },
     // Address book for customers
     addresses: [
       {
@@ -92,12 +112,69 @@ const userSchema = new mongoose.Schema(
         phone: {
           type: String,
         },
+        // Default shipping address
         isDefault: {
           type: Boolean,
           default: false,
         },
+        isDefaultBilling: {
+          type: Boolean,
+          default: false,
+        },
+      },
+    ],
+    // Internal customer tags and notes (admin only, never sent to the customer)
+    tags: {
+      type: [String],
+      index: true,
+    },
+    adminNotes: [
+      {
+        body: {
+          type: String,
+          required: true,
+          maxlength: 2000,
+        },
+        author: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
       },
     ],
+    // TOTP two-factor authentication
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      // Base32 TOTP secret, set once enrollment is confirmed
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Secret awaiting confirmation with a first valid code
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      // SHA-256 hashes of unused one-time recovery codes
+      recoveryCodes: {
+        type: [String],
+        select: false,
+      },
+      // Last accepted time step, so a code cannot be replayed
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      enabledAt: {
+        type: Date,
+      },
+    },
     // Customer preferences
     preferences: {
       emailNotifications: {
@@ -176,16 +253,60 @@ userSchema.methods.toJSON = function () {
   delete userObject.password;
   delete userObject.refreshToken;
   delete userObject.emailVerificationToken;
+  delete userObject.emailVerificationExpires;
   delete userObject.passwordResetToken;
   delete userObject.passwordResetExpires;
+  delete userObject.failedLoginAttempts;
+  delete userObject.lockUntil;
+  delete userObject.tags;
+  delete userObject.adminNotes;
+  if (userObject.twoFactor) {
+    delete userObject.twoFactor.secret;
+    delete userObject.twoFactor.pendingSecret;
+    delete userObject.twoFactor.recoveryCodes;
+    delete userObject.twoFactor.lastUsedStep;
+  }
+  userObject.permissions = this.getPermissions();
   return userObject;
 };
 
+/**
+ * Back-office permissions held by this user
+ * Admins hold every permission; staff need staffRole populated.
+ * @returns {Array<String>}
+ */
+userSchema.methods.getPermissions = function () {
+  if (this.role === USER_ROLES.ADMIN) {
+    return Object.values(PERMISSIONS);
+  }
+
+  if (this.role === USER_ROLES.STAFF && this.populated('staffRole')) {
+    return this.staffRole?.permissions ? [...this.staffRole.permissions] : [];
+  }
+
+  return [];
+};
+
+/**
+ * Check that the user holds every given permission
+ * @param {...String} permissions - Required permissions
+ * @returns {Boolean}
+ */
+userSchema.methods.hasPermission = function (...permissions) {
+  const granted = this.getPermissions();
+  return permissions.every((permission) => granted.includes(permission));
+};
+
 // Method to get default address
 userSchema.methods.getDefaultAddress = function () {
   return this.addresses.find((addr) => addr.isDefault) || this.addresses[0] || null;
 };
 
+// Method to get default billing address (falls back to the shipping default)
+userSchema.methods.getDefaultBillingAddress = function () {
+  return this.addresses.find((addr) => addr.isDefaultBilling) || this.getDefaultAddress();
+};
+
 // Query helper for active users only
 userSchema.query.active = function () {
   return this.where({ isActive: true, deletedAt: null });
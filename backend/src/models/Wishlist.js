@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+const wishlistItemSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    // Variant selection (same shape as cart items)
+    selectedVariants: [
+      {
+        variantName: {
+          type: String,
+          required: false,
+        },
+        optionValue: {
+          type: String,
+          required: false,
+        },
+      },
+    ],
+    addedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: true } // Enable _id for wishlist items so we can reference them
+);
+
+const wishlistSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      unique: true,
+      index: true,
+    },
+    items: [wishlistItemSchema],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+wishlistSchema.index({ 'items.product': 1 });
+
+// Virtual for item count
+wishlistSchema.virtual('itemCount').get(function () {
+  return this.items.length;
+});
+
+// Ensure virtuals are included in JSON
+wishlistSchema.set('toJSON', { virtuals: true });
+wishlistSchema.set('toObject', { virtuals: true });
+
+const Wishlist = mongoose.model('Wishlist', wishlistSchema);
+
+export default Wishlist;
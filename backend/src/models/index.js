@@ -7,8 +7,37 @@ import Order from './Order.js';
 import Review from './Review.js';
 import FeatureToggle from './FeatureToggle.js';
 import Coupon from './Coupon.js';
+import Wishlist from './Wishlist.js';
+import GiftCard from './GiftCard.js';
+import LoyaltyAccount from './LoyaltyAccount.js';
+import LoyaltyTransaction from './LoyaltyTransaction.js';
+import Session from './Session.js';
+import LoginEvent from './LoginEvent.js';
+import Role from './Role.js';
+import TaxRate from './TaxRate.js';
+import ShippingZone from './ShippingZone.js';
+import Return from './Return.js';
 
-export { User, Product, Category, Cart, Order, Review, FeatureToggle, Coupon };
+export {
+  User,
+  Product,
+  Category,
+  Cart,
+  Order,
+  Review,
+  FeatureToggle,
+  Coupon,
+  Wishlist,
+  GiftCard,
+  LoyaltyAccount,
+  LoyaltyTransaction,
+  Session,
+  LoginEvent,
+  Role,
+  TaxRate,
+  ShippingZone,
+  Return,
+};
 
 export default {
   User,
@@ -19,6 +48,16 @@ export default {
   Review,
   FeatureToggle,
   Coupon,
+  Wishlist,
+  GiftCard,
+  LoyaltyAccount,
+  LoyaltyTransaction,
+  Session,
+  LoginEvent,
+  Role,
+  TaxRate,
+  ShippingZone,
+  Return,
 };
 
 
@@ -3,8 +3,13 @@ import adminController from '../controllers/admin.controller.js';
 import * as productController from '../controllers/product.controller.js';
 import * as orderController from '../controllers/order.controller.js';
 import * as inventoryController from '../controllers/inventory.controller.js';
+import * as reviewController from '../controllers/review.controller.js';
+import * as authController from '../controllers/auth.controller.js';
+import * as customerController from '../controllers/customer.controller.js';
+import * as roleController from '../controllers/role.controller.js';
 import { authenticate } from '../middleware/auth.middleware.js';
-import { adminOnly } from '../middleware/role.middleware.js';
+import { adminOnly, requirePermission } from '../middleware/role.middleware.js';
+import { PERMISSIONS } from '../config/permissions.js';
 import { validate } from '../middleware/validation.middleware.js';
 import {
   createProductSchema,
@@ -15,28 +20,60 @@ import {
   orderQuerySchema,
   updateOrderStatusSchema,
   updateShippingInfoSchema,
+  createFulfillmentSchema,
+  updateFulfillmentSchema,
+  trackingEventSchema,
 } from '../validators/order.validator.js';
+import {
+  moderationQuerySchema,
+  moderateReviewSchema,
+  bulkModerateReviewsSchema,
+  reviewReplySchema,
+} from '../validators/review.validator.js';
+import { adminLoginHistoryQuerySchema } from '../validators/auth.validator.js';
+import {
+  customerQuerySchema,
+  customerStatusSchema,
+  customerNoteSchema,
+  customerTagsSchema,
+} from '../validators/customer.validator.js';
+import {
+  createRoleSchema,
+  updateRoleSchema,
+  assignRoleSchema,
+  addStaffSchema,
+} from '../validators/role.validator.js';
 import { uploadMultiple, handleUploadError } from '../middleware/upload.middleware.js';
 
 const router = express.Router();
 
 /**
  * Admin Routes
- * All routes require admin authentication
+ * Each route requires the permission for its area; admins hold all of them
  */
 
-// All routes require authentication and admin role
+// All routes require authentication
 router.use(authenticate);
-router.use(adminOnly);
+
+const canReadDashboard = requirePermission(PERMISSIONS.DASHBOARD_READ);
+const canWriteProducts = requirePermission(PERMISSIONS.PRODUCTS_WRITE);
+const canReadOrders = requirePermission(PERMISSIONS.ORDERS_READ);
+const canFulfilOrders = requirePermission(PERMISSIONS.ORDERS_FULFIL);
+const canReadInventory = requirePermission(PERMISSIONS.INVENTORY_READ);
+const canModerateReviews = requirePermission(PERMISSIONS.REVIEWS_MODERATE);
+const canReadCustomers = requirePermission(PERMISSIONS.CUSTOMERS_READ);
+const canManageCustomers = requirePermission(PERMISSIONS.CUSTOMERS_MANAGE);
+const canReadSecurity = requirePermission(PERMISSIONS.SECURITY_READ);
 
 // Dashboard stats
-router.get('/dashboard/stats', adminController.getDashboardStats);
+router.get('/dashboard/stats', canReadDashboard, adminController.getDashboardStats);
 
 // Admin Products Routes (aliases for easier frontend integration)
-router.get('/products', validate(productQuerySchema, 'query'), productController.getProducts);
-router.get('/products/:id', productController.getProduct);
+router.get('/products', canWriteProducts, validate(productQuerySchema, 'query'), productController.getProducts);
+router.get('/products/:id', canWriteProducts, productController.getProduct);
 router.post(
   '/products',
+  canWriteProducts,
   // Optional file upload - only processes if Content-Type is multipart/form-data
   (req, res, next) => {
     if (req.headers['content-type']?.includes('multipart/form-data')) {
@@ -50,6 +87,7 @@ router.post(
 );
 router.put(
   '/products/:id',
+  canWriteProducts,
   // Optional file upload - only processes if Content-Type is multipart/form-data
   (req, res, next) => {
     if (req.headers['content-type']?.includes('multipart/form-data')) {
@@ -61,16 +99,56 @@ router.put(
   validate(updateProductSchema),
   productController.updateProduct
 );
-router.delete('/products/:id', productController.deleteProduct);
+router.delete('/products/:id', canWriteProducts, productController.deleteProduct);
 
 // Admin Orders Routes (aliases for easier frontend integration)
-router.get('/orders', validate(orderQuerySchema, 'query'), orderController.getAllOrders);
-router.get('/orders/:id', orderController.getOrder);
-router.put('/orders/:id/status', validate(updateOrderStatusSchema), orderController.updateOrderStatus);
-router.put('/orders/:id/shipping', validate(updateShippingInfoSchema), orderController.updateShippingInfo);
+router.get('/orders', canReadOrders, validate(orderQuerySchema, 'query'), orderController.getAllOrders);
+router.get('/orders/:id', canReadOrders, orderController.getOrder);
+router.put('/orders/:id/status', canFulfilOrders, validate(updateOrderStatusSchema), orderController.updateOrderStatus);
+router.put('/orders/:id/shipping', canFulfilOrders, validate(updateShippingInfoSchema), orderController.updateShippingInfo);
+router.post('/orders/:id/fulfillments', canFulfilOrders, validate(createFulfillmentSchema), orderController.createFulfillment);
+router.put('/orders/:id/fulfillments/:fulfillmentId', canFulfilOrders, validate(updateFulfillmentSchema), orderController.updateFulfillment);
+router.post('/orders/:id/fulfillments/:fulfillmentId/events', canFulfilOrders, validate(trackingEventSchema), orderController.addTrackingEvent);
+router.post('/orders/:id/fulfillments/:fulfillmentId/refresh', canFulfilOrders, orderController.refreshTracking);
 
 // Admin Inventory Routes
-router.get('/inventory', inventoryController.getInventoryStatus);
+router.get('/inventory', canReadInventory, inventoryController.getInventoryStatus);
+
+// Admin Review Moderation Routes
+router.get('/reviews', canModerateReviews, validate(moderationQuerySchema, 'query'), reviewController.getReviewsForModeration);
+router.put('/reviews/bulk/status', canModerateReviews, validate(bulkModerateReviewsSchema), reviewController.bulkModerateReviews);
+router.put('/reviews/:id/status', canModerateReviews, validate(moderateReviewSchema), reviewController.moderateReview);
+router.put('/reviews/:id/reply', canModerateReviews, validate(reviewReplySchema), reviewController.replyToReview);
+router.delete('/reviews/:id/reply', canModerateReviews, reviewController.deleteReviewReply);
+
+// Admin Customer Routes
+router.get('/customers', canReadCustomers, validate(customerQuerySchema, 'query'), customerController.getCustomers);
+router.get('/customers/tags', canReadCustomers, customerController.getCustomerTags);
+router.get('/customers/:id', canReadCustomers, customerController.getCustomer);
+router.put('/customers/:id/status', canManageCustomers, validate(customerStatusSchema), customerController.updateCustomerStatus);
+router.post('/customers/:id/logout', canManageCustomers, customerController.forceLogoutCustomer);
+router.post('/customers/:id/password-reset', canManageCustomers, customerController.sendCustomerPasswordReset);
+router.post('/customers/:id/notes', canManageCustomers, validate(customerNoteSchema), customerController.addCustomerNote);
+router.delete('/customers/:id/notes/:noteId', canManageCustomers, customerController.deleteCustomerNote);
+router.put('/customers/:id/tags', canManageCustomers, validate(customerTagsSchema), customerController.updateCustomerTags);
+
+// Admin Login Activity Routes
+router.get(
+  '/login-history',
+  canReadSecurity,
+  validate(adminLoginHistoryQuerySchema, 'query'),
+  authController.getAllLoginHistory
+);
+
+// Admin Staff & Role Routes (admins only, so staff cannot widen their own access)
+router.get('/permissions', adminOnly, roleController.getPermissions);
+router.get('/roles', adminOnly, roleController.getRoles);
+router.post('/roles', adminOnly, validate(createRoleSchema), roleController.createRole);
+router.put('/roles/:id', adminOnly, validate(updateRoleSchema), roleController.updateRole);
+router.delete('/roles/:id', adminOnly, roleController.deleteRole);
+router.get('/staff', adminOnly, roleController.getStaff);
+router.post('/staff', adminOnly, validate(addStaffSchema), roleController.addStaffMember);
+router.put('/users/:id/role', adminOnly, validate(assignRoleSchema), roleController.assignUserRole);
 
 export default router;
 
@@ -1,7 +1,8 @@
 import express from 'express';
 import analyticsController from '../controllers/analytics.controller.js';
 import { authenticate } from '../middleware/auth.middleware.js';
-import { adminOnly } from '../middleware/role.middleware.js';
+import { requirePermission } from '../middleware/role.middleware.js';
+import { PERMISSIONS } from '../config/permissions.js';
 import { requireFeature } from '../middleware/feature-toggle.middleware.js';
 import { FEATURE_FLAGS } from '../config/feature-flags.js';
 
@@ -9,12 +10,12 @@ const router = express.Router();
 
 /**
  * Analytics Routes
- * All routes require admin authentication and analytics feature
+ * All routes require the analytics:read permission and analytics feature
  */
 
-// All routes require authentication and admin role
+// All routes require authentication and analytics permission
 router.use(authenticate);
-router.use(adminOnly);
+router.use(requirePermission(PERMISSIONS.ANALYTICS_READ));
 router.use(requireFeature(FEATURE_FLAGS.DASHBOARD_ANALYTICS));
 
 // Get dashboard overview (all metrics)
@@ -1,12 +1,24 @@
 import express from 'express';
 import * as authController from '../controllers/auth.controller.js';
+import * as addressController from '../controllers/address.controller.js';
+import * as accountController from '../controllers/account.controller.js';
 import { validate } from '../middleware/validation.middleware.js';
 import {
   registerSchema,
   loginSchema,
   refreshTokenSchema,
   updateProfileSchema,
+  verifyEmailSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  twoFactorCodeSchema,
+  twoFactorLoginSchema,
+  disableTwoFactorSchema,
+  loginHistoryQuerySchema,
+  dataExportQuerySchema,
+  deleteAccountSchema,
 } from '../validators/auth.validator.js';
+import { createAddressSchema, updateAddressSchema } from '../validators/address.validator.js';
 import { authenticate } from '../middleware/auth.middleware.js';
 
 const router = express.Router();
@@ -25,6 +37,13 @@ router.post('/register', validate(registerSchema), authController.register);
  */
 router.post('/login', validate(loginSchema), authController.login);
 
+/**
+ * @route   POST /api/v1/auth/login/2fa
+ * @desc    Complete login with an authenticator or recovery code
+ * @access  Public (requires challenge token from login)
+ */
+router.post('/login/2fa', validate(twoFactorLoginSchema), authController.verifyTwoFactorLogin);
+
 /**
  * @route   POST /api/v1/auth/refresh
  * @desc    Refresh access token
@@ -53,6 +72,174 @@ router.get('/me', authenticate, authController.getCurrentUser);
  */
 router.put('/me', authenticate, validate(updateProfileSchema), authController.updateProfile);
 
+/**
+ * @route   DELETE /api/v1/auth/me
+ * @desc    Delete own account (anonymises order history, signs out everywhere)
+ * @access  Private
+ */
+router.delete('/me', authenticate, validate(deleteAccountSchema), accountController.deleteAccount);
+
+/**
+ * @route   GET /api/v1/auth/me/export
+ * @desc    Download personal data as JSON or ZIP (?format=zip)
+ * @access  Private
+ */
+router.get(
+  '/me/export',
+  authenticate,
+  validate(dataExportQuerySchema, 'query'),
+  accountController.exportData
+);
+
+/**
+ * @route   GET /api/v1/auth/me/addresses
+ * @desc    Get saved addresses
+ * @access  Private
+ */
+router.get('/me/addresses', authenticate, addressController.getAddresses);
+
+/**
+ * @route   POST /api/v1/auth/me/addresses
+ * @desc    Add address to the address book
+ * @access  Private
+ */
+router.post(
+  '/me/addresses',
+  authenticate,
+  validate(createAddressSchema),
+  addressController.addAddress
+);
+
+/**
+ * @route   PUT /api/v1/auth/me/addresses/:addressId
+ * @desc    Update saved address (set isDefault / isDefaultBilling to change defaults)
+ * @access  Private
+ */
+router.put(
+  '/me/addresses/:addressId',
+  authenticate,
+  validate(updateAddressSchema),
+  addressController.updateAddress
+);
+
+/**
+ * @route   DELETE /api/v1/auth/me/addresses/:addressId
+ * @desc    Delete saved address
+ * @access  Private
+ */
+router.delete('/me/addresses/:addressId', authenticate, addressController.deleteAddress);
+
+/**
+ * @route   GET /api/v1/auth/sessions
+ * @desc    List signed-in devices
+ * @access  Private
+ */
+router.get('/sessions', authenticate, authController.getSessions);
+
+/**
+ * @route   DELETE /api/v1/auth/sessions
+ * @desc    Sign out all other devices
+ * @access  Private
+ */
+router.delete('/sessions', authenticate, authController.revokeOtherSessions);
+
+/**
+ * @route   DELETE /api/v1/auth/sessions/:id
+ * @desc    Sign out a single device
+ * @access  Private
+ */
+router.delete('/sessions/:id', authenticate, authController.revokeSession);
+
+/**
+ * @route   GET /api/v1/auth/login-history
+ * @desc    Get recent sign-in attempts on the current account
+ * @access  Private
+ */
+router.get(
+  '/login-history',
+  authenticate,
+  validate(loginHistoryQuerySchema, 'query'),
+  authController.getLoginHistory
+);
+
+/**
+ * @route   GET /api/v1/auth/2fa
+ * @desc    Get two-factor authentication status
+ * @access  Private
+ */
+router.get('/2fa', authenticate, authController.getTwoFactorStatus);
+
+/**
+ * @route   POST /api/v1/auth/2fa/setup
+ * @desc    Generate a TOTP secret and provisioning URI
+ * @access  Private
+ */
+router.post('/2fa/setup', authenticate, authController.setupTwoFactor);
+
+/**
+ * @route   POST /api/v1/auth/2fa/enable
+ * @desc    Confirm enrollment with a code and receive recovery codes
+ * @access  Private
+ */
+router.post(
+  '/2fa/enable',
+  authenticate,
+  validate(twoFactorCodeSchema),
+  authController.enableTwoFactor
+);
+
+/**
+ * @route   POST /api/v1/auth/2fa/disable
+ * @desc    Turn off two-factor authentication
+ * @access  Private
+ */
+router.post(
+  '/2fa/disable',
+  authenticate,
+  validate(disableTwoFactorSchema),
+  authController.disableTwoFactor
+);
+
+/**
+ * @route   POST /api/v1/auth/2fa/recovery-codes
+ * @desc    Replace recovery codes
+ * @access  Private
+ */
+router.post(
+  '/2fa/recovery-codes',
+  authenticate,
+  validate(twoFactorCodeSchema),
+  authController.regenerateRecoveryCodes
+);
+
+/**
+ * @route   POST /api/v1/auth/verify-email
+ * @desc    Verify email address with the emailed token
+ * @access  Public
+ */
+router.post('/verify-email', validate(verifyEmailSchema), authController.verifyEmail);
+
+/**
+ * @route   POST /api/v1/auth/resend-verification
+ * @desc    Resend the email verification link
+ * @access  Private
+ */
+router.post('/resend-verification', authenticate, authController.resendVerification);
+
+/**
+ * @route   POST /api/v1/auth/forgot-password
+ * @desc    Email a password reset link
+ * @access  Public
+ */
+router.post('/forgot-password', validate(forgotPasswordSchema), authController.forgotPassword);
+
+/**
+ * @route   POST /api/v1/auth/reset-password
+ * @desc    Reset password with emailed token
+ * @access  Public
+ */
+router.post('/reset-password', validate(resetPasswordSchema), authController.resetPassword);
+
 export default router;
 
 
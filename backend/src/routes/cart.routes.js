@@ -5,24 +5,25 @@ import {
   addItemSchema,
   updateItemQuantitySchema,
 } from '../validators/cart.validator.js';
-import { authenticate } from '../middleware/auth.middleware.js';
+import { optionalAuthenticate } from '../middleware/auth.middleware.js';
+import { guestSession } from '../middleware/guest-session.middleware.js';
 
 const router = express.Router();
 
-// All cart routes require authentication
-router.use(authenticate);
+// Signed-in users get their account cart, everyone else a guest cart
+router.use(optionalAuthenticate, guestSession);
 
 /**
  * @route   GET /api/v1/cart
- * @desc    Get user's cart
- * @access  Private
+ * @desc    Get the current cart
+ * @access  Public (account or guest cart)
  */
 router.get('/', cartController.getCart);
 
 /**
  * @route   POST /api/v1/cart/items
  * @desc    Add item to cart
- * @access  Private
+ * @access  Public (account or guest cart)
  */
 router.post(
   '/items',
@@ -33,7 +34,7 @@ router.post(
 /**
  * @route   PUT /api/v1/cart/items/:itemId
  * @desc    Update item quantity
- * @access  Private
+ * @access  Public (account or guest cart)
  */
 router.put(
   '/items/:itemId',
@@ -44,21 +45,21 @@ router.put(
 /**
  * @route   DELETE /api/v1/cart/items/:itemId
  * @desc    Remove item from cart
- * @access  Private
+ * @access  Public (account or guest cart)
  */
 router.delete('/items/:itemId', cartController.removeItem);
 
 /**
  * @route   DELETE /api/v1/cart
  * @desc    Clear cart
- * @access  Private
+ * @access  Public (account or guest cart)
  */
 router.delete('/', cartController.clearCart);
 
 /**
  * @route   GET /api/v1/cart/summary
  * @desc    Get cart summary for checkout
- * @access  Private
+ * @access  Public (account or guest cart)
  */
 router.get('/summary', cartController.getCartSummary);
 
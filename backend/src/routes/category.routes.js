@@ -7,7 +7,8 @@ import {
   categoryQuerySchema,
 } from '../validators/category.validator.js';
 import { authenticate } from '../middleware/auth.middleware.js';
-import { adminOnly } from '../middleware/role.middleware.js';
+import { requirePermission } from '../middleware/role.middleware.js';
+import { PERMISSIONS } from '../config/permissions.js';
 import { uploadSingle, handleUploadError } from '../middleware/upload.middleware.js';
 
 const router = express.Router();
@@ -40,12 +41,12 @@ router.get('/:id', categoryController.getCategory);
 /**
  * @route   POST /api/v1/categories
  * @desc    Create category
- * @access  Private (Admin only)
+ * @access  Private (products:write)
  */
 router.post(
   '/',
   authenticate,
-  adminOnly,
+  requirePermission(PERMISSIONS.PRODUCTS_WRITE),
   uploadSingle('image'),
   handleUploadError,
   validate(createCategorySchema),
@@ -55,12 +56,12 @@ router.post(
 /**
  * @route   PUT /api/v1/categories/:id
  * @desc    Update category
- * @access  Private (Admin only)
+ * @access  Private (products:write)
  */
 router.put(
   '/:id',
   authenticate,
-  adminOnly,
+  requirePermission(PERMISSIONS.PRODUCTS_WRITE),
   uploadSingle('image'),
   handleUploadError,
   validate(updateCategorySchema),
@@ -70,9 +71,9 @@ router.put(
 /**
  * @route   DELETE /api/v1/categories/:id
  * @desc    Delete category
- * @access  Private (Admin only)
+ * @access  Private (products:write)
  */
-router.delete('/:id', authenticate, adminOnly, categoryController.deleteCategory);
+router.delete('/:id', authenticate, requirePermission(PERMISSIONS.PRODUCTS_WRITE), categoryController.deleteCategory);
 
 export default router;
 
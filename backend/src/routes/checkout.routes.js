@@ -0,0 +1,20 @@
+import express from 'express';
+import * as checkoutController from '../controllers/checkout.controller.js';
+import { validate } from '../middleware/validation.middleware.js';
+import { checkoutQuoteSchema } from '../validators/checkout.validator.js';
+import { optionalAuthenticate } from '../middleware/auth.middleware.js';
+import { guestSession } from '../middleware/guest-session.middleware.js';
+
+const router = express.Router();
+
+// Quotes price the account cart or the guest cart, like checkout itself
+router.use(optionalAuthenticate, guestSession);
+
+/**
+ * @route   POST /api/v1/checkout/quote
+ * @desc    Price the cart: subtotal, discounts, shipping, tax and total
+ * @access  Public (account or guest cart)
+ */
+router.post('/quote', validate(checkoutQuoteSchema), checkoutController.getQuote);
+
+export default router;
@@ -1,22 +1,34 @@
 import express from 'express';
 import * as cloudinaryController from '../controllers/cloudinary.controller.js';
 import { authenticate } from '../middleware/auth.middleware.js';
-import { adminOnly } from '../middleware/role.middleware.js';
+import { requirePermission } from '../middleware/role.middleware.js';
+import { PERMISSIONS } from '../config/permissions.js';
 
 const router = express.Router();
 
 /**
  * @route   POST /api/v1/cloudinary/signature
  * @desc    Generate Cloudinary upload signature for secure direct uploads
- * @access  Private (Admin only)
+ * @access  Private (products:write)
  */
 router.post(
   '/signature',
   authenticate,
-  adminOnly,
+  requirePermission(PERMISSIONS.PRODUCTS_WRITE),
   cloudinaryController.generateSignature
 );
 
+/**
+ * @route   POST /api/v1/cloudinary/signature/returns
+ * @desc    Generate upload signature for return photos
+ * @access  Private
+ */
+router.post(
+  '/signature/returns',
+  authenticate,
+  cloudinaryController.generateReturnPhotoSignature
+);
+
 export default router;
 
 
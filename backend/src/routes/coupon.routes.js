@@ -1,7 +1,8 @@
 import express from 'express';
 import couponController from '../controllers/coupon.controller.js';
 import { authenticate } from '../middleware/auth.middleware.js';
-import { adminOnly } from '../middleware/role.middleware.js';
+import { requirePermission } from '../middleware/role.middleware.js';
+import { PERMISSIONS } from '../config/permissions.js';
 import { optionalFeature } from '../middleware/feature-toggle.middleware.js';
 import { FEATURE_FLAGS } from '../config/feature-flags.js';
 
@@ -9,7 +10,7 @@ const router = express.Router();
 
 /**
  * Coupon Routes
- * Public routes for validation, admin routes for management
+ * Public routes for validation, coupons:manage routes for management
  */
 
 // Public route: Validate coupon (with optional feature check)
@@ -19,9 +20,9 @@ router.post(
   couponController.validateCoupon
 );
 
-// Admin-only routes (require authentication and admin role)
+// Management routes (require authentication and coupon permission)
 router.use(authenticate);
-router.use(adminOnly);
+router.use(requirePermission(PERMISSIONS.COUPONS_MANAGE));
 
 // Get all coupons
 router.get(
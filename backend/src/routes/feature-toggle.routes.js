@@ -1,7 +1,8 @@
 import express from 'express';
 import featureToggleController from '../controllers/feature-toggle.controller.js';
 import { authenticate } from '../middleware/auth.middleware.js';
-import { adminOnly } from '../middleware/role.middleware.js';
+import { requirePermission } from '../middleware/role.middleware.js';
+import { PERMISSIONS } from '../config/permissions.js';
 
 const router = express.Router();
 
@@ -22,9 +23,9 @@ router.get('/category/:category', featureToggleController.getFeaturesByCategory)
 // Get specific feature (public)
 router.get('/:featureKey', featureToggleController.getFeature);
 
-// Admin-only routes (require authentication and admin role)
+// Management routes (require authentication and feature permission)
 router.use(authenticate);
-router.use(adminOnly);
+router.use(requirePermission(PERMISSIONS.FEATURES_MANAGE));
 
 // Enable feature
 router.post('/:featureKey/enable', featureToggleController.enableFeature);
@@ -0,0 +1,86 @@
+import express from 'express';
+import * as giftCardController from '../controllers/gift-card.controller.js';
+import { validate } from '../middleware/validation.middleware.js';
+import {
+  issueGiftCardSchema,
+  bulkIssueGiftCardsSchema,
+  updateGiftCardStatusSchema,
+  checkBalanceSchema,
+  giftCardQuerySchema,
+} from '../validators/gift-card.validator.js';
+import { authenticate } from '../middleware/auth.middleware.js';
+import { requirePermission } from '../middleware/role.middleware.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import { requireFeature } from '../middleware/feature-toggle.middleware.js';
+import { giftCardLimiter } from '../middleware/rate-limit.middleware.js';
+import { FEATURE_FLAGS } from '../config/feature-flags.js';
+
+const router = express.Router();
+
+// All gift card routes require the gift cards feature
+router.use(requireFeature(FEATURE_FLAGS.GIFT_CARDS));
+
+/**
+ * @route   POST /api/v1/gift-cards/balance
+ * @desc    Check gift card balance
+ * @access  Public (rate limited)
+ */
+router.post(
+  '/balance',
+  giftCardLimiter,
+  validate(checkBalanceSchema),
+  giftCardController.checkBalance
+);
+
+// Management routes
+router.use(authenticate);
+router.use(requirePermission(PERMISSIONS.GIFT_CARDS_MANAGE));
+
+/**
+ * @route   GET /api/v1/gift-cards
+ * @desc    Get all gift cards
+ * @access  Private (gift_cards:manage)
+ */
+router.get(
+  '/',
+  validate(giftCardQuerySchema, 'query'),
+  giftCardController.getAllGiftCards
+);
+
+/**
+ * @route   POST /api/v1/gift-cards
+ * @desc    Issue a gift card
+ * @access  Private (gift_cards:manage)
+ */
+router.post('/', validate(issueGiftCardSchema), giftCardController.issueGiftCard);
+
+/**
+ * @route   POST /api/v1/gift-cards/bulk
+ * @desc    Issue gift cards in bulk
+ * @access  Private (gift_cards:manage)
+ */
+router.post(
+  '/bulk',
+  validate(bulkIssueGiftCardsSchema),
+  giftCardController.bulkIssueGiftCards
+);
+
+/**
+ * @route   GET /api/v1/gift-cards/:id
+ * @desc    Get gift card with transaction ledger
+ * @access  Private (gift_cards:manage)
+ */
+router.get('/:id', giftCardController.getGiftCard);
+
+/**
+ * @route   PUT /api/v1/gift-cards/:id/status
+ * @desc    Activate or deactivate a gift card
+ * @access  Private (gift_cards:manage)
+ */
+router.put(
+  '/:id/status',
+  validate(updateGiftCardStatusSchema),
+  giftCardController.updateGiftCardStatus
+);
+
+export default router;
@@ -58,10 +58,30 @@ router.use(`/categories`, categoryRoutes);
 import cartRoutes from './cart.routes.js';
 router.use(`/cart`, cartRoutes);
 
+// Wishlist routes
+import wishlistRoutes from './wishlist.routes.js';
+router.use(`/wishlist`, wishlistRoutes);
+
 // Order routes
 import orderRoutes from './order.routes.js';
 router.use(`/orders`, orderRoutes);
 
+// Return routes
+import returnRoutes from './return.routes.js';
+router.use(`/returns`, returnRoutes);
+
+// Checkout routes
+import checkoutRoutes from './checkout.routes.js';
+router.use(`/checkout`, checkoutRoutes);
+
+// Tax routes
+import taxRoutes from './tax.routes.js';
+router.use(`/tax`, taxRoutes);
+
+// Shipping routes
+import shippingRoutes from './shipping.routes.js';
+router.use(`/shipping`, shippingRoutes);
+
 // Cloudinary routes
 import cloudinaryRoutes from './cloudinary.routes.js';
 router.use(`/cloudinary`, cloudinaryRoutes);
@@ -74,6 +94,14 @@ router.use(`/features`, featureToggleRoutes);
 import couponRoutes from './coupon.routes.js';
 router.use(`/coupons`, couponRoutes);
 
+// Gift card routes
+import giftCardRoutes from './gift-card.routes.js';
+router.use(`/gift-cards`, giftCardRoutes);
+
+// Loyalty routes
+import loyaltyRoutes from './loyalty.routes.js';
+router.use(`/loyalty`, loyaltyRoutes);
+
 // Analytics routes
 import analyticsRoutes from './analytics.routes.js';
 router.use(`/analytics`, analyticsRoutes);
@@ -0,0 +1,33 @@
+import express from 'express';
+import * as loyaltyController from '../controllers/loyalty.controller.js';
+import { validate } from '../middleware/validation.middleware.js';
+import { loyaltyTransactionQuerySchema } from '../validators/loyalty.validator.js';
+import { authenticate } from '../middleware/auth.middleware.js';
+import { requireFeature } from '../middleware/feature-toggle.middleware.js';
+import { FEATURE_FLAGS } from '../config/feature-flags.js';
+
+const router = express.Router();
+
+// All loyalty routes require authentication and the loyalty program feature
+router.use(authenticate);
+router.use(requireFeature(FEATURE_FLAGS.LOYALTY_PROGRAM));
+
+/**
+ * @route   GET /api/v1/loyalty
+ * @desc    Get points balance and program settings
+ * @access  Private
+ */
+router.get('/', loyaltyController.getAccount);
+
+/**
+ * @route   GET /api/v1/loyalty/transactions
+ * @desc    Get points history
+ * @access  Private
+ */
+router.get(
+  '/transactions',
+  validate(loyaltyTransactionQuerySchema, 'query'),
+  loyaltyController.getTransactions
+);
+
+export default router;
@@ -6,26 +6,70 @@ import {
   updateOrderStatusSchema,
   cancelOrderSchema,
   updateShippingInfoSchema,
+  createFulfillmentSchema,
+  updateFulfillmentSchema,
+  trackingEventSchema,
   orderQuerySchema,
+  orderLookupSchema,
 } from '../validators/order.validator.js';
-import { authenticate } from '../middleware/auth.middleware.js';
-import { adminOnly } from '../middleware/role.middleware.js';
+import {
+  authenticate,
+  optionalAuthenticate,
+  requireVerifiedEmailForCheckout,
+} from '../middleware/auth.middleware.js';
+import { guestSession } from '../middleware/guest-session.middleware.js';
+import { orderLookupLimiter } from '../middleware/rate-limit.middleware.js';
+import { requirePermission, canAct } from '../middleware/role.middleware.js';
+import { PERMISSIONS } from '../config/permissions.js';
 
 const router = express.Router();
 
-// All order routes require authentication
-router.use(authenticate);
-
 /**
  * @route   POST /api/v1/orders
  * @desc    Create order from cart
- * @access  Private
+ * @access  Public (account or guest checkout)
+ */
+router.post(
+  '/',
+  optionalAuthenticate,
+  guestSession,
+  requireVerifiedEmailForCheckout,
+  validate(createOrderSchema),
+  orderController.createOrder
+);
+
+/**
+ * @route   POST /api/v1/orders/lookup
+ * @desc    Find an order by number and email; returns a signed status link
+ * @access  Public (rate limited)
  */
-router.post('/', validate(createOrderSchema), orderController.createOrder);
+router.post(
+  '/lookup',
+  orderLookupLimiter,
+  validate(orderLookupSchema),
+  orderController.lookupOrder
+);
+
+/**
+ * @route   GET /api/v1/orders/status/:token
+ * @desc    Read-only order status from a signed status link
+ * @access  Public (signed link)
+ */
+router.get('/status/:token', orderController.getOrderStatus);
+
+/**
+ * @route   GET /api/v1/orders/:id
+ * @desc    Get single order
+ * @access  Public (own order, the guest session that placed it, or orders:read)
+ */
+router.get('/:id', optionalAuthenticate, guestSession, orderController.getOrder);
+
+// All other order routes require authentication
+router.use(authenticate);
 
 /**
  * @route   GET /api/v1/orders
- * @desc    Get user's orders (or all orders if admin)
+ * @desc    Get user's orders (or all orders with orders:read)
  * @access  Private
  */
 router.get(
@@ -33,28 +77,22 @@ router.get(
   validate(orderQuerySchema, 'query'),
   (req, res, next) => {
     // Route to different handlers based on role
-    if (req.user.role === 'admin') {
+    if (canAct(req, PERMISSIONS.ORDERS_READ)) {
       return orderController.getAllOrders(req, res, next);
     }
     return orderController.getUserOrders(req, res, next);
   }
 );
 
-/**
- * @route   GET /api/v1/orders/:id
- * @desc    Get single order
- * @access  Private (own order or admin)
- */
-router.get('/:id', orderController.getOrder);
 
 /**
  * @route   PUT /api/v1/orders/:id/status
  * @desc    Update order status
- * @access  Private (Admin only)
+ * @access  Private (orders:fulfil)
  */
 router.put(
   '/:id/status',
-  adminOnly,
+  requirePermission(PERMISSIONS.ORDERS_FULFIL),
   validate(updateOrderStatusSchema),
   orderController.updateOrderStatus
 );
@@ -62,19 +100,66 @@ router.put(
 /**
  * @route   PUT /api/v1/orders/:id/shipping
  * @desc    Update shipping information
- * @access  Private (Admin only)
+ * @access  Private (orders:fulfil)
  */
 router.put(
   '/:id/shipping',
-  adminOnly,
+  requirePermission(PERMISSIONS.ORDERS_FULFIL),
   validate(updateShippingInfoSchema),
   orderController.updateShippingInfo
 );
 
+/**
+ * @route   POST /api/v1/orders/:id/fulfillments
+ * @desc    Ship some or all remaining items in a package
+ * @access  Private (orders:fulfil)
+ */
+router.post(
+  '/:id/fulfillments',
+  requirePermission(PERMISSIONS.ORDERS_FULFIL),
+  validate(createFulfillmentSchema),
+  orderController.createFulfillment
+);
+
+/**
+ * @route   PUT /api/v1/orders/:id/fulfillments/:fulfillmentId
+ * @desc    Correct a package's carrier or tracking number
+ * @access  Private (orders:fulfil)
+ */
+router.put(
+  '/:id/fulfillments/:fulfillmentId',
+  requirePermission(PERMISSIONS.ORDERS_FULFIL),
+  validate(updateFulfillmentSchema),
+  orderController.updateFulfillment
+);
+
+/**
+ * @route   POST /api/v1/orders/:id/fulfillments/:fulfillmentId/events
+ * @desc    Record a tracking event for a package
+ * @access  Private (orders:fulfil)
+ */
+router.post(
+  '/:id/fulfillments/:fulfillmentId/events',
+  requirePermission(PERMISSIONS.ORDERS_FULFIL),
+  validate(trackingEventSchema),
+  orderController.addTrackingEvent
+);
+
+/**
+ * @route   POST /api/v1/orders/:id/fulfillments/:fulfillmentId/refresh
+ * @desc    Fetch a package's latest tracking events from the carrier
+ * @access  Private (orders:fulfil)
+ */
+router.post(
+  '/:id/fulfillments/:fulfillmentId/refresh',
+  requirePermission(PERMISSIONS.ORDERS_FULFIL),
+  orderController.refreshTracking
+);
+
 /**
  * @route   POST /api/v1/orders/:id/cancel
  * @desc    Cancel order
- * @access  Private (own order or admin)
+ * @access  Private (own order or orders:fulfil)
  */
 router.post(
   '/:id/cancel',
@@ -6,8 +6,10 @@ import {
   verifyPaymentSchema,
   refundPaymentSchema,
 } from '../validators/payment.validator.js';
-import { authenticate } from '../middleware/auth.middleware.js';
-import { adminOnly } from '../middleware/role.middleware.js';
+import { authenticate, optionalAuthenticate } from '../middleware/auth.middleware.js';
+import { guestSession } from '../middleware/guest-session.middleware.js';
+import { requirePermission } from '../middleware/role.middleware.js';
+import { PERMISSIONS } from '../config/permissions.js';
 import { verifyStripeWebhook } from '../middleware/stripe-webhook.middleware.js';
 
 const router = express.Router();
@@ -15,11 +17,12 @@ const router = express.Router();
 /**
  * @route   POST /api/v1/payments/create-intent
  * @desc    Create payment intent for an order
- * @access  Private
+ * @access  Public (order owner or the guest session that placed it)
  */
 router.post(
   '/create-intent',
-  authenticate,
+  optionalAuthenticate,
+  guestSession,
   validate(createPaymentIntentSchema),
   paymentController.createPaymentIntent
 );
@@ -27,11 +30,12 @@ router.post(
 /**
  * @route   POST /api/v1/payments/verify
  * @desc    Verify payment before order confirmation
- * @access  Private
+ * @access  Public (order owner or the guest session that placed it)
  */
 router.post(
   '/verify',
-  authenticate,
+  optionalAuthenticate,
+  guestSession,
   validate(verifyPaymentSchema),
   paymentController.verifyPayment
 );
@@ -52,13 +56,13 @@ router.post(
 
 /**
  * @route   POST /api/v1/payments/refund/:orderId
- * @desc    Refund a payment
- * @access  Private (Admin only)
+ * @desc    Refund items, shipping or an amount of an order's payment
+ * @access  Private (payments:refund)
  */
 router.post(
   '/refund/:orderId',
   authenticate,
-  adminOnly,
+  requirePermission(PERMISSIONS.PAYMENTS_REFUND),
   validate(refundPaymentSchema),
   paymentController.refundPayment
 );
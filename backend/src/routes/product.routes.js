@@ -7,8 +7,10 @@ import {
   productQuerySchema,
 } from '../validators/product.validator.js';
 import { authenticate } from '../middleware/auth.middleware.js';
-import { adminOnly } from '../middleware/role.middleware.js';
+import { requirePermission } from '../middleware/role.middleware.js';
+import { PERMISSIONS } from '../config/permissions.js';
 import { uploadMultiple, handleUploadError } from '../middleware/upload.middleware.js';
+import reviewRoutes from './review.routes.js';
 
 const router = express.Router();
 
@@ -30,16 +32,22 @@ router.get(
  */
 router.get('/:id', productController.getProduct);
 
+/**
+ * Product review routes
+ * @route   /api/v1/products/:id/reviews
+ */
+router.use('/:id/reviews', reviewRoutes);
+
 /**
  * @route   POST /api/v1/products
  * @desc    Create product
- * @access  Private (Admin only)
+ * @access  Private (products:write)
  * Note: Supports both file uploads (multipart/form-data) and JSON with image URLs
  */
 router.post(
   '/',
   authenticate,
-  adminOnly,
+  requirePermission(PERMISSIONS.PRODUCTS_WRITE),
   // Optional file upload - only processes if Content-Type is multipart/form-data
   (req, res, next) => {
     if (req.headers['content-type']?.includes('multipart/form-data')) {
@@ -55,13 +63,13 @@ router.post(
 /**
  * @route   PUT /api/v1/products/:id
  * @desc    Update product
- * @access  Private (Admin only)
+ * @access  Private (products:write)
  * Note: Supports both file uploads (multipart/form-data) and JSON with image URLs
  */
 router.put(
   '/:id',
   authenticate,
-  adminOnly,
+  requirePermission(PERMISSIONS.PRODUCTS_WRITE),
   // Optional file upload - only processes if Content-Type is multipart/form-data
   (req, res, next) => {
     if (req.headers['content-type']?.includes('multipart/form-data')) {
@@ -77,19 +85,19 @@ router.put(
 /**
  * @route   DELETE /api/v1/products/:id
  * @desc    Delete product
- * @access  Private (Admin only)
+ * @access  Private (products:write)
  */
-router.delete('/:id', authenticate, adminOnly, productController.deleteProduct);
+router.delete('/:id', authenticate, requirePermission(PERMISSIONS.PRODUCTS_WRITE), productController.deleteProduct);
 
 /**
  * @route   DELETE /api/v1/products/:id/images/:imagePublicId
  * @desc    Delete product image
- * @access  Private (Admin only)
+ * @access  Private (products:write)
  */
 router.delete(
   '/:id/images/:imagePublicId',
   authenticate,
-  adminOnly,
+  requirePermission(PERMISSIONS.PRODUCTS_WRITE),
   productController.deleteProductImage
 );
 
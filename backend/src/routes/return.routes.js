@@ -0,0 +1,109 @@
+import express from 'express';
+import * as returnController from '../controllers/return.controller.js';
+import { validate } from '../middleware/validation.middleware.js';
+import {
+  createReturnSchema,
+  approveReturnSchema,
+  rejectReturnSchema,
+  receiveReturnSchema,
+  refundReturnSchema,
+  returnQuerySchema,
+} from '../validators/return.validator.js';
+import { authenticate } from '../middleware/auth.middleware.js';
+import { requirePermission } from '../middleware/role.middleware.js';
+import { PERMISSIONS } from '../config/permissions.js';
+
+const router = express.Router();
+
+// All return routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/v1/returns/returnable/:orderId
+ * @desc    Get the items of an order that can still be returned
+ * @access  Private
+ */
+router.get('/returnable/:orderId', returnController.getReturnableItems);
+
+/**
+ * @route   POST /api/v1/returns
+ * @desc    Request a return
+ * @access  Private
+ */
+router.post('/', validate(createReturnSchema), returnController.createReturn);
+
+/**
+ * @route   GET /api/v1/returns/mine
+ * @desc    Get current user's returns
+ * @access  Private
+ */
+router.get('/mine', validate(returnQuerySchema, 'query'), returnController.getMyReturns);
+
+/**
+ * @route   GET /api/v1/returns
+ * @desc    Get all returns
+ * @access  Private (returns:manage)
+ */
+router.get(
+  '/',
+  requirePermission(PERMISSIONS.RETURNS_MANAGE),
+  validate(returnQuerySchema, 'query'),
+  returnController.getAllReturns
+);
+
+/**
+ * @route   GET /api/v1/returns/:id
+ * @desc    Get single return
+ * @access  Private (owner or returns:manage)
+ */
+router.get('/:id', returnController.getReturn);
+
+/**
+ * @route   POST /api/v1/returns/:id/approve
+ * @desc    Approve a return
+ * @access  Private (returns:manage)
+ */
+router.post(
+  '/:id/approve',
+  requirePermission(PERMISSIONS.RETURNS_MANAGE),
+  validate(approveReturnSchema),
+  returnController.approveReturn
+);
+
+/**
+ * @route   POST /api/v1/returns/:id/reject
+ * @desc    Reject a return
+ * @access  Private (returns:manage)
+ */
+router.post(
+  '/:id/reject',
+  requirePermission(PERMISSIONS.RETURNS_MANAGE),
+  validate(rejectReturnSchema),
+  returnController.rejectReturn
+);
+
+/**
+ * @route   POST /api/v1/returns/:id/receive
+ * @desc    Mark a return received, restocking or writing off each item
+ * @access  Private (returns:manage)
+ */
+router.post(
+  '/:id/receive',
+  requirePermission(PERMISSIONS.RETURNS_MANAGE),
+  validate(receiveReturnSchema),
+  returnController.receiveReturn
+);
+
+/**
+ * @route   POST /api/v1/returns/:id/refund
+ * @desc    Refund a received return
+ * @access  Private (returns:manage, payments:refund)
+ */
+router.post(
+  '/:id/refund',
+  requirePermission(PERMISSIONS.RETURNS_MANAGE, PERMISSIONS.PAYMENTS_REFUND),
+  validate(refundReturnSchema),
+  returnController.refundReturn
+);
+
+export default router;
@@ -0,0 +1,69 @@
+import express from 'express';
+import * as reviewController from '../controllers/review.controller.js';
+import { validate } from '../middleware/validation.middleware.js';
+import {
+  createReviewSchema,
+  updateReviewSchema,
+  reviewQuerySchema,
+} from '../validators/review.validator.js';
+import { authenticate, optionalAuthenticate } from '../middleware/auth.middleware.js';
+import { requireFeature } from '../middleware/feature-toggle.middleware.js';
+import { FEATURE_FLAGS } from '../config/feature-flags.js';
+
+// mergeParams exposes the parent product :id
+const router = express.Router({ mergeParams: true });
+
+// All review routes require the reviews feature
+router.use(requireFeature(FEATURE_FLAGS.REVIEWS));
+
+/**
+ * @route   GET /api/v1/products/:id/reviews
+ * @desc    Get product reviews
+ * @access  Public
+ */
+router.get(
+  '/',
+  optionalAuthenticate,
+  validate(reviewQuerySchema, 'query'),
+  reviewController.getProductReviews
+);
+
+/**
+ * @route   POST /api/v1/products/:id/reviews
+ * @desc    Create review
+ * @access  Private
+ */
+router.post(
+  '/',
+  authenticate,
+  validate(createReviewSchema),
+  reviewController.createReview
+);
+
+/**
+ * @route   PUT /api/v1/products/:id/reviews/:reviewId
+ * @desc    Update own review
+ * @access  Private (review owner)
+ */
+router.put(
+  '/:reviewId',
+  authenticate,
+  validate(updateReviewSchema),
+  reviewController.updateReview
+);
+
+/**
+ * @route   DELETE /api/v1/products/:id/reviews/:reviewId
+ * @desc    Delete review
+ * @access  Private (review owner or admin)
+ */
+router.delete('/:reviewId', authenticate, reviewController.deleteReview);
+
+/**
+ * @route   POST /api/v1/products/:id/reviews/:reviewId/helpful
+ * @desc    Toggle helpful vote (one per user)
+ * @access  Private
+ */
+router.post('/:reviewId/helpful', authenticate, reviewController.toggleHelpful);
+
+export default router;
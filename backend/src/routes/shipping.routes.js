@@ -0,0 +1,75 @@
+import express from 'express';
+import * as shippingController from '../controllers/shipping.controller.js';
+import { validate } from '../middleware/validation.middleware.js';
+import {
+  createShippingZoneSchema,
+  updateShippingZoneSchema,
+  shippingRatesQuerySchema,
+} from '../validators/shipping.validator.js';
+import { authenticate, optionalAuthenticate } from '../middleware/auth.middleware.js';
+import { guestSession } from '../middleware/guest-session.middleware.js';
+import { requirePermission } from '../middleware/role.middleware.js';
+import { PERMISSIONS } from '../config/permissions.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/v1/shipping/rates
+ * @desc    Get shipping rates for the current cart and an address
+ * @access  Public (account or guest cart)
+ */
+router.get(
+  '/rates',
+  optionalAuthenticate,
+  guestSession,
+  validate(shippingRatesQuerySchema, 'query'),
+  shippingController.getShippingRates
+);
+
+/**
+ * @route   POST /api/v1/shipping/webhooks/:carrier
+ * @desc    Receive tracking events from a carrier
+ * @access  Public (verified by the carrier adapter)
+ */
+router.post('/webhooks/:carrier', shippingController.handleTrackingWebhook);
+
+// Management routes
+router.use(authenticate);
+router.use(requirePermission(PERMISSIONS.SHIPPING_MANAGE));
+
+/**
+ * @route   GET /api/v1/shipping/zones
+ * @desc    Get shipping zones
+ * @access  Private (shipping:manage)
+ */
+router.get('/zones', shippingController.getZones);
+
+/**
+ * @route   POST /api/v1/shipping/zones
+ * @desc    Create a shipping zone
+ * @access  Private (shipping:manage)
+ */
+router.post('/zones', validate(createShippingZoneSchema), shippingController.createZone);
+
+/**
+ * @route   GET /api/v1/shipping/zones/:id
+ * @desc    Get a shipping zone
+ * @access  Private (shipping:manage)
+ */
+router.get('/zones/:id', shippingController.getZone);
+
+/**
+ * @route   PUT /api/v1/shipping/zones/:id
+ * @desc    Update a shipping zone
+ * @access  Private (shipping:manage)
+ */
+router.put('/zones/:id', validate(updateShippingZoneSchema), shippingController.updateZone);
+
+/**
+ * @route   DELETE /api/v1/shipping/zones/:id
+ * @desc    Delete a shipping zone
+ * @access  Private (shipping:manage)
+ */
+router.delete('/zones/:id', shippingController.deleteZone);
+
+export default router;
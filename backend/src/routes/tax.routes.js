@@ -0,0 +1,62 @@
+import express from 'express';
+import * as taxController from '../controllers/tax.controller.js';
+import { validate } from '../middleware/validation.middleware.js';
+import {
+  createTaxRateSchema,
+  updateTaxRateSchema,
+  importTaxRatesSchema,
+  taxRateQuerySchema,
+} from '../validators/tax.validator.js';
+import { authenticate } from '../middleware/auth.middleware.js';
+import { requirePermission } from '../middleware/role.middleware.js';
+import { PERMISSIONS } from '../config/permissions.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/v1/tax/display
+ * @desc    Get price display mode and tax rates at the store's base address
+ * @access  Public
+ */
+router.get('/display', taxController.getDisplaySettings);
+
+// Management routes
+router.use(authenticate);
+router.use(requirePermission(PERMISSIONS.TAX_MANAGE));
+
+/**
+ * @route   GET /api/v1/tax/rates
+ * @desc    Get tax rates
+ * @access  Private (tax:manage)
+ */
+router.get('/rates', validate(taxRateQuerySchema, 'query'), taxController.getTaxRates);
+
+/**
+ * @route   POST /api/v1/tax/rates
+ * @desc    Create a tax rate
+ * @access  Private (tax:manage)
+ */
+router.post('/rates', validate(createTaxRateSchema), taxController.createTaxRate);
+
+/**
+ * @route   POST /api/v1/tax/rates/import
+ * @desc    Import tax rates from CSV
+ * @access  Private (tax:manage)
+ */
+router.post('/rates/import', validate(importTaxRatesSchema), taxController.importTaxRates);
+
+/**
+ * @route   PUT /api/v1/tax/rates/:id
+ * @desc    Update a tax rate
+ * @access  Private (tax:manage)
+ */
+router.put('/rates/:id', validate(updateTaxRateSchema), taxController.updateTaxRate);
+
+/**
+ * @route   DELETE /api/v1/tax/rates/:id
+ * @desc    Delete a tax rate
+ * @access  Private (tax:manage)
+ */
+router.delete('/rates/:id', taxController.deleteTaxRate);
+
+export default router;
@@ -0,0 +1,61 @@
+import express from 'express';
+import * as wishlistController from '../controllers/wishlist.controller.js';
+import { validate } from '../middleware/validation.middleware.js';
+import {
+  addWishlistItemSchema,
+  moveToCartSchema,
+} from '../validators/wishlist.validator.js';
+import { authenticate } from '../middleware/auth.middleware.js';
+import { requireFeature } from '../middleware/feature-toggle.middleware.js';
+import { FEATURE_FLAGS } from '../config/feature-flags.js';
+
+const router = express.Router();
+
+// All wishlist routes require authentication and the wishlist feature
+router.use(authenticate);
+router.use(requireFeature(FEATURE_FLAGS.WISHLIST));
+
+/**
+ * @route   GET /api/v1/wishlist
+ * @desc    Get user's wishlist
+ * @access  Private
+ */
+router.get('/', wishlistController.getWishlist);
+
+/**
+ * @route   POST /api/v1/wishlist/items
+ * @desc    Add item to wishlist
+ * @access  Private
+ */
+router.post(
+  '/items',
+  validate(addWishlistItemSchema),
+  wishlistController.addItem
+);
+
+/**
+ * @route   DELETE /api/v1/wishlist/items/:itemId
+ * @desc    Remove item from wishlist
+ * @access  Private
+ */
+router.delete('/items/:itemId', wishlistController.removeItem);
+
+/**
+ * @route   POST /api/v1/wishlist/items/:itemId/move-to-cart
+ * @desc    Move wishlist item to cart
+ * @access  Private
+ */
+router.post(
+  '/items/:itemId/move-to-cart',
+  validate(moveToCartSchema),
+  wishlistController.moveToCart
+);
+
+/**
+ * @route   DELETE /api/v1/wishlist
+ * @desc    Clear wishlist
+ * @access  Private
+ */
+router.delete('/', wishlistController.clearWishlist);
+
+export default router;
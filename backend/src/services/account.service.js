@@ -0,0 +1,214 @@
+import User from '../models/User.js';
+import Order from '../models/Order.js';
+import Review from '../models/Review.js';
+import Cart from '../models/Cart.js';
+import Wishlist from '../models/Wishlist.js';
+import LoyaltyAccount from '../models/LoyaltyAccount.js';
+import LoyaltyTransaction from '../models/LoyaltyTransaction.js';
+import LoginEvent from '../models/LoginEvent.js';
+import { HTTP_STATUS, ORDER_STATUS } from '../config/constants.js';
+import { logger } from '../utils/logger.util.js';
+import { generateSecureToken } from '../utils/jwt.util.js';
+import { createZip } from '../utils/zip.util.js';
+import mailService from './mail/mail.service.js';
+import sessionService from './session.service.js';
+import twoFactorService from './two-factor.service.js';
+
+const REDACTED = 'REDACTED';
+
+// Orders that still need the customer's address; deletion waits until they finish
+const OPEN_ORDER_STATUSES = [
+  ORDER_STATUS.PENDING,
+  ORDER_STATUS.PROCESSING,
+  ORDER_STATUS.PARTIALLY_SHIPPED,
+  ORDER_STATUS.SHIPPED,
+  ORDER_STATUS.PARTIALLY_DELIVERED,
+];
+
+/**
+ * Order address with personal fields removed
+ * Country and state stay so tax and sales reporting keep working.
+ */
+const redactAddress = (prefix) => ({
+  [`${prefix}.name`]: 'Deleted User',
+  [`${prefix}.street`]: REDACTED,
+  [`${prefix}.city`]: REDACTED,
+  [`${prefix}.zipCode`]: REDACTED,
+  [`${prefix}.phone`]: REDACTED,
+});
+
+/**
+ * Account Service
+ * Personal data export and self-service account deletion
+ */
+class AccountService {
+  /**
+   * Collect everything stored about a user
+   * @param {String} userId - User ID
+   * @returns {Object} Export sections keyed by name
+   */
+  async buildExport(userId) {
+    const user = await User.findById(userId);
+
+    if (!user || user.deletedAt) {
+      const error = new Error('User not found');
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+
+    const [orders, reviews, cart, wishlist, loyaltyAccount, loyaltyTransactions, loginHistory] =
+      await Promise.all([
+        Order.find({ user: userId }).select('-adminNotes').sort({ createdAt: -1 }).lean(),
+        Review.find({ user: userId })
+          .select('product rating title comment status createdAt updatedAt')
+          .populate('product', 'name slug')
+          .sort({ createdAt: -1 })
+          .lean(),
+        Cart.findOne({ user: userId }).populate('items.product', 'name slug').lean(),
+        Wishlist.findOne({ user: userId }).populate('items.product', 'name slug').lean(),
+        LoyaltyAccount.findOne({ user: userId }).lean(),
+        LoyaltyTransaction.find({ user: userId }).sort({ createdAt: -1 }).lean(),
+        LoginEvent.find({ user: userId })
+          .select('success failureReason ip userAgent newDevice createdAt')
+          .sort({ createdAt: -1 })
+          .lean(),
+      ]);
+
+    const { addresses, ...profile } = user.toJSON();
+
+    return {
+      exportedAt: new Date().toISOString(),
+      profile,
+      addresses,
+      orders,
+      reviews,
+      cart: cart ? cart.items : [],
+      wishlist: wishlist ? wishlist.items : [],
+      loyalty: { account: loyaltyAccount, transactions: loyaltyTransactions },
+      loginHistory,
+    };
+  }
+
+  /**
+   * Package the export as a ZIP archive with one JSON file per section
+   * @param {String} userId - User ID
+   * @returns {Buffer} ZIP file contents
+   */
+  async buildExportArchive(userId) {
+    const { exportedAt, ...sections } = await this.buildExport(userId);
+
+    const files = Object.entries(sections).map(([name, data]) => ({
+      name: `${name.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}.json`,
+      content: JSON.stringify(data, null, 2),
+    }));
+
+    files.unshift({
+      name: 'README.txt',
+      content: `Personal data export generated ${exportedAt}.\nEach file contains one section of your account data in JSON format.\n`,
+    });
+
+    return createZip(files, new Date(exportedAt));
+  }
+
+  /**
+   * Close the user's account
+   * Order history is kept for accounting with personal details removed; the
+   * user record is anonymised and soft-deleted so the email can be reused.
+   * @param {String} userId - User ID
+   * @param {Object} credentials - { password, code?, recoveryCode? }
+   */
+  async deleteAccount(userId, { password, code, recoveryCode }) {
+    const user = await User.findById(userId).select('+password +twoFactor.secret');
+
+    if (!user || user.deletedAt) {
+      const error = new Error('User not found');
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+
+    if (!(await user.comparePassword(password))) {
+      const error = new Error('Incorrect password');
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    }
+
+    if (user.twoFactor?.enabled) {
+      await twoFactorService.assertCode(user, { code, recoveryCode });
+    }
+
+    const openOrders = await Order.countDocuments({
+      user: userId,
+      status: { $in: OPEN_ORDER_STATUSES },
+    });
+
+    if (openOrders > 0) {
+      const error = new Error(
+        'Your account has orders in progress. You can delete it once they are delivered or cancelled.'
+      );
+      error.statusCode = HTTP_STATUS.CONFLICT;
+      throw error;
+    }
+
+    const originalEmail = user.email;
+    const originalName = user.name;
+
+    await Order.updateMany(
+      { user: userId },
+      {
+        $set: { ...redactAddress('shippingAddress'), ...redactAddress('billingAddress') },
+        $unset: { notes: 1 },
+      }
+    );
+
+    await Promise.all([
+      Cart.deleteOne({ user: userId }),
+      Wishlist.deleteOne({ user: userId }),
+      LoginEvent.deleteMany({ user: userId }),
+      sessionService.revokeAllSessions(userId, 'account_deleted'),
+    ]);
+
+    await User.updateOne(
+      { _id: userId },
+      {
+        $set: {
+          name: 'Deleted User',
+          email: `deleted-${userId}@deleted.invalid`,
+          // Unusable random password; the account can no longer sign in
+          password: generateSecureToken(),
+          addresses: [],
+          isActive: false,
+          isEmailVerified: false,
+          deletedAt: new Date(),
+          'twoFactor.enabled': false,
+        },
+        $unset: {
+          phone: 1,
+          avatar: 1,
+          lastLogin: 1,
+          emailVerificationToken: 1,
+          emailVerificationExpires: 1,
+          passwordResetToken: 1,
+          passwordResetExpires: 1,
+          failedLoginAttempts: 1,
+          lockUntil: 1,
+          'twoFactor.secret': 1,
+          'twoFactor.pendingSecret': 1,
+          'twoFactor.recoveryCodes': 1,
+          'twoFactor.lastUsedStep': 1,
+          'twoFactor.enabledAt': 1,
+        },
+      }
+    );
+
+    logger.info(`Account deleted by user: ${userId}`);
+
+    try {
+      await mailService.sendAccountDeletedEmail({ email: originalEmail, name: originalName });
+    } catch (error) {
+      logger.error(`Failed to send account deletion email for user: ${userId}`, error);
+    }
+  }
+}
+
+// Export singleton instance
+export default new AccountService();
@@ -0,0 +1,207 @@
+import User from '../models/User.js';
+import { HTTP_STATUS } from '../config/constants.js';
+import { logger } from '../utils/logger.util.js';
+
+const MAX_ADDRESSES = 20;
+
+const ADDRESS_FIELDS = ['type', 'name', 'street', 'city', 'state', 'zipCode', 'country', 'phone'];
+
+/**
+ * Normalize an address for duplicate detection
+ */
+const addressKey = (address) =>
+  ['name', 'street', 'city', 'state', 'zipCode', 'country']
+    .map((field) => String(address[field] || '').trim().toLowerCase())
+    .join('|');
+
+/**
+ * Address Service
+ * Manages the saved address book on the user document
+ */
+class AddressService {
+  /**
+   * Load user document for address changes
+   */
+  async getUser(userId) {
+    const user = await User.findById(userId);
+
+    if (!user) {
+      const error = new Error('User not found');
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+
+    return user;
+  }
+
+  /**
+   * Find address sub-document or throw 404
+   */
+  getAddress(user, addressId) {
+    const address = user.addresses.id(addressId);
+
+    if (!address) {
+      const error = new Error('Address not found');
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+
+    return address;
+  }
+
+  /**
+   * Make the given address the only default of its kind(s)
+   */
+  applyDefaults(user, address, { isDefault, isDefaultBilling }) {
+    if (isDefault) {
+      user.addresses.forEach((addr) => {
+        addr.isDefault = addr._id.equals(address._id);
+      });
+    }
+
+    if (isDefaultBilling) {
+      user.addresses.forEach((addr) => {
+        addr.isDefaultBilling = addr._id.equals(address._id);
+      });
+    }
+  }
+
+  /**
+   * Keep exactly one default shipping and billing address while any exist
+   */
+  ensureDefaults(user) {
+    if (user.addresses.length === 0) return;
+
+    if (!user.addresses.some((addr) => addr.isDefault)) {
+      user.addresses[0].isDefault = true;
+    }
+
+    if (!user.addresses.some((addr) => addr.isDefaultBilling)) {
+      user.addresses[0].isDefaultBilling = true;
+    }
+  }
+
+  /**
+   * Get user's saved addresses (defaults first)
+   */
+  async listAddresses(userId) {
+    const user = await User.findById(userId).select('addresses').lean();
+
+    if (!user) {
+      const error = new Error('User not found');
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+
+    return [...user.addresses].sort(
+      (a, b) =>
+        Number(b.isDefault) - Number(a.isDefault) ||
+        Number(b.isDefaultBilling) - Number(a.isDefaultBilling)
+    );
+  }
+
+  /**
+   * Add address to the address book
+   */
+  async addAddress(userId, data) {
+    const user = await this.getUser(userId);
+
+    if (user.addresses.length >= MAX_ADDRESSES) {
+      const error = new Error(`You can save up to ${MAX_ADDRESSES} addresses`);
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    }
+
+    const { isDefault = false, isDefaultBilling = false, ...fields } = data;
+    user.addresses.push(fields);
+    const address = user.addresses[user.addresses.length - 1];
+
+    this.applyDefaults(user, address, { isDefault, isDefaultBilling });
+    this.ensureDefaults(user);
+    await user.save();
+
+    logger.info(`Address added for user: ${userId}`);
+
+    return this.listAddresses(userId);
+  }
+
+  /**
+   * Update saved address
+   */
+  async updateAddress(userId, addressId, data) {
+    const user = await this.getUser(userId);
+    const address = this.getAddress(user, addressId);
+    const { isDefault, isDefaultBilling, ...fields } = data;
+
+    ADDRESS_FIELDS.forEach((field) => {
+      if (fields[field] !== undefined) {
+        address[field] = fields[field];
+      }
+    });
+
+    // Clearing a flag only sticks if another address can take over
+    if (isDefault === false) address.isDefault = false;
+    if (isDefaultBilling === false) address.isDefaultBilling = false;
+
+    this.applyDefaults(user, address, { isDefault, isDefaultBilling });
+    this.ensureDefaults(user);
+    await user.save();
+
+    return this.listAddresses(userId);
+  }
+
+  /**
+   * Delete saved address (another address inherits its default flags)
+   */
+  async deleteAddress(userId, addressId) {
+    const user = await this.getUser(userId);
+    const address = this.getAddress(user, addressId);
+
+    address.deleteOne();
+    this.ensureDefaults(user);
+    await user.save();
+
+    logger.info(`Address ${addressId} removed for user: ${userId}`);
+
+    return this.listAddresses(userId);
+  }
+
+  /**
+   * Save an order's shipping address to the address book
+   * Skips addresses that are already saved and never fails the order.
+   */
+  async saveFromOrder(userId, shippingAddress) {
+    try {
+      const user = await this.getUser(userId);
+      const key = addressKey(shippingAddress);
+
+      if (user.addresses.some((addr) => addressKey(addr) === key)) {
+        return null;
+      }
+
+      if (user.addresses.length >= MAX_ADDRESSES) {
+        logger.warn(`Address book full, order address not saved for user: ${userId}`);
+        return null;
+      }
+
+      const fields = {};
+      ADDRESS_FIELDS.forEach((field) => {
+        if (shippingAddress[field] !== undefined) {
+          fields[field] = shippingAddress[field];
+        }
+      });
+
+      user.addresses.push(fields);
+      this.ensureDefaults(user);
+      await user.save();
+
+      return user.addresses[user.addresses.length - 1];
+    } catch (error) {
+      logger.error(`Failed to save order address for user ${userId}:`, error);
+      return null;
+    }
+  }
+}
+
+// Export singleton instance
+export default new AddressService();
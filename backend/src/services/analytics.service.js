@@ -1,11 +1,17 @@
 import Order from '../models/Order.js';
 import Product from '../models/Product.js';
 import User from '../models/User.js';
-import { PAYMENT_STATUS, ORDER_STATUS } from '../config/constants.js';
+import { PAYMENT_STATUS } from '../config/constants.js';
 import { logger } from '../utils/logger.util.js';
 import featureToggleService from './feature-toggle.service.js';
 import { FEATURE_FLAGS } from '../config/feature-flags.js';
 
+// Paid orders, including those partly refunded since
+const REVENUE_PAYMENT_STATUSES = [PAYMENT_STATUS.PAID, PAYMENT_STATUS.PARTIALLY_REFUNDED];
+
+// What an order brought in once refunds are taken off
+const NET_TOTAL = { $subtract: ['$total', { $ifNull: ['$refundedAmount', 0] }] };
+
 /**
  * Analytics Service
  * Provides efficient analytics queries for admin dashboard
@@ -41,10 +47,10 @@ class AnalyticsService {
    * @returns {Promise<Object>} Revenue statistics
    */
   async getTotalRevenue(options = {}) {
-    const { startDate, endDate, status = PAYMENT_STATUS.PAID } = options;
+    const { startDate, endDate, status } = options;
 
     const matchStage = {
-      'payment.status': status,
+      'payment.status': status || { $in: REVENUE_PAYMENT_STATUSES },
     };
 
     if (startDate || endDate) {
@@ -62,9 +68,9 @@ class AnalyticsService {
       {
         $group: {
           _id: null,
-          totalRevenue: { $sum: '$total' },
+          totalRevenue: { $sum: NET_TOTAL },
           orderCount: { $sum: 1 },
-          averageOrderValue: { $avg: '$total' },
+          averageOrderValue: { $avg: NET_TOTAL },
         },
       },
     ]);
@@ -126,7 +132,7 @@ class AnalyticsService {
             },
           },
           orderCount: { $sum: 1 },
-          revenue: { $sum: '$total' },
+          revenue: { $sum: NET_TOTAL },
         },
       },
       { $sort: { _id: 1 } },
@@ -149,7 +155,7 @@ class AnalyticsService {
     const { limit = 10, startDate, endDate } = options;
 
     const matchStage = {
-      'payment.status': PAYMENT_STATUS.PAID,
+      'payment.status': { $in: REVENUE_PAYMENT_STATUSES },
     };
 
     if (startDate || endDate) {
@@ -165,12 +171,37 @@ class AnalyticsService {
     const result = await Order.aggregate([
       { $match: matchStage },
       { $unwind: '$items' },
+      // Take refunded units of each line off, as revenue totals take off refunds
+      {
+        $addFields: {
+          refundedLines: {
+            $filter: {
+              input: {
+                $reduce: {
+                  input: { $ifNull: ['$refunds', []] },
+                  initialValue: [],
+                  in: { $concatArrays: ['$$value', '$$this.items'] },
+                },
+              },
+              as: 'line',
+              cond: { $eq: ['$$line.item', '$items._id'] },
+            },
+          },
+        },
+      },
+      {
+        $addFields: {
+          netQuantity: { $subtract: ['$items.quantity', { $sum: '$refundedLines.quantity' }] },
+          netRevenue: { $subtract: ['$items.subtotal', { $sum: '$refundedLines.subtotal' }] },
+        },
+      },
+      { $match: { netQuantity: { $gt: 0 } } },
       {
         $group: {
           _id: '$items.product',
           productName: { $first: '$items.name' },
-          totalQuantity: { $sum: '$items.quantity' },
-          totalRevenue: { $sum: '$items.subtotal' },
+          totalQuantity: { $sum: '$netQuantity' },
+          totalRevenue: { $sum: '$netRevenue' },
           orderCount: { $sum: 1 },
         },
       },
@@ -215,6 +246,8 @@ class AnalyticsService {
       {
         $match: {
           createdAt: { $gte: startDate },
+          // Guest orders have no customer account to list
+          user: { $ne: null },
         },
       },
       {
@@ -223,7 +256,7 @@ class AnalyticsService {
           firstOrderDate: { $min: '$createdAt' },
           lastOrderDate: { $max: '$createdAt' },
           orderCount: { $sum: 1 },
-          totalSpent: { $sum: '$total' },
+          totalSpent: { $sum: NET_TOTAL },
         },
       },
       { $sort: { lastOrderDate: -1 } },
@@ -368,7 +401,7 @@ class AnalyticsService {
         $group: {
           _id: '$status',
           count: { $sum: 1 },
-          totalRevenue: { $sum: '$total' },
+          totalRevenue: { $sum: NET_TOTAL },
         },
       },
       { $sort: { count: -1 } },
@@ -1,19 +1,61 @@
 import User from '../models/User.js';
 import {
-  generateAccessToken,
-  generateRefreshToken,
-  generateTokenPayload,
+  generateSecureToken,
+  hashToken,
+  generateChallengeToken,
   verifyToken,
 } from '../utils/jwt.util.js';
-import { HTTP_STATUS } from '../config/constants.js';
+import { HTTP_STATUS, USER_ROLES } from '../config/constants.js';
 import { logger } from '../utils/logger.util.js';
+import config from '../config/index.js';
+import mailService from './mail/mail.service.js';
+import sessionService from './session.service.js';
+import twoFactorService from './two-factor.service.js';
+import loginSecurityService from './login-security.service.js';
+
+/**
+ * Issue a new email verification token and email it to the user
+ * Only the token hash is stored; any previous token stops working.
+ * @param {Object} user - User document
+ */
+const sendEmailVerification = async (user) => {
+  const token = generateSecureToken();
+
+  user.emailVerificationToken = hashToken(token);
+  user.emailVerificationExpires = new Date(
+    Date.now() + config.auth.emailVerificationExpiryHours * 60 * 60 * 1000
+  );
+  await user.save({ validateBeforeSave: false });
+
+  // A mail outage should not block registration; the user can resend later
+  try {
+    await mailService.sendVerificationEmail(user, token);
+  } catch (error) {
+    logger.error(`Failed to send verification email to user: ${user._id}`, error);
+  }
+};
+
+/**
+ * Serialize a user for API responses
+ * Staff roles are populated so the response carries their permissions.
+ * @param {Object} user - User document
+ * @returns {Object} User object without secrets
+ */
+const toUserResponse = async (user) => {
+  if (user.role === USER_ROLES.STAFF) {
+    await user.populate('staffRole', 'key name permissions');
+  }
+
+  return user.toJSON();
+};
 
 /**
  * Register a new user
  * @param {Object} userData - User registration data
+ * @param {Object} clientInfo - { userAgent, ip } of the registering device
  * @returns {Object} User object and tokens
  */
-export const register = async (userData) => {
+export const register = async (userData, clientInfo = {}) => {
   // Check if user already exists
   const existingUser = await User.findOne({ email: userData.email.toLowerCase() });
 
@@ -32,17 +74,42 @@ export const register = async (userData) => {
     phone: userData.phone || null,
   });
 
-  // Generate tokens
-  const tokenPayload = generateTokenPayload(user);
-  const accessToken = generateAccessToken(tokenPayload);
-  const refreshToken = generateRefreshToken(tokenPayload);
+  // Start a session for this device
+  const { accessToken, refreshToken } = await sessionService.createSession(user, clientInfo);
 
-  // Save refresh token to database
-  user.refreshToken = refreshToken;
-  await user.save({ validateBeforeSave: false });
+  // First history entry; establishes this as a known device
+  await loginSecurityService.recordSuccessfulLogin(user, clientInfo);
+
+  await sendEmailVerification(user);
 
   // Remove sensitive data
-  const userObject = user.toJSON();
+  const userObject = await toUserResponse(user);
+
+  return {
+    user: userObject,
+    accessToken,
+    refreshToken,
+  };
+};
+
+/**
+ * Finish a login once all factors are verified
+ * @param {Object} user - User document
+ * @param {Object} clientInfo - { userAgent, ip } of the signing-in device
+ * @returns {Object} User object and tokens
+ */
+const completeLogin = async (user, clientInfo) => {
+  // Update last login
+  user.lastLogin = new Date();
+  await user.save({ validateBeforeSave: false });
+
+  // Start a session for this device; other devices stay signed in
+  const { accessToken, refreshToken } = await sessionService.createSession(user, clientInfo);
+
+  await loginSecurityService.recordSuccessfulLogin(user, clientInfo);
+
+  // Remove password from user object
+  const userObject = await toUserResponse(user);
 
   return {
     user: userObject,
@@ -53,99 +120,153 @@ export const register = async (userData) => {
 
 /**
  * Login user
+ * Accounts with two-factor authentication get a challenge token instead of
+ * session tokens; see verifyTwoFactorLogin.
  * @param {String} email - User email
  * @param {String} password - User password
- * @returns {Object} User object and tokens
+ * @param {Object} clientInfo - { userAgent, ip } of the signing-in device
+ * @returns {Object} User object and tokens, or { twoFactorRequired, challengeToken }
  */
-export const login = async (email, password) => {
+export const login = async (email, password, clientInfo = {}) => {
   // Find user and include password for comparison
   const user = await User.findOne({ email: email.toLowerCase() }).select('+password');
 
   if (!user) {
+    await loginSecurityService.recordUnknownEmail(email, clientInfo);
     const error = new Error('Invalid email or password');
     error.statusCode = HTTP_STATUS.UNAUTHORIZED;
     throw error;
   }
 
+  await loginSecurityService.assertNotLocked(user, clientInfo);
+
   // Check password
   const isPasswordValid = await user.comparePassword(password);
 
   if (!isPasswordValid) {
+    await loginSecurityService.recordFailedLogin(user, 'invalid_password', clientInfo);
     const error = new Error('Invalid email or password');
     error.statusCode = HTTP_STATUS.UNAUTHORIZED;
     throw error;
   }
 
-  // Update last login
-  user.lastLogin = new Date();
+  if (!user.isActive) {
+    const error = new Error('This account has been deactivated. Please contact support.');
+    error.statusCode = HTTP_STATUS.FORBIDDEN;
+    throw error;
+  }
 
-  // Generate tokens
-  const tokenPayload = generateTokenPayload(user);
-  const accessToken = generateAccessToken(tokenPayload);
-  const refreshToken = generateRefreshToken(tokenPayload);
+  if (user.twoFactor?.enabled) {
+    return {
+      twoFactorRequired: true,
+      challengeToken: generateChallengeToken({ id: user._id.toString() }),
+    };
+  }
 
-  // Save refresh token to database
-  user.refreshToken = refreshToken;
-  await user.save({ validateBeforeSave: false });
+  return completeLogin(user, clientInfo);
+};
 
-  // Remove password from user object
-  const userObject = user.toJSON();
+/**
+ * Second login step for accounts with two-factor authentication
+ * @param {String} challengeToken - Token returned by login
+ * @param {Object} credentials - { code } or { recoveryCode }
+ * @param {Object} clientInfo - { userAgent, ip } of the signing-in device
+ * @returns {Object} User object and tokens
+ */
+export const verifyTwoFactorLogin = async (challengeToken, credentials, clientInfo = {}) => {
+  let decoded;
+  try {
+    decoded = verifyToken(challengeToken);
+  } catch (error) {
+    decoded = null;
+  }
 
-  return {
-    user: userObject,
-    accessToken,
-    refreshToken,
-  };
+  if (!decoded || decoded.type !== 'challenge') {
+    const error = new Error('Login session expired, please sign in again');
+    error.statusCode = HTTP_STATUS.UNAUTHORIZED;
+    throw error;
+  }
+
+  const user = await twoFactorService.getUserWithSecrets(decoded.id).catch(() => null);
+
+  if (!user) {
+    const error = new Error('Login session expired, please sign in again');
+    error.statusCode = HTTP_STATUS.UNAUTHORIZED;
+    throw error;
+  }
+
+  // Code guesses count towards the same lockout as password guesses
+  await loginSecurityService.assertNotLocked(user, clientInfo);
+
+  if (!(await twoFactorService.verifyCode(user, credentials))) {
+    await loginSecurityService.recordFailedLogin(user, 'invalid_2fa', clientInfo);
+    const error = new Error('Invalid verification code');
+    error.statusCode = HTTP_STATUS.UNAUTHORIZED;
+    throw error;
+  }
+
+  return completeLogin(user, clientInfo);
 };
 
 /**
  * Refresh access token
+ * The refresh token is rotated on every use.
  * @param {String} refreshToken - Refresh token
- * @returns {Object} New access token
+ * @param {Object} clientInfo - { userAgent, ip } of the refreshing device
+ * @returns {Object} New access and refresh tokens
  */
-export const refreshAccessToken = async (refreshToken) => {
+export const refreshAccessToken = async (refreshToken, clientInfo = {}) => {
   if (!refreshToken) {
     const error = new Error('Refresh token required');
     error.statusCode = HTTP_STATUS.UNAUTHORIZED;
     throw error;
   }
 
-  // Verify refresh token
-  let decoded;
-  try {
-    decoded = verifyToken(refreshToken);
-  } catch (error) {
-    const err = new Error('Invalid or expired refresh token');
-    err.statusCode = HTTP_STATUS.UNAUTHORIZED;
-    throw err;
-  }
-
-  // Find user and verify refresh token matches
-  const user = await User.findById(decoded.id);
+  return sessionService.rotateSession(refreshToken, clientInfo);
+};
 
-  if (!user || user.refreshToken !== refreshToken) {
-    const error = new Error('Invalid refresh token');
-    error.statusCode = HTTP_STATUS.UNAUTHORIZED;
-    throw error;
+/**
+ * Logout user from the current device
+ * @param {String} userId - User ID
+ * @param {String} sessionId - Session to end
+ */
+export const logout = async (userId, sessionId) => {
+  if (!sessionId) {
+    return;
   }
 
-  // Generate new access token
-  const tokenPayload = generateTokenPayload(user);
-  const accessToken = generateAccessToken(tokenPayload);
+  await sessionService.revokeSession(sessionId, 'logout', userId).catch(() => {
+    // Already revoked or expired
+  });
+};
 
-  return {
-    accessToken,
-  };
+/**
+ * List the user's signed-in devices
+ * @param {String} userId - User ID
+ * @param {String} currentSessionId - Session making the request
+ * @returns {Array} Active sessions
+ */
+export const getSessions = async (userId, currentSessionId) => {
+  return sessionService.listSessions(userId, currentSessionId);
 };
 
 /**
- * Logout user
+ * Sign out one of the user's devices
  * @param {String} userId - User ID
+ * @param {String} sessionId - Session to revoke
  */
-export const logout = async (userId) => {
-  await User.findByIdAndUpdate(userId, {
-    $unset: { refreshToken: 1 },
-  });
+export const revokeSession = async (userId, sessionId) => {
+  await sessionService.revokeSession(sessionId, 'user_revoked', userId);
+};
+
+/**
+ * Sign out all of the user's other devices
+ * @param {String} userId - User ID
+ * @param {String} currentSessionId - Session to keep
+ * @returns {Number} Number of sessions revoked
+ */
+export const revokeOtherSessions = async (userId, currentSessionId) => {
+  return sessionService.revokeAllSessions(userId, 'user_revoked', currentSessionId);
 };
 
 /**
@@ -162,7 +283,7 @@ export const getCurrentUser = async (userId) => {
     throw error;
   }
 
-  return user.toJSON();
+  return toUserResponse(user);
 };
 
 /**
@@ -194,9 +315,113 @@ export const updateProfile = async (userId, updateData) => {
     throw error;
   }
 
-  return user.toJSON();
+  return toUserResponse(user);
 };
 
+/**
+ * Verify email address with the token from the verification email
+ * @param {String} token - Plain verification token
+ * @returns {Object} Updated user object
+ */
+export const verifyEmail = async (token) => {
+  const user = await User.findOne({
+    emailVerificationToken: hashToken(token),
+    emailVerificationExpires: { $gt: new Date() },
+  });
 
+  if (!user) {
+    const error = new Error('Invalid or expired verification link');
+    error.statusCode = HTTP_STATUS.BAD_REQUEST;
+    throw error;
+  }
 
+  user.isEmailVerified = true;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpires = undefined;
+  await user.save({ validateBeforeSave: false });
 
+  logger.info(`Email verified for user: ${user._id}`);
+
+  return toUserResponse(user);
+};
+
+/**
+ * Send a fresh verification email to the current user
+ * @param {String} userId - User ID
+ */
+export const resendVerification = async (userId) => {
+  const user = await User.findById(userId);
+
+  if (!user) {
+    const error = new Error('User not found');
+    error.statusCode = HTTP_STATUS.NOT_FOUND;
+    throw error;
+  }
+
+  if (user.isEmailVerified) {
+    const error = new Error('Email is already verified');
+    error.statusCode = HTTP_STATUS.BAD_REQUEST;
+    throw error;
+  }
+
+  await sendEmailVerification(user);
+};
+
+/**
+ * Start a password reset
+ * Resolves the same way whether or not the email is registered so the
+ * endpoint cannot be used to discover accounts.
+ * @param {String} email - Account email
+ */
+export const forgotPassword = async (email) => {
+  const user = await User.findOne({ email: email.toLowerCase() });
+
+  if (!user || !user.isActive) {
+    logger.info('Password reset requested for unknown or inactive account');
+    return;
+  }
+
+  const token = generateSecureToken();
+
+  user.passwordResetToken = hashToken(token);
+  user.passwordResetExpires = new Date(
+    Date.now() + config.auth.passwordResetExpiryMinutes * 60 * 1000
+  );
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await mailService.sendPasswordResetEmail(user, token);
+  } catch (error) {
+    logger.error(`Failed to send password reset email to user: ${user._id}`, error);
+  }
+};
+
+/**
+ * Complete a password reset
+ * Sets the new password and signs the user out everywhere.
+ * @param {String} token - Plain reset token
+ * @param {String} password - New password
+ */
+export const resetPassword = async (token, password) => {
+  const user = await User.findOne({
+    passwordResetToken: hashToken(token),
+    passwordResetExpires: { $gt: new Date() },
+  });
+
+  if (!user) {
+    const error = new Error('Invalid or expired password reset link');
+    error.statusCode = HTTP_STATUS.BAD_REQUEST;
+    throw error;
+  }
+
+  user.password = password;
+  user.passwordResetToken = undefined;
+  user.passwordResetExpires = undefined;
+  await user.save();
+
+  // Sign out every device so a stolen session cannot outlive the reset
+  await sessionService.revokeAllSessions(user._id, 'password_reset');
+  await loginSecurityService.resetFailedLogins(user._id);
+
+  logger.info(`Password reset for user: ${user._id}`);
+};
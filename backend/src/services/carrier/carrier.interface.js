@@ -0,0 +1,69 @@
+/**
+ * Abstract Shipping Carrier Interface
+ *
+ * This interface defines the contract that all carrier adapters must implement.
+ * Adapters translate between a carrier's API and our normalised tracking events,
+ * so orders can be labelled and tracked the same way whoever delivers them.
+ */
+
+/**
+ * @typedef {Object} LabelResult
+ * @property {string} trackingNumber - Carrier tracking number
+ * @property {string} [labelUrl] - Printable label (PDF or image)
+ * @property {number} [cost] - What the carrier charges for the label
+ */
+
+/**
+ * @typedef {Object} TrackingEvent
+ * @property {string} status - One of TRACKING_STATUS
+ * @property {Date} occurredAt - When the carrier recorded the event
+ * @property {string} [description] - Carrier's wording, e.g. "Arrived at depot"
+ * @property {string} [location] - Where it happened
+ * @property {string} [eventId] - Carrier's event id, used to skip repeats
+ */
+
+/**
+ * @typedef {Object} TrackingUpdate
+ * @property {string} trackingNumber - Shipment the events belong to
+ * @property {TrackingEvent[]} events - New events, any order
+ */
+
+/**
+ * Abstract Carrier Adapter Class
+ * All carrier adapters must extend this class
+ */
+export class CarrierAdapter {
+  /**
+   * Create a shipping label
+   * @param {Object} params - Shipment parameters
+   * @param {string} params.orderId - Order ID
+   * @param {string} params.orderNumber - Order number, printed on the label
+   * @param {Object} params.shipTo - Shipping address from the order
+   * @param {number} params.weight - Package weight in kg
+   * @param {string} [params.service] - Shipping method code chosen at checkout
+   * @returns {Promise<LabelResult>}
+   */
+  async createLabel(params) {
+    throw new Error('createLabel must be implemented by subclass');
+  }
+
+  /**
+   * Fetch tracking events for a shipment
+   * @param {string} trackingNumber - Carrier tracking number
+   * @returns {Promise<TrackingEvent[]>}
+   */
+  async getTrackingEvents(trackingNumber) {
+    throw new Error('getTrackingEvents must be implemented by subclass');
+  }
+
+  /**
+   * Verify and parse a tracking webhook
+   * Throws with statusCode 401 when the request is not from the carrier.
+   * @param {Object} payload - Request body
+   * @param {Object} headers - Request headers (for signatures)
+   * @returns {Promise<TrackingUpdate>}
+   */
+  async handleWebhook(payload, headers) {
+    throw new Error('handleWebhook must be implemented by subclass');
+  }
+}
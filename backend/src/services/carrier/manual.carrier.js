@@ -0,0 +1,112 @@
+import crypto from 'crypto';
+import config from '../../config/index.js';
+import { CarrierAdapter } from './carrier.interface.js';
+import { HTTP_STATUS, TRACKING_STATUS } from '../../config/constants.js';
+
+/**
+ * Manual / Local Carrier Implementation
+ * For stores that deliver themselves or use a local courier without an API.
+ * Labels are plain tracking numbers; events arrive from staff, from the
+ * courier's webhook, or (in tests and local development) from queueEvent.
+ */
+export class ManualCarrier extends CarrierAdapter {
+  constructor() {
+    super();
+    // Events waiting for the next poll, by tracking number
+    this.pendingEvents = new Map();
+  }
+
+  /**
+   * Issue a tracking number; there is no label to print
+   */
+  async createLabel() {
+    const trackingNumber = `LOC-${crypto.randomBytes(5).toString('hex').toUpperCase()}`;
+
+    return {
+      trackingNumber,
+      labelUrl: null,
+      cost: 0,
+    };
+  }
+
+  /**
+   * Return and clear the events queued for a shipment
+   */
+  async getTrackingEvents(trackingNumber) {
+    const events = this.pendingEvents.get(trackingNumber) || [];
+    this.pendingEvents.delete(trackingNumber);
+    return events;
+  }
+
+  /**
+   * Queue an event for the next poll (tests and local development)
+   */
+  queueEvent(trackingNumber, event) {
+    const events = this.pendingEvents.get(trackingNumber) || [];
+    events.push(this.normalizeEvent(event));
+    this.pendingEvents.set(trackingNumber, events);
+  }
+
+  /**
+   * Courier webhook, authenticated with a shared secret
+   * Body: { trackingNumber, status, occurredAt?, description?, location?, eventId? }
+   * or { trackingNumber, events: [...] }
+   */
+  async handleWebhook(payload, headers) {
+    const { webhookSecret } = config.carriers.manual;
+    const provided = headers['x-webhook-secret'] || '';
+
+    if (!webhookSecret) {
+      const error = new Error('Webhook secret not configured');
+      error.statusCode = HTTP_STATUS.INTERNAL_SERVER_ERROR;
+      throw error;
+    }
+
+    const expected = Buffer.from(webhookSecret);
+    const received = Buffer.from(provided);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      const error = new Error('Invalid webhook secret');
+      error.statusCode = HTTP_STATUS.UNAUTHORIZED;
+      throw error;
+    }
+
+    const { trackingNumber, events, ...event } = payload || {};
+
+    if (!trackingNumber) {
+      const error = new Error('trackingNumber is required');
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    }
+
+    return {
+      trackingNumber,
+      events: (Array.isArray(events) ? events : [event]).map((entry) => this.normalizeEvent(entry)),
+    };
+  }
+
+  /**
+   * Check a reported event and fill in defaults
+   */
+  normalizeEvent({ status, occurredAt, description, location, eventId } = {}) {
+    if (!Object.values(TRACKING_STATUS).includes(status)) {
+      const error = new Error(`Unknown tracking status "${status}"`);
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    }
+
+    const date = occurredAt ? new Date(occurredAt) : new Date();
+    if (Number.isNaN(date.getTime())) {
+      const error = new Error('occurredAt is not a valid date');
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    }
+
+    return {
+      status,
+      occurredAt: date,
+      description: description || undefined,
+      location: location || undefined,
+      eventId: eventId || undefined,
+    };
+  }
+}
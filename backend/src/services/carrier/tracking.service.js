@@ -0,0 +1,259 @@
+import Order from '../../models/Order.js';
+import Product from '../../models/Product.js';
+import { ManualCarrier } from './manual.carrier.js';
+import {
+  CARRIERS,
+  FULFILLMENT_STATUS,
+  HTTP_STATUS,
+  TRACKING_STATUS,
+} from '../../config/constants.js';
+import { logger } from '../../utils/logger.util.js';
+import orderService from '../order.service.js';
+
+/**
+ * Tracking Service
+ * Labels, tracking events and carrier webhooks for an order's packages,
+ * independent of the carrier
+ */
+class TrackingService {
+  constructor() {
+    // Initialize carrier adapters
+    this.carriers = {
+      [CARRIERS.MANUAL]: new ManualCarrier(),
+      // Future: Add API-backed carriers here
+    };
+  }
+
+  /**
+   * Get carrier adapter instance
+   * @param {string} code - Carrier key
+   * @returns {CarrierAdapter} Adapter instance
+   */
+  getCarrier(code) {
+    const carrier = this.carriers[code];
+    if (!carrier) {
+      const error = new Error(`Unknown carrier: ${code}`);
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    }
+    return carrier;
+  }
+
+  /**
+   * Load an order or throw 404
+   */
+  async getOrder(orderId) {
+    const order = await Order.findById(orderId);
+    if (!order) {
+      const error = new Error('Order not found');
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+    return order;
+  }
+
+  /**
+   * Find a package on an order or throw 404
+   */
+  getFulfillment(order, fulfillmentId) {
+    const fulfillment = order.fulfillments.id(fulfillmentId);
+    if (!fulfillment) {
+      const error = new Error('Fulfillment not found');
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+    return fulfillment;
+  }
+
+  /**
+   * Buy a label from a carrier for some of an order's items
+   * @param {Object} order - Order document
+   * @param {Array} lines - [{ item, quantity }] going in the package
+   * @param {string} carrierCode - Carrier key
+   * @returns {Promise<LabelResult>}
+   */
+  async createLabel(order, lines, carrierCode = CARRIERS.MANUAL) {
+    const carrier = this.getCarrier(carrierCode);
+    const orderItems = lines.map((line) => ({
+      product: order.items.id(line.item).product,
+      quantity: line.quantity,
+    }));
+    const products = await Product.find({
+      _id: { $in: orderItems.map((item) => item.product) },
+    })
+      .select('weight')
+      .lean();
+    const weights = new Map(products.map((product) => [product._id.toString(), product.weight || 0]));
+
+    const label = await carrier.createLabel({
+      orderId: order._id.toString(),
+      orderNumber: order.orderNumber,
+      shipTo: order.shippingAddress,
+      weight: orderItems.reduce(
+        (sum, item) => sum + (weights.get(item.product.toString()) || 0) * item.quantity,
+        0
+      ),
+      service: order.shipping.method,
+    });
+
+    logger.info(`Label created for order ${order.orderNumber}: ${carrierCode} ${label.trackingNumber}`);
+
+    return label;
+  }
+
+  /**
+   * Store new tracking events on a package and update the order's status
+   * Events already stored (same eventId, or same status and time) are skipped.
+   * @param {Object} order - Order document
+   * @param {Object} fulfillment - Package on that order
+   * @param {Array} events - Normalised tracking events
+   * @returns {Promise<number>} Number of new events
+   */
+  async recordEvents(order, fulfillment, events) {
+    const eventKey = (event) =>
+      event.eventId || `${event.status}|${new Date(event.occurredAt).toISOString()}`;
+    const known = new Set(fulfillment.trackingEvents.map(eventKey));
+    const added = events.filter((event) => !known.has(eventKey(event)));
+
+    fulfillment.lastTrackedAt = new Date();
+
+    if (added.length > 0) {
+      fulfillment.trackingEvents.push(...added);
+      fulfillment.trackingEvents.sort((a, b) => a.occurredAt - b.occurredAt);
+    }
+
+    const delivery = added.find((event) => event.status === TRACKING_STATUS.DELIVERED);
+    if (delivery && fulfillment.status !== FULFILLMENT_STATUS.DELIVERED) {
+      fulfillment.status = FULFILLMENT_STATUS.DELIVERED;
+      fulfillment.deliveredAt = delivery.occurredAt;
+    }
+
+    await order.save();
+
+    if (delivery) {
+      await orderService.syncFulfillmentStatus(order._id);
+    }
+
+    return added.length;
+  }
+
+  /**
+   * Record an event reported by staff (e.g. own-fleet deliveries)
+   */
+  async addEvent(orderId, fulfillmentId, event) {
+    const order = await this.getOrder(orderId);
+    const fulfillment = this.getFulfillment(order, fulfillmentId);
+
+    await this.recordEvents(order, fulfillment, [
+      {
+        ...event,
+        occurredAt: event.occurredAt || new Date(),
+      },
+    ]);
+
+    return await orderService.getOrderById(orderId, null, true);
+  }
+
+  /**
+   * Fetch new events for one package from its carrier
+   */
+  async pollFulfillment(orderId, fulfillmentId) {
+    const order = await this.getOrder(orderId);
+    const fulfillment = this.getFulfillment(order, fulfillmentId);
+
+    if (!fulfillment.trackingNumber || !this.carriers[fulfillment.carrier]) {
+      const error = new Error('Package is not tracked by a supported carrier');
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    }
+
+    const events = await this.getCarrier(fulfillment.carrier).getTrackingEvents(
+      fulfillment.trackingNumber
+    );
+    await this.recordEvents(order, fulfillment, events);
+
+    return await orderService.getOrderById(orderId, null, true);
+  }
+
+  /**
+   * Poll every package still on its way (run on a schedule)
+   * @returns {Promise<Object>} { polled, updated, failed }
+   */
+  async pollActiveShipments() {
+    const isActive = (fulfillment) =>
+      fulfillment.status === FULFILLMENT_STATUS.SHIPPED &&
+      Boolean(fulfillment.trackingNumber) &&
+      Boolean(this.carriers[fulfillment.carrier]);
+
+    const orders = await Order.find({
+      fulfillments: {
+        $elemMatch: {
+          status: FULFILLMENT_STATUS.SHIPPED,
+          carrier: { $in: Object.keys(this.carriers) },
+          trackingNumber: { $exists: true, $ne: null },
+        },
+      },
+    });
+
+    let polled = 0;
+    let updated = 0;
+    let failed = 0;
+
+    for (const order of orders) {
+      for (const fulfillment of order.fulfillments.filter(isActive)) {
+        polled++;
+        try {
+          const events = await this.getCarrier(fulfillment.carrier).getTrackingEvents(
+            fulfillment.trackingNumber
+          );
+          if ((await this.recordEvents(order, fulfillment, events)) > 0) {
+            updated++;
+          }
+        } catch (error) {
+          failed++;
+          logger.error(
+            `Tracking poll failed for order ${order.orderNumber} (${fulfillment.trackingNumber}):`,
+            error
+          );
+        }
+      }
+    }
+
+    return { polled, updated, failed };
+  }
+
+  /**
+   * Process a carrier webhook
+   * @param {string} carrierCode - Carrier key from the webhook URL
+   * @param {Object} payload - Request body
+   * @param {Object} headers - Request headers
+   * @returns {Promise<Object>} Processing result
+   */
+  async handleWebhook(carrierCode, payload, headers) {
+    const carrier = this.getCarrier(carrierCode);
+    const { trackingNumber, events } = await carrier.handleWebhook(payload, headers);
+
+    const order = await Order.findOne({
+      fulfillments: { $elemMatch: { carrier: carrierCode, trackingNumber } },
+    });
+
+    if (!order) {
+      logger.warn(`Order not found for ${carrierCode} tracking number: ${trackingNumber}`);
+      return { processed: false, reason: 'Order not found' };
+    }
+
+    const fulfillment = order.fulfillments.find(
+      (entry) => entry.carrier === carrierCode && entry.trackingNumber === trackingNumber
+    );
+    const added = await this.recordEvents(order, fulfillment, events);
+
+    return {
+      processed: true,
+      orderId: order._id.toString(),
+      orderNumber: order.orderNumber,
+      eventsAdded: added,
+    };
+  }
+}
+
+export default new TrackingService();
@@ -4,22 +4,65 @@ import { HTTP_STATUS } from '../config/constants.js';
 import { logger } from '../utils/logger.util.js';
 import inventoryService from './inventory.service.js';
 
+const CART_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+/**
+ * Query for a cart owner
+ * Owners are a user id, or { sessionId } for guest carts.
+ */
+const ownerFilter = (owner) =>
+  owner?.sessionId ? { sessionId: owner.sessionId, user: null } : { user: owner };
+
+const ownerFields = (owner) =>
+  owner?.sessionId ? { sessionId: owner.sessionId } : { user: owner };
+
+const describeOwner = (owner) => (owner?.sessionId ? 'guest session' : `user ${owner}`);
+
+/**
+ * Normalize selected variants so the same selection compares equal in either format
+ */
+const normalizeVariants = (variants) => {
+  if (!variants || variants.length === 0) return [];
+  return variants
+    .map((v) => ({
+      variantName: String(v.variantName || v.name || ''),
+      optionValue: String(v.optionValue || v.value || ''),
+    }))
+    .sort((a, b) => {
+      if (a.variantName !== b.variantName) {
+        return a.variantName.localeCompare(b.variantName);
+      }
+      return a.optionValue.localeCompare(b.optionValue);
+    });
+};
+
+const isSameLine = (item, productId, selectedVariants) =>
+  item.product.toString() === productId.toString() &&
+  JSON.stringify(normalizeVariants(item.selectedVariants)) ===
+    JSON.stringify(normalizeVariants(selectedVariants));
+
 /**
  * Cart Service
  * Handles all cart-related business logic with stock validation
  */
 class CartService {
   /**
-   * Get or create user's cart
+   * Get or create the owner's cart
+   * Guest carts are only stored once something is added to them.
+   * @param {String|Object} owner - User ID, or { sessionId } for a guest
    */
-  async getOrCreateCart(userId) {
-    let cart = await Cart.findOne({ user: userId }).populate({
+  async getOrCreateCart(owner) {
+    let cart = await Cart.findOne(ownerFilter(owner)).populate({
       path: 'items.product',
       select: 'name slug price images status stock variants',
     });
 
+    if (!cart && owner?.sessionId) {
+      return new Cart(ownerFields(owner)).toObject();
+    }
+
     if (!cart) {
-      cart = await Cart.create({ user: userId });
+      cart = await Cart.create(ownerFields(owner));
       // Return empty cart as plain object
       return cart.toObject ? cart.toObject() : cart;
     }
@@ -66,6 +109,7 @@ class CartService {
 
     const validItems = [];
     const removedItems = [];
+    const adjustedItems = [];
 
     for (const item of cart.items) {
       const product = productMap.get(item.product.toString());
@@ -112,13 +156,14 @@ class CartService {
       if (!stockAvailable && product.trackInventory) {
         // Adjust quantity to available stock or remove if out of stock
         if (availableStock > 0) {
-          item.quantity = availableStock;
-          validItems.push(item);
           logger.debug(`Adjusted cart item quantity due to stock:`, {
             productId: product._id,
             originalQuantity: item.quantity,
             newQuantity: availableStock,
           });
+          item.quantity = availableStock;
+          validItems.push(item);
+          adjustedItems.push({ item, reason: `Quantity reduced to ${availableStock} (available stock)` });
         } else {
           removedItems.push({ item, reason: 'Out of stock' });
           logger.debug(`Removed cart item - out of stock:`, {
@@ -138,9 +183,10 @@ class CartService {
       validItems.push(itemObj);
     }
 
-    // Update cart with valid items if any were removed
-    if (removedItems.length > 0) {
+    // Update cart with valid items if any were removed or reduced
+    if (removedItems.length > 0 || adjustedItems.length > 0) {
       cart.items = validItems.map((item) => ({
+        _id: item._id,
         product: item.product._id || item.product,
         quantity: item.quantity,
         selectedVariants: item.selectedVariants || [],
@@ -187,8 +233,8 @@ class CartService {
       });
     }
     
-    if (removedItems.length > 0) {
-      cartObj.validationWarnings = removedItems.map(({ item, reason }) => ({
+    if (removedItems.length > 0 || adjustedItems.length > 0) {
+      cartObj.validationWarnings = [...removedItems, ...adjustedItems].map(({ item, reason }) => ({
         productId: item.product?._id?.toString() || item.product?.toString() || item.product,
         reason,
       }));
@@ -295,11 +341,11 @@ class CartService {
   /**
    * Add item to cart
    */
-  async addItem(userId, productId, quantity, selectedVariants = []) {
+  async addItem(owner, productId, quantity, selectedVariants = []) {
     // Get or create cart
-    let cart = await Cart.findOne({ user: userId });
+    let cart = await Cart.findOne(ownerFilter(owner));
     if (!cart) {
-      cart = await Cart.create({ user: userId });
+      cart = await Cart.create(ownerFields(owner));
     }
 
     // Get product
@@ -336,31 +382,9 @@ class CartService {
     const price = this.calculateItemPrice(product, selectedVariants);
 
     // Check if item already exists with same variants
-    // Normalize selectedVariants for comparison (handle both formats)
-    const normalizeVariants = (variants) => {
-      if (!variants || variants.length === 0) return [];
-      return variants
-        .map((v) => ({
-          variantName: String(v.variantName || v.name || ''),
-          optionValue: String(v.optionValue || v.value || ''),
-        }))
-        .sort((a, b) => {
-          if (a.variantName !== b.variantName) {
-            return a.variantName.localeCompare(b.variantName);
-          }
-          return a.optionValue.localeCompare(b.optionValue);
-        });
-    };
-
-    const normalizedSelectedVariants = normalizeVariants(selectedVariants);
-    
-    const existingItemIndex = cart.items.findIndex((item) => {
-      if (item.product.toString() !== productId.toString()) {
-        return false;
-      }
-      const normalizedItemVariants = normalizeVariants(item.selectedVariants || []);
-      return JSON.stringify(normalizedItemVariants) === JSON.stringify(normalizedSelectedVariants);
-    });
+    const existingItemIndex = cart.items.findIndex((item) =>
+      isSameLine(item, productId, selectedVariants)
+    );
 
     if (existingItemIndex > -1) {
       // Update quantity
@@ -408,7 +432,7 @@ class CartService {
     }
 
     // Update expiration
-    cart.expiresAt = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+    cart.expiresAt = new Date(Date.now() + CART_TTL_MS);
     
     // Mark cart as modified to ensure Mongoose saves the changes
     cart.markModified('items');
@@ -416,7 +440,7 @@ class CartService {
     // Save cart and ensure it's persisted
     try {
       const savedCart = await cart.save();
-      logger.info(`Cart saved successfully for user ${userId}`, {
+      logger.info(`Cart saved successfully for ${describeOwner(owner)}`, {
         cartId: savedCart._id.toString(),
         itemsCount: savedCart.items.length,
         total: savedCart.total || 0,
@@ -441,7 +465,7 @@ class CartService {
       logger.error('Error saving cart:', {
         error: saveError.message,
         stack: saveError.stack,
-        userId,
+        owner: describeOwner(owner),
         productId,
         validationErrors: saveError.errors,
         cartItemsBeforeSave: cart.items.length,
@@ -457,7 +481,7 @@ class CartService {
     }
 
     // Return updated cart with populated product data
-    const updatedCart = await this.getOrCreateCart(userId);
+    const updatedCart = await this.getOrCreateCart(owner);
     logger.info(`Cart retrieved after save:`, {
       itemsCount: updatedCart.items?.length || 0,
       total: updatedCart.total || 0,
@@ -470,8 +494,8 @@ class CartService {
   /**
    * Update item quantity
    */
-  async updateItemQuantity(userId, itemId, quantity) {
-    const cart = await Cart.findOne({ user: userId });
+  async updateItemQuantity(owner, itemId, quantity) {
+    const cart = await Cart.findOne(ownerFilter(owner));
     if (!cart) {
       const error = new Error('Cart not found');
       error.statusCode = HTTP_STATUS.NOT_FOUND;
@@ -488,7 +512,7 @@ class CartService {
     }
 
     if (quantity <= 0) {
-      return await this.removeItem(userId, itemId);
+      return await this.removeItem(owner, itemId);
     }
 
     // Get product and check stock
@@ -519,17 +543,17 @@ class CartService {
     item.quantity = quantity;
     item.price = this.calculateItemPrice(product, item.selectedVariants);
 
-    cart.expiresAt = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+    cart.expiresAt = new Date(Date.now() + CART_TTL_MS);
     await cart.save();
 
-    return await this.getOrCreateCart(userId);
+    return await this.getOrCreateCart(owner);
   }
 
   /**
    * Remove item from cart
    */
-  async removeItem(userId, itemId) {
-    const cart = await Cart.findOne({ user: userId });
+  async removeItem(owner, itemId) {
+    const cart = await Cart.findOne(ownerFilter(owner));
     if (!cart) {
       const error = new Error('Cart not found');
       error.statusCode = HTTP_STATUS.NOT_FOUND;
@@ -548,14 +572,14 @@ class CartService {
     }
 
     await cart.save();
-    return await this.getOrCreateCart(userId);
+    return await this.getOrCreateCart(owner);
   }
 
   /**
    * Clear cart
    */
-  async clearCart(userId) {
-    const cart = await Cart.findOne({ user: userId });
+  async clearCart(owner) {
+    const cart = await Cart.findOne(ownerFilter(owner));
     if (!cart) {
       const error = new Error('Cart not found');
       error.statusCode = HTTP_STATUS.NOT_FOUND;
@@ -565,23 +589,82 @@ class CartService {
     cart.items = [];
     await cart.save();
 
-    return await this.getOrCreateCart(userId);
+    return await this.getOrCreateCart(owner);
+  }
+
+  /**
+   * Move a guest cart into a user's cart after they sign in or register
+   * Matching lines are added together, then quantities are reconciled
+   * against stock. The guest cart is removed.
+   * @param {String} sessionId - Guest session ID
+   * @param {String} userId - User ID
+   * @returns {Promise<Object|null>} Merged cart, or null if there was nothing to merge
+   */
+  async mergeGuestCart(sessionId, userId) {
+    const guestCart = await Cart.findOne(ownerFilter({ sessionId }));
+
+    if (!guestCart) {
+      return null;
+    }
+
+    if (guestCart.items.length === 0) {
+      await guestCart.deleteOne();
+      return null;
+    }
+
+    let cart = await Cart.findOne({ user: userId });
+
+    if (cart) {
+      for (const guestItem of guestCart.items) {
+        const existing = cart.items.find((item) =>
+          isSameLine(item, guestItem.product, guestItem.selectedVariants)
+        );
+
+        if (existing) {
+          existing.quantity += guestItem.quantity;
+        } else {
+          cart.items.push({
+            product: guestItem.product,
+            quantity: guestItem.quantity,
+            selectedVariants: guestItem.selectedVariants,
+            price: guestItem.price,
+            addedAt: guestItem.addedAt,
+          });
+        }
+      }
+
+      cart.expiresAt = new Date(Date.now() + CART_TTL_MS);
+      await cart.save();
+      await guestCart.deleteOne();
+    } else {
+      // No account cart yet: the guest cart becomes it
+      guestCart.user = userId;
+      guestCart.sessionId = undefined;
+      guestCart.expiresAt = new Date(Date.now() + CART_TTL_MS);
+      cart = await guestCart.save();
+    }
+
+    logger.info(`Guest cart merged into cart for user ${userId}`, {
+      cartId: cart._id.toString(),
+      guestItems: guestCart.items.length,
+    });
+
+    // Combined quantities may now exceed stock
+    return this.validateCartItems(cart);
   }
 
   /**
    * Get cart summary (for checkout)
    * Validates all items and returns ready-to-checkout data
-   * @param {String} userId - User ID
+   * @param {String|Object} owner - User ID, or { sessionId } for a guest
    * @param {String} couponCode - Optional coupon code to apply
    * @returns {Promise<Object>} Cart summary with totals
    */
-  async getCartSummary(userId, couponCode = null) {
-    const cart = await this.getOrCreateCart(userId);
+  async getCartSummary(owner, couponCode = null) {
+    const cart = await Cart.findOne(ownerFilter(owner));
 
     // Validate all items
-    const validatedCart = await this.validateCartItems(
-      await Cart.findById(cart._id)
-    );
+    const validatedCart = cart ? await this.validateCartItems(cart) : { items: [] };
 
     // Calculate totals
     const subtotal = validatedCart.items.reduce(
@@ -599,7 +682,7 @@ class CartService {
         const couponResult = await couponService.validateAndApplyCoupon(
           couponCode,
           subtotal,
-          userId,
+          owner?.sessionId ? null : owner,
           validatedCart.items
         );
         
@@ -617,16 +700,17 @@ class CartService {
     }
 
     // Batch product lookup (more efficient than individual queries)
-    const productIds = validatedCart.items.map((item) => item.product);
+    // Validated items carry product details, not bare ids
+    const productIds = validatedCart.items.map((item) => item.product._id || item.product);
     const products = await Product.find({ _id: { $in: productIds } })
-      .select('name slug images stock variants status')
+      .select('name slug images stock variants status taxClass weight dimensions')
       .lean();
 
     const productMap = new Map(products.map((p) => [p._id.toString(), p]));
 
     // Get product details for each item (using batch-loaded products)
     const itemsWithDetails = validatedCart.items.map((item) => {
-      const product = productMap.get(item.product.toString());
+      const product = productMap.get((item.product._id || item.product).toString());
       const primaryImage = product.images.find((img) => img.isPrimary) || product.images[0];
 
       return {
@@ -636,6 +720,9 @@ class CartService {
           name: product.name,
           slug: product.slug,
           image: primaryImage,
+          taxClass: product.taxClass,
+          weight: product.weight,
+          dimensions: product.dimensions,
         },
         quantity: item.quantity,
         selectedVariants: item.selectedVariants,
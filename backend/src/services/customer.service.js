@@ -0,0 +1,333 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Order from '../models/Order.js';
+import Session from '../models/Session.js';
+import { HTTP_STATUS, USER_ROLES, ORDER_STATUS, PAYMENT_STATUS } from '../config/constants.js';
+import { logger } from '../utils/logger.util.js';
+import sessionService from './session.service.js';
+import * as authService from './auth.service.js';
+
+const LIST_FIELDS = 'name email phone isActive isEmailVerified tags lastLogin createdAt';
+
+const SORT_FIELDS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  name: { name: 1 },
+  lastLogin: { lastLogin: -1 },
+};
+
+/**
+ * Escape user input for use inside a regular expression
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Normalize tags: trimmed, lowercase, unique
+ */
+const normalizeTags = (tags) => [
+  ...new Set(tags.map((tag) => tag.trim().toLowerCase()).filter(Boolean)),
+];
+
+/**
+ * Paid, non-cancelled orders count towards lifetime value, net of refunds
+ */
+const VALUE_MATCH = {
+  'payment.status': { $in: [PAYMENT_STATUS.PAID, PAYMENT_STATUS.PARTIALLY_REFUNDED] },
+  status: { $ne: ORDER_STATUS.CANCELLED },
+};
+
+const NET_TOTAL = { $subtract: ['$total', { $ifNull: ['$refundedAmount', 0] }] };
+
+/**
+ * Customer Service
+ * Admin lookup and management of customer accounts
+ */
+class CustomerService {
+  /**
+   * Load a customer account or throw 404
+   * Admin accounts are managed elsewhere and are not returned.
+   */
+  async getCustomerDocument(customerId) {
+    const customer = mongoose.Types.ObjectId.isValid(customerId)
+      ? await User.findOne({ _id: customerId, role: USER_ROLES.CUSTOMER, deletedAt: null })
+      : null;
+
+    if (!customer) {
+      const error = new Error('Customer not found');
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+
+    return customer;
+  }
+
+  /**
+   * Order count and lifetime value per customer
+   * @param {Array} customerIds - User IDs
+   * @returns {Map} customerId -> { orderCount, lifetimeValue, firstOrderAt, lastOrderAt }
+   */
+  async getOrderStats(customerIds) {
+    const [orderCounts, values] = await Promise.all([
+      Order.aggregate([
+        { $match: { user: { $in: customerIds } } },
+        {
+          $group: {
+            _id: '$user',
+            orderCount: { $sum: 1 },
+            firstOrderAt: { $min: '$createdAt' },
+            lastOrderAt: { $max: '$createdAt' },
+          },
+        },
+      ]),
+      Order.aggregate([
+        { $match: { user: { $in: customerIds }, ...VALUE_MATCH } },
+        { $group: { _id: '$user', lifetimeValue: { $sum: NET_TOTAL }, paidOrders: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const stats = new Map();
+
+    orderCounts.forEach(({ _id, ...counts }) => {
+      stats.set(_id.toString(), { ...counts, lifetimeValue: 0, paidOrders: 0 });
+    });
+
+    values.forEach(({ _id, lifetimeValue, paidOrders }) => {
+      const entry = stats.get(_id.toString());
+      if (entry) {
+        entry.lifetimeValue = Math.round(lifetimeValue * 100) / 100;
+        entry.paidOrders = paidOrders;
+      }
+    });
+
+    return stats;
+  }
+
+  /**
+   * List customers with search, filters and order stats
+   * @param {Object} query - { page, limit, search, status, tag, sort }
+   */
+  async listCustomers(query = {}) {
+    const { page = 1, limit = 20, search, status, tag, sort = 'newest' } = query;
+
+    const filter = { role: USER_ROLES.CUSTOMER, deletedAt: null };
+
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+      filter.$or = [{ name: pattern }, { email: pattern }, { phone: pattern }];
+    }
+
+    if (status === 'active') filter.isActive = true;
+    if (status === 'inactive') filter.isActive = false;
+    if (tag) filter.tags = tag.toLowerCase();
+
+    const skip = (Number(page) - 1) * Number(limit);
+
+    const [customers, total] = await Promise.all([
+      User.find(filter)
+        .select(LIST_FIELDS)
+        .sort(SORT_FIELDS[sort] || SORT_FIELDS.newest)
+        .skip(skip)
+        .limit(Number(limit))
+        .lean(),
+      User.countDocuments(filter),
+    ]);
+
+    const stats = await this.getOrderStats(customers.map((customer) => customer._id));
+
+    return {
+      customers: customers.map((customer) => {
+        const entry = stats.get(customer._id.toString());
+        return {
+          ...customer,
+          orderCount: entry?.orderCount || 0,
+          lifetimeValue: entry?.lifetimeValue || 0,
+          lastOrderAt: entry?.lastOrderAt || null,
+        };
+      }),
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        pages: Math.ceil(total / Number(limit)),
+        hasNext: skip + customers.length < total,
+        hasPrev: Number(page) > 1,
+      },
+    };
+  }
+
+  /**
+   * Customer detail: profile, addresses, notes, order history and value
+   */
+  async getCustomer(customerId) {
+    const customer = await this.getCustomerDocument(customerId);
+
+    const [notes, stats, orders, activeSessions] = await Promise.all([
+      this.getNotes(customer),
+      this.getOrderStats([customer._id]),
+      Order.find({ user: customer._id })
+        .select('orderNumber status payment.status total items createdAt')
+        .sort({ createdAt: -1 })
+        .limit(50)
+        .lean(),
+      Session.countDocuments({
+        user: customer._id,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+      }),
+    ]);
+
+    const entry = stats.get(customer._id.toString()) || {
+      orderCount: 0,
+      paidOrders: 0,
+      lifetimeValue: 0,
+      firstOrderAt: null,
+      lastOrderAt: null,
+    };
+
+    const profile = customer.toObject();
+
+    return {
+      customer: {
+        _id: profile._id,
+        name: profile.name,
+        email: profile.email,
+        phone: profile.phone,
+        isActive: profile.isActive,
+        isEmailVerified: profile.isEmailVerified,
+        twoFactorEnabled: !!profile.twoFactor?.enabled,
+        lastLogin: profile.lastLogin,
+        createdAt: profile.createdAt,
+        addresses: profile.addresses,
+        tags: profile.tags || [],
+        notes,
+      },
+      stats: {
+        orderCount: entry.orderCount,
+        paidOrders: entry.paidOrders,
+        lifetimeValue: entry.lifetimeValue,
+        averageOrderValue:
+          entry.paidOrders > 0 ? Math.round((entry.lifetimeValue / entry.paidOrders) * 100) / 100 : 0,
+        firstOrderAt: entry.firstOrderAt,
+        lastOrderAt: entry.lastOrderAt,
+        activeSessions,
+      },
+      orders: orders.map(({ items, ...order }) => ({
+        ...order,
+        itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+      })),
+    };
+  }
+
+  /**
+   * Deactivate or reactivate a customer account
+   * Deactivating also signs the customer out everywhere.
+   */
+  async setActive(customerId, isActive, adminId) {
+    const customer = await this.getCustomerDocument(customerId);
+
+    customer.isActive = isActive;
+    await customer.save({ validateBeforeSave: false });
+
+    if (!isActive) {
+      await sessionService.revokeAllSessions(customer._id, 'admin_revoked');
+    }
+
+    logger.info(
+      `Customer ${customer._id} ${isActive ? 'reactivated' : 'deactivated'} by admin: ${adminId}`
+    );
+
+    return { _id: customer._id, isActive: customer.isActive };
+  }
+
+  /**
+   * Sign the customer out of every device
+   * @returns {Number} Number of sessions revoked
+   */
+  async forceLogout(customerId, adminId) {
+    const customer = await this.getCustomerDocument(customerId);
+    const revoked = await sessionService.revokeAllSessions(customer._id, 'admin_revoked');
+
+    logger.info(`Admin ${adminId} signed out ${revoked} sessions for customer: ${customer._id}`);
+
+    return revoked;
+  }
+
+  /**
+   * Email the customer a password reset link
+   */
+  async sendPasswordReset(customerId, adminId) {
+    const customer = await this.getCustomerDocument(customerId);
+
+    if (!customer.isActive) {
+      const error = new Error('Reactivate the account before sending a password reset');
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    }
+
+    await authService.forgotPassword(customer.email);
+
+    logger.info(`Admin ${adminId} sent password reset to customer: ${customer._id}`);
+  }
+
+  /**
+   * Notes newest first, with author names
+   */
+  async getNotes(customer) {
+    await customer.populate('adminNotes.author', 'name email');
+    return customer.toObject().adminNotes.reverse();
+  }
+
+  /**
+   * Add an internal note
+   */
+  async addNote(customerId, adminId, body) {
+    const customer = await this.getCustomerDocument(customerId);
+
+    customer.adminNotes.push({ body, author: adminId });
+    await customer.save({ validateBeforeSave: false });
+
+    return this.getNotes(customer);
+  }
+
+  /**
+   * Delete an internal note
+   */
+  async deleteNote(customerId, noteId) {
+    const customer = await this.getCustomerDocument(customerId);
+    const note = customer.adminNotes.id(noteId);
+
+    if (!note) {
+      const error = new Error('Note not found');
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+
+    note.deleteOne();
+    await customer.save({ validateBeforeSave: false });
+
+    return this.getNotes(customer);
+  }
+
+  /**
+   * Replace the customer's tags
+   */
+  async updateTags(customerId, tags) {
+    const customer = await this.getCustomerDocument(customerId);
+
+    customer.tags = normalizeTags(tags);
+    await customer.save({ validateBeforeSave: false });
+
+    return customer.tags;
+  }
+
+  /**
+   * All tags in use, for filters and suggestions
+   */
+  async listTags() {
+    const tags = await User.distinct('tags', { role: USER_ROLES.CUSTOMER, deletedAt: null });
+    return tags.sort();
+  }
+}
+
+// Export singleton instance
+export default new CustomerService();
@@ -0,0 +1,127 @@
+import { CARRIERS, HTTP_STATUS, ORDER_STATUS, TRACKING_STATUS } from '../config/constants.js';
+import { logger } from '../utils/logger.util.js';
+import orderService from './order.service.js';
+import trackingService from './carrier/tracking.service.js';
+
+// Orders that may still have items waiting to ship
+const FULFILLABLE_STATUSES = [
+  ORDER_STATUS.PROCESSING,
+  ORDER_STATUS.PARTIALLY_SHIPPED,
+  ORDER_STATUS.SHIPPED, // Marked shipped by hand before any package was recorded
+  ORDER_STATUS.PARTIALLY_DELIVERED,
+];
+
+/**
+ * Fulfillment Service
+ * Packages sent for an order: which items each holds and how it travels
+ */
+class FulfillmentService {
+  /**
+   * Ship some or all of the items left on an order
+   * Without a tracking number a label is bought from the carrier adapter.
+   * @param {string} orderId - Order ID
+   * @param {Object} data - { items: [{ item, quantity }], carrier, trackingNumber }
+   *   items defaults to everything not yet shipped
+   * @returns {Promise<Object>} Updated order
+   */
+  async createFulfillment(orderId, { items, carrier = CARRIERS.MANUAL, trackingNumber } = {}) {
+    const order = await trackingService.getOrder(orderId);
+
+    if (!FULFILLABLE_STATUSES.includes(order.status)) {
+      const error = new Error(`Cannot ship items of a ${order.status} order`);
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    }
+
+    const lines = this.resolveItems(order, items);
+    const label = trackingNumber ? null : await trackingService.createLabel(order, lines, carrier);
+
+    order.fulfillments.push({
+      items: lines,
+      carrier,
+      trackingNumber: trackingNumber || label.trackingNumber,
+      labelUrl: label?.labelUrl || undefined,
+      trackingEvents: label
+        ? [
+            {
+              status: TRACKING_STATUS.LABEL_CREATED,
+              description: 'Shipping label created',
+              occurredAt: new Date(),
+            },
+          ]
+        : [],
+    });
+    await order.save();
+
+    const fulfillment = order.fulfillments[order.fulfillments.length - 1];
+    logger.info(
+      `Fulfillment created for order ${order.orderNumber}: ${carrier} ${fulfillment.trackingNumber}`
+    );
+
+    await orderService.syncFulfillmentStatus(order._id);
+
+    return await orderService.getOrderById(orderId, null, true);
+  }
+
+  /**
+   * Check requested lines against what is left to ship
+   * @returns {Array} [{ item, quantity }]
+   */
+  resolveItems(order, items) {
+    const remaining = order.getUnfulfilledQuantities();
+
+    if (!items || items.length === 0) {
+      const lines = [...remaining]
+        .filter(([, quantity]) => quantity > 0)
+        .map(([item, quantity]) => ({ item, quantity }));
+
+      if (lines.length === 0) {
+        const error = new Error('Every item on this order has already shipped');
+        error.statusCode = HTTP_STATUS.BAD_REQUEST;
+        throw error;
+      }
+
+      return lines;
+    }
+
+    return items.map(({ item, quantity }) => {
+      const orderItem = order.items.id(item);
+
+      if (!orderItem) {
+        const error = new Error(`Item ${item} is not on this order`);
+        error.statusCode = HTTP_STATUS.BAD_REQUEST;
+        throw error;
+      }
+
+      const left = remaining.get(orderItem._id.toString());
+      if (quantity > left) {
+        const error = new Error(`Only ${left} of "${orderItem.name}" left to ship`);
+        error.statusCode = HTTP_STATUS.BAD_REQUEST;
+        throw error;
+      }
+
+      return { item: orderItem._id, quantity };
+    });
+  }
+
+  /**
+   * Correct the carrier or tracking number of a package
+   */
+  async updateFulfillment(orderId, fulfillmentId, { carrier, trackingNumber }) {
+    const order = await trackingService.getOrder(orderId);
+    const fulfillment = trackingService.getFulfillment(order, fulfillmentId);
+
+    if (carrier) {
+      fulfillment.carrier = carrier;
+    }
+    if (trackingNumber) {
+      fulfillment.trackingNumber = trackingNumber;
+    }
+
+    await order.save();
+
+    return await orderService.getOrderById(orderId, null, true);
+  }
+}
+
+export default new FulfillmentService();
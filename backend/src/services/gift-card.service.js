@@ -0,0 +1,488 @@
+import crypto from 'crypto';
+import GiftCard from '../models/GiftCard.js';
+import Order from '../models/Order.js';
+import { HTTP_STATUS } from '../config/constants.js';
+import { logger } from '../utils/logger.util.js';
+import featureToggleService from './feature-toggle.service.js';
+import { FEATURE_FLAGS } from '../config/feature-flags.js';
+
+const MAX_CODE_ATTEMPTS = 5;
+
+// Times to retry claiming a gift card restore that raced another one
+const MAX_RESTORE_ATTEMPTS = 5;
+
+// Round to cents to avoid floating point drift in balances
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Gift Card Service
+ * Handles issuance, balance checks, redemption and restoration of gift cards
+ */
+class GiftCardService {
+  /**
+   * Check if gift cards feature is enabled
+   */
+  async checkFeatureEnabled(clientId = null) {
+    const isEnabled = await featureToggleService.isFeatureEnabled(
+      clientId,
+      FEATURE_FLAGS.GIFT_CARDS
+    );
+
+    if (!isEnabled) {
+      const error = new Error('Gift cards feature is not enabled');
+      error.statusCode = HTTP_STATUS.FORBIDDEN;
+      throw error;
+    }
+
+    return true;
+  }
+
+  /**
+   * Generate a code that is not already in use
+   */
+  async generateUniqueCode() {
+    for (let attempt = 0; attempt < MAX_CODE_ATTEMPTS; attempt++) {
+      const code = GiftCard.generateCode();
+      const exists = await GiftCard.exists({ code });
+      if (!exists) {
+        return code;
+      }
+    }
+
+    throw new Error('Failed to generate a unique gift card code');
+  }
+
+  /**
+   * Build a new gift card document (not saved)
+   */
+  buildGiftCard(code, data, adminId, batchId = null) {
+    const amount = roundMoney(data.initialBalance);
+
+    return {
+      code,
+      initialBalance: amount,
+      balance: amount,
+      currency: data.currency || 'usd',
+      expiresAt: data.expiresAt || undefined,
+      recipientEmail: data.recipientEmail || undefined,
+      recipientName: data.recipientName || undefined,
+      note: data.note || undefined,
+      batchId: batchId || undefined,
+      issuedBy: adminId,
+      transactions: [
+        {
+          type: 'issue',
+          amount,
+          balanceAfter: amount,
+          performedBy: adminId,
+          note: data.note || undefined,
+        },
+      ],
+    };
+  }
+
+  /**
+   * Issue a single gift card (Admin only)
+   */
+  async issueGiftCard(data, adminId) {
+    await this.checkFeatureEnabled();
+
+    const code = data.code ? data.code.toUpperCase() : await this.generateUniqueCode();
+
+    if (data.code && (await GiftCard.exists({ code }))) {
+      const error = new Error('Gift card code already exists');
+      error.statusCode = HTTP_STATUS.CONFLICT;
+      throw error;
+    }
+
+    const giftCard = await GiftCard.create(this.buildGiftCard(code, data, adminId));
+
+    logger.info(`Gift card issued: ${giftCard.maskedCode} (${giftCard.initialBalance}) by admin: ${adminId}`);
+
+    return giftCard;
+  }
+
+  /**
+   * Issue many gift cards with the same value (Admin only)
+   * @returns {Promise<Object>} { batchId, giftCards }
+   */
+  async bulkIssueGiftCards(data, adminId) {
+    await this.checkFeatureEnabled();
+
+    const { count } = data;
+    const batchId = `BATCH-${Date.now()}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+
+    const codes = new Set();
+    while (codes.size < count) {
+      codes.add(GiftCard.generateCode());
+    }
+
+    // Regenerate any codes that collide with existing cards
+    const existing = await GiftCard.find({ code: { $in: [...codes] } }).select('code').lean();
+    for (const { code } of existing) {
+      codes.delete(code);
+      codes.add(await this.generateUniqueCode());
+    }
+
+    const giftCards = await GiftCard.insertMany(
+      [...codes].map((code) => this.buildGiftCard(code, data, adminId, batchId))
+    );
+
+    logger.info(`Bulk issued ${giftCards.length} gift cards (batch ${batchId}) by admin: ${adminId}`);
+
+    return { batchId, giftCards };
+  }
+
+  /**
+   * Get all gift cards (Admin only)
+   */
+  async getAllGiftCards(query = {}) {
+    await this.checkFeatureEnabled();
+
+    const { page = 1, limit = 20, status, batchId, search } = query;
+    const filter = {};
+
+    if (status === 'active') {
+      filter.isActive = true;
+      filter.balance = { $gt: 0 };
+      filter.$or = [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }];
+    } else if (status === 'depleted') {
+      filter.balance = 0;
+    } else if (status === 'expired') {
+      filter.expiresAt = { $lte: new Date() };
+    } else if (status === 'inactive') {
+      filter.isActive = false;
+    }
+
+    if (batchId) {
+      filter.batchId = batchId;
+    }
+
+    if (search) {
+      const term = search.trim();
+      filter.$and = [
+        {
+          $or: [
+            { code: { $regex: term.toUpperCase(), $options: 'i' } },
+            { recipientEmail: { $regex: term, $options: 'i' } },
+          ],
+        },
+      ];
+    }
+
+    const skip = (Number(page) - 1) * Number(limit);
+
+    const [giftCards, total] = await Promise.all([
+      GiftCard.find(filter)
+        .select('-transactions')
+        .populate('issuedBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(Number(limit)),
+      GiftCard.countDocuments(filter),
+    ]);
+
+    return {
+      giftCards,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        pages: Math.ceil(total / Number(limit)),
+        hasNext: skip + giftCards.length < total,
+        hasPrev: Number(page) > 1,
+      },
+    };
+  }
+
+  /**
+   * Get gift card with ledger (Admin only)
+   */
+  async getGiftCardById(giftCardId) {
+    await this.checkFeatureEnabled();
+
+    const giftCard = await GiftCard.findById(giftCardId)
+      .populate('issuedBy', 'name email')
+      .populate('transactions.order', 'orderNumber')
+      .populate('transactions.performedBy', 'name email');
+
+    if (!giftCard) {
+      const error = new Error('Gift card not found');
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+
+    return giftCard;
+  }
+
+  /**
+   * Activate or deactivate a gift card (Admin only)
+   */
+  async setGiftCardActive(giftCardId, isActive, adminId, note = null) {
+    await this.checkFeatureEnabled();
+
+    const giftCard = await GiftCard.findById(giftCardId);
+    if (!giftCard) {
+      const error = new Error('Gift card not found');
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+
+    if (giftCard.isActive !== isActive) {
+      giftCard.isActive = isActive;
+      giftCard.transactions.push({
+        type: isActive ? 'adjust' : 'void',
+        amount: 0,
+        balanceAfter: giftCard.balance,
+        performedBy: adminId,
+        note: note || (isActive ? 'Reactivated' : 'Deactivated'),
+      });
+      await giftCard.save();
+
+      logger.info(`Gift card ${giftCard.maskedCode} ${isActive ? 'activated' : 'deactivated'} by admin: ${adminId}`);
+    }
+
+    return giftCard;
+  }
+
+  /**
+   * Check remaining balance of a gift card (public)
+   */
+  async checkBalance(code) {
+    await this.checkFeatureEnabled();
+
+    const giftCard = await GiftCard.findOne({ code: code.toUpperCase().trim() });
+    if (!giftCard) {
+      const error = new Error('Gift card not found');
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+
+    return {
+      code: giftCard.maskedCode,
+      balance: giftCard.balance,
+      currency: giftCard.currency,
+      expiresAt: giftCard.expiresAt || null,
+      isRedeemable: giftCard.isRedeemable,
+    };
+  }
+
+  /**
+   * Work out how much to take from each gift card for an amount due
+   * Does not modify balances
+   * @param {Array<String>} codes - Gift card codes in the order they should be applied
+   * @param {Number} amountDue - Amount left to pay
+   * @returns {Promise<Array>} [{ giftCard, amount }]
+   */
+  async planRedemption(codes, amountDue) {
+    await this.checkFeatureEnabled();
+
+    const normalizedCodes = [...new Set(codes.map((code) => code.toUpperCase().trim()))];
+    const giftCards = await GiftCard.find({ code: { $in: normalizedCodes } });
+    const cardsByCode = new Map(giftCards.map((card) => [card.code, card]));
+
+    const plan = [];
+    let remaining = roundMoney(amountDue);
+
+    for (const code of normalizedCodes) {
+      const giftCard = cardsByCode.get(code);
+
+      if (!giftCard) {
+        const error = new Error(`Gift card ${code} not found`);
+        error.statusCode = HTTP_STATUS.BAD_REQUEST;
+        throw error;
+      }
+
+      if (!giftCard.isRedeemable) {
+        const error = new Error(`Gift card ${giftCard.maskedCode} cannot be redeemed`);
+        error.statusCode = HTTP_STATUS.BAD_REQUEST;
+        throw error;
+      }
+
+      if (remaining <= 0) {
+        break;
+      }
+
+      const amount = roundMoney(Math.min(giftCard.balance, remaining));
+      plan.push({ giftCard, amount });
+      remaining = roundMoney(remaining - amount);
+    }
+
+    return plan;
+  }
+
+  /**
+   * Deduct planned amounts from gift cards
+   * Guards on the balance read during planning so concurrent redemptions fail
+   * @param {Array} plan - Result of planRedemption
+   * @param {String} orderId - Order being paid
+   * @param {String} userId - Customer redeeming the cards
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Array>} Order gift card entries
+   */
+  async redeemGiftCards(plan, orderId, userId, session = null) {
+    const redemptions = [];
+
+    for (const { giftCard, amount } of plan) {
+      const balanceAfter = roundMoney(giftCard.balance - amount);
+
+      const updated = await GiftCard.findOneAndUpdate(
+        { _id: giftCard._id, balance: giftCard.balance, isActive: true },
+        {
+          $set: { balance: balanceAfter },
+          $push: {
+            transactions: {
+              type: 'redeem',
+              amount: -amount,
+              balanceAfter,
+              order: orderId,
+              performedBy: userId,
+            },
+          },
+        },
+        { new: true, session }
+      );
+
+      if (!updated) {
+        const error = new Error(
+          `Gift card ${giftCard.maskedCode} balance changed during checkout, please try again`
+        );
+        error.statusCode = HTTP_STATUS.CONFLICT;
+        throw error;
+      }
+
+      redemptions.push({
+        giftCard: giftCard._id,
+        code: giftCard.maskedCode,
+        amount,
+      });
+    }
+
+    return redemptions;
+  }
+
+  /**
+   * Put redeemed amounts back on the gift cards used for an order
+   * Safe to call more than once, and concurrently: each amount is claimed on
+   * the stored order before the card is credited, so it is only restored once.
+   * Does not check the feature flag so balances are restored even if
+   * gift cards have since been disabled.
+   * @param {Document} order - Order document (its entries are updated to match)
+   * @param {String} reason - Ledger note
+   * @param {Number} [amount] - Restore only this much, for partial refunds
+   * @returns {Promise<Number>} Amount restored
+   */
+  async restoreForOrder(order, reason = 'Order cancelled', amount = null) {
+    let left = amount === null ? Infinity : roundMoney(amount);
+    let restored = 0;
+
+    for (const { _id: entryId } of order.giftCards || []) {
+      if (left <= 0) {
+        break;
+      }
+
+      const claim = await this.claimRestore(order._id, entryId, left);
+      if (!claim) {
+        continue;
+      }
+
+      const { entry, restore } = claim;
+      // Take balanceAfter from the credited card, not an earlier read
+      const giftCard = await GiftCard.findOneAndUpdate(
+        { _id: entry.giftCard },
+        { $inc: { balance: restore } },
+        { new: true }
+      );
+      if (giftCard) {
+        await GiftCard.updateOne(
+          { _id: giftCard._id },
+          {
+            $push: {
+              transactions: {
+                type: 'restore',
+                amount: restore,
+                balanceAfter: roundMoney(giftCard.balance),
+                order: order._id,
+                note: reason,
+              },
+            },
+          }
+        );
+      } else {
+        logger.warn(`Gift card ${entry.giftCard} not found while restoring order ${order._id}`);
+      }
+
+      // Mirror the stored entry without marking it for the caller's next save
+      const local = order.giftCards.id(entryId);
+      local.set({ restoredAmount: entry.restoredAmount, restoredAt: entry.restoredAt });
+      for (const field of ['restoredAmount', 'restoredAt']) {
+        local.unmarkModified(field);
+        order.unmarkModified(`giftCards.${order.giftCards.indexOf(local)}.${field}`);
+      }
+
+      left = roundMoney(left - restore);
+      restored = roundMoney(restored + restore);
+    }
+
+    logger.info(`Restored ${restored} in gift card redemptions for order ${order._id}`);
+
+    return restored;
+  }
+
+  /**
+   * Atomically mark up to `limit` of one order gift card entry as restored
+   * Guards on the restored amount read, retrying if another restore got there first.
+   * @returns {Promise<Object|null>} { entry, restore } as stored, or null if nothing is left
+   */
+  async claimRestore(orderId, entryId, limit) {
+    for (let attempt = 0; attempt < MAX_RESTORE_ATTEMPTS; attempt++) {
+      const order = await Order.findOne(
+        { _id: orderId, 'giftCards._id': entryId },
+        { 'giftCards.$': 1 }
+      ).lean();
+      const entry = order?.giftCards[0];
+      if (!entry || entry.restoredAt) {
+        return null;
+      }
+
+      const previous = entry.restoredAmount || 0;
+      const restore = roundMoney(Math.min(limit, entry.amount - previous));
+      if (restore <= 0) {
+        return null;
+      }
+
+      const restoredAmount = roundMoney(previous + restore);
+      const restoredAt = restoredAmount >= entry.amount ? new Date() : undefined;
+
+      const result = await Order.updateOne(
+        {
+          _id: orderId,
+          giftCards: {
+            $elemMatch: {
+              _id: entryId,
+              // Entries from before partial restores have no restoredAmount
+              restoredAmount: previous === 0 ? { $in: [0, null] } : previous,
+              restoredAt: null,
+            },
+          },
+        },
+        {
+          $set: {
+            'giftCards.$.restoredAmount': restoredAmount,
+            ...(restoredAt && { 'giftCards.$.restoredAt': restoredAt }),
+          },
+        }
+      );
+
+      if (result.modifiedCount > 0) {
+        return { entry: { ...entry, restoredAmount, restoredAt }, restore };
+      }
+    }
+
+    const error = new Error('Gift card restore is already in progress for this order, please try again');
+    error.statusCode = HTTP_STATUS.CONFLICT;
+    throw error;
+  }
+}
+
+export default new GiftCardService();
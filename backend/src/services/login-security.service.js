@@ -0,0 +1,236 @@
+import User from '../models/User.js';
+import LoginEvent from '../models/LoginEvent.js';
+import config from '../config/index.js';
+import { HTTP_STATUS } from '../config/constants.js';
+import { logger } from '../utils/logger.util.js';
+import { hashToken } from '../utils/jwt.util.js';
+import mailService from './mail/mail.service.js';
+
+/**
+ * Reduce a user agent to browser family and OS so routine browser updates
+ * are not reported as new devices
+ */
+const getDeviceHash = (userAgent = '') => {
+  const normalized = userAgent.replace(/\d+([._]\d+)*/g, '').replace(/\s+/g, ' ').trim();
+  return hashToken(normalized || 'unknown');
+};
+
+/**
+ * Login Security Service
+ * Per-account lockout with exponential backoff, login history and new-device detection
+ */
+class LoginSecurityService {
+  /**
+   * Lock duration after the given number of consecutive failures
+   * @param {Number} failedAttempts - Consecutive failed attempts
+   * @returns {Number} Minutes to lock for (0 = no lock)
+   */
+  getLockoutMinutes(failedAttempts) {
+    const { threshold, baseMinutes, maxMinutes } = config.auth.lockout;
+
+    if (failedAttempts < threshold) {
+      return 0;
+    }
+
+    return Math.min(baseMinutes * 2 ** (failedAttempts - threshold), maxMinutes);
+  }
+
+  /**
+   * Write a login history entry
+   * @param {Object} data - { user, email, success, failureReason, newDevice, clientInfo }
+   */
+  async recordEvent({ user = null, email, success, failureReason, newDevice = false, clientInfo = {} }) {
+    try {
+      await LoginEvent.create({
+        user: user?._id || null,
+        email: email || user?.email,
+        success,
+        failureReason,
+        newDevice,
+        ip: clientInfo.ip || '',
+        userAgent: (clientInfo.userAgent || '').slice(0, 500),
+        deviceHash: getDeviceHash(clientInfo.userAgent),
+      });
+    } catch (error) {
+      // History is best effort; never block a login because of it
+      logger.error('Failed to record login event:', error);
+    }
+  }
+
+  /**
+   * Throw if the account is currently locked
+   * @param {Object} user - User document
+   * @param {Object} clientInfo - { userAgent, ip }
+   */
+  async assertNotLocked(user, clientInfo = {}) {
+    if (!user.lockUntil || user.lockUntil <= new Date()) {
+      return;
+    }
+
+    await this.recordEvent({ user, success: false, failureReason: 'locked', clientInfo });
+
+    const minutes = Math.ceil((user.lockUntil.getTime() - Date.now()) / 60000);
+    const error = new Error(
+      `Too many failed login attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}`
+    );
+    error.statusCode = HTTP_STATUS.TOO_MANY_REQUESTS;
+    throw error;
+  }
+
+  /**
+   * Count a failed attempt and lock the account once past the threshold
+   * @param {Object} user - User document
+   * @param {String} reason - 'invalid_password' | 'invalid_2fa'
+   * @param {Object} clientInfo - { userAgent, ip }
+   */
+  async recordFailedLogin(user, reason, clientInfo = {}) {
+    const updated = await User.findByIdAndUpdate(
+      user._id,
+      { $inc: { failedLoginAttempts: 1 } },
+      { new: true }
+    ).select('failedLoginAttempts');
+
+    const lockMinutes = this.getLockoutMinutes(updated?.failedLoginAttempts || 0);
+
+    if (lockMinutes > 0) {
+      await User.updateOne(
+        { _id: user._id },
+        { $set: { lockUntil: new Date(Date.now() + lockMinutes * 60000) } }
+      );
+      logger.warn(
+        `Account locked for ${lockMinutes} min after ${updated.failedLoginAttempts} failed logins: ${user._id}`
+      );
+    }
+
+    await this.recordEvent({ user, success: false, failureReason: reason, clientInfo });
+  }
+
+  /**
+   * Record a sign-in attempt for an email with no account
+   * @param {String} email - Email that was tried
+   * @param {Object} clientInfo - { userAgent, ip }
+   */
+  async recordUnknownEmail(email, clientInfo = {}) {
+    await this.recordEvent({ email, success: false, failureReason: 'unknown_email', clientInfo });
+  }
+
+  /**
+   * Clear the failure counter and lock
+   * @param {String} userId - User ID
+   */
+  async resetFailedLogins(userId) {
+    await User.updateOne(
+      { _id: userId },
+      { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1 } }
+    );
+  }
+
+  /**
+   * Check whether this device has signed in to the account before
+   * The very first sign-in (registration) is not treated as a new device.
+   * @param {String} userId - User ID
+   * @param {String} userAgent - Client user agent
+   * @returns {Promise<Boolean>}
+   */
+  async isNewDevice(userId, userAgent) {
+    const [hasHistory, seenDevice] = await Promise.all([
+      LoginEvent.exists({ user: userId, success: true }),
+      LoginEvent.exists({ user: userId, success: true, deviceHash: getDeviceHash(userAgent) }),
+    ]);
+
+    return !!hasHistory && !seenDevice;
+  }
+
+  /**
+   * Record a successful sign-in, resetting lockout and flagging new devices
+   * @param {Object} user - User document
+   * @param {Object} clientInfo - { userAgent, ip }
+   * @returns {Promise<Object>} { newDevice }
+   */
+  async recordSuccessfulLogin(user, clientInfo = {}) {
+    const newDevice = await this.isNewDevice(user._id, clientInfo.userAgent);
+
+    if (user.failedLoginAttempts || user.lockUntil) {
+      await this.resetFailedLogins(user._id);
+    }
+
+    await this.recordEvent({ user, success: true, newDevice, clientInfo });
+
+    if (newDevice) {
+      logger.info(`Login from new device for user: ${user._id}`);
+      try {
+        await mailService.sendNewDeviceLoginEmail(user, { ...clientInfo, date: new Date() });
+      } catch (error) {
+        logger.error(`Failed to send new device email to user: ${user._id}`, error);
+      }
+    }
+
+    return { newDevice };
+  }
+
+  /**
+   * Paginated login history
+   * @param {Object} filter - Mongo filter
+   * @param {Object} query - { page, limit }
+   * @param {Boolean} populateUser - Include account name and email
+   * @returns {Promise<Object>} { events, pagination }
+   */
+  async paginate(filter, { page = 1, limit = 20 } = {}, populateUser = false) {
+    const skip = (Number(page) - 1) * Number(limit);
+
+    let eventsQuery = LoginEvent.find(filter)
+      .select('-deviceHash')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(Number(limit));
+
+    if (populateUser) {
+      eventsQuery = eventsQuery.populate('user', 'name email role');
+    }
+
+    const [events, total] = await Promise.all([
+      eventsQuery.lean(),
+      LoginEvent.countDocuments(filter),
+    ]);
+
+    return {
+      events,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        pages: Math.ceil(total / Number(limit)),
+        hasNext: skip + events.length < total,
+        hasPrev: Number(page) > 1,
+      },
+    };
+  }
+
+  /**
+   * Get a user's own login history
+   * @param {String} userId - User ID
+   * @param {Object} query - { page, limit }
+   */
+  async getUserHistory(userId, query = {}) {
+    return this.paginate({ user: userId }, query);
+  }
+
+  /**
+   * Get login history across all accounts (admin)
+   * @param {Object} query - { page, limit, user, email, success, newDevice }
+   */
+  async getAllHistory(query = {}) {
+    const { user, email, success, newDevice, ...pagination } = query;
+    const filter = {};
+
+    if (user) filter.user = user;
+    if (email) filter.email = email.toLowerCase();
+    if (success !== undefined) filter.success = success;
+    if (newDevice !== undefined) filter.newDevice = newDevice;
+
+    return this.paginate(filter, pagination, true);
+  }
+}
+
+// Export singleton instance
+export default new LoginSecurityService();
@@ -0,0 +1,597 @@
+import LoyaltyAccount from '../models/LoyaltyAccount.js';
+import LoyaltyTransaction from '../models/LoyaltyTransaction.js';
+import Order from '../models/Order.js';
+import { HTTP_STATUS, LOYALTY_TRANSACTION_TYPES, PAYMENT_STATUS } from '../config/constants.js';
+import { logger } from '../utils/logger.util.js';
+import featureToggleService from './feature-toggle.service.js';
+import { FEATURE_FLAGS } from '../config/feature-flags.js';
+
+/**
+ * Program defaults, overridden by the LOYALTY_PROGRAM toggle's config object
+ */
+const DEFAULT_CONFIG = {
+  earnRate: 1, // Points earned per 1 unit of currency spent
+  redemptionRate: 0.01, // Currency value of a single point
+  expiryDays: 365, // 0 = points never expire
+  minRedemptionPoints: 100,
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Times to re-read an order's clawback counter when another update wins the race
+const MAX_CLAWBACK_ATTEMPTS = 5;
+
+/**
+ * Loyalty Service
+ * Points ledger: earning on delivery, redemption at checkout, clawback and expiry
+ */
+class LoyaltyService {
+  /**
+   * Check if loyalty program feature is enabled
+   */
+  async checkFeatureEnabled(clientId = null) {
+    const isEnabled = await featureToggleService.isFeatureEnabled(
+      clientId,
+      FEATURE_FLAGS.LOYALTY_PROGRAM
+    );
+
+    if (!isEnabled) {
+      const error = new Error('Loyalty program is not enabled');
+      error.statusCode = HTTP_STATUS.FORBIDDEN;
+      throw error;
+    }
+
+    return true;
+  }
+
+  /**
+   * Get program settings from the feature toggle config
+   * Invalid or missing values fall back to the defaults
+   */
+  async getConfig() {
+    const feature = await featureToggleService.getFeature(null, FEATURE_FLAGS.LOYALTY_PROGRAM);
+    const config = { ...DEFAULT_CONFIG };
+
+    for (const key of Object.keys(DEFAULT_CONFIG)) {
+      const value = Number(feature.config?.[key]);
+      if (feature.config?.[key] !== undefined && Number.isFinite(value) && value >= 0) {
+        config[key] = value;
+      }
+    }
+
+    // A zero redemption rate would make points worthless and break the maths
+    if (config.redemptionRate <= 0) {
+      config.redemptionRate = DEFAULT_CONFIG.redemptionRate;
+    }
+
+    return config;
+  }
+
+  /**
+   * Expiry date for newly credited points
+   */
+  getExpiryDate(config) {
+    if (!config.expiryDays) {
+      return undefined;
+    }
+    return new Date(Date.now() + config.expiryDays * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Get or create user's loyalty account
+   */
+  async getOrCreateAccount(userId, session = null) {
+    return LoyaltyAccount.findOneAndUpdate(
+      { user: userId },
+      { $setOnInsert: { user: userId } },
+      { upsert: true, new: true, session }
+    );
+  }
+
+  /**
+   * Apply a signed points change to the account and write the ledger entry
+   * Debits are guarded so the balance never goes below zero.
+   * @returns {Promise<Object|null>} Ledger entry, or null if the balance was too low
+   */
+  async applyBalanceChange(userId, points, entry, session = null) {
+    const filter = { user: userId };
+    const inc = { balance: points };
+
+    if (points < 0) {
+      filter.balance = { $gte: -points };
+    }
+    if (entry.type === LOYALTY_TRANSACTION_TYPES.EARN) {
+      inc.lifetimeEarned = points;
+    }
+    if (entry.type === LOYALTY_TRANSACTION_TYPES.REDEEM) {
+      inc.lifetimeRedeemed = -points;
+    }
+
+    const account = await LoyaltyAccount.findOneAndUpdate(
+      filter,
+      { $inc: inc },
+      { new: true, upsert: points >= 0, session }
+    );
+
+    if (!account) {
+      return null;
+    }
+
+    const [transaction] = await LoyaltyTransaction.create(
+      [{ ...entry, user: userId, points, balanceAfter: account.balance }],
+      { session }
+    );
+
+    return transaction;
+  }
+
+  /**
+   * Credit points as a new lot that can expire
+   */
+  async creditPoints(userId, points, entry, config, session = null) {
+    return this.applyBalanceChange(
+      userId,
+      points,
+      { ...entry, remaining: points, expiresAt: this.getExpiryDate(config) },
+      session
+    );
+  }
+
+  /**
+   * Mark points as spent on the oldest lots first (soonest expiry first,
+   * lots without an expiry last)
+   */
+  async consumeLots(userId, points, session = null) {
+    const lots = await LoyaltyTransaction.find({ user: userId, remaining: { $gt: 0 } })
+      .sort({ expiresAt: 1, createdAt: 1 })
+      .session(session);
+
+    lots.sort((a, b) => (a.expiresAt ? 0 : 1) - (b.expiresAt ? 0 : 1));
+
+    let left = points;
+    for (const lot of lots) {
+      if (left <= 0) {
+        break;
+      }
+
+      const take = Math.min(lot.remaining, left);
+      const result = await LoyaltyTransaction.updateOne(
+        { _id: lot._id, remaining: { $gte: take } },
+        { $inc: { remaining: -take } },
+        { session }
+      );
+
+      if (result.modifiedCount > 0) {
+        left -= take;
+      }
+    }
+  }
+
+  /**
+   * Expire unspent points whose lot has passed its expiry date
+   * Runs lazily whenever the account is read or redeemed against.
+   * @param {String} userId - Customer
+   * @param {ClientSession} session - MongoDB session (optional)
+   */
+  async expirePoints(userId, session = null) {
+    const lots = await LoyaltyTransaction.find({
+      user: userId,
+      remaining: { $gt: 0 },
+      expiresAt: { $lte: new Date() },
+    }).session(session);
+
+    for (const lot of lots) {
+      // Claim the lot first so concurrent readers don't expire it twice
+      const claimed = await LoyaltyTransaction.findOneAndUpdate(
+        { _id: lot._id, remaining: lot.remaining },
+        { $set: { remaining: 0 } },
+        { session }
+      );
+      if (!claimed) {
+        continue;
+      }
+
+      const entry = await this.applyBalanceChange(
+        userId,
+        -lot.remaining,
+        {
+          type: LOYALTY_TRANSACTION_TYPES.EXPIRE,
+          description: `Points earned ${lot.createdAt.toISOString().slice(0, 10)} expired`,
+        },
+        session
+      );
+
+      if (!entry) {
+        logger.warn(`Loyalty balance too low to expire lot ${lot._id} for user: ${userId}`);
+      }
+    }
+  }
+
+  /**
+   * Get user's points balance and program settings
+   */
+  async getAccountSummary(userId) {
+    await this.checkFeatureEnabled();
+    await this.expirePoints(userId);
+
+    const [account, config, nextLot] = await Promise.all([
+      this.getOrCreateAccount(userId),
+      this.getConfig(),
+      LoyaltyTransaction.findOne({
+        user: userId,
+        remaining: { $gt: 0 },
+        expiresAt: { $ne: null },
+      }).sort({ expiresAt: 1 }),
+    ]);
+
+    return {
+      balance: account.balance,
+      lifetimeEarned: account.lifetimeEarned,
+      lifetimeRedeemed: account.lifetimeRedeemed,
+      pointsValue: roundMoney(account.balance * config.redemptionRate),
+      nextExpiry: nextLot ? { points: nextLot.remaining, expiresAt: nextLot.expiresAt } : null,
+      program: config,
+    };
+  }
+
+  /**
+   * Get user's points history
+   */
+  async getTransactions(userId, query = {}) {
+    await this.checkFeatureEnabled();
+
+    const { page = 1, limit = 20, type } = query;
+    const filter = { user: userId };
+
+    if (type) {
+      filter.type = type;
+    }
+
+    const skip = (Number(page) - 1) * Number(limit);
+
+    const [transactions, total] = await Promise.all([
+      LoyaltyTransaction.find(filter)
+        .select('-remaining -user')
+        .populate('order', 'orderNumber')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(Number(limit))
+        .lean(),
+      LoyaltyTransaction.countDocuments(filter),
+    ]);
+
+    return {
+      transactions,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        pages: Math.ceil(total / Number(limit)),
+        hasNext: skip + transactions.length < total,
+        hasPrev: Number(page) > 1,
+      },
+    };
+  }
+
+  /**
+   * Work out the discount a points redemption would give, without spending them
+   * @param {String} userId - Customer
+   * @param {Number} points - Points the customer asked to use
+   * @param {Number} maxDiscount - Largest discount allowed (merchandise total)
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Object>} { pointsRedeemed, discountAmount }
+   */
+  async previewRedemption(userId, points, maxDiscount, session = null) {
+    await this.checkFeatureEnabled();
+
+    const config = await this.getConfig();
+
+    if (points < config.minRedemptionPoints) {
+      const error = new Error(
+        `A minimum of ${config.minRedemptionPoints} points is required to redeem`
+      );
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    }
+
+    await this.expirePoints(userId, session);
+
+    const discountAmount = roundMoney(Math.min(points * config.redemptionRate, maxDiscount));
+    if (discountAmount <= 0) {
+      return { pointsRedeemed: 0, discountAmount: 0 };
+    }
+
+    // Only take the points needed when the discount is capped
+    const pointsRedeemed = Math.min(
+      points,
+      Math.ceil(discountAmount / config.redemptionRate - 1e-9)
+    );
+
+    const account = await LoyaltyAccount.findOne({ user: userId })
+      .select('balance')
+      .session(session)
+      .lean();
+    if (!account || account.balance < pointsRedeemed) {
+      const error = new Error('Not enough loyalty points');
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    }
+
+    return { pointsRedeemed, discountAmount };
+  }
+
+  /**
+   * Redeem points as a discount at checkout
+   * @param {String} userId - Customer
+   * @param {Number} points - Points the customer asked to use
+   * @param {Number} maxDiscount - Largest discount allowed (merchandise total)
+   * @param {ObjectId} orderId - Order being placed
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Object>} { pointsRedeemed, discountAmount }
+   */
+  async redeemForOrder(userId, points, maxDiscount, orderId, session = null) {
+    // Expiry runs in the checkout transaction too, so it rolls back with it
+    // and doesn't write the account outside the transaction
+    const { pointsRedeemed, discountAmount } = await this.previewRedemption(
+      userId,
+      points,
+      maxDiscount,
+      session
+    );
+    if (pointsRedeemed === 0) {
+      return { pointsRedeemed, discountAmount };
+    }
+
+    const entry = await this.applyBalanceChange(
+      userId,
+      -pointsRedeemed,
+      {
+        type: LOYALTY_TRANSACTION_TYPES.REDEEM,
+        order: orderId,
+        description: 'Redeemed at checkout',
+      },
+      session
+    );
+
+    if (!entry) {
+      const error = new Error('Not enough loyalty points');
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    }
+
+    await this.consumeLots(userId, pointsRedeemed, session);
+
+    return { pointsRedeemed, discountAmount };
+  }
+
+  /**
+   * Award points for a delivered order
+   * Safe to call more than once; points are only awarded once per order.
+   * @param {Document} order - Order document (saved by this method)
+   */
+  async awardPointsForOrder(order) {
+    // Guest orders have no account to earn into
+    if (!order.user) {
+      return order;
+    }
+
+    if (order.loyalty?.earnedAt || order.payment.status === PAYMENT_STATUS.REFUNDED) {
+      return order;
+    }
+
+    const isEnabled = await featureToggleService.isFeatureEnabled(
+      null,
+      FEATURE_FLAGS.LOYALTY_PROGRAM
+    );
+    if (!isEnabled) {
+      return order;
+    }
+
+    const config = await this.getConfig();
+
+    // Points are earned on merchandise spend, not shipping or tax,
+    // less any items already refunded
+    const refundedMerchandise = (order.refunds || [])
+      .flatMap((refund) => refund.items)
+      .reduce((sum, line) => sum + (line.subtotal || 0) - (line.discount || 0), 0);
+    const eligibleAmount =
+      order.subtotal -
+      (order.discount?.amount || 0) -
+      (order.loyalty?.discountAmount || 0) -
+      refundedMerchandise;
+    const points = Math.floor(Math.max(0, eligibleAmount) * config.earnRate);
+
+    if (points > 0) {
+      await this.creditPoints(
+        order.user,
+        points,
+        {
+          type: LOYALTY_TRANSACTION_TYPES.EARN,
+          order: order._id,
+          description: `Earned on order ${order.orderNumber}`,
+        },
+        config
+      );
+    }
+
+    order.loyalty.pointsEarned = points;
+    order.loyalty.earnedAt = new Date();
+    await order.save();
+
+    logger.info(`Awarded ${points} loyalty points for order ${order._id}`);
+
+    return order;
+  }
+
+  /**
+   * Take back points earned on an order
+   * Only takes what the customer still has; the shortfall is not carried as debt.
+   */
+  async clawBackPoints(order, points, reason) {
+    const claim = await this.claimClawBack(order._id, points);
+    if (!claim) {
+      return 0;
+    }
+
+    const { requested, pointsClawedBack } = claim;
+    const account = await this.getOrCreateAccount(order.user);
+    const available = Math.min(account.balance, requested);
+    let deducted = 0;
+
+    if (available > 0) {
+      const entry = await this.applyBalanceChange(order.user, -available, {
+        type: LOYALTY_TRANSACTION_TYPES.CLAWBACK,
+        order: order._id,
+        description: reason,
+      });
+
+      if (entry) {
+        await this.consumeLots(order.user, available);
+        deducted = available;
+      }
+    }
+
+    if (deducted < requested) {
+      logger.info(
+        `Loyalty clawback for order ${order._id} short by ${requested - deducted} points`
+      );
+    }
+
+    // Already stored by the claim; keep the caller's save from writing it back
+    order.loyalty.pointsClawedBack = pointsClawedBack;
+    order.unmarkModified('loyalty.pointsClawedBack');
+
+    return deducted;
+  }
+
+  /**
+   * Reserve up to `points` of an order's earned points for clawback, so
+   * concurrent reversals and refunds can't take the same points twice
+   * @param {String} orderId - Order
+   * @param {Number} points - Points wanted
+   * @returns {Promise<Object|null>} { requested, pointsClawedBack }, or null if none are left
+   */
+  async claimClawBack(orderId, points) {
+    for (let attempt = 0; attempt < MAX_CLAWBACK_ATTEMPTS; attempt++) {
+      const order = await Order.findById(orderId, { loyalty: 1 }).lean();
+      const previous = order?.loyalty?.pointsClawedBack || 0;
+      const requested = Math.min(points, (order?.loyalty?.pointsEarned || 0) - previous);
+      if (requested <= 0) {
+        return null;
+      }
+
+      const result = await Order.updateOne(
+        {
+          _id: orderId,
+          // Orders from before clawbacks have no pointsClawedBack
+          'loyalty.pointsClawedBack': previous === 0 ? { $in: [0, null] } : previous,
+        },
+        { $set: { 'loyalty.pointsClawedBack': previous + requested } }
+      );
+
+      if (result.modifiedCount > 0) {
+        return { requested, pointsClawedBack: previous + requested };
+      }
+    }
+
+    const error = new Error('Loyalty points are already being reversed for this order, please try again');
+    error.statusCode = HTTP_STATUS.CONFLICT;
+    throw error;
+  }
+
+  /**
+   * Reverse loyalty activity on a cancelled or fully refunded order:
+   * give back redeemed points and claw back earned points.
+   * Safe to call more than once. Does not check the feature flag so
+   * balances are corrected even if the program has since been disabled.
+   * @param {Document} order - Order document (saved by this method)
+   * @param {String} reason - Ledger description
+   */
+  async reverseForOrder(order, reason = 'Order cancelled') {
+    const loyalty = order.loyalty || {};
+    const shouldRestore = loyalty.pointsRedeemed > 0 && !loyalty.redeemedRestoredAt;
+    const shouldClawBack = loyalty.pointsEarned > loyalty.pointsClawedBack;
+
+    if (!shouldRestore && !shouldClawBack) {
+      return order;
+    }
+
+    // Restore first so the clawback can come out of the returned points
+    if (shouldRestore) {
+      await this.restoreRedeemed(order, reason);
+    }
+
+    if (shouldClawBack) {
+      await this.clawBackPoints(order, loyalty.pointsEarned, reason);
+    }
+
+    await order.save();
+
+    logger.info(`Reversed loyalty points for order ${order._id}`);
+
+    return order;
+  }
+
+  /**
+   * Give back the points redeemed on an order, once
+   * The order is marked restored before crediting so a concurrent
+   * reversal can't credit the same points again.
+   */
+  async restoreRedeemed(order, reason) {
+    const restoredAt = new Date();
+    const claimed = await Order.updateOne(
+      { _id: order._id, 'loyalty.redeemedRestoredAt': null },
+      { $set: { 'loyalty.redeemedRestoredAt': restoredAt } }
+    );
+    if (claimed.modifiedCount === 0) {
+      return;
+    }
+
+    try {
+      const config = await this.getConfig();
+      await this.creditPoints(
+        order.user,
+        order.loyalty.pointsRedeemed,
+        {
+          type: LOYALTY_TRANSACTION_TYPES.RESTORE,
+          order: order._id,
+          description: reason,
+        },
+        config
+      );
+    } catch (error) {
+      await Order.updateOne(
+        { _id: order._id, 'loyalty.redeemedRestoredAt': restoredAt },
+        { $unset: { 'loyalty.redeemedRestoredAt': '' } }
+      );
+      throw error;
+    }
+
+    order.loyalty.redeemedRestoredAt = restoredAt;
+    order.unmarkModified('loyalty.redeemedRestoredAt');
+  }
+
+  /**
+   * Claw back earned points in proportion to a partial refund
+   * @param {Document} order - Order document (saved by this method)
+   * @param {Number} refundAmount - Amount refunded
+   */
+  async clawBackForRefund(order, refundAmount, reason = 'Order partially refunded') {
+    if (!order.loyalty?.pointsEarned || !order.total) {
+      return order;
+    }
+
+    const points = Math.round(
+      order.loyalty.pointsEarned * Math.min(1, refundAmount / order.total)
+    );
+
+    if (points > 0) {
+      await this.clawBackPoints(order, points, reason);
+      await order.save();
+    }
+
+    return order;
+  }
+}
+
+export default new LoyaltyService();
@@ -0,0 +1,20 @@
+import crypto from 'crypto';
+import { MailTransport } from './mail.transport.interface.js';
+import { logger } from '../../utils/logger.util.js';
+
+/**
+ * Console Mail Transport
+ * Writes messages to the application log instead of sending them (local development)
+ */
+export class ConsoleTransport extends MailTransport {
+  async send(message) {
+    const messageId = crypto.randomUUID();
+
+    logger.info(
+      `[mail] ${message.subject} -> ${message.to}\n${message.text}`,
+      { messageId }
+    );
+
+    return { success: true, messageId };
+  }
+}
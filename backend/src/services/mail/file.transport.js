@@ -0,0 +1,34 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { MailTransport } from './mail.transport.interface.js';
+import { logger } from '../../utils/logger.util.js';
+
+/**
+ * File Mail Transport
+ * Saves each message as a JSON file so links can be opened during local development
+ */
+export class FileTransport extends MailTransport {
+  /**
+   * @param {string} outputDir - Directory to write messages to
+   */
+  constructor(outputDir) {
+    super();
+    this.outputDir = path.resolve(outputDir);
+  }
+
+  async send(message) {
+    const messageId = crypto.randomUUID();
+    const fileName = `${Date.now()}-${messageId}.json`;
+
+    await fs.mkdir(this.outputDir, { recursive: true });
+    await fs.writeFile(
+      path.join(this.outputDir, fileName),
+      JSON.stringify({ messageId, date: new Date().toISOString(), ...message }, null, 2)
+    );
+
+    logger.info(`[mail] ${message.subject} -> ${message.to} saved to ${fileName}`);
+
+    return { success: true, messageId };
+  }
+}
@@ -0,0 +1,218 @@
+import config from '../../config/index.js';
+import { ConsoleTransport } from './console.transport.js';
+import { FileTransport } from './file.transport.js';
+import { logger } from '../../utils/logger.util.js';
+
+/**
+ * Escape user-provided values before putting them in HTML emails
+ */
+const escapeHtml = (value = '') =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Mail Service
+ * Composes transactional emails and hands them to the configured transport
+ */
+class MailService {
+  constructor() {
+    // Initialize mail transports
+    this.transports = {
+      console: new ConsoleTransport(),
+      file: new FileTransport(config.mail.outputDir),
+      // Future: Add SMTP / provider transports here, or call registerTransport()
+    };
+  }
+
+  /**
+   * Register an additional transport (e.g. an SMTP or provider adapter)
+   * @param {string} name - Name used in MAIL_TRANSPORT
+   * @param {MailTransport} transport - Transport instance
+   */
+  registerTransport(name, transport) {
+    this.transports[name] = transport;
+  }
+
+  /**
+   * Get the transport selected by configuration
+   * @returns {MailTransport} Transport instance
+   */
+  getTransport() {
+    const transport = this.transports[config.mail.transport];
+    if (!transport) {
+      throw new Error(`Mail transport not found: ${config.mail.transport}`);
+    }
+    return transport;
+  }
+
+  /**
+   * Send an email
+   * @param {Object} message - { to, subject, text, html }
+   * @returns {Promise<Object>} Transport result
+   */
+  async sendMail({ to, subject, text, html }) {
+    try {
+      return await this.getTransport().send({
+        from: config.mail.from,
+        to,
+        subject,
+        text,
+        html,
+      });
+    } catch (error) {
+      logger.error(`MailService sendMail error (${subject} -> ${to}):`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build a link into the frontend
+   * @param {string} pathname - Path including query string
+   * @returns {string} Absolute URL
+   */
+  buildFrontendUrl(pathname) {
+    return `${config.frontend.url.replace(/\/$/, '')}${pathname}`;
+  }
+
+  /**
+   * Send email address verification link
+   * @param {Object} user - User document
+   * @param {string} token - Plain verification token
+   */
+  async sendVerificationEmail(user, token) {
+    const link = this.buildFrontendUrl(`/verify-email?token=${encodeURIComponent(token)}`);
+    const hours = config.auth.emailVerificationExpiryHours;
+
+    return this.sendMail({
+      to: user.email,
+      subject: 'Verify your email address',
+      text: [
+        `Hi ${user.name},`,
+        '',
+        'Please confirm your email address by opening the link below:',
+        link,
+        '',
+        `This link expires in ${hours} hours. If you did not create an account, you can ignore this email.`,
+      ].join('\n'),
+      html: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>Please confirm your email address by clicking the link below:</p>
+<p><a href="${link}">Verify email address</a></p>
+<p>This link expires in ${hours} hours. If you did not create an account, you can ignore this email.</p>`,
+    });
+  }
+
+  /**
+   * Send password reset link
+   * @param {Object} user - User document
+   * @param {string} token - Plain reset token
+   */
+  async sendPasswordResetEmail(user, token) {
+    const link = this.buildFrontendUrl(`/reset-password?token=${encodeURIComponent(token)}`);
+    const minutes = config.auth.passwordResetExpiryMinutes;
+
+    return this.sendMail({
+      to: user.email,
+      subject: 'Reset your password',
+      text: [
+        `Hi ${user.name},`,
+        '',
+        'We received a request to reset your password. Open the link below to choose a new one:',
+        link,
+        '',
+        `This link expires in ${minutes} minutes. If you did not request a reset, you can ignore this email.`,
+      ].join('\n'),
+      html: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>We received a request to reset your password. Click the link below to choose a new one:</p>
+<p><a href="${link}">Reset password</a></p>
+<p>This link expires in ${minutes} minutes. If you did not request a reset, you can ignore this email.</p>`,
+    });
+  }
+
+  /**
+   * Warn the user about a sign-in from a device not seen before
+   * @param {Object} user - User document
+   * @param {Object} details - { userAgent, ip, date }
+   */
+  async sendNewDeviceLoginEmail(user, { userAgent, ip, date }) {
+    const link = this.buildFrontendUrl('/profile');
+    const when = date.toUTCString();
+
+    return this.sendMail({
+      to: user.email,
+      subject: 'New sign-in to your account',
+      text: [
+        `Hi ${user.name},`,
+        '',
+        'Your account was just signed in to from a new device:',
+        `Device: ${userAgent || 'Unknown'}`,
+        `IP address: ${ip || 'Unknown'}`,
+        `Time: ${when}`,
+        '',
+        `If this was you, no action is needed. If not, reset your password and sign out other devices from your profile: ${link}`,
+      ].join('\n'),
+      html: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>Your account was just signed in to from a new device:</p>
+<ul>
+  <li>Device: ${escapeHtml(userAgent || 'Unknown')}</li>
+  <li>IP address: ${escapeHtml(ip || 'Unknown')}</li>
+  <li>Time: ${when}</li>
+</ul>
+<p>If this was you, no action is needed. If not, reset your password and <a href="${link}">sign out other devices</a>.</p>`,
+    });
+  }
+
+  /**
+   * Tell the customer where their return stands
+   * @param {Object} user - { email, name }
+   * @param {Object} ret - Return document, after approval, rejection or refund
+   */
+  async sendReturnUpdateEmail(user, ret) {
+    const link = this.buildFrontendUrl(`/returns/${ret._id}`);
+    const messages = {
+      approved: 'Your return has been approved. Please pack the items and send them back to us; we will refund you once they arrive.',
+      rejected: `Your return could not be accepted.${ret.rejectionReason ? ` Reason: ${ret.rejectionReason}` : ''}`,
+      refunded: `We have received your items and refunded ${(ret.refund?.amount || 0).toFixed(2)} ${config.pricing.currency.toUpperCase()} to your original payment method.`,
+    };
+    const message = messages[ret.status];
+
+    return this.sendMail({
+      to: user.email,
+      subject: `Return ${ret.returnNumber}: ${ret.status}`,
+      text: [`Hi ${user.name},`, '', message, '', `View your return: ${link}`].join('\n'),
+      html: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>${escapeHtml(message)}</p>
+<p><a href="${link}">View your return</a></p>`,
+    });
+  }
+
+  /**
+   * Confirm that an account was closed
+   * Sent to the address the account had before it was anonymised.
+   * @param {Object} recipient - { email, name }
+   */
+  async sendAccountDeletedEmail({ email, name }) {
+    return this.sendMail({
+      to: email,
+      subject: 'Your account has been deleted',
+      text: [
+        `Hi ${name},`,
+        '',
+        'Your account has been closed and your personal details have been removed.',
+        'Records of past orders are kept without your name, phone number or address, as required for accounting.',
+        '',
+        'If you did not request this, please contact support.',
+      ].join('\n'),
+      html: `<p>Hi ${escapeHtml(name)},</p>
+<p>Your account has been closed and your personal details have been removed.</p>
+<p>Records of past orders are kept without your name, phone number or address, as required for accounting.</p>
+<p>If you did not request this, please contact support.</p>`,
+    });
+  }
+}
+
+// Export singleton instance
+export default new MailService();
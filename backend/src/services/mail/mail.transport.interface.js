@@ -0,0 +1,37 @@
+/**
+ * Abstract Mail Transport Interface
+ *
+ * This interface defines the contract that all mail transports must implement.
+ * This allows swapping delivery providers (SMTP, SES, SendGrid, etc.) without
+ * touching the code that composes emails.
+ */
+
+/**
+ * @typedef {Object} MailMessage
+ * @property {string} from - Sender address
+ * @property {string} to - Recipient address
+ * @property {string} subject - Subject line
+ * @property {string} text - Plain text body
+ * @property {string} [html] - HTML body
+ */
+
+/**
+ * @typedef {Object} MailSendResult
+ * @property {boolean} success - Whether the message was accepted
+ * @property {string} [messageId] - Provider message ID
+ */
+
+/**
+ * Abstract Mail Transport Class
+ * All mail transport implementations must extend this class
+ */
+export class MailTransport {
+  /**
+   * Deliver a message
+   * @param {MailMessage} message - Message to send
+   * @returns {Promise<MailSendResult>}
+   */
+  async send(message) {
+    throw new Error('send must be implemented by subclass');
+  }
+}
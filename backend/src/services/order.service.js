@@ -2,12 +2,43 @@ import Order from '../models/Order.js';
 import Cart from '../models/Cart.js';
 import Product from '../models/Product.js';
 import mongoose from 'mongoose';
-import { ORDER_STATUS, PAYMENT_STATUS } from '../config/constants.js';
+import {
+  ORDER_STATUS,
+  PAYMENT_STATUS,
+  PAYMENT_METHODS,
+  FULFILLMENT_STATUS,
+} from '../config/constants.js';
 import { HTTP_STATUS } from '../config/constants.js';
 import logger from '../config/logging.config.js';
 import cartService from './cart.service.js';
 import inventoryService from './inventory.service.js';
 import couponService from './coupon.service.js';
+import giftCardService from './gift-card.service.js';
+import loyaltyService from './loyalty.service.js';
+import addressService from './address.service.js';
+import mailService from './mail/mail.service.js';
+import pricingService from './pricing.service.js';
+import paymentService from './payment/payment.service.js';
+import {
+  generateOrderStatusToken,
+  verifyToken,
+  getTokenExpiration,
+} from '../utils/jwt.util.js';
+
+// Statuses an order passes through as its packages ship and arrive, in order
+const FULFILLMENT_PATH = [
+  ORDER_STATUS.PROCESSING,
+  ORDER_STATUS.PARTIALLY_SHIPPED,
+  ORDER_STATUS.SHIPPED,
+  ORDER_STATUS.PARTIALLY_DELIVERED,
+  ORDER_STATUS.DELIVERED,
+];
+
+// Customers may cancel their own order only until something ships
+const CUSTOMER_CANCELLABLE_STATUSES = [ORDER_STATUS.PENDING, ORDER_STATUS.PROCESSING];
+
+// Payment statuses with money to give back when an order is cancelled
+const REFUNDABLE_PAYMENT_STATUSES = [PAYMENT_STATUS.PAID, PAYMENT_STATUS.PARTIALLY_REFUNDED];
 
 /**
  * Order Service
@@ -17,23 +48,45 @@ class OrderService {
   /**
    * Create order from cart
    * Uses MongoDB transactions and atomic stock operations to prevent race conditions
+   * @param {String|Object} owner - User ID, or { sessionId } for a guest checkout
+   * @param {Object} orderData - Checkout details; guests must include an email
    */
-  async createOrderFromCart(userId, orderData) {
+  async createOrderFromCart(owner, orderData) {
     const {
       shippingAddress,
       billingAddress,
-      shippingMethod,
-      shippingCost,
-      tax,
+      shippingRateId,
       notes,
       couponCode,
+      giftCardCodes,
+      loyaltyPoints,
+      saveAddress,
+      email,
     } = orderData;
 
-    // Get cart summary (validated)
-    const cartSummary = await cartService.getCartSummary(userId);
+    const guestSessionId = owner?.sessionId || null;
+    const userId = guestSessionId ? null : owner;
 
-    if (!cartSummary.items || cartSummary.items.length === 0) {
-      const error = new Error('Cart is empty');
+    if (guestSessionId && !email) {
+      const error = new Error('Email is required for guest checkout');
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    }
+
+    // Price the cart on the server; nothing the client sends is trusted for totals
+    const pricing = await pricingService.priceCart(owner, {
+      shippingAddress,
+      shippingRateId,
+      couponCode,
+      giftCardCodes,
+      loyaltyPoints,
+    });
+
+    // Only a rate the engine offered for this cart and address can be charged
+    if (!pricing.shipping || pricing.shipping.rateId !== shippingRateId) {
+      const error = new Error(
+        pricing.shippingError || 'The selected shipping option is not available for this order'
+      );
       error.statusCode = HTTP_STATUS.BAD_REQUEST;
       throw error;
     }
@@ -47,7 +100,7 @@ class OrderService {
       const stockValidationErrors = [];
       const stockDecrementResults = [];
 
-      for (const item of cartSummary.items) {
+      for (const item of pricing.items) {
         try {
           // Atomic stock decrement (prevents race conditions)
           const result = await inventoryService.decrementStock(
@@ -84,7 +137,7 @@ class OrderService {
 
       // Prepare order items with product snapshots
       const orderItems = await Promise.all(
-        cartSummary.items.map(async (item) => {
+        pricing.items.map(async (item) => {
           const product = await Product.findById(item.product._id)
             .select('name sku images')
             .session(session)
@@ -100,69 +153,79 @@ class OrderService {
             image: primaryImage?.url || null,
             selectedVariants: item.selectedVariants || [],
             subtotal: item.subtotal,
+            taxClass: item.taxClass,
+            discount: item.discount,
+            taxRate: item.taxRate,
+            tax: item.tax,
           };
         })
       );
 
-      // Calculate totals
-      const subtotal = cartSummary.subtotal;
-      const finalShippingCost = shippingCost || 0;
-      const finalTax = tax || 0;
-
-      // Apply coupon discount if provided
-      let discountAmount = 0;
-      let couponData = null;
-      
-      if (couponCode) {
-        try {
-          const couponResult = await couponService.validateAndApplyCoupon(
-            couponCode,
-            subtotal,
-            userId,
-            cartSummary.items
-          );
-          
-          discountAmount = couponResult.discountAmount;
-          couponData = {
-            amount: discountAmount,
-            couponCode: couponResult.coupon.code,
-            couponId: couponResult.coupon.id,
-            discountType: couponResult.discountType,
-            discountValue: couponResult.discountValue,
-          };
-        } catch (error) {
-          // If coupon validation fails, continue without discount
-          logger.warn(`Coupon validation failed: ${error.message}`);
-          // Don't throw error, just proceed without discount
+      const orderId = new mongoose.Types.ObjectId();
+
+      // Redeem loyalty points as priced; same inputs give the same discount
+      let loyaltyData = { pointsRedeemed: 0, discountAmount: 0 };
+
+      if (pricing.loyalty.pointsRedeemed > 0) {
+        loyaltyData = await loyaltyService.redeemForOrder(
+          userId,
+          loyaltyPoints,
+          pricing.merchandiseTotal,
+          orderId,
+          session
+        );
+
+        // Programme settings changed between pricing and redemption
+        if (loyaltyData.discountAmount !== pricing.loyalty.discountAmount) {
+          const error = new Error('Your points discount has changed. Please review your order.');
+          error.statusCode = HTTP_STATUS.CONFLICT;
+          throw error;
         }
       }
 
-      const total = subtotal - discountAmount + finalShippingCost + finalTax;
+      // Redeem gift cards against the total (within transaction)
+      const giftCardRedemptions =
+        pricing.giftCardPlan.length > 0
+          ? await giftCardService.redeemGiftCards(pricing.giftCardPlan, orderId, userId, session)
+          : [];
+
+      const { total, giftCardAmount, amountDue } = pricing;
+      const isPaidByGiftCard = giftCardAmount > 0 && amountDue === 0;
+      const paidAt = isPaidByGiftCard ? new Date() : undefined;
 
       // Create order within transaction
       const [order] = await Order.create(
         [
           {
-            user: userId,
+            _id: orderId,
+            user: userId || undefined,
+            email: guestSessionId ? email : undefined,
+            guestSessionId: guestSessionId || undefined,
             items: orderItems,
             shippingAddress,
             billingAddress: billingAddress || shippingAddress,
-            shipping: {
-              method: shippingMethod || 'standard',
-              cost: finalShippingCost,
-            },
+            shipping: pricing.shipping,
             payment: {
-              method: 'stripe',
-              status: PAYMENT_STATUS.PENDING,
-              amount: total,
-              currency: 'usd',
+              method: isPaidByGiftCard ? PAYMENT_METHODS.GIFT_CARD : PAYMENT_METHODS.STRIPE,
+              status: isPaidByGiftCard ? PAYMENT_STATUS.PAID : PAYMENT_STATUS.PENDING,
+              amount: amountDue,
+              currency: pricing.currency,
+              paidAt,
             },
-            status: ORDER_STATUS.PENDING,
-            subtotal,
-            discount: couponData || { amount: 0 },
-            tax: finalTax,
-            shippingCost: finalShippingCost,
+            // Nothing left to charge: skip straight to processing
+            status: isPaidByGiftCard ? ORDER_STATUS.PROCESSING : ORDER_STATUS.PENDING,
+            paidAt,
+            processingAt: paidAt,
+            subtotal: pricing.subtotal,
+            discount: pricing.discount || { amount: 0 },
+            giftCards: giftCardRedemptions,
+            giftCardAmount,
+            loyalty: loyaltyData,
+            tax: pricing.tax,
+            shippingTax: pricing.shippingTax,
+            shippingCost: pricing.shipping.cost,
             total,
+            priceBreakdown: pricing.breakdown,
             notes: notes || null,
           },
         ],
@@ -170,9 +233,9 @@ class OrderService {
       );
 
       // Increment coupon usage if coupon was applied
-      if (couponData && couponData.couponId) {
+      if (pricing.discount && pricing.discount.couponId) {
         // Do this outside transaction to avoid blocking
-        couponService.incrementCouponUsage(couponData.couponId).catch((error) => {
+        couponService.incrementCouponUsage(pricing.discount.couponId).catch((error) => {
           logger.error(`Error incrementing coupon usage: ${error.message}`);
         });
       }
@@ -181,11 +244,18 @@ class OrderService {
       await session.commitTransaction();
 
       // Clear cart after successful order creation (outside transaction)
-      await cartService.clearCart(userId);
+      await cartService.clearCart(owner);
 
-      logger.info(`Order created successfully: ${order._id} for user: ${userId}`);
+      // Remember the shipping address in the user's address book if requested
+      if (saveAddress && userId) {
+        await addressService.saveFromOrder(userId, shippingAddress);
+      }
+
+      logger.info(
+        `Order created successfully: ${order._id} for ${userId ? `user: ${userId}` : `guest: ${email}`}`
+      );
 
-      return await this.getOrderById(order._id, userId);
+      return await this.getOrderById(order._id, owner);
     } catch (error) {
       // Abort transaction on any error (stock automatically restored)
       await session.abortTransaction();
@@ -209,12 +279,19 @@ class OrderService {
 
   /**
    * Get order by ID (with authorization check)
+   * @param {String|Object} owner - User ID, or { sessionId } for a guest
    */
-  async getOrderById(orderId, userId, isAdmin = false) {
-    const order = await Order.findById(orderId)
+  async getOrderById(orderId, owner, isAdmin = false) {
+    const query = Order.findById(orderId)
       .populate('user', 'name email')
       .populate('items.product', 'name slug images');
 
+    if (owner?.sessionId) {
+      query.select('+guestSessionId');
+    }
+
+    const order = await query;
+
     if (!order) {
       const error = new Error('Order not found');
       error.statusCode = HTTP_STATUS.NOT_FOUND;
@@ -222,15 +299,134 @@ class OrderService {
     }
 
     // Authorization check: user can only view their own orders unless admin
-    if (!isAdmin && order.user._id.toString() !== userId.toString()) {
+    if (!isAdmin && !order.isPlacedBy(owner)) {
       const error = new Error('Unauthorized to view this order');
       error.statusCode = HTTP_STATUS.FORBIDDEN;
       throw error;
     }
 
+    // Never echo the guest session back
+    order.guestSessionId = undefined;
+
     return order;
   }
 
+  /**
+   * Find an order by number and email, for customers without an account session
+   * Matches the guest checkout email or the email of the account that placed it.
+   * @param {String} orderNumber - Order number
+   * @param {String} email - Email used for the order
+   * @returns {Promise<Object>} { url, expiresAt } of a read-only status link
+   */
+  async lookupOrder(orderNumber, email) {
+    const order = await Order.findOne({ orderNumber })
+      .select('orderNumber email user')
+      .populate('user', 'email');
+
+    const orderEmail = order?.user ? order.user.email : order?.email;
+
+    // Same answer for an unknown number and a wrong email
+    if (!orderEmail || orderEmail.toLowerCase() !== email.toLowerCase()) {
+      const error = new Error('No order found with that order number and email');
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+
+    const token = generateOrderStatusToken(order._id);
+
+    logger.info(`Order status link issued for order: ${order.orderNumber}`);
+
+    return {
+      url: mailService.buildFrontendUrl(`/orders/status?token=${encodeURIComponent(token)}`),
+      expiresAt: getTokenExpiration(token),
+    };
+  }
+
+  /**
+   * Read-only order status for a signed status link
+   * Leaves out addresses and payment details since links can be forwarded.
+   * @param {String} token - Order status token from lookupOrder
+   */
+  async getOrderStatus(token) {
+    let decoded;
+
+    try {
+      decoded = verifyToken(token);
+    } catch (error) {
+      decoded = null;
+    }
+
+    if (!decoded || decoded.type !== 'order_status') {
+      const error = new Error('This order link is invalid or has expired');
+      error.statusCode = HTTP_STATUS.UNAUTHORIZED;
+      throw error;
+    }
+
+    const order = await Order.findById(decoded.id)
+      .select(
+        'orderNumber status items shipping fulfillments subtotal shippingCost tax total ' +
+          'createdAt paidAt processingAt shippedAt deliveredAt cancelledAt'
+      )
+      .lean();
+
+    if (!order) {
+      const error = new Error('Order not found');
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+
+    const itemsById = new Map(order.items.map((item) => [item._id.toString(), item]));
+    const remaining = Order.hydrate(order).getUnfulfilledQuantities();
+
+    return {
+      orderNumber: order.orderNumber,
+      status: order.status,
+      items: order.items.map((item) => ({
+        name: item.name,
+        image: item.image,
+        price: item.price,
+        quantity: item.quantity,
+        selectedVariants: item.selectedVariants,
+        subtotal: item.subtotal,
+      })),
+      shipping: {
+        method: order.shipping?.method,
+        name: order.shipping?.name || null,
+      },
+      packages: (order.fulfillments || []).map((fulfillment) => ({
+        status: fulfillment.status,
+        carrier: fulfillment.carrier || null,
+        trackingNumber: fulfillment.trackingNumber || null,
+        trackingEvents: fulfillment.trackingEvents,
+        shippedAt: fulfillment.shippedAt,
+        deliveredAt: fulfillment.deliveredAt,
+        items: fulfillment.items.map((line) => ({
+          name: itemsById.get(line.item.toString())?.name,
+          image: itemsById.get(line.item.toString())?.image,
+          quantity: line.quantity,
+        })),
+      })),
+      // Items not in any package yet
+      unshipped: order.items
+        .filter((item) => remaining.get(item._id.toString()) > 0)
+        .map((item) => ({
+          name: item.name,
+          image: item.image,
+          quantity: remaining.get(item._id.toString()),
+        })),
+      subtotal: order.subtotal,
+      shippingCost: order.shippingCost,
+      tax: order.tax,
+      total: order.total,
+      createdAt: order.createdAt,
+      paidAt: order.paidAt,
+      processingAt: order.processingAt,
+      shippedAt: order.shippedAt,
+      deliveredAt: order.deliveredAt,
+      cancelledAt: order.cancelledAt,
+    };
+  }
+
   /**
    * Get user's orders
    */
@@ -400,9 +596,23 @@ class OrderService {
       statusUpdates.adminNotes = adminNotes;
     }
 
+    const previousStatus = order.status;
     Object.assign(order, statusUpdates);
     await order.save();
 
+    if (newStatus === ORDER_STATUS.CANCELLED) {
+      await this.releaseCancelledOrder(order, previousStatus);
+    }
+
+    if (newStatus === ORDER_STATUS.DELIVERED) {
+      // Points are a side effect; don't fail the status change over them
+      try {
+        await loyaltyService.awardPointsForOrder(order);
+      } catch (error) {
+        logger.error(`Error awarding loyalty points for order ${order._id}:`, error);
+      }
+    }
+
     return await this.getOrderById(orderId, null, true);
   }
 
@@ -416,13 +626,23 @@ class OrderService {
         ORDER_STATUS.CANCELLED,
       ],
       [ORDER_STATUS.PROCESSING]: [
+        ORDER_STATUS.PARTIALLY_SHIPPED,
+        ORDER_STATUS.SHIPPED,
+        ORDER_STATUS.CANCELLED,
+      ],
+      [ORDER_STATUS.PARTIALLY_SHIPPED]: [
         ORDER_STATUS.SHIPPED,
+        ORDER_STATUS.PARTIALLY_DELIVERED,
         ORDER_STATUS.CANCELLED,
       ],
       [ORDER_STATUS.SHIPPED]: [
+        ORDER_STATUS.PARTIALLY_DELIVERED,
         ORDER_STATUS.DELIVERED,
         ORDER_STATUS.CANCELLED, // Rare but possible
       ],
+      [ORDER_STATUS.PARTIALLY_DELIVERED]: [
+        ORDER_STATUS.DELIVERED,
+      ],
       [ORDER_STATUS.DELIVERED]: [], // Final state
       [ORDER_STATUS.CANCELLED]: [], // Final state
     };
@@ -430,6 +650,65 @@ class OrderService {
     return transitions[currentStatus] || [];
   }
 
+  /**
+   * Status an order's packages add up to
+   * Delivered once every item has shipped and every package has arrived.
+   */
+  getFulfillmentStatus(order) {
+    const { fulfillments = [] } = order;
+    if (fulfillments.length === 0) {
+      return ORDER_STATUS.PROCESSING;
+    }
+
+    const allShipped = [...order.getUnfulfilledQuantities().values()].every((quantity) => quantity <= 0);
+    const delivered = fulfillments.filter(
+      (fulfillment) => fulfillment.status === FULFILLMENT_STATUS.DELIVERED
+    ).length;
+
+    if (allShipped && delivered === fulfillments.length) {
+      return ORDER_STATUS.DELIVERED;
+    }
+    if (delivered > 0) {
+      return ORDER_STATUS.PARTIALLY_DELIVERED;
+    }
+    return allShipped ? ORDER_STATUS.SHIPPED : ORDER_STATUS.PARTIALLY_SHIPPED;
+  }
+
+  /**
+   * Move the order to the status its packages add up to
+   * Only moves forward, one valid transition at a time, so timestamps and
+   * delivery side effects (loyalty points) apply as for a manual update.
+   */
+  async syncFulfillmentStatus(orderId) {
+    const order = await Order.findById(orderId);
+    if (!order) {
+      const error = new Error('Order not found');
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+
+    const target = FULFILLMENT_PATH.indexOf(this.getFulfillmentStatus(order));
+    let current = order.status;
+
+    if (!FULFILLMENT_PATH.includes(current)) {
+      logger.warn(`Fulfillment update ignored for order ${order.orderNumber} (status ${current})`);
+      return;
+    }
+
+    while (FULFILLMENT_PATH.indexOf(current) < target) {
+      const from = FULFILLMENT_PATH.indexOf(current);
+      // Furthest step towards the target this status can move to
+      const next = this.getValidStatusTransitions(current)
+        .map((status) => FULFILLMENT_PATH.indexOf(status))
+        .filter((index) => index > from && index <= target)
+        .sort((a, b) => b - a)[0];
+
+      current = FULFILLMENT_PATH[next];
+      await this.updateOrderStatus(orderId, current);
+      logger.info(`Order ${order.orderNumber} moved to ${current} by fulfillment`);
+    }
+  }
+
   /**
    * Cancel order
    */
@@ -442,14 +721,14 @@ class OrderService {
     }
 
     // Authorization check
-    if (!isAdmin && order.user.toString() !== userId.toString()) {
+    if (!isAdmin && !order.isPlacedBy(userId)) {
       const error = new Error('Unauthorized to cancel this order');
       error.statusCode = HTTP_STATUS.FORBIDDEN;
       throw error;
     }
 
     // Check if order can be cancelled
-    if (order.status === ORDER_STATUS.DELIVERED) {
+    if ([ORDER_STATUS.DELIVERED, ORDER_STATUS.PARTIALLY_DELIVERED].includes(order.status)) {
       const error = new Error('Cannot cancel a delivered order');
       error.statusCode = HTTP_STATUS.BAD_REQUEST;
       throw error;
@@ -461,20 +740,88 @@ class OrderService {
       throw error;
     }
 
-    // Update order
-    order.status = ORDER_STATUS.CANCELLED;
-    order.cancelledAt = new Date();
-    if (reason) {
-      order.cancelledReason = reason;
+    if (!isAdmin && !CUSTOMER_CANCELLABLE_STATUSES.includes(order.status)) {
+      const error = new Error('Orders can only be cancelled before they ship');
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
     }
 
-    await order.save();
+    // Claim the cancellation so a concurrent request can't release the order twice
+    const cancelled = await Order.findOneAndUpdate(
+      { _id: order._id, status: order.status },
+      {
+        $set: {
+          status: ORDER_STATUS.CANCELLED,
+          cancelledAt: new Date(),
+          ...(reason && { cancelledReason: reason }),
+        },
+      },
+      { new: true }
+    );
+
+    if (!cancelled) {
+      const error = new Error('Order was updated while cancelling, please try again');
+      error.statusCode = HTTP_STATUS.CONFLICT;
+      throw error;
+    }
+
+    await this.releaseCancelledOrder(cancelled, order.status);
 
     return await this.getOrderById(orderId, userId, isAdmin);
   }
 
   /**
-   * Update shipping information (Admin only)
+   * Give back what a cancelled order took
+   * Unshipped stock is restored. Paid orders are refunded in full, which
+   * also restores gift cards and loyalty points; unpaid orders only get
+   * their redemptions back.
+   * @param {Document} order - Order already marked cancelled
+   * @param {String} previousStatus - Status the order was cancelled from
+   */
+  async releaseCancelledOrder(order, previousStatus) {
+    // Orders marked shipped by hand have no packages to tell what left
+    if (previousStatus !== ORDER_STATUS.SHIPPED) {
+      const unshipped = order.getUnfulfilledQuantities();
+
+      for (const item of order.items) {
+        const quantity = unshipped.get(item._id.toString());
+        if (!quantity) {
+          continue;
+        }
+
+        try {
+          await inventoryService.restoreStock(item.product, quantity, item.selectedVariants);
+        } catch (error) {
+          // Product deleted since the order; nothing to put the stock back on
+          if (error.statusCode !== HTTP_STATUS.NOT_FOUND) {
+            throw error;
+          }
+          logger.warn(`Order ${order.orderNumber}: product ${item.product} no longer exists`);
+        }
+      }
+    }
+
+    if (REFUNDABLE_PAYMENT_STATUSES.includes(order.payment.status) && order.netPaid > 0) {
+      const result = await paymentService.refundPayment(order._id.toString(), {
+        reason: 'Order cancelled',
+      });
+
+      if (!result.success) {
+        const error = new Error('Order cancelled, but the payment gateway declined the refund');
+        error.statusCode = HTTP_STATUS.BAD_REQUEST;
+        throw error;
+      }
+      return;
+    }
+
+    await giftCardService.restoreForOrder(order, 'Order cancelled');
+    await loyaltyService.reverseForOrder(order, 'Order cancelled');
+  }
+
+  /**
+   * Update shipping method and cost (Admin only)
+   * Tracking numbers belong to fulfillments. The cost can only change before
+   * payment starts, so the total always matches what is charged.
    */
   async updateShippingInfo(orderId, shippingData) {
     const order = await Order.findById(orderId);
@@ -491,21 +838,26 @@ class OrderService {
     }
 
     // Update shipping info
-    if (shippingData.trackingNumber) {
-      order.shipping.trackingNumber = shippingData.trackingNumber;
-    }
-    if (shippingData.carrier) {
-      order.shipping.carrier = shippingData.carrier;
-    }
     if (shippingData.method) {
       order.shipping.method = shippingData.method;
     }
-    if (shippingData.cost !== undefined) {
-      // Recalculate total if shipping cost changes
-      const oldShippingCost = order.shippingCost;
-      order.shipping.cost = shippingData.cost;
-      order.shippingCost = shippingData.cost;
-      order.total = order.subtotal + order.tax + shippingData.cost;
+    if (shippingData.cost != null && shippingData.cost !== order.shippingCost) {
+      // A payment intent already holds the old amount
+      if (order.payment.status !== PAYMENT_STATUS.PENDING || order.payment.paymentIntentId) {
+        const error = new Error('Shipping cost cannot change once payment has started');
+        error.statusCode = HTTP_STATUS.BAD_REQUEST;
+        throw error;
+      }
+
+      // Discounts and gift cards stay as they were at checkout
+      const pricing = await pricingService.repriceShipping(order, shippingData.cost);
+      order.shipping.cost = pricing.shippingCost;
+      order.shippingCost = pricing.shippingCost;
+      order.shippingTax = pricing.shippingTax;
+      order.tax = pricing.tax;
+      order.total = pricing.total;
+      order.payment.amount = pricing.amountDue;
+      order.priceBreakdown = pricing.breakdown;
     }
 
     await order.save();
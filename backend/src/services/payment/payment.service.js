@@ -1,9 +1,17 @@
+import mongoose from 'mongoose';
 import Order from '../../models/Order.js';
 import { StripeGateway } from './stripe.gateway.js';
-import { PAYMENT_STATUS, PAYMENT_METHODS, ORDER_STATUS } from '../../config/constants.js';
+import { PAYMENT_STATUS, PAYMENT_METHODS } from '../../config/constants.js';
 import { logger } from '../../utils/logger.util.js';
 import { HTTP_STATUS } from '../../config/constants.js';
 import orderService from '../order.service.js';
+import giftCardService from '../gift-card.service.js';
+import loyaltyService from '../loyalty.service.js';
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Orders with money left to refund
+const REFUNDABLE_STATUSES = [PAYMENT_STATUS.PAID, PAYMENT_STATUS.PARTIALLY_REFUNDED];
 
 /**
  * Payment Service
@@ -33,24 +41,39 @@ class PaymentService {
     return gateway;
   }
 
+  /**
+   * Load an order placed by the given owner, or throw 404
+   * @param {string} orderId - Order ID
+   * @param {string|Object} owner - User ID, or { sessionId } for a guest
+   */
+  async getOwnedOrder(orderId, owner) {
+    const order = await Order.findById(orderId).select('+guestSessionId');
+
+    // Someone else's order is reported as missing
+    if (!order || !order.isPlacedBy(owner)) {
+      const error = new Error('Order not found');
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+
+    return order;
+  }
+
   /**
    * Create payment intent for an order
    * @param {string} orderId - Order ID
    * @param {string} paymentMethod - Payment method
+   * @param {string|Object} owner - User ID, or { sessionId } for a guest
    * @returns {Promise<Object>} Payment intent result
    */
-  async createPaymentIntent(orderId, paymentMethod = PAYMENT_METHODS.STRIPE) {
+  async createPaymentIntent(orderId, paymentMethod = PAYMENT_METHODS.STRIPE, owner) {
     try {
-      // Get order
-      const order = await Order.findById(orderId);
-      if (!order) {
-        const error = new Error('Order not found');
-        error.statusCode = HTTP_STATUS.NOT_FOUND;
-        throw error;
-      }
+      const order = await this.getOwnedOrder(orderId, owner);
 
       // Check if order already has a paid payment
-      if (order.payment.status === PAYMENT_STATUS.PAID) {
+      if (
+        [...REFUNDABLE_STATUSES, PAYMENT_STATUS.REFUNDED].includes(order.payment.status)
+      ) {
         const error = new Error('Order is already paid');
         error.statusCode = HTTP_STATUS.BAD_REQUEST;
         throw error;
@@ -60,13 +83,15 @@ class PaymentService {
       const gateway = this.getGateway(paymentMethod);
 
       // Create payment intent
+      // Charge only what gift cards did not cover
       const paymentIntent = await gateway.createPaymentIntent({
-        amount: order.total,
+        amount: order.amountDue,
         currency: order.payment.currency || 'usd',
         orderId: order._id.toString(),
         metadata: {
           orderNumber: order.orderNumber,
-          userId: order.user.toString(),
+          userId: order.user?.toString() || 'guest',
+          email: order.email || undefined,
         },
       });
 
@@ -93,17 +118,12 @@ class PaymentService {
    * Verify payment before order confirmation
    * @param {string} orderId - Order ID
    * @param {string} paymentIntentId - Payment intent ID
+   * @param {string|Object} owner - User ID, or { sessionId } for a guest
    * @returns {Promise<Object>} Verification result
    */
-  async verifyPayment(orderId, paymentIntentId) {
+  async verifyPayment(orderId, paymentIntentId, owner) {
     try {
-      // Get order
-      const order = await Order.findById(orderId);
-      if (!order) {
-        const error = new Error('Order not found');
-        error.statusCode = HTTP_STATUS.NOT_FOUND;
-        throw error;
-      }
+      const order = await this.getOwnedOrder(orderId, owner);
 
       // Verify payment intent ID matches
       if (order.payment.paymentIntentId !== paymentIntentId) {
@@ -176,15 +196,26 @@ class PaymentService {
           );
           break;
 
-        case 'payment.refunded':
-          await orderService.updatePaymentStatus(
-            order._id.toString(),
-            PAYMENT_STATUS.REFUNDED
+        case 'payment.refunded': {
+          // The gateway reports the total refunded so far; refunds issued
+          // through refundPayment are already on the order
+          const recorded = order.refunds.reduce(
+            (sum, refund) => sum + refund.gatewayAmount,
+            order.payment.pendingRefundAmount || 0
           );
-          // Also update refund timestamp
-          order.payment.refundedAt = new Date();
-          await order.save();
+          const outside = roundMoney(webhookData.amount - recorded);
+
+          if (outside > 0) {
+            const claimed = await this.claimRefund(order, outside, outside);
+            await this.recordRefund(claimed, {
+              amount: outside,
+              gatewayAmount: outside,
+              refundId: webhookData.refundId,
+              reason: 'Refunded at the payment gateway',
+            });
+          }
           break;
+        }
 
         default:
           logger.info(`Unhandled webhook event type: ${webhookData.eventType}`);
@@ -202,13 +233,92 @@ class PaymentService {
     }
   }
 
+  /**
+   * Work out what refunding some items, and optionally shipping, is worth
+   * Each line's discount and tax are prorated by quantity; the refund that
+   * takes the last units of a line gets whatever is left of it, so rounding
+   * never adds up to more than was paid.
+   * @param {Document} order - Order document
+   * @param {Object} data - { items: [{ item, quantity }], includeShipping }
+   * @returns {Object} { items, shipping, amount }
+   */
+  calculateRefund(order, { items = [], includeShipping = false } = {}) {
+    const refundable = order.getRefundableQuantities();
+
+    const lines = items.map(({ item, quantity }) => {
+      const orderItem = order.items.id(item);
+
+      if (!orderItem) {
+        const error = new Error(`Item ${item} is not on this order`);
+        error.statusCode = HTTP_STATUS.BAD_REQUEST;
+        throw error;
+      }
+
+      const key = orderItem._id.toString();
+      const left = refundable.get(key);
+      if (quantity > left) {
+        const error = new Error(`Only ${left} of "${orderItem.name}" left to refund`);
+        error.statusCode = HTTP_STATUS.BAD_REQUEST;
+        throw error;
+      }
+
+      const previous = order.refunds
+        .flatMap((refund) => refund.items)
+        .filter((line) => line.item.toString() === key);
+      const prorate = (field, total) => {
+        if (quantity === left) {
+          const refunded = previous.reduce((sum, line) => sum + (line[field] || 0), 0);
+          return roundMoney(total - refunded);
+        }
+        return roundMoney((total * quantity) / orderItem.quantity);
+      };
+
+      return {
+        item: orderItem._id,
+        quantity,
+        subtotal: prorate('subtotal', orderItem.subtotal),
+        discount: prorate('discount', orderItem.discount || 0),
+        tax: prorate('tax', orderItem.tax || 0),
+      };
+    });
+
+    let shipping = 0;
+    if (includeShipping) {
+      if (order.refunds.some((refund) => refund.shipping > 0)) {
+        const error = new Error('Shipping has already been refunded');
+        error.statusCode = HTTP_STATUS.BAD_REQUEST;
+        throw error;
+      }
+      shipping = roundMoney(order.shippingCost + (order.shippingTax || 0));
+    }
+
+    const amount = roundMoney(
+      lines.reduce((sum, line) => sum + line.subtotal - line.discount + line.tax, 0) + shipping
+    );
+
+    return { items: lines, shipping, amount };
+  }
+
   /**
    * Refund a payment
+   * Money goes back to the original payment method first and then onto any
+   * gift cards used. With no items, shipping or amount everything not yet
+   * refunded is refunded.
    * @param {string} orderId - Order ID
-   * @param {number} amount - Amount to refund (optional, full refund if not provided)
+   * @param {Object} data - Refund details
+   * @param {Array} [data.items] - [{ item, quantity }] order lines to refund
+   * @param {boolean} [data.includeShipping] - Refund shipping and its tax
+   * @param {number} [data.amount] - Amount to refund instead of the calculated one,
+   *   or a goodwill amount when no items are given
+   * @param {string} [data.reason] - Note kept with the refund
+   * @param {string} [data.returnId] - Return (RMA) being refunded
+   * @param {string} [data.refundedBy] - Staff member issuing the refund
    * @returns {Promise<Object>} Refund result
    */
-  async refundPayment(orderId, amount = null) {
+  async refundPayment(
+    orderId,
+    { items = [], includeShipping = false, amount, reason, returnId, refundedBy } = {}
+  ) {
     try {
       const order = await Order.findById(orderId);
       if (!order) {
@@ -217,34 +327,98 @@ class PaymentService {
         throw error;
       }
 
-      if (!order.payment.paymentIntentId) {
-        const error = new Error('Payment intent not found for this order');
+      if (!REFUNDABLE_STATUSES.includes(order.payment.status)) {
+        const error = new Error('Only paid orders can be refunded');
         error.statusCode = HTTP_STATUS.BAD_REQUEST;
         throw error;
       }
 
-      if (order.payment.status !== PAYMENT_STATUS.PAID) {
-        const error = new Error('Only paid orders can be refunded');
+      // Nothing specified: refund whatever is left
+      const isFullRefund = items.length === 0 && !includeShipping && amount === undefined;
+      const refund = isFullRefund
+        ? this.calculateRefund(order, {
+            items: [...order.getRefundableQuantities()]
+              .filter(([, quantity]) => quantity > 0)
+              .map(([item, quantity]) => ({ item, quantity })),
+            includeShipping: !order.refunds.some((entry) => entry.shipping > 0),
+          })
+        : this.calculateRefund(order, { items, includeShipping });
+
+      const refundAmount = roundMoney(isFullRefund ? order.netPaid : amount ?? refund.amount);
+
+      if (refundAmount <= 0) {
+        const error = new Error('Nothing left to refund on this order');
         error.statusCode = HTTP_STATUS.BAD_REQUEST;
         throw error;
       }
 
-      const gateway = this.getGateway(order.payment.method);
-      const refund = await gateway.refundPayment(
-        order.payment.paymentIntentId,
-        amount
-      );
+      if (refundAmount > order.netPaid) {
+        const error = new Error(`Only ${order.netPaid.toFixed(2)} is left to refund on this order`);
+        error.statusCode = HTTP_STATUS.BAD_REQUEST;
+        throw error;
+      }
+
+      // Gift card orders never reached the gateway
+      const charged = order.payment.method === PAYMENT_METHODS.GIFT_CARD ? 0 : order.amountDue;
+      const gatewayRefunded = order.refunds.reduce((sum, entry) => sum + entry.gatewayAmount, 0);
+      const gatewayAmount = roundMoney(Math.min(refundAmount, charged - gatewayRefunded));
+      const giftCardAmount = roundMoney(refundAmount - gatewayAmount);
 
-      if (refund.success) {
-        order.payment.status = PAYMENT_STATUS.REFUNDED;
-        order.payment.refundedAt = new Date();
-        await order.save();
+      if (gatewayAmount > 0 && !order.payment.paymentIntentId) {
+        const error = new Error('Payment intent not found for this order');
+        error.statusCode = HTTP_STATUS.BAD_REQUEST;
+        throw error;
+      }
+
+      // Claimed before any money moves, so a concurrent refund can't pass
+      // the same checks
+      await this.claimRefund(order, refundAmount, gatewayAmount);
+
+      let refundId = null;
+      if (gatewayAmount > 0) {
+        let result;
+        try {
+          const gateway = this.getGateway(order.payment.method);
+          result = await gateway.refundPayment(order.payment.paymentIntentId, gatewayAmount);
+        } catch (error) {
+          await this.releaseRefund(order._id, refundAmount, gatewayAmount);
+          throw error;
+        }
+
+        if (!result.success) {
+          await this.releaseRefund(order._id, refundAmount, gatewayAmount);
+          return {
+            success: false,
+            refundId: result.refundId,
+            amount: 0,
+            orderId: order._id.toString(),
+            orderNumber: order.orderNumber,
+          };
+        }
+        refundId = result.refundId;
+      }
+
+      if (giftCardAmount > 0) {
+        await giftCardService.restoreForOrder(order, 'Order refunded', giftCardAmount);
       }
 
+      const { entry, paymentStatus } = await this.recordRefund(order, {
+        ...refund,
+        amount: refundAmount,
+        gatewayAmount,
+        giftCardAmount,
+        refundId,
+        reason,
+        return: returnId,
+        refundedBy,
+      });
+
       return {
-        success: refund.success,
-        refundId: refund.refundId,
-        amount: refund.amount,
+        success: true,
+        refundId,
+        amount: refundAmount,
+        refund: entry,
+        paymentStatus,
         orderId: order._id.toString(),
         orderNumber: order.orderNumber,
       };
@@ -253,6 +427,112 @@ class PaymentService {
       throw error;
     }
   }
+
+  /**
+   * Take a refund amount off what is left to refund on an order
+   * Guards on the refunded amount read with the order, so of two concurrent
+   * refunds only one gets through. Gateway amounts are reserved at the same
+   * time: the gateway's refund webhook can arrive before the refund is
+   * recorded, and must not take it for an outside refund.
+   * @param {Document} order - Order as read before the refund was worked out
+   * @param {Number} amount - Amount being refunded
+   * @param {Number} gatewayAmount - Part of it going back through the gateway
+   */
+  async claimRefund(order, amount, gatewayAmount = 0) {
+    const previous = order.refundedAmount || 0;
+    const refundedAmount = roundMoney(previous + amount);
+
+    const claimed = await Order.findOneAndUpdate(
+      {
+        _id: order._id,
+        // Orders from before partial refunds have no refundedAmount
+        refundedAmount: previous === 0 ? { $in: [0, null] } : previous,
+        'payment.status': { $in: REFUNDABLE_STATUSES },
+      },
+      {
+        $set: {
+          refundedAmount,
+          'payment.status':
+            roundMoney(order.total - refundedAmount) > 0
+              ? PAYMENT_STATUS.PARTIALLY_REFUNDED
+              : PAYMENT_STATUS.REFUNDED,
+          'payment.refundedAt': new Date(),
+        },
+        $inc: { 'payment.pendingRefundAmount': gatewayAmount },
+      },
+      { new: true }
+    );
+
+    if (!claimed) {
+      const error = new Error('Another refund was made on this order, please try again');
+      error.statusCode = HTTP_STATUS.CONFLICT;
+      throw error;
+    }
+
+    return claimed;
+  }
+
+  /**
+   * Give back a claimed refund amount after the gateway refused it
+   * Works from the stored amounts, as other refunds may have been claimed since.
+   */
+  async releaseRefund(orderId, amount, gatewayAmount = 0) {
+    await Order.updateOne({ _id: orderId }, [
+      {
+        $set: {
+          refundedAmount: { $round: [{ $subtract: ['$refundedAmount', amount] }, 2] },
+          'payment.pendingRefundAmount': {
+            $subtract: ['$payment.pendingRefundAmount', gatewayAmount],
+          },
+        },
+      },
+      {
+        $set: {
+          'payment.status': {
+            $cond: [
+              { $gt: ['$refundedAmount', 0] },
+              PAYMENT_STATUS.PARTIALLY_REFUNDED,
+              PAYMENT_STATUS.PAID,
+            ],
+          },
+        },
+      },
+    ]);
+  }
+
+  /**
+   * Add a claimed refund to the order
+   * Loyalty points earned are clawed back in proportion, or fully reversed
+   * once nothing is left paid.
+   * @param {Document} order - Order the refund was claimed on
+   * @param {Object} refund - Refund entry
+   * @returns {Promise<Object>} { entry, paymentStatus } as saved
+   */
+  async recordRefund(order, refund) {
+    const entryId = new mongoose.Types.ObjectId();
+
+    // The amount was added to refundedAmount by claimRefund; the gateway
+    // part is no longer pending once the entry is there
+    const updated = await Order.findOneAndUpdate(
+      { _id: order._id },
+      {
+        $push: { refunds: { ...refund, _id: entryId } },
+        $inc: { 'payment.pendingRefundAmount': -(refund.gatewayAmount || 0) },
+      },
+      { new: true }
+    );
+
+    logger.info(`Refunded ${refund.amount} on order ${updated.orderNumber}`);
+
+    if (updated.payment.status === PAYMENT_STATUS.REFUNDED) {
+      await giftCardService.restoreForOrder(updated, 'Order refunded');
+      await loyaltyService.reverseForOrder(updated, 'Order refunded');
+    } else {
+      await loyaltyService.clawBackForRefund(updated, refund.amount);
+    }
+
+    return { entry: updated.refunds.id(entryId), paymentStatus: updated.payment.status };
+  }
 }
 
 // Export singleton instance
@@ -0,0 +1,334 @@
+import config from '../config/index.js';
+import { HTTP_STATUS, PRICE_LINE_TYPES } from '../config/constants.js';
+import { logger } from '../utils/logger.util.js';
+import cartService from './cart.service.js';
+import couponService from './coupon.service.js';
+import giftCardService from './gift-card.service.js';
+import loyaltyService from './loyalty.service.js';
+import shippingService from './shipping.service.js';
+import taxService from './tax.service.js';
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Pricing Service
+ * Single source of truth for checkout totals: the quote endpoint and order
+ * creation both price the cart here, so the numbers a customer sees are the
+ * numbers they are charged.
+ */
+class PricingService {
+  /**
+   * Pick the shipping rate to charge from those on offer
+   * Falls back to the first rate when none was chosen yet or the chosen one
+   * is not offered (e.g. the address changed); the caller gets the reason.
+   * @returns {Object} { rate, error }
+   */
+  selectShippingRate(rates, shippingRateId) {
+    if (rates.length === 0) {
+      return { rate: null, error: 'We do not ship to this address' };
+    }
+
+    if (!shippingRateId) {
+      return { rate: rates[0], error: null };
+    }
+
+    const rate = rates.find((entry) => entry.id === shippingRateId);
+    if (!rate) {
+      return {
+        rate: rates[0],
+        error: 'The selected shipping option is not available for this order',
+      };
+    }
+
+    return { rate, error: null };
+  }
+
+  /**
+   * Split a discount across lines in proportion to their subtotals
+   * The last line takes the rounding remainder so the parts add up exactly.
+   */
+  allocateDiscount(items, discount, subtotal) {
+    let remaining = roundMoney(discount);
+
+    return items.map((item, index) => {
+      if (index === items.length - 1 || subtotal <= 0) {
+        const share = Math.min(remaining, item.subtotal);
+        remaining = roundMoney(remaining - share);
+        return roundMoney(share);
+      }
+
+      const share = Math.min(roundMoney((discount * item.subtotal) / subtotal), remaining);
+      remaining = roundMoney(remaining - share);
+      return share;
+    });
+  }
+
+  /**
+   * Price the owner's cart
+   * Read-only: nothing is redeemed or reserved. Order creation redeems what
+   * this returns inside its transaction.
+   * @param {String|Object} owner - User ID, or { sessionId } for a guest
+   * @param {Object} options - { shippingAddress, shippingRateId, couponCode, giftCardCodes, loyaltyPoints }
+   * @returns {Promise<Object>} Totals, breakdown lines and the gift card plan
+   */
+  async priceCart(owner, options = {}) {
+    const {
+      shippingAddress = null,
+      shippingRateId = null,
+      couponCode = null,
+      giftCardCodes = [],
+      loyaltyPoints = 0,
+    } = options;
+
+    const isGuest = Boolean(owner?.sessionId);
+    const userId = isGuest ? null : owner;
+
+    // Loyalty points live on an account
+    if (isGuest && loyaltyPoints > 0) {
+      const error = new Error('Sign in to redeem loyalty points');
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    }
+
+    const cartSummary = await cartService.getCartSummary(owner);
+
+    if (!cartSummary.items || cartSummary.items.length === 0) {
+      const error = new Error('Cart is empty');
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    }
+
+    const subtotal = roundMoney(cartSummary.subtotal);
+    const breakdown = [{ type: PRICE_LINE_TYPES.SUBTOTAL, label: 'Subtotal', amount: subtotal }];
+
+    // An unusable coupon is reported, not fatal: checkout continues without it
+    let discount = null;
+    let couponError = null;
+
+    if (couponCode) {
+      try {
+        const couponResult = await couponService.validateAndApplyCoupon(
+          couponCode,
+          subtotal,
+          userId,
+          cartSummary.items
+        );
+
+        discount = {
+          amount: roundMoney(couponResult.discountAmount),
+          couponCode: couponResult.coupon.code,
+          couponId: couponResult.coupon.id,
+          discountType: couponResult.discountType,
+          discountValue: couponResult.discountValue,
+        };
+        breakdown.push({
+          type: PRICE_LINE_TYPES.COUPON,
+          label: `Coupon ${discount.couponCode}`,
+          amount: -discount.amount,
+        });
+      } catch (error) {
+        logger.warn(`Coupon validation failed: ${error.message}`);
+        couponError = error.message;
+      }
+    }
+
+    const merchandiseTotal = roundMoney(subtotal - (discount?.amount || 0));
+
+    let loyalty = { pointsRedeemed: 0, discountAmount: 0 };
+
+    if (loyaltyPoints > 0) {
+      loyalty = await loyaltyService.previewRedemption(userId, loyaltyPoints, merchandiseTotal);
+
+      if (loyalty.discountAmount > 0) {
+        breakdown.push({
+          type: PRICE_LINE_TYPES.LOYALTY,
+          label: `Points (${loyalty.pointsRedeemed.toLocaleString('en-US')})`,
+          amount: -loyalty.discountAmount,
+        });
+      }
+    }
+
+    // Until the customer gives an address, estimate at the store's address
+    const address = shippingAddress?.country ? shippingAddress : config.pricing.baseAddress;
+
+    const shippingRates = await shippingService.getRates(
+      cartSummary.items,
+      merchandiseTotal,
+      address
+    );
+    const { rate: shippingRate, error: shippingError } = this.selectShippingRate(
+      shippingRates,
+      shippingRateId
+    );
+    const shippingCost = shippingRate ? shippingRate.cost : 0;
+
+    if (shippingRate) {
+      breakdown.push({
+        type: PRICE_LINE_TYPES.SHIPPING,
+        label: shippingRate.name,
+        amount: shippingCost,
+      });
+    }
+
+    // Tax each line on what is left after its share of the discounts
+    const lineDiscounts = this.allocateDiscount(
+      cartSummary.items,
+      roundMoney(subtotal - merchandiseTotal + loyalty.discountAmount),
+      subtotal
+    );
+    const orderTax = await taxService.calculateOrderTax(
+      cartSummary.items.map((item, index) => ({
+        taxClass: item.product.taxClass,
+        amount: roundMoney(item.subtotal - lineDiscounts[index]),
+      })),
+      shippingCost,
+      address
+    );
+
+    const items = cartSummary.items.map((item, index) => ({
+      ...item,
+      taxClass: item.product.taxClass,
+      discount: lineDiscounts[index],
+      taxRate: orderTax.lines[index].rate,
+      tax: orderTax.lines[index].tax,
+    }));
+
+    const { tax, shippingTax } = orderTax;
+    breakdown.push({ type: PRICE_LINE_TYPES.TAX, label: 'Tax', amount: tax });
+
+    const taxableAmount = roundMoney(merchandiseTotal - loyalty.discountAmount);
+    const total = roundMoney(taxableAmount + shippingCost + tax);
+
+    // Gift cards pay towards the total; they are a payment, not a discount
+    const giftCardPlan =
+      giftCardCodes.length > 0 ? await giftCardService.planRedemption(giftCardCodes, total) : [];
+
+    for (const { giftCard, amount } of giftCardPlan) {
+      breakdown.push({
+        type: PRICE_LINE_TYPES.GIFT_CARD,
+        label: `Gift card ${giftCard.maskedCode}`,
+        amount: -amount,
+      });
+    }
+
+    const giftCardAmount = roundMoney(giftCardPlan.reduce((sum, entry) => sum + entry.amount, 0));
+    const amountDue = Math.max(0, roundMoney(total - giftCardAmount));
+
+    return {
+      items,
+      itemCount: cartSummary.itemCount,
+      validationWarnings: cartSummary.validationWarnings || [],
+      currency: config.pricing.currency,
+      subtotal,
+      discount,
+      couponError,
+      merchandiseTotal,
+      loyalty,
+      shipping: shippingRate && {
+        rateId: shippingRate.id,
+        zone: shippingRate.zone,
+        method: shippingRate.method,
+        name: shippingRate.name,
+        cost: shippingCost,
+      },
+      shippingRates,
+      shippingError,
+      // Address tax and shipping were worked out for
+      address: {
+        country: address.country,
+        state: address.state || '',
+        zipCode: address.zipCode || '',
+      },
+      tax,
+      shippingTax,
+      total,
+      giftCardPlan,
+      giftCardAmount,
+      amountDue,
+      breakdown,
+    };
+  }
+
+  /**
+   * Price the cart for display at checkout
+   * Same numbers as priceCart, without the gift card documents.
+   */
+  async getQuote(owner, options = {}) {
+    const { giftCardPlan, ...quote } = await this.priceCart(owner, options);
+
+    return {
+      ...quote,
+      giftCards: giftCardPlan.map(({ giftCard, amount }) => ({
+        code: giftCard.maskedCode,
+        amount,
+      })),
+    };
+  }
+
+  /**
+   * Shipping rates on offer for the owner's cart at an address
+   * Priced through priceCart so the rates match what checkout will accept.
+   * @param {String|Object} owner - User ID, or { sessionId } for a guest
+   * @param {Object} options - { shippingAddress, couponCode }
+   */
+  async getShippingRates(owner, { shippingAddress, couponCode } = {}) {
+    const { shippingRates, address } = await this.priceCart(owner, {
+      shippingAddress,
+      couponCode,
+    });
+
+    return { rates: shippingRates, address };
+  }
+
+  /**
+   * Totals of a placed order after changing its shipping cost
+   * Discounts and gift cards stay as redeemed; only shipping, its tax and
+   * the lines that depend on them change.
+   * @param {Document} order - Order document (not modified)
+   * @param {Number} shippingCost - New shipping cost
+   * @returns {Promise<Object>} { shippingCost, shippingTax, tax, total, amountDue, breakdown }
+   */
+  async repriceShipping(order, shippingCost) {
+    const { shippingTax } = await taxService.calculateOrderTax(
+      [],
+      shippingCost,
+      order.shippingAddress
+    );
+
+    const oldShippingTax = order.shippingTax || 0;
+    const tax = roundMoney(order.tax - oldShippingTax + shippingTax);
+    const total = roundMoney(
+      order.total - order.shippingCost - oldShippingTax + shippingCost + shippingTax
+    );
+    const amountDue = roundMoney(total - (order.giftCardAmount || 0));
+
+    if (amountDue < 0) {
+      const error = new Error('Gift cards already cover more than the new total');
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    }
+
+    const breakdown = order.priceBreakdown.map(({ type, label, amount }) => {
+      if (type === PRICE_LINE_TYPES.SHIPPING) {
+        return { type, label, amount: shippingCost };
+      }
+      if (type === PRICE_LINE_TYPES.TAX) {
+        return { type, label, amount: tax };
+      }
+      return { type, label, amount };
+    });
+
+    if (!breakdown.some((line) => line.type === PRICE_LINE_TYPES.SHIPPING)) {
+      const taxIndex = breakdown.findIndex((line) => line.type === PRICE_LINE_TYPES.TAX);
+      breakdown.splice(taxIndex === -1 ? breakdown.length : taxIndex, 0, {
+        type: PRICE_LINE_TYPES.SHIPPING,
+        label: order.shipping?.name || 'Shipping',
+        amount: shippingCost,
+      });
+    }
+
+    return { shippingCost, shippingTax, tax, total, amountDue, breakdown };
+  }
+}
+
+export default new PricingService();
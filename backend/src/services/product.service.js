@@ -89,6 +89,7 @@ class ProductService {
       name_desc: { name: -1 },
       newest: { createdAt: -1 },
       oldest: { createdAt: 1 },
+      rating: { 'ratings.average': -1, 'ratings.count': -1 },
     };
 
     const sortBy = sortOptions[sort] || sortOptions.newest;
@@ -97,7 +98,7 @@ class ProductService {
     const skip = (Number(page) - 1) * Number(limit);
 
     // Field selection to prevent over-fetching
-    const selectFields = 'name slug price compareAtPrice images stock status featured ratings category createdAt';
+    const selectFields = 'name slug price compareAtPrice taxClass images stock status featured ratings category createdAt';
 
     // Execute query with optimizations
     const [products, total] = await Promise.all([
@@ -130,7 +131,7 @@ class ProductService {
   async getProductById(id) {
     checkDatabaseConnection();
     const product = await Product.findById(id)
-      .select('name slug description shortDescription price compareAtPrice images stock variants trackInventory allowBackorder sku weight dimensions status featured tags metaTitle metaDescription ratings salesCount category createdAt')
+      .select('name slug description shortDescription price compareAtPrice taxClass images stock variants trackInventory allowBackorder sku weight dimensions status featured tags metaTitle metaDescription ratings salesCount category createdAt')
       .populate('category', 'name slug description')
       .lean();
 
@@ -149,7 +150,7 @@ class ProductService {
   async getProductBySlug(slug) {
     checkDatabaseConnection();
     const product = await Product.findOne({ slug })
-      .select('name slug description shortDescription price compareAtPrice images stock variants trackInventory allowBackorder sku weight dimensions status featured tags metaTitle metaDescription ratings salesCount category createdAt')
+      .select('name slug description shortDescription price compareAtPrice taxClass images stock variants trackInventory allowBackorder sku weight dimensions status featured tags metaTitle metaDescription ratings salesCount category createdAt')
       .populate('category', 'name slug description')
       .lean();
 
@@ -0,0 +1,508 @@
+import Return from '../models/Return.js';
+import Order from '../models/Order.js';
+import config from '../config/index.js';
+import {
+  HTTP_STATUS,
+  ORDER_STATUS,
+  FULFILLMENT_STATUS,
+  RETURN_STATUS,
+  RETURN_DISPOSITIONS,
+} from '../config/constants.js';
+import { logger } from '../utils/logger.util.js';
+import inventoryService from './inventory.service.js';
+import paymentService from './payment/payment.service.js';
+import mailService from './mail/mail.service.js';
+
+// Statuses a return can move to from each status
+const RETURN_TRANSITIONS = {
+  [RETURN_STATUS.REQUESTED]: [RETURN_STATUS.APPROVED, RETURN_STATUS.REJECTED],
+  [RETURN_STATUS.APPROVED]: [RETURN_STATUS.RECEIVED, RETURN_STATUS.REJECTED],
+  // Received items are already restocked; the shop can't keep them unrefunded
+  [RETURN_STATUS.RECEIVED]: [RETURN_STATUS.REFUNDED],
+};
+
+/**
+ * Return Service
+ * Customer return requests (RMA) from request through restock and refund
+ */
+class ReturnService {
+  /**
+   * Load an order placed by this user
+   */
+  async getOwnOrder(orderId, userId) {
+    const order = await Order.findById(orderId);
+
+    if (!order) {
+      const error = new Error('Order not found');
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+
+    if (!order.isPlacedBy(userId)) {
+      const error = new Error('Unauthorized to return items from this order');
+      error.statusCode = HTTP_STATUS.FORBIDDEN;
+      throw error;
+    }
+
+    return order;
+  }
+
+  /**
+   * Quantity of each line that has reached the customer
+   * Orders delivered before split shipments have no packages; all their items count.
+   * @returns {Map<String, Number>} Order item _id -> delivered quantity
+   */
+  getDeliveredQuantities(order) {
+    const delivered = new Map(order.items.map((item) => [item._id.toString(), 0]));
+
+    if (order.fulfillments.length === 0) {
+      if (order.status === ORDER_STATUS.DELIVERED) {
+        order.items.forEach((item) => delivered.set(item._id.toString(), item.quantity));
+      }
+      return delivered;
+    }
+
+    order.fulfillments
+      .filter((fulfillment) => fulfillment.status === FULFILLMENT_STATUS.DELIVERED)
+      .forEach((fulfillment) =>
+        fulfillment.items.forEach((line) => {
+          const key = line.item.toString();
+          delivered.set(key, (delivered.get(key) || 0) + line.quantity);
+        })
+      );
+
+    return delivered;
+  }
+
+  /**
+   * Last day a return can be requested, or null before anything is delivered
+   * The window runs from the latest delivery, so items in a late package
+   * get the full window too.
+   */
+  getReturnDeadline(order) {
+    const deliveries = order.fulfillments
+      .filter((fulfillment) => fulfillment.deliveredAt)
+      .map((fulfillment) => fulfillment.deliveredAt.getTime());
+    if (order.deliveredAt) {
+      deliveries.push(order.deliveredAt.getTime());
+    }
+
+    if (deliveries.length === 0) {
+      return null;
+    }
+
+    return new Date(Math.max(...deliveries) + config.returns.windowDays * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Delivered quantity of each line not already in a return
+   * Rejected returns give their items back.
+   * @returns {Promise<Map<String, Number>>} Order item _id -> returnable quantity
+   */
+  async getReturnableQuantities(order) {
+    const returnable = this.getDeliveredQuantities(order);
+    const returns = await Return.find({
+      order: order._id,
+      status: { $ne: RETURN_STATUS.REJECTED },
+    })
+      .select('items')
+      .lean();
+
+    for (const ret of returns) {
+      for (const line of ret.items) {
+        const key = line.item.toString();
+        if (returnable.has(key)) {
+          returnable.set(key, returnable.get(key) - line.quantity);
+        }
+      }
+    }
+
+    return returnable;
+  }
+
+  /**
+   * What the customer can still return from an order
+   * @returns {Promise<Object>} { orderId, orderNumber, deadline, items }
+   */
+  async getReturnableItems(orderId, userId) {
+    const order = await this.getOwnOrder(orderId, userId);
+    const deadline = this.getReturnDeadline(order);
+    const isOpen = deadline !== null && deadline >= new Date();
+    const returnable = isOpen ? await this.getReturnableQuantities(order) : new Map();
+
+    return {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      deadline,
+      items: order.items
+        .filter((item) => returnable.get(item._id.toString()) > 0)
+        .map((item) => ({
+          item: item._id,
+          name: item.name,
+          image: item.image,
+          selectedVariants: item.selectedVariants,
+          price: item.price,
+          quantity: returnable.get(item._id.toString()),
+        })),
+    };
+  }
+
+  /**
+   * Request a return
+   * @param {String} userId - Customer
+   * @param {Object} data - { orderId, items: [{ item, quantity, reason }], comment, photos }
+   */
+  async createReturn(userId, { orderId, items, comment, photos = [] }) {
+    const order = await this.getOwnOrder(orderId, userId);
+    const deadline = this.getReturnDeadline(order);
+
+    if (!deadline) {
+      const error = new Error('Items can be returned once they have been delivered');
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    }
+
+    if (deadline < new Date()) {
+      const error = new Error(
+        `Returns must be requested within ${config.returns.windowDays} days of delivery`
+      );
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    }
+
+    const returnable = await this.getReturnableQuantities(order);
+
+    const lines = items.map(({ item, quantity, reason }) => {
+      const orderItem = order.items.id(item);
+
+      if (!orderItem) {
+        const error = new Error(`Item ${item} is not on this order`);
+        error.statusCode = HTTP_STATUS.BAD_REQUEST;
+        throw error;
+      }
+
+      const left = returnable.get(orderItem._id.toString());
+      if (quantity > left) {
+        const error = new Error(`Only ${left} of "${orderItem.name}" can be returned`);
+        error.statusCode = HTTP_STATUS.BAD_REQUEST;
+        throw error;
+      }
+
+      return {
+        item: orderItem._id,
+        product: orderItem.product,
+        name: orderItem.name,
+        image: orderItem.image,
+        selectedVariants: orderItem.selectedVariants,
+        quantity,
+        reason,
+      };
+    });
+
+    const ret = await Return.create({
+      returnNumber: Return.generateReturnNumber(),
+      order: order._id,
+      user: userId,
+      items: lines,
+      comment,
+      photos,
+    });
+
+    logger.info(`Return ${ret.returnNumber} requested for order ${order.orderNumber}`);
+
+    return ret;
+  }
+
+  /**
+   * Get the user's returns
+   */
+  async getUserReturns(userId, query = {}) {
+    const { page = 1, limit = 10 } = query;
+    const filter = { user: userId };
+    const skip = (Number(page) - 1) * Number(limit);
+
+    const [returns, total] = await Promise.all([
+      Return.find(filter)
+        .populate('order', 'orderNumber')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(Number(limit))
+        .lean(),
+      Return.countDocuments(filter),
+    ]);
+
+    return {
+      returns,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        pages: Math.ceil(total / Number(limit)),
+      },
+    };
+  }
+
+  /**
+   * Get all returns (staff)
+   */
+  async getAllReturns(query = {}) {
+    const { page = 1, limit = 20, status, search } = query;
+    const filter = {};
+
+    if (status) {
+      filter.status = status;
+    }
+
+    if (search) {
+      filter.returnNumber = { $regex: search, $options: 'i' };
+    }
+
+    const skip = (Number(page) - 1) * Number(limit);
+
+    const [returns, total] = await Promise.all([
+      Return.find(filter)
+        .populate('user', 'name email')
+        .populate('order', 'orderNumber')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(Number(limit))
+        .lean(),
+      Return.countDocuments(filter),
+    ]);
+
+    return {
+      returns,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        pages: Math.ceil(total / Number(limit)),
+      },
+    };
+  }
+
+  /**
+   * Get a return (owner or staff)
+   */
+  async getReturnById(returnId, userId, isStaff = false) {
+    const ret = await Return.findById(returnId)
+      .populate('user', 'name email')
+      .populate('order', 'orderNumber total payment.status payment.method');
+
+    if (!ret) {
+      const error = new Error('Return not found');
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+
+    if (!isStaff && ret.user._id.toString() !== userId.toString()) {
+      const error = new Error('Unauthorized to view this return');
+      error.statusCode = HTTP_STATUS.FORBIDDEN;
+      throw error;
+    }
+
+    return ret;
+  }
+
+  /**
+   * Move a return to the given status, or throw if it can't move there
+   * The status is claimed atomically before any side effect, so of two
+   * concurrent requests only one goes on to restock or refund.
+   * @param {String} returnId - Return ID
+   * @param {String} status - Status to move to
+   * @param {Object} updates - Other fields to set with the status
+   * @returns {Promise<Object>} { ret, previousStatus } with the updated return
+   */
+  async claimTransition(returnId, status, updates = {}) {
+    const current = await Return.findById(returnId).select('status').lean();
+
+    if (!current) {
+      const error = new Error('Return not found');
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+
+    if (!(RETURN_TRANSITIONS[current.status] || []).includes(status)) {
+      const error = new Error(`Cannot mark a ${current.status} return as ${status}`);
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    }
+
+    const ret = await Return.findOneAndUpdate(
+      { _id: returnId, status: current.status },
+      { $set: { status, ...updates } },
+      { new: true, runValidators: true }
+    );
+
+    if (!ret) {
+      const error = new Error('Return was updated by someone else, please try again');
+      error.statusCode = HTTP_STATUS.CONFLICT;
+      throw error;
+    }
+
+    return { ret, previousStatus: current.status };
+  }
+
+  /**
+   * Put a claimed return back to the status it came from after a failed side effect
+   */
+  async releaseTransition(ret, previousStatus, timestampField) {
+    await Return.updateOne(
+      { _id: ret._id, status: ret.status },
+      { $set: { status: previousStatus }, $unset: { [timestampField]: 1 } }
+    );
+  }
+
+  /**
+   * Let the customer know; mail problems don't undo the update
+   */
+  async notifyCustomer(ret) {
+    try {
+      const populated = await ret.populate('user', 'name email');
+      await mailService.sendReturnUpdateEmail(populated.user, populated);
+    } catch (error) {
+      logger.error(`Failed to send return update email for return: ${ret._id}`, error);
+    }
+  }
+
+  /**
+   * Approve a return so the customer can send the items
+   */
+  async approveReturn(returnId, { adminNotes } = {}) {
+    const { ret } = await this.claimTransition(returnId, RETURN_STATUS.APPROVED, {
+      approvedAt: new Date(),
+      ...(adminNotes && { adminNotes }),
+    });
+
+    logger.info(`Return ${ret.returnNumber} approved`);
+    await this.notifyCustomer(ret);
+
+    return await this.getReturnById(returnId, null, true);
+  }
+
+  /**
+   * Reject a return
+   * Items stay returnable in a new request if the customer tries again.
+   */
+  async rejectReturn(returnId, { reason, adminNotes } = {}) {
+    const { ret } = await this.claimTransition(returnId, RETURN_STATUS.REJECTED, {
+      rejectedAt: new Date(),
+      rejectionReason: reason,
+      ...(adminNotes && { adminNotes }),
+    });
+
+    logger.info(`Return ${ret.returnNumber} rejected`);
+    await this.notifyCustomer(ret);
+
+    return await this.getReturnById(returnId, null, true);
+  }
+
+  /**
+   * Record the parcel's arrival and put restockable items back in stock
+   * @param {String} returnId - Return ID
+   * @param {Object} data - { items: [{ item, disposition }], adminNotes }
+   *   Items not listed are restocked.
+   */
+  async receiveReturn(returnId, { items = [], adminNotes } = {}) {
+    const { ret, previousStatus } = await this.claimTransition(returnId, RETURN_STATUS.RECEIVED, {
+      receivedAt: new Date(),
+      ...(adminNotes && { adminNotes }),
+    });
+    const dispositions = new Map(items.map((line) => [line.item.toString(), line.disposition]));
+
+    for (const line of ret.items) {
+      // Restocked by an earlier attempt that failed on a later line
+      if (line.restockedAt) {
+        continue;
+      }
+
+      line.disposition = dispositions.get(line.item.toString()) || RETURN_DISPOSITIONS.RESTOCK;
+
+      if (line.disposition !== RETURN_DISPOSITIONS.RESTOCK) {
+        continue;
+      }
+
+      try {
+        await inventoryService.restoreStock(line.product, line.quantity, line.selectedVariants);
+      } catch (error) {
+        // Product deleted since the order; nothing to put the stock back on
+        if (error.statusCode !== HTTP_STATUS.NOT_FOUND) {
+          await this.releaseTransition(ret, previousStatus, 'receivedAt');
+          throw error;
+        }
+        logger.warn(`Return ${ret.returnNumber}: product ${line.product} no longer exists, writing off`);
+        line.disposition = RETURN_DISPOSITIONS.WRITE_OFF;
+        continue;
+      }
+
+      // Stored right away: a failure on a later line releases the return unsaved
+      line.restockedAt = new Date();
+      await Return.updateOne(
+        { _id: ret._id, 'items.item': line.item },
+        { $set: { 'items.$.disposition': line.disposition, 'items.$.restockedAt': line.restockedAt } }
+      );
+    }
+
+    await ret.save();
+
+    logger.info(`Return ${ret.returnNumber} received`);
+
+    return await this.getReturnById(returnId, null, true);
+  }
+
+  /**
+   * Amount paid for the returned items
+   * Each line's share of order discounts is taken off and its tax added back.
+   */
+  calculateRefundAmount(order, ret) {
+    return paymentService.calculateRefund(order, { items: ret.items }).amount;
+  }
+
+  /**
+   * Refund a received return through the payment gateway
+   * The refund is recorded on the order against the returned items.
+   * @param {String} returnId - Return ID
+   * @param {Object} data - { amount } to override the calculated amount
+   * @param {String} refundedBy - Staff member issuing the refund
+   */
+  async refundReturn(returnId, { amount } = {}, refundedBy = null) {
+    const { ret, previousStatus } = await this.claimTransition(returnId, RETURN_STATUS.REFUNDED, {
+      refundedAt: new Date(),
+    });
+
+    let refund = { amount: 0, refundId: null };
+    if (amount !== 0) {
+      let result;
+      try {
+        result = await paymentService.refundPayment(ret.order.toString(), {
+          items: ret.items.map(({ item, quantity }) => ({ item, quantity })),
+          amount,
+          reason: `Return ${ret.returnNumber}`,
+          returnId: ret._id,
+          refundedBy,
+        });
+      } catch (error) {
+        await this.releaseTransition(ret, previousStatus, 'refundedAt');
+        throw error;
+      }
+
+      if (!result.success) {
+        await this.releaseTransition(ret, previousStatus, 'refundedAt');
+        const error = new Error('Payment gateway declined the refund');
+        error.statusCode = HTTP_STATUS.BAD_REQUEST;
+        throw error;
+      }
+      refund = { amount: result.amount, refundId: result.refundId };
+    }
+
+    ret.refund = refund;
+    await ret.save();
+
+    logger.info(`Return ${ret.returnNumber} refunded: ${refund.amount}`);
+    await this.notifyCustomer(ret);
+
+    return await this.getReturnById(returnId, null, true);
+  }
+}
+
+export default new ReturnService();
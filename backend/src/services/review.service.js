@@ -0,0 +1,410 @@
+import Review from '../models/Review.js';
+import Product from '../models/Product.js';
+import Order from '../models/Order.js';
+import { HTTP_STATUS, ORDER_STATUS } from '../config/constants.js';
+import { logger } from '../utils/logger.util.js';
+
+/**
+ * Sort options for review listings
+ */
+const REVIEW_SORT_OPTIONS = {
+  newest: { createdAt: -1 },
+  helpful: { 'helpful.count': -1, createdAt: -1 },
+  rating: { rating: -1, createdAt: -1 },
+};
+
+/**
+ * Review Service
+ * Handles product review business logic
+ */
+class ReviewService {
+  /**
+   * Ensure product exists and is visible on the storefront
+   */
+  async getReviewableProduct(productId) {
+    const product = await Product.findById(productId).select('_id status').lean();
+
+    if (!product || product.status !== 'active') {
+      const error = new Error('Product not found');
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+
+    return product;
+  }
+
+  /**
+   * Find a delivered order of this user containing the product
+   * @returns {Promise<Object|null>} Order (id only) or null
+   */
+  async findVerifiedPurchaseOrder(userId, productId) {
+    return await Order.findOne({
+      user: userId,
+      status: ORDER_STATUS.DELIVERED,
+      'items.product': productId,
+    })
+      .select('_id')
+      .sort({ deliveredAt: -1 })
+      .lean();
+  }
+
+  /**
+   * Get a review that belongs to the given product
+   */
+  async getProductReview(productId, reviewId) {
+    const review = await Review.findOne({ _id: reviewId, product: productId });
+
+    if (!review) {
+      const error = new Error('Review not found');
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+
+    return review;
+  }
+
+  /**
+   * Get reviews for a product (paginated)
+   */
+  async getProductReviews(productId, query = {}, viewerId = null) {
+    const { page = 1, limit = 10, sort = 'newest', rating } = query;
+
+    await this.getReviewableProduct(productId);
+
+    // Storefront only shows moderated (approved) reviews
+    const filter = {
+      product: productId,
+      status: 'approved',
+    };
+
+    if (rating) {
+      filter.rating = Number(rating);
+    }
+
+    const skip = (Number(page) - 1) * Number(limit);
+
+    const [reviews, total] = await Promise.all([
+      Review.find(filter)
+        .select('-helpful.users -moderatedBy -moderationNotes -merchantReply.repliedBy')
+        .populate('user', 'name avatar')
+        .sort(REVIEW_SORT_OPTIONS[sort] || REVIEW_SORT_OPTIONS.newest)
+        .skip(skip)
+        .limit(Number(limit))
+        .lean(),
+      Review.countDocuments(filter),
+    ]);
+
+    // Flag reviews the current viewer already found helpful
+    if (viewerId && reviews.length > 0) {
+      const votedIds = await Review.find({
+        _id: { $in: reviews.map((review) => review._id) },
+        'helpful.users': viewerId,
+      }).distinct('_id');
+      const voted = new Set(votedIds.map((id) => id.toString()));
+
+      reviews.forEach((review) => {
+        review.votedHelpful = voted.has(review._id.toString());
+      });
+    }
+
+    return {
+      reviews,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        pages: Math.ceil(total / Number(limit)),
+        hasNext: skip + reviews.length < total,
+        hasPrev: Number(page) > 1,
+      },
+    };
+  }
+
+  /**
+   * Create a review for a product
+   */
+  async createReview(productId, userId, reviewData) {
+    await this.getReviewableProduct(productId);
+
+    const existingReview = await Review.exists({ product: productId, user: userId });
+    if (existingReview) {
+      const error = new Error('You have already reviewed this product');
+      error.statusCode = HTTP_STATUS.CONFLICT;
+      throw error;
+    }
+
+    const purchaseOrder = await this.findVerifiedPurchaseOrder(userId, productId);
+
+    const review = await Review.create({
+      product: productId,
+      user: userId,
+      order: purchaseOrder?._id,
+      rating: reviewData.rating,
+      title: reviewData.title || undefined,
+      comment: reviewData.comment || undefined,
+      images: reviewData.images || [],
+      verifiedPurchase: !!purchaseOrder,
+    });
+
+    logger.info(`Review created: ${review._id} for product: ${productId} by user: ${userId}`);
+
+    return await review.populate('user', 'name avatar');
+  }
+
+  /**
+   * Update own review
+   */
+  async updateReview(productId, reviewId, userId, updateData) {
+    const review = await this.getProductReview(productId, reviewId);
+
+    if (review.user.toString() !== userId.toString()) {
+      const error = new Error('Unauthorized to edit this review');
+      error.statusCode = HTTP_STATUS.FORBIDDEN;
+      throw error;
+    }
+
+    const allowedFields = ['rating', 'title', 'comment', 'images'];
+    allowedFields.forEach((field) => {
+      if (updateData[field] !== undefined) {
+        review[field] = updateData[field] === null ? undefined : updateData[field];
+      }
+    });
+
+    // Edited content goes back through moderation
+    if (review.status === 'approved') {
+      review.status = 'pending';
+    }
+
+    await review.save();
+
+    return await review.populate('user', 'name avatar');
+  }
+
+  /**
+   * Delete review (owner or admin)
+   */
+  async deleteReview(productId, reviewId, userId, isAdmin = false) {
+    const review = await this.getProductReview(productId, reviewId);
+
+    if (!isAdmin && review.user.toString() !== userId.toString()) {
+      const error = new Error('Unauthorized to delete this review');
+      error.statusCode = HTTP_STATUS.FORBIDDEN;
+      throw error;
+    }
+
+    // findOneAndDelete triggers the rating recalculation hook on the model
+    await Review.findOneAndDelete({ _id: review._id });
+
+    logger.info(`Review deleted: ${reviewId} by user: ${userId}`);
+  }
+
+  /**
+   * Toggle the current user's helpful vote on an approved review
+   * @returns {Promise<Object>} { helpfulCount, votedHelpful }
+   */
+  async toggleHelpful(productId, reviewId, userId) {
+    const review = await this.getProductReview(productId, reviewId);
+
+    if (review.status !== 'approved') {
+      const error = new Error('Review not found');
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+
+    if (review.user.toString() === userId.toString()) {
+      const error = new Error('You cannot vote on your own review');
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    }
+
+    const hasVoted = review.helpful.users.some((id) => id.toString() === userId.toString());
+
+    // Guard on the vote read so a double click can't count the same user twice
+    const updated = hasVoted
+      ? await Review.findOneAndUpdate(
+          { _id: review._id, 'helpful.users': userId },
+          { $pull: { 'helpful.users': userId }, $inc: { 'helpful.count': -1 } },
+          { new: true }
+        )
+      : await Review.findOneAndUpdate(
+          { _id: review._id, 'helpful.users': { $ne: userId } },
+          { $addToSet: { 'helpful.users': userId }, $inc: { 'helpful.count': 1 } },
+          { new: true }
+        );
+
+    // Another request already made this change; report where the vote stands
+    const current = updated || (await Review.findById(review._id));
+
+    return {
+      helpfulCount: current.helpful.count,
+      votedHelpful: current.helpful.users.some((id) => id.toString() === userId.toString()),
+    };
+  }
+
+  /**
+   * Get reviews for the moderation queue (Admin only)
+   */
+  async getReviewsForModeration(query = {}) {
+    const { page = 1, limit = 20, status = 'pending', product, search } = query;
+
+    const filter = {};
+
+    if (status && status !== 'all') {
+      filter.status = status;
+    }
+
+    if (product) {
+      filter.product = product;
+    }
+
+    if (search) {
+      filter.$or = [
+        { title: { $regex: search, $options: 'i' } },
+        { comment: { $regex: search, $options: 'i' } },
+      ];
+    }
+
+    const skip = (Number(page) - 1) * Number(limit);
+
+    const [reviews, total] = await Promise.all([
+      Review.find(filter)
+        .select('-helpful.users')
+        .populate('user', 'name email')
+        .populate('product', 'name slug images')
+        .populate('moderatedBy', 'name email')
+        .populate('merchantReply.repliedBy', 'name email')
+        .sort({ createdAt: status === 'pending' ? 1 : -1 }) // Oldest pending first
+        .skip(skip)
+        .limit(Number(limit))
+        .lean(),
+      Review.countDocuments(filter),
+    ]);
+
+    return {
+      reviews,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        pages: Math.ceil(total / Number(limit)),
+        hasNext: skip + reviews.length < total,
+        hasPrev: Number(page) > 1,
+      },
+    };
+  }
+
+  /**
+   * Set moderation status of a single review (Admin only)
+   */
+  async moderateReview(reviewId, status, moderatorId, moderationNotes = null) {
+    const review = await Review.findById(reviewId);
+    if (!review) {
+      const error = new Error('Review not found');
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+
+    review.status = status;
+    review.moderatedBy = moderatorId;
+    review.moderatedAt = new Date();
+    if (moderationNotes !== null && moderationNotes !== undefined) {
+      review.moderationNotes = moderationNotes;
+    }
+
+    // Post-save hook recomputes product ratings
+    await review.save();
+
+    logger.info(`Review ${reviewId} marked ${status} by moderator: ${moderatorId}`);
+
+    return await Review.findById(review._id)
+      .populate('user', 'name email')
+      .populate('product', 'name slug images')
+      .populate('moderatedBy', 'name email');
+  }
+
+  /**
+   * Post or update the public merchant reply on a review (Admin only)
+   */
+  async replyToReview(reviewId, comment, adminId) {
+    const review = await Review.findById(reviewId);
+    if (!review) {
+      const error = new Error('Review not found');
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+
+    review.merchantReply = {
+      comment,
+      repliedBy: adminId,
+      repliedAt: new Date(),
+    };
+    await review.save();
+
+    logger.info(`Merchant reply posted on review ${reviewId} by admin: ${adminId}`);
+
+    return await Review.findById(review._id)
+      .populate('user', 'name email')
+      .populate('product', 'name slug images')
+      .populate('merchantReply.repliedBy', 'name email');
+  }
+
+  /**
+   * Remove the merchant reply from a review (Admin only)
+   */
+  async deleteReviewReply(reviewId) {
+    const review = await Review.findById(reviewId);
+    if (!review) {
+      const error = new Error('Review not found');
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+
+    review.merchantReply = undefined;
+    await review.save();
+
+    logger.info(`Merchant reply removed from review ${reviewId}`);
+  }
+
+  /**
+   * Set moderation status of many reviews at once (Admin only)
+   */
+  async bulkModerateReviews(reviewIds, status, moderatorId, moderationNotes = null) {
+    const reviews = await Review.find({ _id: { $in: reviewIds } })
+      .select('_id product')
+      .lean();
+
+    if (reviews.length === 0) {
+      const error = new Error('No matching reviews found');
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+
+    const update = {
+      status,
+      moderatedBy: moderatorId,
+      moderatedAt: new Date(),
+    };
+    if (moderationNotes !== null && moderationNotes !== undefined) {
+      update.moderationNotes = moderationNotes;
+    }
+
+    const result = await Review.updateMany(
+      { _id: { $in: reviews.map((review) => review._id) } },
+      { $set: update }
+    );
+
+    // updateMany skips document hooks, so recompute each affected product once
+    const productIds = [...new Set(reviews.map((review) => review.product.toString()))];
+    await Promise.all(productIds.map((productId) => Review.updateProductRatings(productId)));
+
+    logger.info(`${result.modifiedCount} reviews marked ${status} by moderator: ${moderatorId}`);
+
+    return {
+      matched: reviews.length,
+      modified: result.modifiedCount,
+      notFound: reviewIds.length - reviews.length,
+    };
+  }
+}
+
+export default new ReviewService();
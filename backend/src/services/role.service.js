@@ -0,0 +1,223 @@
+import mongoose from 'mongoose';
+import Role from '../models/Role.js';
+import User from '../models/User.js';
+import { HTTP_STATUS, USER_ROLES } from '../config/constants.js';
+import { PERMISSIONS, PERMISSION_METADATA, DEFAULT_STAFF_ROLES } from '../config/permissions.js';
+import { logger } from '../utils/logger.util.js';
+
+const STAFF_FIELDS = 'name email role staffRole isActive lastLogin twoFactor.enabled createdAt';
+
+/**
+ * Turn a role name into a key, e.g. 'Returns Desk' -> 'returns_desk'
+ */
+const toRoleKey = (name) =>
+  name
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+
+/**
+ * Role Service
+ * Staff roles, their permissions and who holds them
+ */
+class RoleService {
+  /**
+   * Create any built-in role that does not exist yet
+   * Existing roles are left alone so admin edits are kept.
+   */
+  async ensureDefaultRoles() {
+    await Role.bulkWrite(
+      DEFAULT_STAFF_ROLES.map((role) => ({
+        updateOne: {
+          filter: { key: role.key },
+          update: { $setOnInsert: { ...role, builtIn: true } },
+          upsert: true,
+        },
+      }))
+    );
+  }
+
+  /**
+   * All permissions with display metadata
+   * @returns {Array}
+   */
+  getPermissionCatalog() {
+    return Object.values(PERMISSIONS).map((key) => ({
+      key,
+      name: PERMISSION_METADATA[key]?.name || key,
+      description: PERMISSION_METADATA[key]?.description || '',
+      category: PERMISSION_METADATA[key]?.category || 'other',
+    }));
+  }
+
+  /**
+   * Load a role or throw 404
+   */
+  async getRole(roleId) {
+    const role = mongoose.Types.ObjectId.isValid(roleId) ? await Role.findById(roleId) : null;
+
+    if (!role) {
+      const error = new Error('Role not found');
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+
+    return role;
+  }
+
+  /**
+   * List roles with the number of staff holding each
+   */
+  async listRoles() {
+    await this.ensureDefaultRoles();
+
+    const [roles, counts] = await Promise.all([
+      Role.find().sort({ builtIn: -1, name: 1 }).lean(),
+      User.aggregate([
+        { $match: { role: USER_ROLES.STAFF, deletedAt: null } },
+        { $group: { _id: '$staffRole', count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const memberCounts = new Map(counts.map(({ _id, count }) => [String(_id), count]));
+
+    return roles.map((role) => ({
+      ...role,
+      memberCount: memberCounts.get(role._id.toString()) || 0,
+    }));
+  }
+
+  /**
+   * Create a custom role
+   * @param {Object} data - { name, description, permissions }
+   */
+  async createRole({ name, description, permissions }) {
+    const key = toRoleKey(name);
+
+    if (!key || (await Role.exists({ key }))) {
+      const error = new Error('A role with this name already exists');
+      error.statusCode = HTTP_STATUS.CONFLICT;
+      throw error;
+    }
+
+    const role = await Role.create({ key, name, description, permissions });
+
+    logger.info(`Role created: ${role.key}`);
+
+    return role;
+  }
+
+  /**
+   * Update a role's name, description or permissions
+   * Changes apply to every holder on their next request.
+   */
+  async updateRole(roleId, updates) {
+    const role = await this.getRole(roleId);
+
+    ['name', 'description', 'permissions'].forEach((field) => {
+      if (updates[field] !== undefined) {
+        role[field] = updates[field];
+      }
+    });
+
+    await role.save();
+
+    logger.info(`Role updated: ${role.key}`);
+
+    return role;
+  }
+
+  /**
+   * Delete a custom role that nobody holds
+   */
+  async deleteRole(roleId) {
+    const role = await this.getRole(roleId);
+
+    if (role.builtIn) {
+      const error = new Error('Built-in roles cannot be deleted');
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    }
+
+    const members = await User.countDocuments({ role: USER_ROLES.STAFF, staffRole: role._id });
+
+    if (members > 0) {
+      const error = new Error('Reassign the staff members holding this role before deleting it');
+      error.statusCode = HTTP_STATUS.CONFLICT;
+      throw error;
+    }
+
+    await role.deleteOne();
+
+    logger.info(`Role deleted: ${role.key}`);
+  }
+
+  /**
+   * Admin and staff accounts
+   */
+  async listStaff() {
+    return User.find({
+      role: { $in: [USER_ROLES.ADMIN, USER_ROLES.STAFF] },
+      deletedAt: null,
+    })
+      .select(STAFF_FIELDS)
+      .populate('staffRole', 'key name')
+      .sort({ role: 1, name: 1 })
+      .lean();
+  }
+
+  /**
+   * Change a user's back-office access
+   * @param {Object} target - { userId } or { email }
+   * @param {Object} assignment - { role, staffRole } where role is admin, staff or customer
+   * @param {String} actorId - Admin making the change
+   */
+  async assignRole(target, { role, staffRole }, actorId) {
+    const filter = target.email
+      ? { email: target.email.toLowerCase() }
+      : mongoose.Types.ObjectId.isValid(target.userId)
+      ? { _id: target.userId }
+      : null;
+    const user = filter ? await User.findOne({ ...filter, deletedAt: null }) : null;
+
+    if (!user) {
+      const error = new Error('User not found');
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+
+    // Prevents admins from locking themselves out
+    if (user._id.toString() === actorId.toString()) {
+      const error = new Error('You cannot change your own role');
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    }
+
+    if (user.role === USER_ROLES.ADMIN && role !== USER_ROLES.ADMIN) {
+      const otherAdmins = await User.countDocuments({
+        _id: { $ne: user._id },
+        role: USER_ROLES.ADMIN,
+        isActive: true,
+        deletedAt: null,
+      });
+
+      if (otherAdmins === 0) {
+        const error = new Error('The store must keep at least one active admin');
+        error.statusCode = HTTP_STATUS.CONFLICT;
+        throw error;
+      }
+    }
+
+    user.role = role;
+    user.staffRole = role === USER_ROLES.STAFF ? (await this.getRole(staffRole))._id : undefined;
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`User ${user._id} assigned role ${role} by admin: ${actorId}`);
+
+    return User.findById(user._id).select(STAFF_FIELDS).populate('staffRole', 'key name').lean();
+  }
+}
+
+// Export singleton instance
+export default new RoleService();
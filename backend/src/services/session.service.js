@@ -0,0 +1,221 @@
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+import {
+  generateAccessToken,
+  generateRefreshToken,
+  generateTokenPayload,
+  verifyToken,
+  hashToken,
+  getTokenExpiration,
+} from '../utils/jwt.util.js';
+import { HTTP_STATUS } from '../config/constants.js';
+import { logger } from '../utils/logger.util.js';
+
+/**
+ * Session Service
+ * Per-device refresh token sessions with rotation and reuse detection
+ */
+class SessionService {
+  /**
+   * Issue an access/refresh token pair bound to a session
+   * @param {Object} user - User document
+   * @param {String} sessionId - Session ID (sid claim)
+   * @returns {Object} { accessToken, refreshToken }
+   */
+  issueTokens(user, sessionId) {
+    const tokenPayload = { ...generateTokenPayload(user), sid: sessionId.toString() };
+
+    return {
+      accessToken: generateAccessToken(tokenPayload),
+      refreshToken: generateRefreshToken(tokenPayload),
+    };
+  }
+
+  /**
+   * Start a new session for a device
+   * @param {Object} user - User document
+   * @param {Object} clientInfo - { userAgent, ip }
+   * @returns {Promise<Object>} { session, accessToken, refreshToken }
+   */
+  async createSession(user, { userAgent, ip } = {}) {
+    const session = new Session({
+      user: user._id,
+      userAgent: (userAgent || '').slice(0, 500),
+      ip: ip || '',
+    });
+
+    const tokens = this.issueTokens(user, session._id);
+
+    session.tokenHash = hashToken(tokens.refreshToken);
+    session.expiresAt = getTokenExpiration(tokens.refreshToken);
+    await session.save();
+
+    return { session, ...tokens };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair
+   * A validly signed token that is no longer the session's latest one has
+   * already been used, so the whole session is revoked.
+   * @param {String} refreshToken - Refresh token presented by the client
+   * @param {Object} clientInfo - { userAgent, ip }
+   * @returns {Promise<Object>} { accessToken, refreshToken }
+   */
+  async rotateSession(refreshToken, { userAgent, ip } = {}) {
+    let decoded;
+    try {
+      decoded = verifyToken(refreshToken);
+    } catch (error) {
+      const err = new Error('Invalid or expired refresh token');
+      err.statusCode = HTTP_STATUS.UNAUTHORIZED;
+      throw err;
+    }
+
+    if (decoded.type !== 'refresh' || !decoded.sid) {
+      const error = new Error('Invalid refresh token');
+      error.statusCode = HTTP_STATUS.UNAUTHORIZED;
+      throw error;
+    }
+
+    const user = await User.findById(decoded.id);
+
+    if (!user) {
+      const error = new Error('Invalid refresh token');
+      error.statusCode = HTTP_STATUS.UNAUTHORIZED;
+      throw error;
+    }
+
+    const tokens = this.issueTokens(user, decoded.sid);
+    const update = {
+      tokenHash: hashToken(tokens.refreshToken),
+      expiresAt: getTokenExpiration(tokens.refreshToken),
+      lastUsedAt: new Date(),
+    };
+    if (userAgent) update.userAgent = userAgent.slice(0, 500);
+    if (ip) update.ip = ip;
+
+    // Matching on the current hash makes rotation atomic: of two concurrent
+    // requests with the same token only one can win
+    const session = await Session.findOneAndUpdate(
+      {
+        _id: decoded.sid,
+        user: user._id,
+        tokenHash: hashToken(refreshToken),
+        revokedAt: null,
+      },
+      { $set: update },
+      { new: true }
+    );
+
+    if (!session) {
+      const result = await Session.updateOne(
+        { _id: decoded.sid, user: user._id, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: 'token_reuse' } }
+      );
+
+      if (result.modifiedCount > 0) {
+        logger.warn(`Refresh token reuse detected, session revoked: ${decoded.sid} (user: ${user._id})`);
+      }
+
+      const error = new Error('Invalid refresh token');
+      error.statusCode = HTTP_STATUS.UNAUTHORIZED;
+      throw error;
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Check whether a session is still usable
+   * @param {String} sessionId - Session ID
+   * @returns {Promise<Boolean>}
+   */
+  async isSessionActive(sessionId) {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return false;
+    }
+
+    const session = await Session.exists({
+      _id: sessionId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    });
+
+    return !!session;
+  }
+
+  /**
+   * List a user's active sessions
+   * @param {String} userId - User ID
+   * @param {String} currentSessionId - Session making the request
+   * @returns {Promise<Array>} Sessions, most recently used first
+   */
+  async listSessions(userId, currentSessionId = null) {
+    const sessions = await Session.find({
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .select('-tokenHash')
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    return sessions.map((session) => ({
+      ...session,
+      current: session._id.toString() === currentSessionId,
+    }));
+  }
+
+  /**
+   * Revoke a single session
+   * @param {String} sessionId - Session ID
+   * @param {String} reason - Revocation reason
+   * @param {String} userId - Restrict to sessions owned by this user
+   */
+  async revokeSession(sessionId, reason, userId = null) {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      const error = new Error('Session not found');
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+
+    const query = { _id: sessionId, revokedAt: null };
+    if (userId) query.user = userId;
+
+    const session = await Session.findOneAndUpdate(
+      query,
+      { $set: { revokedAt: new Date(), revokedReason: reason } },
+      { new: true }
+    );
+
+    if (!session) {
+      const error = new Error('Session not found');
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+
+    return session;
+  }
+
+  /**
+   * Revoke all of a user's sessions
+   * @param {String} userId - User ID
+   * @param {String} reason - Revocation reason
+   * @param {String} exceptSessionId - Session to keep (e.g. the current one)
+   * @returns {Promise<Number>} Number of sessions revoked
+   */
+  async revokeAllSessions(userId, reason, exceptSessionId = null) {
+    const query = { user: userId, revokedAt: null };
+    if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+    const result = await Session.updateMany(query, {
+      $set: { revokedAt: new Date(), revokedReason: reason },
+    });
+
+    return result.modifiedCount;
+  }
+}
+
+// Export singleton instance
+export default new SessionService();
@@ -0,0 +1,216 @@
+import ShippingZone from '../models/ShippingZone.js';
+import { HTTP_STATUS, SHIPPING_RATE_TYPES } from '../config/constants.js';
+import { logger } from '../utils/logger.util.js';
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const roundWeight = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Shipping Service
+ * Zone management and the rate engine that prices a cart for an address
+ */
+class ShippingService {
+  /**
+   * Get all shipping zones in matching order
+   */
+  async getZones() {
+    return ShippingZone.find().sort({ sortOrder: 1, name: 1 });
+  }
+
+  /**
+   * Get a shipping zone
+   */
+  async getZone(zoneId) {
+    const zone = await ShippingZone.findById(zoneId);
+
+    if (!zone) {
+      const error = new Error('Shipping zone not found');
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+
+    return zone;
+  }
+
+  /**
+   * Create a shipping zone
+   */
+  async createZone(data) {
+    try {
+      const zone = await ShippingZone.create(data);
+      logger.info(`Shipping zone created: ${zone.name}`);
+      return zone;
+    } catch (error) {
+      throw this.toDuplicateError(error);
+    }
+  }
+
+  /**
+   * Update a shipping zone
+   * Methods sent with an _id keep it, so rates quoted before the edit still
+   * resolve at checkout.
+   */
+  async updateZone(zoneId, data) {
+    const zone = await this.getZone(zoneId);
+
+    Object.assign(zone, data);
+
+    try {
+      await zone.save();
+    } catch (error) {
+      throw this.toDuplicateError(error);
+    }
+
+    logger.info(`Shipping zone updated: ${zone.name}`);
+    return zone;
+  }
+
+  /**
+   * Delete a shipping zone
+   */
+  async deleteZone(zoneId) {
+    const zone = await ShippingZone.findByIdAndDelete(zoneId);
+
+    if (!zone) {
+      const error = new Error('Shipping zone not found');
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+
+    logger.info(`Shipping zone deleted: ${zone.name}`);
+    return zone;
+  }
+
+  /**
+   * Zone an address ships under
+   * The first matching zone by sortOrder wins; rest-of-world zones (no
+   * countries) only apply when nothing more specific matches.
+   */
+  async findZoneForAddress(address = {}) {
+    const zones = await ShippingZone.find({ isActive: true }).sort({ sortOrder: 1, name: 1 });
+
+    return (
+      zones.find((zone) => zone.countries.length > 0 && zone.matchesAddress(address)) ||
+      zones.find((zone) => zone.countries.length === 0) ||
+      null
+    );
+  }
+
+  /**
+   * Weight and size of the cart's items
+   * Products without a weight or dimensions count as weightless.
+   * @param {Array} items - Cart items with product.weight and product.dimensions
+   * @returns {Object} { weight, items: [{ weight, volume, quantity }] }
+   */
+  getPackage(items) {
+    const lines = items.map((item) => {
+      const { weight = 0, dimensions = {} } = item.product;
+      const { length = 0, width = 0, height = 0 } = dimensions || {};
+
+      return {
+        weight: weight || 0,
+        volume: (length || 0) * (width || 0) * (height || 0),
+        quantity: item.quantity,
+      };
+    });
+
+    return {
+      weight: roundWeight(lines.reduce((sum, line) => sum + line.weight * line.quantity, 0)),
+      items: lines,
+    };
+  }
+
+  /**
+   * Cost of a method for a package
+   * @param {Object} method - Shipping method subdocument
+   * @param {Object} pkg - From getPackage
+   * @param {Number} merchandiseTotal - Subtotal after coupon discount
+   * @returns {Number|null} Cost, or null when the package is outside the rate table
+   */
+  calculateRate(method, pkg, merchandiseTotal) {
+    if (method.freeShippingThreshold != null && merchandiseTotal >= method.freeShippingThreshold) {
+      return 0;
+    }
+
+    switch (method.rateType) {
+      case SHIPPING_RATE_TYPES.WEIGHT:
+        return this.lookupTier(method.tiers, pkg.weight);
+      case SHIPPING_RATE_TYPES.PRICE:
+        return this.lookupTier(method.tiers, merchandiseTotal);
+      case SHIPPING_RATE_TYPES.DIMENSIONAL:
+        return this.lookupTier(method.tiers, this.getBillableWeight(pkg, method.volumetricDivisor));
+      default:
+        return roundMoney(method.cost);
+    }
+  }
+
+  /**
+   * Weight charged for dimensional rates: each item counts at the greater of
+   * its actual and volumetric weight
+   */
+  getBillableWeight(pkg, volumetricDivisor) {
+    return roundWeight(
+      pkg.items.reduce(
+        (sum, item) => sum + Math.max(item.weight, item.volume / volumetricDivisor) * item.quantity,
+        0
+      )
+    );
+  }
+
+  /**
+   * Cost from the first tier covering the value
+   */
+  lookupTier(tiers, value) {
+    const sorted = [...tiers].sort((a, b) => (a.upTo ?? Infinity) - (b.upTo ?? Infinity));
+    const tier = sorted.find((entry) => entry.upTo == null || value <= entry.upTo);
+
+    return tier ? roundMoney(tier.cost) : null;
+  }
+
+  /**
+   * Rates offered for a cart at an address
+   * The rate id names the zone and method, so checkout can only charge a
+   * rate that this engine produced.
+   * @param {Array} items - Cart items
+   * @param {Number} merchandiseTotal - Subtotal after coupon discount
+   * @param {Object} address - country, state, zipCode
+   * @returns {Promise<Array>} [{ id, zone, zoneName, method, name, deliveryEstimate, cost }]
+   */
+  async getRates(items, merchandiseTotal, address) {
+    const zone = await this.findZoneForAddress(address);
+    if (!zone) {
+      return [];
+    }
+
+    const pkg = this.getPackage(items);
+
+    return zone.methods
+      .filter((method) => method.isActive)
+      .map((method) => ({
+        id: `${zone._id}:${method._id}`,
+        zone: zone._id,
+        zoneName: zone.name,
+        method: method.code,
+        name: method.name,
+        deliveryEstimate: method.deliveryEstimate || null,
+        cost: this.calculateRate(method, pkg, merchandiseTotal),
+      }))
+      .filter((rate) => rate.cost !== null);
+  }
+
+  /**
+   * Turn a unique index violation into a 409
+   */
+  toDuplicateError(error) {
+    if (error.code !== 11000) {
+      return error;
+    }
+
+    const duplicate = new Error('A shipping zone with this name already exists');
+    duplicate.statusCode = HTTP_STATUS.CONFLICT;
+    return duplicate;
+  }
+}
+
+export default new ShippingService();
@@ -0,0 +1,351 @@
+import TaxRate from '../models/TaxRate.js';
+import config from '../config/index.js';
+import { HTTP_STATUS, TAX_CLASSES } from '../config/constants.js';
+import { logger } from '../utils/logger.util.js';
+import { parseCsvRecords } from '../utils/csv.util.js';
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Columns accepted by the CSV import, mapped to model fields
+const CSV_COLUMNS = {
+  name: 'name',
+  country: 'country',
+  state: 'state',
+  zip_prefix: 'zipPrefix',
+  tax_class: 'taxClass',
+  rate: 'rate',
+  compound: 'isCompound',
+  shipping: 'appliesToShipping',
+  active: 'isActive',
+};
+
+const CSV_BOOLEAN_FIELDS = ['isCompound', 'appliesToShipping', 'isActive'];
+
+const parseCsvBoolean = (value) => ['1', 'true', 'yes', 'y'].includes(value.toLowerCase());
+
+/**
+ * Tax Service
+ * Rate table management and tax calculation by jurisdiction and tax class
+ */
+class TaxService {
+  /**
+   * Get tax rates (paginated)
+   */
+  async getTaxRates(query = {}) {
+    const { page = 1, limit = 50, country, taxClass, search } = query;
+    const filter = {};
+
+    if (country) {
+      filter.country = country.toUpperCase();
+    }
+
+    if (taxClass) {
+      filter.taxClass = taxClass;
+    }
+
+    if (search) {
+      filter.name = { $regex: search.trim(), $options: 'i' };
+    }
+
+    const skip = (Number(page) - 1) * Number(limit);
+
+    const [taxRates, total] = await Promise.all([
+      TaxRate.find(filter)
+        .sort({ country: 1, state: 1, zipPrefix: 1, taxClass: 1, name: 1 })
+        .skip(skip)
+        .limit(Number(limit)),
+      TaxRate.countDocuments(filter),
+    ]);
+
+    return {
+      taxRates,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        pages: Math.ceil(total / Number(limit)),
+        hasNext: skip + taxRates.length < total,
+        hasPrev: Number(page) > 1,
+      },
+    };
+  }
+
+  /**
+   * Create a tax rate
+   */
+  async createTaxRate(data) {
+    try {
+      const taxRate = await TaxRate.create(data);
+      logger.info(`Tax rate created: ${taxRate.name} (${taxRate.country})`);
+      return taxRate;
+    } catch (error) {
+      throw this.toDuplicateError(error);
+    }
+  }
+
+  /**
+   * Update a tax rate
+   */
+  async updateTaxRate(taxRateId, data) {
+    const taxRate = await TaxRate.findById(taxRateId);
+
+    if (!taxRate) {
+      const error = new Error('Tax rate not found');
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+
+    Object.assign(taxRate, data);
+
+    try {
+      await taxRate.save();
+    } catch (error) {
+      throw this.toDuplicateError(error);
+    }
+
+    logger.info(`Tax rate updated: ${taxRate.name} (${taxRate.country})`);
+    return taxRate;
+  }
+
+  /**
+   * Delete a tax rate
+   */
+  async deleteTaxRate(taxRateId) {
+    const taxRate = await TaxRate.findByIdAndDelete(taxRateId);
+
+    if (!taxRate) {
+      const error = new Error('Tax rate not found');
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+
+    logger.info(`Tax rate deleted: ${taxRate.name} (${taxRate.country})`);
+    return taxRate;
+  }
+
+  /**
+   * Import a rate table from CSV
+   * Rows are matched on jurisdiction, class and name: existing rules are
+   * updated, new ones created. Nothing is written if any row is invalid.
+   * @param {String} csv - CSV text with a header row
+   * @param {Object} options - { replace: delete rules missing from the file }
+   * @returns {Promise<Object>} { created, updated, deleted }
+   */
+  async importTaxRates(csv, { replace = false } = {}) {
+    const records = parseCsvRecords(csv);
+
+    if (records.length === 0) {
+      const error = new Error('The CSV file has no tax rates');
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    }
+
+    const rowErrors = [];
+    const seen = new Set();
+    const rates = [];
+
+    for (const record of records) {
+      const data = {};
+      for (const [column, field] of Object.entries(CSV_COLUMNS)) {
+        if (record[column] !== undefined && record[column] !== '') {
+          data[field] = CSV_BOOLEAN_FIELDS.includes(field)
+            ? parseCsvBoolean(record[column])
+            : record[column];
+        }
+      }
+
+      // Let the model normalise and validate the row
+      const taxRate = new TaxRate(data);
+      const validationError = taxRate.validateSync();
+
+      if (validationError) {
+        rowErrors.push({
+          row: record.row,
+          message: Object.values(validationError.errors)
+            .map((err) => err.message)
+            .join(', '),
+        });
+        continue;
+      }
+
+      const key = this.getRuleKey(taxRate);
+      if (seen.has(key)) {
+        rowErrors.push({ row: record.row, message: 'Duplicate of an earlier row' });
+        continue;
+      }
+      seen.add(key);
+      rates.push(taxRate);
+    }
+
+    if (rowErrors.length > 0) {
+      const error = new Error('Some rows in the CSV file are invalid');
+      error.statusCode = HTTP_STATUS.UNPROCESSABLE_ENTITY;
+      error.validationErrors = rowErrors;
+      throw error;
+    }
+
+    const existing = await TaxRate.find();
+    const existingByKey = new Map(existing.map((rate) => [this.getRuleKey(rate), rate]));
+    let created = 0;
+    let updated = 0;
+
+    for (const rate of rates) {
+      const match = existingByKey.get(this.getRuleKey(rate));
+      const fields = {
+        rate: rate.rate,
+        isCompound: rate.isCompound,
+        appliesToShipping: rate.appliesToShipping,
+        isActive: rate.isActive,
+      };
+
+      if (match) {
+        match.set(fields);
+        await match.save();
+        existingByKey.delete(this.getRuleKey(rate));
+        updated++;
+      } else {
+        await rate.save();
+        created++;
+      }
+    }
+
+    let deleted = 0;
+    if (replace && existingByKey.size > 0) {
+      const result = await TaxRate.deleteMany({
+        _id: { $in: [...existingByKey.values()].map((rate) => rate._id) },
+      });
+      deleted = result.deletedCount;
+    }
+
+    logger.info(`Tax rates imported: ${created} created, ${updated} updated, ${deleted} deleted`);
+
+    return { created, updated, deleted };
+  }
+
+  /**
+   * Active rules covering an address
+   * Non-compound rules come first, then compound ones from the broadest
+   * jurisdiction to the narrowest.
+   */
+  async getRatesForAddress(address = {}) {
+    const country = (address.country || '').toUpperCase().trim();
+    if (!country) {
+      return [];
+    }
+
+    const rates = await TaxRate.find({ country, isActive: true });
+
+    return rates
+      .filter((rate) => rate.matchesAddress(address))
+      .sort(
+        (a, b) =>
+          Number(a.isCompound) - Number(b.isCompound) ||
+          a.state.length - b.state.length ||
+          a.zipPrefix.length - b.zipPrefix.length
+      );
+  }
+
+  /**
+   * Tax on an amount under the given rules (already filtered to one class)
+   */
+  calculateTax(amount, rates) {
+    if (amount <= 0) {
+      return 0;
+    }
+
+    let tax = 0;
+    for (const rate of rates) {
+      const base = rate.isCompound ? amount + tax : amount;
+      tax += (base * rate.rate) / 100;
+    }
+
+    return roundMoney(tax);
+  }
+
+  /**
+   * Combined percentage of a set of rules, compounding included
+   */
+  getEffectiveRate(rates) {
+    return Math.round(this.calculateTax(10000, rates)) / 100;
+  }
+
+  /**
+   * Rules for one tax class
+   */
+  getRatesForClass(rates, taxClass = TAX_CLASSES.STANDARD) {
+    if (taxClass === TAX_CLASSES.EXEMPT) {
+      return [];
+    }
+    return rates.filter((rate) => rate.taxClass === taxClass);
+  }
+
+  /**
+   * Tax for each line and for shipping
+   * @param {Array} lines - [{ taxClass, amount }] amounts after discounts
+   * @param {Number} shippingCost - Shipping charged
+   * @param {Object} address - Shipping address (country, state, zipCode)
+   * @returns {Promise<Object>} { lines: [{ rate, tax }], shippingTax, tax }
+   */
+  async calculateOrderTax(lines, shippingCost, address) {
+    const rates = await this.getRatesForAddress(address);
+
+    const lineTaxes = lines.map(({ taxClass, amount }) => {
+      const classRates = this.getRatesForClass(rates, taxClass);
+      return {
+        rate: this.getEffectiveRate(classRates),
+        tax: this.calculateTax(amount, classRates),
+      };
+    });
+
+    // Shipping follows the standard-class rules that opt in to it
+    const shippingRates = this.getRatesForClass(rates).filter((rate) => rate.appliesToShipping);
+    const shippingTax = this.calculateTax(shippingCost, shippingRates);
+
+    return {
+      lines: lineTaxes,
+      shippingTax,
+      tax: roundMoney(lineTaxes.reduce((sum, line) => sum + line.tax, 0) + shippingTax),
+    };
+  }
+
+  /**
+   * How the storefront should show prices
+   * Inclusive prices use the rates at the store's base address.
+   */
+  async getDisplaySettings() {
+    const { priceDisplay, baseAddress } = config.pricing;
+    const rates = await this.getRatesForAddress(baseAddress);
+
+    return {
+      priceDisplay,
+      rates: Object.fromEntries(
+        Object.values(TAX_CLASSES).map((taxClass) => [
+          taxClass,
+          this.getEffectiveRate(this.getRatesForClass(rates, taxClass)),
+        ])
+      ),
+    };
+  }
+
+  /**
+   * Identity of a rule for imports: jurisdiction, class and name
+   */
+  getRuleKey(rate) {
+    return [rate.country, rate.state, rate.zipPrefix, rate.taxClass, rate.name].join('|');
+  }
+
+  /**
+   * Turn a unique index violation into a 409
+   */
+  toDuplicateError(error) {
+    if (error.code !== 11000) {
+      return error;
+    }
+
+    const duplicate = new Error('A tax rate with this name already exists for this region and class');
+    duplicate.statusCode = HTTP_STATUS.CONFLICT;
+    return duplicate;
+  }
+}
+
+export default new TaxService();
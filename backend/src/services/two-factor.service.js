@@ -0,0 +1,293 @@
+import User from '../models/User.js';
+import config from '../config/index.js';
+import { HTTP_STATUS, USER_ROLES } from '../config/constants.js';
+import { logger } from '../utils/logger.util.js';
+import { generateSecureToken, hashToken } from '../utils/jwt.util.js';
+import { generateTotpSecret, verifyTotp, buildOtpauthUri } from '../utils/totp.util.js';
+
+const RECOVERY_CODE_COUNT = 10;
+
+const SECRET_FIELDS =
+  '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+/**
+ * Recovery codes are shown as xxxx-xxxx-xxxx-xxxx; accept any case and separators
+ */
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-f0-9]/g, '');
+
+/**
+ * Two-Factor Service
+ * TOTP enrollment, code verification and one-time recovery codes
+ */
+class TwoFactorService {
+  /**
+   * Load a user including two-factor secrets
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} User document
+   */
+  async getUserWithSecrets(userId) {
+    const user = await User.findById(userId).select(SECRET_FIELDS);
+
+    if (!user) {
+      const error = new Error('User not found');
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+
+    return user;
+  }
+
+  /**
+   * Generate a fresh set of recovery codes
+   * @returns {Object} { codes, hashes } - plain codes for the user, hashes for storage
+   */
+  generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () =>
+      generateSecureToken(8).match(/.{4}/g).join('-')
+    );
+
+    return {
+      codes,
+      hashes: codes.map((code) => hashToken(normalizeRecoveryCode(code))),
+    };
+  }
+
+  /**
+   * Get two-factor status for the account page
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} { enabled, enabledAt, recoveryCodesRemaining }
+   */
+  async getStatus(userId) {
+    const user = await this.getUserWithSecrets(userId);
+
+    return {
+      enabled: !!user.twoFactor?.enabled,
+      enabledAt: user.twoFactor?.enabledAt || null,
+      recoveryCodesRemaining: user.twoFactor?.recoveryCodes?.length || 0,
+      requiredForRole: this.isRequiredFor(user),
+    };
+  }
+
+  /**
+   * Whether the user's role must use two-factor authentication
+   * The admin policy covers staff accounts too, since they reach the back office.
+   * @param {Object} user - User document
+   * @returns {Boolean}
+   */
+  isRequiredFor(user) {
+    return (
+      config.auth.twoFactor.requiredForAdmins &&
+      [USER_ROLES.ADMIN, USER_ROLES.STAFF].includes(user.role)
+    );
+  }
+
+  /**
+   * Start enrollment by generating a secret to add to an authenticator app
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} { secret, otpauthUri }
+   */
+  async setup(userId) {
+    const user = await this.getUserWithSecrets(userId);
+
+    if (user.twoFactor?.enabled) {
+      const error = new Error('Two-factor authentication is already enabled');
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    }
+
+    const secret = generateTotpSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    return {
+      secret,
+      otpauthUri: buildOtpauthUri({
+        secret,
+        accountName: user.email,
+        issuer: config.auth.twoFactor.issuer,
+      }),
+    };
+  }
+
+  /**
+   * Confirm enrollment with a first code from the authenticator app
+   * @param {String} userId - User ID
+   * @param {String} code - Current TOTP code
+   * @returns {Promise<Object>} { recoveryCodes } - shown to the user once
+   */
+  async enable(userId, code) {
+    const user = await this.getUserWithSecrets(userId);
+
+    if (user.twoFactor?.enabled) {
+      const error = new Error('Two-factor authentication is already enabled');
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      const error = new Error('Start two-factor setup first');
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      const error = new Error('Invalid verification code');
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    }
+
+    const { codes, hashes } = this.generateRecoveryCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`Two-factor authentication enabled for user: ${user._id}`);
+
+    return { recoveryCodes: codes };
+  }
+
+  /**
+   * Check a TOTP code or recovery code for a user with 2FA enabled
+   * Each TOTP step and each recovery code is accepted only once.
+   * @param {Object} user - User document loaded with secrets
+   * @param {Object} credentials - { code } or { recoveryCode }
+   * @returns {Promise<Boolean>} True if the code was accepted
+   */
+  async verifyCode(user, { code, recoveryCode } = {}) {
+    if (!user.twoFactor?.enabled || !user.twoFactor.secret) {
+      return false;
+    }
+
+    if (recoveryCode) {
+      const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+
+      // $pull matched on the hash makes the code single use even under concurrency
+      const result = await User.updateOne(
+        { _id: user._id, 'twoFactor.recoveryCodes': hash },
+        { $pull: { 'twoFactor.recoveryCodes': hash } }
+      );
+
+      if (result.modifiedCount > 0) {
+        logger.info(`Recovery code used for user: ${user._id}`);
+        return true;
+      }
+
+      return false;
+    }
+
+    const step = verifyTotp(user.twoFactor.secret, code);
+    if (step === null) {
+      return false;
+    }
+
+    // Only accept steps newer than the last one used
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { 'twoFactor.lastUsedStep': { $lt: step } },
+          { 'twoFactor.lastUsedStep': { $exists: false } },
+        ],
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Throw unless the code is valid
+   * @param {Object} user - User document loaded with secrets
+   * @param {Object} credentials - { code } or { recoveryCode }
+   */
+  async assertCode(user, credentials) {
+    if (!(await this.verifyCode(user, credentials))) {
+      const error = new Error('Invalid verification code');
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    }
+  }
+
+  /**
+   * Turn off two-factor authentication
+   * @param {String} userId - User ID
+   * @param {Object} credentials - { password, code } or { password, recoveryCode }
+   */
+  async disable(userId, { password, code, recoveryCode }) {
+    const user = await User.findById(userId).select(`+password ${SECRET_FIELDS}`);
+
+    if (!user) {
+      const error = new Error('User not found');
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+
+    if (!user.twoFactor?.enabled) {
+      const error = new Error('Two-factor authentication is not enabled');
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    }
+
+    if (this.isRequiredFor(user)) {
+      const error = new Error('Two-factor authentication is required for admin and staff accounts');
+      error.statusCode = HTTP_STATUS.FORBIDDEN;
+      throw error;
+    }
+
+    if (!(await user.comparePassword(password))) {
+      const error = new Error('Incorrect password');
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    }
+
+    await this.assertCode(user, { code, recoveryCode });
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { 'twoFactor.enabled': false },
+        $unset: {
+          'twoFactor.secret': 1,
+          'twoFactor.pendingSecret': 1,
+          'twoFactor.recoveryCodes': 1,
+          'twoFactor.lastUsedStep': 1,
+          'twoFactor.enabledAt': 1,
+        },
+      }
+    );
+
+    logger.info(`Two-factor authentication disabled for user: ${user._id}`);
+  }
+
+  /**
+   * Replace all recovery codes
+   * @param {String} userId - User ID
+   * @param {String} code - Current TOTP code
+   * @returns {Promise<Object>} { recoveryCodes } - shown to the user once
+   */
+  async regenerateRecoveryCodes(userId, code) {
+    const user = await this.getUserWithSecrets(userId);
+
+    if (!user.twoFactor?.enabled) {
+      const error = new Error('Two-factor authentication is not enabled');
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    }
+
+    await this.assertCode(user, { code });
+
+    const { codes, hashes } = this.generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.recoveryCodes': hashes } });
+
+    return { recoveryCodes: codes };
+  }
+}
+
+// Export singleton instance
+export default new TwoFactorService();
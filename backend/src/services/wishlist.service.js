@@ -0,0 +1,179 @@
+import Wishlist from '../models/Wishlist.js';
+import Product from '../models/Product.js';
+import { HTTP_STATUS } from '../config/constants.js';
+import { logger } from '../utils/logger.util.js';
+import cartService from './cart.service.js';
+
+const PRODUCT_FIELDS = 'name slug price compareAtPrice images status stock variants ratings';
+
+/**
+ * Normalize variant selections for comparison (handles both
+ * { variantName, optionValue } and { name, value } formats)
+ */
+const normalizeVariants = (variants) => {
+  if (!variants || variants.length === 0) return [];
+  return variants
+    .map((v) => ({
+      variantName: String(v.variantName || v.name || ''),
+      optionValue: String(v.optionValue || v.value || ''),
+    }))
+    .filter((v) => v.variantName && v.optionValue)
+    .sort((a, b) => {
+      if (a.variantName !== b.variantName) {
+        return a.variantName.localeCompare(b.variantName);
+      }
+      return a.optionValue.localeCompare(b.optionValue);
+    });
+};
+
+/**
+ * Wishlist Service
+ * Handles saved-for-later products per user
+ */
+class WishlistService {
+  /**
+   * Get or create user's wishlist (products populated)
+   */
+  async getOrCreateWishlist(userId) {
+    let wishlist = await Wishlist.findOne({ user: userId }).populate({
+      path: 'items.product',
+      select: PRODUCT_FIELDS,
+    });
+
+    if (!wishlist) {
+      wishlist = await Wishlist.create({ user: userId });
+      return wishlist.toObject();
+    }
+
+    // Drop items whose product has been deleted
+    const validItems = wishlist.items.filter((item) => item.product);
+    if (validItems.length !== wishlist.items.length) {
+      logger.debug(`Removing ${wishlist.items.length - validItems.length} deleted products from wishlist`, {
+        userId,
+      });
+      wishlist.items = validItems;
+      await wishlist.save();
+    }
+
+    return wishlist.toObject();
+  }
+
+  /**
+   * Find wishlist item by id or throw 404
+   */
+  async getWishlistWithItem(userId, itemId) {
+    const wishlist = await Wishlist.findOne({ user: userId });
+    const item = wishlist?.items.id(itemId);
+
+    if (!item) {
+      const error = new Error('Item not found in wishlist');
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+
+    return { wishlist, item };
+  }
+
+  /**
+   * Add product (with optional variant selection) to wishlist
+   * Adding an existing product/variant combination is a no-op
+   */
+  async addItem(userId, productId, selectedVariants = []) {
+    const product = await Product.findById(productId).select('status');
+    if (!product) {
+      const error = new Error('Product not found');
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+
+    if (product.status !== 'active') {
+      const error = new Error('Product is not available');
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    }
+
+    let wishlist = await Wishlist.findOne({ user: userId });
+    if (!wishlist) {
+      wishlist = await Wishlist.create({ user: userId });
+    }
+
+    const normalizedVariants = normalizeVariants(selectedVariants);
+    const exists = wishlist.items.some(
+      (item) =>
+        item.product.toString() === productId.toString() &&
+        JSON.stringify(normalizeVariants(item.selectedVariants)) ===
+          JSON.stringify(normalizedVariants)
+    );
+
+    if (!exists) {
+      wishlist.items.push({
+        product: productId,
+        selectedVariants: normalizedVariants,
+      });
+      await wishlist.save();
+      logger.info(`Product ${productId} added to wishlist of user ${userId}`);
+    }
+
+    return await this.getOrCreateWishlist(userId);
+  }
+
+  /**
+   * Remove item from wishlist
+   */
+  async removeItem(userId, itemId) {
+    const { wishlist } = await this.getWishlistWithItem(userId, itemId);
+
+    wishlist.items.pull(itemId);
+    await wishlist.save();
+
+    return await this.getOrCreateWishlist(userId);
+  }
+
+  /**
+   * Clear wishlist
+   */
+  async clearWishlist(userId) {
+    const wishlist = await Wishlist.findOne({ user: userId });
+    if (!wishlist) {
+      const error = new Error('Wishlist not found');
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+
+    wishlist.items = [];
+    await wishlist.save();
+
+    return await this.getOrCreateWishlist(userId);
+  }
+
+  /**
+   * Move wishlist item to cart
+   * Stock and availability checks are handled by the cart service;
+   * the item stays in the wishlist if adding to cart fails
+   */
+  async moveToCart(userId, itemId, quantity = 1) {
+    const { wishlist, item } = await this.getWishlistWithItem(userId, itemId);
+
+    const cart = await cartService.addItem(
+      userId,
+      item.product,
+      quantity,
+      item.selectedVariants.map((v) => ({
+        variantName: v.variantName,
+        optionValue: v.optionValue,
+      }))
+    );
+
+    wishlist.items.pull(itemId);
+    await wishlist.save();
+
+    logger.info(`Wishlist item ${itemId} moved to cart for user ${userId}`);
+
+    return {
+      cart,
+      wishlist: await this.getOrCreateWishlist(userId),
+    };
+  }
+}
+
+export default new WishlistService();
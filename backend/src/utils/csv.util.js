@@ -0,0 +1,85 @@
+/**
+ * Minimal CSV reader (RFC 4180: quoted fields, escaped quotes, CRLF)
+ * Enough for small admin uploads such as rate tables.
+ */
+
+/**
+ * Split CSV text into rows of fields
+ * Blank lines are skipped.
+ * @param {String} text - CSV text
+ * @returns {Array<Array<String>>} Rows
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  // Drop a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+/**
+ * Parse CSV with a header row into objects keyed by header name
+ * Header names are trimmed and lower-cased.
+ * @param {String} text - CSV text
+ * @returns {Array<Object>} Records with their row number as `row` (the header is row 1)
+ */
+export const parseCsvRecords = (text) => {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    return [];
+  }
+
+  const keys = header.map((name) => name.trim().toLowerCase());
+
+  return rows.map((fields, index) => {
+    const record = { row: index + 2 };
+    keys.forEach((key, column) => {
+      record[key] = (fields[column] ?? '').trim();
+    });
+    return record;
+  });
+};
@@ -3,8 +3,11 @@
 export {
   generateAccessToken,
   generateRefreshToken,
+  generateChallengeToken,
+  generateOrderStatusToken,
   verifyToken,
   generateSecureToken,
+  hashToken,
   isTokenExpired,
   getTokenExpiration,
 } from './token.util.js';
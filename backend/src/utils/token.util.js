@@ -1,6 +1,5 @@
 import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
-import { logger } from './logger.util.js';
 
 /**
  * Token configuration
@@ -8,6 +7,8 @@ import { logger } from './logger.util.js';
 export const TOKEN_CONFIG = {
   accessTokenExpiry: process.env.JWT_ACCESS_EXPIRY || '15m',
   refreshTokenExpiry: process.env.JWT_REFRESH_EXPIRY || '7d',
+  challengeTokenExpiry: process.env.JWT_CHALLENGE_EXPIRY || '5m',
+  orderStatusTokenExpiry: process.env.ORDER_STATUS_LINK_EXPIRY || '24h',
   issuer: process.env.JWT_ISSUER || 'ecommerce-api',
   audience: process.env.JWT_AUDIENCE || 'ecommerce-client',
 };
@@ -21,6 +22,16 @@ export const generateSecureToken = (length = 32) => {
   return crypto.randomBytes(length).toString('hex');
 };
 
+/**
+ * Hash a one-time token for storage (verification, password reset)
+ * Only the hash is persisted so a database leak does not expose usable tokens.
+ * @param {String} token - Plain token sent to the user
+ * @returns {String} SHA-256 hex digest
+ */
+export const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
 /**
  * Generate access token with enhanced security
  * @param {Object} payload - Token payload
@@ -71,6 +82,58 @@ export const generateRefreshToken = (payload) => {
   });
 };
 
+/**
+ * Generate short-lived two-factor login challenge token
+ * Proves the password step succeeded; it cannot be used as an access token.
+ * @param {Object} payload - Token payload
+ * @returns {String} Challenge token
+ */
+export const generateChallengeToken = (payload) => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+
+  const tokenPayload = {
+    ...payload,
+    type: 'challenge',
+    iat: Math.floor(Date.now() / 1000),
+    jti: generateSecureToken(16),
+  };
+
+  return jwt.sign(tokenPayload, process.env.JWT_SECRET, {
+    expiresIn: TOKEN_CONFIG.challengeTokenExpiry,
+    issuer: TOKEN_CONFIG.issuer,
+    audience: TOKEN_CONFIG.audience,
+    algorithm: 'HS256',
+  });
+};
+
+/**
+ * Generate a read-only order status link token
+ * Lets a customer view one order without signing in; it grants nothing else.
+ * @param {String} orderId - Order ID
+ * @returns {String} Order status token
+ */
+export const generateOrderStatusToken = (orderId) => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+
+  const tokenPayload = {
+    id: orderId.toString(),
+    type: 'order_status',
+    iat: Math.floor(Date.now() / 1000),
+    jti: generateSecureToken(16),
+  };
+
+  return jwt.sign(tokenPayload, process.env.JWT_SECRET, {
+    expiresIn: TOKEN_CONFIG.orderStatusTokenExpiry,
+    issuer: TOKEN_CONFIG.issuer,
+    audience: TOKEN_CONFIG.audience,
+    algorithm: 'HS256',
+  });
+};
+
 /**
  * Verify JWT token with enhanced validation
  * @param {String} token - JWT token to verify
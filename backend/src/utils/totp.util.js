@@ -0,0 +1,153 @@
+import crypto from 'crypto';
+
+/**
+ * TOTP (RFC 6238) helpers for two-factor authentication
+ * Uses the defaults every authenticator app supports: SHA-1, 6 digits, 30s steps.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export const TOTP_CONFIG = {
+  digits: 6,
+  period: 30, // seconds
+  window: 1, // accept one step either side for clock drift
+};
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {String} Base32 string
+ */
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string
+ * @param {String} input - Base32 string (case and padding insensitive)
+ * @returns {Buffer} Decoded bytes
+ */
+export const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {String} Base32 secret (160 bits)
+ */
+export const generateTotpSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * Get the time step for a timestamp
+ * @param {Number} timestamp - Milliseconds since epoch
+ * @returns {Number} Time step counter
+ */
+export const getTimeStep = (timestamp = Date.now()) => {
+  return Math.floor(timestamp / 1000 / TOTP_CONFIG.period);
+};
+
+/**
+ * Generate the TOTP code for a time step (RFC 4226 HOTP over the step counter)
+ * @param {String} secret - Base32 secret
+ * @param {Number} step - Time step counter
+ * @returns {String} Zero-padded code
+ */
+export const generateTotp = (secret, step = getTimeStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** TOTP_CONFIG.digits).padStart(TOTP_CONFIG.digits, '0');
+};
+
+/**
+ * Verify a TOTP code against the current time window
+ * @param {String} secret - Base32 secret
+ * @param {String} code - Code entered by the user
+ * @param {Number} timestamp - Milliseconds since epoch
+ * @returns {Number|null} Matching time step, or null if the code is invalid
+ */
+export const verifyTotp = (secret, code, timestamp = Date.now()) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_CONFIG.digits) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(timestamp);
+
+  for (let drift = -TOTP_CONFIG.window; drift <= TOTP_CONFIG.window; drift++) {
+    const step = currentStep + drift;
+    const expected = generateTotp(secret, step);
+
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// provisioning URI that authenticator apps scan as a QR code
+ * @param {Object} options - { secret, accountName, issuer }
+ * @returns {String} Provisioning URI
+ */
+export const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_CONFIG.digits),
+    period: String(TOTP_CONFIG.period),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
@@ -0,0 +1,47 @@
+import Joi from 'joi';
+
+const addressFields = {
+  type: Joi.string().valid('home', 'work', 'other').messages({
+    'any.only': 'Address type must be home, work or other',
+  }),
+  name: Joi.string().trim().max(100).messages({
+    'string.empty': 'Name is required',
+  }),
+  street: Joi.string().trim().max(200).messages({
+    'string.empty': 'Street address is required',
+  }),
+  city: Joi.string().trim().max(100).messages({
+    'string.empty': 'City is required',
+  }),
+  state: Joi.string().trim().max(100).messages({
+    'string.empty': 'State is required',
+  }),
+  zipCode: Joi.string().trim().max(20).messages({
+    'string.empty': 'ZIP code is required',
+  }),
+  country: Joi.string().trim().max(100).messages({
+    'string.empty': 'Country is required',
+  }),
+  phone: Joi.string().trim().max(30).allow('', null),
+  isDefault: Joi.boolean(),
+  isDefaultBilling: Joi.boolean(),
+};
+
+// Create address schema
+export const createAddressSchema = Joi.object({
+  ...addressFields,
+  type: addressFields.type.default('home'),
+  name: addressFields.name.required(),
+  street: addressFields.street.required(),
+  city: addressFields.city.required(),
+  state: addressFields.state.required(),
+  zipCode: addressFields.zipCode.required(),
+  country: addressFields.country.default('US'),
+});
+
+// Update address schema
+export const updateAddressSchema = Joi.object(addressFields)
+  .min(1)
+  .messages({
+    'object.min': 'At least one field must be provided for update',
+  });
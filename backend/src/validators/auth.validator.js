@@ -55,6 +55,98 @@ export const updateProfileSchema = Joi.object({
   phone: Joi.string().trim().allow('', null).optional(),
 });
 
+// Two-factor code validation schema
+export const twoFactorCodeSchema = Joi.object({
+  code: Joi.string().trim().pattern(/^\d{6}$/).required().messages({
+    'string.empty': 'Verification code is required',
+    'string.pattern.base': 'Verification code must be 6 digits',
+  }),
+});
+
+// Two-factor login validation schema (authenticator code or recovery code)
+export const twoFactorLoginSchema = Joi.object({
+  challengeToken: Joi.string().required().messages({
+    'string.empty': 'Challenge token is required',
+  }),
+  code: Joi.string().trim().pattern(/^\d{6}$/).messages({
+    'string.pattern.base': 'Verification code must be 6 digits',
+  }),
+  recoveryCode: Joi.string().trim().max(50),
+})
+  .xor('code', 'recoveryCode')
+  .messages({
+    'object.missing': 'Verification code or recovery code is required',
+  });
+
+// Disable two-factor validation schema
+export const disableTwoFactorSchema = Joi.object({
+  password: Joi.string().required().messages({
+    'string.empty': 'Password is required',
+  }),
+  code: Joi.string().trim().pattern(/^\d{6}$/).messages({
+    'string.pattern.base': 'Verification code must be 6 digits',
+  }),
+  recoveryCode: Joi.string().trim().max(50),
+})
+  .xor('code', 'recoveryCode')
+  .messages({
+    'object.missing': 'Verification code or recovery code is required',
+  });
+
+// Forgot password validation schema
+export const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().lowercase().trim().required().messages({
+    'string.empty': 'Email is required',
+    'string.email': 'Please provide a valid email',
+  }),
+});
+
+// Reset password validation schema
+export const resetPasswordSchema = Joi.object({
+  token: Joi.string().trim().required().messages({
+    'string.empty': 'Reset token is required',
+  }),
+  password: Joi.string().min(6).required().messages({
+    'string.empty': 'Password is required',
+    'string.min': 'Password must be at least 6 characters',
+  }),
+});
 
+// Verify email validation schema
+export const verifyEmailSchema = Joi.object({
+  token: Joi.string().trim().required().messages({
+    'string.empty': 'Verification token is required',
+  }),
+});
 
+// Login history query schema
+export const loginHistoryQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+});
 
+// Admin login history query schema
+export const adminLoginHistoryQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  user: Joi.string().hex().length(24),
+  email: Joi.string().email().trim(),
+  success: Joi.boolean(),
+  newDevice: Joi.boolean(),
+});
+
+// Personal data export query schema
+export const dataExportQuerySchema = Joi.object({
+  format: Joi.string().valid('json', 'zip').default('json'),
+});
+
+// Delete account schema (code required only when two-factor is enabled)
+export const deleteAccountSchema = Joi.object({
+  password: Joi.string().required().messages({
+    'string.empty': 'Password is required',
+  }),
+  code: Joi.string().trim().pattern(/^\d{6}$/).messages({
+    'string.pattern.base': 'Verification code must be 6 digits',
+  }),
+  recoveryCode: Joi.string().trim().max(50),
+}).oxor('code', 'recoveryCode');
@@ -0,0 +1,15 @@
+import Joi from 'joi';
+
+// Checkout quote schema: same pricing inputs as order creation
+export const checkoutQuoteSchema = Joi.object({
+  // Only the parts that decide tax and shipping; the rest may still be blank
+  shippingAddress: Joi.object({
+    country: Joi.string().trim().allow(''),
+    state: Joi.string().trim().allow(''),
+    zipCode: Joi.string().trim().allow(''),
+  }),
+  shippingRateId: Joi.string().trim().allow('', null),
+  couponCode: Joi.string().trim().uppercase().max(50).allow('', null),
+  giftCardCodes: Joi.array().items(Joi.string().trim().uppercase().max(50)).max(5).unique().default([]),
+  loyaltyPoints: Joi.number().integer().min(0).default(0),
+});
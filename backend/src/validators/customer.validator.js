@@ -0,0 +1,42 @@
+import Joi from 'joi';
+
+// Customer list query schema (admin)
+export const customerQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  search: Joi.string().trim().max(100).allow(''),
+  status: Joi.string().valid('active', 'inactive'),
+  tag: Joi.string().trim().max(40),
+  sort: Joi.string().valid('newest', 'oldest', 'name', 'lastLogin').default('newest'),
+});
+
+// Deactivate / reactivate customer schema
+export const customerStatusSchema = Joi.object({
+  isActive: Joi.boolean().required().messages({
+    'any.required': 'isActive is required',
+  }),
+});
+
+// Internal customer note schema
+export const customerNoteSchema = Joi.object({
+  body: Joi.string().trim().min(1).max(2000).required().messages({
+    'string.empty': 'Note cannot be empty',
+    'string.max': 'Note cannot exceed 2000 characters',
+  }),
+});
+
+// Customer tags schema (replaces the full tag list)
+export const customerTagsSchema = Joi.object({
+  tags: Joi.array()
+    .items(
+      Joi.string()
+        .trim()
+        .max(40)
+        .pattern(/^[\w\s-]+$/)
+        .messages({
+          'string.pattern.base': 'Tags may only contain letters, numbers, spaces, - and _',
+        })
+    )
+    .max(20)
+    .required(),
+});
@@ -0,0 +1,60 @@
+import Joi from 'joi';
+
+// Fields shared by single and bulk issuance
+const issueFields = {
+  initialBalance: Joi.number().precision(2).min(0.01).max(10000).required().messages({
+    'any.required': 'Initial balance is required',
+    'number.min': 'Initial balance must be greater than 0',
+  }),
+  currency: Joi.string().lowercase().length(3).default('usd'),
+  expiresAt: Joi.date().greater('now').allow(null).messages({
+    'date.greater': 'Expiry date must be in the future',
+  }),
+  note: Joi.string().trim().max(500).allow('', null),
+};
+
+// Issue single gift card schema (admin)
+export const issueGiftCardSchema = Joi.object({
+  ...issueFields,
+  code: Joi.string()
+    .trim()
+    .uppercase()
+    .pattern(/^[A-Z0-9-]{6,50}$/)
+    .messages({
+      'string.pattern.base': 'Code must be 6-50 letters, numbers or hyphens',
+    }),
+  recipientEmail: Joi.string().email().allow('', null),
+  recipientName: Joi.string().trim().max(100).allow('', null),
+});
+
+// Bulk issue gift cards schema (admin)
+export const bulkIssueGiftCardsSchema = Joi.object({
+  ...issueFields,
+  count: Joi.number().integer().min(1).max(500).required().messages({
+    'any.required': 'Count is required',
+    'number.max': 'Cannot issue more than 500 gift cards at once',
+  }),
+});
+
+// Activate / deactivate gift card schema (admin)
+export const updateGiftCardStatusSchema = Joi.object({
+  isActive: Joi.boolean().required(),
+  note: Joi.string().trim().max(500).allow('', null),
+});
+
+// Balance check schema (public)
+export const checkBalanceSchema = Joi.object({
+  code: Joi.string().trim().max(50).required().messages({
+    'any.required': 'Gift card code is required',
+    'string.empty': 'Gift card code is required',
+  }),
+});
+
+// Query parameters schema (admin)
+export const giftCardQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid('active', 'depleted', 'expired', 'inactive'),
+  batchId: Joi.string().trim(),
+  search: Joi.string().trim(),
+});
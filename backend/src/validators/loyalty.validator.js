@@ -0,0 +1,9 @@
+import Joi from 'joi';
+import { LOYALTY_TRANSACTION_TYPES } from '../config/constants.js';
+
+// Points history query schema
+export const loyaltyTransactionQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  type: Joi.string().valid(...Object.values(LOYALTY_TRANSACTION_TYPES)),
+});
@@ -1,5 +1,5 @@
 import Joi from 'joi';
-import { ORDER_STATUS } from '../config/constants.js';
+import { ORDER_STATUS, CARRIERS, TRACKING_STATUS } from '../config/constants.js';
 
 // Address schema
 const addressSchema = Joi.object({
@@ -30,10 +30,17 @@ const addressSchema = Joi.object({
 export const createOrderSchema = Joi.object({
   shippingAddress: addressSchema.required(),
   billingAddress: addressSchema.optional(),
-  shippingMethod: Joi.string().default('standard'),
-  shippingCost: Joi.number().min(0).default(0),
-  tax: Joi.number().min(0).default(0),
+  // A rate id from the checkout quote or GET /shipping/rates
+  shippingRateId: Joi.string().trim().required().messages({
+    'any.required': 'Choose a shipping option',
+  }),
+  couponCode: Joi.string().trim().uppercase().max(50).allow('', null),
   notes: Joi.string().max(500).allow('', null),
+  giftCardCodes: Joi.array().items(Joi.string().trim().uppercase().max(50)).max(5).unique().default([]),
+  loyaltyPoints: Joi.number().integer().min(0).default(0),
+  saveAddress: Joi.boolean().default(false),
+  // Required for guest checkout, ignored for signed-in customers
+  email: Joi.string().trim().lowercase().email(),
 });
 
 // Update order status schema
@@ -53,6 +60,7 @@ export const cancelOrderSchema = Joi.object({
 });
 
 // Update shipping info schema
+// A tracking number ships everything not yet in a package
 export const updateShippingInfoSchema = Joi.object({
   trackingNumber: Joi.string().trim().allow('', null),
   carrier: Joi.string().trim().allow('', null),
@@ -60,12 +68,58 @@ export const updateShippingInfoSchema = Joi.object({
   cost: Joi.number().min(0).allow(null),
 });
 
+// Create fulfillment (package) schema
+export const createFulfillmentSchema = Joi.object({
+  // Omit to ship everything not yet shipped
+  items: Joi.array()
+    .items(
+      Joi.object({
+        item: Joi.string().hex().length(24).required(),
+        quantity: Joi.number().integer().min(1).required(),
+      })
+    )
+    .unique('item'),
+  // A carrier adapter key, or any carrier name when giving a tracking number
+  carrier: Joi.string().trim().max(50).default(CARRIERS.MANUAL),
+  // Leave empty to buy a label from the carrier
+  trackingNumber: Joi.string().trim().max(100).allow('', null),
+});
+
+// Update fulfillment schema
+export const updateFulfillmentSchema = Joi.object({
+  carrier: Joi.string().trim().max(50),
+  trackingNumber: Joi.string().trim().max(100),
+}).min(1);
+
+// Tracking event reported by staff
+export const trackingEventSchema = Joi.object({
+  status: Joi.string()
+    .valid(...Object.values(TRACKING_STATUS))
+    .required(),
+  description: Joi.string().trim().max(200).allow(''),
+  location: Joi.string().trim().max(100).allow(''),
+  occurredAt: Joi.date().max('now'),
+});
+
+// Guest order lookup schema
+export const orderLookupSchema = Joi.object({
+  orderNumber: Joi.string().trim().uppercase().max(50).required(),
+  email: Joi.string().trim().lowercase().email().required(),
+});
+
 // Query parameters schema
 export const orderQuerySchema = Joi.object({
   page: Joi.number().integer().min(1).default(1),
   limit: Joi.number().integer().min(1).max(100).default(10),
   status: Joi.string().valid(...Object.values(ORDER_STATUS)),
-  paymentStatus: Joi.string().valid('pending', 'paid', 'failed', 'refunded', 'cancelled'),
+  paymentStatus: Joi.string().valid(
+    'pending',
+    'paid',
+    'failed',
+    'partially_refunded',
+    'refunded',
+    'cancelled'
+  ),
   userId: Joi.string(),
   search: Joi.string().trim(),
   startDate: Joi.date().iso(),
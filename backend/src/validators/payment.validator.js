@@ -25,10 +25,22 @@ export const verifyPaymentSchema = Joi.object({
 });
 
 // Refund payment validation schema
+// Without items, shipping or amount everything left on the order is refunded
 export const refundPaymentSchema = Joi.object({
-  amount: Joi.number().positive().optional().messages({
+  items: Joi.array()
+    .items(
+      Joi.object({
+        item: Joi.string().hex().length(24).required(),
+        quantity: Joi.number().integer().min(1).required(),
+      })
+    )
+    .unique('item')
+    .default([]),
+  includeShipping: Joi.boolean().default(false),
+  amount: Joi.number().positive().precision(2).optional().messages({
     'number.positive': 'Refund amount must be positive',
   }),
+  reason: Joi.string().trim().max(500).allow(''),
 });
 
 
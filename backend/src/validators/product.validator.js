@@ -1,4 +1,5 @@
 import Joi from 'joi';
+import { TAX_CLASSES } from '../config/constants.js';
 
 // Variant option schema
 const variantOptionSchema = Joi.object({
@@ -52,6 +53,7 @@ export const createProductSchema = Joi.object({
     'number.min': 'Price cannot be negative',
   }),
   compareAtPrice: Joi.number().min(0).allow(null),
+  taxClass: Joi.string().valid(...Object.values(TAX_CLASSES)),
   category: Joi.string().required().messages({
     'string.empty': 'Category is required',
   }),
@@ -87,6 +89,7 @@ export const updateProductSchema = Joi.object({
   shortDescription: Joi.string().max(200).allow('', null),
   price: Joi.number().min(0),
   compareAtPrice: Joi.number().min(0).allow(null),
+  taxClass: Joi.string().valid(...Object.values(TAX_CLASSES)),
   category: Joi.string(),
   images: Joi.array().items(imageSchema),
   variants: Joi.array().items(variantSchema).allow(null),
@@ -117,7 +120,7 @@ export const productQuerySchema = Joi.object({
   maxPrice: Joi.number().min(0),
   status: Joi.string().valid('active', 'inactive', 'draft'),
   featured: Joi.boolean(),
-  sort: Joi.string().valid('price_asc', 'price_desc', 'name_asc', 'name_desc', 'newest', 'oldest').default('newest'),
+  sort: Joi.string().valid('price_asc', 'price_desc', 'name_asc', 'name_desc', 'newest', 'oldest', 'rating').default('newest'),
   inStock: Joi.boolean(),
 });
 
@@ -0,0 +1,81 @@
+import Joi from 'joi';
+import { RETURN_STATUS, RETURN_REASONS, RETURN_DISPOSITIONS } from '../config/constants.js';
+
+/**
+ * Return Validation Schemas
+ */
+
+// Photo uploaded to Cloudinary by the customer
+const returnPhotoSchema = Joi.object({
+  url: Joi.string().uri().required(),
+  publicId: Joi.string().allow('', null),
+});
+
+// Request a return
+export const createReturnSchema = Joi.object({
+  orderId: Joi.string().hex().length(24).required(),
+  items: Joi.array()
+    .items(
+      Joi.object({
+        item: Joi.string().hex().length(24).required(),
+        quantity: Joi.number().integer().min(1).required(),
+        reason: Joi.string()
+          .valid(...Object.values(RETURN_REASONS))
+          .required()
+          .messages({
+            'any.only': 'Choose a reason for each item',
+          }),
+      })
+    )
+    .min(1)
+    .unique('item')
+    .required()
+    .messages({
+      'array.min': 'Choose at least one item to return',
+    }),
+  comment: Joi.string().trim().max(1000).allow(''),
+  photos: Joi.array().items(returnPhotoSchema).max(5).default([]),
+});
+
+// Approve a return
+export const approveReturnSchema = Joi.object({
+  adminNotes: Joi.string().trim().max(1000).allow(''),
+});
+
+// Reject a return
+export const rejectReturnSchema = Joi.object({
+  reason: Joi.string().trim().max(500).required().messages({
+    'any.required': 'Tell the customer why the return was rejected',
+  }),
+  adminNotes: Joi.string().trim().max(1000).allow(''),
+});
+
+// Mark a return received; items not listed are restocked
+export const receiveReturnSchema = Joi.object({
+  items: Joi.array()
+    .items(
+      Joi.object({
+        item: Joi.string().hex().length(24).required(),
+        disposition: Joi.string()
+          .valid(...Object.values(RETURN_DISPOSITIONS))
+          .required(),
+      })
+    )
+    .unique('item')
+    .default([]),
+  adminNotes: Joi.string().trim().max(1000).allow(''),
+});
+
+// Refund a received return
+export const refundReturnSchema = Joi.object({
+  // Defaults to what was paid for the returned items
+  amount: Joi.number().min(0).precision(2),
+});
+
+// Query parameters schema
+export const returnQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  status: Joi.string().valid(...Object.values(RETURN_STATUS)),
+  search: Joi.string().trim().max(50),
+});
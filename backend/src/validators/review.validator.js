@@ -0,0 +1,77 @@
+import Joi from 'joi';
+
+/**
+ * Review Validation Schemas
+ */
+
+// Review image schema
+const reviewImageSchema = Joi.object({
+  url: Joi.string().uri().required(),
+  publicId: Joi.string().allow('', null),
+});
+
+// Create review schema
+export const createReviewSchema = Joi.object({
+  rating: Joi.number().integer().min(1).max(5).required().messages({
+    'any.required': 'Rating is required',
+    'number.min': 'Rating must be at least 1',
+    'number.max': 'Rating cannot exceed 5',
+  }),
+  title: Joi.string().trim().max(100).allow('', null),
+  comment: Joi.string().trim().max(1000).allow('', null),
+  images: Joi.array().items(reviewImageSchema).max(5).default([]),
+});
+
+// Update review schema (all fields optional, at least one required)
+export const updateReviewSchema = Joi.object({
+  rating: Joi.number().integer().min(1).max(5),
+  title: Joi.string().trim().max(100).allow('', null),
+  comment: Joi.string().trim().max(1000).allow('', null),
+  images: Joi.array().items(reviewImageSchema).max(5),
+}).min(1);
+
+// Query parameters schema
+export const reviewQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(50).default(10),
+  sort: Joi.string().valid('newest', 'helpful', 'rating').default('newest'),
+  rating: Joi.number().integer().min(1).max(5),
+});
+
+// Moderation statuses an admin can set
+const moderationStatus = Joi.string()
+  .valid('approved', 'rejected', 'spam', 'pending')
+  .required()
+  .messages({
+    'any.only': 'Invalid moderation status',
+  });
+
+// Moderation queue query schema (admin)
+export const moderationQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid('pending', 'approved', 'rejected', 'spam', 'all').default('pending'),
+  product: Joi.string().hex().length(24),
+  search: Joi.string().trim(),
+});
+
+// Moderate single review schema (admin)
+export const moderateReviewSchema = Joi.object({
+  status: moderationStatus,
+  moderationNotes: Joi.string().trim().max(1000).allow('', null),
+});
+
+// Bulk moderation schema (admin)
+export const bulkModerateReviewsSchema = Joi.object({
+  reviewIds: Joi.array().items(Joi.string().hex().length(24)).min(1).max(100).unique().required(),
+  status: moderationStatus,
+  moderationNotes: Joi.string().trim().max(1000).allow('', null),
+});
+
+// Merchant reply schema (admin)
+export const reviewReplySchema = Joi.object({
+  comment: Joi.string().trim().min(1).max(1000).required().messages({
+    'any.required': 'Reply comment is required',
+    'string.empty': 'Reply comment is required',
+  }),
+});
@@ -0,0 +1,44 @@
+import Joi from 'joi';
+import { USER_ROLES } from '../config/constants.js';
+import { PERMISSIONS } from '../config/permissions.js';
+
+const permissionList = Joi.array()
+  .items(Joi.string().valid(...Object.values(PERMISSIONS)))
+  .unique()
+  .messages({
+    'any.only': 'Invalid permission',
+  });
+
+// Create staff role schema
+export const createRoleSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(50).required().messages({
+    'string.empty': 'Role name is required',
+  }),
+  description: Joi.string().trim().max(200).allow(''),
+  permissions: permissionList.default([]),
+});
+
+// Update staff role schema
+export const updateRoleSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(50),
+  description: Joi.string().trim().max(200).allow(''),
+  permissions: permissionList,
+}).min(1);
+
+// Change a user's back-office access
+export const assignRoleSchema = Joi.object({
+  role: Joi.string().valid(...Object.values(USER_ROLES)).required(),
+  staffRole: Joi.when('role', {
+    is: USER_ROLES.STAFF,
+    then: Joi.string().hex().length(24).required().messages({
+      'any.required': 'Choose a staff role',
+    }),
+    otherwise: Joi.forbidden(),
+  }),
+});
+
+// Grant back-office access to an existing account by email
+export const addStaffSchema = assignRoleSchema.keys({
+  email: Joi.string().email().trim().lowercase().required(),
+  role: Joi.string().valid(USER_ROLES.ADMIN, USER_ROLES.STAFF).required(),
+});
@@ -0,0 +1,67 @@
+import Joi from 'joi';
+import { SHIPPING_RATE_TYPES } from '../config/constants.js';
+
+const rateTierSchema = Joi.object({
+  // Empty = no upper limit
+  upTo: Joi.number().min(0).allow(null).default(null),
+  cost: Joi.number().min(0).required(),
+});
+
+const shippingMethodSchema = Joi.object({
+  // Existing methods keep their id so rates already quoted stay valid
+  _id: Joi.string().hex().length(24),
+  code: Joi.string()
+    .trim()
+    .lowercase()
+    .pattern(/^[a-z0-9_-]+$/)
+    .max(50)
+    .required()
+    .messages({
+      'string.pattern.base': 'Method code can only contain letters, numbers, hyphens and underscores',
+    }),
+  name: Joi.string().trim().max(100).required(),
+  deliveryEstimate: Joi.string().trim().max(100).allow(''),
+  rateType: Joi.string()
+    .valid(...Object.values(SHIPPING_RATE_TYPES))
+    .default(SHIPPING_RATE_TYPES.FLAT),
+  cost: Joi.number().min(0).default(0),
+  tiers: Joi.array().items(rateTierSchema).max(50).default([]),
+  volumetricDivisor: Joi.number().min(1).default(5000),
+  // Empty = never free
+  freeShippingThreshold: Joi.number().min(0).allow(null).default(null),
+  isActive: Joi.boolean().default(true),
+});
+
+const zoneFields = {
+  name: Joi.string().trim().max(100),
+  // Empty = rest of the world
+  countries: Joi.array().items(Joi.string().trim().uppercase().length(2)).unique(),
+  states: Joi.array().items(Joi.string().trim().uppercase().max(50)).unique(),
+  zipPrefixes: Joi.array().items(Joi.string().trim().uppercase().max(20)).unique(),
+  sortOrder: Joi.number().integer(),
+  methods: Joi.array().items(shippingMethodSchema).max(20),
+  isActive: Joi.boolean(),
+};
+
+// Create shipping zone schema
+export const createShippingZoneSchema = Joi.object({
+  ...zoneFields,
+  name: zoneFields.name.required(),
+  countries: zoneFields.countries.default([]),
+  states: zoneFields.states.default([]),
+  zipPrefixes: zoneFields.zipPrefixes.default([]),
+  sortOrder: zoneFields.sortOrder.default(0),
+  methods: zoneFields.methods.default([]),
+  isActive: zoneFields.isActive.default(true),
+});
+
+// Update shipping zone schema
+export const updateShippingZoneSchema = Joi.object(zoneFields).min(1);
+
+// Rates query schema: the parts of the address that decide the zone
+export const shippingRatesQuerySchema = Joi.object({
+  country: Joi.string().trim().uppercase().length(2).required(),
+  state: Joi.string().trim().allow(''),
+  zipCode: Joi.string().trim().allow(''),
+  couponCode: Joi.string().trim().uppercase().max(50).allow(''),
+});
@@ -0,0 +1,56 @@
+import Joi from 'joi';
+import { TAX_CLASSES } from '../config/constants.js';
+
+// Classes a rate can apply to; exempt products are never taxed
+const RATE_TAX_CLASSES = Object.values(TAX_CLASSES).filter(
+  (taxClass) => taxClass !== TAX_CLASSES.EXEMPT
+);
+
+// Create tax rate schema
+export const createTaxRateSchema = Joi.object({
+  name: Joi.string().trim().max(100).required(),
+  country: Joi.string().trim().uppercase().max(2).required().messages({
+    'string.max': 'Country must be a 2-letter ISO code',
+  }),
+  state: Joi.string().trim().uppercase().max(50).allow('').default(''),
+  zipPrefix: Joi.string().trim().uppercase().max(20).allow('').default(''),
+  taxClass: Joi.string()
+    .valid(...RATE_TAX_CLASSES)
+    .default(TAX_CLASSES.STANDARD),
+  rate: Joi.number().min(0).max(100).required().messages({
+    'number.max': 'Rate is a percentage between 0 and 100',
+  }),
+  isCompound: Joi.boolean().default(false),
+  appliesToShipping: Joi.boolean().default(false),
+  isActive: Joi.boolean().default(true),
+});
+
+// Update tax rate schema
+export const updateTaxRateSchema = Joi.object({
+  name: Joi.string().trim().max(100),
+  country: Joi.string().trim().uppercase().max(2),
+  state: Joi.string().trim().uppercase().max(50).allow(''),
+  zipPrefix: Joi.string().trim().uppercase().max(20).allow(''),
+  taxClass: Joi.string().valid(...RATE_TAX_CLASSES),
+  rate: Joi.number().min(0).max(100),
+  isCompound: Joi.boolean(),
+  appliesToShipping: Joi.boolean(),
+  isActive: Joi.boolean(),
+}).min(1);
+
+// CSV import schema
+export const importTaxRatesSchema = Joi.object({
+  csv: Joi.string().max(1024 * 1024).required().messages({
+    'string.max': 'CSV file is too large (1 MB maximum)',
+  }),
+  replace: Joi.boolean().default(false),
+});
+
+// Query parameters schema
+export const taxRateQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  country: Joi.string().trim().uppercase().max(2),
+  taxClass: Joi.string().valid(...RATE_TAX_CLASSES),
+  search: Joi.string().trim().max(100).allow(''),
+});
@@ -0,0 +1,29 @@
+import Joi from 'joi';
+
+// Selected variant schema (same shape as cart items)
+const selectedVariantSchema = Joi.object({
+  variantName: Joi.string().required().messages({
+    'string.empty': 'Variant name is required',
+  }),
+  optionValue: Joi.string().required().messages({
+    'string.empty': 'Variant option value is required',
+  }),
+});
+
+// Add item to wishlist schema
+export const addWishlistItemSchema = Joi.object({
+  productId: Joi.string().hex().length(24).required().messages({
+    'string.empty': 'Product ID is required',
+    'any.required': 'Product ID is required',
+  }),
+  selectedVariants: Joi.array().items(selectedVariantSchema).default([]),
+});
+
+// Move wishlist item to cart schema
+export const moveToCartSchema = Joi.object({
+  quantity: Joi.number().integer().min(1).default(1).messages({
+    'number.base': 'Quantity must be a number',
+    'number.integer': 'Quantity must be an integer',
+    'number.min': 'Quantity must be at least 1',
+  }),
+});
@@ -32,10 +32,25 @@ describe('Cart API', () => {
       expect(response.body.data.cart).toHaveProperty('items');
     });
 
-    it('should return 401 if not authenticated', async () => {
-      await request(app)
+    it('should give guests an empty cart and a guest session cookie', async () => {
+      const response = await request(app)
         .get('/api/v1/cart')
-        .expect(401);
+        .expect(200);
+
+      expect(response.body.data.cart.items).toHaveLength(0);
+      expect(response.headers['set-cookie'].join(';')).toContain('guestSession=');
+    });
+
+    it('should keep a guest cart across requests', async () => {
+      const agent = request.agent(app);
+
+      await agent
+        .post('/api/v1/cart/items')
+        .send({ productId: product._id.toString(), quantity: 1 });
+
+      const response = await agent.get('/api/v1/cart').expect(200);
+
+      expect(response.body.data.cart.items).toHaveLength(1);
     });
   });
 
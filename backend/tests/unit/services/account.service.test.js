@@ -0,0 +1,118 @@
+/**
+ * Account Service Unit Tests
+ */
+
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import zlib from 'zlib';
+import accountService from '../../../src/services/account.service.js';
+import sessionService from '../../../src/services/session.service.js';
+import User from '../../../src/models/User.js';
+import Order from '../../../src/models/Order.js';
+import Cart from '../../../src/models/Cart.js';
+import { createTestUser, createTestOrder } from '../../helpers/testHelpers.js';
+
+describe('AccountService', () => {
+  const password = 'password123';
+  let user;
+
+  beforeEach(async () => {
+    // Plain password: the model hashes it on save
+    user = await createTestUser({
+      password,
+      phone: '555-0100',
+      addresses: [
+        {
+          name: 'Test User',
+          street: '1 Main St',
+          city: 'Springfield',
+          state: 'IL',
+          zipCode: '62701',
+          country: 'US',
+          isDefault: true,
+        },
+      ],
+    });
+  });
+
+  describe('buildExport', () => {
+    it('should include profile, addresses and orders without secrets', async () => {
+      await createTestOrder(user._id, { status: 'delivered' });
+
+      const data = await accountService.buildExport(user._id);
+
+      expect(data.profile.email).toBe(user.email);
+      expect(data.profile.password).toBeUndefined();
+      expect(data.addresses).toHaveLength(1);
+      expect(data.orders).toHaveLength(1);
+      expect(data.orders[0].adminNotes).toBeUndefined();
+      expect(data.reviews).toEqual([]);
+      expect(data.cart).toEqual([]);
+    });
+  });
+
+  describe('buildExportArchive', () => {
+    it('should produce a ZIP archive with one file per section', async () => {
+      const archive = await accountService.buildExportArchive(user._id);
+
+      expect(archive.readUInt32LE(0)).toBe(0x04034b50);
+      expect(archive.includes(Buffer.from('profile.json'))).toBe(true);
+      expect(archive.includes(Buffer.from('login-history.json'))).toBe(true);
+
+      // First entry is README.txt; its deflated data follows the 30-byte header and name
+      const nameLength = archive.readUInt16LE(26);
+      const compressedSize = archive.readUInt32LE(18);
+      const start = 30 + nameLength;
+      const readme = zlib.inflateRawSync(archive.subarray(start, start + compressedSize));
+      expect(readme.toString()).toContain('Personal data export');
+    });
+  });
+
+  describe('deleteAccount', () => {
+    it('should reject an incorrect password', async () => {
+      await expect(
+        accountService.deleteAccount(user._id, { password: 'wrong-password' })
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should refuse while orders are still in progress', async () => {
+      await createTestOrder(user._id, { status: 'processing' });
+
+      await expect(accountService.deleteAccount(user._id, { password })).rejects.toMatchObject({
+        statusCode: 409,
+      });
+    });
+
+    it('should anonymise orders, revoke sessions and soft-delete the user', async () => {
+      const order = await createTestOrder(user._id, { status: 'delivered' });
+      await Cart.create({ user: user._id, items: [] });
+      const { session } = await sessionService.createSession(user, { userAgent: 'laptop' });
+
+      await accountService.deleteAccount(user._id, { password });
+
+      const deleted = await User.findById(user._id);
+      expect(deleted.deletedAt).toBeInstanceOf(Date);
+      expect(deleted.isActive).toBe(false);
+      expect(deleted.email).not.toBe(user.email);
+      expect(deleted.name).toBe('Deleted User');
+      expect(deleted.phone).toBeUndefined();
+      expect(deleted.addresses).toHaveLength(0);
+
+      const anonymised = await Order.findById(order._id);
+      expect(anonymised.shippingAddress.name).toBe('Deleted User');
+      expect(anonymised.shippingAddress.street).toBe('REDACTED');
+      expect(anonymised.billingAddress.phone).toBe('REDACTED');
+      // Financial record is untouched
+      expect(anonymised.total).toBe(order.total);
+      expect(anonymised.shippingAddress.country).toBe('US');
+
+      expect(await sessionService.isSessionActive(session._id)).toBe(false);
+      expect(await Cart.findOne({ user: user._id })).toBeNull();
+    });
+
+    it('should free the email address for a new registration', async () => {
+      await accountService.deleteAccount(user._id, { password });
+
+      expect(await User.findOne({ email: user.email })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Address Service Unit Tests
+ */
+
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import addressService from '../../../src/services/address.service.js';
+import User from '../../../src/models/User.js';
+import { createTestUser } from '../../helpers/testHelpers.js';
+
+const homeAddress = {
+  name: 'Jane Doe',
+  street: '1 Main St',
+  city: 'Springfield',
+  state: 'IL',
+  zipCode: '62701',
+  country: 'US',
+  phone: '555-0100',
+};
+
+const workAddress = {
+  type: 'work',
+  name: 'Jane Doe',
+  street: '500 Office Park',
+  city: 'Springfield',
+  state: 'IL',
+  zipCode: '62702',
+  country: 'US',
+};
+
+describe('AddressService', () => {
+  let user;
+
+  beforeEach(async () => {
+    user = await createTestUser();
+  });
+
+  describe('addAddress', () => {
+    it('should make the first address the default shipping and billing address', async () => {
+      const addresses = await addressService.addAddress(user._id, homeAddress);
+
+      expect(addresses).toHaveLength(1);
+      expect(addresses[0].isDefault).toBe(true);
+      expect(addresses[0].isDefaultBilling).toBe(true);
+    });
+
+    it('should move the default flag to a new default address', async () => {
+      await addressService.addAddress(user._id, homeAddress);
+      const addresses = await addressService.addAddress(user._id, { ...workAddress, isDefault: true });
+
+      const defaults = addresses.filter((addr) => addr.isDefault);
+      expect(defaults).toHaveLength(1);
+      expect(defaults[0].street).toBe(workAddress.street);
+      // Billing default stays where it was
+      expect(addresses.find((addr) => addr.isDefaultBilling).street).toBe(homeAddress.street);
+    });
+  });
+
+  describe('updateAddress', () => {
+    it('should update fields and set the default billing address', async () => {
+      await addressService.addAddress(user._id, homeAddress);
+      const added = await addressService.addAddress(user._id, workAddress);
+      const work = added.find((addr) => addr.street === workAddress.street);
+
+      const addresses = await addressService.updateAddress(user._id, work._id, {
+        city: 'Chicago',
+        isDefaultBilling: true,
+      });
+
+      const updated = addresses.find((addr) => addr._id.toString() === work._id.toString());
+      expect(updated.city).toBe('Chicago');
+      expect(updated.isDefaultBilling).toBe(true);
+      expect(addresses.filter((addr) => addr.isDefaultBilling)).toHaveLength(1);
+    });
+
+    it('should return 404 for an unknown address', async () => {
+      const other = await createTestUser({ email: 'other-address@example.com' });
+      const [foreign] = await addressService.addAddress(other._id, homeAddress);
+
+      await expect(
+        addressService.updateAddress(user._id, foreign._id, { city: 'Chicago' })
+      ).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('deleteAddress', () => {
+    it('should hand the default flags to a remaining address', async () => {
+      const [home] = await addressService.addAddress(user._id, homeAddress);
+      await addressService.addAddress(user._id, workAddress);
+
+      const addresses = await addressService.deleteAddress(user._id, home._id);
+
+      expect(addresses).toHaveLength(1);
+      expect(addresses[0].isDefault).toBe(true);
+      expect(addresses[0].isDefaultBilling).toBe(true);
+    });
+  });
+
+  describe('saveFromOrder', () => {
+    it('should save a new order address once', async () => {
+      await addressService.saveFromOrder(user._id, homeAddress);
+      await addressService.saveFromOrder(user._id, { ...homeAddress, street: ' 1 main st ' });
+
+      const saved = await User.findById(user._id);
+      expect(saved.addresses).toHaveLength(1);
+      expect(saved.addresses[0].isDefault).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Analytics Service Unit Tests
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import mongoose from 'mongoose';
+import analyticsService from '../../../src/services/analytics.service.js';
+import { createTestUser, createTestOrder } from '../../helpers/testHelpers.js';
+
+describe('AnalyticsService', () => {
+  describe('getRecentCustomers', () => {
+    it('should list account customers and leave out guest orders', async () => {
+      const user = await createTestUser({ name: 'Member' });
+      await createTestOrder(user._id, { orderNumber: 'ORD-MEMBER-1' });
+      await createTestOrder(undefined, { orderNumber: 'ORD-GUEST-1', email: 'guest@example.com' });
+
+      const customers = await analyticsService.getRecentCustomers();
+
+      expect(customers).toHaveLength(1);
+      expect(customers[0].name).toBe('Member');
+      expect(customers[0].orderCount).toBe(1);
+    });
+  });
+
+  describe('getTopProducts', () => {
+    it('should take refunded units off product sales', async () => {
+      const mugId = new mongoose.Types.ObjectId();
+      const posterId = new mongoose.Types.ObjectId();
+      const order = await createTestOrder(undefined, {
+        email: 'guest@example.com',
+        items: [
+          { product: mugId, name: 'Mug', price: 10, quantity: 3, subtotal: 30 },
+          { product: posterId, name: 'Poster', price: 15, quantity: 1, subtotal: 15 },
+        ],
+        payment: { method: 'stripe', status: 'partially_refunded', amount: 55 },
+        subtotal: 45,
+        total: 55,
+        paidAt: new Date(),
+      });
+      const [mug, poster] = order.items;
+      order.refunds.push(
+        {
+          items: [{ item: mug._id, quantity: 1, subtotal: 10 }],
+          amount: 10,
+          gatewayAmount: 10,
+        },
+        {
+          items: [{ item: poster._id, quantity: 1, subtotal: 15 }],
+          amount: 15,
+          gatewayAmount: 15,
+        }
+      );
+      order.refundedAmount = 25;
+      await order.save();
+
+      const products = await analyticsService.getTopProducts();
+
+      expect(products).toHaveLength(1);
+      expect(products[0].productName).toBe('Mug');
+      expect(products[0].totalQuantity).toBe(2);
+      expect(products[0].totalRevenue).toBe(20);
+    });
+  });
+});
@@ -8,6 +8,8 @@ import User from '../../../src/models/User.js';
 import { createTestUser, createTestAdmin } from '../../helpers/testHelpers.js';
 import { hashPassword } from '../../../src/utils/password.util.js';
 import { USER_ROLES } from '../../../src/config/constants.js';
+import { hashToken } from '../../../src/utils/token.util.js';
+import sessionService from '../../../src/services/session.service.js';
 
 describe('AuthService', () => {
   describe('register', () => {
@@ -98,41 +100,139 @@ describe('AuthService', () => {
   });
 
   describe('refreshToken', () => {
-    it('should refresh access token with valid refresh token', async () => {
-      const user = await createTestUser();
-      const refreshToken = await authService.generateRefreshToken(user._id.toString());
+    it('should rotate the refresh token', async () => {
+      const password = 'password123';
+      const user = await createTestUser({
+        password: await hashPassword(password),
+      });
+      const { refreshToken } = await authService.login(user.email, password);
 
-      const result = await authService.refreshToken(refreshToken);
+      const result = await authService.refreshAccessToken(refreshToken);
 
       expect(result).toHaveProperty('accessToken');
       expect(result).toHaveProperty('refreshToken');
+      expect(result.refreshToken).not.toBe(refreshToken);
     });
 
     it('should throw error with invalid refresh token', async () => {
       await expect(
-        authService.refreshToken('invalid-token')
+        authService.refreshAccessToken('invalid-token')
       ).rejects.toThrow();
     });
   });
 
   describe('logout', () => {
-    it('should logout user and clear refresh token', async () => {
-      const user = await createTestUser();
-      await authService.generateRefreshToken(user._id.toString());
+    it('should revoke only the current session', async () => {
+      const password = 'password123';
+      const user = await createTestUser({
+        password: await hashPassword(password),
+      });
+      await authService.login(user.email, password, { userAgent: 'laptop' });
+      await authService.login(user.email, password, { userAgent: 'phone' });
+
+      const phone = (await authService.getSessions(user._id)).find(
+        (session) => session.userAgent === 'phone'
+      );
+      await authService.logout(user._id.toString(), phone._id.toString());
+
+      const sessions = await authService.getSessions(user._id);
+      expect(sessions).toHaveLength(1);
+      expect(sessions[0].userAgent).toBe('laptop');
+    });
+  });
+
+  describe('email verification', () => {
+    it('should store a hashed verification token on register', async () => {
+      const result = await authService.register({
+        name: 'New User',
+        email: `verify${Date.now()}@example.com`,
+        password: 'password123',
+      });
+
+      const user = await User.findById(result.user._id);
+
+      expect(user.isEmailVerified).toBe(false);
+      expect(user.emailVerificationToken).toHaveLength(64);
+      expect(user.emailVerificationExpires.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should verify email with a valid token', async () => {
+      const user = await createTestUser({
+        isEmailVerified: false,
+        emailVerificationToken: hashToken('valid-token'),
+        emailVerificationExpires: new Date(Date.now() + 60 * 60 * 1000),
+      });
 
-      await authService.logout(user._id.toString());
+      await authService.verifyEmail('valid-token');
 
       const updatedUser = await User.findById(user._id);
-      expect(updatedUser.refreshToken).toBeNull();
+      expect(updatedUser.isEmailVerified).toBe(true);
+      expect(updatedUser.emailVerificationToken).toBeUndefined();
+      expect(updatedUser.emailVerificationExpires).toBeUndefined();
+    });
+
+    it('should reject an expired token', async () => {
+      await createTestUser({
+        isEmailVerified: false,
+        emailVerificationToken: hashToken('expired-token'),
+        emailVerificationExpires: new Date(Date.now() - 1000),
+      });
+
+      await expect(
+        authService.verifyEmail('expired-token')
+      ).rejects.toThrow('Invalid or expired verification link');
+    });
+
+    it('should reject resend for an already verified user', async () => {
+      const user = await createTestUser({ isEmailVerified: true });
+
+      await expect(
+        authService.resendVerification(user._id.toString())
+      ).rejects.toThrow('Email is already verified');
     });
   });
-});
 
+  describe('password reset', () => {
+    it('should store a hashed reset token for a known email', async () => {
+      const user = await createTestUser();
 
+      await authService.forgotPassword(user.email);
 
+      const updatedUser = await User.findById(user._id);
+      expect(updatedUser.passwordResetToken).toHaveLength(64);
+      expect(updatedUser.passwordResetExpires.getTime()).toBeGreaterThan(Date.now());
+    });
 
+    it('should resolve silently for an unknown email', async () => {
+      await expect(
+        authService.forgotPassword(`unknown${Date.now()}@example.com`)
+      ).resolves.toBeUndefined();
+    });
 
+    it('should reset password and revoke all sessions', async () => {
+      const user = await createTestUser({
+        passwordResetToken: hashToken('reset-token'),
+        passwordResetExpires: new Date(Date.now() + 60 * 60 * 1000),
+      });
+      await sessionService.createSession(user, { userAgent: 'laptop' });
 
+      await authService.resetPassword('reset-token', 'newpassword123');
 
+      const updatedUser = await User.findById(user._id).select('+password');
+      expect(await updatedUser.comparePassword('newpassword123')).toBe(true);
+      expect(updatedUser.passwordResetToken).toBeUndefined();
+      expect(await authService.getSessions(user._id)).toHaveLength(0);
+    });
 
+    it('should reject an expired reset token', async () => {
+      await createTestUser({
+        passwordResetToken: hashToken('old-reset-token'),
+        passwordResetExpires: new Date(Date.now() - 1000),
+      });
 
+      await expect(
+        authService.resetPassword('old-reset-token', 'newpassword123')
+      ).rejects.toThrow('Invalid or expired password reset link');
+    });
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Cart Service Unit Tests
+ */
+
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import cartService from '../../../src/services/cart.service.js';
+import Cart from '../../../src/models/Cart.js';
+import {
+  createTestUser,
+  createTestCategory,
+  createTestProduct,
+  createTestCart,
+} from '../../helpers/testHelpers.js';
+
+describe('CartService', () => {
+  const guest = { sessionId: 'guest-session-1' };
+  let user;
+  let product;
+
+  beforeEach(async () => {
+    user = await createTestUser();
+    const category = await createTestCategory();
+    product = await createTestProduct(category._id, { stock: 5 });
+  });
+
+  describe('guest carts', () => {
+    it('should not store a cart until something is added', async () => {
+      const cart = await cartService.getOrCreateCart(guest);
+
+      expect(cart.items).toHaveLength(0);
+      expect(await Cart.countDocuments({ sessionId: guest.sessionId })).toBe(0);
+    });
+
+    it('should keep guest and account carts apart', async () => {
+      await cartService.addItem(guest, product._id, 2);
+      await cartService.addItem(user._id, product._id, 1);
+
+      const guestCart = await cartService.getOrCreateCart(guest);
+      const userCart = await cartService.getOrCreateCart(user._id);
+
+      expect(guestCart.items[0].quantity).toBe(2);
+      expect(userCart.items[0].quantity).toBe(1);
+    });
+  });
+
+  describe('mergeGuestCart', () => {
+    it('should hand the guest cart to a user without one', async () => {
+      await cartService.addItem(guest, product._id, 2);
+
+      const cart = await cartService.mergeGuestCart(guest.sessionId, user._id);
+
+      expect(cart.items).toHaveLength(1);
+      expect(cart.items[0].quantity).toBe(2);
+      expect(await Cart.countDocuments({ sessionId: guest.sessionId })).toBe(0);
+    });
+
+    it('should add matching lines together and cap them at available stock', async () => {
+      await createTestCart(user._id, [{ product: product._id, quantity: 4, price: product.price }]);
+      await cartService.addItem(guest, product._id, 3);
+
+      const cart = await cartService.mergeGuestCart(guest.sessionId, user._id);
+
+      expect(cart.items).toHaveLength(1);
+      expect(cart.items[0].quantity).toBe(5);
+      expect(cart.validationWarnings).toHaveLength(1);
+
+      const stored = await Cart.findOne({ user: user._id });
+      expect(stored.items[0].quantity).toBe(5);
+      expect(await Cart.countDocuments({ sessionId: guest.sessionId })).toBe(0);
+    });
+
+    it('should do nothing when the guest has no cart', async () => {
+      await expect(cartService.mergeGuestCart('unknown-session', user._id)).resolves.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Customer Service Unit Tests
+ */
+
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import customerService from '../../../src/services/customer.service.js';
+import sessionService from '../../../src/services/session.service.js';
+import * as authService from '../../../src/services/auth.service.js';
+import {
+  createTestUser,
+  createTestAdmin,
+  createTestOrder,
+} from '../../helpers/testHelpers.js';
+
+describe('CustomerService', () => {
+  let admin;
+  let customer;
+
+  beforeEach(async () => {
+    admin = await createTestAdmin();
+    customer = await createTestUser({
+      name: 'Ada Lovelace',
+      email: 'ada@example.com',
+      phone: '555-0199',
+      password: 'password123',
+    });
+  });
+
+  describe('listCustomers', () => {
+    it('should search by name, email or phone and exclude admins', async () => {
+      await createTestUser({ name: 'Grace Hopper', email: 'grace@example.com' });
+
+      const byName = await customerService.listCustomers({ search: 'lovelace' });
+      const byPhone = await customerService.listCustomers({ search: '0199' });
+      const all = await customerService.listCustomers({});
+
+      expect(byName.customers.map((c) => c.email)).toEqual(['ada@example.com']);
+      expect(byPhone.customers).toHaveLength(1);
+      expect(all.customers.some((c) => c._id.toString() === admin._id.toString())).toBe(false);
+    });
+
+    it('should treat search input as plain text', async () => {
+      const result = await customerService.listCustomers({ search: '.*' });
+      expect(result.customers).toHaveLength(0);
+    });
+
+    it('should include order count and lifetime value from paid orders only', async () => {
+      await createTestOrder(customer._id, {
+        orderNumber: 'ORD-LTV-1',
+        total: 100,
+        payment: { method: 'stripe', status: 'paid', amount: 100 },
+      });
+      await createTestOrder(customer._id, { orderNumber: 'ORD-LTV-2', total: 50 });
+
+      const { customers } = await customerService.listCustomers({ search: 'ada@' });
+
+      expect(customers[0].orderCount).toBe(2);
+      expect(customers[0].lifetimeValue).toBe(100);
+    });
+  });
+
+  describe('getCustomer', () => {
+    it('should return 404 for admin accounts', async () => {
+      await expect(customerService.getCustomer(admin._id)).rejects.toMatchObject({
+        statusCode: 404,
+      });
+    });
+  });
+
+  describe('setActive', () => {
+    it('should sign the customer out and block login when deactivated', async () => {
+      const { session } = await sessionService.createSession(customer, { userAgent: 'laptop' });
+
+      await customerService.setActive(customer._id, false, admin._id);
+
+      expect(await sessionService.isSessionActive(session._id)).toBe(false);
+      await expect(authService.login(customer.email, 'password123')).rejects.toMatchObject({
+        statusCode: 403,
+      });
+
+      await customerService.setActive(customer._id, true, admin._id);
+      const result = await authService.login(customer.email, 'password123');
+      expect(result.accessToken).toBeDefined();
+    });
+  });
+
+  describe('notes and tags', () => {
+    it('should add notes newest first with the author', async () => {
+      await customerService.addNote(customer._id, admin._id, 'First contact');
+      const notes = await customerService.addNote(customer._id, admin._id, 'Asked for refund');
+
+      expect(notes.map((note) => note.body)).toEqual(['Asked for refund', 'First contact']);
+      expect(notes[0].author.email).toBe(admin.email);
+    });
+
+    it('should normalise tags and keep them out of the customer JSON', async () => {
+      const tags = await customerService.updateTags(customer._id, ['VIP', ' vip ', 'Wholesale']);
+
+      expect(tags).toEqual(['vip', 'wholesale']);
+      expect(await customerService.listTags()).toEqual(['vip', 'wholesale']);
+
+      const profile = await authService.getCurrentUser(customer._id);
+      expect(profile.tags).toBeUndefined();
+      expect(profile.adminNotes).toBeUndefined();
+    });
+  });
+});
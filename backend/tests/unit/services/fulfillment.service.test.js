@@ -0,0 +1,119 @@
+/**
+ * Fulfillment Service Unit Tests
+ */
+
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import fulfillmentService from '../../../src/services/fulfillment.service.js';
+import trackingService from '../../../src/services/carrier/tracking.service.js';
+import { createTestUser, createTestOrder } from '../../helpers/testHelpers.js';
+
+describe('FulfillmentService', () => {
+  let order;
+  let mug;
+  let poster;
+
+  beforeEach(async () => {
+    const user = await createTestUser();
+    order = await createTestOrder(user._id, {
+      status: 'processing',
+      processingAt: new Date(),
+      items: [
+        {
+          product: new mongoose.Types.ObjectId(),
+          name: 'Mug',
+          price: 10,
+          quantity: 2,
+          subtotal: 20,
+        },
+        {
+          product: new mongoose.Types.ObjectId(),
+          name: 'Poster',
+          price: 15,
+          quantity: 1,
+          subtotal: 15,
+        },
+      ],
+    });
+    [mug, poster] = order.items.map((item) => item._id.toString());
+  });
+
+  const ship = (items, trackingNumber) =>
+    fulfillmentService.createFulfillment(order._id.toString(), {
+      items,
+      carrier: 'manual',
+      trackingNumber,
+    });
+
+  describe('createFulfillment', () => {
+    it('should partially ship an order', async () => {
+      const updated = await ship([{ item: mug, quantity: 1 }], 'TRACK-1');
+
+      expect(updated.status).toBe('partially_shipped');
+      expect(updated.fulfillments).toHaveLength(1);
+      expect(updated.fulfillments[0].items[0].quantity).toBe(1);
+      expect(updated.fulfillments[0].trackingEvents).toHaveLength(0);
+    });
+
+    it('should ship the order once every item is in a package', async () => {
+      await ship([{ item: mug, quantity: 1 }], 'TRACK-1');
+      const updated = await ship(undefined, 'TRACK-2');
+
+      expect(updated.status).toBe('shipped');
+      expect(updated.shippedAt).toBeDefined();
+      expect(updated.fulfillments[1].items.map((line) => line.quantity)).toEqual([1, 1]);
+    });
+
+    it('should not ship more than is left', async () => {
+      await ship([{ item: mug, quantity: 2 }], 'TRACK-1');
+
+      await expect(ship([{ item: mug, quantity: 1 }], 'TRACK-2')).rejects.toMatchObject({
+        statusCode: 400,
+      });
+    });
+
+    it('should reject items from another order', async () => {
+      await expect(
+        ship([{ item: new mongoose.Types.ObjectId().toString(), quantity: 1 }], 'TRACK-1')
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should not ship unpaid orders', async () => {
+      order.status = 'pending';
+      await order.save();
+
+      await expect(ship(undefined, 'TRACK-1')).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('deliveries', () => {
+    it('should move through partially delivered to delivered', async () => {
+      const first = await ship([{ item: mug, quantity: 2 }], 'TRACK-1');
+      const second = await ship([{ item: poster, quantity: 1 }], 'TRACK-2');
+      const deliver = (fulfillment) =>
+        trackingService.addEvent(order._id.toString(), fulfillment._id.toString(), {
+          status: 'delivered',
+        });
+
+      const partly = await deliver(first.fulfillments[0]);
+      expect(partly.status).toBe('partially_delivered');
+      expect(partly.deliveredAt).toBeUndefined();
+
+      const done = await deliver(second.fulfillments[1]);
+      expect(done.status).toBe('delivered');
+      expect(done.deliveredAt).toBeDefined();
+    });
+
+    it('should stay partially delivered while items are unshipped', async () => {
+      const shipped = await ship([{ item: mug, quantity: 2 }], 'TRACK-1');
+
+      const updated = await trackingService.addEvent(
+        order._id.toString(),
+        shipped.fulfillments[0]._id.toString(),
+        { status: 'delivered' }
+      );
+
+      expect(updated.status).toBe('partially_delivered');
+    });
+  });
+});
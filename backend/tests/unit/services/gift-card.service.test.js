@@ -0,0 +1,217 @@
+/**
+ * Gift Card Service Unit Tests
+ */
+
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import giftCardService from '../../../src/services/gift-card.service.js';
+import GiftCard from '../../../src/models/GiftCard.js';
+import Order from '../../../src/models/Order.js';
+import FeatureToggle from '../../../src/models/FeatureToggle.js';
+import { FEATURE_FLAGS } from '../../../src/config/feature-flags.js';
+import { createTestUser, createTestAdmin, createTestOrder } from '../../helpers/testHelpers.js';
+
+describe('GiftCardService', () => {
+  let admin;
+  let user;
+
+  beforeEach(async () => {
+    admin = await createTestAdmin();
+    user = await createTestUser();
+    await FeatureToggle.enableFeature(null, FEATURE_FLAGS.GIFT_CARDS, admin._id);
+  });
+
+  describe('issueGiftCard', () => {
+    it('should issue a card with an issue ledger entry', async () => {
+      const giftCard = await giftCardService.issueGiftCard({ initialBalance: 50 }, admin._id);
+
+      expect(giftCard.code).toMatch(/^GC-[A-Z0-9]{4}-[A-Z0-9]{4}-[A-Z0-9]{4}$/);
+      expect(giftCard.balance).toBe(50);
+      expect(giftCard.transactions).toHaveLength(1);
+      expect(giftCard.transactions[0].type).toBe('issue');
+      expect(giftCard.transactions[0].balanceAfter).toBe(50);
+    });
+
+    it('should reject a duplicate custom code', async () => {
+      await giftCardService.issueGiftCard({ code: 'HOLIDAY-50', initialBalance: 50 }, admin._id);
+
+      await expect(
+        giftCardService.issueGiftCard({ code: 'holiday-50', initialBalance: 25 }, admin._id)
+      ).rejects.toThrow('Gift card code already exists');
+    });
+
+    it('should fail when the feature is disabled', async () => {
+      await FeatureToggle.disableFeature(null, FEATURE_FLAGS.GIFT_CARDS, admin._id);
+
+      await expect(
+        giftCardService.issueGiftCard({ initialBalance: 50 }, admin._id)
+      ).rejects.toThrow('Gift cards feature is not enabled');
+    });
+  });
+
+  describe('bulkIssueGiftCards', () => {
+    it('should issue unique codes under one batch', async () => {
+      const { batchId, giftCards } = await giftCardService.bulkIssueGiftCards(
+        { count: 5, initialBalance: 20 },
+        admin._id
+      );
+
+      const codes = new Set(giftCards.map((card) => card.code));
+      expect(giftCards).toHaveLength(5);
+      expect(codes.size).toBe(5);
+      expect(await GiftCard.countDocuments({ batchId })).toBe(5);
+    });
+  });
+
+  describe('checkBalance', () => {
+    it('should return the balance with a masked code', async () => {
+      const giftCard = await giftCardService.issueGiftCard({ initialBalance: 30 }, admin._id);
+
+      const result = await giftCardService.checkBalance(giftCard.code.toLowerCase());
+
+      expect(result.balance).toBe(30);
+      expect(result.code).toBe(`****-${giftCard.code.slice(-4)}`);
+      expect(result.isRedeemable).toBe(true);
+    });
+  });
+
+  describe('planRedemption', () => {
+    it('should split the amount across cards in order', async () => {
+      const first = await giftCardService.issueGiftCard({ initialBalance: 30 }, admin._id);
+      const second = await giftCardService.issueGiftCard({ initialBalance: 100 }, admin._id);
+
+      const plan = await giftCardService.planRedemption([first.code, second.code], 50);
+
+      expect(plan).toHaveLength(2);
+      expect(plan[0].amount).toBe(30);
+      expect(plan[1].amount).toBe(20);
+    });
+
+    it('should reject expired cards', async () => {
+      const giftCard = await giftCardService.issueGiftCard(
+        { initialBalance: 30, expiresAt: new Date(Date.now() + 60000) },
+        admin._id
+      );
+      await GiftCard.updateOne({ _id: giftCard._id }, { expiresAt: new Date(Date.now() - 1000) });
+
+      await expect(giftCardService.planRedemption([giftCard.code], 10)).rejects.toThrow(
+        'cannot be redeemed'
+      );
+    });
+  });
+
+  describe('redeemGiftCards', () => {
+    it('should deduct the balance and record the order', async () => {
+      const giftCard = await giftCardService.issueGiftCard({ initialBalance: 30 }, admin._id);
+      const order = await createTestOrder(user._id);
+
+      const plan = await giftCardService.planRedemption([giftCard.code], 20);
+      const redemptions = await giftCardService.redeemGiftCards(plan, order._id, user._id);
+      const updated = await GiftCard.findById(giftCard._id);
+
+      expect(redemptions[0].amount).toBe(20);
+      expect(updated.balance).toBe(10);
+      expect(updated.transactions[1].type).toBe('redeem');
+      expect(updated.transactions[1].amount).toBe(-20);
+      expect(updated.transactions[1].order.toString()).toBe(order._id.toString());
+    });
+
+    it('should fail when the balance changed after planning', async () => {
+      const giftCard = await giftCardService.issueGiftCard({ initialBalance: 30 }, admin._id);
+      const order = await createTestOrder(user._id);
+
+      const plan = await giftCardService.planRedemption([giftCard.code], 20);
+      await GiftCard.updateOne({ _id: giftCard._id }, { balance: 5 });
+
+      await expect(giftCardService.redeemGiftCards(plan, order._id, user._id)).rejects.toThrow(
+        'balance changed during checkout'
+      );
+    });
+  });
+
+  describe('restoreForOrder', () => {
+    it('should restore redeemed amounts only once', async () => {
+      const giftCard = await giftCardService.issueGiftCard({ initialBalance: 30 }, admin._id);
+      const order = await createTestOrder(user._id);
+
+      const plan = await giftCardService.planRedemption([giftCard.code], 20);
+      order.giftCards = await giftCardService.redeemGiftCards(plan, order._id, user._id);
+      order.giftCardAmount = 20;
+      await order.save();
+
+      await giftCardService.restoreForOrder(order);
+      await giftCardService.restoreForOrder(order);
+      const updated = await GiftCard.findById(giftCard._id);
+
+      expect(updated.balance).toBe(30);
+      expect(updated.transactions.filter((t) => t.type === 'restore')).toHaveLength(1);
+      expect(order.giftCards[0].restoredAt).toBeDefined();
+    });
+
+    it('should restore part of a redemption for a partial refund', async () => {
+      const giftCard = await giftCardService.issueGiftCard({ initialBalance: 30 }, admin._id);
+      const order = await createTestOrder(user._id);
+
+      const plan = await giftCardService.planRedemption([giftCard.code], 20);
+      order.giftCards = await giftCardService.redeemGiftCards(plan, order._id, user._id);
+      order.giftCardAmount = 20;
+      await order.save();
+
+      const restored = await giftCardService.restoreForOrder(order, 'Order refunded', 5);
+      await giftCardService.restoreForOrder(order, 'Order refunded');
+      const updated = await GiftCard.findById(giftCard._id);
+
+      expect(restored).toBe(5);
+      expect(updated.balance).toBe(30);
+      expect(updated.transactions.filter((t) => t.type === 'restore')).toHaveLength(2);
+      expect(order.giftCards[0].restoredAmount).toBe(20);
+    });
+
+    it('should not restore twice when a cancellation races a refund', async () => {
+      const giftCard = await giftCardService.issueGiftCard({ initialBalance: 30 }, admin._id);
+      const order = await createTestOrder(user._id);
+
+      const plan = await giftCardService.planRedemption([giftCard.code], 20);
+      order.giftCards = await giftCardService.redeemGiftCards(plan, order._id, user._id);
+      order.giftCardAmount = 20;
+      await order.save();
+
+      // Each request works from its own copy of the order
+      const [first, second] = await Promise.all([
+        Order.findById(order._id),
+        Order.findById(order._id),
+      ]);
+      const restored = await Promise.all([
+        giftCardService.restoreForOrder(first, 'Order cancelled'),
+        giftCardService.restoreForOrder(second, 'Order refunded'),
+      ]);
+      const updated = await GiftCard.findById(giftCard._id);
+
+      expect(restored[0] + restored[1]).toBe(20);
+      expect(updated.balance).toBe(30);
+      expect((await Order.findById(order._id)).giftCards[0].restoredAmount).toBe(20);
+    });
+
+    it('should record the balance after each restore when orders share a card', async () => {
+      const giftCard = await giftCardService.issueGiftCard({ initialBalance: 30 }, admin._id);
+      const orders = [];
+      for (const suffix of ['1', '2']) {
+        const order = await createTestOrder(user._id, { orderNumber: `ORD-${Date.now()}-${suffix}` });
+        const plan = await giftCardService.planRedemption([giftCard.code], 10);
+        order.giftCards = await giftCardService.redeemGiftCards(plan, order._id, user._id);
+        order.giftCardAmount = 10;
+        await order.save();
+        orders.push(order);
+      }
+
+      await Promise.all(orders.map((order) => giftCardService.restoreForOrder(order)));
+      const updated = await GiftCard.findById(giftCard._id);
+      const balances = updated.transactions
+        .filter((t) => t.type === 'restore')
+        .map((t) => t.balanceAfter)
+        .sort((a, b) => a - b);
+
+      expect(updated.balance).toBe(30);
+      expect(balances).toEqual([20, 30]);
+    });
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Login Security Service Unit Tests
+ */
+
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import loginSecurityService from '../../../src/services/login-security.service.js';
+import * as authService from '../../../src/services/auth.service.js';
+import User from '../../../src/models/User.js';
+import LoginEvent from '../../../src/models/LoginEvent.js';
+import { createTestUser } from '../../helpers/testHelpers.js';
+import { hashPassword } from '../../../src/utils/password.util.js';
+
+const LAPTOP = { userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) Chrome/120.0.0.0', ip: '10.0.0.1' };
+const PHONE = { userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) Safari/604.1', ip: '10.0.0.2' };
+
+describe('LoginSecurityService', () => {
+  const password = 'password123';
+  let user;
+
+  beforeEach(async () => {
+    user = await createTestUser({ password: await hashPassword(password) });
+  });
+
+  describe('getLockoutMinutes', () => {
+    it('should back off exponentially after the threshold up to the cap', () => {
+      expect(loginSecurityService.getLockoutMinutes(4)).toBe(0);
+      expect(loginSecurityService.getLockoutMinutes(5)).toBe(1);
+      expect(loginSecurityService.getLockoutMinutes(6)).toBe(2);
+      expect(loginSecurityService.getLockoutMinutes(8)).toBe(8);
+      expect(loginSecurityService.getLockoutMinutes(20)).toBe(60);
+    });
+  });
+
+  describe('lockout', () => {
+    it('should lock the account after repeated wrong passwords', async () => {
+      for (let i = 0; i < 5; i++) {
+        await expect(authService.login(user.email, 'wrong', LAPTOP)).rejects.toThrow(
+          'Invalid email or password'
+        );
+      }
+
+      // Correct password is refused while locked
+      await expect(authService.login(user.email, password, LAPTOP)).rejects.toThrow(
+        'Too many failed login attempts'
+      );
+
+      const locked = await User.findById(user._id);
+      expect(locked.failedLoginAttempts).toBe(5);
+      expect(locked.lockUntil.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should reset the counter after a successful login', async () => {
+      await expect(authService.login(user.email, 'wrong', LAPTOP)).rejects.toThrow();
+      await authService.login(user.email, password, LAPTOP);
+
+      const updated = await User.findById(user._id);
+      expect(updated.failedLoginAttempts).toBe(0);
+    });
+  });
+
+  describe('login history', () => {
+    it('should record successes and failures with client details', async () => {
+      await expect(authService.login(user.email, 'wrong', LAPTOP)).rejects.toThrow();
+      await authService.login(user.email, password, LAPTOP);
+
+      const { events } = await loginSecurityService.getUserHistory(user._id);
+      expect(events).toHaveLength(2);
+      expect(events.map((event) => event.success).sort()).toEqual([false, true]);
+      expect(events[0].ip).toBe('10.0.0.1');
+      expect(events[0]).not.toHaveProperty('deviceHash');
+    });
+
+    it('should flag a login from a new device but not a browser update', async () => {
+      await authService.login(user.email, password, LAPTOP);
+
+      const updatedBrowser = {
+        ...LAPTOP,
+        userAgent: LAPTOP.userAgent.replace('120.0.0.0', '121.0.6167.85'),
+      };
+      await authService.login(user.email, password, updatedBrowser);
+      await authService.login(user.email, password, PHONE);
+
+      const events = await LoginEvent.find({ user: user._id, success: true }).sort({ _id: 1 });
+      expect(events.map((event) => event.newDevice)).toEqual([false, false, true]);
+    });
+  });
+});
@@ -0,0 +1,213 @@
+/**
+ * Loyalty Service Unit Tests
+ */
+
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import loyaltyService from '../../../src/services/loyalty.service.js';
+import LoyaltyAccount from '../../../src/models/LoyaltyAccount.js';
+import LoyaltyTransaction from '../../../src/models/LoyaltyTransaction.js';
+import FeatureToggle from '../../../src/models/FeatureToggle.js';
+import Order from '../../../src/models/Order.js';
+import { FEATURE_FLAGS } from '../../../src/config/feature-flags.js';
+import { createTestUser, createTestOrder } from '../../helpers/testHelpers.js';
+
+describe('LoyaltyService', () => {
+  let user;
+
+  const enableProgram = (config = {}) =>
+    FeatureToggle.enableFeature(null, FEATURE_FLAGS.LOYALTY_PROGRAM, user._id, config);
+
+  const deliveredOrder = (overrides = {}) =>
+    createTestOrder(user._id, {
+      status: 'delivered',
+      payment: { method: 'stripe', status: 'paid', amount: 109.99, currency: 'usd' },
+      ...overrides,
+    });
+
+  beforeEach(async () => {
+    user = await createTestUser();
+    await enableProgram({
+      earnRate: 1,
+      redemptionRate: 0.01,
+      expiryDays: 365,
+      minRedemptionPoints: 100,
+    });
+  });
+
+  describe('awardPointsForOrder', () => {
+    it('should award points on merchandise spend only once', async () => {
+      const order = await deliveredOrder();
+
+      await loyaltyService.awardPointsForOrder(order);
+      await loyaltyService.awardPointsForOrder(order);
+      const account = await LoyaltyAccount.findOne({ user: user._id });
+
+      expect(order.loyalty.pointsEarned).toBe(99);
+      expect(account.balance).toBe(99);
+      expect(account.lifetimeEarned).toBe(99);
+      expect(await LoyaltyTransaction.countDocuments({ user: user._id, type: 'earn' })).toBe(1);
+    });
+
+    it('should use the earn rate from the toggle config', async () => {
+      await enableProgram({ earnRate: 2 });
+      const order = await deliveredOrder();
+
+      await loyaltyService.awardPointsForOrder(order);
+
+      expect(order.loyalty.pointsEarned).toBe(199);
+    });
+
+    it('should not award points when the program is disabled', async () => {
+      await FeatureToggle.disableFeature(null, FEATURE_FLAGS.LOYALTY_PROGRAM, user._id);
+      const order = await deliveredOrder();
+
+      await loyaltyService.awardPointsForOrder(order);
+
+      expect(order.loyalty.pointsEarned).toBe(0);
+      expect(order.loyalty.earnedAt).toBeUndefined();
+    });
+  });
+
+  describe('redeemForOrder', () => {
+    beforeEach(async () => {
+      await loyaltyService.creditPoints(
+        user._id,
+        1000,
+        { type: 'adjust', description: 'Test credit' },
+        await loyaltyService.getConfig()
+      );
+    });
+
+    it('should deduct points and return the discount', async () => {
+      const order = await createTestOrder(user._id);
+
+      const result = await loyaltyService.redeemForOrder(user._id, 100, 200, order._id);
+      const account = await LoyaltyAccount.findOne({ user: user._id });
+
+      expect(result).toEqual({ pointsRedeemed: 100, discountAmount: 1 });
+      expect(account.balance).toBe(900);
+      expect(account.lifetimeRedeemed).toBe(100);
+    });
+
+    it('should only use the points needed when the discount is capped', async () => {
+      const order = await createTestOrder(user._id);
+
+      const result = await loyaltyService.redeemForOrder(user._id, 1000, 2.5, order._id);
+
+      expect(result).toEqual({ pointsRedeemed: 250, discountAmount: 2.5 });
+    });
+
+    it('should reject redemptions below the minimum', async () => {
+      const order = await createTestOrder(user._id);
+
+      await expect(loyaltyService.redeemForOrder(user._id, 50, 200, order._id)).rejects.toThrow(
+        'A minimum of 100 points is required to redeem'
+      );
+    });
+
+    it('should reject redemptions above the balance', async () => {
+      const order = await createTestOrder(user._id);
+
+      await expect(loyaltyService.redeemForOrder(user._id, 5000, 200, order._id)).rejects.toThrow(
+        'Not enough loyalty points'
+      );
+    });
+  });
+
+  describe('reverseForOrder', () => {
+    it('should restore redeemed points and claw back earned points once', async () => {
+      await loyaltyService.awardPointsForOrder(await deliveredOrder());
+      const order = await deliveredOrder({ orderNumber: `ORD-${Date.now()}-2` });
+      await loyaltyService.awardPointsForOrder(order);
+      order.loyalty.pointsRedeemed = 100;
+      order.loyalty.discountAmount = 1;
+      await loyaltyService.applyBalanceChange(user._id, -100, { type: 'redeem', order: order._id });
+
+      await loyaltyService.reverseForOrder(order, 'Order refunded');
+      await loyaltyService.reverseForOrder(order, 'Order refunded');
+      const account = await LoyaltyAccount.findOne({ user: user._id });
+
+      expect(account.balance).toBe(99);
+      expect(order.loyalty.pointsClawedBack).toBe(99);
+      expect(order.loyalty.redeemedRestoredAt).toBeDefined();
+      expect(await LoyaltyTransaction.countDocuments({ user: user._id, type: 'clawback' })).toBe(1);
+    });
+
+    it('should reverse only once when two reversals race', async () => {
+      const order = await deliveredOrder();
+      await loyaltyService.awardPointsForOrder(order);
+      await loyaltyService.creditPoints(
+        user._id,
+        100,
+        { type: 'adjust', description: 'Test credit' },
+        await loyaltyService.getConfig()
+      );
+      await loyaltyService.applyBalanceChange(user._id, -100, { type: 'redeem', order: order._id });
+      order.loyalty.pointsRedeemed = 100;
+      order.loyalty.discountAmount = 1;
+      await order.save();
+
+      const [first, second] = await Promise.all([Order.findById(order._id), Order.findById(order._id)]);
+      await Promise.all([
+        loyaltyService.reverseForOrder(first, 'Order refunded'),
+        loyaltyService.reverseForOrder(second, 'Order refunded'),
+      ]);
+      const account = await LoyaltyAccount.findOne({ user: user._id });
+      const saved = await Order.findById(order._id);
+
+      expect(account.balance).toBe(100);
+      expect(saved.loyalty.pointsClawedBack).toBe(99);
+      expect(await LoyaltyTransaction.countDocuments({ user: user._id, type: 'restore' })).toBe(1);
+      expect(await LoyaltyTransaction.countDocuments({ user: user._id, type: 'clawback' })).toBe(1);
+    });
+
+    it('should not take more points than the customer has', async () => {
+      const order = await deliveredOrder();
+      await loyaltyService.awardPointsForOrder(order);
+      await loyaltyService.applyBalanceChange(user._id, -90, { type: 'redeem' });
+
+      await loyaltyService.reverseForOrder(order, 'Order refunded');
+      const account = await LoyaltyAccount.findOne({ user: user._id });
+
+      expect(account.balance).toBe(0);
+      expect(order.loyalty.pointsClawedBack).toBe(99);
+    });
+  });
+
+  describe('expirePoints', () => {
+    it('should expire unspent points past their expiry date', async () => {
+      await loyaltyService.awardPointsForOrder(await deliveredOrder());
+      await LoyaltyTransaction.updateMany(
+        { user: user._id, type: 'earn' },
+        { expiresAt: new Date(Date.now() - 1000) }
+      );
+
+      const summary = await loyaltyService.getAccountSummary(user._id);
+
+      expect(summary.balance).toBe(0);
+      expect(await LoyaltyTransaction.countDocuments({ user: user._id, type: 'expire' })).toBe(1);
+    });
+
+    it('should expire points in the checkout session before redeeming', async () => {
+      await loyaltyService.awardPointsForOrder(await deliveredOrder());
+      await LoyaltyTransaction.updateMany(
+        { user: user._id, type: 'earn' },
+        { expiresAt: new Date(Date.now() - 1000) }
+      );
+      const order = await createTestOrder(user._id, { orderNumber: `ORD-${Date.now()}-2` });
+      const session = await mongoose.startSession();
+
+      try {
+        await expect(
+          loyaltyService.redeemForOrder(user._id, 100, 200, order._id, session)
+        ).rejects.toThrow('Not enough loyalty points');
+      } finally {
+        await session.endSession();
+      }
+
+      expect((await LoyaltyAccount.findOne({ user: user._id })).balance).toBe(0);
+      expect(await LoyaltyTransaction.countDocuments({ user: user._id, type: 'expire' })).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,245 @@
+/**
+ * Order Service Unit Tests
+ */
+
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import orderService from '../../../src/services/order.service.js';
+import Order from '../../../src/models/Order.js';
+import Product from '../../../src/models/Product.js';
+import GiftCard from '../../../src/models/GiftCard.js';
+import giftCardService from '../../../src/services/gift-card.service.js';
+import loyaltyService from '../../../src/services/loyalty.service.js';
+import LoyaltyAccount from '../../../src/models/LoyaltyAccount.js';
+import TaxRate from '../../../src/models/TaxRate.js';
+import FeatureToggle from '../../../src/models/FeatureToggle.js';
+import { FEATURE_FLAGS } from '../../../src/config/feature-flags.js';
+import { ORDER_STATUS, PAYMENT_STATUS } from '../../../src/config/constants.js';
+import { generateOrderStatusToken } from '../../../src/utils/jwt.util.js';
+import {
+  createTestUser,
+  createTestAdmin,
+  createTestCategory,
+  createTestProduct,
+  createTestOrder,
+} from '../../helpers/testHelpers.js';
+
+describe('OrderService', () => {
+  describe('lookupOrder', () => {
+    let guestOrder;
+
+    beforeEach(async () => {
+      guestOrder = await createTestOrder(undefined, {
+        orderNumber: 'ORD-GUEST-1',
+        email: 'guest@example.com',
+      });
+    });
+
+    it('should return a status link for a matching guest email', async () => {
+      const link = await orderService.lookupOrder('ORD-GUEST-1', 'Guest@Example.com');
+
+      expect(link.url).toContain('/orders/status?token=');
+      expect(link.expiresAt.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should match the account email for account orders', async () => {
+      const user = await createTestUser({ email: 'member@example.com' });
+      await createTestOrder(user._id, { orderNumber: 'ORD-MEMBER-1' });
+
+      await expect(
+        orderService.lookupOrder('ORD-MEMBER-1', 'member@example.com')
+      ).resolves.toHaveProperty('url');
+    });
+
+    it('should not reveal whether the order number exists', async () => {
+      await expect(
+        orderService.lookupOrder('ORD-GUEST-1', 'someone@example.com')
+      ).rejects.toMatchObject({ statusCode: 404 });
+      await expect(
+        orderService.lookupOrder('ORD-MISSING', 'guest@example.com')
+      ).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    it('should show the order status from the link without addresses', async () => {
+      const link = await orderService.lookupOrder('ORD-GUEST-1', 'guest@example.com');
+      const token = new URL(link.url).searchParams.get('token');
+
+      const status = await orderService.getOrderStatus(token);
+
+      expect(status.orderNumber).toBe(guestOrder.orderNumber);
+      expect(status.items).toHaveLength(1);
+      expect(status).not.toHaveProperty('shippingAddress');
+    });
+  });
+
+  describe('getOrderStatus', () => {
+    it('should reject tokens that are not order status links', async () => {
+      await expect(orderService.getOrderStatus('not-a-token')).rejects.toMatchObject({
+        statusCode: 401,
+      });
+    });
+
+    it('should return 404 once the order is gone', async () => {
+      const order = await createTestOrder(undefined, { email: 'guest@example.com' });
+      const token = generateOrderStatusToken(order._id);
+      await order.deleteOne();
+
+      await expect(orderService.getOrderStatus(token)).rejects.toMatchObject({
+        statusCode: 404,
+      });
+    });
+  });
+
+  describe('cancelOrder', () => {
+    let user;
+    let product;
+    let giftCard;
+    let order;
+
+    // Paid in full by gift card, so the refund never reaches the gateway
+    beforeEach(async () => {
+      const admin = await createTestAdmin();
+      user = await createTestUser();
+      const category = await createTestCategory();
+      product = await createTestProduct(category._id, { stock: 5 });
+      await FeatureToggle.enableFeature(null, FEATURE_FLAGS.GIFT_CARDS, admin._id);
+      giftCard = await giftCardService.issueGiftCard({ initialBalance: 100 }, admin._id);
+
+      order = await createTestOrder(user._id, {
+        status: ORDER_STATUS.PROCESSING,
+        items: [
+          { product: product._id, name: 'Mug', price: 10, quantity: 2, subtotal: 20 },
+        ],
+        payment: { method: 'gift_card', status: PAYMENT_STATUS.PAID, amount: 0 },
+        subtotal: 20,
+        shippingCost: 10,
+        total: 30,
+      });
+
+      const plan = await giftCardService.planRedemption([giftCard.code], 30);
+      order.giftCards = await giftCardService.redeemGiftCards(plan, order._id, user._id);
+      order.giftCardAmount = 30;
+      await order.save();
+    });
+
+    it('should refund a paid order and put its stock back', async () => {
+      await orderService.cancelOrder(order._id.toString(), user._id, 'Changed my mind');
+      const updated = await Order.findById(order._id);
+
+      expect(updated.status).toBe(ORDER_STATUS.CANCELLED);
+      expect(updated.payment.status).toBe(PAYMENT_STATUS.REFUNDED);
+      expect(updated.refunds).toHaveLength(1);
+      expect((await GiftCard.findById(giftCard._id)).balance).toBe(100);
+      expect((await Product.findById(product._id)).stock).toBe(7);
+    });
+
+    it.each([ORDER_STATUS.PARTIALLY_SHIPPED, ORDER_STATUS.SHIPPED])(
+      'should not let customers cancel a %s order',
+      async (status) => {
+        await Order.updateOne({ _id: order._id }, { status });
+
+        await expect(
+          orderService.cancelOrder(order._id.toString(), user._id)
+        ).rejects.toMatchObject({ statusCode: 400 });
+
+        const updated = await Order.findById(order._id);
+        expect(updated.status).toBe(status);
+        expect(updated.payment.status).toBe(PAYMENT_STATUS.PAID);
+        expect((await GiftCard.findById(giftCard._id)).balance).toBe(70);
+      }
+    );
+
+    it('should keep redeemed loyalty points on an order that has shipped', async () => {
+      await FeatureToggle.enableFeature(null, FEATURE_FLAGS.LOYALTY_PROGRAM, user._id);
+      await loyaltyService.applyBalanceChange(user._id, 100, { type: 'adjust' });
+      await loyaltyService.applyBalanceChange(user._id, -100, { type: 'redeem', order: order._id });
+      await Order.updateOne(
+        { _id: order._id },
+        {
+          status: ORDER_STATUS.SHIPPED,
+          'loyalty.pointsRedeemed': 100,
+          'loyalty.discountAmount': 1,
+        }
+      );
+
+      await expect(
+        orderService.cancelOrder(order._id.toString(), user._id)
+      ).rejects.toMatchObject({ statusCode: 400 });
+
+      const updated = await Order.findById(order._id);
+      expect(updated.loyalty.redeemedRestoredAt).toBeUndefined();
+      expect((await LoyaltyAccount.findOne({ user: user._id })).balance).toBe(0);
+    });
+
+    it('should only release the order once', async () => {
+      await orderService.cancelOrder(order._id.toString(), user._id);
+
+      await expect(
+        orderService.cancelOrder(order._id.toString(), user._id)
+      ).rejects.toMatchObject({ statusCode: 400 });
+      expect((await GiftCard.findById(giftCard._id)).balance).toBe(100);
+      expect((await Product.findById(product._id)).stock).toBe(7);
+    });
+  });
+
+  describe('updateShippingInfo', () => {
+    let order;
+
+    // 10% coupon, 10% tax on goods and shipping, 20 paid by gift card
+    beforeEach(async () => {
+      await TaxRate.create({ name: 'Sales tax', country: 'US', rate: 10, appliesToShipping: true });
+      order = await createTestOrder(undefined, {
+        email: 'guest@example.com',
+        items: [
+          {
+            product: new mongoose.Types.ObjectId(),
+            name: 'Lamp',
+            price: 100,
+            quantity: 1,
+            subtotal: 100,
+            discount: 10,
+            tax: 9,
+          },
+        ],
+        payment: { method: 'stripe', status: PAYMENT_STATUS.PENDING, amount: 90 },
+        subtotal: 100,
+        discount: { amount: 10, couponCode: 'SAVE10' },
+        giftCardAmount: 20,
+        shippingCost: 10,
+        shippingTax: 1,
+        tax: 10,
+        total: 110,
+        priceBreakdown: [
+          { type: 'subtotal', label: 'Subtotal', amount: 100 },
+          { type: 'coupon', label: 'Coupon SAVE10', amount: -10 },
+          { type: 'shipping', label: 'Standard', amount: 10 },
+          { type: 'tax', label: 'Tax', amount: 10 },
+          { type: 'gift_card', label: 'Gift card ****1234', amount: -20 },
+        ],
+      });
+    });
+
+    it('should keep discounts and gift cards when the shipping cost changes', async () => {
+      await orderService.updateShippingInfo(order._id.toString(), { cost: 20 });
+      const updated = await Order.findById(order._id);
+
+      expect(updated.shippingCost).toBe(20);
+      expect(updated.shippingTax).toBe(2);
+      expect(updated.tax).toBe(11);
+      // 100 - 10 + 20 + 11
+      expect(updated.total).toBe(121);
+      expect(updated.payment.amount).toBe(101);
+      expect(updated.amountDue).toBe(updated.payment.amount);
+      expect(updated.priceBreakdown.reduce((sum, line) => sum + line.amount, 0)).toBe(101);
+    });
+
+    it('should not change the shipping cost once payment has started', async () => {
+      await Order.updateOne({ _id: order._id }, { 'payment.paymentIntentId': 'pi_123' });
+
+      await expect(
+        orderService.updateShippingInfo(order._id.toString(), { cost: 20 })
+      ).rejects.toMatchObject({ statusCode: 400 });
+      expect((await Order.findById(order._id)).total).toBe(110);
+    });
+  });
+});
@@ -3,10 +3,15 @@
  */
 
 import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import mongoose from 'mongoose';
 import paymentService from '../../../src/services/payment/payment.service.js';
 import { mockStripe } from '../../mocks/stripe.mock.js';
 import Order from '../../../src/models/Order.js';
-import { createTestOrder } from '../../helpers/testHelpers.js';
+import GiftCard from '../../../src/models/GiftCard.js';
+import giftCardService from '../../../src/services/gift-card.service.js';
+import FeatureToggle from '../../../src/models/FeatureToggle.js';
+import { FEATURE_FLAGS } from '../../../src/config/feature-flags.js';
+import { createTestOrder, createTestUser, createTestAdmin } from '../../helpers/testHelpers.js';
 import { PAYMENT_STATUS, ORDER_STATUS } from '../../../src/config/constants.js';
 
 // Mock Stripe
@@ -168,13 +173,124 @@ describe('PaymentService', () => {
       ).rejects.toThrow('Invalid signature');
     });
   });
-});
 
+  describe('refundPayment', () => {
+    let order;
+    let giftCard;
+    let mug;
+
+    // Paid in full by gift card, so refunds never reach the gateway
+    beforeEach(async () => {
+      const admin = await createTestAdmin();
+      const user = await createTestUser();
+      await FeatureToggle.enableFeature(null, FEATURE_FLAGS.GIFT_CARDS, admin._id);
+      giftCard = await giftCardService.issueGiftCard({ initialBalance: 100 }, admin._id);
+
+      order = await createTestOrder(user._id, {
+        status: ORDER_STATUS.DELIVERED,
+        items: [
+          {
+            product: new mongoose.Types.ObjectId(),
+            name: 'Mug',
+            price: 10,
+            quantity: 3,
+            subtotal: 30,
+            discount: 3,
+            tax: 2.7,
+          },
+        ],
+        payment: { method: 'gift_card', status: PAYMENT_STATUS.PAID, amount: 0 },
+        subtotal: 30,
+        discount: { amount: 3 },
+        tax: 3.5,
+        shippingTax: 0.8,
+        shippingCost: 10,
+        total: 40.5,
+      });
+      mug = order.items[0]._id.toString();
 
+      const plan = await giftCardService.planRedemption([giftCard.code], 40.5);
+      order.giftCards = await giftCardService.redeemGiftCards(plan, order._id, user._id);
+      order.giftCardAmount = 40.5;
+      await order.save();
+    });
 
+    it('should refund items with their share of discount and tax', async () => {
+      const result = await paymentService.refundPayment(order._id.toString(), {
+        items: [{ item: mug, quantity: 1 }],
+      });
+      const updated = await Order.findById(order._id);
+
+      // (30 - 3 + 2.7) / 3
+      expect(result.amount).toBe(9.9);
+      expect(updated.payment.status).toBe(PAYMENT_STATUS.PARTIALLY_REFUNDED);
+      expect(updated.refundedAmount).toBe(9.9);
+      expect(updated.netPaid).toBe(30.6);
+      expect(updated.refunds[0].items[0].quantity).toBe(1);
+      expect(updated.refunds[0].giftCardAmount).toBe(9.9);
+      expect((await GiftCard.findById(giftCard._id)).balance).toBe(69.4);
+    });
 
+    it('should refund shipping only once', async () => {
+      const result = await paymentService.refundPayment(order._id.toString(), {
+        includeShipping: true,
+      });
 
+      expect(result.amount).toBe(10.8);
+      await expect(
+        paymentService.refundPayment(order._id.toString(), { includeShipping: true })
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
 
+    it('should allow several partial refunds and not refund an item twice', async () => {
+      await paymentService.refundPayment(order._id.toString(), {
+        items: [{ item: mug, quantity: 2 }],
+      });
+      await paymentService.refundPayment(order._id.toString(), {
+        items: [{ item: mug, quantity: 1 }],
+      });
 
+      await expect(
+        paymentService.refundPayment(order._id.toString(), {
+          items: [{ item: mug, quantity: 1 }],
+        })
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should refund everything left when nothing is specified', async () => {
+      await paymentService.refundPayment(order._id.toString(), {
+        items: [{ item: mug, quantity: 1 }],
+      });
+      const result = await paymentService.refundPayment(order._id.toString());
+      const updated = await Order.findById(order._id);
 
+      expect(result.amount).toBe(30.6);
+      expect(updated.payment.status).toBe(PAYMENT_STATUS.REFUNDED);
+      expect(updated.netPaid).toBe(0);
+      expect((await GiftCard.findById(giftCard._id)).balance).toBe(100);
+    });
 
+    it('should not refund more than was paid', async () => {
+      await expect(
+        paymentService.refundPayment(order._id.toString(), { amount: 50 })
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should let only one of two concurrent refunds through', async () => {
+      const refundAll = () =>
+        paymentService.refundPayment(order._id.toString(), {
+          items: [{ item: mug, quantity: 3 }],
+        });
+
+      const results = await Promise.allSettled([refundAll(), refundAll()]);
+      const updated = await Order.findById(order._id);
+
+      expect(results.filter((result) => result.status === 'fulfilled')).toHaveLength(1);
+      expect(updated.refunds).toHaveLength(1);
+      // 30 - 3 + 2.7
+      expect(updated.refundedAmount).toBe(29.7);
+      expect(updated.payment.status).toBe(PAYMENT_STATUS.PARTIALLY_REFUNDED);
+      expect((await GiftCard.findById(giftCard._id)).balance).toBe(89.2);
+    });
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Pricing Service Unit Tests
+ */
+
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import pricingService from '../../../src/services/pricing.service.js';
+import loyaltyService from '../../../src/services/loyalty.service.js';
+import TaxRate from '../../../src/models/TaxRate.js';
+import ShippingZone from '../../../src/models/ShippingZone.js';
+import FeatureToggle from '../../../src/models/FeatureToggle.js';
+import { FEATURE_FLAGS } from '../../../src/config/feature-flags.js';
+import {
+  createTestUser,
+  createTestCategory,
+  createTestProduct,
+  createTestCart,
+} from '../../helpers/testHelpers.js';
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+describe('PricingService', () => {
+  let user;
+  let product;
+
+  beforeEach(async () => {
+    user = await createTestUser();
+    const category = await createTestCategory();
+    product = await createTestProduct(category._id, { price: 50 });
+    await createTestCart(user._id, [{ product: product._id, quantity: 2, price: product.price }]);
+    await TaxRate.create({ name: 'US Sales Tax', country: 'US', rate: 8 });
+    await ShippingZone.create({
+      name: 'United States',
+      countries: ['US'],
+      methods: [
+        { code: 'standard', name: 'Standard shipping', cost: 10 },
+        { code: 'express', name: 'Express shipping', cost: 25 },
+      ],
+    });
+  });
+
+  describe('priceCart', () => {
+    it('should compute shipping, tax and total from the cart', async () => {
+      const pricing = await pricingService.priceCart(user._id, {
+        shippingAddress: { country: 'US', state: 'CA', zipCode: '94105' },
+      });
+      expect(pricing.subtotal).toBe(100);
+      expect(pricing.shippingRates.map((rate) => rate.method)).toEqual(['standard', 'express']);
+      expect(pricing.shipping).toMatchObject({
+        rateId: pricing.shippingRates[0].id,
+        method: 'standard',
+        cost: 10,
+      });
+      expect(pricing.tax).toBe(8);
+      expect(pricing.items[0]).toMatchObject({ taxRate: 8, tax: 8, discount: 0 });
+      expect(pricing.total).toBe(roundMoney(100 + 10 + 8));
+      expect(pricing.amountDue).toBe(pricing.total);
+      expect(pricing.breakdown.map((line) => line.type)).toEqual(['subtotal', 'shipping', 'tax']);
+    });
+
+    it('should tax the merchandise left after a points discount', async () => {
+      await FeatureToggle.enableFeature(null, FEATURE_FLAGS.LOYALTY_PROGRAM, user._id, {
+        redemptionRate: 0.01,
+        minRedemptionPoints: 100,
+      });
+      await loyaltyService.creditPoints(
+        user._id,
+        1000,
+        { type: 'adjust', description: 'Test credit' },
+        await loyaltyService.getConfig()
+      );
+
+      const pricing = await pricingService.priceCart(user._id, { loyaltyPoints: 1000 });
+
+      expect(pricing.loyalty).toEqual({ pointsRedeemed: 1000, discountAmount: 10 });
+      expect(pricing.tax).toBe(7.2);
+      expect(pricing.items[0].discount).toBe(10);
+      expect(pricing.breakdown.find((line) => line.type === 'loyalty').amount).toBe(-10);
+    });
+
+    it('should not tax exempt products', async () => {
+      await product.updateOne({ taxClass: 'exempt' });
+
+      const pricing = await pricingService.priceCart(user._id);
+
+      expect(pricing.tax).toBe(0);
+      expect(pricing.items[0].taxClass).toBe('exempt');
+    });
+
+    it('should report an unusable coupon without failing', async () => {
+      const pricing = await pricingService.priceCart(user._id, { couponCode: 'NOPE' });
+
+      expect(pricing.discount).toBeNull();
+      expect(pricing.couponError).toBeTruthy();
+    });
+
+    it('should charge the chosen shipping rate', async () => {
+      const { shippingRates } = await pricingService.priceCart(user._id);
+      const express = shippingRates.find((rate) => rate.method === 'express');
+
+      const pricing = await pricingService.priceCart(user._id, { shippingRateId: express.id });
+
+      expect(pricing.shipping).toMatchObject({ method: 'express', cost: 25 });
+      expect(pricing.shippingError).toBeNull();
+    });
+
+    it('should fall back and report a shipping rate that is not offered', async () => {
+      const pricing = await pricingService.priceCart(user._id, { shippingRateId: 'made-up' });
+
+      expect(pricing.shipping.method).toBe('standard');
+      expect(pricing.shippingError).toBeTruthy();
+    });
+
+    it('should report addresses outside every shipping zone', async () => {
+      const pricing = await pricingService.priceCart(user._id, {
+        shippingAddress: { country: 'FR', state: '', zipCode: '75001' },
+      });
+
+      expect(pricing.shippingRates).toEqual([]);
+      expect(pricing.shipping).toBeNull();
+      expect(pricing.shippingError).toBeTruthy();
+    });
+
+    it('should reject an empty cart', async () => {
+      await expect(
+        pricingService.priceCart({ sessionId: 'guest-without-cart' })
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should not let guests redeem loyalty points', async () => {
+      await expect(
+        pricingService.priceCart({ sessionId: 'guest-session-1' }, { loyaltyPoints: 100 })
+      ).rejects.toThrow('Sign in to redeem loyalty points');
+    });
+  });
+
+  describe('getQuote', () => {
+    it('should not expose gift card documents', async () => {
+      const quote = await pricingService.getQuote(user._id);
+
+      expect(quote).not.toHaveProperty('giftCardPlan');
+      expect(quote.giftCards).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,261 @@
+/**
+ * Return Service Unit Tests
+ */
+
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import returnService from '../../../src/services/return.service.js';
+import inventoryService from '../../../src/services/inventory.service.js';
+import Product from '../../../src/models/Product.js';
+import Order from '../../../src/models/Order.js';
+import {
+  createTestUser,
+  createTestCategory,
+  createTestProduct,
+  createTestOrder,
+} from '../../helpers/testHelpers.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('ReturnService', () => {
+  let user;
+  let product;
+  let order;
+  let mug;
+  let poster;
+
+  const createDeliveredOrder = (deliveredAt) =>
+    createTestOrder(user._id, {
+      status: 'delivered',
+      deliveredAt,
+      items: [
+        {
+          product: product._id,
+          name: 'Mug',
+          price: 10,
+          quantity: 2,
+          subtotal: 20,
+          discount: 2,
+          tax: 1.8,
+        },
+        {
+          product: new mongoose.Types.ObjectId(),
+          name: 'Poster',
+          price: 15,
+          quantity: 1,
+          subtotal: 15,
+        },
+      ],
+      subtotal: 35,
+      discount: 2,
+      tax: 1.8,
+      total: 44.8,
+    });
+
+  beforeEach(async () => {
+    user = await createTestUser();
+    const category = await createTestCategory();
+    product = await createTestProduct(category._id, { stock: 5 });
+    order = await createDeliveredOrder(new Date());
+    [mug, poster] = order.items.map((item) => item._id.toString());
+  });
+
+  const requestReturn = (items) =>
+    returnService.createReturn(user._id, { orderId: order._id.toString(), items });
+
+  describe('getReturnableItems', () => {
+    it('should list delivered items within the window', async () => {
+      const result = await returnService.getReturnableItems(order._id.toString(), user._id);
+
+      expect(result.items).toHaveLength(2);
+      expect(result.deadline).toBeInstanceOf(Date);
+    });
+
+    it('should leave out quantities already being returned', async () => {
+      await requestReturn([{ item: mug, quantity: 1, reason: 'damaged' }]);
+
+      const result = await returnService.getReturnableItems(order._id.toString(), user._id);
+      const line = result.items.find((item) => item.item.toString() === mug);
+
+      expect(line.quantity).toBe(1);
+    });
+
+    it('should list nothing once the window has closed', async () => {
+      order = await createDeliveredOrder(new Date(Date.now() - 60 * DAY));
+
+      const result = await returnService.getReturnableItems(order._id.toString(), user._id);
+
+      expect(result.items).toHaveLength(0);
+    });
+  });
+
+  describe('createReturn', () => {
+    it('should snapshot the order lines', async () => {
+      const ret = await requestReturn([{ item: poster, quantity: 1, reason: 'wrong_item' }]);
+
+      expect(ret.status).toBe('requested');
+      expect(ret.returnNumber).toMatch(/^RMA-/);
+      expect(ret.items[0].name).toBe('Poster');
+    });
+
+    it('should not return more than was delivered', async () => {
+      await expect(
+        requestReturn([{ item: mug, quantity: 3, reason: 'damaged' }])
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should not return items from an order that has not been delivered', async () => {
+      order = await createTestOrder(user._id, { status: 'processing' });
+
+      await expect(
+        requestReturn([{ item: order.items[0]._id.toString(), quantity: 1, reason: 'other' }])
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it("should not return items from someone else's order", async () => {
+      const other = await createTestUser({ email: 'other@example.com' });
+
+      await expect(
+        returnService.createReturn(other._id, {
+          orderId: order._id.toString(),
+          items: [{ item: mug, quantity: 1, reason: 'damaged' }],
+        })
+      ).rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('should make items returnable again after a rejection', async () => {
+      const ret = await requestReturn([{ item: mug, quantity: 2, reason: 'damaged' }]);
+      await returnService.rejectReturn(ret._id, { reason: 'No damage visible in photos' });
+
+      await expect(
+        requestReturn([{ item: mug, quantity: 2, reason: 'defective' }])
+      ).resolves.toBeDefined();
+    });
+  });
+
+  describe('status changes', () => {
+    it('should not receive a return before it is approved', async () => {
+      const ret = await requestReturn([{ item: mug, quantity: 1, reason: 'damaged' }]);
+
+      await expect(returnService.receiveReturn(ret._id)).rejects.toMatchObject({
+        statusCode: 400,
+      });
+    });
+
+    it('should not reject a return once its items are received', async () => {
+      const ret = await requestReturn([{ item: mug, quantity: 1, reason: 'damaged' }]);
+      await returnService.approveReturn(ret._id);
+      await returnService.receiveReturn(ret._id);
+
+      await expect(
+        returnService.rejectReturn(ret._id, { reason: 'Changed our mind' })
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should restock received items by default', async () => {
+      const ret = await requestReturn([{ item: mug, quantity: 2, reason: 'no_longer_needed' }]);
+      await returnService.approveReturn(ret._id);
+
+      const received = await returnService.receiveReturn(ret._id);
+      const updated = await Product.findById(product._id);
+
+      expect(received.status).toBe('received');
+      expect(received.items[0].disposition).toBe('restock');
+      expect(updated.stock).toBe(7);
+    });
+
+    it('should leave written-off items out of stock', async () => {
+      const ret = await requestReturn([{ item: mug, quantity: 2, reason: 'damaged' }]);
+      await returnService.approveReturn(ret._id);
+
+      await returnService.receiveReturn(ret._id, {
+        items: [{ item: mug, disposition: 'write_off' }],
+      });
+      const updated = await Product.findById(product._id);
+
+      expect(updated.stock).toBe(5);
+    });
+
+    it('should write off items whose product no longer exists', async () => {
+      const ret = await requestReturn([{ item: poster, quantity: 1, reason: 'damaged' }]);
+      await returnService.approveReturn(ret._id);
+
+      const received = await returnService.receiveReturn(ret._id);
+
+      expect(received.items[0].disposition).toBe('write_off');
+    });
+
+    it('should not restock lines again when a failed receipt is retried', async () => {
+      const posterProduct = await createTestProduct(product.category, {
+        slug: `poster-${Date.now()}`,
+        stock: 5,
+      });
+      await Order.updateOne(
+        { _id: order._id, 'items._id': poster },
+        { 'items.$.product': posterProduct._id }
+      );
+      const ret = await requestReturn([
+        { item: mug, quantity: 2, reason: 'no_longer_needed' },
+        { item: poster, quantity: 1, reason: 'no_longer_needed' },
+      ]);
+      await returnService.approveReturn(ret._id);
+
+      const restoreStock = inventoryService.restoreStock.bind(inventoryService);
+      const spy = jest
+        .spyOn(inventoryService, 'restoreStock')
+        .mockImplementationOnce(restoreStock)
+        .mockRejectedValueOnce(new Error('Write conflict'));
+      await expect(returnService.receiveReturn(ret._id)).rejects.toThrow('Write conflict');
+      spy.mockRestore();
+
+      const received = await returnService.receiveReturn(ret._id);
+
+      expect(received.status).toBe('received');
+      expect((await Product.findById(product._id)).stock).toBe(7);
+      expect((await Product.findById(posterProduct._id)).stock).toBe(6);
+    });
+
+    it('should restock only once when received twice at the same time', async () => {
+      const ret = await requestReturn([{ item: mug, quantity: 2, reason: 'no_longer_needed' }]);
+      await returnService.approveReturn(ret._id);
+
+      const results = await Promise.allSettled([
+        returnService.receiveReturn(ret._id),
+        returnService.receiveReturn(ret._id),
+      ]);
+
+      expect(results.filter((result) => result.status === 'fulfilled')).toHaveLength(1);
+      expect((await Product.findById(product._id)).stock).toBe(7);
+    });
+
+    it('should refund only once when refunded twice at the same time', async () => {
+      // Paid by gift card, so the refund never reaches the gateway
+      await Order.updateOne(
+        { _id: order._id },
+        { 'payment.method': 'gift_card', 'payment.status': 'paid' }
+      );
+      const ret = await requestReturn([{ item: mug, quantity: 1, reason: 'damaged' }]);
+      await returnService.approveReturn(ret._id);
+      await returnService.receiveReturn(ret._id);
+
+      const results = await Promise.allSettled([
+        returnService.refundReturn(ret._id),
+        returnService.refundReturn(ret._id),
+      ]);
+      const updated = await Order.findById(order._id);
+
+      expect(results.filter((result) => result.status === 'fulfilled')).toHaveLength(1);
+      expect(updated.refunds).toHaveLength(1);
+      expect(updated.refundedAmount).toBe(9.9);
+    });
+  });
+
+  describe('calculateRefundAmount', () => {
+    it('should refund the discounted, taxed price of the returned quantity', async () => {
+      const ret = await requestReturn([{ item: mug, quantity: 1, reason: 'damaged' }]);
+
+      // (20 - 2 + 1.8) / 2
+      expect(returnService.calculateRefundAmount(order, ret)).toBe(9.9);
+    });
+  });
+});
@@ -0,0 +1,268 @@
+/**
+ * Review Service Unit Tests
+ */
+
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import reviewService from '../../../src/services/review.service.js';
+import Review from '../../../src/models/Review.js';
+import Product from '../../../src/models/Product.js';
+import {
+  createTestUser,
+  createTestCategory,
+  createTestProduct,
+  createTestOrder,
+} from '../../helpers/testHelpers.js';
+
+describe('ReviewService', () => {
+  let user;
+  let product;
+
+  beforeEach(async () => {
+    user = await createTestUser();
+    const category = await createTestCategory();
+    product = await createTestProduct(category._id);
+  });
+
+  describe('createReview', () => {
+    it('should create a review without verified purchase', async () => {
+      const review = await reviewService.createReview(product._id, user._id, {
+        rating: 4,
+        title: 'Nice',
+        comment: 'Works as expected',
+      });
+
+      expect(review.rating).toBe(4);
+      expect(review.verifiedPurchase).toBe(false);
+      expect(review.status).toBe('pending');
+    });
+
+    it('should mark verified purchase when user has a delivered order', async () => {
+      const order = await createTestOrder(user._id, {
+        status: 'delivered',
+        items: [
+          {
+            product: product._id,
+            name: product.name,
+            price: product.price,
+            quantity: 1,
+            subtotal: product.price,
+          },
+        ],
+      });
+
+      const review = await reviewService.createReview(product._id, user._id, { rating: 5 });
+
+      expect(review.verifiedPurchase).toBe(true);
+      expect(review.order.toString()).toBe(order._id.toString());
+    });
+
+    it('should not mark verified purchase for undelivered orders', async () => {
+      await createTestOrder(user._id, {
+        status: 'shipped',
+        items: [
+          {
+            product: product._id,
+            name: product.name,
+            price: product.price,
+            quantity: 1,
+            subtotal: product.price,
+          },
+        ],
+      });
+
+      const review = await reviewService.createReview(product._id, user._id, { rating: 3 });
+
+      expect(review.verifiedPurchase).toBe(false);
+    });
+
+    it('should reject a second review from the same user', async () => {
+      await reviewService.createReview(product._id, user._id, { rating: 5 });
+
+      await expect(
+        reviewService.createReview(product._id, user._id, { rating: 1 })
+      ).rejects.toThrow('You have already reviewed this product');
+    });
+  });
+
+  describe('getProductReviews', () => {
+    it('should sort reviews by rating', async () => {
+      const otherUser = await createTestUser({ email: `other${Date.now()}@example.com` });
+      await Review.create({ product: product._id, user: user._id, rating: 2, status: 'approved' });
+      await Review.create({ product: product._id, user: otherUser._id, rating: 5, status: 'approved' });
+
+      const result = await reviewService.getProductReviews(product._id, { sort: 'rating' });
+
+      expect(result.reviews).toHaveLength(2);
+      expect(result.reviews[0].rating).toBe(5);
+      expect(result.pagination.total).toBe(2);
+    });
+
+    it('should only list approved reviews', async () => {
+      await reviewService.createReview(product._id, user._id, { rating: 4 });
+
+      const result = await reviewService.getProductReviews(product._id);
+
+      expect(result.reviews).toHaveLength(0);
+    });
+  });
+
+  describe('updateReview', () => {
+    it('should not allow editing another user\'s review', async () => {
+      const otherUser = await createTestUser({ email: `other${Date.now()}@example.com` });
+      const review = await reviewService.createReview(product._id, user._id, { rating: 4 });
+
+      await expect(
+        reviewService.updateReview(product._id, review._id, otherUser._id, { rating: 1 })
+      ).rejects.toThrow('Unauthorized to edit this review');
+    });
+  });
+
+  describe('deleteReview', () => {
+    it('should allow admin to delete any review', async () => {
+      const admin = await createTestUser({ role: 'admin', email: `admin${Date.now()}@example.com` });
+      const review = await reviewService.createReview(product._id, user._id, { rating: 4 });
+
+      await reviewService.deleteReview(product._id, review._id, admin._id, true);
+
+      expect(await Review.findById(review._id)).toBeNull();
+    });
+  });
+
+  describe('rating aggregation', () => {
+    it('should recompute product ratings when a review is approved and rejected', async () => {
+      const review = await reviewService.createReview(product._id, user._id, { rating: 4 });
+
+      review.status = 'approved';
+      await review.save();
+
+      let updated = await Product.findById(product._id).lean();
+      expect(updated.ratings.average).toBe(4);
+      expect(updated.ratings.count).toBe(1);
+      expect(updated.ratings.breakdown['4']).toBe(1);
+
+      review.status = 'rejected';
+      await review.save();
+
+      updated = await Product.findById(product._id).lean();
+      expect(updated.ratings.average).toBe(0);
+      expect(updated.ratings.count).toBe(0);
+    });
+
+    it('should rebuild ratings for all products', async () => {
+      await Review.create({ product: product._id, user: user._id, rating: 5, status: 'approved' });
+      await Product.updateOne({ _id: product._id }, { 'ratings.average': 0, 'ratings.count': 0 });
+
+      const result = await Review.rebuildAllProductRatings();
+      const updated = await Product.findById(product._id).lean();
+
+      expect(result.productsWithReviews).toBe(1);
+      expect(updated.ratings.average).toBe(5);
+      expect(updated.ratings.count).toBe(1);
+    });
+  });
+
+  describe('moderation', () => {
+    it('should record the moderator when approving a review', async () => {
+      const admin = await createTestUser({ role: 'admin', email: `admin${Date.now()}@example.com` });
+      const review = await reviewService.createReview(product._id, user._id, { rating: 5 });
+
+      const moderated = await reviewService.moderateReview(review._id, 'approved', admin._id, 'Looks good');
+
+      expect(moderated.status).toBe('approved');
+      expect(moderated.moderatedBy._id.toString()).toBe(admin._id.toString());
+      expect(moderated.moderatedAt).toBeInstanceOf(Date);
+      expect(moderated.moderationNotes).toBe('Looks good');
+    });
+
+    it('should bulk moderate reviews and refresh product ratings', async () => {
+      const admin = await createTestUser({ role: 'admin', email: `admin${Date.now()}@example.com` });
+      const otherUser = await createTestUser({ email: `other${Date.now()}@example.com` });
+      const first = await reviewService.createReview(product._id, user._id, { rating: 5 });
+      const second = await reviewService.createReview(product._id, otherUser._id, { rating: 3 });
+
+      const result = await reviewService.bulkModerateReviews(
+        [first._id.toString(), second._id.toString()],
+        'approved',
+        admin._id
+      );
+      const updated = await Product.findById(product._id).lean();
+
+      expect(result.modified).toBe(2);
+      expect(updated.ratings.count).toBe(2);
+      expect(updated.ratings.average).toBe(4);
+    });
+  });
+
+  describe('helpful votes', () => {
+    it('should toggle a single helpful vote per user', async () => {
+      const voter = await createTestUser({ email: `voter${Date.now()}@example.com` });
+      const review = await Review.create({ product: product._id, user: user._id, rating: 4, status: 'approved' });
+
+      const first = await reviewService.toggleHelpful(product._id, review._id, voter._id);
+      expect(first).toEqual({ helpfulCount: 1, votedHelpful: true });
+
+      const listed = await reviewService.getProductReviews(product._id, {}, voter._id);
+      expect(listed.reviews[0].votedHelpful).toBe(true);
+
+      const second = await reviewService.toggleHelpful(product._id, review._id, voter._id);
+      expect(second).toEqual({ helpfulCount: 0, votedHelpful: false });
+    });
+
+    it('should count one vote when the same user votes twice at once', async () => {
+      const voter = await createTestUser({ email: `voter${Date.now()}@example.com` });
+      const review = await Review.create({ product: product._id, user: user._id, rating: 4, status: 'approved' });
+
+      const results = await Promise.all([
+        reviewService.toggleHelpful(product._id, review._id, voter._id),
+        reviewService.toggleHelpful(product._id, review._id, voter._id),
+      ]);
+      const updated = await Review.findById(review._id);
+
+      expect(results.every((result) => result.votedHelpful)).toBe(true);
+      expect(updated.helpful.count).toBe(1);
+      expect(updated.helpful.users).toHaveLength(1);
+    });
+
+    it('should not allow voting on your own review', async () => {
+      const review = await Review.create({ product: product._id, user: user._id, rating: 4, status: 'approved' });
+
+      await expect(
+        reviewService.toggleHelpful(product._id, review._id, user._id)
+      ).rejects.toThrow('You cannot vote on your own review');
+    });
+
+    it('should sort reviews by helpful votes', async () => {
+      const otherUser = await createTestUser({ email: `other${Date.now()}@example.com` });
+      const voter = await createTestUser({ email: `voter${Date.now()}@example.com` });
+      await Review.create({ product: product._id, user: user._id, rating: 5, status: 'approved' });
+      const helpfulReview = await Review.create({
+        product: product._id,
+        user: otherUser._id,
+        rating: 3,
+        status: 'approved',
+      });
+      await reviewService.toggleHelpful(product._id, helpfulReview._id, voter._id);
+
+      const result = await reviewService.getProductReviews(product._id, { sort: 'helpful' });
+
+      expect(result.reviews[0]._id.toString()).toBe(helpfulReview._id.toString());
+    });
+  });
+
+  describe('merchant replies', () => {
+    it('should show the merchant reply on the storefront listing', async () => {
+      const admin = await createTestUser({ role: 'admin', email: `admin${Date.now()}@example.com` });
+      const review = await Review.create({ product: product._id, user: user._id, rating: 2, status: 'approved' });
+
+      await reviewService.replyToReview(review._id, 'Sorry to hear that, we have reached out.', admin._id);
+      const result = await reviewService.getProductReviews(product._id);
+
+      expect(result.reviews[0].merchantReply.comment).toBe('Sorry to hear that, we have reached out.');
+      expect(result.reviews[0].merchantReply.repliedBy).toBeUndefined();
+
+      await reviewService.deleteReviewReply(review._id);
+      const cleared = await Review.findById(review._id).lean();
+      expect(cleared.merchantReply).toBeUndefined();
+    });
+  });
+});
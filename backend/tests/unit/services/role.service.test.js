@@ -0,0 +1,138 @@
+/**
+ * Role Service Unit Tests
+ */
+
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import roleService from '../../../src/services/role.service.js';
+import Role from '../../../src/models/Role.js';
+import User from '../../../src/models/User.js';
+import { PERMISSIONS, DEFAULT_STAFF_ROLES } from '../../../src/config/permissions.js';
+import { USER_ROLES } from '../../../src/config/constants.js';
+import { createTestUser, createTestAdmin } from '../../helpers/testHelpers.js';
+
+describe('RoleService', () => {
+  let admin;
+  let customer;
+
+  beforeEach(async () => {
+    admin = await createTestAdmin({ email: 'owner@example.com' });
+    customer = await createTestUser({ email: 'warehouse@example.com' });
+  });
+
+  const getRoleByKey = async (key) => {
+    await roleService.ensureDefaultRoles();
+    return Role.findOne({ key });
+  };
+
+  describe('listRoles', () => {
+    it('should create the built-in roles once and keep admin edits', async () => {
+      const first = await roleService.listRoles();
+      expect(first.map((role) => role.key).sort()).toEqual(
+        DEFAULT_STAFF_ROLES.map((role) => role.key).sort()
+      );
+
+      const support = first.find((role) => role.key === 'support');
+      await roleService.updateRole(support._id, { permissions: [PERMISSIONS.ORDERS_READ] });
+
+      const second = await roleService.listRoles();
+      expect(second).toHaveLength(DEFAULT_STAFF_ROLES.length);
+      expect(second.find((role) => role.key === 'support').permissions).toEqual([
+        PERMISSIONS.ORDERS_READ,
+      ]);
+    });
+
+    it('should leave gift card issuance out of every built-in role', async () => {
+      const roles = await roleService.listRoles();
+
+      roles.forEach((role) => {
+        expect(role.permissions).not.toContain(PERMISSIONS.GIFT_CARDS_MANAGE);
+      });
+    });
+  });
+
+  describe('createRole / deleteRole', () => {
+    it('should derive the key from the name and reject duplicates', async () => {
+      const role = await roleService.createRole({
+        name: 'Returns Desk',
+        permissions: [PERMISSIONS.ORDERS_READ],
+      });
+
+      expect(role.key).toBe('returns_desk');
+      await expect(roleService.createRole({ name: 'returns desk' })).rejects.toMatchObject({
+        statusCode: 409,
+      });
+    });
+
+    it('should not delete built-in roles or roles still assigned', async () => {
+      const fulfilment = await getRoleByKey('fulfilment');
+      await expect(roleService.deleteRole(fulfilment._id)).rejects.toMatchObject({
+        statusCode: 400,
+      });
+
+      const custom = await roleService.createRole({ name: 'Photographer' });
+      await roleService.assignRole(
+        { userId: customer._id },
+        { role: USER_ROLES.STAFF, staffRole: custom._id.toString() },
+        admin._id
+      );
+
+      await expect(roleService.deleteRole(custom._id)).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('assignRole', () => {
+    it('should grant staff access with the role permissions', async () => {
+      const fulfilment = await getRoleByKey('fulfilment');
+
+      const member = await roleService.assignRole(
+        { email: 'WAREHOUSE@example.com' },
+        { role: USER_ROLES.STAFF, staffRole: fulfilment._id.toString() },
+        admin._id
+      );
+
+      expect(member.role).toBe(USER_ROLES.STAFF);
+      expect(member.staffRole.key).toBe('fulfilment');
+
+      const user = await User.findById(customer._id).populate('staffRole');
+      expect(user.hasPermission(PERMISSIONS.ORDERS_FULFIL)).toBe(true);
+      expect(user.hasPermission(PERMISSIONS.COUPONS_MANAGE)).toBe(false);
+    });
+
+    it('should clear the staff role when access is revoked', async () => {
+      const support = await getRoleByKey('support');
+      await roleService.assignRole(
+        { userId: customer._id },
+        { role: USER_ROLES.STAFF, staffRole: support._id.toString() },
+        admin._id
+      );
+
+      await roleService.assignRole({ userId: customer._id }, { role: USER_ROLES.CUSTOMER }, admin._id);
+
+      const user = await User.findById(customer._id);
+      expect(user.role).toBe(USER_ROLES.CUSTOMER);
+      expect(user.staffRole).toBeUndefined();
+      expect(user.getPermissions()).toEqual([]);
+    });
+
+    it('should not let admins change their own role', async () => {
+      await expect(
+        roleService.assignRole({ userId: admin._id }, { role: USER_ROLES.CUSTOMER }, admin._id)
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should keep at least one active admin', async () => {
+      const other = await createTestAdmin({ email: 'second@example.com' });
+
+      await expect(
+        roleService.assignRole({ userId: admin._id }, { role: USER_ROLES.CUSTOMER }, other._id)
+      ).resolves.toMatchObject({ role: USER_ROLES.CUSTOMER });
+
+      await createTestAdmin({ email: 'third@example.com' });
+      await User.updateOne({ email: 'third@example.com' }, { isActive: false });
+
+      await expect(
+        roleService.assignRole({ userId: other._id }, { role: USER_ROLES.CUSTOMER }, admin._id)
+      ).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Session Service Unit Tests
+ */
+
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import sessionService from '../../../src/services/session.service.js';
+import Session from '../../../src/models/Session.js';
+import { createTestUser } from '../../helpers/testHelpers.js';
+
+describe('SessionService', () => {
+  let user;
+
+  beforeEach(async () => {
+    user = await createTestUser();
+  });
+
+  describe('createSession', () => {
+    it('should store device details and only a hash of the refresh token', async () => {
+      const { session, refreshToken } = await sessionService.createSession(user, {
+        userAgent: 'Mozilla/5.0 (iPhone)',
+        ip: '10.0.0.1',
+      });
+
+      const stored = await Session.findById(session._id);
+      expect(stored.userAgent).toBe('Mozilla/5.0 (iPhone)');
+      expect(stored.ip).toBe('10.0.0.1');
+      expect(stored.tokenHash).not.toBe(refreshToken);
+      expect(stored.expiresAt.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should keep existing sessions when signing in on another device', async () => {
+      await sessionService.createSession(user, { userAgent: 'laptop' });
+      await sessionService.createSession(user, { userAgent: 'phone' });
+
+      const sessions = await sessionService.listSessions(user._id);
+      expect(sessions).toHaveLength(2);
+    });
+  });
+
+  describe('rotateSession', () => {
+    it('should issue a new refresh token on every use', async () => {
+      const { refreshToken } = await sessionService.createSession(user);
+
+      const rotated = await sessionService.rotateSession(refreshToken);
+
+      expect(rotated.refreshToken).not.toBe(refreshToken);
+      await expect(sessionService.rotateSession(rotated.refreshToken)).resolves.toHaveProperty(
+        'accessToken'
+      );
+    });
+
+    it('should revoke the session when a rotated token is replayed', async () => {
+      const { session, refreshToken } = await sessionService.createSession(user);
+      const rotated = await sessionService.rotateSession(refreshToken);
+
+      await expect(sessionService.rotateSession(refreshToken)).rejects.toThrow(
+        'Invalid refresh token'
+      );
+
+      const stored = await Session.findById(session._id);
+      expect(stored.revokedReason).toBe('token_reuse');
+
+      // The legitimate holder of the latest token is signed out too
+      await expect(sessionService.rotateSession(rotated.refreshToken)).rejects.toThrow(
+        'Invalid refresh token'
+      );
+    });
+  });
+
+  describe('revokeSession', () => {
+    it('should not revoke another user\'s session', async () => {
+      const otherUser = await createTestUser({ email: `other${Date.now()}@example.com` });
+      const { session } = await sessionService.createSession(otherUser);
+
+      await expect(
+        sessionService.revokeSession(session._id.toString(), 'user_revoked', user._id)
+      ).rejects.toThrow('Session not found');
+    });
+
+    it('should keep the current session when revoking all others', async () => {
+      const { session: current } = await sessionService.createSession(user);
+      await sessionService.createSession(user);
+      await sessionService.createSession(user);
+
+      const revoked = await sessionService.revokeAllSessions(
+        user._id,
+        'user_revoked',
+        current._id
+      );
+
+      expect(revoked).toBe(2);
+      expect(await sessionService.isSessionActive(current._id.toString())).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Shipping Service Unit Tests
+ */
+
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import shippingService from '../../../src/services/shipping.service.js';
+import ShippingZone from '../../../src/models/ShippingZone.js';
+
+describe('ShippingService', () => {
+  // Two 1.5 kg items, 40x30x20 cm each (4.8 kg volumetric at 5000 cm³/kg)
+  const items = [
+    {
+      product: { weight: 1.5, dimensions: { length: 40, width: 30, height: 20 } },
+      quantity: 2,
+    },
+  ];
+  const pkg = shippingService.getPackage(items);
+
+  describe('calculateRate', () => {
+    const tiers = [
+      { upTo: 5, cost: 8 },
+      { upTo: 1, cost: 5 },
+      { upTo: 20, cost: 15 },
+    ];
+
+    it('should charge flat rates as they are', () => {
+      expect(shippingService.calculateRate({ rateType: 'flat', cost: 9.99 }, pkg, 50)).toBe(9.99);
+    });
+
+    it('should pick the first weight tier covering the package', () => {
+      expect(pkg.weight).toBe(3);
+      expect(shippingService.calculateRate({ rateType: 'weight', tiers }, pkg, 50)).toBe(8);
+    });
+
+    it('should charge dimensional rates on volumetric weight when it is greater', () => {
+      const method = { rateType: 'dimensional', tiers, volumetricDivisor: 5000 };
+
+      expect(shippingService.getBillableWeight(pkg, 5000)).toBe(9.6);
+      expect(shippingService.calculateRate(method, pkg, 50)).toBe(15);
+    });
+
+    it('should tier price rates on the merchandise total', () => {
+      const method = {
+        rateType: 'price',
+        tiers: [
+          { upTo: 50, cost: 7 },
+          { upTo: null, cost: 4 },
+        ],
+      };
+
+      expect(shippingService.calculateRate(method, pkg, 49.99)).toBe(7);
+      expect(shippingService.calculateRate(method, pkg, 120)).toBe(4);
+    });
+
+    it('should ship free from the threshold', () => {
+      const method = { rateType: 'flat', cost: 10, freeShippingThreshold: 75 };
+
+      expect(shippingService.calculateRate(method, pkg, 74.99)).toBe(10);
+      expect(shippingService.calculateRate(method, pkg, 75)).toBe(0);
+    });
+
+    it('should not price packages beyond the rate table', () => {
+      const method = { rateType: 'weight', tiers: [{ upTo: 2, cost: 5 }] };
+
+      expect(shippingService.calculateRate(method, pkg, 50)).toBeNull();
+    });
+  });
+
+  describe('getRates', () => {
+    beforeEach(async () => {
+      await ShippingZone.create([
+        {
+          name: 'Rest of world',
+          methods: [{ code: 'international', name: 'International', cost: 40 }],
+        },
+        {
+          name: 'California',
+          countries: ['US'],
+          states: ['CA'],
+          methods: [
+            { code: 'standard', name: 'Standard', cost: 5 },
+            { code: 'freight', name: 'Freight', rateType: 'weight', tiers: [{ upTo: 1, cost: 3 }] },
+            { code: 'courier', name: 'Courier', cost: 20, isActive: false },
+          ],
+        },
+        {
+          name: 'United States',
+          countries: ['US'],
+          sortOrder: 1,
+          methods: [{ code: 'standard', name: 'Standard', cost: 8 }],
+        },
+      ]);
+    });
+
+    it('should use the first matching zone and skip rates it cannot price', async () => {
+      const rates = await shippingService.getRates(items, 50, { country: 'US', state: 'CA' });
+
+      expect(rates).toHaveLength(1);
+      expect(rates[0]).toMatchObject({ zoneName: 'California', method: 'standard', cost: 5 });
+      expect(rates[0].id).toMatch(/^[a-f0-9]{24}:[a-f0-9]{24}$/);
+    });
+
+    it('should fall back to the rest-of-world zone', async () => {
+      const domestic = await shippingService.getRates(items, 50, { country: 'US', state: 'NY' });
+      const abroad = await shippingService.getRates(items, 50, { country: 'JP' });
+
+      expect(domestic[0].zoneName).toBe('United States');
+      expect(abroad[0]).toMatchObject({ zoneName: 'Rest of world', cost: 40 });
+    });
+  });
+
+  describe('ShippingZone', () => {
+    it('should require a rate table for tiered methods', async () => {
+      await expect(
+        ShippingZone.create({
+          name: 'Broken',
+          methods: [{ code: 'heavy', name: 'Heavy goods', rateType: 'weight' }],
+        })
+      ).rejects.toThrow('needs at least one tier');
+    });
+  });
+});
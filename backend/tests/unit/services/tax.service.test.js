@@ -0,0 +1,106 @@
+/**
+ * Tax Service Unit Tests
+ */
+
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import taxService from '../../../src/services/tax.service.js';
+import TaxRate from '../../../src/models/TaxRate.js';
+
+describe('TaxService', () => {
+  const address = { country: 'CA', state: 'QC', zipCode: 'H2X 1Y4' };
+
+  describe('calculateOrderTax', () => {
+    beforeEach(async () => {
+      await TaxRate.create([
+        { name: 'GST', country: 'CA', rate: 5, appliesToShipping: true },
+        { name: 'QST', country: 'CA', state: 'QC', rate: 10, isCompound: true },
+        { name: 'Ontario HST', country: 'CA', state: 'ON', rate: 13 },
+        { name: 'Reduced GST', country: 'CA', taxClass: 'reduced', rate: 2 },
+      ]);
+    });
+
+    it('should stack matching rules and compound on earlier taxes', async () => {
+      const result = await taxService.calculateOrderTax(
+        [{ taxClass: 'standard', amount: 100 }],
+        0,
+        address
+      );
+
+      // 5 GST, then 10% of 105
+      expect(result.lines[0]).toEqual({ rate: 15.5, tax: 15.5 });
+      expect(result.tax).toBe(15.5);
+    });
+
+    it('should use the rules for each tax class', async () => {
+      const result = await taxService.calculateOrderTax(
+        [
+          { taxClass: 'reduced', amount: 50 },
+          { taxClass: 'exempt', amount: 50 },
+        ],
+        0,
+        address
+      );
+
+      expect(result.lines.map((line) => line.tax)).toEqual([1, 0]);
+    });
+
+    it('should only tax shipping under rules that opt in', async () => {
+      const result = await taxService.calculateOrderTax([], 20, address);
+
+      expect(result.shippingTax).toBe(1);
+    });
+
+    it('should match zip prefixes and skip other regions', async () => {
+      await TaxRate.create({ name: 'Montreal levy', country: 'CA', zipPrefix: 'H2', rate: 1 });
+
+      const montreal = await taxService.getRatesForAddress(address);
+      const quebecCity = await taxService.getRatesForAddress({ ...address, zipCode: 'G1R 4P5' });
+
+      expect(montreal.map((rate) => rate.name)).toEqual(
+        expect.arrayContaining(['GST', 'Montreal levy', 'QST'])
+      );
+      expect(quebecCity.map((rate) => rate.name)).not.toContain('Montreal levy');
+      expect(montreal.map((rate) => rate.name)).not.toContain('Ontario HST');
+    });
+  });
+
+  describe('importTaxRates', () => {
+    it('should create new rules and update matching ones', async () => {
+      await TaxRate.create({ name: 'VAT', country: 'GB', rate: 17.5 });
+
+      const result = await taxService.importTaxRates(
+        'country,state,zip_prefix,tax_class,name,rate,compound,shipping\n' +
+          'GB,,,standard,VAT,20,,yes\n' +
+          'GB,,,reduced,"VAT, reduced",5,no,no\n'
+      );
+
+      const vat = await TaxRate.findOne({ name: 'VAT' });
+      expect(result).toEqual({ created: 1, updated: 1, deleted: 0 });
+      expect(vat.rate).toBe(20);
+      expect(vat.appliesToShipping).toBe(true);
+      expect(await TaxRate.countDocuments({ name: 'VAT, reduced' })).toBe(1);
+    });
+
+    it('should import nothing when a row is invalid', async () => {
+      await expect(
+        taxService.importTaxRates('country,name,rate\nGB,VAT,20\nGB,Bad,150\n')
+      ).rejects.toMatchObject({
+        statusCode: 422,
+        validationErrors: [expect.objectContaining({ row: 3 })],
+      });
+
+      expect(await TaxRate.countDocuments()).toBe(0);
+    });
+
+    it('should remove rules missing from the file when replacing', async () => {
+      await TaxRate.create({ name: 'Old rate', country: 'US', rate: 6 });
+
+      const result = await taxService.importTaxRates('country,name,rate\nUS,Sales tax,7\n', {
+        replace: true,
+      });
+
+      expect(result.deleted).toBe(1);
+      expect(await TaxRate.countDocuments()).toBe(1);
+    });
+  });
+});
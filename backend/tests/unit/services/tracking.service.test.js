@@ -0,0 +1,103 @@
+/**
+ * Tracking Service Unit Tests
+ */
+
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import trackingService from '../../../src/services/carrier/tracking.service.js';
+import fulfillmentService from '../../../src/services/fulfillment.service.js';
+import Order from '../../../src/models/Order.js';
+import config from '../../../src/config/index.js';
+import { createTestUser, createTestOrder } from '../../helpers/testHelpers.js';
+
+describe('TrackingService', () => {
+  let order;
+  let fulfillmentId;
+  let trackingNumber;
+
+  beforeEach(async () => {
+    const user = await createTestUser();
+    order = await createTestOrder(user._id, {
+      status: 'processing',
+      processingAt: new Date(),
+    });
+
+    const shipped = await fulfillmentService.createFulfillment(order._id.toString(), {
+      carrier: 'manual',
+    });
+    fulfillmentId = shipped.fulfillments[0]._id.toString();
+    trackingNumber = shipped.fulfillments[0].trackingNumber;
+  });
+
+  describe('labels', () => {
+    it('should store the label tracking number and event on the package', async () => {
+      const stored = await Order.findById(order._id);
+      const [fulfillment] = stored.fulfillments;
+
+      expect(fulfillment.carrier).toBe('manual');
+      expect(fulfillment.trackingNumber).toMatch(/^LOC-/);
+      expect(fulfillment.trackingEvents.map((event) => event.status)).toEqual(['label_created']);
+      expect(stored.status).toBe('shipped');
+    });
+
+    it('should reject unknown carriers when buying a label', async () => {
+      await expect(
+        trackingService.createLabel(order, [{ item: order.items[0]._id, quantity: 1 }], 'pigeon')
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('tracking events', () => {
+    it('should deliver the order when a delivery is polled', async () => {
+      const carrier = trackingService.getCarrier('manual');
+      const hoursFromNow = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000);
+      carrier.queueEvent(trackingNumber, {
+        status: 'delivered',
+        eventId: 'evt-2',
+        occurredAt: hoursFromNow(2),
+      });
+      carrier.queueEvent(trackingNumber, {
+        status: 'in_transit',
+        eventId: 'evt-1',
+        occurredAt: hoursFromNow(1),
+      });
+
+      const updated = await trackingService.pollFulfillment(order._id.toString(), fulfillmentId);
+
+      expect(updated.status).toBe('delivered');
+      expect(updated.deliveredAt).toBeDefined();
+      expect(updated.fulfillments[0].status).toBe('delivered');
+      expect(updated.fulfillments[0].trackingEvents.map((event) => event.status)).toEqual([
+        'label_created',
+        'in_transit',
+        'delivered',
+      ]);
+    });
+
+    it('should skip events it has already stored', async () => {
+      const event = { status: 'in_transit', eventId: 'evt-1' };
+
+      await trackingService.addEvent(order._id.toString(), fulfillmentId, event);
+      await trackingService.addEvent(order._id.toString(), fulfillmentId, event);
+
+      const stored = await Order.findById(order._id);
+      expect(stored.fulfillments[0].trackingEvents).toHaveLength(2);
+      expect(stored.status).toBe('shipped');
+    });
+
+    it('should accept webhooks with the shared secret only', async () => {
+      config.carriers.manual.webhookSecret = 'test-secret';
+      const payload = { trackingNumber, status: 'delivered' };
+
+      await expect(
+        trackingService.handleWebhook('manual', payload, { 'x-webhook-secret': 'wrong' })
+      ).rejects.toMatchObject({ statusCode: 401 });
+
+      const result = await trackingService.handleWebhook('manual', payload, {
+        'x-webhook-secret': 'test-secret',
+      });
+
+      expect(result).toMatchObject({ processed: true, eventsAdded: 1 });
+      expect((await Order.findById(order._id)).status).toBe('delivered');
+    });
+  });
+});
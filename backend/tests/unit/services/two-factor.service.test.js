@@ -0,0 +1,108 @@
+/**
+ * Two-Factor Service Unit Tests
+ */
+
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import twoFactorService from '../../../src/services/two-factor.service.js';
+import * as authService from '../../../src/services/auth.service.js';
+import User from '../../../src/models/User.js';
+import { createTestUser } from '../../helpers/testHelpers.js';
+import { hashPassword } from '../../../src/utils/password.util.js';
+import { generateTotp, getTimeStep } from '../../../src/utils/totp.util.js';
+
+describe('TwoFactorService', () => {
+  const password = 'password123';
+  let user;
+
+  beforeEach(async () => {
+    user = await createTestUser({ password: await hashPassword(password) });
+  });
+
+  const enroll = async () => {
+    const { secret } = await twoFactorService.setup(user._id);
+    // Enroll with the previous step so the current code is still unused for login
+    const { recoveryCodes } = await twoFactorService.enable(
+      user._id,
+      generateTotp(secret, getTimeStep() - 1)
+    );
+    return { secret, recoveryCodes };
+  };
+
+  describe('setup and enable', () => {
+    it('should return a provisioning URI for the authenticator app', async () => {
+      const result = await twoFactorService.setup(user._id);
+
+      expect(result.secret).toMatch(/^[A-Z2-7]+$/);
+      expect(result.otpauthUri).toContain('otpauth://totp/');
+      expect(result.otpauthUri).toContain(`secret=${result.secret}`);
+    });
+
+    it('should reject an invalid confirmation code', async () => {
+      await twoFactorService.setup(user._id);
+
+      await expect(twoFactorService.enable(user._id, '000000')).rejects.toThrow(
+        'Invalid verification code'
+      );
+    });
+
+    it('should enable 2FA and store only hashed recovery codes', async () => {
+      const { recoveryCodes } = await enroll();
+
+      const stored = await User.findById(user._id).select('+twoFactor.recoveryCodes');
+      expect(stored.twoFactor.enabled).toBe(true);
+      expect(recoveryCodes).toHaveLength(10);
+      expect(stored.twoFactor.recoveryCodes).toHaveLength(10);
+      expect(stored.twoFactor.recoveryCodes).not.toContain(recoveryCodes[0]);
+    });
+  });
+
+  describe('two-step login', () => {
+    it('should return a challenge instead of tokens when 2FA is enabled', async () => {
+      await enroll();
+
+      const result = await authService.login(user.email, password);
+
+      expect(result.twoFactorRequired).toBe(true);
+      expect(result).toHaveProperty('challengeToken');
+      expect(result).not.toHaveProperty('accessToken');
+    });
+
+    it('should issue tokens for a valid code and reject its reuse', async () => {
+      const { secret } = await enroll();
+      const code = generateTotp(secret);
+
+      const { challengeToken } = await authService.login(user.email, password);
+      const result = await authService.verifyTwoFactorLogin(challengeToken, { code });
+      expect(result).toHaveProperty('accessToken');
+
+      const second = await authService.login(user.email, password);
+      await expect(
+        authService.verifyTwoFactorLogin(second.challengeToken, { code })
+      ).rejects.toThrow('Invalid verification code');
+    });
+
+    it('should accept each recovery code only once', async () => {
+      const { recoveryCodes } = await enroll();
+
+      const first = await authService.login(user.email, password);
+      await expect(
+        authService.verifyTwoFactorLogin(first.challengeToken, { recoveryCode: recoveryCodes[0] })
+      ).resolves.toHaveProperty('accessToken');
+
+      const second = await authService.login(user.email, password);
+      await expect(
+        authService.verifyTwoFactorLogin(second.challengeToken, { recoveryCode: recoveryCodes[0] })
+      ).rejects.toThrow('Invalid verification code');
+    });
+  });
+
+  describe('disable', () => {
+    it('should require the account password', async () => {
+      const { secret } = await enroll();
+
+      await expect(
+        twoFactorService.disable(user._id, { password: 'wrong', code: generateTotp(secret) })
+      ).rejects.toThrow('Incorrect password');
+    });
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Wishlist Service Unit Tests
+ */
+
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import wishlistService from '../../../src/services/wishlist.service.js';
+import Cart from '../../../src/models/Cart.js';
+import {
+  createTestUser,
+  createTestCategory,
+  createTestProduct,
+} from '../../helpers/testHelpers.js';
+
+describe('WishlistService', () => {
+  let user;
+  let product;
+
+  beforeEach(async () => {
+    user = await createTestUser();
+    const category = await createTestCategory();
+    product = await createTestProduct(category._id);
+  });
+
+  describe('addItem', () => {
+    it('should add a product to the wishlist', async () => {
+      const wishlist = await wishlistService.addItem(user._id, product._id);
+
+      expect(wishlist.items).toHaveLength(1);
+      expect(wishlist.items[0].product._id.toString()).toBe(product._id.toString());
+    });
+
+    it('should not duplicate the same product and variant selection', async () => {
+      const variants = [{ variantName: 'Size', optionValue: 'M' }];
+      await wishlistService.addItem(user._id, product._id, variants);
+      const wishlist = await wishlistService.addItem(user._id, product._id, variants);
+
+      expect(wishlist.items).toHaveLength(1);
+    });
+
+    it('should keep different variant selections as separate items', async () => {
+      await wishlistService.addItem(user._id, product._id, [{ variantName: 'Size', optionValue: 'M' }]);
+      const wishlist = await wishlistService.addItem(user._id, product._id, [
+        { variantName: 'Size', optionValue: 'L' },
+      ]);
+
+      expect(wishlist.items).toHaveLength(2);
+    });
+  });
+
+  describe('moveToCart', () => {
+    it('should add the item to the cart and remove it from the wishlist', async () => {
+      const added = await wishlistService.addItem(user._id, product._id);
+
+      const result = await wishlistService.moveToCart(user._id, added.items[0]._id, 2);
+      const cart = await Cart.findOne({ user: user._id });
+
+      expect(result.wishlist.items).toHaveLength(0);
+      expect(cart.items).toHaveLength(1);
+      expect(cart.items[0].quantity).toBe(2);
+    });
+
+    it('should keep the item when there is not enough stock', async () => {
+      const added = await wishlistService.addItem(user._id, product._id);
+
+      await expect(
+        wishlistService.moveToCart(user._id, added.items[0]._id, 999)
+      ).rejects.toThrow(/Insufficient stock/);
+
+      const wishlist = await wishlistService.getOrCreateWishlist(user._id);
+      expect(wishlist.items).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,458 @@
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { useParams } from 'next/navigation';
+import Container from '@/components/layout/Container';
+import Card from '@/components/ui/Card';
+import Button from '@/components/ui/Button';
+import Input from '@/components/ui/Input';
+import Badge from '@/components/ui/Badge';
+import Alert from '@/components/ui/Alert';
+import Spinner from '@/components/ui/Spinner';
+import {
+  getCustomer,
+  updateCustomerStatus,
+  forceLogoutCustomer,
+  sendCustomerPasswordReset,
+  addCustomerNote,
+  deleteCustomerNote,
+  updateCustomerTags,
+  CustomerDetail,
+} from '@/lib/api/admin.api';
+import { useAuth } from '@/contexts/AuthContext';
+import { formatCurrency, formatOrderStatus } from '@/lib/utils';
+
+type CustomerAction = 'status' | 'logout' | 'reset' | 'note' | 'tags';
+
+export default function AdminCustomerDetailPage() {
+  const params = useParams();
+  const customerId = params.id as string;
+  const { hasPermission } = useAuth();
+  const canManage = hasPermission('customers:manage');
+
+  const [detail, setDetail] = useState<CustomerDetail | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [pendingAction, setPendingAction] = useState<CustomerAction | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [success, setSuccess] = useState<string | null>(null);
+  const [noteBody, setNoteBody] = useState('');
+  const [tagInput, setTagInput] = useState('');
+
+  useEffect(() => {
+    const fetchCustomer = async () => {
+      try {
+        setIsLoading(true);
+        const response = await getCustomer(customerId);
+        if (response.success) {
+          setDetail(response.data);
+          setTagInput(response.data.customer.tags.join(', '));
+        }
+      } catch (err: any) {
+        setError(err.response?.data?.error?.message || 'Failed to load customer');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchCustomer();
+  }, [customerId]);
+
+  const runAction = async (action: CustomerAction, run: () => Promise<string>) => {
+    setError(null);
+    setSuccess(null);
+    setPendingAction(action);
+
+    try {
+      setSuccess(await run());
+    } catch (err: any) {
+      setError(err.response?.data?.error?.message || 'Action failed');
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  const updateCustomer = (changes: Partial<CustomerDetail['customer']>) => {
+    setDetail((prev) => (prev ? { ...prev, customer: { ...prev.customer, ...changes } } : prev));
+  };
+
+  const handleToggleActive = () => {
+    if (!detail) return;
+    const isActive = !detail.customer.isActive;
+
+    if (!isActive && !confirm('Deactivate this account? The customer will be signed out.')) {
+      return;
+    }
+
+    runAction('status', async () => {
+      await updateCustomerStatus(customerId, isActive);
+      updateCustomer({ isActive });
+      if (!isActive) {
+        setDetail((prev) =>
+          prev ? { ...prev, stats: { ...prev.stats, activeSessions: 0 } } : prev
+        );
+      }
+      return isActive ? 'Account reactivated' : 'Account deactivated';
+    });
+  };
+
+  const handleForceLogout = () =>
+    runAction('logout', async () => {
+      const response = await forceLogoutCustomer(customerId);
+      setDetail((prev) =>
+        prev ? { ...prev, stats: { ...prev.stats, activeSessions: 0 } } : prev
+      );
+      return `Signed out of ${response.data.revoked} session(s)`;
+    });
+
+  const handlePasswordReset = () =>
+    runAction('reset', async () => {
+      await sendCustomerPasswordReset(customerId);
+      return 'Password reset email sent';
+    });
+
+  const handleAddNote = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!noteBody.trim()) return;
+
+    runAction('note', async () => {
+      const response = await addCustomerNote(customerId, noteBody.trim());
+      updateCustomer({ notes: response.data.notes });
+      setNoteBody('');
+      return 'Note added';
+    });
+  };
+
+  const handleDeleteNote = (noteId: string) =>
+    runAction('note', async () => {
+      const response = await deleteCustomerNote(customerId, noteId);
+      updateCustomer({ notes: response.data.notes });
+      return 'Note deleted';
+    });
+
+  const handleSaveTags = (e: React.FormEvent) => {
+    e.preventDefault();
+    const tags = tagInput
+      .split(',')
+      .map((tag) => tag.trim())
+      .filter(Boolean);
+
+    runAction('tags', async () => {
+      const response = await updateCustomerTags(customerId, tags);
+      updateCustomer({ tags: response.data.tags });
+      setTagInput(response.data.tags.join(', '));
+      return 'Tags updated';
+    });
+  };
+
+  if (isLoading) {
+    return (
+      <Container>
+        <div className="flex justify-center items-center py-20">
+          <Spinner size="lg" />
+        </div>
+      </Container>
+    );
+  }
+
+  if (!detail) {
+    return (
+      <Container>
+        <div className="px-4 sm:px-6 lg:px-8">
+          <Alert variant="error">{error || 'Customer not found'}</Alert>
+        </div>
+      </Container>
+    );
+  }
+
+  const { customer, stats, orders } = detail;
+
+  return (
+    <Container>
+      <div className="px-4 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div className="mb-8">
+          <Link href="/admin/customers" className="text-sm text-gray-600 hover:text-gray-900">
+            ← Back to Customers
+          </Link>
+          <div className="mt-2 flex flex-wrap items-center gap-3">
+            <h1 className="text-3xl font-bold text-gray-900">{customer.name}</h1>
+            <Badge variant={customer.isActive ? 'success' : 'error'}>
+              {customer.isActive ? 'Active' : 'Deactivated'}
+            </Badge>
+            {!customer.isEmailVerified && <Badge variant="warning">Email not verified</Badge>}
+            {customer.twoFactorEnabled && <Badge variant="info">2FA</Badge>}
+          </div>
+          <p className="mt-1 text-sm text-gray-600">
+            {customer.email}
+            {customer.phone && ` · ${customer.phone}`} · Joined{' '}
+            {new Date(customer.createdAt).toLocaleDateString()}
+            {customer.lastLogin &&
+              ` · Last sign-in ${new Date(customer.lastLogin).toLocaleString()}`}
+          </p>
+        </div>
+
+        {error && (
+          <Alert variant="error" className="mb-6">
+            {error}
+          </Alert>
+        )}
+        {success && (
+          <Alert variant="success" className="mb-6">
+            {success}
+          </Alert>
+        )}
+
+        {/* Stats */}
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+          <Card padding="md">
+            <p className="text-sm text-gray-500">Lifetime Value</p>
+            <p className="text-2xl font-bold text-gray-900">
+              {formatCurrency(stats.lifetimeValue)}
+            </p>
+          </Card>
+          <Card padding="md">
+            <p className="text-sm text-gray-500">Orders</p>
+            <p className="text-2xl font-bold text-gray-900">{stats.orderCount}</p>
+            <p className="text-xs text-gray-500">{stats.paidOrders} paid</p>
+          </Card>
+          <Card padding="md">
+            <p className="text-sm text-gray-500">Average Order</p>
+            <p className="text-2xl font-bold text-gray-900">
+              {formatCurrency(stats.averageOrderValue)}
+            </p>
+          </Card>
+          <Card padding="md">
+            <p className="text-sm text-gray-500">Signed-in Devices</p>
+            <p className="text-2xl font-bold text-gray-900">{stats.activeSessions}</p>
+          </Card>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="lg:col-span-2 space-y-6">
+            {/* Order History */}
+            <Card padding="none" className="overflow-hidden">
+              <div className="px-6 py-4 border-b border-gray-200">
+                <h2 className="text-lg font-semibold text-gray-900">Order History</h2>
+              </div>
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Order
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Date
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Status
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Payment
+                      </th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Total
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {orders.length === 0 ? (
+                      <tr>
+                        <td colSpan={5} className="px-6 py-8 text-center text-gray-500">
+                          No orders yet
+                        </td>
+                      </tr>
+                    ) : (
+                      orders.map((order) => (
+                        <tr key={order._id} className="hover:bg-gray-50">
+                          <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                            <Link href={`/admin/orders/${order._id}`} className="hover:underline">
+                              {order.orderNumber}
+                            </Link>
+                            <div className="text-xs text-gray-500">{order.itemCount} item(s)</div>
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                            {new Date(order.createdAt).toLocaleDateString()}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <Badge
+                              variant={
+                                order.status === 'delivered'
+                                  ? 'success'
+                                  : order.status === 'cancelled'
+                                  ? 'error'
+                                  : 'primary'
+                              }
+                            >
+                              {formatOrderStatus(order.status)}
+                            </Badge>
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <Badge
+                              variant={
+                                order.payment.status === 'paid'
+                                  ? 'success'
+                                  : order.payment.status === 'failed'
+                                  ? 'error'
+                                  : 'warning'
+                              }
+                            >
+                              {order.payment.status}
+                            </Badge>
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-right text-sm text-gray-900">
+                            {formatCurrency(order.total)}
+                          </td>
+                        </tr>
+                      ))
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            </Card>
+
+            {/* Notes */}
+            <Card padding="lg">
+              <h2 className="text-lg font-semibold text-gray-900 mb-1">Internal Notes</h2>
+              <p className="text-sm text-gray-500 mb-4">Only visible to staff.</p>
+              {canManage && (
+                <form onSubmit={handleAddNote} className="mb-4 space-y-2">
+                  <textarea
+                    value={noteBody}
+                    onChange={(e) => setNoteBody(e.target.value)}
+                    rows={3}
+                    maxLength={2000}
+                    placeholder="Add a note about this customer..."
+                    className="input-base w-full"
+                  />
+                  <Button
+                    type="submit"
+                    size="sm"
+                    isLoading={pendingAction === 'note'}
+                    disabled={!noteBody.trim() || pendingAction !== null}
+                  >
+                    Add Note
+                  </Button>
+                </form>
+              )}
+              {customer.notes.length === 0 ? (
+                <p className="text-sm text-gray-500">No notes yet.</p>
+              ) : (
+                <ul className="divide-y divide-gray-200">
+                  {customer.notes.map((note) => (
+                    <li key={note._id} className="py-3 flex items-start justify-between gap-4">
+                      <div className="min-w-0">
+                        <p className="text-sm text-gray-900 whitespace-pre-line">{note.body}</p>
+                        <p className="text-xs text-gray-500 mt-1">
+                          {note.author?.name || 'Unknown admin'} ·{' '}
+                          {new Date(note.createdAt).toLocaleString()}
+                        </p>
+                      </div>
+                      {canManage && (
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={() => handleDeleteNote(note._id)}
+                          disabled={pendingAction !== null}
+                        >
+                          Delete
+                        </Button>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </Card>
+          </div>
+
+          <div className="space-y-6">
+            {/* Account Actions */}
+            {canManage && (
+              <Card padding="lg">
+                <h2 className="text-lg font-semibold text-gray-900 mb-4">Account Actions</h2>
+                <div className="space-y-3">
+                  <Button
+                    variant={customer.isActive ? 'danger' : 'success'}
+                    fullWidth
+                    onClick={handleToggleActive}
+                    isLoading={pendingAction === 'status'}
+                    disabled={pendingAction !== null}
+                  >
+                    {customer.isActive ? 'Deactivate Account' : 'Reactivate Account'}
+                  </Button>
+                  <Button
+                    variant="outline"
+                    fullWidth
+                    onClick={handleForceLogout}
+                    isLoading={pendingAction === 'logout'}
+                    disabled={pendingAction !== null || stats.activeSessions === 0}
+                  >
+                    Sign Out All Devices
+                  </Button>
+                  <Button
+                    variant="outline"
+                    fullWidth
+                    onClick={handlePasswordReset}
+                    isLoading={pendingAction === 'reset'}
+                    disabled={pendingAction !== null || !customer.isActive}
+                  >
+                    Send Password Reset
+                  </Button>
+                </div>
+              </Card>
+            )}
+
+            {/* Tags */}
+            <Card padding="lg">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">Tags</h2>
+              <form onSubmit={handleSaveTags} className="space-y-3">
+                <Input
+                  placeholder="vip, wholesale"
+                  value={tagInput}
+                  onChange={(e) => setTagInput(e.target.value)}
+                  disabled={!canManage}
+                />
+                <p className="text-xs text-gray-500">Separate tags with commas.</p>
+                <Button
+                  type="submit"
+                  size="sm"
+                  variant="outline"
+                  isLoading={pendingAction === 'tags'}
+                  disabled={!canManage || pendingAction !== null}
+                >
+                  Save Tags
+                </Button>
+              </form>
+            </Card>
+
+            {/* Addresses */}
+            <Card padding="lg">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">Addresses</h2>
+              {customer.addresses.length === 0 ? (
+                <p className="text-sm text-gray-500">No saved addresses.</p>
+              ) : (
+                <ul className="space-y-4">
+                  {customer.addresses.map((address) => (
+                    <li key={address._id} className="text-sm">
+                      <div className="flex flex-wrap items-center gap-2">
+                        <span className="font-medium text-gray-900">{address.name}</span>
+                        {address.isDefault && <Badge variant="primary">Shipping</Badge>}
+                        {address.isDefaultBilling && <Badge variant="info">Billing</Badge>}
+                      </div>
+                      <p className="text-gray-600">
+                        {address.street}, {address.city}, {address.state} {address.zipCode},{' '}
+                        {address.country}
+                      </p>
+                      {address.phone && <p className="text-gray-500">{address.phone}</p>}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </Card>
+          </div>
+        </div>
+      </div>
+    </Container>
+  );
+}
@@ -0,0 +1,274 @@
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import Link from 'next/link';
+import Container from '@/components/layout/Container';
+import Card from '@/components/ui/Card';
+import Button from '@/components/ui/Button';
+import Input from '@/components/ui/Input';
+import Badge from '@/components/ui/Badge';
+import Alert from '@/components/ui/Alert';
+import Spinner from '@/components/ui/Spinner';
+import { getCustomers, getCustomerTags, CustomerSummary } from '@/lib/api/admin.api';
+import { formatCurrency } from '@/lib/utils';
+
+type CustomerSort = 'newest' | 'oldest' | 'name' | 'lastLogin';
+
+export default function AdminCustomersPage() {
+  const [customers, setCustomers] = useState<CustomerSummary[]>([]);
+  const [tags, setTags] = useState<string[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [filters, setFilters] = useState({
+    search: '',
+    status: '' as '' | 'active' | 'inactive',
+    tag: '',
+    sort: 'newest' as CustomerSort,
+  });
+  const [pagination, setPagination] = useState({
+    page: 1,
+    limit: 20,
+    total: 0,
+    pages: 0,
+    hasNext: false,
+    hasPrev: false,
+  });
+
+  const fetchCustomers = async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+      const response = await getCustomers({
+        page: pagination.page,
+        limit: pagination.limit,
+        search: filters.search.trim() || undefined,
+        status: filters.status || undefined,
+        tag: filters.tag || undefined,
+        sort: filters.sort,
+      });
+
+      if (response.success) {
+        setCustomers(response.data.customers);
+        setPagination(response.data.pagination);
+      } else {
+        setError('Failed to load customers');
+      }
+    } catch (err: any) {
+      setError(
+        err.response?.data?.error?.message ||
+          err.message ||
+          'An error occurred while loading customers'
+      );
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchCustomers();
+  }, [pagination.page, filters.status, filters.tag, filters.sort]);
+
+  useEffect(() => {
+    getCustomerTags()
+      .then((response) => setTags(response.data.tags))
+      .catch(() => setTags([]));
+  }, []);
+
+  const handleSearch = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (pagination.page === 1) {
+      fetchCustomers();
+    } else {
+      setPagination((prev) => ({ ...prev, page: 1 }));
+    }
+  };
+
+  const updateFilter = (changes: Partial<typeof filters>) => {
+    setFilters((prev) => ({ ...prev, ...changes }));
+    setPagination((prev) => ({ ...prev, page: 1 }));
+  };
+
+  return (
+    <Container>
+      <div className="px-4 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900">Customers</h1>
+          <p className="mt-2 text-sm text-gray-600">
+            Look up customer accounts, order history and lifetime value
+          </p>
+        </div>
+
+        {/* Filters */}
+        <Card padding="md" className="mb-6">
+          <form onSubmit={handleSearch} className="grid grid-cols-1 md:grid-cols-5 gap-4">
+            <div className="md:col-span-2">
+              <Input
+                placeholder="Search by name, email or phone..."
+                value={filters.search}
+                onChange={(e) => setFilters({ ...filters, search: e.target.value })}
+              />
+            </div>
+            <select
+              value={filters.status}
+              onChange={(e) =>
+                updateFilter({ status: e.target.value as '' | 'active' | 'inactive' })
+              }
+              className="input-base"
+            >
+              <option value="">All Statuses</option>
+              <option value="active">Active</option>
+              <option value="inactive">Deactivated</option>
+            </select>
+            <select
+              value={filters.tag}
+              onChange={(e) => updateFilter({ tag: e.target.value })}
+              className="input-base"
+            >
+              <option value="">All Tags</option>
+              {tags.map((tag) => (
+                <option key={tag} value={tag}>
+                  {tag}
+                </option>
+              ))}
+            </select>
+            <select
+              value={filters.sort}
+              onChange={(e) => updateFilter({ sort: e.target.value as CustomerSort })}
+              className="input-base"
+            >
+              <option value="newest">Newest First</option>
+              <option value="oldest">Oldest First</option>
+              <option value="name">Name</option>
+              <option value="lastLogin">Last Sign-in</option>
+            </select>
+          </form>
+        </Card>
+
+        {error && (
+          <Alert variant="error" className="mb-6">
+            {error}
+          </Alert>
+        )}
+
+        {isLoading ? (
+          <div className="flex justify-center items-center py-20">
+            <Spinner size="lg" />
+          </div>
+        ) : (
+          <>
+            <Card padding="none" className="overflow-hidden">
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Customer
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Status
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Orders
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Lifetime Value
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Joined
+                      </th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Actions
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {customers.length === 0 ? (
+                      <tr>
+                        <td colSpan={6} className="px-6 py-12 text-center">
+                          <p className="text-gray-500">No customers found</p>
+                        </td>
+                      </tr>
+                    ) : (
+                      customers.map((customer) => (
+                        <tr key={customer._id} className="hover:bg-gray-50">
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <div className="text-sm font-medium text-gray-900">{customer.name}</div>
+                            <div className="text-sm text-gray-500">{customer.email}</div>
+                            {customer.phone && (
+                              <div className="text-xs text-gray-400">{customer.phone}</div>
+                            )}
+                            {customer.tags && customer.tags.length > 0 && (
+                              <div className="mt-1 flex flex-wrap gap-1">
+                                {customer.tags.map((tag) => (
+                                  <Badge key={tag} variant="info">
+                                    {tag}
+                                  </Badge>
+                                ))}
+                              </div>
+                            )}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <Badge variant={customer.isActive ? 'success' : 'error'}>
+                              {customer.isActive ? 'Active' : 'Deactivated'}
+                            </Badge>
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                            {customer.orderCount}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                            {formatCurrency(customer.lifetimeValue)}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                            {new Date(customer.createdAt).toLocaleDateString()}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                            <Link href={`/admin/customers/${customer._id}`}>
+                              <Button variant="outline" size="sm">
+                                View
+                              </Button>
+                            </Link>
+                          </td>
+                        </tr>
+                      ))
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            </Card>
+
+            {/* Pagination */}
+            {pagination.pages > 1 && (
+              <div className="mt-6 flex items-center justify-between">
+                <div className="text-sm text-gray-700">
+                  Showing page {pagination.page} of {pagination.pages} ({pagination.total}{' '}
+                  customers)
+                </div>
+                <div className="flex space-x-2">
+                  <Button
+                    variant="outline"
+                    onClick={() =>
+                      setPagination((prev) => ({ ...prev, page: prev.page - 1 }))
+                    }
+                    disabled={!pagination.hasPrev}
+                  >
+                    Previous
+                  </Button>
+                  <Button
+                    variant="outline"
+                    onClick={() =>
+                      setPagination((prev) => ({ ...prev, page: prev.page + 1 }))
+                    }
+                    disabled={!pagination.hasNext}
+                  >
+                    Next
+                  </Button>
+                </div>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </Container>
+  );
+}
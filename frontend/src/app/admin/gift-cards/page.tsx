@@ -0,0 +1,463 @@
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import Container from '@/components/layout/Container';
+import Card from '@/components/ui/Card';
+import Button from '@/components/ui/Button';
+import Input from '@/components/ui/Input';
+import Badge from '@/components/ui/Badge';
+import Alert from '@/components/ui/Alert';
+import Spinner from '@/components/ui/Spinner';
+import {
+  getGiftCards,
+  issueGiftCard,
+  bulkIssueGiftCards,
+  updateGiftCardStatus,
+  GiftCard,
+  GiftCardStatus,
+} from '@/lib/api/gift-cards.api';
+import { formatCurrency } from '@/lib/utils';
+
+const getCardStatus = (giftCard: GiftCard): GiftCardStatus => {
+  if (!giftCard.isActive) return 'inactive';
+  if (giftCard.isExpired) return 'expired';
+  if (giftCard.balance <= 0) return 'depleted';
+  return 'active';
+};
+
+const statusBadgeVariant = (status: GiftCardStatus) => {
+  switch (status) {
+    case 'active':
+      return 'success';
+    case 'inactive':
+      return 'error';
+    case 'expired':
+      return 'warning';
+    default:
+      return 'default';
+  }
+};
+
+const emptyIssueForm = {
+  mode: 'single' as 'single' | 'bulk',
+  code: '',
+  initialBalance: '',
+  count: '10',
+  expiresAt: '',
+  recipientEmail: '',
+  recipientName: '',
+  note: '',
+};
+
+export default function AdminGiftCardsPage() {
+  const [giftCards, setGiftCards] = useState<GiftCard[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isUpdating, setIsUpdating] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [success, setSuccess] = useState<string | null>(null);
+  const [showIssueForm, setShowIssueForm] = useState(false);
+  const [issueForm, setIssueForm] = useState(emptyIssueForm);
+  const [filters, setFilters] = useState({
+    status: '',
+    search: '',
+    batchId: '',
+  });
+  const [pagination, setPagination] = useState({
+    page: 1,
+    limit: 20,
+    total: 0,
+    pages: 0,
+    hasNext: false,
+    hasPrev: false,
+  });
+
+  const fetchGiftCards = async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+      const response = await getGiftCards({
+        page: pagination.page,
+        limit: pagination.limit,
+        status: (filters.status as GiftCardStatus) || undefined,
+        search: filters.search || undefined,
+        batchId: filters.batchId || undefined,
+      });
+
+      if (response.success) {
+        setGiftCards(response.data.giftCards);
+        setPagination(response.data.pagination);
+      } else {
+        setError('Failed to load gift cards');
+      }
+    } catch (err: any) {
+      setError(
+        err.response?.data?.error?.message ||
+          err.message ||
+          'An error occurred while loading gift cards'
+      );
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchGiftCards();
+  }, [pagination.page, filters.status, filters.batchId]);
+
+  const handleSearch = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (pagination.page === 1) {
+      fetchGiftCards();
+    } else {
+      setPagination((prev) => ({ ...prev, page: 1 }));
+    }
+  };
+
+  const handleIssue = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    const initialBalance = parseFloat(issueForm.initialBalance);
+    if (!initialBalance || initialBalance <= 0) {
+      setError('Enter a balance greater than 0');
+      return;
+    }
+
+    const shared = {
+      initialBalance,
+      expiresAt: issueForm.expiresAt ? new Date(issueForm.expiresAt).toISOString() : undefined,
+      note: issueForm.note || undefined,
+    };
+
+    try {
+      setIsUpdating(true);
+      setError(null);
+      setSuccess(null);
+
+      if (issueForm.mode === 'bulk') {
+        const response = await bulkIssueGiftCards({
+          ...shared,
+          count: parseInt(issueForm.count, 10),
+        });
+        setSuccess(
+          `Issued ${response.data.giftCards.length} gift card(s) in batch ${response.data.batchId}`
+        );
+        setFilters((prev) => ({ ...prev, batchId: response.data.batchId }));
+      } else {
+        const response = await issueGiftCard({
+          ...shared,
+          code: issueForm.code || undefined,
+          recipientEmail: issueForm.recipientEmail || undefined,
+          recipientName: issueForm.recipientName || undefined,
+        });
+        setSuccess(`Issued gift card ${response.data.giftCard.code}`);
+        await fetchGiftCards();
+      }
+
+      setIssueForm(emptyIssueForm);
+      setShowIssueForm(false);
+    } catch (err: any) {
+      setError(err.response?.data?.error?.message || 'Failed to issue gift card');
+    } finally {
+      setIsUpdating(false);
+    }
+  };
+
+  const handleToggleActive = async (giftCard: GiftCard) => {
+    if (giftCard.isActive && !confirm(`Deactivate gift card ${giftCard.code}?`)) return;
+
+    try {
+      setIsUpdating(true);
+      setError(null);
+      setSuccess(null);
+      await updateGiftCardStatus(giftCard._id, { isActive: !giftCard.isActive });
+      setSuccess(`Gift card ${giftCard.isActive ? 'deactivated' : 'reactivated'}`);
+      await fetchGiftCards();
+    } catch (err: any) {
+      setError(err.response?.data?.error?.message || 'Failed to update gift card');
+    } finally {
+      setIsUpdating(false);
+    }
+  };
+
+  return (
+    <Container>
+      <div className="px-4 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div className="mb-8 flex items-center justify-between">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Gift Cards</h1>
+            <p className="mt-2 text-sm text-gray-600">
+              Issue gift cards and track their remaining balances
+            </p>
+          </div>
+          <Button onClick={() => setShowIssueForm((prev) => !prev)}>
+            {showIssueForm ? 'Close' : 'Issue Gift Cards'}
+          </Button>
+        </div>
+
+        {/* Issue Form */}
+        {showIssueForm && (
+          <Card padding="lg" className="mb-6">
+            <form onSubmit={handleIssue} className="space-y-4">
+              <div className="flex space-x-4">
+                <label className="flex items-center space-x-2 cursor-pointer">
+                  <input
+                    type="radio"
+                    checked={issueForm.mode === 'single'}
+                    onChange={() => setIssueForm({ ...issueForm, mode: 'single' })}
+                  />
+                  <span className="text-sm text-gray-700">Single card</span>
+                </label>
+                <label className="flex items-center space-x-2 cursor-pointer">
+                  <input
+                    type="radio"
+                    checked={issueForm.mode === 'bulk'}
+                    onChange={() => setIssueForm({ ...issueForm, mode: 'bulk' })}
+                  />
+                  <span className="text-sm text-gray-700">Bulk batch</span>
+                </label>
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <Input
+                  label="Balance"
+                  type="number"
+                  min="0.01"
+                  step="0.01"
+                  value={issueForm.initialBalance}
+                  onChange={(e) => setIssueForm({ ...issueForm, initialBalance: e.target.value })}
+                  required
+                />
+                {issueForm.mode === 'bulk' ? (
+                  <Input
+                    label="Number of cards"
+                    type="number"
+                    min="1"
+                    max="500"
+                    value={issueForm.count}
+                    onChange={(e) => setIssueForm({ ...issueForm, count: e.target.value })}
+                    required
+                  />
+                ) : (
+                  <Input
+                    label="Code (optional)"
+                    placeholder="Generated if empty"
+                    value={issueForm.code}
+                    onChange={(e) =>
+                      setIssueForm({ ...issueForm, code: e.target.value.toUpperCase() })
+                    }
+                  />
+                )}
+                <Input
+                  label="Expires (optional)"
+                  type="date"
+                  value={issueForm.expiresAt}
+                  onChange={(e) => setIssueForm({ ...issueForm, expiresAt: e.target.value })}
+                />
+                {issueForm.mode === 'single' && (
+                  <>
+                    <Input
+                      label="Recipient name"
+                      value={issueForm.recipientName}
+                      onChange={(e) =>
+                        setIssueForm({ ...issueForm, recipientName: e.target.value })
+                      }
+                    />
+                    <Input
+                      label="Recipient email"
+                      type="email"
+                      value={issueForm.recipientEmail}
+                      onChange={(e) =>
+                        setIssueForm({ ...issueForm, recipientEmail: e.target.value })
+                      }
+                    />
+                  </>
+                )}
+                <Input
+                  label="Note"
+                  value={issueForm.note}
+                  onChange={(e) => setIssueForm({ ...issueForm, note: e.target.value })}
+                />
+              </div>
+
+              <Button type="submit" isLoading={isUpdating} disabled={isUpdating}>
+                {issueForm.mode === 'bulk' ? 'Issue Batch' : 'Issue Gift Card'}
+              </Button>
+            </form>
+          </Card>
+        )}
+
+        {/* Filters */}
+        <Card padding="md" className="mb-6">
+          <form onSubmit={handleSearch} className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            <Input
+              placeholder="Search code or recipient email..."
+              value={filters.search}
+              onChange={(e) => setFilters({ ...filters, search: e.target.value })}
+            />
+            <select
+              value={filters.status}
+              onChange={(e) => {
+                setFilters({ ...filters, status: e.target.value });
+                setPagination((prev) => ({ ...prev, page: 1 }));
+              }}
+              className="input-base"
+            >
+              <option value="">All Status</option>
+              <option value="active">Active</option>
+              <option value="depleted">Depleted</option>
+              <option value="expired">Expired</option>
+              <option value="inactive">Inactive</option>
+            </select>
+            <Input
+              placeholder="Batch ID"
+              value={filters.batchId}
+              onChange={(e) => setFilters({ ...filters, batchId: e.target.value })}
+            />
+            <Button type="submit" variant="outline">
+              Search
+            </Button>
+          </form>
+        </Card>
+
+        {error && (
+          <Alert variant="error" className="mb-6">
+            {error}
+          </Alert>
+        )}
+
+        {success && (
+          <Alert variant="success" className="mb-6">
+            {success}
+          </Alert>
+        )}
+
+        {isLoading ? (
+          <div className="flex justify-center items-center py-20">
+            <Spinner size="lg" />
+          </div>
+        ) : (
+          <>
+            {/* Gift Cards Table */}
+            <Card padding="none" className="overflow-hidden">
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Code
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Balance
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Recipient
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Status
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Expires
+                      </th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Actions
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {giftCards.length === 0 ? (
+                      <tr>
+                        <td colSpan={6} className="px-6 py-12 text-center">
+                          <p className="text-gray-500">No gift cards found</p>
+                        </td>
+                      </tr>
+                    ) : (
+                      giftCards.map((giftCard) => {
+                        const status = getCardStatus(giftCard);
+
+                        return (
+                          <tr key={giftCard._id} className="hover:bg-gray-50">
+                            <td className="px-6 py-4 whitespace-nowrap">
+                              <div className="text-sm font-mono text-gray-900">{giftCard.code}</div>
+                              {giftCard.batchId && (
+                                <div className="text-xs text-gray-500">{giftCard.batchId}</div>
+                              )}
+                            </td>
+                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                              {formatCurrency(giftCard.balance)}
+                              <span className="text-gray-500">
+                                {' '}
+                                / {formatCurrency(giftCard.initialBalance)}
+                              </span>
+                            </td>
+                            <td className="px-6 py-4 whitespace-nowrap">
+                              <div className="text-sm text-gray-900">
+                                {giftCard.recipientName || '—'}
+                              </div>
+                              {giftCard.recipientEmail && (
+                                <div className="text-sm text-gray-500">
+                                  {giftCard.recipientEmail}
+                                </div>
+                              )}
+                            </td>
+                            <td className="px-6 py-4 whitespace-nowrap">
+                              <Badge variant={statusBadgeVariant(status)}>{status}</Badge>
+                            </td>
+                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                              {giftCard.expiresAt
+                                ? new Date(giftCard.expiresAt).toLocaleDateString()
+                                : 'Never'}
+                            </td>
+                            <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                              <Button
+                                variant="ghost"
+                                size="sm"
+                                onClick={() => handleToggleActive(giftCard)}
+                                disabled={isUpdating}
+                              >
+                                {giftCard.isActive ? 'Deactivate' : 'Reactivate'}
+                              </Button>
+                            </td>
+                          </tr>
+                        );
+                      })
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            </Card>
+
+            {/* Pagination */}
+            {pagination.pages > 1 && (
+              <div className="mt-6 flex items-center justify-between">
+                <div className="text-sm text-gray-700">
+                  Showing page {pagination.page} of {pagination.pages}
+                </div>
+                <div className="flex space-x-2">
+                  <Button
+                    variant="outline"
+                    onClick={() =>
+                      setPagination((prev) => ({ ...prev, page: prev.page - 1 }))
+                    }
+                    disabled={!pagination.hasPrev}
+                  >
+                    Previous
+                  </Button>
+                  <Button
+                    variant="outline"
+                    onClick={() =>
+                      setPagination((prev) => ({ ...prev, page: prev.page + 1 }))
+                    }
+                    disabled={!pagination.hasNext}
+                  >
+                    Next
+                  </Button>
+                </div>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </Container>
+  );
+}
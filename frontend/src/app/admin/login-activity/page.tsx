@@ -0,0 +1,242 @@
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import Container from '@/components/layout/Container';
+import Card from '@/components/ui/Card';
+import Button from '@/components/ui/Button';
+import Input from '@/components/ui/Input';
+import Badge from '@/components/ui/Badge';
+import Alert from '@/components/ui/Alert';
+import Spinner from '@/components/ui/Spinner';
+import { FAILURE_LABELS } from '@/components/profile/LoginHistory';
+import { getLoginActivity, AdminLoginEvent } from '@/lib/api/admin.api';
+import { describeDevice } from '@/lib/utils';
+
+export default function AdminLoginActivityPage() {
+  const [events, setEvents] = useState<AdminLoginEvent[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [filters, setFilters] = useState({
+    email: '',
+    result: '',
+    newDevice: false,
+  });
+  const [pagination, setPagination] = useState({
+    page: 1,
+    limit: 25,
+    total: 0,
+    pages: 0,
+    hasNext: false,
+    hasPrev: false,
+  });
+
+  const fetchEvents = async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+      const response = await getLoginActivity({
+        page: pagination.page,
+        limit: pagination.limit,
+        email: filters.email.trim() || undefined,
+        success: filters.result ? filters.result === 'success' : undefined,
+        newDevice: filters.newDevice || undefined,
+      });
+
+      if (response.success) {
+        setEvents(response.data.events);
+        setPagination(response.data.pagination);
+      } else {
+        setError('Failed to load login activity');
+      }
+    } catch (err: any) {
+      setError(
+        err.response?.data?.error?.message ||
+          err.message ||
+          'An error occurred while loading login activity'
+      );
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchEvents();
+  }, [pagination.page, filters.result, filters.newDevice]);
+
+  const handleSearch = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (pagination.page === 1) {
+      fetchEvents();
+    } else {
+      setPagination((prev) => ({ ...prev, page: 1 }));
+    }
+  };
+
+  return (
+    <Container>
+      <div className="px-4 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900">Login Activity</h1>
+          <p className="mt-2 text-sm text-gray-600">
+            Sign-in attempts across all accounts, including failures, lockouts and new devices
+          </p>
+        </div>
+
+        {/* Filters */}
+        <Card padding="md" className="mb-6">
+          <form onSubmit={handleSearch} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-center">
+            <Input
+              placeholder="Filter by email..."
+              value={filters.email}
+              onChange={(e) => setFilters({ ...filters, email: e.target.value })}
+            />
+            <select
+              value={filters.result}
+              onChange={(e) => {
+                setFilters({ ...filters, result: e.target.value });
+                setPagination((prev) => ({ ...prev, page: 1 }));
+              }}
+              className="input-base"
+            >
+              <option value="">All Results</option>
+              <option value="success">Successful</option>
+              <option value="failure">Failed</option>
+            </select>
+            <label className="flex items-center space-x-2 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={filters.newDevice}
+                onChange={(e) => {
+                  setFilters({ ...filters, newDevice: e.target.checked });
+                  setPagination((prev) => ({ ...prev, page: 1 }));
+                }}
+              />
+              <span className="text-sm text-gray-700">New devices only</span>
+            </label>
+            <Button type="submit" variant="outline">
+              Search
+            </Button>
+          </form>
+        </Card>
+
+        {error && (
+          <Alert variant="error" className="mb-6">
+            {error}
+          </Alert>
+        )}
+
+        {isLoading ? (
+          <div className="flex justify-center items-center py-20">
+            <Spinner size="lg" />
+          </div>
+        ) : (
+          <>
+            <Card padding="none" className="overflow-hidden">
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Time
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Account
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Result
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Device
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        IP Address
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {events.length === 0 ? (
+                      <tr>
+                        <td colSpan={5} className="px-6 py-12 text-center">
+                          <p className="text-gray-500">No login activity found</p>
+                        </td>
+                      </tr>
+                    ) : (
+                      events.map((event) => (
+                        <tr key={event._id} className="hover:bg-gray-50">
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                            {new Date(event.createdAt).toLocaleString()}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <div className="text-sm text-gray-900">
+                              {event.user?.name || '—'}
+                            </div>
+                            <div className="text-sm text-gray-500">
+                              {event.user?.email || event.email}
+                            </div>
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <div className="flex items-center gap-2">
+                              {event.success ? (
+                                <Badge variant="success">Success</Badge>
+                              ) : (
+                                <Badge variant="error">
+                                  {event.failureReason
+                                    ? FAILURE_LABELS[event.failureReason]
+                                    : 'Failed'}
+                                </Badge>
+                              )}
+                              {event.newDevice && <Badge variant="warning">New device</Badge>}
+                            </div>
+                          </td>
+                          <td
+                            className="px-6 py-4 whitespace-nowrap text-sm text-gray-900"
+                            title={event.userAgent}
+                          >
+                            {describeDevice(event.userAgent)}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm font-mono text-gray-500">
+                            {event.ip || '—'}
+                          </td>
+                        </tr>
+                      ))
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            </Card>
+
+            {/* Pagination */}
+            {pagination.pages > 1 && (
+              <div className="mt-6 flex items-center justify-between">
+                <div className="text-sm text-gray-700">
+                  Showing page {pagination.page} of {pagination.pages}
+                </div>
+                <div className="flex space-x-2">
+                  <Button
+                    variant="outline"
+                    onClick={() =>
+                      setPagination((prev) => ({ ...prev, page: prev.page - 1 }))
+                    }
+                    disabled={!pagination.hasPrev}
+                  >
+                    Previous
+                  </Button>
+                  <Button
+                    variant="outline"
+                    onClick={() =>
+                      setPagination((prev) => ({ ...prev, page: prev.page + 1 }))
+                    }
+                    disabled={!pagination.hasNext}
+                  >
+                    Next
+                  </Button>
+                </div>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </Container>
+  );
+}
@@ -0,0 +1,675 @@
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { useParams } from 'next/navigation';
+import Container from '@/components/layout/Container';
+import Card from '@/components/ui/Card';
+import Button from '@/components/ui/Button';
+import Input from '@/components/ui/Input';
+import Badge from '@/components/ui/Badge';
+import Alert from '@/components/ui/Alert';
+import Spinner from '@/components/ui/Spinner';
+import TrackingEvents from '@/components/order/TrackingEvents';
+import {
+  getAdminOrder,
+  updateOrderStatus,
+  createFulfillment,
+  addTrackingEvent,
+  refreshTracking,
+  refundOrder,
+  Order,
+  RefundOrderData,
+} from '@/lib/api/admin.api';
+import { OrderStatus } from '@/lib/api/orders.api';
+import { useAuth } from '@/contexts/AuthContext';
+import { formatCurrency, formatOrderStatus } from '@/lib/utils';
+
+const ORDER_STATUSES: OrderStatus[] = [
+  'pending',
+  'processing',
+  'partially_shipped',
+  'shipped',
+  'partially_delivered',
+  'delivered',
+  'cancelled',
+];
+
+// Payment statuses with money left to refund
+const REFUNDABLE_PAYMENT_STATUSES = ['paid', 'partially_refunded'];
+
+// Orders that may still have items waiting to ship
+const FULFILLABLE_STATUSES: OrderStatus[] = [
+  'processing',
+  'partially_shipped',
+  'shipped',
+  'partially_delivered',
+];
+
+export default function AdminOrderDetailPage() {
+  const params = useParams();
+  const orderId = params.id as string;
+  const { hasPermission } = useAuth();
+  const canFulfil = hasPermission('orders:fulfil');
+  const canRefund = hasPermission('payments:refund');
+
+  const [order, setOrder] = useState<Order | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [success, setSuccess] = useState<string | null>(null);
+  const [status, setStatus] = useState<OrderStatus>('pending');
+  const [quantities, setQuantities] = useState<Record<string, number>>({});
+  const [carrier, setCarrier] = useState('manual');
+  const [trackingNumber, setTrackingNumber] = useState('');
+  const [refundQuantities, setRefundQuantities] = useState<Record<string, number>>({});
+  const [refundShipping, setRefundShipping] = useState(false);
+  const [refundAmount, setRefundAmount] = useState('');
+  const [refundReason, setRefundReason] = useState('');
+
+  // Quantity of each line not yet in a package
+  const getRemaining = (current: Order) => {
+    const remaining: Record<string, number> = {};
+    current.items.forEach((item) => {
+      remaining[item._id] = item.quantity;
+    });
+    (current.fulfillments || []).forEach((fulfillment) =>
+      fulfillment.items.forEach((line) => {
+        remaining[line.item] = (remaining[line.item] || 0) - line.quantity;
+      })
+    );
+    return remaining;
+  };
+
+  // Quantity of each line not yet refunded
+  const getRefundable = (current: Order) => {
+    const refundable: Record<string, number> = {};
+    current.items.forEach((item) => {
+      refundable[item._id] = item.quantity;
+    });
+    (current.refunds || []).forEach((refund) =>
+      refund.items.forEach((line) => {
+        refundable[line.item] = (refundable[line.item] || 0) - line.quantity;
+      })
+    );
+    return refundable;
+  };
+
+  const applyOrder = (updated: Order) => {
+    setOrder(updated);
+    setStatus(updated.status);
+    setQuantities(getRemaining(updated));
+  };
+
+  useEffect(() => {
+    const fetchOrder = async () => {
+      try {
+        setIsLoading(true);
+        const response = await getAdminOrder(orderId);
+        if (response.success) {
+          applyOrder(response.data.order);
+        }
+      } catch (err: any) {
+        setError(err.response?.data?.error?.message || 'Failed to load order');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchOrder();
+  }, [orderId]);
+
+  const runAction = async (run: () => Promise<{ data: { order: Order } }>, message: string) => {
+    setError(null);
+    setSuccess(null);
+    setIsSaving(true);
+
+    try {
+      const response = await run();
+      applyOrder(response.data.order);
+      setSuccess(message);
+    } catch (err: any) {
+      setError(err.response?.data?.error?.message || 'Action failed');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleStatusUpdate = (e: React.FormEvent) => {
+    e.preventDefault();
+    runAction(() => updateOrderStatus(orderId, { status }), 'Order status updated');
+  };
+
+  const handleShip = (e: React.FormEvent) => {
+    e.preventDefault();
+    const items = Object.entries(quantities)
+      .filter(([, quantity]) => quantity > 0)
+      .map(([item, quantity]) => ({ item, quantity }));
+
+    if (items.length === 0) {
+      setError('Choose at least one item to ship');
+      return;
+    }
+
+    runAction(async () => {
+      const response = await createFulfillment(orderId, {
+        items,
+        carrier: carrier.trim() || undefined,
+        trackingNumber: trackingNumber.trim() || undefined,
+      });
+      setTrackingNumber('');
+      return response;
+    }, 'Package shipped');
+  };
+
+  const handleRefund = (data: RefundOrderData, message: string) => {
+    runAction(async () => {
+      await refundOrder(orderId, data);
+      setRefundQuantities({});
+      setRefundShipping(false);
+      setRefundAmount('');
+      setRefundReason('');
+      return getAdminOrder(orderId);
+    }, message);
+  };
+
+  const handlePartialRefund = (e: React.FormEvent) => {
+    e.preventDefault();
+    const items = Object.entries(refundQuantities)
+      .filter(([, quantity]) => quantity > 0)
+      .map(([item, quantity]) => ({ item, quantity }));
+    const amount = refundAmount ? parseFloat(refundAmount) : undefined;
+
+    if (amount !== undefined && (isNaN(amount) || amount <= 0)) {
+      setError('Enter a refund amount greater than 0');
+      return;
+    }
+    if (items.length === 0 && !refundShipping && amount === undefined) {
+      setError('Choose items, shipping or an amount to refund');
+      return;
+    }
+
+    handleRefund(
+      {
+        items,
+        includeShipping: refundShipping,
+        amount,
+        reason: refundReason.trim() || undefined,
+      },
+      'Refund issued'
+    );
+  };
+
+  const handleFullRefund = () => {
+    if (!order || !confirm(`Refund the remaining ${formatCurrency(netPaid)} on this order?`)) return;
+    handleRefund({ reason: refundReason.trim() || undefined }, 'Order refunded');
+  };
+
+  if (isLoading) {
+    return (
+      <Container>
+        <div className="flex justify-center items-center py-20">
+          <Spinner size="lg" />
+        </div>
+      </Container>
+    );
+  }
+
+  if (!order) {
+    return (
+      <Container>
+        <div className="px-4 sm:px-6 lg:px-8">
+          <Alert variant="error">{error || 'Order not found'}</Alert>
+        </div>
+      </Container>
+    );
+  }
+
+  const remaining = getRemaining(order);
+  const itemsById = new Map(order.items.map((item) => [item._id, item]));
+  const fulfillments = order.fulfillments || [];
+  const hasUnshipped = order.items.some((item) => remaining[item._id] > 0);
+  const canShip = canFulfil && hasUnshipped && FULFILLABLE_STATUSES.includes(order.status);
+  const refundable = getRefundable(order);
+  const refunds = order.refunds || [];
+  const shippingRefunded = refunds.some((refund) => refund.shipping > 0);
+  const netPaid = Math.max(0, order.total - (order.refundedAmount || 0));
+  const canIssueRefund =
+    canRefund && REFUNDABLE_PAYMENT_STATUSES.includes(order.payment.status) && netPaid > 0;
+
+  return (
+    <Container>
+      <div className="px-4 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div className="mb-8">
+          <Link href="/admin/orders" className="text-sm text-gray-600 hover:text-gray-900">
+            ← Back to Orders
+          </Link>
+          <div className="mt-2 flex flex-wrap items-center gap-3">
+            <h1 className="text-3xl font-bold text-gray-900">{order.orderNumber}</h1>
+            <Badge
+              variant={
+                order.status === 'delivered'
+                  ? 'success'
+                  : order.status === 'cancelled'
+                  ? 'error'
+                  : 'primary'
+              }
+            >
+              {formatOrderStatus(order.status)}
+            </Badge>
+            <Badge variant={order.payment.status === 'paid' ? 'success' : 'warning'}>
+              {formatOrderStatus(order.payment.status)}
+            </Badge>
+          </div>
+          <p className="mt-1 text-sm text-gray-600">
+            {order.user ? `${order.user.name} · ${order.user.email}` : `Guest · ${order.email}`} ·
+            Placed {new Date(order.createdAt).toLocaleString()}
+          </p>
+        </div>
+
+        {error && (
+          <Alert variant="error" className="mb-6">
+            {error}
+          </Alert>
+        )}
+        {success && (
+          <Alert variant="success" className="mb-6">
+            {success}
+          </Alert>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="lg:col-span-2 space-y-6">
+            {/* Items */}
+            <Card padding="none" className="overflow-hidden">
+              <div className="px-6 py-4 border-b border-gray-200">
+                <h2 className="text-lg font-semibold text-gray-900">Items</h2>
+              </div>
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Product
+                      </th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Ordered
+                      </th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Shipped
+                      </th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Refunded
+                      </th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Subtotal
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {order.items.map((item) => (
+                      <tr key={item._id}>
+                        <td className="px-6 py-4 text-sm text-gray-900">
+                          {item.name}
+                          {item.selectedVariants && item.selectedVariants.length > 0 && (
+                            <div className="text-xs text-gray-500">
+                              {item.selectedVariants
+                                .map((v) => `${v.variantName}: ${v.optionValue}`)
+                                .join(', ')}
+                            </div>
+                          )}
+                        </td>
+                        <td className="px-6 py-4 text-right text-sm text-gray-900">
+                          {item.quantity}
+                        </td>
+                        <td className="px-6 py-4 text-right text-sm text-gray-900">
+                          {item.quantity - remaining[item._id]}
+                        </td>
+                        <td className="px-6 py-4 text-right text-sm text-gray-900">
+                          {item.quantity - refundable[item._id]}
+                        </td>
+                        <td className="px-6 py-4 text-right text-sm text-gray-900">
+                          {formatCurrency(item.subtotal)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </Card>
+
+            {/* Packages */}
+            <Card padding="lg">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">Packages</h2>
+              {fulfillments.length === 0 ? (
+                <p className="text-sm text-gray-500">Nothing has shipped yet.</p>
+              ) : (
+                <div className="space-y-4">
+                  {fulfillments.map((fulfillment, index) => (
+                    <div key={fulfillment._id} className="rounded-lg border border-gray-200 p-4">
+                      <div className="flex flex-wrap items-center justify-between gap-2">
+                        <p className="font-semibold text-gray-900">
+                          Package {index + 1} · {fulfillment.carrier}{' '}
+                          {fulfillment.trackingNumber}
+                        </p>
+                        <Badge variant={fulfillment.status === 'delivered' ? 'success' : 'primary'}>
+                          {fulfillment.status}
+                        </Badge>
+                      </div>
+                      <ul className="mt-2 text-sm text-gray-700 space-y-1">
+                        {fulfillment.items.map((line) => (
+                          <li key={line.item}>
+                            {line.quantity} × {itemsById.get(line.item)?.name || 'Item'}
+                          </li>
+                        ))}
+                      </ul>
+                      {fulfillment.labelUrl && (
+                        <a
+                          href={fulfillment.labelUrl}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="mt-2 inline-block text-sm underline"
+                        >
+                          Print label
+                        </a>
+                      )}
+                      <TrackingEvents events={fulfillment.trackingEvents} />
+                      {canFulfil && fulfillment.status !== 'delivered' && (
+                        <div className="mt-4 flex flex-wrap gap-2">
+                          <Button
+                            size="sm"
+                            variant="outline"
+                            disabled={isSaving}
+                            onClick={() =>
+                              runAction(
+                                () => refreshTracking(orderId, fulfillment._id),
+                                'Tracking refreshed'
+                              )
+                            }
+                          >
+                            Refresh Tracking
+                          </Button>
+                          <Button
+                            size="sm"
+                            variant="outline"
+                            disabled={isSaving}
+                            onClick={() =>
+                              runAction(
+                                () =>
+                                  addTrackingEvent(orderId, fulfillment._id, {
+                                    status: 'delivered',
+                                  }),
+                                'Package marked as delivered'
+                              )
+                            }
+                          >
+                            Mark Delivered
+                          </Button>
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </Card>
+
+            {/* Ship items */}
+            {canShip && (
+              <Card padding="lg">
+                <h2 className="text-lg font-semibold text-gray-900 mb-1">Ship Items</h2>
+                <p className="text-sm text-gray-500 mb-4">
+                  Choose what goes in this package. Leave the tracking number empty to create a
+                  label with the carrier.
+                </p>
+                <form onSubmit={handleShip} className="space-y-4">
+                  {order.items
+                    .filter((item) => remaining[item._id] > 0)
+                    .map((item) => (
+                      <div key={item._id} className="flex items-center justify-between gap-4">
+                        <span className="text-sm text-gray-900">
+                          {item.name}{' '}
+                          <span className="text-gray-500">({remaining[item._id]} left)</span>
+                        </span>
+                        <input
+                          type="number"
+                          min={0}
+                          max={remaining[item._id]}
+                          value={quantities[item._id] ?? 0}
+                          onChange={(e) =>
+                            setQuantities({
+                              ...quantities,
+                              [item._id]: Math.min(
+                                remaining[item._id],
+                                Math.max(0, Number(e.target.value) || 0)
+                              ),
+                            })
+                          }
+                          className="input-base w-24"
+                        />
+                      </div>
+                    ))}
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <Input
+                      label="Carrier"
+                      value={carrier}
+                      onChange={(e) => setCarrier(e.target.value)}
+                      maxLength={50}
+                    />
+                    <Input
+                      label="Tracking Number"
+                      value={trackingNumber}
+                      onChange={(e) => setTrackingNumber(e.target.value)}
+                      maxLength={100}
+                      placeholder="Optional"
+                    />
+                  </div>
+                  <Button type="submit" isLoading={isSaving} disabled={isSaving}>
+                    Ship Package
+                  </Button>
+                </form>
+              </Card>
+            )}
+
+            {/* Refunds */}
+            {(refunds.length > 0 || canIssueRefund) && (
+              <Card padding="lg">
+                <h2 className="text-lg font-semibold text-gray-900 mb-4">Refunds</h2>
+                {refunds.length > 0 && (
+                  <ul className="divide-y divide-gray-200 mb-6">
+                    {refunds.map((refund) => (
+                      <li key={refund._id} className="py-3 text-sm">
+                        <div className="flex justify-between gap-4">
+                          <span className="font-medium text-gray-900">
+                            {formatCurrency(refund.amount)}
+                            {refund.reason && (
+                              <span className="font-normal text-gray-500"> · {refund.reason}</span>
+                            )}
+                          </span>
+                          <span className="text-gray-500">
+                            {new Date(refund.createdAt).toLocaleString()}
+                          </span>
+                        </div>
+                        <p className="text-gray-600">
+                          {[
+                            ...refund.items.map(
+                              (line) =>
+                                `${line.quantity} × ${itemsById.get(line.item)?.name || 'Item'}`
+                            ),
+                            ...(refund.shipping > 0 ? ['Shipping'] : []),
+                          ].join(', ') || 'Amount only'}
+                          {refund.giftCardAmount > 0 &&
+                            ` · ${formatCurrency(refund.giftCardAmount)} to gift cards`}
+                        </p>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+
+                {canIssueRefund && (
+                  <form onSubmit={handlePartialRefund} className="space-y-4">
+                    <p className="text-sm text-gray-500">
+                      Item refunds include each line&apos;s share of discounts and tax.
+                    </p>
+                    {order.items
+                      .filter((item) => refundable[item._id] > 0)
+                      .map((item) => (
+                        <div key={item._id} className="flex items-center justify-between gap-4">
+                          <span className="text-sm text-gray-900">
+                            {item.name}{' '}
+                            <span className="text-gray-500">
+                              ({refundable[item._id]} refundable)
+                            </span>
+                          </span>
+                          <input
+                            type="number"
+                            min={0}
+                            max={refundable[item._id]}
+                            value={refundQuantities[item._id] ?? 0}
+                            onChange={(e) =>
+                              setRefundQuantities({
+                                ...refundQuantities,
+                                [item._id]: Math.min(
+                                  refundable[item._id],
+                                  Math.max(0, Number(e.target.value) || 0)
+                                ),
+                              })
+                            }
+                            className="input-base w-24"
+                          />
+                        </div>
+                      ))}
+                    {!shippingRefunded && order.shippingCost > 0 && (
+                      <label className="flex items-center space-x-2 text-sm text-gray-900">
+                        <input
+                          type="checkbox"
+                          checked={refundShipping}
+                          onChange={(e) => setRefundShipping(e.target.checked)}
+                        />
+                        <span>
+                          Refund shipping (
+                          {formatCurrency(order.shippingCost + (order.shippingTax || 0))})
+                        </span>
+                      </label>
+                    )}
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                      <Input
+                        label="Amount"
+                        type="number"
+                        min="0.01"
+                        step="0.01"
+                        value={refundAmount}
+                        onChange={(e) => setRefundAmount(e.target.value)}
+                        helperText="Optional; overrides the amount for the items chosen"
+                      />
+                      <Input
+                        label="Reason"
+                        value={refundReason}
+                        onChange={(e) => setRefundReason(e.target.value)}
+                        maxLength={500}
+                        placeholder="Optional"
+                      />
+                    </div>
+                    <div className="flex flex-wrap gap-2">
+                      <Button type="submit" isLoading={isSaving} disabled={isSaving}>
+                        Issue Refund
+                      </Button>
+                      <Button
+                        type="button"
+                        variant="outline"
+                        disabled={isSaving}
+                        onClick={handleFullRefund}
+                      >
+                        Refund Everything Left
+                      </Button>
+                    </div>
+                  </form>
+                )}
+              </Card>
+            )}
+          </div>
+
+          <div className="space-y-6">
+            {/* Status */}
+            {canFulfil && (
+              <Card padding="lg">
+                <h2 className="text-lg font-semibold text-gray-900 mb-4">Status</h2>
+                <form onSubmit={handleStatusUpdate} className="space-y-3">
+                  <select
+                    value={status}
+                    onChange={(e) => setStatus(e.target.value as OrderStatus)}
+                    className="input-base w-full"
+                  >
+                    {ORDER_STATUSES.map((option) => (
+                      <option key={option} value={option}>
+                        {formatOrderStatus(option)}
+                      </option>
+                    ))}
+                  </select>
+                  <Button
+                    type="submit"
+                    variant="outline"
+                    fullWidth
+                    disabled={isSaving || status === order.status}
+                  >
+                    Update Status
+                  </Button>
+                </form>
+              </Card>
+            )}
+
+            {/* Summary */}
+            <Card padding="lg">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">Summary</h2>
+              <div className="space-y-2 text-sm">
+                <div className="flex justify-between text-gray-600">
+                  <span>Subtotal</span>
+                  <span>{formatCurrency(order.subtotal)}</span>
+                </div>
+                <div className="flex justify-between text-gray-600">
+                  <span>Shipping ({order.shipping.name || order.shipping.method})</span>
+                  <span>{formatCurrency(order.shippingCost)}</span>
+                </div>
+                <div className="flex justify-between text-gray-600">
+                  <span>Tax</span>
+                  <span>{formatCurrency(order.tax)}</span>
+                </div>
+                <div className="flex justify-between font-semibold text-gray-900 pt-2 border-t border-gray-200">
+                  <span>Total</span>
+                  <span>{formatCurrency(order.total)}</span>
+                </div>
+                {!!order.refundedAmount && (
+                  <>
+                    <div className="flex justify-between text-gray-600">
+                      <span>Refunded</span>
+                      <span>-{formatCurrency(order.refundedAmount)}</span>
+                    </div>
+                    <div className="flex justify-between font-semibold text-gray-900">
+                      <span>Net Paid</span>
+                      <span>{formatCurrency(netPaid)}</span>
+                    </div>
+                  </>
+                )}
+              </div>
+            </Card>
+
+            {/* Shipping address */}
+            <Card padding="lg">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">Ship To</h2>
+              <div className="text-sm text-gray-700 space-y-1">
+                <p>{order.shippingAddress.name}</p>
+                <p>{order.shippingAddress.street}</p>
+                <p>
+                  {order.shippingAddress.city}, {order.shippingAddress.state}{' '}
+                  {order.shippingAddress.zipCode}
+                </p>
+                <p>{order.shippingAddress.country}</p>
+                <p>{order.shippingAddress.phone}</p>
+              </div>
+            </Card>
+          </div>
+        </div>
+      </div>
+    </Container>
+  );
+}
@@ -10,7 +10,7 @@ import Badge from '@/components/ui/Badge';
 import Alert from '@/components/ui/Alert';
 import Spinner from '@/components/ui/Spinner';
 import { getAdminOrders, Order } from '@/lib/api/admin.api';
-import { formatCurrency } from '@/lib/utils';
+import { formatCurrency, formatOrderStatus } from '@/lib/utils';
 
 export default function AdminOrdersPage() {
   const [orders, setOrders] = useState<Order[]>([]);
@@ -105,7 +105,9 @@ export default function AdminOrdersPage() {
               <option value="all">All Status</option>
               <option value="pending">Pending</option>
               <option value="processing">Processing</option>
+              <option value="partially_shipped">Partially shipped</option>
               <option value="shipped">Shipped</option>
+              <option value="partially_delivered">Partially delivered</option>
               <option value="delivered">Delivered</option>
               <option value="cancelled">Cancelled</option>
             </select>
@@ -120,6 +122,7 @@ export default function AdminOrdersPage() {
               <option value="pending">Pending</option>
               <option value="paid">Paid</option>
               <option value="failed">Failed</option>
+              <option value="partially_refunded">Partially Refunded</option>
               <option value="refunded">Refunded</option>
             </select>
           </div>
@@ -185,8 +188,8 @@ export default function AdminOrdersPage() {
                             </div>
                           </td>
                           <td className="px-6 py-4 whitespace-nowrap">
-                            <div className="text-sm text-gray-900">{order.user.name}</div>
-                            <div className="text-sm text-gray-500">{order.user.email}</div>
+                            <div className="text-sm text-gray-900">{order.user?.name || 'Guest'}</div>
+                            <div className="text-sm text-gray-500">{order.user?.email || order.email}</div>
                           </td>
                           <td className="px-6 py-4 whitespace-nowrap">
                             <div className="text-sm font-medium text-gray-900">
@@ -203,7 +206,7 @@ export default function AdminOrdersPage() {
                                   : 'primary'
                               }
                             >
-                              {order.status}
+                              {formatOrderStatus(order.status)}
                             </Badge>
                           </td>
                           <td className="px-6 py-4 whitespace-nowrap">
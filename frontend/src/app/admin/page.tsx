@@ -8,12 +8,14 @@ import Spinner from '@/components/ui/Spinner';
 import Alert from '@/components/ui/Alert';
 import Badge from '@/components/ui/Badge';
 import { getDashboardStats, DashboardStats } from '@/lib/api/admin.api';
-import { formatCurrency } from '@/lib/utils';
+import { formatCurrency, formatOrderStatus } from '@/lib/utils';
 import { Order } from '@/lib/api/orders.api';
 import { Product } from '@/lib/api/products.api';
 import { AnalyticsDashboard } from '@/components/admin/AnalyticsDashboard';
+import { useAuth } from '@/contexts/AuthContext';
 
 export default function AdminDashboard() {
+  const { hasPermission } = useAuth();
   const [stats, setStats] = useState<DashboardStats | null>(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
@@ -204,9 +206,11 @@ export default function AdminDashboard() {
         </div>
 
         {/* Analytics Dashboard */}
-        <div className="mb-8">
-          <AnalyticsDashboard />
-        </div>
+        {hasPermission('analytics:read') && (
+          <div className="mb-8">
+            <AnalyticsDashboard />
+          </div>
+        )}
 
         {/* Recent Orders & Low Stock */}
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
@@ -239,7 +243,7 @@ export default function AdminDashboard() {
                           {order.orderNumber}
                         </p>
                         <p className="text-sm text-gray-600 mt-1">
-                          {order.user.name} • {formatCurrency(order.total)}
+                          {order.user?.name || 'Guest'} • {formatCurrency(order.total)}
                         </p>
                       </div>
                       <Badge
@@ -251,7 +255,7 @@ export default function AdminDashboard() {
                             : 'primary'
                         }
                       >
-                        {order.status}
+                        {formatOrderStatus(order.status)}
                       </Badge>
                     </div>
                   </Link>
@@ -12,6 +12,7 @@ import ImageUpload, { UploadedImage } from '@/components/admin/ImageUpload';
 import { updateProduct } from '@/lib/api/admin.api';
 import { getProduct } from '@/lib/api/products.api';
 import { getAllCategories, Category } from '@/lib/api/categories.api';
+import { TaxClass } from '@/lib/api/tax.api';
 
 export default function EditProductPage() {
   const router = useRouter();
@@ -31,6 +32,7 @@ export default function EditProductPage() {
     shortDescription: '',
     price: '',
     compareAtPrice: '',
+    taxClass: 'standard' as TaxClass,
     category: '',
     stock: '',
     sku: '',
@@ -68,6 +70,7 @@ export default function EditProductPage() {
             shortDescription: (product as any).shortDescription || '',
             price: product.price.toString(),
             compareAtPrice: product.compareAtPrice?.toString() || '',
+            taxClass: product.taxClass || 'standard',
             category: product.category._id,
             stock: product.stock.toString(),
             sku: (product as any).sku || '',
@@ -160,6 +163,7 @@ export default function EditProductPage() {
         compareAtPrice: formData.compareAtPrice
           ? parseFloat(formData.compareAtPrice)
           : undefined,
+        taxClass: formData.taxClass,
         category: formData.category,
         stock: parseInt(formData.stock) || 0,
         sku: formData.sku.trim() || undefined,
@@ -306,6 +310,23 @@ export default function EditProductPage() {
                     placeholder="0.00"
                     helperText="Original price (for showing discounts)"
                   />
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Tax Class
+                    </label>
+                    <select
+                      name="taxClass"
+                      value={formData.taxClass}
+                      onChange={handleInputChange}
+                      className="input-base"
+                    >
+                      <option value="standard">Standard rate</option>
+                      <option value="reduced">Reduced rate</option>
+                      <option value="exempt">Tax exempt</option>
+                    </select>
+                    <p className="mt-1 text-xs text-gray-500">Prices are entered excluding tax</p>
+                  </div>
                 </div>
               </Card>
 
@@ -11,6 +11,7 @@ import Spinner from '@/components/ui/Spinner';
 import ImageUpload, { UploadedImage } from '@/components/admin/ImageUpload';
 import { createProduct } from '@/lib/api/admin.api';
 import { getAllCategories, Category } from '@/lib/api/categories.api';
+import { TaxClass } from '@/lib/api/tax.api';
 
 export default function NewProductPage() {
   const router = useRouter();
@@ -26,6 +27,7 @@ export default function NewProductPage() {
     shortDescription: '',
     price: '',
     compareAtPrice: '',
+    taxClass: 'standard' as TaxClass,
     category: '',
     stock: '',
     sku: '',
@@ -109,6 +111,7 @@ export default function NewProductPage() {
         compareAtPrice: formData.compareAtPrice
           ? parseFloat(formData.compareAtPrice)
           : undefined,
+        taxClass: formData.taxClass,
         category: formData.category,
         stock: parseInt(formData.stock) || 0,
         sku: formData.sku.trim() || undefined,
@@ -245,6 +248,23 @@ export default function NewProductPage() {
                     placeholder="0.00"
                     helperText="Original price (for showing discounts)"
                   />
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Tax Class
+                    </label>
+                    <select
+                      name="taxClass"
+                      value={formData.taxClass}
+                      onChange={handleInputChange}
+                      className="input-base"
+                    >
+                      <option value="standard">Standard rate</option>
+                      <option value="reduced">Reduced rate</option>
+                      <option value="exempt">Tax exempt</option>
+                    </select>
+                    <p className="mt-1 text-xs text-gray-500">Prices are entered excluding tax</p>
+                  </div>
                 </div>
               </Card>
 
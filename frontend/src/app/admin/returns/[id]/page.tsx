@@ -0,0 +1,390 @@
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import Link from 'next/link';
+import Image from 'next/image';
+import { useParams } from 'next/navigation';
+import Container from '@/components/layout/Container';
+import Card from '@/components/ui/Card';
+import Button from '@/components/ui/Button';
+import Input from '@/components/ui/Input';
+import Alert from '@/components/ui/Alert';
+import Spinner from '@/components/ui/Spinner';
+import ReturnStatusBadge from '@/components/order/ReturnStatusBadge';
+import {
+  getReturn,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+  refundReturn,
+  Return,
+  ReturnDisposition,
+  RETURN_REASON_LABELS,
+} from '@/lib/api/returns.api';
+import { useAuth } from '@/contexts/AuthContext';
+import { formatCurrency } from '@/lib/utils';
+
+export default function AdminReturnDetailPage() {
+  const params = useParams();
+  const returnId = params.id as string;
+  const { hasPermission } = useAuth();
+  const canRefund = hasPermission('payments:refund');
+
+  const [ret, setRet] = useState<Return | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [success, setSuccess] = useState<string | null>(null);
+  const [adminNotes, setAdminNotes] = useState('');
+  const [rejectionReason, setRejectionReason] = useState('');
+  const [dispositions, setDispositions] = useState<Record<string, ReturnDisposition>>({});
+  const [refundAmount, setRefundAmount] = useState('');
+
+  const applyReturn = (updated: Return) => {
+    setRet(updated);
+    setAdminNotes(updated.adminNotes || '');
+  };
+
+  useEffect(() => {
+    const fetchReturn = async () => {
+      try {
+        setIsLoading(true);
+        const response = await getReturn(returnId);
+        if (response.success) {
+          applyReturn(response.data.return);
+        }
+      } catch (err: any) {
+        setError(err.response?.data?.error?.message || 'Failed to load return');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchReturn();
+  }, [returnId]);
+
+  const runAction = async (run: () => Promise<{ data: { return: Return } }>, message: string) => {
+    setError(null);
+    setSuccess(null);
+    setIsSaving(true);
+
+    try {
+      const response = await run();
+      applyReturn(response.data.return);
+      setSuccess(message);
+    } catch (err: any) {
+      setError(err.response?.data?.error?.message || 'Action failed');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const notes = () => adminNotes.trim() || undefined;
+
+  const handleApprove = () => {
+    runAction(() => approveReturn(returnId, { adminNotes: notes() }), 'Return approved');
+  };
+
+  const handleReject = (e: React.FormEvent) => {
+    e.preventDefault();
+    runAction(
+      () => rejectReturn(returnId, { reason: rejectionReason.trim(), adminNotes: notes() }),
+      'Return rejected'
+    );
+  };
+
+  const handleReceive = (e: React.FormEvent) => {
+    e.preventDefault();
+    runAction(
+      () =>
+        receiveReturn(returnId, {
+          items: Object.entries(dispositions).map(([item, disposition]) => ({ item, disposition })),
+          adminNotes: notes(),
+        }),
+      'Return received'
+    );
+  };
+
+  const handleRefund = (e: React.FormEvent) => {
+    e.preventDefault();
+    const amount = refundAmount ? parseFloat(refundAmount) : undefined;
+
+    if (amount !== undefined && (isNaN(amount) || amount < 0)) {
+      setError('Enter a valid refund amount');
+      return;
+    }
+
+    runAction(() => refundReturn(returnId, { amount }), 'Refund issued');
+  };
+
+  if (isLoading) {
+    return (
+      <Container>
+        <div className="flex justify-center items-center py-20">
+          <Spinner size="lg" />
+        </div>
+      </Container>
+    );
+  }
+
+  if (!ret) {
+    return (
+      <Container>
+        <div className="px-4 sm:px-6 lg:px-8">
+          <Alert variant="error">{error || 'Return not found'}</Alert>
+        </div>
+      </Container>
+    );
+  }
+
+  const customer = typeof ret.user === 'object' ? ret.user : null;
+  const canReject = ['requested', 'approved'].includes(ret.status);
+
+  return (
+    <Container>
+      <div className="px-4 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div className="mb-8">
+          <Link href="/admin/returns" className="text-sm text-gray-600 hover:text-gray-900">
+            ← Back to Returns
+          </Link>
+          <div className="mt-2 flex flex-wrap items-center gap-3">
+            <h1 className="text-3xl font-bold text-gray-900">{ret.returnNumber}</h1>
+            <ReturnStatusBadge status={ret.status} />
+          </div>
+          <p className="mt-1 text-sm text-gray-600">
+            {customer && `${customer.name} · ${customer.email} · `}
+            Order{' '}
+            <Link href={`/admin/orders/${ret.order._id}`} className="underline">
+              {ret.order.orderNumber}
+            </Link>{' '}
+            · Requested {new Date(ret.createdAt).toLocaleString()}
+          </p>
+        </div>
+
+        {error && (
+          <Alert variant="error" className="mb-6">
+            {error}
+          </Alert>
+        )}
+        {success && (
+          <Alert variant="success" className="mb-6">
+            {success}
+          </Alert>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="lg:col-span-2 space-y-6">
+            {/* Items */}
+            <Card padding="none" className="overflow-hidden">
+              <div className="px-6 py-4 border-b border-gray-200">
+                <h2 className="text-lg font-semibold text-gray-900">Items</h2>
+              </div>
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Product
+                      </th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Quantity
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Reason
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Disposition
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {ret.items.map((item) => (
+                      <tr key={item.item}>
+                        <td className="px-6 py-4 text-sm text-gray-900">
+                          {item.name}
+                          {item.selectedVariants && item.selectedVariants.length > 0 && (
+                            <div className="text-xs text-gray-500">
+                              {item.selectedVariants
+                                .map((v) => `${v.variantName}: ${v.optionValue}`)
+                                .join(', ')}
+                            </div>
+                          )}
+                        </td>
+                        <td className="px-6 py-4 text-right text-sm text-gray-900">
+                          {item.quantity}
+                        </td>
+                        <td className="px-6 py-4 text-sm text-gray-900">
+                          {RETURN_REASON_LABELS[item.reason]}
+                        </td>
+                        <td className="px-6 py-4 text-sm text-gray-900">
+                          {ret.status === 'approved' ? (
+                            <select
+                              value={dispositions[item.item] || 'restock'}
+                              onChange={(e) =>
+                                setDispositions((prev) => ({
+                                  ...prev,
+                                  [item.item]: e.target.value as ReturnDisposition,
+                                }))
+                              }
+                              className="input-base"
+                              aria-label={`Disposition of ${item.name}`}
+                            >
+                              <option value="restock">Restock</option>
+                              <option value="write_off">Write off</option>
+                            </select>
+                          ) : item.disposition === 'write_off' ? (
+                            'Written off'
+                          ) : item.disposition === 'restock' ? (
+                            'Restocked'
+                          ) : (
+                            '—'
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </Card>
+
+            {/* Customer comments */}
+            {(ret.comment || ret.photos.length > 0) && (
+              <Card padding="lg">
+                <h2 className="text-lg font-semibold text-gray-900 mb-4">Customer Comments</h2>
+                {ret.comment && <p className="text-sm text-gray-700 whitespace-pre-line">{ret.comment}</p>}
+                {ret.photos.length > 0 && (
+                  <div className="flex flex-wrap gap-3 mt-4">
+                    {ret.photos.map((photo, index) => (
+                      <a
+                        key={photo.url}
+                        href={photo.url}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="relative w-24 h-24"
+                      >
+                        <Image
+                          src={photo.url}
+                          alt={`Return photo ${index + 1}`}
+                          fill
+                          className="object-cover rounded-lg"
+                        />
+                      </a>
+                    ))}
+                  </div>
+                )}
+              </Card>
+            )}
+          </div>
+
+          <div className="space-y-6">
+            {/* Actions */}
+            {ret.status === 'requested' && (
+              <Card padding="lg">
+                <h2 className="text-lg font-semibold text-gray-900 mb-4">Approve</h2>
+                <p className="text-sm text-gray-600 mb-4">
+                  The customer is emailed to send the items back.
+                </p>
+                <Button fullWidth onClick={handleApprove} disabled={isSaving}>
+                  Approve Return
+                </Button>
+              </Card>
+            )}
+
+            {ret.status === 'approved' && (
+              <Card padding="lg">
+                <h2 className="text-lg font-semibold text-gray-900 mb-4">Receive</h2>
+                <form onSubmit={handleReceive} className="space-y-3">
+                  <p className="text-sm text-gray-600">
+                    Choose restock or write off for each item, then confirm the parcel has arrived.
+                    Restocked items go back into inventory.
+                  </p>
+                  <Button type="submit" fullWidth disabled={isSaving}>
+                    Mark Received
+                  </Button>
+                </form>
+              </Card>
+            )}
+
+            {ret.status === 'received' && canRefund && (
+              <Card padding="lg">
+                <h2 className="text-lg font-semibold text-gray-900 mb-4">Refund</h2>
+                <form onSubmit={handleRefund} className="space-y-3">
+                  <Input
+                    label="Amount"
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={refundAmount}
+                    onChange={(e) => setRefundAmount(e.target.value)}
+                    helperText="Leave empty to refund what was paid for these items"
+                  />
+                  <Button type="submit" fullWidth disabled={isSaving}>
+                    Issue Refund
+                  </Button>
+                </form>
+              </Card>
+            )}
+
+            {ret.status === 'refunded' && ret.refund && (
+              <Card padding="lg">
+                <h2 className="text-lg font-semibold text-gray-900 mb-4">Refund</h2>
+                <p className="text-2xl font-semibold text-gray-900">
+                  {formatCurrency(ret.refund.amount)}
+                </p>
+                <p className="text-sm text-gray-600 mt-1">
+                  {ret.refundedAt && new Date(ret.refundedAt).toLocaleString()}
+                  {ret.refund.refundId && ` · ${ret.refund.refundId}`}
+                </p>
+              </Card>
+            )}
+
+            {canReject && (
+              <Card padding="lg">
+                <h2 className="text-lg font-semibold text-gray-900 mb-4">Reject</h2>
+                <form onSubmit={handleReject} className="space-y-3">
+                  <Input
+                    label="Reason (shown to the customer)"
+                    value={rejectionReason}
+                    onChange={(e) => setRejectionReason(e.target.value)}
+                    maxLength={500}
+                    required
+                  />
+                  <Button
+                    type="submit"
+                    variant="danger"
+                    fullWidth
+                    disabled={isSaving || !rejectionReason.trim()}
+                  >
+                    Reject Return
+                  </Button>
+                </form>
+              </Card>
+            )}
+
+            {ret.status === 'rejected' && ret.rejectionReason && (
+              <Card padding="lg">
+                <h2 className="text-lg font-semibold text-gray-900 mb-2">Rejected</h2>
+                <p className="text-sm text-gray-700">{ret.rejectionReason}</p>
+              </Card>
+            )}
+
+            {/* Internal notes */}
+            <Card padding="lg">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">Internal Notes</h2>
+              <textarea
+                value={adminNotes}
+                onChange={(e) => setAdminNotes(e.target.value)}
+                rows={4}
+                maxLength={1000}
+                className="input-base w-full"
+                placeholder="Saved with the next action"
+                disabled={!canReject}
+              />
+            </Card>
+          </div>
+        </div>
+      </div>
+    </Container>
+  );
+}
@@ -0,0 +1,235 @@
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import Link from 'next/link';
+import Container from '@/components/layout/Container';
+import Card from '@/components/ui/Card';
+import Button from '@/components/ui/Button';
+import Input from '@/components/ui/Input';
+import Alert from '@/components/ui/Alert';
+import Spinner from '@/components/ui/Spinner';
+import ReturnStatusBadge from '@/components/order/ReturnStatusBadge';
+import {
+  getReturns,
+  Return,
+  ReturnStatus,
+  RETURN_STATUS_LABELS,
+} from '@/lib/api/returns.api';
+
+export default function AdminReturnsPage() {
+  const [returns, setReturns] = useState<Return[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [filters, setFilters] = useState({
+    status: 'requested',
+    search: '',
+  });
+  const [pagination, setPagination] = useState({
+    page: 1,
+    limit: 20,
+    total: 0,
+    pages: 0,
+  });
+
+  const fetchReturns = async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+      const response = await getReturns({
+        page: pagination.page,
+        limit: pagination.limit,
+        status: (filters.status as ReturnStatus) || undefined,
+        search: filters.search || undefined,
+      });
+
+      if (response.success) {
+        setReturns(response.data.returns);
+        setPagination(response.data.pagination);
+      } else {
+        setError('Failed to load returns');
+      }
+    } catch (err: any) {
+      setError(
+        err.response?.data?.error?.message ||
+          err.message ||
+          'An error occurred while loading returns'
+      );
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchReturns();
+  }, [pagination.page, filters.status]);
+
+  const handleSearch = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (pagination.page === 1) {
+      fetchReturns();
+    } else {
+      setPagination((prev) => ({ ...prev, page: 1 }));
+    }
+  };
+
+  return (
+    <Container>
+      <div className="px-4 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900">Returns</h1>
+          <p className="mt-2 text-sm text-gray-600">
+            Review return requests, receive parcels and issue refunds
+          </p>
+        </div>
+
+        {/* Filters */}
+        <Card padding="md" className="mb-6">
+          <form onSubmit={handleSearch} className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <Input
+              placeholder="Search return number..."
+              value={filters.search}
+              onChange={(e) => setFilters({ ...filters, search: e.target.value })}
+            />
+            <select
+              value={filters.status}
+              onChange={(e) => {
+                setFilters({ ...filters, status: e.target.value });
+                setPagination((prev) => ({ ...prev, page: 1 }));
+              }}
+              className="input-base"
+            >
+              <option value="">All Status</option>
+              {Object.entries(RETURN_STATUS_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <Button type="submit" variant="outline">
+              Search
+            </Button>
+          </form>
+        </Card>
+
+        {error && (
+          <Alert variant="error" className="mb-6">
+            {error}
+          </Alert>
+        )}
+
+        {isLoading ? (
+          <div className="flex justify-center items-center py-20">
+            <Spinner size="lg" />
+          </div>
+        ) : (
+          <>
+            {/* Returns Table */}
+            <Card padding="none" className="overflow-hidden">
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Return
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Customer
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Items
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Status
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Requested
+                      </th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Actions
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {returns.length === 0 ? (
+                      <tr>
+                        <td colSpan={6} className="px-6 py-12 text-center">
+                          <p className="text-gray-500">No returns found</p>
+                        </td>
+                      </tr>
+                    ) : (
+                      returns.map((ret) => (
+                        <tr key={ret._id} className="hover:bg-gray-50">
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <div className="text-sm font-medium text-gray-900">
+                              {ret.returnNumber}
+                            </div>
+                            <div className="text-xs text-gray-500">
+                              Order {ret.order.orderNumber}
+                            </div>
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            {typeof ret.user === 'object' && (
+                              <>
+                                <div className="text-sm text-gray-900">{ret.user.name}</div>
+                                <div className="text-sm text-gray-500">{ret.user.email}</div>
+                              </>
+                            )}
+                          </td>
+                          <td className="px-6 py-4 text-sm text-gray-900">
+                            {ret.items.reduce((sum, item) => sum + item.quantity, 0)}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <ReturnStatusBadge status={ret.status} />
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                            {new Date(ret.createdAt).toLocaleDateString()}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                            <Link
+                              href={`/admin/returns/${ret._id}`}
+                              className="text-black hover:text-gray-700"
+                            >
+                              View
+                            </Link>
+                          </td>
+                        </tr>
+                      ))
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            </Card>
+
+            {/* Pagination */}
+            {pagination.pages > 1 && (
+              <div className="mt-6 flex items-center justify-between">
+                <p className="text-sm text-gray-700">
+                  Page {pagination.page} of {pagination.pages} ({pagination.total} returns)
+                </p>
+                <div className="flex space-x-2">
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => setPagination((prev) => ({ ...prev, page: prev.page - 1 }))}
+                    disabled={pagination.page <= 1}
+                  >
+                    Previous
+                  </Button>
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => setPagination((prev) => ({ ...prev, page: prev.page + 1 }))}
+                    disabled={pagination.page >= pagination.pages}
+                  >
+                    Next
+                  </Button>
+                </div>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </Container>
+  );
+}
@@ -0,0 +1,531 @@
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import Link from 'next/link';
+import Container from '@/components/layout/Container';
+import Card from '@/components/ui/Card';
+import Button from '@/components/ui/Button';
+import Input from '@/components/ui/Input';
+import Badge from '@/components/ui/Badge';
+import Alert from '@/components/ui/Alert';
+import Spinner from '@/components/ui/Spinner';
+import {
+  getAdminReviews,
+  moderateReview,
+  bulkModerateReviews,
+  replyToReview,
+  deleteReviewReply,
+  Review,
+  ReviewStatus,
+} from '@/lib/api/admin.api';
+
+const statusBadgeVariant = (status: ReviewStatus) => {
+  switch (status) {
+    case 'approved':
+      return 'success';
+    case 'rejected':
+      return 'error';
+    case 'spam':
+      return 'default';
+    default:
+      return 'warning';
+  }
+};
+
+export default function AdminReviewsPage() {
+  const [reviews, setReviews] = useState<Review[]>([]);
+  const [selectedIds, setSelectedIds] = useState<string[]>([]);
+  const [replyingId, setReplyingId] = useState<string | null>(null);
+  const [replyText, setReplyText] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [isUpdating, setIsUpdating] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [success, setSuccess] = useState<string | null>(null);
+  const [filters, setFilters] = useState({
+    status: 'pending',
+    search: '',
+  });
+  const [pagination, setPagination] = useState({
+    page: 1,
+    limit: 20,
+    total: 0,
+    pages: 0,
+    hasNext: false,
+    hasPrev: false,
+  });
+
+  const fetchReviews = async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+      const response = await getAdminReviews({
+        page: pagination.page,
+        limit: pagination.limit,
+        status: filters.status as ReviewStatus | 'all',
+        search: filters.search || undefined,
+      });
+
+      if (response.success) {
+        setReviews(response.data.reviews);
+        setPagination(response.data.pagination);
+        setSelectedIds([]);
+      } else {
+        setError('Failed to load reviews');
+      }
+    } catch (err: any) {
+      setError(
+        err.response?.data?.error?.message ||
+          err.message ||
+          'An error occurred while loading reviews'
+      );
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchReviews();
+  }, [pagination.page, filters.status]);
+
+  const handleSearch = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (pagination.page === 1) {
+      fetchReviews();
+    } else {
+      setPagination((prev) => ({ ...prev, page: 1 }));
+    }
+  };
+
+  const handleModerate = async (reviewId: string, status: ReviewStatus) => {
+    try {
+      setIsUpdating(true);
+      setError(null);
+      setSuccess(null);
+      await moderateReview(reviewId, { status });
+      setSuccess(`Review marked as ${status}`);
+      await fetchReviews();
+    } catch (err: any) {
+      setError(err.response?.data?.error?.message || 'Failed to moderate review');
+    } finally {
+      setIsUpdating(false);
+    }
+  };
+
+  const handleBulkModerate = async (status: ReviewStatus) => {
+    if (selectedIds.length === 0) return;
+
+    try {
+      setIsUpdating(true);
+      setError(null);
+      setSuccess(null);
+      const response = await bulkModerateReviews({ reviewIds: selectedIds, status });
+      setSuccess(`${response.data.modified} review(s) marked as ${status}`);
+      await fetchReviews();
+    } catch (err: any) {
+      setError(err.response?.data?.error?.message || 'Failed to moderate reviews');
+    } finally {
+      setIsUpdating(false);
+    }
+  };
+
+  const startReply = (review: Review) => {
+    setReplyingId(review._id);
+    setReplyText(review.merchantReply?.comment || '');
+  };
+
+  const handleSaveReply = async (reviewId: string) => {
+    if (!replyText.trim()) return;
+
+    try {
+      setIsUpdating(true);
+      setError(null);
+      setSuccess(null);
+      await replyToReview(reviewId, replyText.trim());
+      setSuccess('Reply posted');
+      setReplyingId(null);
+      setReplyText('');
+      await fetchReviews();
+    } catch (err: any) {
+      setError(err.response?.data?.error?.message || 'Failed to post reply');
+    } finally {
+      setIsUpdating(false);
+    }
+  };
+
+  const handleDeleteReply = async (reviewId: string) => {
+    if (!confirm('Remove the merchant reply from this review?')) return;
+
+    try {
+      setIsUpdating(true);
+      setError(null);
+      setSuccess(null);
+      await deleteReviewReply(reviewId);
+      setSuccess('Reply removed');
+      await fetchReviews();
+    } catch (err: any) {
+      setError(err.response?.data?.error?.message || 'Failed to remove reply');
+    } finally {
+      setIsUpdating(false);
+    }
+  };
+
+  const toggleSelected = (reviewId: string) => {
+    setSelectedIds((prev) =>
+      prev.includes(reviewId) ? prev.filter((id) => id !== reviewId) : [...prev, reviewId]
+    );
+  };
+
+  const toggleSelectAll = () => {
+    setSelectedIds((prev) =>
+      prev.length === reviews.length ? [] : reviews.map((review) => review._id)
+    );
+  };
+
+  return (
+    <Container>
+      <div className="px-4 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900">Reviews</h1>
+          <p className="mt-2 text-sm text-gray-600">
+            Moderate customer reviews before they appear on the storefront
+          </p>
+        </div>
+
+        {/* Filters */}
+        <Card padding="md" className="mb-6">
+          <form onSubmit={handleSearch} className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <Input
+              placeholder="Search title or comment..."
+              value={filters.search}
+              onChange={(e) => setFilters({ ...filters, search: e.target.value })}
+              leftIcon={
+                <svg
+                  className="w-5 h-5"
+                  fill="none"
+                  stroke="currentColor"
+                  viewBox="0 0 24 24"
+                >
+                  <path
+                    strokeLinecap="round"
+                    strokeLinejoin="round"
+                    strokeWidth={2}
+                    d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z"
+                  />
+                </svg>
+              }
+            />
+            <select
+              value={filters.status}
+              onChange={(e) => {
+                setFilters({ ...filters, status: e.target.value });
+                setPagination((prev) => ({ ...prev, page: 1 }));
+              }}
+              className="input-base"
+            >
+              <option value="pending">Pending</option>
+              <option value="approved">Approved</option>
+              <option value="rejected">Rejected</option>
+              <option value="spam">Spam</option>
+              <option value="all">All Status</option>
+            </select>
+            <Button type="submit" variant="outline">
+              Search
+            </Button>
+          </form>
+        </Card>
+
+        {error && (
+          <Alert variant="error" className="mb-6">
+            {error}
+          </Alert>
+        )}
+
+        {success && (
+          <Alert variant="success" className="mb-6">
+            {success}
+          </Alert>
+        )}
+
+        {/* Bulk Actions */}
+        {selectedIds.length > 0 && (
+          <Card padding="sm" className="mb-4">
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="text-sm text-gray-700 mr-2">
+                {selectedIds.length} selected
+              </span>
+              <Button
+                variant="success"
+                size="sm"
+                onClick={() => handleBulkModerate('approved')}
+                disabled={isUpdating}
+              >
+                Approve
+              </Button>
+              <Button
+                variant="danger"
+                size="sm"
+                onClick={() => handleBulkModerate('rejected')}
+                disabled={isUpdating}
+              >
+                Reject
+              </Button>
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => handleBulkModerate('spam')}
+                disabled={isUpdating}
+              >
+                Mark as Spam
+              </Button>
+            </div>
+          </Card>
+        )}
+
+        {isLoading ? (
+          <div className="flex justify-center items-center py-20">
+            <Spinner size="lg" />
+          </div>
+        ) : (
+          <>
+            {/* Reviews Table */}
+            <Card padding="none" className="overflow-hidden">
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left">
+                        <input
+                          type="checkbox"
+                          checked={reviews.length > 0 && selectedIds.length === reviews.length}
+                          onChange={toggleSelectAll}
+                          className="rounded border-gray-300"
+                        />
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Review
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Product
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Customer
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Status
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Date
+                      </th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Actions
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {reviews.length === 0 ? (
+                      <tr>
+                        <td colSpan={7} className="px-6 py-12 text-center">
+                          <p className="text-gray-500">No reviews found</p>
+                        </td>
+                      </tr>
+                    ) : (
+                      reviews.map((review) => (
+                        <tr key={review._id} className="hover:bg-gray-50 align-top">
+                          <td className="px-6 py-4">
+                            <input
+                              type="checkbox"
+                              checked={selectedIds.includes(review._id)}
+                              onChange={() => toggleSelected(review._id)}
+                              className="rounded border-gray-300"
+                            />
+                          </td>
+                          <td className="px-6 py-4 max-w-md">
+                            <div className="text-sm font-medium text-yellow-500">
+                              {'★'.repeat(review.rating)}
+                              <span className="text-gray-300">
+                                {'★'.repeat(5 - review.rating)}
+                              </span>
+                            </div>
+                            {review.title && (
+                              <div className="text-sm font-medium text-gray-900">
+                                {review.title}
+                              </div>
+                            )}
+                            {review.comment && (
+                              <p className="text-sm text-gray-600 line-clamp-3">
+                                {review.comment}
+                              </p>
+                            )}
+                            {review.verifiedPurchase && (
+                              <Badge variant="info" size="sm" className="mt-1">
+                                Verified purchase
+                              </Badge>
+                            )}
+                            {replyingId === review._id ? (
+                              <div className="mt-3 space-y-2">
+                                <textarea
+                                  value={replyText}
+                                  onChange={(e) => setReplyText(e.target.value)}
+                                  rows={3}
+                                  maxLength={1000}
+                                  className="input-base w-full"
+                                  placeholder="Write a public reply..."
+                                />
+                                <div className="flex space-x-2">
+                                  <Button
+                                    size="sm"
+                                    onClick={() => handleSaveReply(review._id)}
+                                    disabled={isUpdating || !replyText.trim()}
+                                  >
+                                    Save Reply
+                                  </Button>
+                                  <Button
+                                    variant="ghost"
+                                    size="sm"
+                                    onClick={() => setReplyingId(null)}
+                                  >
+                                    Cancel
+                                  </Button>
+                                </div>
+                              </div>
+                            ) : review.merchantReply?.comment ? (
+                              <div className="mt-3 border-l-2 border-gray-300 pl-3">
+                                <p className="text-xs font-semibold text-gray-700">
+                                  Merchant reply
+                                  {review.merchantReply.repliedBy &&
+                                    ` by ${review.merchantReply.repliedBy.name}`}
+                                </p>
+                                <p className="text-sm text-gray-600">
+                                  {review.merchantReply.comment}
+                                </p>
+                                <div className="flex space-x-3 mt-1 text-xs">
+                                  <button
+                                    onClick={() => startReply(review)}
+                                    className="text-primary-600 hover:text-primary-700"
+                                  >
+                                    Edit
+                                  </button>
+                                  <button
+                                    onClick={() => handleDeleteReply(review._id)}
+                                    className="text-red-600 hover:text-red-700"
+                                    disabled={isUpdating}
+                                  >
+                                    Remove
+                                  </button>
+                                </div>
+                              </div>
+                            ) : (
+                              <button
+                                onClick={() => startReply(review)}
+                                className="mt-2 block text-xs text-primary-600 hover:text-primary-700"
+                              >
+                                Reply
+                              </button>
+                            )}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm">
+                            {typeof review.product === 'object' ? (
+                              <Link
+                                href={`/products/${review.product._id}`}
+                                className="text-primary-600 hover:text-primary-700"
+                              >
+                                {review.product.name}
+                              </Link>
+                            ) : (
+                              <span className="text-gray-500">—</span>
+                            )}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <div className="text-sm text-gray-900">{review.user?.name}</div>
+                            <div className="text-sm text-gray-500">{review.user?.email}</div>
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <Badge variant={statusBadgeVariant(review.status)}>
+                              {review.status}
+                            </Badge>
+                            {review.moderatedBy && (
+                              <div className="mt-1 text-xs text-gray-500">
+                                by {review.moderatedBy.name}
+                              </div>
+                            )}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                            {new Date(review.createdAt).toLocaleDateString()}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                            <div className="flex justify-end space-x-2">
+                              {review.status !== 'approved' && (
+                                <Button
+                                  variant="ghost"
+                                  size="sm"
+                                  onClick={() => handleModerate(review._id, 'approved')}
+                                  disabled={isUpdating}
+                                >
+                                  Approve
+                                </Button>
+                              )}
+                              {review.status !== 'rejected' && (
+                                <Button
+                                  variant="ghost"
+                                  size="sm"
+                                  onClick={() => handleModerate(review._id, 'rejected')}
+                                  disabled={isUpdating}
+                                >
+                                  Reject
+                                </Button>
+                              )}
+                              {review.status !== 'spam' && (
+                                <Button
+                                  variant="ghost"
+                                  size="sm"
+                                  onClick={() => handleModerate(review._id, 'spam')}
+                                  disabled={isUpdating}
+                                >
+                                  Spam
+                                </Button>
+                              )}
+                            </div>
+                          </td>
+                        </tr>
+                      ))
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            </Card>
+
+            {/* Pagination */}
+            {pagination.pages > 1 && (
+              <div className="mt-6 flex items-center justify-between">
+                <div className="text-sm text-gray-700">
+                  Showing page {pagination.page} of {pagination.pages}
+                </div>
+                <div className="flex space-x-2">
+                  <Button
+                    variant="outline"
+                    onClick={() =>
+                      setPagination((prev) => ({ ...prev, page: prev.page - 1 }))
+                    }
+                    disabled={!pagination.hasPrev}
+                  >
+                    Previous
+                  </Button>
+                  <Button
+                    variant="outline"
+                    onClick={() =>
+                      setPagination((prev) => ({ ...prev, page: prev.page + 1 }))
+                    }
+                    disabled={!pagination.hasNext}
+                  >
+                    Next
+                  </Button>
+                </div>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </Container>
+  );
+}
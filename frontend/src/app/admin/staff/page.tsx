@@ -0,0 +1,422 @@
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import Container from '@/components/layout/Container';
+import Card from '@/components/ui/Card';
+import Button from '@/components/ui/Button';
+import Input from '@/components/ui/Input';
+import Badge from '@/components/ui/Badge';
+import Alert from '@/components/ui/Alert';
+import Spinner from '@/components/ui/Spinner';
+import { useAuth } from '@/contexts/AuthContext';
+import {
+  getPermissions,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  getStaff,
+  addStaffMember,
+  assignUserRole,
+  Permission,
+  StaffRole,
+  StaffMember,
+  RoleAssignment,
+} from '@/lib/api/admin.api';
+
+const CATEGORY_LABELS: Record<string, string> = {
+  reporting: 'Reporting',
+  orders: 'Orders',
+  catalog: 'Catalog',
+  customers: 'Customers',
+  marketing: 'Marketing',
+  settings: 'Settings',
+};
+
+const emptyRoleForm = {
+  name: '',
+  description: '',
+  permissions: [] as string[],
+};
+
+// Select values: 'admin', 'customer' (no access) or 'role:<id>' for a staff role
+const toAccessValue = (member: Pick<StaffMember, 'role' | 'staffRole'>) =>
+  member.role === 'staff' ? `role:${member.staffRole?._id || ''}` : member.role;
+
+const fromAccessValue = (value: string): RoleAssignment =>
+  value.startsWith('role:')
+    ? { role: 'staff', staffRole: value.slice('role:'.length) }
+    : { role: value as RoleAssignment['role'] };
+
+export default function AdminStaffPage() {
+  const { user } = useAuth();
+  const [staff, setStaff] = useState<StaffMember[]>([]);
+  const [roles, setRoles] = useState<StaffRole[]>([]);
+  const [permissions, setPermissions] = useState<Permission[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [success, setSuccess] = useState<string | null>(null);
+  const [newMember, setNewMember] = useState({ email: '', access: '' });
+  const [editingRoleId, setEditingRoleId] = useState<string | 'new' | null>(null);
+  const [roleForm, setRoleForm] = useState(emptyRoleForm);
+
+  const fetchData = async () => {
+    try {
+      setIsLoading(true);
+      const [staffResponse, rolesResponse, permissionsResponse] = await Promise.all([
+        getStaff(),
+        getRoles(),
+        getPermissions(),
+      ]);
+      setStaff(staffResponse.data.staff);
+      setRoles(rolesResponse.data.roles);
+      setPermissions(permissionsResponse.data.permissions);
+    } catch (err: any) {
+      setError(err.response?.data?.error?.message || 'Failed to load staff');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const runAction = async (action: () => Promise<string>) => {
+    setError(null);
+    setSuccess(null);
+    setIsSaving(true);
+
+    try {
+      setSuccess(await action());
+      await fetchData();
+    } catch (err: any) {
+      setError(err.response?.data?.error?.message || 'Action failed');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleAddMember = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!newMember.email || !newMember.access) return;
+
+    runAction(async () => {
+      await addStaffMember({ email: newMember.email, ...fromAccessValue(newMember.access) });
+      setNewMember({ email: '', access: '' });
+      return 'Staff member added';
+    });
+  };
+
+  const handleChangeAccess = (member: StaffMember, value: string) => {
+    if (value === 'customer' && !confirm(`Remove back-office access for ${member.name}?`)) {
+      return;
+    }
+
+    runAction(async () => {
+      await assignUserRole(member._id, fromAccessValue(value));
+      return value === 'customer' ? 'Access removed' : 'Access updated';
+    });
+  };
+
+  const startEditingRole = (role: StaffRole | null) => {
+    setEditingRoleId(role ? role._id : 'new');
+    setRoleForm(
+      role
+        ? { name: role.name, description: role.description || '', permissions: role.permissions }
+        : emptyRoleForm
+    );
+  };
+
+  const togglePermission = (key: string) => {
+    setRoleForm((prev) => ({
+      ...prev,
+      permissions: prev.permissions.includes(key)
+        ? prev.permissions.filter((permission) => permission !== key)
+        : [...prev.permissions, key],
+    }));
+  };
+
+  const handleSaveRole = (e: React.FormEvent) => {
+    e.preventDefault();
+
+    runAction(async () => {
+      if (editingRoleId === 'new') {
+        await createRole(roleForm);
+      } else if (editingRoleId) {
+        await updateRole(editingRoleId, roleForm);
+      }
+      setEditingRoleId(null);
+      return editingRoleId === 'new' ? 'Role created' : 'Role updated';
+    });
+  };
+
+  const handleDeleteRole = (role: StaffRole) => {
+    if (!confirm(`Delete the ${role.name} role?`)) return;
+
+    runAction(async () => {
+      await deleteRole(role._id);
+      return 'Role deleted';
+    });
+  };
+
+  const permissionsByCategory = permissions.reduce<Record<string, Permission[]>>(
+    (groups, permission) => {
+      (groups[permission.category] ||= []).push(permission);
+      return groups;
+    },
+    {}
+  );
+
+  const renderAccessOptions = () => (
+    <>
+      <option value="admin">Admin (full access)</option>
+      {roles.map((role) => (
+        <option key={role._id} value={`role:${role._id}`}>
+          {role.name}
+        </option>
+      ))}
+    </>
+  );
+
+  if (isLoading && staff.length === 0) {
+    return (
+      <Container>
+        <div className="flex justify-center items-center py-20">
+          <Spinner size="lg" />
+        </div>
+      </Container>
+    );
+  }
+
+  return (
+    <Container>
+      <div className="px-4 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900">Staff &amp; Roles</h1>
+          <p className="mt-2 text-sm text-gray-600">
+            Choose who can use the admin area and what each role is allowed to do
+          </p>
+        </div>
+
+        {error && (
+          <Alert variant="error" className="mb-6">
+            {error}
+          </Alert>
+        )}
+        {success && (
+          <Alert variant="success" className="mb-6">
+            {success}
+          </Alert>
+        )}
+
+        {/* Staff Members */}
+        <Card padding="none" className="overflow-hidden mb-8">
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h2 className="text-lg font-semibold text-gray-900">Staff Members</h2>
+            <form onSubmit={handleAddMember} className="mt-4 flex flex-wrap items-end gap-3">
+              <div className="w-full sm:w-72">
+                <Input
+                  label="Account email"
+                  type="email"
+                  placeholder="name@example.com"
+                  value={newMember.email}
+                  onChange={(e) => setNewMember({ ...newMember, email: e.target.value })}
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Access</label>
+                <select
+                  value={newMember.access}
+                  onChange={(e) => setNewMember({ ...newMember, access: e.target.value })}
+                  className="input-base"
+                  required
+                >
+                  <option value="">Select a role</option>
+                  {renderAccessOptions()}
+                </select>
+              </div>
+              <Button type="submit" isLoading={isSaving} disabled={isSaving}>
+                Add Staff Member
+              </Button>
+            </form>
+            <p className="mt-2 text-xs text-gray-500">
+              The person needs an existing customer account. They get access on their next
+              request.
+            </p>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Name
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Status
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Last Sign-in
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Access
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {staff.map((member) => {
+                  const isSelf = member._id === user?._id;
+                  return (
+                    <tr key={member._id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-sm font-medium text-gray-900">
+                          {member.name}
+                          {isSelf && <span className="ml-2 text-xs text-gray-500">(you)</span>}
+                        </div>
+                        <div className="text-sm text-gray-500">{member.email}</div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="flex gap-2">
+                          <Badge variant={member.isActive ? 'success' : 'error'}>
+                            {member.isActive ? 'Active' : 'Deactivated'}
+                          </Badge>
+                          {!member.twoFactor?.enabled && <Badge variant="warning">No 2FA</Badge>}
+                        </div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {member.lastLogin ? new Date(member.lastLogin).toLocaleString() : 'Never'}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <select
+                          value={toAccessValue(member)}
+                          onChange={(e) => handleChangeAccess(member, e.target.value)}
+                          className="input-base"
+                          disabled={isSelf || isSaving}
+                        >
+                          {member.role === 'staff' && !member.staffRole && (
+                            <option value="role:">No role assigned</option>
+                          )}
+                          {renderAccessOptions()}
+                          <option value="customer">Remove access</option>
+                        </select>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </Card>
+
+        {/* Roles */}
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-lg font-semibold text-gray-900">Roles</h2>
+          <Button variant="outline" size="sm" onClick={() => startEditingRole(null)}>
+            New Role
+          </Button>
+        </div>
+
+        {editingRoleId && (
+          <Card padding="lg" className="mb-6">
+            <form onSubmit={handleSaveRole} className="space-y-4">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <Input
+                  label="Name"
+                  value={roleForm.name}
+                  onChange={(e) => setRoleForm({ ...roleForm, name: e.target.value })}
+                  maxLength={50}
+                  required
+                />
+                <Input
+                  label="Description"
+                  value={roleForm.description}
+                  onChange={(e) => setRoleForm({ ...roleForm, description: e.target.value })}
+                  maxLength={200}
+                />
+              </div>
+              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+                {Object.entries(permissionsByCategory).map(([category, group]) => (
+                  <fieldset key={category}>
+                    <legend className="text-sm font-semibold text-gray-900 mb-2">
+                      {CATEGORY_LABELS[category] || category}
+                    </legend>
+                    <div className="space-y-2">
+                      {group.map((permission) => (
+                        <label key={permission.key} className="flex items-start gap-2 text-sm">
+                          <input
+                            type="checkbox"
+                            className="mt-1"
+                            checked={roleForm.permissions.includes(permission.key)}
+                            onChange={() => togglePermission(permission.key)}
+                          />
+                          <span>
+                            <span className="font-medium text-gray-900">{permission.name}</span>
+                            <span className="block text-xs text-gray-500">
+                              {permission.description}
+                            </span>
+                          </span>
+                        </label>
+                      ))}
+                    </div>
+                  </fieldset>
+                ))}
+              </div>
+              <div className="flex gap-3">
+                <Button type="submit" isLoading={isSaving} disabled={isSaving}>
+                  {editingRoleId === 'new' ? 'Create Role' : 'Save Role'}
+                </Button>
+                <Button type="button" variant="outline" onClick={() => setEditingRoleId(null)}>
+                  Cancel
+                </Button>
+              </div>
+            </form>
+          </Card>
+        )}
+
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+          {roles.map((role) => (
+            <Card key={role._id} padding="md">
+              <div className="flex items-start justify-between gap-2">
+                <div>
+                  <h3 className="font-semibold text-gray-900">{role.name}</h3>
+                  {role.description && (
+                    <p className="text-sm text-gray-600">{role.description}</p>
+                  )}
+                </div>
+                {role.builtIn && <Badge variant="info">Built-in</Badge>}
+              </div>
+              <p className="mt-2 text-xs text-gray-500">
+                {role.permissions.length} permission(s) · {role.memberCount} member(s)
+              </p>
+              <div className="mt-3 flex flex-wrap gap-1">
+                {role.permissions.map((permission) => (
+                  <Badge key={permission} variant="default">
+                    {permissions.find((p) => p.key === permission)?.name || permission}
+                  </Badge>
+                ))}
+              </div>
+              <div className="mt-4 flex gap-2">
+                <Button variant="outline" size="sm" onClick={() => startEditingRole(role)}>
+                  Edit
+                </Button>
+                {!role.builtIn && (
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => handleDeleteRole(role)}
+                    disabled={isSaving || role.memberCount > 0}
+                  >
+                    Delete
+                  </Button>
+                )}
+              </div>
+            </Card>
+          ))}
+        </div>
+      </div>
+    </Container>
+  );
+}
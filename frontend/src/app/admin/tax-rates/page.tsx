@@ -0,0 +1,552 @@
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import Container from '@/components/layout/Container';
+import Card from '@/components/ui/Card';
+import Button from '@/components/ui/Button';
+import Input from '@/components/ui/Input';
+import Badge from '@/components/ui/Badge';
+import Alert from '@/components/ui/Alert';
+import Spinner from '@/components/ui/Spinner';
+import {
+  getTaxRates,
+  createTaxRate,
+  updateTaxRate,
+  deleteTaxRate,
+  importTaxRates,
+  TaxRate,
+} from '@/lib/api/tax.api';
+
+const emptyRateForm = {
+  name: '',
+  country: '',
+  state: '',
+  zipPrefix: '',
+  taxClass: 'standard' as TaxRate['taxClass'],
+  rate: '',
+  isCompound: false,
+  appliesToShipping: false,
+  isActive: true,
+};
+
+const CSV_TEMPLATE = 'name,country,state,zip_prefix,tax_class,rate,compound,shipping,active';
+
+export default function AdminTaxRatesPage() {
+  const [taxRates, setTaxRates] = useState<TaxRate[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isUpdating, setIsUpdating] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [rowErrors, setRowErrors] = useState<{ row: number; message: string }[]>([]);
+  const [success, setSuccess] = useState<string | null>(null);
+  const [showRateForm, setShowRateForm] = useState(false);
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [rateForm, setRateForm] = useState(emptyRateForm);
+  const [importFile, setImportFile] = useState<File | null>(null);
+  const [replaceOnImport, setReplaceOnImport] = useState(false);
+  const [filters, setFilters] = useState({
+    country: '',
+    taxClass: '',
+    search: '',
+  });
+  const [pagination, setPagination] = useState({
+    page: 1,
+    limit: 50,
+    total: 0,
+    pages: 0,
+    hasNext: false,
+    hasPrev: false,
+  });
+
+  const fetchTaxRates = async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+      const response = await getTaxRates({
+        page: pagination.page,
+        limit: pagination.limit,
+        country: filters.country || undefined,
+        taxClass: filters.taxClass || undefined,
+        search: filters.search || undefined,
+      });
+
+      if (response.success) {
+        setTaxRates(response.data.taxRates);
+        setPagination(response.data.pagination);
+      } else {
+        setError('Failed to load tax rates');
+      }
+    } catch (err: any) {
+      setError(
+        err.response?.data?.error?.message ||
+          err.message ||
+          'An error occurred while loading tax rates'
+      );
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchTaxRates();
+  }, [pagination.page, filters.taxClass]);
+
+  const handleSearch = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (pagination.page === 1) {
+      fetchTaxRates();
+    } else {
+      setPagination((prev) => ({ ...prev, page: 1 }));
+    }
+  };
+
+  const resetMessages = () => {
+    setError(null);
+    setRowErrors([]);
+    setSuccess(null);
+  };
+
+  const closeRateForm = () => {
+    setRateForm(emptyRateForm);
+    setEditingId(null);
+    setShowRateForm(false);
+  };
+
+  const handleEdit = (taxRate: TaxRate) => {
+    setRateForm({
+      name: taxRate.name,
+      country: taxRate.country,
+      state: taxRate.state,
+      zipPrefix: taxRate.zipPrefix,
+      taxClass: taxRate.taxClass,
+      rate: taxRate.rate.toString(),
+      isCompound: taxRate.isCompound,
+      appliesToShipping: taxRate.appliesToShipping,
+      isActive: taxRate.isActive,
+    });
+    setEditingId(taxRate._id);
+    setShowRateForm(true);
+  };
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    const rate = parseFloat(rateForm.rate);
+    if (isNaN(rate) || rate < 0 || rate > 100) {
+      setError('Enter a rate between 0 and 100');
+      return;
+    }
+
+    const data = {
+      ...rateForm,
+      country: rateForm.country.trim().toUpperCase(),
+      state: rateForm.state.trim().toUpperCase(),
+      zipPrefix: rateForm.zipPrefix.trim().toUpperCase(),
+      rate,
+    };
+
+    try {
+      setIsUpdating(true);
+      resetMessages();
+
+      if (editingId) {
+        await updateTaxRate(editingId, data);
+        setSuccess(`Updated ${data.name}`);
+      } else {
+        await createTaxRate(data);
+        setSuccess(`Added ${data.name}`);
+      }
+
+      closeRateForm();
+      await fetchTaxRates();
+    } catch (err: any) {
+      setError(err.response?.data?.error?.message || 'Failed to save tax rate');
+    } finally {
+      setIsUpdating(false);
+    }
+  };
+
+  const handleDelete = async (taxRate: TaxRate) => {
+    if (!confirm(`Delete tax rate ${taxRate.name} (${taxRate.country})?`)) return;
+
+    try {
+      setIsUpdating(true);
+      resetMessages();
+      await deleteTaxRate(taxRate._id);
+      setSuccess(`Deleted ${taxRate.name}`);
+      await fetchTaxRates();
+    } catch (err: any) {
+      setError(err.response?.data?.error?.message || 'Failed to delete tax rate');
+    } finally {
+      setIsUpdating(false);
+    }
+  };
+
+  const handleImport = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!importFile) return;
+
+    if (
+      replaceOnImport &&
+      !confirm('Rates that are not in the file will be deleted. Continue?')
+    ) {
+      return;
+    }
+
+    try {
+      setIsUpdating(true);
+      resetMessages();
+      const csv = await importFile.text();
+      const response = await importTaxRates(csv, replaceOnImport);
+      const { created, updated, deleted } = response.data;
+      setSuccess(`Imported tax rates: ${created} added, ${updated} updated, ${deleted} deleted`);
+      setImportFile(null);
+      await fetchTaxRates();
+    } catch (err: any) {
+      setError(err.response?.data?.error?.message || 'Failed to import tax rates');
+      setRowErrors(err.response?.data?.error?.details?.validationErrors || []);
+    } finally {
+      setIsUpdating(false);
+    }
+  };
+
+  const formatRegion = (taxRate: TaxRate) =>
+    [taxRate.country, taxRate.state, taxRate.zipPrefix && `${taxRate.zipPrefix}*`]
+      .filter(Boolean)
+      .join(' / ');
+
+  return (
+    <Container>
+      <div className="px-4 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div className="mb-8 flex items-center justify-between">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Tax Rates</h1>
+            <p className="mt-2 text-sm text-gray-600">
+              Every active rate matching the shipping address applies; compound rates are
+              charged on top of the others
+            </p>
+          </div>
+          <Button
+            onClick={() => (showRateForm ? closeRateForm() : setShowRateForm(true))}
+          >
+            {showRateForm ? 'Close' : 'Add Tax Rate'}
+          </Button>
+        </div>
+
+        {/* Rate Form */}
+        {showRateForm && (
+          <Card padding="lg" className="mb-6">
+            <form onSubmit={handleSave} className="space-y-4">
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <Input
+                  label="Name"
+                  placeholder="e.g. CA State Tax"
+                  value={rateForm.name}
+                  onChange={(e) => setRateForm({ ...rateForm, name: e.target.value })}
+                  required
+                />
+                <Input
+                  label="Country"
+                  placeholder="US"
+                  maxLength={2}
+                  value={rateForm.country}
+                  onChange={(e) =>
+                    setRateForm({ ...rateForm, country: e.target.value.toUpperCase() })
+                  }
+                  required
+                />
+                <Input
+                  label="State (optional)"
+                  placeholder="Whole country if empty"
+                  value={rateForm.state}
+                  onChange={(e) => setRateForm({ ...rateForm, state: e.target.value })}
+                />
+                <Input
+                  label="ZIP prefix (optional)"
+                  placeholder="Whole state if empty"
+                  value={rateForm.zipPrefix}
+                  onChange={(e) => setRateForm({ ...rateForm, zipPrefix: e.target.value })}
+                />
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Tax Class
+                  </label>
+                  <select
+                    value={rateForm.taxClass}
+                    onChange={(e) =>
+                      setRateForm({
+                        ...rateForm,
+                        taxClass: e.target.value as TaxRate['taxClass'],
+                      })
+                    }
+                    className="input-base"
+                  >
+                    <option value="standard">Standard</option>
+                    <option value="reduced">Reduced</option>
+                  </select>
+                </div>
+                <Input
+                  label="Rate (%)"
+                  type="number"
+                  min="0"
+                  max="100"
+                  step="0.001"
+                  value={rateForm.rate}
+                  onChange={(e) => setRateForm({ ...rateForm, rate: e.target.value })}
+                  required
+                />
+              </div>
+
+              <div className="flex flex-wrap gap-6">
+                <label className="flex items-center space-x-2 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={rateForm.isCompound}
+                    onChange={(e) => setRateForm({ ...rateForm, isCompound: e.target.checked })}
+                  />
+                  <span className="text-sm text-gray-700">Compound</span>
+                </label>
+                <label className="flex items-center space-x-2 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={rateForm.appliesToShipping}
+                    onChange={(e) =>
+                      setRateForm({ ...rateForm, appliesToShipping: e.target.checked })
+                    }
+                  />
+                  <span className="text-sm text-gray-700">Charge on shipping</span>
+                </label>
+                <label className="flex items-center space-x-2 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={rateForm.isActive}
+                    onChange={(e) => setRateForm({ ...rateForm, isActive: e.target.checked })}
+                  />
+                  <span className="text-sm text-gray-700">Active</span>
+                </label>
+              </div>
+
+              <Button type="submit" isLoading={isUpdating} disabled={isUpdating}>
+                {editingId ? 'Save Changes' : 'Add Tax Rate'}
+              </Button>
+            </form>
+          </Card>
+        )}
+
+        {/* CSV Import */}
+        <Card padding="md" className="mb-6">
+          <form onSubmit={handleImport} className="space-y-3">
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900">Import from CSV</h2>
+              <p className="mt-1 text-sm text-gray-600">
+                Columns: <span className="font-mono">{CSV_TEMPLATE}</span>. Rows with the same
+                region, class and name update the existing rate.
+              </p>
+            </div>
+            <div className="flex flex-wrap items-center gap-4">
+              <input
+                type="file"
+                accept=".csv,text/csv"
+                onChange={(e) => setImportFile(e.target.files?.[0] || null)}
+                className="text-sm text-gray-700"
+              />
+              <label className="flex items-center space-x-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={replaceOnImport}
+                  onChange={(e) => setReplaceOnImport(e.target.checked)}
+                />
+                <span className="text-sm text-gray-700">Delete rates missing from the file</span>
+              </label>
+              <Button
+                type="submit"
+                variant="outline"
+                isLoading={isUpdating}
+                disabled={!importFile || isUpdating}
+              >
+                Import
+              </Button>
+            </div>
+          </form>
+        </Card>
+
+        {/* Filters */}
+        <Card padding="md" className="mb-6">
+          <form onSubmit={handleSearch} className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            <Input
+              placeholder="Search name..."
+              value={filters.search}
+              onChange={(e) => setFilters({ ...filters, search: e.target.value })}
+            />
+            <Input
+              placeholder="Country"
+              maxLength={2}
+              value={filters.country}
+              onChange={(e) => setFilters({ ...filters, country: e.target.value.toUpperCase() })}
+            />
+            <select
+              value={filters.taxClass}
+              onChange={(e) => {
+                setFilters({ ...filters, taxClass: e.target.value });
+                setPagination((prev) => ({ ...prev, page: 1 }));
+              }}
+              className="input-base"
+            >
+              <option value="">All Classes</option>
+              <option value="standard">Standard</option>
+              <option value="reduced">Reduced</option>
+            </select>
+            <Button type="submit" variant="outline">
+              Search
+            </Button>
+          </form>
+        </Card>
+
+        {error && (
+          <Alert variant="error" className="mb-6">
+            {error}
+            {rowErrors.length > 0 && (
+              <ul className="mt-2 list-disc list-inside">
+                {rowErrors.map((rowError) => (
+                  <li key={rowError.row}>
+                    Row {rowError.row}: {rowError.message}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </Alert>
+        )}
+
+        {success && (
+          <Alert variant="success" className="mb-6">
+            {success}
+          </Alert>
+        )}
+
+        {isLoading ? (
+          <div className="flex justify-center items-center py-20">
+            <Spinner size="lg" />
+          </div>
+        ) : (
+          <>
+            {/* Tax Rates Table */}
+            <Card padding="none" className="overflow-hidden">
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Name
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Region
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Class
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Rate
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Status
+                      </th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Actions
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {taxRates.length === 0 ? (
+                      <tr>
+                        <td colSpan={6} className="px-6 py-12 text-center">
+                          <p className="text-gray-500">No tax rates found</p>
+                        </td>
+                      </tr>
+                    ) : (
+                      taxRates.map((taxRate) => (
+                        <tr key={taxRate._id} className="hover:bg-gray-50">
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                            {taxRate.name}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm font-mono text-gray-900">
+                            {formatRegion(taxRate)}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 capitalize">
+                            {taxRate.taxClass}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                            {taxRate.rate}%
+                            <div className="text-xs text-gray-500">
+                              {[
+                                taxRate.isCompound && 'compound',
+                                taxRate.appliesToShipping && 'incl. shipping',
+                              ]
+                                .filter(Boolean)
+                                .join(', ')}
+                            </div>
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <Badge variant={taxRate.isActive ? 'success' : 'default'}>
+                              {taxRate.isActive ? 'active' : 'inactive'}
+                            </Badge>
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              onClick={() => handleEdit(taxRate)}
+                              disabled={isUpdating}
+                            >
+                              Edit
+                            </Button>
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              onClick={() => handleDelete(taxRate)}
+                              disabled={isUpdating}
+                            >
+                              Delete
+                            </Button>
+                          </td>
+                        </tr>
+                      ))
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            </Card>
+
+            {/* Pagination */}
+            {pagination.pages > 1 && (
+              <div className="mt-6 flex items-center justify-between">
+                <div className="text-sm text-gray-700">
+                  Showing page {pagination.page} of {pagination.pages}
+                </div>
+                <div className="flex space-x-2">
+                  <Button
+                    variant="outline"
+                    onClick={() =>
+                      setPagination((prev) => ({ ...prev, page: prev.page - 1 }))
+                    }
+                    disabled={!pagination.hasPrev}
+                  >
+                    Previous
+                  </Button>
+                  <Button
+                    variant="outline"
+                    onClick={() =>
+                      setPagination((prev) => ({ ...prev, page: prev.page + 1 }))
+                    }
+                    disabled={!pagination.hasNext}
+                  >
+                    Next
+                  </Button>
+                </div>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </Container>
+  );
+}
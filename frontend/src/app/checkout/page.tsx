@@ -2,6 +2,7 @@
 
 import React, { useEffect, useState } from 'react';
 import { useRouter } from 'next/navigation';
+import Link from 'next/link';
 import Section from '@/components/layout/Section';
 import Container from '@/components/layout/Container';
 import Button from '@/components/ui/Button';
@@ -9,9 +10,16 @@ import Input from '@/components/ui/Input';
 import Card from '@/components/ui/Card';
 import Alert from '@/components/ui/Alert';
 import Spinner from '@/components/ui/Spinner';
-import ProtectedRoute from '@/components/auth/ProtectedRoute';
+import { useAuth } from '@/contexts/AuthContext';
 import { getCartSummary, CartSummary } from '@/lib/api/cart.api';
 import { createOrder } from '@/lib/api/orders.api';
+import { checkGiftCardBalance } from '@/lib/api/gift-cards.api';
+import { getCheckoutQuote, CheckoutQuote } from '@/lib/api/checkout.api';
+import { getLoyaltyAccount, LoyaltyAccount } from '@/lib/api/loyalty.api';
+import { getAddresses, SavedAddress } from '@/lib/api/auth.api';
+import { useFeature } from '@/hooks/useFeatureToggle';
+import { FeatureGate } from '@/components/features/FeatureGate';
+import { FEATURE_FLAGS } from '@/config/feature-flags';
 import { formatCurrency } from '@/lib/utils';
 import { loadStripe } from '@stripe/stripe-js';
 import {
@@ -44,12 +52,32 @@ interface CheckoutFormData {
     phone: string;
   };
   useShippingForBilling: boolean;
-  shippingMethod: string;
-  shippingCost: number;
-  tax: number;
+  // Rate the customer picked; the quote falls back to the first rate on offer
+  shippingRateId: string;
   notes: string;
 }
 
+type AddressSection = 'shippingAddress' | 'billingAddress';
+
+/**
+ * Convert a saved address into checkout form fields
+ */
+const toFormAddress = (address: SavedAddress): CheckoutFormData['shippingAddress'] => ({
+  name: address.name,
+  street: address.street,
+  city: address.city,
+  state: address.state,
+  zipCode: address.zipCode,
+  country: address.country,
+  phone: address.phone || '',
+});
+
+interface AppliedGiftCard {
+  code: string;
+  maskedCode: string;
+  balance: number;
+}
+
 const CheckoutForm: React.FC<{
   cartSummary: CartSummary;
   onOrderCreated: (orderId: string) => void;
@@ -57,8 +85,25 @@ const CheckoutForm: React.FC<{
   const router = useRouter();
   const stripe = useStripe();
   const elements = useElements();
+  const { isAuthenticated } = useAuth();
+  // Contact email for guest checkout
+  const [email, setEmail] = useState('');
   const [isProcessing, setIsProcessing] = useState(false);
   const [error, setError] = useState<string | null>(null);
+  const [giftCardCode, setGiftCardCode] = useState('');
+  const [giftCardError, setGiftCardError] = useState<string | null>(null);
+  const [isCheckingGiftCard, setIsCheckingGiftCard] = useState(false);
+  const [appliedGiftCards, setAppliedGiftCards] = useState<AppliedGiftCard[]>([]);
+  const { enabled: isLoyaltyEnabled } = useFeature(FEATURE_FLAGS.LOYALTY_PROGRAM);
+  const [loyaltyAccount, setLoyaltyAccount] = useState<LoyaltyAccount | null>(null);
+  const [pointsToRedeem, setPointsToRedeem] = useState('');
+  const [savedAddresses, setSavedAddresses] = useState<SavedAddress[]>([]);
+  // Saved address currently filled into each section ('' once edited by hand)
+  const [selectedAddressIds, setSelectedAddressIds] = useState<Record<AddressSection, string>>({
+    shippingAddress: '',
+    billingAddress: '',
+  });
+  const [saveAddress, setSaveAddress] = useState(false);
   const [formData, setFormData] = useState<CheckoutFormData>({
     shippingAddress: {
       name: '',
@@ -79,16 +124,18 @@ const CheckoutForm: React.FC<{
       phone: '',
     },
     useShippingForBilling: true,
-    shippingMethod: 'standard',
-    shippingCost: 10.0,
-    tax: cartSummary.subtotal * 0.08, // 8% tax
+    shippingRateId: '',
     notes: '',
   });
+  // Prices come from the server; the order is charged exactly what the quote shows
+  const [quote, setQuote] = useState<CheckoutQuote | null>(null);
+  const [quoteError, setQuoteError] = useState<string | null>(null);
+  const [isQuoting, setIsQuoting] = useState(true);
 
   const handleInputChange = (
     field: string,
     value: string,
-    section: 'shippingAddress' | 'billingAddress'
+    section: AddressSection
   ) => {
     setFormData((prev) => ({
       ...prev,
@@ -97,6 +144,113 @@ const CheckoutForm: React.FC<{
         [field]: value,
       },
     }));
+    setSelectedAddressIds((prev) => ({ ...prev, [section]: '' }));
+  };
+
+  const handleSelectAddress = (addressId: string, section: AddressSection) => {
+    const address = savedAddresses.find((addr) => addr._id === addressId);
+    setSelectedAddressIds((prev) => ({ ...prev, [section]: addressId }));
+    if (address) {
+      setFormData((prev) => ({ ...prev, [section]: toFormAddress(address) }));
+    }
+  };
+
+  // Pre-fill the form with the default shipping and billing addresses
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    getAddresses()
+      .then((response) => {
+        if (!response.success) return;
+
+        const addresses = response.data.addresses;
+        setSavedAddresses(addresses);
+
+        const shipping = addresses.find((addr) => addr.isDefault);
+        const billing = addresses.find((addr) => addr.isDefaultBilling);
+        if (!shipping) return;
+
+        const separateBilling = !!billing && billing._id !== shipping._id;
+        setFormData((prev) => ({
+          ...prev,
+          shippingAddress: toFormAddress(shipping),
+          billingAddress: separateBilling ? toFormAddress(billing) : prev.billingAddress,
+          useShippingForBilling: !separateBilling,
+        }));
+        setSelectedAddressIds({
+          shippingAddress: shipping._id,
+          billingAddress: separateBilling ? billing._id : '',
+        });
+      })
+      .catch(() => setSavedAddresses([]));
+  }, [isAuthenticated]);
+
+  const renderAddressPicker = (section: AddressSection) =>
+    savedAddresses.length > 0 && (
+      <div className="mb-4">
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          Saved addresses
+        </label>
+        <select
+          value={selectedAddressIds[section]}
+          onChange={(e) => handleSelectAddress(e.target.value, section)}
+          className="input-base"
+        >
+          <option value="">Enter a new address</option>
+          {savedAddresses.map((address) => (
+            <option key={address._id} value={address._id}>
+              {address.name} — {address.street}, {address.city}
+            </option>
+          ))}
+        </select>
+      </div>
+    );
+
+  useEffect(() => {
+    if (!isLoyaltyEnabled || !isAuthenticated) return;
+
+    getLoyaltyAccount()
+      .then((response) => {
+        if (response.success) {
+          setLoyaltyAccount(response.data.account);
+        }
+      })
+      .catch(() => setLoyaltyAccount(null));
+  }, [isLoyaltyEnabled, isAuthenticated]);
+
+  const handleApplyGiftCard = async () => {
+    const code = giftCardCode.trim().toUpperCase();
+    if (!code) return;
+
+    if (appliedGiftCards.some((card) => card.code === code)) {
+      setGiftCardError('This gift card has already been applied');
+      return;
+    }
+
+    try {
+      setIsCheckingGiftCard(true);
+      setGiftCardError(null);
+      const response = await checkGiftCardBalance(code);
+
+      if (!response.data.isRedeemable) {
+        setGiftCardError('This gift card has no balance or has expired');
+        return;
+      }
+
+      setAppliedGiftCards((prev) => [
+        ...prev,
+        { code, maskedCode: response.data.code, balance: response.data.balance },
+      ]);
+      setGiftCardCode('');
+    } catch (err: any) {
+      setGiftCardError(err.response?.data?.error?.message || 'Gift card not found');
+    } finally {
+      setIsCheckingGiftCard(false);
+    }
+  };
+
+  const handleRemoveGiftCard = (code: string) => {
+    setAppliedGiftCards((prev) => prev.filter((card) => card.code !== code));
   };
 
   const handleSubmit = async (e: React.FormEvent) => {
@@ -116,10 +270,14 @@ const CheckoutForm: React.FC<{
         billingAddress: formData.useShippingForBilling
           ? formData.shippingAddress
           : formData.billingAddress,
-        shippingMethod: formData.shippingMethod,
-        shippingCost: formData.shippingCost,
-        tax: formData.tax,
+        // The rate the quote is charging, as shown in the summary
+        shippingRateId: quote?.shipping?.rateId || '',
+        giftCardCodes:
+          appliedGiftCards.length > 0 ? appliedGiftCards.map((card) => card.code) : undefined,
+        loyaltyPoints: loyaltyPoints > 0 ? loyaltyPoints : undefined,
+        saveAddress: isAuthenticated && saveAddress && !selectedAddressIds.shippingAddress,
         notes: formData.notes || undefined,
+        email: isAuthenticated ? undefined : email,
       };
 
       const orderResponse = await createOrder(orderData);
@@ -143,7 +301,57 @@ const CheckoutForm: React.FC<{
     }
   };
 
-  const total = cartSummary.subtotal + formData.shippingCost + formData.tax;
+  const loyaltyPoints = Math.min(
+    parseInt(pointsToRedeem, 10) || 0,
+    loyaltyAccount?.balance || 0
+  );
+  const pointsBelowMinimum =
+    !!loyaltyAccount &&
+    loyaltyPoints > 0 &&
+    loyaltyPoints < loyaltyAccount.program.minRedemptionPoints;
+  const quotedPoints = pointsBelowMinimum ? 0 : loyaltyPoints;
+
+  // Re-price whenever an input to the price changes (debounced for typing)
+  useEffect(() => {
+    setIsQuoting(true);
+    const timer = setTimeout(() => {
+      getCheckoutQuote({
+        shippingRateId: formData.shippingRateId || undefined,
+        giftCardCodes:
+          appliedGiftCards.length > 0 ? appliedGiftCards.map((card) => card.code) : undefined,
+        loyaltyPoints: quotedPoints > 0 ? quotedPoints : undefined,
+        shippingAddress: {
+          country: formData.shippingAddress.country,
+          state: formData.shippingAddress.state,
+          zipCode: formData.shippingAddress.zipCode,
+        },
+      })
+        .then((response) => {
+          setQuote(response.data.quote);
+          setQuoteError(null);
+        })
+        .catch((err: any) => {
+          setQuote(null);
+          setQuoteError(
+            err.response?.data?.error?.message || 'Failed to calculate your order total'
+          );
+        })
+        .finally(() => setIsQuoting(false));
+    }, 300);
+
+    return () => clearTimeout(timer);
+  }, [
+    formData.shippingRateId,
+    formData.shippingAddress.country,
+    formData.shippingAddress.state,
+    formData.shippingAddress.zipCode,
+    appliedGiftCards,
+    quotedPoints,
+  ]);
+
+  // Everything before the total; gift cards are shown as payments after it
+  const priceLines = quote?.breakdown.filter((line) => line.type !== 'gift_card') || [];
+  const giftCardLines = quote?.breakdown.filter((line) => line.type === 'gift_card') || [];
 
   return (
     <form onSubmit={handleSubmit} className="space-y-8">
@@ -153,12 +361,41 @@ const CheckoutForm: React.FC<{
         </Alert>
       )}
 
+      {/* Contact (guest checkout) */}
+      {!isAuthenticated && (
+        <Card padding="lg">
+          <Card.Header>
+            <Card.Title>Contact</Card.Title>
+          </Card.Header>
+          <Card.Content>
+            <Input
+              label="Email"
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              required
+            />
+            <p className="mt-2 text-sm text-gray-600">
+              We&apos;ll send your order updates here.{' '}
+              <Link
+                href={`/login?returnUrl=${encodeURIComponent('/checkout')}`}
+                className="font-medium text-black hover:underline"
+              >
+                Sign in
+              </Link>{' '}
+              to use your saved addresses and loyalty points.
+            </p>
+          </Card.Content>
+        </Card>
+      )}
+
       {/* Shipping Address */}
       <Card padding="lg">
         <Card.Header>
           <Card.Title>Shipping Address</Card.Title>
         </Card.Header>
         <Card.Content>
+          {renderAddressPicker('shippingAddress')}
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
             <Input
               label="Full Name"
@@ -219,6 +456,19 @@ const CheckoutForm: React.FC<{
               required
             />
           </div>
+          {isAuthenticated && !selectedAddressIds.shippingAddress && (
+            <label className="mt-4 flex items-center space-x-2 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={saveAddress}
+                onChange={(e) => setSaveAddress(e.target.checked)}
+                className="rounded border-gray-300 text-black focus:ring-black"
+              />
+              <span className="text-sm text-gray-700">
+                Save this address to my address book
+              </span>
+            </label>
+          )}
         </Card.Content>
       </Card>
 
@@ -247,6 +497,7 @@ const CheckoutForm: React.FC<{
         </Card.Header>
         {!formData.useShippingForBilling && (
           <Card.Content>
+            {renderAddressPicker('billingAddress')}
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
               <Input
                 label="Full Name"
@@ -311,6 +562,143 @@ const CheckoutForm: React.FC<{
         )}
       </Card>
 
+      {/* Shipping Method */}
+      {quote && (
+        <Card padding="lg">
+          <Card.Header>
+            <Card.Title>Shipping Method</Card.Title>
+          </Card.Header>
+          <Card.Content>
+            {quote.shippingRates.length === 0 ? (
+              <Alert variant="warning">{quote.shippingError}</Alert>
+            ) : (
+              <div className="space-y-3">
+                {quote.shippingRates.map((rate) => (
+                  <label
+                    key={rate.id}
+                    className="flex items-center justify-between gap-3 cursor-pointer"
+                  >
+                    <span className="flex items-center gap-3">
+                      <input
+                        type="radio"
+                        name="shippingRateId"
+                        value={rate.id}
+                        checked={quote.shipping?.rateId === rate.id}
+                        onChange={() =>
+                          setFormData((prev) => ({ ...prev, shippingRateId: rate.id }))
+                        }
+                        className="w-4 h-4 text-black border-gray-300 focus:ring-black"
+                      />
+                      <span>
+                        <span className="block text-gray-900">{rate.name}</span>
+                        {rate.deliveryEstimate && (
+                          <span className="block text-sm text-gray-500">
+                            {rate.deliveryEstimate}
+                          </span>
+                        )}
+                      </span>
+                    </span>
+                    <span className="text-gray-600">
+                      {rate.cost === 0 ? 'Free' : formatCurrency(rate.cost)}
+                    </span>
+                  </label>
+                ))}
+              </div>
+            )}
+          </Card.Content>
+        </Card>
+      )}
+
+      {/* Gift Cards */}
+      <FeatureGate featureKey={FEATURE_FLAGS.GIFT_CARDS}>
+        <Card padding="lg">
+          <Card.Header>
+            <Card.Title>Gift Cards</Card.Title>
+          </Card.Header>
+          <Card.Content>
+            <div className="flex gap-2">
+              <Input
+                placeholder="Enter gift card code"
+                value={giftCardCode}
+                onChange={(e) => setGiftCardCode(e.target.value)}
+                error={giftCardError || undefined}
+                className="flex-1"
+              />
+              <Button
+                type="button"
+                variant="outline"
+                onClick={handleApplyGiftCard}
+                isLoading={isCheckingGiftCard}
+                disabled={!giftCardCode.trim() || isCheckingGiftCard}
+              >
+                Apply
+              </Button>
+            </div>
+            {appliedGiftCards.length > 0 && (
+              <ul className="mt-4 space-y-2">
+                {appliedGiftCards.map((card) => (
+                  <li
+                    key={card.code}
+                    className="flex justify-between items-center text-sm text-gray-700"
+                  >
+                    <span>
+                      {card.maskedCode} ({formatCurrency(card.balance)} available)
+                    </span>
+                    <button
+                      type="button"
+                      onClick={() => handleRemoveGiftCard(card.code)}
+                      className="text-red-600 hover:text-red-700"
+                    >
+                      Remove
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </Card.Content>
+        </Card>
+      </FeatureGate>
+
+      {/* Loyalty Points */}
+      <FeatureGate featureKey={FEATURE_FLAGS.LOYALTY_PROGRAM}>
+        {loyaltyAccount && loyaltyAccount.balance > 0 && (
+          <Card padding="lg">
+            <Card.Header>
+              <Card.Title>Loyalty Points</Card.Title>
+            </Card.Header>
+            <Card.Content>
+              <p className="text-sm text-gray-600 mb-4">
+                You have {loyaltyAccount.balance.toLocaleString()} points worth{' '}
+                {formatCurrency(loyaltyAccount.pointsValue)}.
+              </p>
+              <div className="flex gap-2">
+                <Input
+                  type="number"
+                  min={0}
+                  max={loyaltyAccount.balance}
+                  placeholder="Points to use"
+                  value={pointsToRedeem}
+                  onChange={(e) => setPointsToRedeem(e.target.value)}
+                  error={
+                    pointsBelowMinimum
+                      ? `Redeem at least ${loyaltyAccount.program.minRedemptionPoints} points`
+                      : undefined
+                  }
+                  className="flex-1"
+                />
+                <Button
+                  type="button"
+                  variant="outline"
+                  onClick={() => setPointsToRedeem(String(loyaltyAccount.balance))}
+                >
+                  Use all
+                </Button>
+              </div>
+            </Card.Content>
+          </Card>
+        )}
+      </FeatureGate>
+
       {/* Order Summary */}
       <Card padding="lg">
         <Card.Header>
@@ -337,25 +725,44 @@ const CheckoutForm: React.FC<{
               </div>
             ))}
             <div className="divider" />
-            <div className="space-y-2">
-              <div className="flex justify-between text-gray-600">
-                <span>Subtotal</span>
-                <span>{formatCurrency(cartSummary.subtotal)}</span>
-              </div>
-              <div className="flex justify-between text-gray-600">
-                <span>Shipping</span>
-                <span>{formatCurrency(formData.shippingCost)}</span>
-              </div>
-              <div className="flex justify-between text-gray-600">
-                <span>Tax</span>
-                <span>{formatCurrency(formData.tax)}</span>
+            {quoteError && <Alert variant="error">{quoteError}</Alert>}
+            {!quote && !quoteError && (
+              <div className="flex justify-center py-4">
+                <Spinner size="md" />
               </div>
-              <div className="divider" />
-              <div className="flex justify-between text-lg font-semibold text-gray-900">
-                <span>Total</span>
-                <span>{formatCurrency(total)}</span>
+            )}
+            {quote && (
+              <div className={`space-y-2 ${isQuoting ? 'opacity-60' : ''}`}>
+                {priceLines.map((line) => (
+                  <div key={line.label} className="flex justify-between text-gray-600">
+                    <span>{line.label}</span>
+                    <span>
+                      {line.amount < 0 && '-'}
+                      {formatCurrency(Math.abs(line.amount))}
+                    </span>
+                  </div>
+                ))}
+                <div className="divider" />
+                <div className="flex justify-between text-lg font-semibold text-gray-900">
+                  <span>Total</span>
+                  <span>{formatCurrency(quote.total)}</span>
+                </div>
+                {giftCardLines.length > 0 && (
+                  <>
+                    {giftCardLines.map((line) => (
+                      <div key={line.label} className="flex justify-between text-gray-600">
+                        <span>{line.label}</span>
+                        <span>-{formatCurrency(Math.abs(line.amount))}</span>
+                      </div>
+                    ))}
+                    <div className="flex justify-between font-semibold text-gray-900">
+                      <span>Amount due</span>
+                      <span>{formatCurrency(quote.amountDue)}</span>
+                    </div>
+                  </>
+                )}
               </div>
-            </div>
+            )}
           </div>
         </Card.Content>
       </Card>
@@ -368,7 +775,9 @@ const CheckoutForm: React.FC<{
           size="lg"
           fullWidth
           isLoading={isProcessing}
-          disabled={!stripe || isProcessing}
+          disabled={
+            !stripe || isProcessing || pointsBelowMinimum || !quote?.shipping || isQuoting
+          }
         >
           Place Order
         </Button>
@@ -378,6 +787,7 @@ const CheckoutForm: React.FC<{
 };
 
 export default function CheckoutPage() {
+  const { isLoading: isAuthLoading } = useAuth();
   const [cartSummary, setCartSummary] = useState<CartSummary | null>(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
@@ -409,8 +819,11 @@ export default function CheckoutPage() {
       }
     };
 
-    fetchCartSummary();
-  }, []);
+    // Wait for auth so signed-in customers see their account cart
+    if (!isAuthLoading) {
+      fetchCartSummary();
+    }
+  }, [isAuthLoading]);
 
   if (isLoading) {
     return (
@@ -437,8 +850,7 @@ export default function CheckoutPage() {
   }
 
   return (
-    <ProtectedRoute requireAuth>
-      <Section padding="lg">
+    <Section padding="lg">
       <Container size="lg">
         <div className="mb-8">
           <h1 className="text-3xl md:text-4xl font-bold text-gray-900 mb-2">
@@ -459,7 +871,6 @@ export default function CheckoutPage() {
         </Elements>
       </Container>
     </Section>
-    </ProtectedRoute>
   );
 }
 
@@ -0,0 +1,112 @@
+'use client';
+
+import React, { useState } from 'react';
+import Link from 'next/link';
+import Section from '@/components/layout/Section';
+import Container from '@/components/layout/Container';
+import Card from '@/components/ui/Card';
+import Button from '@/components/ui/Button';
+import Input from '@/components/ui/Input';
+import Alert from '@/components/ui/Alert';
+import { forgotPassword } from '@/lib/api/auth.api';
+
+export default function ForgotPasswordPage() {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const [submitted, setSubmitted] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError(null);
+    setIsSubmitting(true);
+
+    try {
+      await forgotPassword(email);
+      setSubmitted(true);
+    } catch (err: any) {
+      setError(
+        err.response?.data?.error?.message ||
+          err.message ||
+          'Failed to send reset link. Please try again.'
+      );
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Section padding="lg" background="gray">
+      <Container size="sm">
+        <div className="max-w-md mx-auto">
+          <div className="text-center mb-8">
+            <h1 className="text-3xl font-bold text-gray-900 mb-2">Forgot password</h1>
+            <p className="text-gray-600">
+              Enter your email and we&apos;ll send you a link to reset your password
+            </p>
+          </div>
+
+          <Card padding="lg">
+            {submitted ? (
+              <div className="space-y-6">
+                <Alert variant="success">
+                  If an account exists for {email}, a password reset link is on its way.
+                  Check your inbox.
+                </Alert>
+                <Link href="/login">
+                  <Button variant="primary" size="lg" fullWidth>
+                    Back to sign in
+                  </Button>
+                </Link>
+              </div>
+            ) : (
+              <>
+                {error && (
+                  <Alert variant="error" className="mb-6">
+                    {error}
+                  </Alert>
+                )}
+
+                <form onSubmit={handleSubmit} className="space-y-6">
+                  <Input
+                    label="Email address"
+                    type="email"
+                    name="email"
+                    value={email}
+                    onChange={(e) => {
+                      setEmail(e.target.value);
+                      setError(null);
+                    }}
+                    required
+                    autoComplete="email"
+                    placeholder="you@example.com"
+                  />
+
+                  <Button
+                    type="submit"
+                    variant="primary"
+                    size="lg"
+                    fullWidth
+                    isLoading={isSubmitting}
+                    disabled={isSubmitting}
+                  >
+                    Send reset link
+                  </Button>
+                </form>
+
+                <div className="mt-6 text-center">
+                  <Link
+                    href="/login"
+                    className="text-sm text-black hover:text-gray-800 font-medium underline"
+                  >
+                    Back to sign in
+                  </Link>
+                </div>
+              </>
+            )}
+          </Card>
+        </div>
+      </Container>
+    </Section>
+  );
+}
@@ -5,6 +5,7 @@ import Header from '@/components/layout/Header';
 import Footer from '@/components/layout/Footer';
 import { AuthProvider } from '@/contexts/AuthContext';
 import { CartProvider } from '@/contexts/CartContext';
+import { WishlistProvider } from '@/contexts/WishlistContext';
 import { InstallPrompt } from '@/components/pwa/InstallPrompt';
 import { generateOrganizationStructuredData } from '@/lib/seo';
 import { ToastProvider } from '@/components/ui/ToastProvider';
@@ -145,12 +146,14 @@ export default function RootLayout({
       <body className="min-h-screen flex flex-col antialiased">
         <AuthProvider>
           <CartProvider>
-            <ToastProvider>
-              <Header />
-              <main className="flex-1">{children}</main>
-              <Footer />
-              <InstallPrompt />
-            </ToastProvider>
+            <WishlistProvider>
+              <ToastProvider>
+                <Header />
+                <main className="flex-1">{children}</main>
+                <Footer />
+                <InstallPrompt />
+              </ToastProvider>
+            </WishlistProvider>
           </CartProvider>
         </AuthProvider>
       </body>
@@ -15,13 +15,22 @@ import { LoginData } from '@/lib/api/auth.api';
 
 export default function LoginPage() {
   const router = useRouter();
-  const { login, isAuthenticated, isLoading: authLoading } = useAuth();
+  const {
+    login,
+    completeTwoFactorLogin,
+    isAuthenticated,
+    isLoading: authLoading,
+  } = useAuth();
   const [formData, setFormData] = useState<LoginData>({
     email: '',
     password: '',
   });
   const [error, setError] = useState<string | null>(null);
   const [isSubmitting, setIsSubmitting] = useState(false);
+  // Second step for accounts with two-factor authentication
+  const [challengeToken, setChallengeToken] = useState<string | null>(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
 
   // Redirect if already authenticated
   useEffect(() => {
@@ -45,8 +54,11 @@ export default function LoginPage() {
     setIsSubmitting(true);
 
     try {
-      await login(formData);
-      // Redirect handled in login function
+      const result = await login(formData);
+      if (result.twoFactorRequired && result.challengeToken) {
+        setChallengeToken(result.challengeToken);
+      }
+      // Otherwise redirect handled in login function
     } catch (err: any) {
       setError(
         err.response?.data?.error?.message ||
@@ -58,6 +70,41 @@ export default function LoginPage() {
     }
   };
 
+  const handleTwoFactorSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!challengeToken) return;
+
+    setError(null);
+    setIsSubmitting(true);
+
+    try {
+      await completeTwoFactorLogin({
+        challengeToken,
+        ...(useRecoveryCode
+          ? { recoveryCode: twoFactorCode.trim() }
+          : { code: twoFactorCode.replace(/\s/g, '') }),
+      });
+    } catch (err: any) {
+      const message = err.response?.data?.error?.message || err.message || 'Verification failed';
+      setError(message);
+      setTwoFactorCode('');
+
+      // Challenge expired: start over from the password step
+      if (err.response?.status === 401 && message.includes('sign in again')) {
+        setChallengeToken(null);
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleBackToPassword = () => {
+    setChallengeToken(null);
+    setTwoFactorCode('');
+    setUseRecoveryCode(false);
+    setError(null);
+  };
+
   if (authLoading) {
     return null; // Or show a loading spinner
   }
@@ -92,50 +139,108 @@ export default function LoginPage() {
               </Alert>
             )}
 
-            <form onSubmit={handleSubmit} className="space-y-6">
-              <Input
-                label="Email address"
-                type="email"
-                name="email"
-                value={formData.email}
-                onChange={handleChange}
-                required
-                autoComplete="email"
-                placeholder="you@example.com"
-              />
-
-              <div>
+            {challengeToken ? (
+              <form onSubmit={handleTwoFactorSubmit} className="space-y-6">
+                <p className="text-sm text-gray-600">
+                  {useRecoveryCode
+                    ? 'Enter one of the recovery codes you saved when you set up two-factor authentication.'
+                    : 'Enter the 6-digit code from your authenticator app.'}
+                </p>
+
                 <Input
-                  label="Password"
-                  type="password"
-                  name="password"
-                  value={formData.password}
-                  onChange={handleChange}
+                  label={useRecoveryCode ? 'Recovery code' : 'Authentication code'}
+                  type="text"
+                  name="twoFactorCode"
+                  value={twoFactorCode}
+                  onChange={(e) => {
+                    setTwoFactorCode(e.target.value);
+                    setError(null);
+                  }}
                   required
-                  autoComplete="current-password"
-                  placeholder="Enter your password"
+                  autoFocus
+                  autoComplete="one-time-code"
+                  inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                  placeholder={useRecoveryCode ? 'xxxx-xxxx-xxxx-xxxx' : '123456'}
                 />
-                <div className="mt-2 text-right">
-                  <Link
-                    href="/forgot-password"
-                    className="text-sm text-black hover:text-gray-800 font-medium underline"
+
+                <Button
+                  type="submit"
+                  variant="primary"
+                  size="lg"
+                  fullWidth
+                  isLoading={isSubmitting}
+                  disabled={isSubmitting}
+                >
+                  Verify
+                </Button>
+
+                <div className="flex justify-between text-sm">
+                  <button
+                    type="button"
+                    onClick={() => {
+                      setUseRecoveryCode((prev) => !prev);
+                      setTwoFactorCode('');
+                      setError(null);
+                    }}
+                    className="text-black hover:text-gray-800 font-medium underline"
+                  >
+                    {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={handleBackToPassword}
+                    className="text-gray-600 hover:text-gray-800"
                   >
-                    Forgot password?
-                  </Link>
+                    Back
+                  </button>
                 </div>
-              </div>
+              </form>
+            ) : (
+              <form onSubmit={handleSubmit} className="space-y-6">
+                <Input
+                  label="Email address"
+                  type="email"
+                  name="email"
+                  value={formData.email}
+                  onChange={handleChange}
+                  required
+                  autoComplete="email"
+                  placeholder="you@example.com"
+                />
 
-              <Button
-                type="submit"
-                variant="primary"
-                size="lg"
-                fullWidth
-                isLoading={isSubmitting}
-                disabled={isSubmitting}
-              >
-                Sign in
-              </Button>
-            </form>
+                <div>
+                  <Input
+                    label="Password"
+                    type="password"
+                    name="password"
+                    value={formData.password}
+                    onChange={handleChange}
+                    required
+                    autoComplete="current-password"
+                    placeholder="Enter your password"
+                  />
+                  <div className="mt-2 text-right">
+                    <Link
+                      href="/forgot-password"
+                      className="text-sm text-black hover:text-gray-800 font-medium underline"
+                    >
+                      Forgot password?
+                    </Link>
+                  </div>
+                </div>
+
+                <Button
+                  type="submit"
+                  variant="primary"
+                  size="lg"
+                  fullWidth
+                  isLoading={isSubmitting}
+                  disabled={isSubmitting}
+                >
+                  Sign in
+                </Button>
+              </form>
+            )}
 
             <div className="mt-6 text-center">
               <p className="text-sm text-gray-600">
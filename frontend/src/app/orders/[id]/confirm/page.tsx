@@ -13,7 +13,7 @@ import Spinner from '@/components/ui/Spinner';
 import Badge from '@/components/ui/Badge';
 import { getOrder, Order } from '@/lib/api/orders.api';
 import { createPaymentIntent, verifyPayment } from '@/lib/api/payments.api';
-import { formatCurrency } from '@/lib/utils';
+import { formatCurrency, formatOrderStatus } from '@/lib/utils';
 import { loadStripe } from '@stripe/stripe-js';
 import {
   Elements,
@@ -35,6 +35,7 @@ const PaymentForm: React.FC<{
   const [isProcessing, setIsProcessing] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const [clientSecret, setClientSecret] = useState<string | null>(null);
+  const amountDue = order.total - (order.giftCardAmount || 0);
 
   useEffect(() => {
     const initializePayment = async () => {
@@ -157,8 +158,8 @@ const PaymentForm: React.FC<{
             </div>
 
             <div className="flex justify-between items-center text-lg font-semibold text-gray-900 pt-4 border-t border-gray-200">
-              <span>Total Amount</span>
-              <span>{formatCurrency(order.total)}</span>
+              <span>Amount Due</span>
+              <span>{formatCurrency(amountDue)}</span>
             </div>
 
             <Button
@@ -169,7 +170,7 @@ const PaymentForm: React.FC<{
               isLoading={isProcessing}
               disabled={!stripe || isProcessing}
             >
-              Pay {formatCurrency(order.total)}
+              Pay {formatCurrency(amountDue)}
             </Button>
           </form>
         ) : (
@@ -382,8 +383,7 @@ export default function OrderConfirmationPage() {
                           : 'primary'
                       }
                     >
-                      {order.status.charAt(0).toUpperCase() +
-                        order.status.slice(1)}
+                      {formatOrderStatus(order.status)}
                     </Badge>
                   </div>
                   <div className="flex justify-between text-sm">
@@ -406,6 +406,12 @@ export default function OrderConfirmationPage() {
                     <span>Subtotal</span>
                     <span>{formatCurrency(order.subtotal)}</span>
                   </div>
+                  {!!order.loyalty?.discountAmount && (
+                    <div className="flex justify-between text-gray-600">
+                      <span>Points ({order.loyalty.pointsRedeemed.toLocaleString()})</span>
+                      <span>-{formatCurrency(order.loyalty.discountAmount)}</span>
+                    </div>
+                  )}
                   <div className="flex justify-between text-gray-600">
                     <span>Shipping</span>
                     <span>{formatCurrency(order.shippingCost)}</span>
@@ -419,6 +425,20 @@ export default function OrderConfirmationPage() {
                     <span>Total</span>
                     <span>{formatCurrency(order.total)}</span>
                   </div>
+                  {!!order.giftCardAmount && (
+                    <>
+                      {order.giftCards?.map((entry) => (
+                        <div key={entry.giftCard} className="flex justify-between text-gray-600">
+                          <span>Gift card {entry.code}</span>
+                          <span>-{formatCurrency(entry.amount)}</span>
+                        </div>
+                      ))}
+                      <div className="flex justify-between font-semibold text-gray-900">
+                        <span>Amount due</span>
+                        <span>{formatCurrency(order.total - order.giftCardAmount)}</span>
+                      </div>
+                    </>
+                  )}
                 </div>
 
                 {!isPaid && (
@@ -448,11 +468,21 @@ export default function OrderConfirmationPage() {
                         View Order Details
                       </Button>
                     </Link>
-                    <Link href="/orders">
-                      <Button variant="primary" fullWidth>
-                        View All Orders
-                      </Button>
-                    </Link>
+                    {order.user ? (
+                      <Link href="/orders">
+                        <Button variant="primary" fullWidth>
+                          View All Orders
+                        </Button>
+                      </Link>
+                    ) : (
+                      <p className="text-sm text-gray-600">
+                        Keep your order number. You can{' '}
+                        <Link href="/orders/lookup" className="font-medium text-black underline">
+                          track this order
+                        </Link>{' '}
+                        any time with it and {order.email}.
+                      </p>
+                    )}
                   </div>
                 )}
               </Card.Content>
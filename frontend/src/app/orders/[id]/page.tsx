@@ -11,8 +11,9 @@ import Button from '@/components/ui/Button';
 import Alert from '@/components/ui/Alert';
 import Spinner from '@/components/ui/Spinner';
 import Badge from '@/components/ui/Badge';
+import Packages, { getPackages } from '@/components/order/Packages';
 import { getOrder, Order } from '@/lib/api/orders.api';
-import { formatCurrency } from '@/lib/utils';
+import { formatCurrency, formatOrderStatus } from '@/lib/utils';
 
 export default function OrderDetailPage() {
   const params = useParams();
@@ -73,6 +74,8 @@ export default function OrderDetailPage() {
     );
   }
 
+  const shipments = getPackages(order);
+
   return (
     <Section padding="lg">
       <Container size="lg">
@@ -107,7 +110,7 @@ export default function OrderDetailPage() {
                         : 'primary'
                     }
                   >
-                    {order.status.charAt(0).toUpperCase() + order.status.slice(1)}
+                    {formatOrderStatus(order.status)}
                   </Badge>
                 </div>
               </Card.Header>
@@ -187,27 +190,15 @@ export default function OrderDetailPage() {
                     </div>
                   </div>
 
-                  {order.shipping.trackingNumber && (
+                  <div>
+                    <h4 className="font-semibold text-gray-900 mb-2">Shipping Method</h4>
+                    <p className="text-gray-700">{order.shipping.name || order.shipping.method}</p>
+                  </div>
+
+                  {shipments.packages.length > 0 && (
                     <div>
-                      <h4 className="font-semibold text-gray-900 mb-2">
-                        Tracking Information
-                      </h4>
-                      <div className="text-gray-700 space-y-1">
-                        <p>
-                          <span className="font-medium">Tracking Number:</span>{' '}
-                          {order.shipping.trackingNumber}
-                        </p>
-                        {order.shipping.carrier && (
-                          <p>
-                            <span className="font-medium">Carrier:</span>{' '}
-                            {order.shipping.carrier}
-                          </p>
-                        )}
-                        <p>
-                          <span className="font-medium">Method:</span>{' '}
-                          {order.shipping.method}
-                        </p>
-                      </div>
+                      <h4 className="font-semibold text-gray-900 mb-2">Packages</h4>
+                      <Packages {...shipments} />
                     </div>
                   )}
                 </div>
@@ -234,7 +225,7 @@ export default function OrderDetailPage() {
                           : 'primary'
                       }
                     >
-                      {order.status.charAt(0).toUpperCase() + order.status.slice(1)}
+                      {formatOrderStatus(order.status)}
                     </Badge>
                   </div>
                   <div className="flex justify-between text-sm">
@@ -243,13 +234,15 @@ export default function OrderDetailPage() {
                       variant={
                         order.payment.status === 'paid'
                           ? 'success'
+                          : order.payment.status === 'partially_refunded' ||
+                            order.payment.status === 'refunded'
+                          ? 'primary'
                           : order.payment.status === 'failed'
                           ? 'error'
                           : 'warning'
                       }
                     >
-                      {order.payment.status.charAt(0).toUpperCase() +
-                        order.payment.status.slice(1)}
+                      {formatOrderStatus(order.payment.status)}
                     </Badge>
                   </div>
                   <div className="divider" />
@@ -257,6 +250,12 @@ export default function OrderDetailPage() {
                     <span>Subtotal</span>
                     <span>{formatCurrency(order.subtotal)}</span>
                   </div>
+                  {!!order.loyalty?.discountAmount && (
+                    <div className="flex justify-between text-gray-600">
+                      <span>Points ({order.loyalty.pointsRedeemed.toLocaleString()})</span>
+                      <span>-{formatCurrency(order.loyalty.discountAmount)}</span>
+                    </div>
+                  )}
                   <div className="flex justify-between text-gray-600">
                     <span>Shipping</span>
                     <span>{formatCurrency(order.shippingCost)}</span>
@@ -270,9 +269,48 @@ export default function OrderDetailPage() {
                     <span>Total</span>
                     <span>{formatCurrency(order.total)}</span>
                   </div>
+                  {!!order.giftCardAmount && (
+                    <>
+                      {order.giftCards?.map((entry) => (
+                        <div key={entry.giftCard} className="flex justify-between text-gray-600">
+                          <span>Gift card {entry.code}</span>
+                          <span>-{formatCurrency(entry.amount)}</span>
+                        </div>
+                      ))}
+                      <div className="flex justify-between font-semibold text-gray-900">
+                        <span>Amount due</span>
+                        <span>{formatCurrency(order.total - order.giftCardAmount)}</span>
+                      </div>
+                    </>
+                  )}
+                  {order.refunds?.map((refund) => (
+                    <div key={refund._id} className="flex justify-between text-gray-600">
+                      <span>Refunded {new Date(refund.createdAt).toLocaleDateString()}</span>
+                      <span>-{formatCurrency(refund.amount)}</span>
+                    </div>
+                  ))}
+                  {!!order.refundedAmount && (
+                    <div className="flex justify-between font-semibold text-gray-900">
+                      <span>Net paid</span>
+                      <span>{formatCurrency(Math.max(0, order.total - order.refundedAmount))}</span>
+                    </div>
+                  )}
+                  {!!order.loyalty?.pointsEarned && (
+                    <p className="text-sm text-green-600">
+                      You earned {order.loyalty.pointsEarned.toLocaleString()} loyalty points on
+                      this order
+                    </p>
+                  )}
                 </div>
 
                 <div className="space-y-3">
+                  {(order.status === 'delivered' || order.status === 'partially_delivered') && (
+                    <Link href={`/orders/${order._id}/return`}>
+                      <Button variant="outline" fullWidth>
+                        Request a Return
+                      </Button>
+                    </Link>
+                  )}
                   <Link href="/orders">
                     <Button variant="outline" fullWidth>
                       Back to Orders
@@ -0,0 +1,343 @@
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import { useParams, useRouter } from 'next/navigation';
+import Link from 'next/link';
+import Image from 'next/image';
+import Section from '@/components/layout/Section';
+import Container from '@/components/layout/Container';
+import Card from '@/components/ui/Card';
+import Button from '@/components/ui/Button';
+import Alert from '@/components/ui/Alert';
+import Spinner from '@/components/ui/Spinner';
+import ProtectedRoute from '@/components/auth/ProtectedRoute';
+import { uploadToCloudinary } from '@/lib/api/cloudinary.api';
+import {
+  createReturn,
+  getReturnableItems,
+  getReturnPhotoSignature,
+  RETURN_REASON_LABELS,
+  ReturnableItem,
+  ReturnPhoto,
+  ReturnReason,
+} from '@/lib/api/returns.api';
+import { formatCurrency } from '@/lib/utils';
+
+const MAX_PHOTOS = 5;
+
+interface Selection {
+  quantity: number;
+  reason: ReturnReason | '';
+}
+
+export default function RequestReturnPage() {
+  const params = useParams();
+  const router = useRouter();
+  const orderId = params.id as string;
+
+  const [orderNumber, setOrderNumber] = useState('');
+  const [deadline, setDeadline] = useState<string | null>(null);
+  const [items, setItems] = useState<ReturnableItem[]>([]);
+  const [selections, setSelections] = useState<Record<string, Selection>>({});
+  const [comment, setComment] = useState('');
+  const [photos, setPhotos] = useState<ReturnPhoto[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isUploading, setIsUploading] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const fetchItems = async () => {
+      try {
+        setIsLoading(true);
+        setError(null);
+        const response = await getReturnableItems(orderId);
+
+        if (response.success) {
+          setOrderNumber(response.data.orderNumber);
+          setDeadline(response.data.deadline);
+          setItems(response.data.items);
+        }
+      } catch (err: any) {
+        setError(
+          err.response?.data?.error?.message ||
+            err.message ||
+            'An error occurred while loading your order'
+        );
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    if (orderId) {
+      fetchItems();
+    }
+  }, [orderId]);
+
+  const updateSelection = (item: string, changes: Partial<Selection>) => {
+    setSelections((prev) => ({
+      ...prev,
+      [item]: { ...(prev[item] || { quantity: 0, reason: '' }), ...changes },
+    }));
+  };
+
+  const handlePhotoChange = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const files = Array.from(e.target.files || []).slice(0, MAX_PHOTOS - photos.length);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    try {
+      setIsUploading(true);
+      setError(null);
+      const signature = await getReturnPhotoSignature();
+      const uploaded = await Promise.all(
+        files.map((file) => uploadToCloudinary(file, signature.data))
+      );
+      setPhotos((prev) => [
+        ...prev,
+        ...uploaded.map((result) => ({ url: result.secure_url, publicId: result.public_id })),
+      ]);
+    } catch (err: any) {
+      setError(err.response?.data?.error?.message || err.message || 'Failed to upload photos');
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const selectedItems = Object.entries(selections).filter(([, selection]) => selection.quantity > 0);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    if (selectedItems.length === 0) {
+      setError('Choose at least one item to return');
+      return;
+    }
+    if (selectedItems.some(([, selection]) => !selection.reason)) {
+      setError('Choose a reason for each item');
+      return;
+    }
+
+    try {
+      setIsSubmitting(true);
+      setError(null);
+      const response = await createReturn({
+        orderId,
+        items: selectedItems.map(([item, selection]) => ({
+          item,
+          quantity: selection.quantity,
+          reason: selection.reason as ReturnReason,
+        })),
+        comment: comment.trim() || undefined,
+        photos,
+      });
+
+      if (response.success) {
+        router.push(`/returns/${response.data.return._id}`);
+      }
+    } catch (err: any) {
+      setError(err.response?.data?.error?.message || err.message || 'Failed to request return');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <Section padding="lg">
+        <Container>
+          <div className="flex justify-center items-center py-20">
+            <Spinner size="lg" />
+          </div>
+        </Container>
+      </Section>
+    );
+  }
+
+  return (
+    <ProtectedRoute requireAuth>
+      <Section padding="lg">
+        <Container size="lg">
+          <div className="mb-8">
+            <Link
+              href={`/orders/${orderId}`}
+              className="text-black hover:text-gray-800 font-medium mb-4 inline-block underline"
+            >
+              ← Back to Order
+            </Link>
+            <h1 className="text-3xl md:text-4xl font-bold text-gray-900 mb-2">Request a Return</h1>
+            {orderNumber && (
+              <p className="text-gray-600">
+                Order Number: <span className="font-semibold">{orderNumber}</span>
+                {deadline && items.length > 0 && (
+                  <> · Return by {new Date(deadline).toLocaleDateString()}</>
+                )}
+              </p>
+            )}
+          </div>
+
+          {error && (
+            <Alert variant="error" className="mb-6">
+              {error}
+            </Alert>
+          )}
+
+          {!error && items.length === 0 ? (
+            <Card padding="lg" className="text-center">
+              <p className="text-gray-700 mb-2">There are no items on this order you can return.</p>
+              <p className="text-sm text-gray-500">
+                {deadline && new Date(deadline) < new Date()
+                  ? 'The return window for this order has closed.'
+                  : 'Items can be returned once they have been delivered, and only once.'}
+              </p>
+            </Card>
+          ) : (
+            items.length > 0 && (
+              <form onSubmit={handleSubmit} className="space-y-6">
+                <Card padding="lg">
+                  <Card.Header>
+                    <Card.Title>Items</Card.Title>
+                  </Card.Header>
+                  <Card.Content>
+                    <div className="space-y-4">
+                      {items.map((item) => {
+                        const selection = selections[item.item];
+
+                        return (
+                          <div
+                            key={item.item}
+                            className="flex flex-col md:flex-row md:items-center gap-4 pb-4 border-b border-gray-200 last:border-0 last:pb-0"
+                          >
+                            <div className="flex-1 min-w-0">
+                              <p className="font-medium text-gray-900">{item.name}</p>
+                              {item.selectedVariants && item.selectedVariants.length > 0 && (
+                                <p className="text-sm text-gray-600">
+                                  {item.selectedVariants
+                                    .map((v) => `${v.variantName}: ${v.optionValue}`)
+                                    .join(', ')}
+                                </p>
+                              )}
+                              <p className="text-sm text-gray-500">
+                                {formatCurrency(item.price)} each · {item.quantity} returnable
+                              </p>
+                            </div>
+                            <select
+                              value={selection?.quantity || 0}
+                              onChange={(e) =>
+                                updateSelection(item.item, { quantity: Number(e.target.value) })
+                              }
+                              className="input-base md:w-28"
+                              aria-label={`Quantity of ${item.name} to return`}
+                            >
+                              {Array.from({ length: item.quantity + 1 }, (_, quantity) => (
+                                <option key={quantity} value={quantity}>
+                                  {quantity === 0 ? 'Keep' : `Return ${quantity}`}
+                                </option>
+                              ))}
+                            </select>
+                            <select
+                              value={selection?.reason || ''}
+                              onChange={(e) =>
+                                updateSelection(item.item, {
+                                  reason: e.target.value as ReturnReason,
+                                })
+                              }
+                              disabled={!selection?.quantity}
+                              className="input-base md:w-56"
+                              aria-label={`Reason for returning ${item.name}`}
+                            >
+                              <option value="">Reason...</option>
+                              {Object.entries(RETURN_REASON_LABELS).map(([value, label]) => (
+                                <option key={value} value={value}>
+                                  {label}
+                                </option>
+                              ))}
+                            </select>
+                          </div>
+                        );
+                      })}
+                    </div>
+                  </Card.Content>
+                </Card>
+
+                <Card padding="lg">
+                  <Card.Header>
+                    <Card.Title>Details</Card.Title>
+                  </Card.Header>
+                  <Card.Content>
+                    <div className="space-y-4">
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1.5">
+                          Comments (optional)
+                        </label>
+                        <textarea
+                          value={comment}
+                          onChange={(e) => setComment(e.target.value)}
+                          rows={4}
+                          maxLength={1000}
+                          className="input-base w-full"
+                          placeholder="Tell us more about the problem..."
+                        />
+                      </div>
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1.5">
+                          Photos (optional, up to {MAX_PHOTOS})
+                        </label>
+                        {photos.length > 0 && (
+                          <div className="flex flex-wrap gap-3 mb-3">
+                            {photos.map((photo, index) => (
+                              <div key={photo.url} className="relative w-20 h-20">
+                                <Image
+                                  src={photo.url}
+                                  alt={`Return photo ${index + 1}`}
+                                  fill
+                                  className="object-cover rounded-lg"
+                                />
+                                <button
+                                  type="button"
+                                  onClick={() =>
+                                    setPhotos((prev) => prev.filter((_, i) => i !== index))
+                                  }
+                                  className="absolute -top-2 -right-2 bg-black text-white rounded-full w-5 h-5 text-xs"
+                                  aria-label="Remove photo"
+                                >
+                                  ×
+                                </button>
+                              </div>
+                            ))}
+                          </div>
+                        )}
+                        {photos.length < MAX_PHOTOS && (
+                          <input
+                            type="file"
+                            accept="image/*"
+                            multiple
+                            onChange={handlePhotoChange}
+                            disabled={isUploading}
+                            className="text-sm text-gray-700"
+                          />
+                        )}
+                        {isUploading && <p className="text-sm text-gray-500 mt-2">Uploading...</p>}
+                      </div>
+                    </div>
+                  </Card.Content>
+                </Card>
+
+                <Button
+                  type="submit"
+                  variant="primary"
+                  size="lg"
+                  fullWidth
+                  disabled={isSubmitting || isUploading || selectedItems.length === 0}
+                >
+                  {isSubmitting ? 'Submitting...' : 'Request Return'}
+                </Button>
+              </form>
+            )
+          )}
+        </Container>
+      </Section>
+    </ProtectedRoute>
+  );
+}
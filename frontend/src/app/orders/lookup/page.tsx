@@ -0,0 +1,110 @@
+'use client';
+
+import React, { useState } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import Section from '@/components/layout/Section';
+import Container from '@/components/layout/Container';
+import Card from '@/components/ui/Card';
+import Button from '@/components/ui/Button';
+import Input from '@/components/ui/Input';
+import Alert from '@/components/ui/Alert';
+import { lookupOrder } from '@/lib/api/orders.api';
+
+export default function OrderLookupPage() {
+  const router = useRouter();
+  const [orderNumber, setOrderNumber] = useState('');
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError(null);
+    setIsSubmitting(true);
+
+    try {
+      const response = await lookupOrder({ orderNumber: orderNumber.trim(), email: email.trim() });
+      // The link points at this app; follow it client-side
+      const { pathname, search } = new URL(response.data.url);
+      router.push(`${pathname}${search}`);
+    } catch (err: any) {
+      setError(
+        err.response?.data?.error?.message ||
+          err.message ||
+          'Failed to look up your order. Please try again.'
+      );
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Section padding="lg" background="gray">
+      <Container size="sm">
+        <div className="max-w-md mx-auto">
+          <div className="text-center mb-8">
+            <h1 className="text-3xl font-bold text-gray-900 mb-2">Track your order</h1>
+            <p className="text-gray-600">
+              Enter your order number and the email you used at checkout
+            </p>
+          </div>
+
+          <Card padding="lg">
+            {error && (
+              <Alert variant="error" className="mb-6">
+                {error}
+              </Alert>
+            )}
+
+            <form onSubmit={handleSubmit} className="space-y-6">
+              <Input
+                label="Order number"
+                name="orderNumber"
+                value={orderNumber}
+                onChange={(e) => {
+                  setOrderNumber(e.target.value);
+                  setError(null);
+                }}
+                required
+                placeholder="ORD-..."
+              />
+              <Input
+                label="Email address"
+                type="email"
+                name="email"
+                value={email}
+                onChange={(e) => {
+                  setEmail(e.target.value);
+                  setError(null);
+                }}
+                required
+                autoComplete="email"
+                placeholder="you@example.com"
+              />
+
+              <Button
+                type="submit"
+                variant="primary"
+                size="lg"
+                fullWidth
+                isLoading={isSubmitting}
+                disabled={isSubmitting}
+              >
+                Find order
+              </Button>
+            </form>
+
+            <div className="mt-6 text-center">
+              <Link
+                href="/login?returnUrl=%2Forders"
+                className="text-sm text-black hover:text-gray-800 font-medium underline"
+              >
+                Have an account? Sign in to see all your orders
+              </Link>
+            </div>
+          </Card>
+        </div>
+      </Container>
+    </Section>
+  );
+}
@@ -11,7 +11,7 @@ import Spinner from '@/components/ui/Spinner';
 import Badge from '@/components/ui/Badge';
 import ProtectedRoute from '@/components/auth/ProtectedRoute';
 import { getOrders, Order } from '@/lib/api/orders.api';
-import { formatCurrency } from '@/lib/utils';
+import { formatCurrency, formatOrderStatus } from '@/lib/utils';
 
 export default function OrdersPage() {
   const [orders, setOrders] = useState<Order[]>([]);
@@ -97,7 +97,10 @@ export default function OrdersPage() {
             My Orders
           </h1>
           <p className="text-gray-600">
-            View and track your order history
+            View and track your order history ·{' '}
+            <Link href="/returns" className="text-black underline">
+              My Returns
+            </Link>
           </p>
         </div>
 
@@ -152,8 +155,7 @@ export default function OrdersPage() {
                             : 'primary'
                         }
                       >
-                        {order.status.charAt(0).toUpperCase() +
-                          order.status.slice(1)}
+                        {formatOrderStatus(order.status)}
                       </Badge>
                     </div>
                     <p className="text-sm text-gray-600">
@@ -174,7 +176,7 @@ export default function OrdersPage() {
                         {formatCurrency(order.total)}
                       </p>
                       <p className="text-sm text-gray-600">
-                        {order.payment.status === 'paid' ? 'Paid' : 'Pending'}
+                        {formatOrderStatus(order.payment.status)}
                       </p>
                     </div>
                     <Link href={`/orders/${order._id}`}>
@@ -0,0 +1,235 @@
+'use client';
+
+import React, { useEffect, useState, Suspense } from 'react';
+import { useSearchParams } from 'next/navigation';
+import Link from 'next/link';
+import Image from 'next/image';
+import Section from '@/components/layout/Section';
+import Container from '@/components/layout/Container';
+import Card from '@/components/ui/Card';
+import Button from '@/components/ui/Button';
+import Alert from '@/components/ui/Alert';
+import Spinner from '@/components/ui/Spinner';
+import Badge from '@/components/ui/Badge';
+import Packages from '@/components/order/Packages';
+import { getOrderStatus, OrderStatusView } from '@/lib/api/orders.api';
+import { formatCurrency, formatOrderStatus } from '@/lib/utils';
+
+const formatDateTime = (value: string) =>
+  new Date(value).toLocaleString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+
+function OrderStatusContent() {
+  const searchParams = useSearchParams();
+  const token = searchParams.get('token');
+  const [order, setOrder] = useState<OrderStatusView | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!token) {
+      setError('This order link is missing its token.');
+      setIsLoading(false);
+      return;
+    }
+
+    getOrderStatus(token)
+      .then((response) => setOrder(response.data.order))
+      .catch((err: any) =>
+        setError(
+          err.response?.data?.error?.message || err.message || 'Failed to load order status'
+        )
+      )
+      .finally(() => setIsLoading(false));
+  }, [token]);
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center items-center py-20">
+        <Spinner size="lg" />
+      </div>
+    );
+  }
+
+  if (error || !order) {
+    return (
+      <div className="max-w-md mx-auto space-y-6 text-center">
+        <Alert variant="error">{error || 'Order not found'}</Alert>
+        <Link href="/orders/lookup">
+          <Button variant="outline" size="lg" fullWidth>
+            Look up your order again
+          </Button>
+        </Link>
+      </div>
+    );
+  }
+
+  const timeline = [
+    { label: 'Order placed', at: order.createdAt },
+    { label: 'Processing', at: order.processingAt },
+    { label: 'Shipped', at: order.shippedAt },
+    { label: 'Delivered', at: order.deliveredAt },
+    ...(order.cancelledAt ? [{ label: 'Cancelled', at: order.cancelledAt }] : []),
+  ];
+
+  return (
+    <>
+      <div className="mb-8">
+        <h1 className="text-3xl md:text-4xl font-bold text-gray-900 mb-2">Order Status</h1>
+        <p className="text-gray-600">
+          Order Number: <span className="font-semibold">{order.orderNumber}</span>
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+        <div className="lg:col-span-2 space-y-6">
+          {/* Items */}
+          <Card padding="lg">
+            <Card.Header>
+              <div className="flex items-center justify-between">
+                <Card.Title>Items</Card.Title>
+                <Badge
+                  variant={
+                    order.status === 'delivered'
+                      ? 'success'
+                      : order.status === 'cancelled'
+                      ? 'error'
+                      : 'primary'
+                  }
+                >
+                  {formatOrderStatus(order.status)}
+                </Badge>
+              </div>
+            </Card.Header>
+            <Card.Content>
+              <div className="space-y-4">
+                {order.items.map((item, index) => (
+                  <div
+                    key={index}
+                    className="flex gap-4 pb-4 border-b border-gray-200 last:border-0 last:pb-0"
+                  >
+                    {item.image && (
+                      <div className="relative w-20 h-20 bg-gray-100 rounded-lg overflow-hidden flex-shrink-0">
+                        <Image src={item.image} alt={item.name} fill className="object-cover" />
+                      </div>
+                    )}
+                    <div className="flex-1 min-w-0">
+                      <p className="font-medium text-gray-900">{item.name}</p>
+                      <p className="text-sm text-gray-600 mt-1">Quantity: {item.quantity}</p>
+                      {item.selectedVariants && item.selectedVariants.length > 0 && (
+                        <p className="text-sm text-gray-600">
+                          {item.selectedVariants
+                            .map((v) => `${v.variantName}: ${v.optionValue}`)
+                            .join(', ')}
+                        </p>
+                      )}
+                    </div>
+                    <p className="font-semibold text-gray-900">{formatCurrency(item.subtotal)}</p>
+                  </div>
+                ))}
+              </div>
+            </Card.Content>
+          </Card>
+
+          {/* Tracking */}
+          <Card padding="lg">
+            <Card.Header>
+              <Card.Title>Tracking</Card.Title>
+            </Card.Header>
+            <Card.Content>
+              <p className="text-gray-700 mb-4">
+                <span className="font-medium">Method:</span>{' '}
+                {order.shipping.name || order.shipping.method}
+              </p>
+              {order.packages.length > 0 ? (
+                <Packages packages={order.packages} unshipped={order.unshipped} />
+              ) : (
+                <p className="text-gray-600">
+                  Tracking details will appear here once your order ships.
+                </p>
+              )}
+            </Card.Content>
+          </Card>
+        </div>
+
+        <div className="lg:col-span-1 space-y-6">
+          {/* Status timeline */}
+          <Card padding="lg">
+            <Card.Header>
+              <Card.Title>Progress</Card.Title>
+            </Card.Header>
+            <Card.Content>
+              <ol className="space-y-4">
+                {timeline.map((step) => (
+                  <li key={step.label} className="flex items-start gap-3">
+                    <span
+                      className={`mt-1.5 w-2.5 h-2.5 rounded-full flex-shrink-0 ${
+                        step.at ? 'bg-black' : 'bg-gray-300'
+                      }`}
+                    />
+                    <div>
+                      <p className={step.at ? 'font-medium text-gray-900' : 'text-gray-400'}>
+                        {step.label}
+                      </p>
+                      {step.at && (
+                        <p className="text-sm text-gray-600">{formatDateTime(step.at)}</p>
+                      )}
+                    </div>
+                  </li>
+                ))}
+              </ol>
+            </Card.Content>
+          </Card>
+
+          {/* Totals */}
+          <Card padding="lg">
+            <Card.Content>
+              <div className="space-y-2">
+                <div className="flex justify-between text-gray-600">
+                  <span>Subtotal</span>
+                  <span>{formatCurrency(order.subtotal)}</span>
+                </div>
+                <div className="flex justify-between text-gray-600">
+                  <span>Shipping</span>
+                  <span>{formatCurrency(order.shippingCost)}</span>
+                </div>
+                <div className="flex justify-between text-gray-600">
+                  <span>Tax</span>
+                  <span>{formatCurrency(order.tax)}</span>
+                </div>
+                <div className="divider" />
+                <div className="flex justify-between text-lg font-semibold text-gray-900">
+                  <span>Total</span>
+                  <span>{formatCurrency(order.total)}</span>
+                </div>
+              </div>
+            </Card.Content>
+          </Card>
+        </div>
+      </div>
+    </>
+  );
+}
+
+export default function OrderStatusPage() {
+  return (
+    <Section padding="lg">
+      <Container size="lg">
+        <Suspense
+          fallback={
+            <div className="flex justify-center py-8">
+              <Spinner size="lg" />
+            </div>
+          }
+        >
+          <OrderStatusContent />
+        </Suspense>
+      </Container>
+    </Section>
+  );
+}
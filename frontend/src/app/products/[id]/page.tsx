@@ -12,13 +12,15 @@ import Section from '@/components/layout/Section';
 import Container from '@/components/layout/Container';
 import Badge from '@/components/ui/Badge';
 import { addToCart } from '@/lib/api/cart.api';
-import { useAuth } from '@/contexts/AuthContext';
+import ProductReviews from '@/components/product/ProductReviews';
+import { FeatureGate } from '@/components/features/FeatureGate';
+import { FEATURE_FLAGS } from '@/config/feature-flags';
+import { usePriceDisplay } from '@/hooks/usePriceDisplay';
 
 export default function ProductDetailPage() {
   const params = useParams();
   const productId = params.id as string;
   const router = useRouter();
-  const { isAuthenticated } = useAuth();
   
   const [product, setProduct] = useState<Product | null>(null);
   const [isLoading, setIsLoading] = useState(true);
@@ -27,6 +29,7 @@ export default function ProductDetailPage() {
   const [quantity, setQuantity] = useState(1);
   const [isAddingToCart, setIsAddingToCart] = useState(false);
   const [addToCartError, setAddToCartError] = useState<string | null>(null);
+  const { displayPrice, taxNote } = usePriceDisplay();
 
   useEffect(() => {
     const fetchProduct = async () => {
@@ -59,14 +62,6 @@ export default function ProductDetailPage() {
   const handleAddToCart = async () => {
     if (!product) return;
 
-    // Check if user is authenticated
-    if (!isAuthenticated) {
-      // Save the current URL to redirect back after login
-      const returnUrl = `/products/${productId}`;
-      router.push(`/login?returnUrl=${encodeURIComponent(returnUrl)}`);
-      return;
-    }
-
     setIsAddingToCart(true);
     setAddToCartError(null);
 
@@ -96,14 +91,7 @@ export default function ProductDetailPage() {
         status: err.response?.status || err.status,
       });
       
-      // Handle authentication errors
-      if (err.response?.status === 401 || err.status === 401) {
-        setAddToCartError('Please login to add items to cart');
-        const returnUrl = `/products/${productId}`;
-        setTimeout(() => {
-          router.push(`/login?returnUrl=${encodeURIComponent(returnUrl)}`);
-        }, 2000);
-      } else if (err.response?.data?.error) {
+      if (err.response?.data?.error) {
         // Backend error response format: { success: false, error: { message: "..." } }
         const errorMessage = err.response.data.error.message || 
                             err.response.data.error || 
@@ -244,12 +232,12 @@ export default function ProductDetailPage() {
               <div className="mb-6">
                 <div className="flex items-baseline gap-3">
                   <span className="text-4xl font-bold text-gray-900">
-                    {formatCurrency(product.price)}
+                    {formatCurrency(displayPrice(product.price, product.taxClass))}
                   </span>
                   {hasDiscount && (
                     <>
                       <span className="text-2xl text-gray-500 line-through">
-                        {formatCurrency(product.compareAtPrice!)}
+                        {formatCurrency(displayPrice(product.compareAtPrice!, product.taxClass))}
                       </span>
                       <span className="bg-black text-white text-sm font-semibold px-2 py-1 rounded">
                         Save {Math.round(((product.compareAtPrice! - product.price) / product.compareAtPrice!) * 100)}%
@@ -257,6 +245,9 @@ export default function ProductDetailPage() {
                     </>
                   )}
                 </div>
+                <p className="mt-1 text-sm text-gray-500">
+                  {product.taxClass === 'exempt' ? 'Tax free' : `Price ${taxNote}`}
+                </p>
               </div>
 
               {/* Description */}
@@ -326,6 +317,10 @@ export default function ProductDetailPage() {
             {addToCartError}
           </Alert>
         )}
+
+        <FeatureGate featureKey={FEATURE_FLAGS.REVIEWS}>
+          <ProductReviews productId={product._id} />
+        </FeatureGate>
       </Container>
     </Section>
   );
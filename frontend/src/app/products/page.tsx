@@ -92,6 +92,7 @@ export default function ProductsPage() {
               <option value="price_desc">Price: High to Low</option>
               <option value="name_asc">Name: A to Z</option>
               <option value="name_desc">Name: Z to A</option>
+              <option value="rating">Top Rated</option>
             </select>
           </div>
 
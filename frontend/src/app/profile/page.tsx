@@ -10,8 +10,16 @@ import Input from '@/components/ui/Input';
 import Alert from '@/components/ui/Alert';
 import Spinner from '@/components/ui/Spinner';
 import ProtectedRoute from '@/components/auth/ProtectedRoute';
+import LoyaltyPoints from '@/components/profile/LoyaltyPoints';
+import AddressBook from '@/components/profile/AddressBook';
+import ActiveSessions from '@/components/profile/ActiveSessions';
+import TwoFactorSettings from '@/components/profile/TwoFactorSettings';
+import LoginHistory from '@/components/profile/LoginHistory';
+import PrivacySettings from '@/components/profile/PrivacySettings';
+import { FeatureGate } from '@/components/features/FeatureGate';
+import { FEATURE_FLAGS } from '@/config/feature-flags';
 import { useAuth } from '@/contexts/AuthContext';
-import { getCurrentUser } from '@/lib/api/auth.api';
+import { getCurrentUser, resendVerification } from '@/lib/api/auth.api';
 import apiClient from '@/lib/api/client';
 
 interface ProfileData {
@@ -27,6 +35,7 @@ export default function ProfilePage() {
   const [saving, setSaving] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const [success, setSuccess] = useState<string | null>(null);
+  const [resending, setResending] = useState(false);
   const [profile, setProfile] = useState<ProfileData>({
     name: '',
     email: '',
@@ -87,6 +96,25 @@ export default function ProfilePage() {
     }
   };
 
+  const handleResendVerification = async () => {
+    setError(null);
+    setSuccess(null);
+    setResending(true);
+
+    try {
+      await resendVerification();
+      setSuccess(`Verification email sent to ${authUser?.email}. Check your inbox.`);
+    } catch (err: any) {
+      setError(
+        err.response?.data?.error?.message ||
+          err.message ||
+          'Failed to send verification email'
+      );
+    } finally {
+      setResending(false);
+    }
+  };
+
   const handleChange = (e: React.ChangeEvent<HTMLInputElement>) => {
     const { name, value } = e.target;
     setProfile((prev) => ({ ...prev, [name]: value }));
@@ -120,6 +148,26 @@ export default function ProfilePage() {
               </p>
             </div>
 
+            {authUser && !authUser.isEmailVerified && (
+              <Alert variant="warning" className="mb-6">
+                <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+                  <span>
+                    Please verify your email address. We sent a link to {authUser.email}.
+                  </span>
+                  <Button
+                    type="button"
+                    variant="outline"
+                    size="sm"
+                    onClick={handleResendVerification}
+                    isLoading={resending}
+                    disabled={resending}
+                  >
+                    Resend email
+                  </Button>
+                </div>
+              </Alert>
+            )}
+
             {error && (
               <Alert variant="error" className="mb-6">
                 {error}
@@ -206,7 +254,11 @@ export default function ProfilePage() {
                     <div className="flex justify-between">
                       <span className="text-gray-600">Account Role:</span>
                       <span className="font-medium text-gray-900">
-                        {authUser?.role === 'ADMIN' || authUser?.role === 'admin' ? 'Administrator' : 'Customer'}
+                        {authUser?.role === 'ADMIN' || authUser?.role === 'admin'
+                          ? 'Administrator'
+                          : authUser?.role === 'staff'
+                          ? `Staff (${authUser.staffRole?.name || 'no role'})`
+                          : 'Customer'}
                       </span>
                     </div>
                     <div className="flex justify-between">
@@ -257,6 +309,33 @@ export default function ProfilePage() {
               </form>
             </Card>
 
+            <div className="mt-8">
+              <AddressBook />
+            </div>
+
+            <div className="mt-8">
+              <TwoFactorSettings />
+            </div>
+
+            <div className="mt-8">
+              <ActiveSessions />
+            </div>
+
+            <div className="mt-8">
+              <LoginHistory />
+            </div>
+
+            <div className="mt-8">
+              <PrivacySettings />
+            </div>
+
+            {/* Loyalty Points */}
+            <FeatureGate featureKey={FEATURE_FLAGS.LOYALTY_PROGRAM}>
+              <div className="mt-8">
+                <LoyaltyPoints />
+              </div>
+            </FeatureGate>
+
             {/* Quick Links */}
             <div className="mt-8 grid grid-cols-1 sm:grid-cols-2 gap-4">
               <Card padding="md" className="hover:shadow-md transition-shadow">
@@ -49,19 +49,22 @@ export default function RefundPolicyPage() {
             <h3 className="text-xl font-semibold text-gray-900 mt-6 mb-3">3.1 Initiating a Return</h3>
             <p className="text-gray-700 mb-4">To initiate a return:</p>
             <ol className="list-decimal pl-6 text-gray-700 mb-4 space-y-2">
-              <li>Log into your account and go to your order history</li>
+              <li>Log into your account and go to your <Link href="/orders" className="text-black hover:underline">order history</Link></li>
               <li>Select the order containing the item you wish to return</li>
-              <li>Click "Request Return" and select the item(s)</li>
-              <li>Provide a reason for the return</li>
+              <li>Click "Request a Return" and select the item(s)</li>
+              <li>Provide a reason for the return, and photos if the item is damaged or defective</li>
               <li>Submit your return request</li>
             </ol>
+            <p className="text-gray-700 mb-4">
+              You can follow the progress of your requests under <Link href="/returns" className="text-black hover:underline">My Returns</Link>.
+            </p>
             <p className="text-gray-700 mb-4">
               Alternatively, you can contact our customer service team at <a href="mailto:returns@yourstore.com" className="text-black hover:underline">returns@yourstore.com</a> or call us at +1 (555) 123-4567.
             </p>
 
             <h3 className="text-xl font-semibold text-gray-900 mt-6 mb-3">3.2 Return Authorization</h3>
             <p className="text-gray-700 mb-4">
-              Once your return request is approved, you will receive a Return Authorization (RA) number and return shipping instructions. Please include the RA number with your return package.
+              Once your return request is approved, we will email you with return shipping instructions. Please include your return number (starting with RMA) with your return package.
             </p>
 
             <h3 className="text-xl font-semibold text-gray-900 mt-6 mb-3">3.3 Shipping the Return</h3>
@@ -0,0 +1,164 @@
+'use client';
+
+import React, { useState, Suspense } from 'react';
+import { useSearchParams } from 'next/navigation';
+import Link from 'next/link';
+import Section from '@/components/layout/Section';
+import Container from '@/components/layout/Container';
+import Card from '@/components/ui/Card';
+import Button from '@/components/ui/Button';
+import Input from '@/components/ui/Input';
+import Alert from '@/components/ui/Alert';
+import Spinner from '@/components/ui/Spinner';
+import { resetPassword } from '@/lib/api/auth.api';
+
+function ResetPasswordContent() {
+  const searchParams = useSearchParams();
+  const token = searchParams.get('token');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const [success, setSuccess] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError(null);
+
+    if (password.length < 6) {
+      setError('Password must be at least 6 characters');
+      return;
+    }
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    try {
+      await resetPassword(token as string, password);
+      setSuccess(true);
+    } catch (err: any) {
+      setError(
+        err.response?.data?.error?.message ||
+          err.message ||
+          'Failed to reset password. Please try again.'
+      );
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (!token) {
+    return (
+      <Card padding="lg">
+        <div className="space-y-6">
+          <Alert variant="error">This password reset link is invalid.</Alert>
+          <Link href="/forgot-password">
+            <Button variant="primary" size="lg" fullWidth>
+              Request a new link
+            </Button>
+          </Link>
+        </div>
+      </Card>
+    );
+  }
+
+  if (success) {
+    return (
+      <Card padding="lg">
+        <div className="space-y-6">
+          <Alert variant="success">
+            Your password has been reset. Please sign in with your new password.
+          </Alert>
+          <Link href="/login">
+            <Button variant="primary" size="lg" fullWidth>
+              Sign in
+            </Button>
+          </Link>
+        </div>
+      </Card>
+    );
+  }
+
+  return (
+    <Card padding="lg">
+      {error && (
+        <Alert variant="error" className="mb-6">
+          {error}
+        </Alert>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-6">
+        <Input
+          label="New password"
+          type="password"
+          name="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          required
+          autoComplete="new-password"
+          placeholder="At least 6 characters"
+        />
+
+        <Input
+          label="Confirm new password"
+          type="password"
+          name="confirmPassword"
+          value={confirmPassword}
+          onChange={(e) => setConfirmPassword(e.target.value)}
+          required
+          autoComplete="new-password"
+          placeholder="Repeat your new password"
+        />
+
+        <Button
+          type="submit"
+          variant="primary"
+          size="lg"
+          fullWidth
+          isLoading={isSubmitting}
+          disabled={isSubmitting}
+        >
+          Reset password
+        </Button>
+      </form>
+
+      <div className="mt-6 text-center">
+        <Link
+          href="/forgot-password"
+          className="text-sm text-black hover:text-gray-800 font-medium underline"
+        >
+          Request a new link
+        </Link>
+      </div>
+    </Card>
+  );
+}
+
+export default function ResetPasswordPage() {
+  return (
+    <Section padding="lg" background="gray">
+      <Container size="sm">
+        <div className="max-w-md mx-auto">
+          <div className="text-center mb-8">
+            <h1 className="text-3xl font-bold text-gray-900 mb-2">Reset password</h1>
+            <p className="text-gray-600">Choose a new password for your account</p>
+          </div>
+
+          <Suspense
+            fallback={
+              <div className="flex justify-center py-8">
+                <Spinner size="lg" />
+              </div>
+            }
+          >
+            <ResetPasswordContent />
+          </Suspense>
+        </div>
+      </Container>
+    </Section>
+  );
+}
@@ -0,0 +1,186 @@
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import { useParams } from 'next/navigation';
+import Link from 'next/link';
+import Image from 'next/image';
+import Section from '@/components/layout/Section';
+import Container from '@/components/layout/Container';
+import Card from '@/components/ui/Card';
+import Alert from '@/components/ui/Alert';
+import Spinner from '@/components/ui/Spinner';
+import ProtectedRoute from '@/components/auth/ProtectedRoute';
+import ReturnStatusBadge from '@/components/order/ReturnStatusBadge';
+import { getReturn, Return, RETURN_REASON_LABELS } from '@/lib/api/returns.api';
+import { formatCurrency } from '@/lib/utils';
+
+// What the customer should do or expect next
+const NEXT_STEPS: Record<Return['status'], string> = {
+  requested: "We're reviewing your request and will email you once it's approved.",
+  approved:
+    'Pack the items with your return number on the parcel and send them back to us. We refund you once they arrive.',
+  received: "We've received your items and will issue your refund shortly.",
+  refunded: 'Your refund has been issued. It may take 5-10 business days to appear on your statement.',
+  rejected: 'This return was not accepted.',
+};
+
+export default function ReturnDetailPage() {
+  const params = useParams();
+  const returnId = params.id as string;
+  const [ret, setRet] = useState<Return | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const fetchReturn = async () => {
+      try {
+        setIsLoading(true);
+        setError(null);
+        const response = await getReturn(returnId);
+
+        if (response.success) {
+          setRet(response.data.return);
+        } else {
+          setError('Failed to load return');
+        }
+      } catch (err: any) {
+        setError(
+          err.response?.data?.error?.message ||
+            err.message ||
+            'An error occurred while loading your return'
+        );
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    if (returnId) {
+      fetchReturn();
+    }
+  }, [returnId]);
+
+  if (isLoading) {
+    return (
+      <Section padding="lg">
+        <Container>
+          <div className="flex justify-center items-center py-20">
+            <Spinner size="lg" />
+          </div>
+        </Container>
+      </Section>
+    );
+  }
+
+  if (error || !ret) {
+    return (
+      <Section padding="lg">
+        <Container>
+          <Alert variant="error" title="Error">
+            {error || 'Return not found'}
+          </Alert>
+        </Container>
+      </Section>
+    );
+  }
+
+  return (
+    <ProtectedRoute requireAuth>
+      <Section padding="lg">
+        <Container size="lg">
+          <div className="mb-8">
+            <Link
+              href="/returns"
+              className="text-black hover:text-gray-800 font-medium mb-4 inline-block underline"
+            >
+              ← Back to Returns
+            </Link>
+            <div className="flex items-center gap-4 mb-2">
+              <h1 className="text-3xl md:text-4xl font-bold text-gray-900">{ret.returnNumber}</h1>
+              <ReturnStatusBadge status={ret.status} />
+            </div>
+            <p className="text-gray-600">
+              For order{' '}
+              <Link href={`/orders/${ret.order._id}`} className="font-semibold underline">
+                {ret.order.orderNumber}
+              </Link>{' '}
+              · Requested {new Date(ret.createdAt).toLocaleDateString()}
+            </p>
+          </div>
+
+          <Alert variant={ret.status === 'rejected' ? 'error' : 'info'} className="mb-6">
+            {NEXT_STEPS[ret.status]}
+            {ret.status === 'rejected' && ret.rejectionReason && (
+              <p className="mt-1">Reason: {ret.rejectionReason}</p>
+            )}
+            {ret.status === 'refunded' && ret.refund && (
+              <p className="mt-1 font-semibold">Refunded {formatCurrency(ret.refund.amount)}</p>
+            )}
+          </Alert>
+
+          <div className="space-y-6">
+            <Card padding="lg">
+              <Card.Header>
+                <Card.Title>Items</Card.Title>
+              </Card.Header>
+              <Card.Content>
+                <div className="space-y-3">
+                  {ret.items.map((item) => (
+                    <div
+                      key={item.item}
+                      className="flex justify-between gap-4 pb-3 border-b border-gray-200 last:border-0 last:pb-0"
+                    >
+                      <div>
+                        <p className="font-medium text-gray-900">
+                          {item.quantity} × {item.name}
+                        </p>
+                        {item.selectedVariants && item.selectedVariants.length > 0 && (
+                          <p className="text-sm text-gray-600">
+                            {item.selectedVariants
+                              .map((v) => `${v.variantName}: ${v.optionValue}`)
+                              .join(', ')}
+                          </p>
+                        )}
+                      </div>
+                      <p className="text-sm text-gray-600">{RETURN_REASON_LABELS[item.reason]}</p>
+                    </div>
+                  ))}
+                </div>
+              </Card.Content>
+            </Card>
+
+            {(ret.comment || ret.photos.length > 0) && (
+              <Card padding="lg">
+                <Card.Header>
+                  <Card.Title>Your Comments</Card.Title>
+                </Card.Header>
+                <Card.Content>
+                  {ret.comment && <p className="text-gray-700 whitespace-pre-line">{ret.comment}</p>}
+                  {ret.photos.length > 0 && (
+                    <div className="flex flex-wrap gap-3 mt-4">
+                      {ret.photos.map((photo, index) => (
+                        <a
+                          key={photo.url}
+                          href={photo.url}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="relative w-24 h-24"
+                        >
+                          <Image
+                            src={photo.url}
+                            alt={`Return photo ${index + 1}`}
+                            fill
+                            className="object-cover rounded-lg"
+                          />
+                        </a>
+                      ))}
+                    </div>
+                  )}
+                </Card.Content>
+              </Card>
+            )}
+          </div>
+        </Container>
+      </Section>
+    </ProtectedRoute>
+  );
+}
@@ -0,0 +1,145 @@
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import Link from 'next/link';
+import Section from '@/components/layout/Section';
+import Container from '@/components/layout/Container';
+import Card from '@/components/ui/Card';
+import Button from '@/components/ui/Button';
+import Alert from '@/components/ui/Alert';
+import Spinner from '@/components/ui/Spinner';
+import ProtectedRoute from '@/components/auth/ProtectedRoute';
+import ReturnStatusBadge from '@/components/order/ReturnStatusBadge';
+import { getMyReturns, Return } from '@/lib/api/returns.api';
+import { formatCurrency } from '@/lib/utils';
+
+export default function ReturnsPage() {
+  const [returns, setReturns] = useState<Return[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(0);
+
+  useEffect(() => {
+    const fetchReturns = async () => {
+      try {
+        setIsLoading(true);
+        setError(null);
+        const response = await getMyReturns({ page, limit: 10 });
+
+        if (response.success) {
+          setReturns(response.data.returns);
+          setPages(response.data.pagination.pages);
+        }
+      } catch (err: any) {
+        setError(
+          err.response?.data?.error?.message ||
+            err.message ||
+            'An error occurred while loading your returns'
+        );
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchReturns();
+  }, [page]);
+
+  return (
+    <ProtectedRoute requireAuth>
+      <Section padding="lg">
+        <Container>
+          <div className="mb-8">
+            <h1 className="text-3xl md:text-4xl font-bold text-gray-900 mb-2">My Returns</h1>
+            <p className="text-gray-600">
+              Start a return from the order page of a delivered order
+            </p>
+          </div>
+
+          {error && (
+            <Alert variant="error" className="mb-6">
+              {error}
+            </Alert>
+          )}
+
+          {isLoading ? (
+            <div className="flex justify-center items-center py-20">
+              <Spinner size="lg" />
+            </div>
+          ) : returns.length === 0 ? (
+            <Card padding="lg" className="text-center">
+              <div className="py-12">
+                <h2 className="text-xl font-semibold text-gray-900 mb-2">No returns yet</h2>
+                <p className="text-gray-600 mb-6">Returns you request will show up here</p>
+                <Link href="/orders">
+                  <Button variant="primary">View Orders</Button>
+                </Link>
+              </div>
+            </Card>
+          ) : (
+            <div className="space-y-4">
+              {returns.map((ret) => (
+                <Card key={ret._id} padding="md" hover>
+                  <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+                    <div className="flex-1">
+                      <div className="flex items-center gap-4 mb-2">
+                        <Link
+                          href={`/returns/${ret._id}`}
+                          className="text-lg font-semibold text-gray-900 hover:text-black transition-colors underline"
+                        >
+                          {ret.returnNumber}
+                        </Link>
+                        <ReturnStatusBadge status={ret.status} />
+                      </div>
+                      <p className="text-sm text-gray-600">
+                        Order {ret.order.orderNumber} · Requested{' '}
+                        {new Date(ret.createdAt).toLocaleDateString()}
+                      </p>
+                      <p className="text-sm text-gray-600">
+                        {ret.items.map((item) => `${item.quantity} × ${item.name}`).join(', ')}
+                      </p>
+                    </div>
+                    <div className="flex items-center gap-4">
+                      {ret.refund?.amount !== undefined && (
+                        <p className="text-lg font-semibold text-gray-900">
+                          {formatCurrency(ret.refund.amount)}
+                        </p>
+                      )}
+                      <Link href={`/returns/${ret._id}`}>
+                        <Button variant="outline" size="sm">
+                          View Details
+                        </Button>
+                      </Link>
+                    </div>
+                  </div>
+                </Card>
+              ))}
+
+              {pages > 1 && (
+                <div className="flex justify-center items-center gap-2 mt-8">
+                  <Button
+                    variant="outline"
+                    onClick={() => setPage((prev) => prev - 1)}
+                    disabled={page <= 1}
+                  >
+                    Previous
+                  </Button>
+                  <span className="text-gray-600">
+                    Page {page} of {pages}
+                  </span>
+                  <Button
+                    variant="outline"
+                    onClick={() => setPage((prev) => prev + 1)}
+                    disabled={page >= pages}
+                  >
+                    Next
+                  </Button>
+                </div>
+              )}
+            </div>
+          )}
+        </Container>
+      </Section>
+    </ProtectedRoute>
+  );
+}
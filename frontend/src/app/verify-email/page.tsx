@@ -0,0 +1,118 @@
+'use client';
+
+import React, { useState, useEffect, useRef, Suspense } from 'react';
+import { useSearchParams } from 'next/navigation';
+import Link from 'next/link';
+import Section from '@/components/layout/Section';
+import Container from '@/components/layout/Container';
+import Card from '@/components/ui/Card';
+import Button from '@/components/ui/Button';
+import Alert from '@/components/ui/Alert';
+import Spinner from '@/components/ui/Spinner';
+import { useAuth } from '@/contexts/AuthContext';
+import { verifyEmail } from '@/lib/api/auth.api';
+
+type VerifyStatus = 'verifying' | 'success' | 'error';
+
+function VerifyEmailContent() {
+  const searchParams = useSearchParams();
+  const token = searchParams.get('token');
+  const { isAuthenticated, refreshUser } = useAuth();
+  const [status, setStatus] = useState<VerifyStatus>('verifying');
+  const [error, setError] = useState<string | null>(null);
+  const requested = useRef(false);
+
+  useEffect(() => {
+    // Tokens are single use, so guard against double invocation in dev
+    if (requested.current) return;
+    requested.current = true;
+
+    if (!token) {
+      setStatus('error');
+      setError('Verification link is missing its token.');
+      return;
+    }
+
+    const verify = async () => {
+      try {
+        await verifyEmail(token);
+        setStatus('success');
+      } catch (err: any) {
+        setStatus('error');
+        setError(
+          err.response?.data?.error?.message ||
+            err.message ||
+            'Failed to verify email address'
+        );
+      }
+    };
+
+    verify();
+  }, [token]);
+
+  useEffect(() => {
+    if (status === 'success' && isAuthenticated) {
+      refreshUser();
+    }
+  }, [status, isAuthenticated, refreshUser]);
+
+  return (
+    <Card padding="lg">
+      {status === 'verifying' && (
+        <div className="flex flex-col items-center py-8">
+          <Spinner size="lg" />
+          <p className="mt-4 text-gray-600">Verifying your email address...</p>
+        </div>
+      )}
+
+      {status === 'success' && (
+        <div className="text-center space-y-6">
+          <Alert variant="success">Your email address has been verified.</Alert>
+          <Link href={isAuthenticated ? '/profile' : '/login'}>
+            <Button variant="primary" size="lg" fullWidth>
+              {isAuthenticated ? 'Go to profile' : 'Sign in'}
+            </Button>
+          </Link>
+        </div>
+      )}
+
+      {status === 'error' && (
+        <div className="text-center space-y-6">
+          <Alert variant="error">{error}</Alert>
+          <p className="text-sm text-gray-600">
+            You can request a new verification link from your profile page.
+          </p>
+          <Link href={isAuthenticated ? '/profile' : '/login'}>
+            <Button variant="outline" size="lg" fullWidth>
+              {isAuthenticated ? 'Go to profile' : 'Sign in'}
+            </Button>
+          </Link>
+        </div>
+      )}
+    </Card>
+  );
+}
+
+export default function VerifyEmailPage() {
+  return (
+    <Section padding="lg" background="gray">
+      <Container size="sm">
+        <div className="max-w-md mx-auto">
+          <div className="text-center mb-8">
+            <h1 className="text-3xl font-bold text-gray-900 mb-2">Email verification</h1>
+          </div>
+
+          <Suspense
+            fallback={
+              <div className="flex justify-center py-8">
+                <Spinner size="lg" />
+              </div>
+            }
+          >
+            <VerifyEmailContent />
+          </Suspense>
+        </div>
+      </Container>
+    </Section>
+  );
+}
@@ -0,0 +1,225 @@
+'use client';
+
+import React, { useEffect } from 'react';
+import Link from 'next/link';
+import Image from 'next/image';
+import Section from '@/components/layout/Section';
+import Container from '@/components/layout/Container';
+import Button from '@/components/ui/Button';
+import Alert from '@/components/ui/Alert';
+import Spinner from '@/components/ui/Spinner';
+import ProtectedRoute from '@/components/auth/ProtectedRoute';
+import { FeatureGate } from '@/components/features/FeatureGate';
+import { FEATURE_FLAGS } from '@/config/feature-flags';
+import { useWishlist } from '@/contexts/WishlistContext';
+import { useToast } from '@/components/ui/ToastProvider';
+import { formatCurrency } from '@/lib/utils';
+import { cn } from '@/lib/utils';
+
+function WishlistContent() {
+  const { wishlist, isLoading, error, removeItem, moveToCart, refreshWishlist } = useWishlist();
+  const { success: showSuccess, error: showError } = useToast();
+  const [updatingItems, setUpdatingItems] = React.useState<Set<string>>(new Set());
+
+  useEffect(() => {
+    refreshWishlist();
+  }, [refreshWishlist]);
+
+  const withItemUpdating = async (itemId: string, action: () => Promise<boolean>) => {
+    setUpdatingItems((prev) => new Set(prev).add(itemId));
+    const success = await action();
+    setUpdatingItems((prev) => {
+      const next = new Set(prev);
+      next.delete(itemId);
+      return next;
+    });
+    return success;
+  };
+
+  const handleRemoveItem = async (itemId: string) => {
+    const success = await withItemUpdating(itemId, () => removeItem(itemId));
+    if (success) {
+      showSuccess('Item removed from wishlist', 2000);
+    } else {
+      showError('Failed to remove item. Please try again.');
+    }
+  };
+
+  const handleMoveToCart = async (itemId: string) => {
+    const success = await withItemUpdating(itemId, () => moveToCart(itemId));
+    if (success) {
+      showSuccess('Item moved to cart', 2000);
+    } else {
+      showError('Failed to move item to cart. It may be out of stock.');
+    }
+  };
+
+  if (isLoading && !wishlist) {
+    return (
+      <div className="flex justify-center items-center py-20">
+        <Spinner size="lg" />
+      </div>
+    );
+  }
+
+  if (error && !wishlist) {
+    return (
+      <Alert variant="error" title="Error">
+        {error}
+        <Button variant="outline" size="sm" onClick={refreshWishlist} className="mt-4">
+          Try Again
+        </Button>
+      </Alert>
+    );
+  }
+
+  const items = (wishlist?.items || []).filter((item) => item && item.product);
+
+  return (
+    <>
+      <div className="mb-8">
+        <h1 className="text-3xl md:text-4xl font-bold text-gray-900 mb-2">Wishlist</h1>
+        <p className="text-gray-600">
+          {items.length === 0 ? 'Your wishlist is empty' : `${items.length} saved item(s)`}
+        </p>
+      </div>
+
+      {items.length === 0 ? (
+        <div className="text-center py-20">
+          <svg
+            className="w-24 h-24 mx-auto text-gray-400 mb-4"
+            fill="none"
+            stroke="currentColor"
+            viewBox="0 0 24 24"
+          >
+            <path
+              strokeLinecap="round"
+              strokeLinejoin="round"
+              strokeWidth={2}
+              d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z"
+            />
+          </svg>
+          <h2 className="text-2xl font-bold text-gray-900 mb-2">Nothing saved yet</h2>
+          <p className="text-gray-600 mb-6">Tap the heart on any product to save it for later</p>
+          <Link href="/products">
+            <Button variant="primary" size="lg">
+              Browse Products
+            </Button>
+          </Link>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {items.map((item) => {
+            const isUpdating = updatingItems.has(item._id);
+            const productImage =
+              item.product.images?.find((img) => img.isPrimary) || item.product.images?.[0];
+            const isAvailable = item.product.status === 'active' && item.product.stock > 0;
+
+            return (
+              <div
+                key={item._id}
+                className={cn(
+                  'bg-white border border-gray-200 rounded-lg p-4 md:p-6 transition-opacity',
+                  isUpdating && 'opacity-50'
+                )}
+              >
+                <div className="flex flex-col md:flex-row gap-4">
+                  {/* Product Image */}
+                  <Link
+                    href={`/products/${item.product._id}`}
+                    className="flex-shrink-0 w-full md:w-32 h-32 bg-gray-100 rounded-lg overflow-hidden relative group"
+                  >
+                    {productImage?.url && (
+                      <Image
+                        src={productImage.url}
+                        alt={productImage.alt || item.product.name}
+                        fill
+                        className="object-cover group-hover:scale-105 transition-transform"
+                        sizes="(max-width: 768px) 100vw, 128px"
+                      />
+                    )}
+                  </Link>
+
+                  {/* Product Details */}
+                  <div className="flex-1 flex flex-col md:flex-row md:items-center gap-4">
+                    <div className="flex-1">
+                      <Link href={`/products/${item.product._id}`} className="block">
+                        <h3 className="text-lg font-semibold text-gray-900 mb-1 hover:text-black transition-colors">
+                          {item.product.name}
+                        </h3>
+                      </Link>
+
+                      {/* Selected Variants */}
+                      {item.selectedVariants && item.selectedVariants.length > 0 && (
+                        <div className="flex flex-wrap gap-2 mt-2">
+                          {item.selectedVariants.map((variant, idx) => (
+                            <span
+                              key={idx}
+                              className="text-xs px-2 py-1 bg-gray-100 text-gray-700 rounded"
+                            >
+                              {variant.variantName}: {variant.optionValue}
+                            </span>
+                          ))}
+                        </div>
+                      )}
+
+                      <div className="mt-2 flex items-baseline gap-2">
+                        <span className="text-lg font-bold text-gray-900">
+                          {formatCurrency(item.product.price)}
+                        </span>
+                        {!isAvailable && (
+                          <span className="text-sm text-gray-500">Currently unavailable</span>
+                        )}
+                      </div>
+                    </div>
+
+                    {/* Actions */}
+                    <div className="flex items-center gap-2">
+                      <Button
+                        variant="primary"
+                        size="sm"
+                        onClick={() => handleMoveToCart(item._id)}
+                        disabled={isUpdating || !isAvailable}
+                      >
+                        Move to Cart
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => handleRemoveItem(item._id)}
+                        disabled={isUpdating}
+                      >
+                        Remove
+                      </Button>
+                    </div>
+                  </div>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </>
+  );
+}
+
+export default function WishlistPage() {
+  return (
+    <ProtectedRoute requireAuth>
+      <Section padding="lg">
+        <Container>
+          <FeatureGate
+            featureKey={FEATURE_FLAGS.WISHLIST}
+            fallback={
+              <Alert variant="info" title="Wishlist unavailable">
+                The wishlist is not enabled for this store.
+              </Alert>
+            }
+          >
+            <WishlistContent />
+          </FeatureGate>
+        </Container>
+      </Section>
+    </ProtectedRoute>
+  );
+}
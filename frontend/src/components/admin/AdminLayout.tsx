@@ -3,6 +3,9 @@
 import React from 'react';
 import AdminSidebar from './AdminSidebar';
 import ProtectedRoute from '@/components/auth/ProtectedRoute';
+import Link from 'next/link';
+import Alert from '@/components/ui/Alert';
+import Container from '@/components/layout/Container';
 import { useAuth } from '@/contexts/AuthContext';
 
 interface AdminLayoutProps {
@@ -10,8 +13,10 @@ interface AdminLayoutProps {
 }
 
 export default function AdminLayout({ children }: AdminLayoutProps) {
+  const { user } = useAuth();
+
   return (
-    <ProtectedRoute requireAuth requireAdmin>
+    <ProtectedRoute requireAuth requireStaff>
       <div className="min-h-screen bg-gray-50">
         <AdminSidebar />
         <div className="md:pl-64 flex flex-col flex-1">
@@ -30,6 +35,20 @@ export default function AdminLayout({ children }: AdminLayoutProps) {
           {/* Main Content */}
           <main className="flex-1">
             <div className="py-6">
+              {user && !user.twoFactor?.enabled && (
+                <Container>
+                  <div className="px-4 sm:px-6 lg:px-8 mb-6">
+                    <Alert variant="warning">
+                      Two-factor authentication is off for your account. Admin actions may be
+                      blocked until you{' '}
+                      <Link href="/profile" className="font-medium underline">
+                        enable it in your profile
+                      </Link>
+                      .
+                    </Alert>
+                  </div>
+                </Container>
+              )}
               {children}
             </div>
           </main>
@@ -11,6 +11,7 @@ interface ProtectedRouteProps {
   children: React.ReactNode;
   requireAuth?: boolean;
   requireAdmin?: boolean;
+  requireStaff?: boolean;
   requireCustomer?: boolean;
   redirectTo?: string;
 }
@@ -19,10 +20,11 @@ export default function ProtectedRoute({
   children,
   requireAuth = true,
   requireAdmin = false,
+  requireStaff = false,
   requireCustomer = false,
   redirectTo,
 }: ProtectedRouteProps) {
-  const { user, isLoading, isAuthenticated, isAdmin, isCustomer } = useAuth();
+  const { user, isLoading, isAuthenticated, isAdmin, isStaff, isCustomer } = useAuth();
   const router = useRouter();
 
   useEffect(() => {
@@ -40,12 +42,18 @@ export default function ProtectedRoute({
       return;
     }
 
+    // Check back-office (admin or staff) requirement
+    if (requireStaff && !isStaff) {
+      router.push(redirectTo || '/');
+      return;
+    }
+
     // Check customer requirement
     if (requireCustomer && !isCustomer) {
       router.push(redirectTo || '/');
       return;
     }
-  }, [isLoading, isAuthenticated, isAdmin, isCustomer, requireAuth, requireAdmin, requireCustomer, redirectTo, router]);
+  }, [isLoading, isAuthenticated, isAdmin, isStaff, isCustomer, requireAuth, requireAdmin, requireStaff, requireCustomer, redirectTo, router]);
 
   // Show loading while checking auth
   if (isLoading) {
@@ -73,7 +81,7 @@ export default function ProtectedRoute({
     );
   }
 
-  if (requireAdmin && !isAdmin) {
+  if ((requireAdmin && !isAdmin) || (requireStaff && !isStaff)) {
     return (
       <Section padding="lg">
         <Container>
@@ -11,7 +11,7 @@ import { useAuth } from '@/contexts/AuthContext';
 
 const Header: React.FC = () => {
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
-  const { isAuthenticated, isAdmin } = useAuth();
+  const { isAuthenticated, isStaff } = useAuth();
 
   return (
     <header className="bg-white border-b border-gray-200 sticky top-0 z-50 backdrop-blur-sm bg-white/95">
@@ -52,15 +52,13 @@ const Header: React.FC = () => {
             >
               Categories
             </Link>
-            {isAuthenticated && (
-              <Link
-                href="/orders"
-                className="px-4 py-2 text-sm font-medium text-gray-700 hover:text-black hover:bg-gray-50 rounded-lg transition-colors"
-              >
-                Orders
-              </Link>
-            )}
-            {isAdmin && (
+            <Link
+              href={isAuthenticated ? '/orders' : '/orders/lookup'}
+              className="px-4 py-2 text-sm font-medium text-gray-700 hover:text-black hover:bg-gray-50 rounded-lg transition-colors"
+            >
+              {isAuthenticated ? 'Orders' : 'Track Order'}
+            </Link>
+            {isStaff && (
               <Link
                 href="/admin"
                 className="px-4 py-2 text-sm font-medium text-black hover:bg-gray-100 rounded-lg transition-colors"
@@ -181,16 +179,14 @@ const Header: React.FC = () => {
               >
                 Categories
               </Link>
-              {isAuthenticated && (
-                <Link
-                  href="/orders"
-                  className="px-4 py-2 text-base font-medium text-gray-700 hover:text-black hover:bg-gray-50 rounded-lg transition-colors"
-                  onClick={() => setMobileMenuOpen(false)}
-                >
-                  Orders
-                </Link>
-              )}
-              {isAdmin && (
+              <Link
+                href={isAuthenticated ? '/orders' : '/orders/lookup'}
+                className="px-4 py-2 text-base font-medium text-gray-700 hover:text-black hover:bg-gray-50 rounded-lg transition-colors"
+                onClick={() => setMobileMenuOpen(false)}
+              >
+                {isAuthenticated ? 'Orders' : 'Track Order'}
+              </Link>
+              {isStaff && (
                 <Link
                   href="/admin"
                   className="px-4 py-2 text-base font-medium text-black hover:bg-gray-100 rounded-lg transition-colors"
@@ -6,9 +6,11 @@ import Image from 'next/image';
 import { useAuth } from '@/contexts/AuthContext';
 import { useRouter } from 'next/navigation';
 import { cn } from '@/lib/utils';
+import { FeatureGate } from '@/components/features/FeatureGate';
+import { FEATURE_FLAGS } from '@/config/feature-flags';
 
 export default function UserMenu() {
-  const { user, logout, isAdmin } = useAuth();
+  const { user, logout, isAdmin, isStaff } = useAuth();
   const router = useRouter();
   const [isOpen, setIsOpen] = useState(false);
   const menuRef = useRef<HTMLDivElement>(null);
@@ -88,9 +90,9 @@ export default function UserMenu() {
           <div className="px-4 py-3 border-b border-gray-200">
             <p className="text-sm font-semibold text-gray-900">{user.name}</p>
             <p className="text-xs text-gray-500 truncate">{user.email}</p>
-            {isAdmin && (
+            {isStaff && (
               <span className="inline-block mt-1 px-2 py-0.5 text-xs font-medium bg-gray-200 text-black rounded border border-gray-400">
-                Admin
+                {isAdmin ? 'Admin' : user.staffRole?.name || 'Staff'}
               </span>
             )}
           </div>
@@ -103,6 +105,15 @@ export default function UserMenu() {
             >
               My Orders
             </Link>
+            <FeatureGate featureKey={FEATURE_FLAGS.WISHLIST}>
+              <Link
+                href="/wishlist"
+                className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100 transition-colors"
+                onClick={() => setIsOpen(false)}
+              >
+                Wishlist
+              </Link>
+            </FeatureGate>
             <Link
               href="/profile"
               className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100 transition-colors"
@@ -110,7 +121,7 @@ export default function UserMenu() {
             >
               Profile Settings
             </Link>
-            {isAdmin && (
+            {isStaff && (
               <Link
                 href="/admin"
                 className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100 transition-colors"
@@ -0,0 +1,103 @@
+'use client';
+
+import React from 'react';
+import Badge from '@/components/ui/Badge';
+import TrackingEvents from '@/components/order/TrackingEvents';
+import { Order, OrderStatusView } from '@/lib/api/orders.api';
+
+type Package = OrderStatusView['packages'][number];
+type PackageItem = OrderStatusView['unshipped'][number];
+
+/**
+ * Packages and still-unshipped items of a full order, in the shape of the
+ * guest status view
+ */
+export function getPackages(order: Order): { packages: Package[]; unshipped: PackageItem[] } {
+  const itemsById = new Map(order.items.map((item) => [item._id, item]));
+  const remaining = new Map(order.items.map((item) => [item._id, item.quantity]));
+
+  const packages = (order.fulfillments || []).map((fulfillment) => ({
+    status: fulfillment.status,
+    carrier: fulfillment.carrier || null,
+    trackingNumber: fulfillment.trackingNumber || null,
+    trackingEvents: fulfillment.trackingEvents,
+    shippedAt: fulfillment.shippedAt,
+    deliveredAt: fulfillment.deliveredAt,
+    items: fulfillment.items.map((line) => {
+      remaining.set(line.item, (remaining.get(line.item) || 0) - line.quantity);
+      const item = itemsById.get(line.item);
+      return { name: item?.name || 'Item', image: item?.product?.image, quantity: line.quantity };
+    }),
+  }));
+
+  const unshipped = order.items
+    .filter((item) => (remaining.get(item._id) || 0) > 0)
+    .map((item) => ({
+      name: item.name,
+      image: item.product?.image,
+      quantity: remaining.get(item._id) || 0,
+    }));
+
+  return { packages, unshipped };
+}
+
+interface PackagesProps {
+  packages: Package[];
+  unshipped?: PackageItem[];
+}
+
+/**
+ * Each package of an order with its items and tracking
+ */
+export default function Packages({ packages, unshipped = [] }: PackagesProps) {
+  return (
+    <div className="space-y-4">
+      {packages.map((pkg, index) => (
+        <div key={index} className="rounded-lg border border-gray-200 p-4">
+          <div className="flex items-center justify-between">
+            <p className="font-semibold text-gray-900">
+              Package {index + 1}
+              {packages.length > 1 && ` of ${packages.length}`}
+            </p>
+            <Badge variant={pkg.status === 'delivered' ? 'success' : 'primary'}>
+              {pkg.status === 'delivered' ? 'Delivered' : 'Shipped'}
+            </Badge>
+          </div>
+          <div className="mt-2 text-sm text-gray-700 space-y-1">
+            {pkg.trackingNumber && (
+              <p>
+                <span className="font-medium">Tracking Number:</span> {pkg.trackingNumber}
+                {pkg.carrier && ` (${pkg.carrier})`}
+              </p>
+            )}
+            <p className="text-gray-500">
+              Shipped {new Date(pkg.shippedAt).toLocaleDateString()}
+              {pkg.deliveredAt && ` · Delivered ${new Date(pkg.deliveredAt).toLocaleDateString()}`}
+            </p>
+          </div>
+          <ul className="mt-3 text-sm text-gray-700 space-y-1">
+            {pkg.items.map((item, itemIndex) => (
+              <li key={itemIndex}>
+                {item.quantity} × {item.name}
+              </li>
+            ))}
+          </ul>
+          <TrackingEvents events={pkg.trackingEvents} />
+        </div>
+      ))}
+
+      {packages.length > 0 && unshipped.length > 0 && (
+        <div className="rounded-lg border border-dashed border-gray-300 p-4">
+          <p className="font-semibold text-gray-900">Not yet shipped</p>
+          <ul className="mt-2 text-sm text-gray-700 space-y-1">
+            {unshipped.map((item, index) => (
+              <li key={index}>
+                {item.quantity} × {item.name}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
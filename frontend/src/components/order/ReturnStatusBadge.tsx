@@ -0,0 +1,18 @@
+import React from 'react';
+import Badge from '@/components/ui/Badge';
+import { RETURN_STATUS_LABELS, ReturnStatus } from '@/lib/api/returns.api';
+
+const STATUS_VARIANTS: Record<ReturnStatus, 'primary' | 'success' | 'error' | 'warning' | 'info'> = {
+  requested: 'warning',
+  approved: 'info',
+  received: 'primary',
+  refunded: 'success',
+  rejected: 'error',
+};
+
+/**
+ * Colour-coded status of a return
+ */
+export default function ReturnStatusBadge({ status }: { status: ReturnStatus }) {
+  return <Badge variant={STATUS_VARIANTS[status]}>{RETURN_STATUS_LABELS[status]}</Badge>;
+}
@@ -0,0 +1,45 @@
+'use client';
+
+import React from 'react';
+import { TrackingEvent } from '@/lib/api/orders.api';
+
+const STATUS_LABELS: Record<TrackingEvent['status'], string> = {
+  label_created: 'Label created',
+  in_transit: 'In transit',
+  out_for_delivery: 'Out for delivery',
+  delivered: 'Delivered',
+  exception: 'Delivery problem',
+  returned: 'Returned to sender',
+};
+
+interface TrackingEventsProps {
+  events?: TrackingEvent[];
+}
+
+/**
+ * Carrier scans for a shipment, newest first
+ */
+export default function TrackingEvents({ events = [] }: TrackingEventsProps) {
+  if (events.length === 0) return null;
+
+  return (
+    <ol className="mt-4 space-y-3 border-l border-gray-200 pl-4">
+      {[...events].reverse().map((event, index) => (
+        <li key={event.eventId || `${event.status}-${event.occurredAt}`} className="relative">
+          <span
+            className={`absolute -left-[21px] top-1.5 h-2.5 w-2.5 rounded-full ${
+              index === 0 ? 'bg-black' : 'bg-gray-300'
+            }`}
+          />
+          <p className={`text-sm ${index === 0 ? 'font-semibold text-gray-900' : 'text-gray-700'}`}>
+            {event.description || STATUS_LABELS[event.status]}
+          </p>
+          <p className="text-xs text-gray-500">
+            {new Date(event.occurredAt).toLocaleString()}
+            {event.location && ` · ${event.location}`}
+          </p>
+        </li>
+      ))}
+    </ol>
+  );
+}
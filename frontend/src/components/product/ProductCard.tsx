@@ -7,6 +7,10 @@ import { Product } from '@/lib/api/products.api';
 import { formatCurrency } from '@/lib/utils';
 import { cn } from '@/lib/utils';
 import QuickAddModal from './QuickAddModal';
+import WishlistButton from './WishlistButton';
+import { FeatureGate } from '@/components/features/FeatureGate';
+import { FEATURE_FLAGS } from '@/config/feature-flags';
+import { usePriceDisplay } from '@/hooks/usePriceDisplay';
 
 interface ProductCardProps {
   product: Product;
@@ -15,6 +19,7 @@ interface ProductCardProps {
 
 const ProductCard: React.FC<ProductCardProps> = ({ product, className }) => {
   const [isQuickAddOpen, setIsQuickAddOpen] = useState(false);
+  const { displayPrice } = usePriceDisplay();
   const primaryImage = product.images.find((img) => img.isPrimary) || product.images[0];
   const hasDiscount = product.compareAtPrice && product.compareAtPrice > product.price;
   const discountPercentage = hasDiscount
@@ -109,6 +114,11 @@ const ProductCard: React.FC<ProductCardProps> = ({ product, className }) => {
         </div>
       </Link>
 
+      {/* Wishlist Toggle */}
+      <FeatureGate featureKey={FEATURE_FLAGS.WISHLIST}>
+        <WishlistButton productId={product._id} className="absolute top-3 right-3 z-10" />
+      </FeatureGate>
+
       {/* Content */}
       <div className="p-4 flex-1 flex flex-col">
         {/* Category */}
@@ -152,11 +162,11 @@ const ProductCard: React.FC<ProductCardProps> = ({ product, className }) => {
         {/* Price */}
         <div className="mt-auto flex items-baseline gap-2">
           <span className="text-xl font-bold text-gray-900">
-            {formatCurrency(product.price)}
+            {formatCurrency(displayPrice(product.price, product.taxClass))}
           </span>
           {hasDiscount && (
             <span className="text-sm text-gray-500 line-through">
-              {formatCurrency(product.compareAtPrice!)}
+              {formatCurrency(displayPrice(product.compareAtPrice!, product.taxClass))}
             </span>
           )}
         </div>
@@ -0,0 +1,224 @@
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import { useRouter } from 'next/navigation';
+import Alert from '@/components/ui/Alert';
+import Badge from '@/components/ui/Badge';
+import Button from '@/components/ui/Button';
+import Spinner from '@/components/ui/Spinner';
+import { useAuth } from '@/contexts/AuthContext';
+import {
+  getProductReviews,
+  toggleReviewHelpful,
+  Review,
+  ReviewsQueryParams,
+} from '@/lib/api/reviews.api';
+
+interface ProductReviewsProps {
+  productId: string;
+}
+
+type ReviewSort = NonNullable<ReviewsQueryParams['sort']>;
+
+const ProductReviews: React.FC<ProductReviewsProps> = ({ productId }) => {
+  const router = useRouter();
+  const { isAuthenticated, user } = useAuth();
+
+  const [reviews, setReviews] = useState<Review[]>([]);
+  const [sort, setSort] = useState<ReviewSort>('newest');
+  const [page, setPage] = useState(1);
+  const [hasNext, setHasNext] = useState(false);
+  const [total, setTotal] = useState(0);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [votingId, setVotingId] = useState<string | null>(null);
+
+  useEffect(() => {
+    const fetchReviews = async () => {
+      try {
+        setIsLoading(true);
+        setError(null);
+        const response = await getProductReviews(productId, { page, limit: 10, sort });
+
+        if (response.success) {
+          setReviews((prev) =>
+            page === 1 ? response.data.reviews : [...prev, ...response.data.reviews]
+          );
+          setHasNext(response.data.pagination.hasNext);
+          setTotal(response.data.pagination.total);
+        } else {
+          setError('Failed to load reviews');
+        }
+      } catch (err: any) {
+        setError(
+          err.response?.data?.error?.message ||
+            err.message ||
+            'An error occurred while loading reviews'
+        );
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchReviews();
+  }, [productId, page, sort, isAuthenticated]);
+
+  const handleSortChange = (value: ReviewSort) => {
+    setSort(value);
+    setPage(1);
+  };
+
+  const handleToggleHelpful = async (reviewId: string) => {
+    if (!isAuthenticated) {
+      const returnUrl = `/products/${productId}`;
+      router.push(`/login?returnUrl=${encodeURIComponent(returnUrl)}`);
+      return;
+    }
+
+    try {
+      setVotingId(reviewId);
+      setError(null);
+      const response = await toggleReviewHelpful(productId, reviewId);
+
+      if (response.success) {
+        setReviews((prev) =>
+          prev.map((review) =>
+            review._id === reviewId
+              ? {
+                  ...review,
+                  helpful: { ...review.helpful, count: response.data.helpfulCount },
+                  votedHelpful: response.data.votedHelpful,
+                }
+              : review
+          )
+        );
+      }
+    } catch (err: any) {
+      setError(err.response?.data?.error?.message || 'Failed to update helpful vote');
+    } finally {
+      setVotingId(null);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-8 mt-8">
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-2xl font-bold text-gray-900">
+          Customer Reviews{total > 0 && ` (${total})`}
+        </h2>
+        <select
+          value={sort}
+          onChange={(e) => handleSortChange(e.target.value as ReviewSort)}
+          className="input-base w-auto"
+        >
+          <option value="newest">Newest</option>
+          <option value="helpful">Most Helpful</option>
+          <option value="rating">Highest Rated</option>
+        </select>
+      </div>
+
+      {error && (
+        <Alert variant="error" className="mb-6">
+          {error}
+        </Alert>
+      )}
+
+      {isLoading && page === 1 ? (
+        <div className="flex justify-center py-10">
+          <Spinner size="lg" />
+        </div>
+      ) : reviews.length === 0 ? (
+        <p className="text-gray-500">No reviews yet.</p>
+      ) : (
+        <div className="divide-y divide-gray-200">
+          {reviews.map((review) => {
+            const isOwnReview = user?._id === review.user?._id;
+
+            return (
+              <div key={review._id} className="py-6">
+                <div className="flex items-center gap-2 mb-2">
+                  <div className="flex items-center">
+                    {[...Array(5)].map((_, i) => (
+                      <svg
+                        key={i}
+                        className={`w-4 h-4 ${
+                          i < review.rating ? 'text-black fill-current' : 'text-gray-300'
+                        }`}
+                        fill="currentColor"
+                        viewBox="0 0 20 20"
+                      >
+                        <path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z" />
+                      </svg>
+                    ))}
+                  </div>
+                  {review.title && (
+                    <span className="font-semibold text-gray-900">{review.title}</span>
+                  )}
+                </div>
+
+                <div className="flex items-center gap-2 text-sm text-gray-500 mb-3">
+                  <span>{review.user?.name}</span>
+                  <span>·</span>
+                  <span>{new Date(review.createdAt).toLocaleDateString()}</span>
+                  {review.verifiedPurchase && (
+                    <Badge variant="success" size="sm">
+                      Verified Purchase
+                    </Badge>
+                  )}
+                </div>
+
+                {review.comment && (
+                  <p className="text-gray-700 leading-relaxed mb-3">{review.comment}</p>
+                )}
+
+                {review.merchantReply?.comment && (
+                  <div className="ml-4 mb-3 border-l-2 border-gray-300 pl-4">
+                    <p className="text-sm font-semibold text-gray-900">
+                      Response from the store
+                    </p>
+                    <p className="text-sm text-gray-700">{review.merchantReply.comment}</p>
+                    <p className="text-xs text-gray-500 mt-1">
+                      {new Date(review.merchantReply.repliedAt).toLocaleDateString()}
+                    </p>
+                  </div>
+                )}
+
+                <div className="flex items-center gap-3 text-sm text-gray-600">
+                  <span>
+                    {review.helpful.count} {review.helpful.count === 1 ? 'person' : 'people'}{' '}
+                    found this helpful
+                  </span>
+                  {!isOwnReview && (
+                    <Button
+                      variant={review.votedHelpful ? 'primary' : 'outline'}
+                      size="sm"
+                      onClick={() => handleToggleHelpful(review._id)}
+                      disabled={votingId === review._id}
+                    >
+                      {review.votedHelpful ? 'Helpful ✓' : 'Helpful'}
+                    </Button>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {hasNext && (
+        <div className="mt-6 text-center">
+          <Button
+            variant="outline"
+            onClick={() => setPage((prev) => prev + 1)}
+            isLoading={isLoading && page > 1}
+            disabled={isLoading}
+          >
+            Load More Reviews
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProductReviews;
@@ -4,10 +4,8 @@ import React, { useState, useEffect } from 'react';
 import Image from 'next/image';
 import { Product } from '@/lib/api/products.api';
 import { formatCurrency } from '@/lib/utils';
-import { useAuth } from '@/contexts/AuthContext';
 import { useCart } from '@/contexts/CartContext';
 import { useToast } from '@/components/ui/ToastProvider';
-import { useRouter } from 'next/navigation';
 import Button from '@/components/ui/Button';
 import Alert from '@/components/ui/Alert';
 import { cn } from '@/lib/utils';
@@ -23,8 +21,6 @@ interface SelectedVariants {
 }
 
 const QuickAddModal: React.FC<QuickAddModalProps> = ({ product, isOpen, onClose }) => {
-  const router = useRouter();
-  const { isAuthenticated } = useAuth();
   const { addToCart, isUpdating } = useCart();
   const { success: showSuccess, error: showError } = useToast();
   const [selectedVariants, setSelectedVariants] = useState<SelectedVariants>({});
@@ -104,11 +100,6 @@ const QuickAddModal: React.FC<QuickAddModalProps> = ({ product, isOpen, onClose
   };
 
   const handleAddToCart = async () => {
-    if (!isAuthenticated) {
-      router.push(`/login?returnUrl=${encodeURIComponent(window.location.pathname)}`);
-      return;
-    }
-
     // Validate variant selection
     if (product.variants && product.variants.length > 0) {
       const missingVariants = product.variants.filter(
@@ -0,0 +1,67 @@
+'use client';
+
+import React from 'react';
+import { useRouter, usePathname } from 'next/navigation';
+import { useAuth } from '@/contexts/AuthContext';
+import { useWishlist } from '@/contexts/WishlistContext';
+import { cn } from '@/lib/utils';
+
+interface WishlistButtonProps {
+  productId: string;
+  className?: string;
+}
+
+const WishlistButton: React.FC<WishlistButtonProps> = ({ productId, className }) => {
+  const router = useRouter();
+  const pathname = usePathname();
+  const { isAuthenticated } = useAuth();
+  const { findItem, addToWishlist, removeItem, isUpdating } = useWishlist();
+
+  const wishlistItem = findItem(productId);
+  const isSaved = !!wishlistItem;
+
+  const handleClick = async (e: React.MouseEvent) => {
+    e.preventDefault();
+    e.stopPropagation();
+
+    if (!isAuthenticated) {
+      router.push(`/login?returnUrl=${encodeURIComponent(pathname || '/')}`);
+      return;
+    }
+
+    if (wishlistItem) {
+      await removeItem(wishlistItem._id);
+    } else {
+      await addToWishlist(productId);
+    }
+  };
+
+  return (
+    <button
+      onClick={handleClick}
+      disabled={isUpdating}
+      aria-label={isSaved ? 'Remove from wishlist' : 'Add to wishlist'}
+      aria-pressed={isSaved}
+      className={cn(
+        'p-2 rounded-full bg-white shadow-md hover:bg-gray-100 transition-colors disabled:opacity-50',
+        className
+      )}
+    >
+      <svg
+        className={cn('w-5 h-5', isSaved ? 'text-black fill-current' : 'text-gray-700')}
+        fill={isSaved ? 'currentColor' : 'none'}
+        stroke="currentColor"
+        viewBox="0 0 24 24"
+      >
+        <path
+          strokeLinecap="round"
+          strokeLinejoin="round"
+          strokeWidth={2}
+          d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z"
+        />
+      </svg>
+    </button>
+  );
+};
+
+export default WishlistButton;
@@ -0,0 +1,137 @@
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import Card from '@/components/ui/Card';
+import Alert from '@/components/ui/Alert';
+import Badge from '@/components/ui/Badge';
+import Button from '@/components/ui/Button';
+import Spinner from '@/components/ui/Spinner';
+import {
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  Session,
+} from '@/lib/api/auth.api';
+import { describeDevice } from '@/lib/utils';
+
+const ActiveSessions: React.FC = () => {
+  const [sessions, setSessions] = useState<Session[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [revokingId, setRevokingId] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchSessions = async () => {
+    try {
+      const response = await getSessions();
+      if (response.success) {
+        setSessions(response.data.sessions);
+      }
+    } catch (err: any) {
+      setError(err.response?.data?.error?.message || 'Failed to load sessions');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const handleRevoke = async (sessionId: string) => {
+    setError(null);
+    setRevokingId(sessionId);
+
+    try {
+      await revokeSession(sessionId);
+      setSessions((prev) => prev.filter((session) => session._id !== sessionId));
+    } catch (err: any) {
+      setError(err.response?.data?.error?.message || 'Failed to sign out device');
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    setError(null);
+    setRevokingId('others');
+
+    try {
+      await revokeOtherSessions();
+      setSessions((prev) => prev.filter((session) => session.current));
+    } catch (err: any) {
+      setError(err.response?.data?.error?.message || 'Failed to sign out other devices');
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const hasOtherSessions = sessions.some((session) => !session.current);
+
+  return (
+    <Card padding="lg">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-gray-900">Signed-in Devices</h2>
+        {hasOtherSessions && (
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={handleRevokeOthers}
+            isLoading={revokingId === 'others'}
+            disabled={revokingId !== null}
+          >
+            Sign out all others
+          </Button>
+        )}
+      </div>
+
+      {error && (
+        <Alert variant="error" className="mb-4">
+          {error}
+        </Alert>
+      )}
+
+      {isLoading ? (
+        <div className="flex justify-center py-6">
+          <Spinner size="md" />
+        </div>
+      ) : sessions.length === 0 ? (
+        <p className="text-sm text-gray-600">No active sessions.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {sessions.map((session) => (
+            <li key={session._id} className="py-3 flex items-center justify-between gap-4">
+              <div className="min-w-0">
+                <div className="flex items-center gap-2">
+                  <span className="font-medium text-gray-900">
+                    {describeDevice(session.userAgent)}
+                  </span>
+                  {session.current && <Badge variant="success">This device</Badge>}
+                </div>
+                <p className="text-sm text-gray-500 truncate">
+                  {session.ip && `${session.ip} · `}
+                  Last active {new Date(session.lastUsedAt).toLocaleString()}
+                </p>
+                <p className="text-xs text-gray-400">
+                  Signed in {new Date(session.createdAt).toLocaleDateString()}
+                </p>
+              </div>
+              {!session.current && (
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => handleRevoke(session._id)}
+                  isLoading={revokingId === session._id}
+                  disabled={revokingId !== null}
+                >
+                  Sign out
+                </Button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </Card>
+  );
+};
+
+export default ActiveSessions;
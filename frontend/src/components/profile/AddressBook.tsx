@@ -0,0 +1,330 @@
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import Card from '@/components/ui/Card';
+import Alert from '@/components/ui/Alert';
+import Badge from '@/components/ui/Badge';
+import Button from '@/components/ui/Button';
+import Input from '@/components/ui/Input';
+import Spinner from '@/components/ui/Spinner';
+import {
+  getAddresses,
+  addAddress,
+  updateAddress,
+  deleteAddress,
+  AddressInput,
+  AddressType,
+  SavedAddress,
+} from '@/lib/api/auth.api';
+
+const EMPTY_ADDRESS: AddressInput = {
+  type: 'home',
+  name: '',
+  street: '',
+  city: '',
+  state: '',
+  zipCode: '',
+  country: 'US',
+  phone: '',
+};
+
+const TYPE_LABELS: Record<AddressType, string> = {
+  home: 'Home',
+  work: 'Work',
+  other: 'Other',
+};
+
+const AddressBook: React.FC = () => {
+  const [addresses, setAddresses] = useState<SavedAddress[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  // null = form closed, 'new' = adding, otherwise the address being edited
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [form, setForm] = useState<AddressInput>(EMPTY_ADDRESS);
+  const [isSaving, setIsSaving] = useState(false);
+  const [busyId, setBusyId] = useState<string | null>(null);
+
+  useEffect(() => {
+    getAddresses()
+      .then((response) => {
+        if (response.success) {
+          setAddresses(response.data.addresses);
+        }
+      })
+      .catch((err: any) => {
+        setError(err.response?.data?.error?.message || 'Failed to load addresses');
+      })
+      .finally(() => setIsLoading(false));
+  }, []);
+
+  const openForm = (address?: SavedAddress) => {
+    setError(null);
+    if (address) {
+      setForm({
+        type: address.type,
+        name: address.name,
+        street: address.street,
+        city: address.city,
+        state: address.state,
+        zipCode: address.zipCode,
+        country: address.country,
+        phone: address.phone || '',
+      });
+      setEditingId(address._id);
+    } else {
+      setForm({ ...EMPTY_ADDRESS, isDefault: addresses.length === 0 });
+      setEditingId('new');
+    }
+  };
+
+  const handleChange = (field: keyof AddressInput, value: string | boolean) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError(null);
+    setIsSaving(true);
+
+    try {
+      const response =
+        editingId === 'new'
+          ? await addAddress(form)
+          : await updateAddress(editingId as string, form);
+
+      setAddresses(response.data.addresses);
+      setEditingId(null);
+    } catch (err: any) {
+      setError(err.response?.data?.error?.message || 'Failed to save address');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleSetDefault = async (
+    addressId: string,
+    flag: 'isDefault' | 'isDefaultBilling'
+  ) => {
+    setError(null);
+    setBusyId(addressId);
+
+    try {
+      const response = await updateAddress(addressId, { [flag]: true });
+      setAddresses(response.data.addresses);
+    } catch (err: any) {
+      setError(err.response?.data?.error?.message || 'Failed to update default address');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = async (addressId: string) => {
+    if (!confirm('Delete this address?')) return;
+
+    setError(null);
+    setBusyId(addressId);
+
+    try {
+      const response = await deleteAddress(addressId);
+      setAddresses(response.data.addresses);
+    } catch (err: any) {
+      setError(err.response?.data?.error?.message || 'Failed to delete address');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <Card padding="lg">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-gray-900">Address Book</h2>
+        {editingId === null && (
+          <Button variant="outline" size="sm" onClick={() => openForm()}>
+            Add Address
+          </Button>
+        )}
+      </div>
+
+      {error && (
+        <Alert variant="error" className="mb-4">
+          {error}
+        </Alert>
+      )}
+
+      {editingId !== null && (
+        <form onSubmit={handleSubmit} className="mb-6 space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <Input
+              label="Full Name"
+              value={form.name}
+              onChange={(e) => handleChange('name', e.target.value)}
+              required
+            />
+            <Input
+              label="Phone"
+              type="tel"
+              value={form.phone || ''}
+              onChange={(e) => handleChange('phone', e.target.value)}
+            />
+            <Input
+              label="Street Address"
+              value={form.street}
+              onChange={(e) => handleChange('street', e.target.value)}
+              required
+            />
+            <Input
+              label="City"
+              value={form.city}
+              onChange={(e) => handleChange('city', e.target.value)}
+              required
+            />
+            <Input
+              label="State"
+              value={form.state}
+              onChange={(e) => handleChange('state', e.target.value)}
+              required
+            />
+            <Input
+              label="ZIP Code"
+              value={form.zipCode}
+              onChange={(e) => handleChange('zipCode', e.target.value)}
+              required
+            />
+            <Input
+              label="Country"
+              value={form.country}
+              onChange={(e) => handleChange('country', e.target.value)}
+              required
+            />
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+              <select
+                value={form.type}
+                onChange={(e) => handleChange('type', e.target.value)}
+                className="input-base"
+              >
+                {Object.entries(TYPE_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {editingId === 'new' && (
+            <div className="flex flex-wrap gap-6">
+              <label className="flex items-center space-x-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={!!form.isDefault}
+                  onChange={(e) => handleChange('isDefault', e.target.checked)}
+                  className="rounded border-gray-300 text-black focus:ring-black"
+                />
+                <span className="text-sm text-gray-700">Default shipping address</span>
+              </label>
+              <label className="flex items-center space-x-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={!!form.isDefaultBilling}
+                  onChange={(e) => handleChange('isDefaultBilling', e.target.checked)}
+                  className="rounded border-gray-300 text-black focus:ring-black"
+                />
+                <span className="text-sm text-gray-700">Default billing address</span>
+              </label>
+            </div>
+          )}
+
+          <div className="flex gap-3">
+            <Button type="submit" variant="primary" isLoading={isSaving}>
+              Save Address
+            </Button>
+            <Button
+              type="button"
+              variant="outline"
+              onClick={() => setEditingId(null)}
+              disabled={isSaving}
+            >
+              Cancel
+            </Button>
+          </div>
+        </form>
+      )}
+
+      {isLoading ? (
+        <div className="flex justify-center py-6">
+          <Spinner size="md" />
+        </div>
+      ) : addresses.length === 0 ? (
+        editingId === null && (
+          <p className="text-sm text-gray-600">
+            No saved addresses yet. Addresses you save here are offered at checkout.
+          </p>
+        )
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {addresses.map((address) => (
+            <li key={address._id} className="py-4 flex items-start justify-between gap-4">
+              <div className="min-w-0">
+                <div className="flex flex-wrap items-center gap-2">
+                  <span className="font-medium text-gray-900">{address.name}</span>
+                  <Badge>{TYPE_LABELS[address.type]}</Badge>
+                  {address.isDefault && <Badge variant="primary">Default shipping</Badge>}
+                  {address.isDefaultBilling && <Badge variant="info">Default billing</Badge>}
+                </div>
+                <p className="text-sm text-gray-600">
+                  {address.street}, {address.city}, {address.state} {address.zipCode},{' '}
+                  {address.country}
+                </p>
+                {address.phone && <p className="text-sm text-gray-500">{address.phone}</p>}
+                <div className="mt-2 flex flex-wrap gap-3 text-sm">
+                  {!address.isDefault && (
+                    <button
+                      type="button"
+                      className="text-gray-700 underline disabled:opacity-50"
+                      onClick={() => handleSetDefault(address._id, 'isDefault')}
+                      disabled={busyId !== null}
+                    >
+                      Set as default shipping
+                    </button>
+                  )}
+                  {!address.isDefaultBilling && (
+                    <button
+                      type="button"
+                      className="text-gray-700 underline disabled:opacity-50"
+                      onClick={() => handleSetDefault(address._id, 'isDefaultBilling')}
+                      disabled={busyId !== null}
+                    >
+                      Set as default billing
+                    </button>
+                  )}
+                </div>
+              </div>
+              <div className="flex gap-2 shrink-0">
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => openForm(address)}
+                  disabled={busyId !== null || editingId !== null}
+                >
+                  Edit
+                </Button>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => handleDelete(address._id)}
+                  isLoading={busyId === address._id}
+                  disabled={busyId !== null}
+                >
+                  Delete
+                </Button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </Card>
+  );
+};
+
+export default AddressBook;
@@ -0,0 +1,106 @@
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import Card from '@/components/ui/Card';
+import Alert from '@/components/ui/Alert';
+import Badge from '@/components/ui/Badge';
+import Button from '@/components/ui/Button';
+import Spinner from '@/components/ui/Spinner';
+import { getLoginHistory, LoginEvent, LoginFailureReason } from '@/lib/api/auth.api';
+import { describeDevice } from '@/lib/utils';
+
+export const FAILURE_LABELS: Record<LoginFailureReason, string> = {
+  unknown_email: 'Unknown email',
+  invalid_password: 'Wrong password',
+  invalid_2fa: 'Wrong 2FA code',
+  locked: 'Account locked',
+};
+
+const LoginHistory: React.FC = () => {
+  const [events, setEvents] = useState<LoginEvent[]>([]);
+  const [page, setPage] = useState(1);
+  const [hasNext, setHasNext] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const fetchHistory = async () => {
+      try {
+        setIsLoading(true);
+        const response = await getLoginHistory({ page, limit: 10 });
+
+        if (response.success) {
+          setEvents((prev) => (page === 1 ? response.data.events : [...prev, ...response.data.events]));
+          setHasNext(response.data.pagination.hasNext);
+        }
+      } catch (err: any) {
+        setError(err.response?.data?.error?.message || 'Failed to load login history');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchHistory();
+  }, [page]);
+
+  return (
+    <Card padding="lg">
+      <h2 className="text-xl font-semibold text-gray-900 mb-1">Recent Sign-in Activity</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        If you don&apos;t recognise an entry, change your password and sign out other devices.
+      </p>
+
+      {error && (
+        <Alert variant="error" className="mb-4">
+          {error}
+        </Alert>
+      )}
+
+      {events.length === 0 && !isLoading ? (
+        <p className="text-sm text-gray-600">No sign-in activity yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {events.map((event) => (
+            <li key={event._id} className="py-3 flex items-center justify-between gap-4">
+              <div className="min-w-0">
+                <div className="text-sm font-medium text-gray-900">
+                  {describeDevice(event.userAgent)}
+                </div>
+                <p className="text-sm text-gray-500 truncate">
+                  {event.ip && `${event.ip} · `}
+                  {new Date(event.createdAt).toLocaleString()}
+                </p>
+              </div>
+              <div className="flex items-center gap-2 flex-shrink-0">
+                {event.newDevice && <Badge variant="warning">New device</Badge>}
+                {event.success ? (
+                  <Badge variant="success">Signed in</Badge>
+                ) : (
+                  <Badge variant="error">
+                    {event.failureReason ? FAILURE_LABELS[event.failureReason] : 'Failed'}
+                  </Badge>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {isLoading ? (
+        <div className="flex justify-center py-4">
+          <Spinner size="md" />
+        </div>
+      ) : (
+        hasNext && (
+          <div className="mt-4 text-center">
+            <Button variant="outline" size="sm" onClick={() => setPage((prev) => prev + 1)}>
+              Load more
+            </Button>
+          </div>
+        )
+      )}
+    </Card>
+  );
+};
+
+export default LoginHistory;
@@ -0,0 +1,164 @@
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import Link from 'next/link';
+import Card from '@/components/ui/Card';
+import Alert from '@/components/ui/Alert';
+import Button from '@/components/ui/Button';
+import Spinner from '@/components/ui/Spinner';
+import {
+  getLoyaltyAccount,
+  getLoyaltyTransactions,
+  LoyaltyAccount,
+  LoyaltyTransaction,
+  LoyaltyTransactionType,
+} from '@/lib/api/loyalty.api';
+import { formatCurrency } from '@/lib/utils';
+import { cn } from '@/lib/utils';
+
+const TRANSACTION_LABELS: Record<LoyaltyTransactionType, string> = {
+  earn: 'Earned',
+  redeem: 'Redeemed',
+  clawback: 'Reversed',
+  restore: 'Returned',
+  expire: 'Expired',
+  adjust: 'Adjustment',
+};
+
+const LoyaltyPoints: React.FC = () => {
+  const [account, setAccount] = useState<LoyaltyAccount | null>(null);
+  const [transactions, setTransactions] = useState<LoyaltyTransaction[]>([]);
+  const [page, setPage] = useState(1);
+  const [hasNext, setHasNext] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const fetchAccount = async () => {
+      try {
+        const response = await getLoyaltyAccount();
+        if (response.success) {
+          setAccount(response.data.account);
+        }
+      } catch (err: any) {
+        setError(err.response?.data?.error?.message || 'Failed to load loyalty points');
+      }
+    };
+
+    fetchAccount();
+  }, []);
+
+  useEffect(() => {
+    const fetchTransactions = async () => {
+      try {
+        setIsLoading(true);
+        const response = await getLoyaltyTransactions({ page, limit: 10 });
+
+        if (response.success) {
+          setTransactions((prev) =>
+            page === 1 ? response.data.transactions : [...prev, ...response.data.transactions]
+          );
+          setHasNext(response.data.pagination.hasNext);
+        }
+      } catch (err: any) {
+        setError(err.response?.data?.error?.message || 'Failed to load points history');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchTransactions();
+  }, [page]);
+
+  return (
+    <Card padding="lg">
+      <h2 className="text-xl font-semibold text-gray-900 mb-4">Loyalty Points</h2>
+
+      {error && (
+        <Alert variant="error" className="mb-4">
+          {error}
+        </Alert>
+      )}
+
+      {account && (
+        <div className="mb-6">
+          <div className="flex items-baseline gap-2">
+            <span className="text-3xl font-bold text-gray-900">
+              {account.balance.toLocaleString()}
+            </span>
+            <span className="text-gray-600">
+              points ({formatCurrency(account.pointsValue)} off your next order)
+            </span>
+          </div>
+          <p className="mt-1 text-sm text-gray-500">
+            Earn {account.program.earnRate} point(s) per {formatCurrency(1)} spent. Redeem from{' '}
+            {account.program.minRedemptionPoints} points at checkout.
+          </p>
+          {account.nextExpiry && (
+            <p className="mt-1 text-sm text-gray-500">
+              {account.nextExpiry.points} points expire on{' '}
+              {new Date(account.nextExpiry.expiresAt).toLocaleDateString()}
+            </p>
+          )}
+        </div>
+      )}
+
+      <h3 className="font-semibold text-gray-900 mb-2">History</h3>
+      {transactions.length === 0 && !isLoading ? (
+        <p className="text-sm text-gray-500">No points activity yet</p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {transactions.map((transaction) => (
+            <li key={transaction._id} className="py-3 flex justify-between items-start text-sm">
+              <div>
+                <p className="font-medium text-gray-900">
+                  {TRANSACTION_LABELS[transaction.type]}
+                  {transaction.order && (
+                    <>
+                      {' · '}
+                      <Link
+                        href={`/orders/${transaction.order._id}`}
+                        className="text-primary-600 hover:text-primary-700"
+                      >
+                        {transaction.order.orderNumber}
+                      </Link>
+                    </>
+                  )}
+                </p>
+                {transaction.description && (
+                  <p className="text-gray-500">{transaction.description}</p>
+                )}
+                <p className="text-gray-400">
+                  {new Date(transaction.createdAt).toLocaleDateString()}
+                </p>
+              </div>
+              <span
+                className={cn(
+                  'font-semibold',
+                  transaction.points >= 0 ? 'text-green-600' : 'text-red-600'
+                )}
+              >
+                {transaction.points >= 0 ? '+' : ''}
+                {transaction.points}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {isLoading && (
+        <div className="flex justify-center py-4">
+          <Spinner size="md" />
+        </div>
+      )}
+
+      {hasNext && !isLoading && (
+        <Button variant="outline" size="sm" onClick={() => setPage((prev) => prev + 1)}>
+          Load more
+        </Button>
+      )}
+    </Card>
+  );
+};
+
+export default LoyaltyPoints;
@@ -0,0 +1,160 @@
+'use client';
+
+import React, { useState } from 'react';
+import Card from '@/components/ui/Card';
+import Alert from '@/components/ui/Alert';
+import Button from '@/components/ui/Button';
+import Input from '@/components/ui/Input';
+import { useAuth } from '@/contexts/AuthContext';
+import { exportAccountData } from '@/lib/api/auth.api';
+
+type ExportFormat = 'json' | 'zip';
+
+const PrivacySettings: React.FC = () => {
+  const { user, deleteAccount } = useAuth();
+  const [exportingFormat, setExportingFormat] = useState<ExportFormat | null>(null);
+  const [isDeleting, setIsDeleting] = useState(false);
+  const [showDeleteForm, setShowDeleteForm] = useState(false);
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [error, setError] = useState<string | null>(null);
+
+  const hasTwoFactor = !!user?.twoFactor?.enabled;
+
+  const handleExport = async (format: ExportFormat) => {
+    setError(null);
+    setExportingFormat(format);
+
+    try {
+      const blob = await exportAccountData(format);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `account-data-${new Date().toISOString().slice(0, 10)}.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (err: any) {
+      // Error bodies arrive as a Blob with responseType 'blob', so use status only
+      setError(
+        err.response?.status === 429
+          ? 'Too many export requests, please try again later.'
+          : 'Failed to export your data'
+      );
+    } finally {
+      setExportingFormat(null);
+    }
+  };
+
+  const handleDelete = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    if (!confirm('This permanently deletes your account. Continue?')) return;
+
+    setError(null);
+    setIsDeleting(true);
+
+    try {
+      await deleteAccount({
+        password,
+        code: hasTwoFactor && code ? code : undefined,
+      });
+    } catch (err: any) {
+      setError(err.response?.data?.error?.message || 'Failed to delete account');
+      setIsDeleting(false);
+    }
+  };
+
+  return (
+    <Card padding="lg">
+      <h2 className="text-xl font-semibold text-gray-900 mb-2">Privacy &amp; Data</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Download a copy of your profile, addresses, orders, reviews and cart.
+      </p>
+
+      {error && (
+        <Alert variant="error" className="mb-4">
+          {error}
+        </Alert>
+      )}
+
+      <div className="flex flex-wrap gap-3">
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => handleExport('json')}
+          isLoading={exportingFormat === 'json'}
+          disabled={exportingFormat !== null}
+        >
+          Download JSON
+        </Button>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => handleExport('zip')}
+          isLoading={exportingFormat === 'zip'}
+          disabled={exportingFormat !== null}
+        >
+          Download ZIP
+        </Button>
+      </div>
+
+      <div className="mt-6 pt-6 border-t border-gray-200">
+        <h3 className="font-semibold text-gray-900 mb-1">Delete Account</h3>
+        <p className="text-sm text-gray-600 mb-4">
+          Your personal details are removed and you are signed out everywhere. Order records are
+          kept without your name, phone number or address.
+        </p>
+
+        {showDeleteForm ? (
+          <form onSubmit={handleDelete} className="space-y-4 max-w-sm">
+            <Input
+              label="Password"
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete="current-password"
+              required
+            />
+            {hasTwoFactor && (
+              <Input
+                label="Authenticator Code"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                maxLength={6}
+                required
+              />
+            )}
+            <div className="flex gap-3">
+              <Button type="submit" variant="danger" isLoading={isDeleting}>
+                Delete My Account
+              </Button>
+              <Button
+                type="button"
+                variant="outline"
+                onClick={() => {
+                  setShowDeleteForm(false);
+                  setPassword('');
+                  setCode('');
+                  setError(null);
+                }}
+                disabled={isDeleting}
+              >
+                Cancel
+              </Button>
+            </div>
+          </form>
+        ) : (
+          <Button variant="danger" size="sm" onClick={() => setShowDeleteForm(true)}>
+            Delete Account
+          </Button>
+        )}
+      </div>
+    </Card>
+  );
+};
+
+export default PrivacySettings;
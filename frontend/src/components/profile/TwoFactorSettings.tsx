@@ -0,0 +1,294 @@
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import Card from '@/components/ui/Card';
+import Alert from '@/components/ui/Alert';
+import Badge from '@/components/ui/Badge';
+import Button from '@/components/ui/Button';
+import Input from '@/components/ui/Input';
+import Spinner from '@/components/ui/Spinner';
+import { useAuth } from '@/contexts/AuthContext';
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  TwoFactorStatus,
+  TwoFactorSetup,
+} from '@/lib/api/auth.api';
+
+type Mode = 'idle' | 'setup' | 'disable' | 'regenerate';
+
+const TwoFactorSettings: React.FC = () => {
+  const { refreshUser } = useAuth();
+  const [status, setStatus] = useState<TwoFactorStatus | null>(null);
+  const [mode, setMode] = useState<Mode>('idle');
+  const [setup, setSetup] = useState<TwoFactorSetup | null>(null);
+  const [recoveryCodes, setRecoveryCodes] = useState<string[] | null>(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchStatus = async () => {
+    try {
+      const response = await getTwoFactorStatus();
+      if (response.success) {
+        setStatus(response.data.twoFactor);
+      }
+    } catch (err: any) {
+      setError(err.response?.data?.error?.message || 'Failed to load two-factor settings');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const resetForm = () => {
+    setMode('idle');
+    setSetup(null);
+    setCode('');
+    setPassword('');
+    setError(null);
+  };
+
+  const runAction = async (action: () => Promise<void>) => {
+    setError(null);
+    setIsSubmitting(true);
+    try {
+      await action();
+    } catch (err: any) {
+      setError(err.response?.data?.error?.message || err.message || 'Something went wrong');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleStartSetup = () =>
+    runAction(async () => {
+      const response = await setupTwoFactor();
+      if (response.success) {
+        setSetup(response.data);
+        setMode('setup');
+      }
+    });
+
+  const handleEnable = (e: React.FormEvent) => {
+    e.preventDefault();
+    return runAction(async () => {
+      const response = await enableTwoFactor(code.trim());
+      if (response.success) {
+        setRecoveryCodes(response.data.recoveryCodes);
+        resetForm();
+        await Promise.all([fetchStatus(), refreshUser()]);
+      }
+    });
+  };
+
+  const handleDisable = (e: React.FormEvent) => {
+    e.preventDefault();
+    return runAction(async () => {
+      await disableTwoFactor({ password, code: code.trim() });
+      resetForm();
+      setRecoveryCodes(null);
+      await Promise.all([fetchStatus(), refreshUser()]);
+    });
+  };
+
+  const handleRegenerate = (e: React.FormEvent) => {
+    e.preventDefault();
+    return runAction(async () => {
+      const response = await regenerateRecoveryCodes(code.trim());
+      if (response.success) {
+        setRecoveryCodes(response.data.recoveryCodes);
+        resetForm();
+        await fetchStatus();
+      }
+    });
+  };
+
+  const codeInput = (
+    <Input
+      label="Authentication code"
+      type="text"
+      name="code"
+      value={code}
+      onChange={(e) => setCode(e.target.value)}
+      required
+      autoComplete="one-time-code"
+      inputMode="numeric"
+      placeholder="123456"
+    />
+  );
+
+  return (
+    <Card padding="lg">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-gray-900">Two-Factor Authentication</h2>
+        {status && (
+          <Badge variant={status.enabled ? 'success' : 'default'}>
+            {status.enabled ? 'On' : 'Off'}
+          </Badge>
+        )}
+      </div>
+
+      {error && (
+        <Alert variant="error" className="mb-4">
+          {error}
+        </Alert>
+      )}
+
+      {isLoading ? (
+        <div className="flex justify-center py-6">
+          <Spinner size="md" />
+        </div>
+      ) : !status ? null : (
+        <div className="space-y-4">
+          {recoveryCodes && (
+            <Alert variant="warning">
+              <p className="font-medium mb-2">
+                Save these recovery codes somewhere safe. Each can be used once if you lose access
+                to your authenticator app. They will not be shown again.
+              </p>
+              <div className="grid grid-cols-2 gap-2 font-mono text-sm">
+                {recoveryCodes.map((recoveryCode) => (
+                  <span key={recoveryCode}>{recoveryCode}</span>
+                ))}
+              </div>
+              <Button
+                variant="outline"
+                size="sm"
+                className="mt-3"
+                onClick={() => setRecoveryCodes(null)}
+              >
+                I&apos;ve saved my codes
+              </Button>
+            </Alert>
+          )}
+
+          {!status.enabled && mode === 'idle' && (
+            <>
+              {status.requiredForRole && (
+                <Alert variant="warning">
+                  Two-factor authentication is required for admin accounts.
+                </Alert>
+              )}
+              <p className="text-sm text-gray-600">
+                Add a second step to sign-in using an authenticator app such as Google
+                Authenticator, 1Password or Authy.
+              </p>
+              <Button onClick={handleStartSetup} isLoading={isSubmitting} disabled={isSubmitting}>
+                Set up two-factor authentication
+              </Button>
+            </>
+          )}
+
+          {mode === 'setup' && setup && (
+            <form onSubmit={handleEnable} className="space-y-4">
+              <p className="text-sm text-gray-600">
+                Add this account to your authenticator app, then enter the code it shows. On a
+                phone, open the setup link; on a computer, enter the key manually.
+              </p>
+              <div className="p-3 bg-gray-50 border border-gray-200 rounded-lg space-y-2">
+                <div>
+                  <span className="text-xs text-gray-500 block">Setup key</span>
+                  <code className="font-mono text-sm break-all">
+                    {setup.secret.match(/.{1,4}/g)?.join(' ')}
+                  </code>
+                </div>
+                <a
+                  href={setup.otpauthUri}
+                  className="text-sm text-black hover:text-gray-800 font-medium underline"
+                >
+                  Open in authenticator app
+                </a>
+              </div>
+              {codeInput}
+              <div className="flex gap-3">
+                <Button type="submit" isLoading={isSubmitting} disabled={isSubmitting}>
+                  Enable
+                </Button>
+                <Button type="button" variant="ghost" onClick={resetForm}>
+                  Cancel
+                </Button>
+              </div>
+            </form>
+          )}
+
+          {status.enabled && mode === 'idle' && (
+            <>
+              <p className="text-sm text-gray-600">
+                Enabled
+                {status.enabledAt && ` on ${new Date(status.enabledAt).toLocaleDateString()}`}.{' '}
+                {status.recoveryCodesRemaining} recovery code
+                {status.recoveryCodesRemaining === 1 ? '' : 's'} remaining.
+              </p>
+              <div className="flex flex-wrap gap-3">
+                <Button variant="outline" size="sm" onClick={() => setMode('regenerate')}>
+                  New recovery codes
+                </Button>
+                {!status.requiredForRole && (
+                  <Button variant="danger" size="sm" onClick={() => setMode('disable')}>
+                    Turn off
+                  </Button>
+                )}
+              </div>
+            </>
+          )}
+
+          {mode === 'regenerate' && (
+            <form onSubmit={handleRegenerate} className="space-y-4">
+              <p className="text-sm text-gray-600">
+                Your existing recovery codes will stop working.
+              </p>
+              {codeInput}
+              <div className="flex gap-3">
+                <Button type="submit" isLoading={isSubmitting} disabled={isSubmitting}>
+                  Generate codes
+                </Button>
+                <Button type="button" variant="ghost" onClick={resetForm}>
+                  Cancel
+                </Button>
+              </div>
+            </form>
+          )}
+
+          {mode === 'disable' && (
+            <form onSubmit={handleDisable} className="space-y-4">
+              <Input
+                label="Current password"
+                type="password"
+                name="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                required
+                autoComplete="current-password"
+              />
+              {codeInput}
+              <div className="flex gap-3">
+                <Button
+                  type="submit"
+                  variant="danger"
+                  isLoading={isSubmitting}
+                  disabled={isSubmitting}
+                >
+                  Turn off two-factor
+                </Button>
+                <Button type="button" variant="ghost" onClick={resetForm}>
+                  Cancel
+                </Button>
+              </div>
+            </form>
+          )}
+        </div>
+      )}
+    </Card>
+  );
+};
+
+export default TwoFactorSettings;
@@ -6,21 +6,34 @@ import {
   User,
   register as registerApi,
   login as loginApi,
+  verifyTwoFactorLogin as verifyTwoFactorLoginApi,
   logout as logoutApi,
+  deleteAccount as deleteAccountApi,
   getCurrentUser,
   RegisterData,
   LoginData,
+  TwoFactorLoginData,
+  DeleteAccountData,
 } from '@/lib/api/auth.api';
 
+export interface LoginResult {
+  twoFactorRequired: boolean;
+  challengeToken?: string;
+}
+
 interface AuthContextType {
   user: User | null;
   isLoading: boolean;
   isAuthenticated: boolean;
   isAdmin: boolean;
+  isStaff: boolean;
   isCustomer: boolean;
-  login: (data: LoginData) => Promise<void>;
+  hasPermission: (permission: string) => boolean;
+  login: (data: LoginData) => Promise<LoginResult>;
+  completeTwoFactorLogin: (data: TwoFactorLoginData) => Promise<void>;
   register: (data: RegisterData) => Promise<void>;
   logout: () => Promise<void>;
+  deleteAccount: (data: DeleteAccountData) => Promise<void>;
   refreshUser: () => Promise<void>;
 }
 
@@ -84,28 +97,42 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
     initAuth();
   }, [refreshUser]);
 
-  const login = async (data: LoginData) => {
-    try {
-      const response = await loginApi(data);
-      if (response.success) {
-        const { user, accessToken } = response.data;
-        
-        // Store token
-        if (typeof window !== 'undefined') {
-          localStorage.setItem('accessToken', accessToken);
-        }
-        
-        setUser(user);
-        
-        // Redirect based on role (backend uses lowercase 'admin', frontend may expect uppercase)
-        if (user.role === 'ADMIN' || user.role === 'admin') {
-          router.push('/admin');
-        } else {
-          router.push('/');
-        }
-      }
-    } catch (error) {
-      throw error;
+  const completeLogin = (user: User, accessToken: string) => {
+    // Store token
+    if (typeof window !== 'undefined') {
+      localStorage.setItem('accessToken', accessToken);
+    }
+
+    setUser(user);
+
+    // Redirect based on role (backend uses lowercase 'admin', frontend may expect uppercase)
+    if (user.role === 'ADMIN' || user.role === 'admin' || user.role === 'staff') {
+      router.push('/admin');
+    } else {
+      router.push('/');
+    }
+  };
+
+  const login = async (data: LoginData): Promise<LoginResult> => {
+    const response = await loginApi(data);
+    const result = response.data;
+
+    if (response.success && 'twoFactorRequired' in result) {
+      // Password accepted; the caller must collect a second factor
+      return { twoFactorRequired: true, challengeToken: result.challengeToken };
+    }
+
+    if (response.success && 'accessToken' in result) {
+      completeLogin(result.user, result.accessToken);
+    }
+
+    return { twoFactorRequired: false };
+  };
+
+  const completeTwoFactorLogin = async (data: TwoFactorLoginData) => {
+    const response = await verifyTwoFactorLoginApi(data);
+    if (response.success) {
+      completeLogin(response.data.user, response.data.accessToken);
     }
   };
 
@@ -151,15 +178,38 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
     }
   };
 
+  const deleteAccount = async (data: DeleteAccountData) => {
+    // Errors (wrong password, open orders) propagate to the form
+    await deleteAccountApi(data);
+
+    // Sessions are already revoked server-side; just clear local state
+    setUser(null);
+    if (typeof window !== 'undefined') {
+      localStorage.removeItem('accessToken');
+    }
+    router.push('/');
+  };
+
+  const isAdmin = user?.role === 'ADMIN' || user?.role === 'admin';
+
+  // Mirrors the server check; the API still enforces every permission
+  const hasPermission = (permission: string) =>
+    isAdmin || !!user?.permissions?.includes(permission);
+
   const value: AuthContextType = {
     user,
     isLoading,
     isAuthenticated: !!user,
-    isAdmin: user?.role === 'ADMIN' || user?.role === 'admin',
+    isAdmin,
+    // Admins and staff can open the back office
+    isStaff: isAdmin || user?.role === 'staff',
+    hasPermission,
     isCustomer: user?.role === 'CUSTOMER' || user?.role === 'customer',
     login,
+    completeTwoFactorLogin,
     register,
     logout,
+    deleteAccount,
     refreshUser,
   };
 
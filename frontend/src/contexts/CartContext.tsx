@@ -43,7 +43,7 @@ interface CartProviderProps {
 const CART_STORAGE_KEY = 'zyra_cart_cache';
 
 export const CartProvider: React.FC<CartProviderProps> = ({ children }) => {
-  const { isAuthenticated } = useAuth();
+  const { isAuthenticated, isLoading: isAuthLoading } = useAuth();
   const [cart, setCart] = useState<Cart | null>(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
@@ -64,13 +64,8 @@ export const CartProvider: React.FC<CartProviderProps> = ({ children }) => {
     }
   }, []);
 
-  // Fetch cart from API when authenticated
+  // Fetch the account cart, or the guest cart when signed out
   const refreshCart = useCallback(async () => {
-    if (!isAuthenticated) {
-      setIsLoading(false);
-      return;
-    }
-
     try {
       setIsLoading(true);
       setError(null);
@@ -110,21 +105,21 @@ export const CartProvider: React.FC<CartProviderProps> = ({ children }) => {
     } finally {
       setIsLoading(false);
     }
-  }, [isAuthenticated]);
+  }, []);
 
-  // Fetch cart when authentication state changes
+  // Fetch cart once auth has settled and whenever the user signs in or out.
+  // Signing in merges the guest cart into the account cart on the server.
   useEffect(() => {
-    if (isAuthenticated) {
-      refreshCart();
-    } else {
-      // Clear cart when logged out
-      setCart(null);
-      setIsLoading(false);
-      if (typeof window !== 'undefined') {
-        localStorage.removeItem(CART_STORAGE_KEY);
-      }
+    if (isAuthLoading) {
+      return;
     }
-  }, [isAuthenticated, refreshCart]);
+
+    if (!isAuthenticated && typeof window !== 'undefined') {
+      // The account cart stays with the account
+      localStorage.removeItem(CART_STORAGE_KEY);
+    }
+    refreshCart();
+  }, [isAuthenticated, isAuthLoading, refreshCart]);
 
   // Optimistic update helper
   const optimisticUpdate = useCallback((updater: (cart: Cart | null) => Cart | null) => {
@@ -142,10 +137,6 @@ export const CartProvider: React.FC<CartProviderProps> = ({ children }) => {
     quantity: number,
     selectedVariants?: Array<{ variantName: string; optionValue: string }>
   ): Promise<boolean> => {
-    if (!isAuthenticated) {
-      return false;
-    }
-
     setIsUpdating(true);
     setError(null);
 
@@ -173,10 +164,10 @@ export const CartProvider: React.FC<CartProviderProps> = ({ children }) => {
     } finally {
       setIsUpdating(false);
     }
-  }, [isAuthenticated]);
+  }, []);
 
   const updateItemQuantity = useCallback(async (itemId: string, quantity: number): Promise<boolean> => {
-    if (!isAuthenticated || !cart) {
+    if (!cart) {
       return false;
     }
 
@@ -230,10 +221,10 @@ export const CartProvider: React.FC<CartProviderProps> = ({ children }) => {
     } finally {
       setIsUpdating(false);
     }
-  }, [isAuthenticated, cart, optimisticUpdate, refreshCart]);
+  }, [cart, optimisticUpdate, refreshCart]);
 
   const removeItem = useCallback(async (itemId: string): Promise<boolean> => {
-    if (!isAuthenticated || !cart) {
+    if (!cart) {
       return false;
     }
 
@@ -278,13 +269,9 @@ export const CartProvider: React.FC<CartProviderProps> = ({ children }) => {
     } finally {
       setIsUpdating(false);
     }
-  }, [isAuthenticated, cart, optimisticUpdate, refreshCart]);
+  }, [cart, optimisticUpdate, refreshCart]);
 
   const clearCart = useCallback(async (): Promise<boolean> => {
-    if (!isAuthenticated) {
-      return false;
-    }
-
     setIsUpdating(true);
     setError(null);
 
@@ -307,7 +294,7 @@ export const CartProvider: React.FC<CartProviderProps> = ({ children }) => {
     } finally {
       setIsUpdating(false);
     }
-  }, [isAuthenticated]);
+  }, []);
 
   const value: CartContextType = {
     cart,
@@ -0,0 +1,189 @@
+'use client';
+
+import React, { createContext, useContext, useEffect, useState, useCallback } from 'react';
+import { useAuth } from './AuthContext';
+import { useCart } from './CartContext';
+import { useFeature } from '@/hooks/useFeatureToggle';
+import { FEATURE_FLAGS } from '@/config/feature-flags';
+import {
+  getWishlist,
+  addToWishlist as addToWishlistApi,
+  removeWishlistItem as removeWishlistItemApi,
+  moveWishlistItemToCart as moveWishlistItemToCartApi,
+  Wishlist,
+  WishlistItem,
+} from '@/lib/api/wishlist.api';
+
+interface WishlistContextType {
+  wishlist: Wishlist | null;
+  isLoading: boolean;
+  error: string | null;
+  itemCount: number;
+  isInWishlist: (productId: string) => boolean;
+  findItem: (productId: string) => WishlistItem | undefined;
+  addToWishlist: (productId: string, selectedVariants?: Array<{ variantName: string; optionValue: string }>) => Promise<boolean>;
+  removeItem: (itemId: string) => Promise<boolean>;
+  moveToCart: (itemId: string, quantity?: number) => Promise<boolean>;
+  refreshWishlist: () => Promise<void>;
+  isUpdating: boolean;
+}
+
+const WishlistContext = createContext<WishlistContextType | undefined>(undefined);
+
+export const useWishlist = () => {
+  const context = useContext(WishlistContext);
+  if (context === undefined) {
+    throw new Error('useWishlist must be used within a WishlistProvider');
+  }
+  return context;
+};
+
+interface WishlistProviderProps {
+  children: React.ReactNode;
+}
+
+export const WishlistProvider: React.FC<WishlistProviderProps> = ({ children }) => {
+  const { isAuthenticated } = useAuth();
+  const { refreshCart } = useCart();
+  const { enabled: isWishlistEnabled } = useFeature(FEATURE_FLAGS.WISHLIST);
+  const [wishlist, setWishlist] = useState<Wishlist | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [isUpdating, setIsUpdating] = useState(false);
+
+  const refreshWishlist = useCallback(async () => {
+    if (!isAuthenticated || !isWishlistEnabled) {
+      return;
+    }
+
+    try {
+      setIsLoading(true);
+      setError(null);
+      const response = await getWishlist();
+
+      if (response.success) {
+        setWishlist(response.data.wishlist);
+      } else {
+        setError('Failed to load wishlist');
+      }
+    } catch (err: any) {
+      setError(err.response?.data?.error?.message || err.message || 'Failed to load wishlist');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [isAuthenticated, isWishlistEnabled]);
+
+  // Fetch wishlist when authentication state changes
+  useEffect(() => {
+    if (isAuthenticated && isWishlistEnabled) {
+      refreshWishlist();
+    } else {
+      setWishlist(null);
+    }
+  }, [isAuthenticated, isWishlistEnabled, refreshWishlist]);
+
+  const findItem = useCallback(
+    (productId: string) => wishlist?.items.find((item) => item.product?._id === productId),
+    [wishlist]
+  );
+
+  const isInWishlist = useCallback((productId: string) => !!findItem(productId), [findItem]);
+
+  const addToWishlist = useCallback(async (
+    productId: string,
+    selectedVariants?: Array<{ variantName: string; optionValue: string }>
+  ): Promise<boolean> => {
+    if (!isAuthenticated) {
+      return false;
+    }
+
+    setIsUpdating(true);
+    setError(null);
+
+    try {
+      const response = await addToWishlistApi({
+        productId,
+        selectedVariants: selectedVariants || [],
+      });
+
+      if (response.success) {
+        setWishlist(response.data.wishlist);
+        return true;
+      }
+      setError('Failed to add item to wishlist');
+      return false;
+    } catch (err: any) {
+      setError(err.response?.data?.error?.message || err.message || 'Failed to add item to wishlist');
+      return false;
+    } finally {
+      setIsUpdating(false);
+    }
+  }, [isAuthenticated]);
+
+  const removeItem = useCallback(async (itemId: string): Promise<boolean> => {
+    if (!isAuthenticated) {
+      return false;
+    }
+
+    setIsUpdating(true);
+    setError(null);
+
+    try {
+      const response = await removeWishlistItemApi(itemId);
+
+      if (response.success) {
+        setWishlist(response.data.wishlist);
+        return true;
+      }
+      setError('Failed to remove item from wishlist');
+      return false;
+    } catch (err: any) {
+      setError(err.response?.data?.error?.message || err.message || 'Failed to remove item from wishlist');
+      return false;
+    } finally {
+      setIsUpdating(false);
+    }
+  }, [isAuthenticated]);
+
+  const moveToCart = useCallback(async (itemId: string, quantity = 1): Promise<boolean> => {
+    if (!isAuthenticated) {
+      return false;
+    }
+
+    setIsUpdating(true);
+    setError(null);
+
+    try {
+      const response = await moveWishlistItemToCartApi(itemId, quantity);
+
+      if (response.success) {
+        setWishlist(response.data.wishlist);
+        await refreshCart();
+        return true;
+      }
+      setError('Failed to move item to cart');
+      return false;
+    } catch (err: any) {
+      setError(err.response?.data?.error?.message || err.message || 'Failed to move item to cart');
+      return false;
+    } finally {
+      setIsUpdating(false);
+    }
+  }, [isAuthenticated, refreshCart]);
+
+  const value: WishlistContextType = {
+    wishlist,
+    isLoading,
+    error,
+    itemCount: wishlist?.items.length || 0,
+    isInWishlist,
+    findItem,
+    addToWishlist,
+    removeItem,
+    moveToCart,
+    refreshWishlist,
+    isUpdating,
+  };
+
+  return <WishlistContext.Provider value={value}>{children}</WishlistContext.Provider>;
+};
@@ -0,0 +1,58 @@
+/**
+ * Price Display Hook
+ * Shows catalog prices with or without tax, as configured on the server
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { getTaxDisplaySettings, TaxClass, TaxDisplaySettings } from '@/lib/api/tax.api';
+
+// Loaded once per page load and shared by every price on screen
+let settingsPromise: Promise<TaxDisplaySettings | null> | null = null;
+
+const loadSettings = () => {
+  if (!settingsPromise) {
+    settingsPromise = getTaxDisplaySettings()
+      .then((response) => response.data)
+      .catch(() => {
+        settingsPromise = null;
+        return null;
+      });
+  }
+  return settingsPromise;
+};
+
+/**
+ * Hook for showing catalog prices
+ * Prices are stored excluding tax; in inclusive mode the base-address rate
+ * for the product's tax class is added. Falls back to exclusive prices.
+ */
+export const usePriceDisplay = () => {
+  const [settings, setSettings] = useState<TaxDisplaySettings | null>(null);
+
+  useEffect(() => {
+    let isMounted = true;
+    loadSettings().then((result) => {
+      if (isMounted) setSettings(result);
+    });
+    return () => {
+      isMounted = false;
+    };
+  }, []);
+
+  const isInclusive = settings?.priceDisplay === 'inclusive';
+
+  const displayPrice = useCallback(
+    (price: number, taxClass: TaxClass = 'standard') => {
+      if (!settings || !isInclusive) return price;
+      const rate = settings.rates[taxClass] || 0;
+      return Math.round(price * (100 + rate)) / 100;
+    },
+    [settings, isInclusive]
+  );
+
+  return {
+    isInclusive,
+    displayPrice,
+    taxNote: isInclusive ? 'incl. tax' : 'excl. tax',
+  };
+};
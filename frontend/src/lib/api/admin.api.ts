@@ -1,10 +1,136 @@
 import apiClient from './client';
 import { Product, ProductsResponse } from './products.api';
-import { Order, OrdersResponse } from './orders.api';
+import { Order, OrderResponse, OrdersResponse, OrderStatus, TrackingEvent } from './orders.api';
+import { Review, ReviewStatus, ReviewsResponse } from './reviews.api';
+import { LoginEvent, LoginHistoryResponse, SavedAddress } from './auth.api';
 
 // Re-export types for convenience
 export type { Product } from './products.api';
 export type { Order } from './orders.api';
+export type { Review, ReviewStatus } from './reviews.api';
+export type { LoginEvent, LoginFailureReason } from './auth.api';
+
+export interface AdminLoginEvent extends Omit<LoginEvent, 'user'> {
+  user: { _id: string; name: string; email: string; role: string } | null;
+}
+
+export interface AdminLoginHistoryResponse extends Omit<LoginHistoryResponse, 'data'> {
+  data: Omit<LoginHistoryResponse['data'], 'events'> & { events: AdminLoginEvent[] };
+}
+
+export interface CustomerSummary {
+  _id: string;
+  name: string;
+  email: string;
+  phone?: string;
+  isActive: boolean;
+  isEmailVerified: boolean;
+  tags?: string[];
+  lastLogin?: string;
+  createdAt: string;
+  orderCount: number;
+  lifetimeValue: number;
+  lastOrderAt: string | null;
+}
+
+export interface CustomersResponse {
+  success: boolean;
+  data: {
+    customers: CustomerSummary[];
+    pagination: {
+      page: number;
+      limit: number;
+      total: number;
+      pages: number;
+      hasNext: boolean;
+      hasPrev: boolean;
+    };
+  };
+}
+
+export interface CustomerNote {
+  _id: string;
+  body: string;
+  author?: { _id: string; name: string; email: string } | null;
+  createdAt: string;
+}
+
+export interface CustomerDetail {
+  customer: {
+    _id: string;
+    name: string;
+    email: string;
+    phone?: string;
+    isActive: boolean;
+    isEmailVerified: boolean;
+    twoFactorEnabled: boolean;
+    lastLogin?: string;
+    createdAt: string;
+    addresses: SavedAddress[];
+    tags: string[];
+    notes: CustomerNote[];
+  };
+  stats: {
+    orderCount: number;
+    paidOrders: number;
+    lifetimeValue: number;
+    averageOrderValue: number;
+    firstOrderAt: string | null;
+    lastOrderAt: string | null;
+    activeSessions: number;
+  };
+  orders: Array<{
+    _id: string;
+    orderNumber: string;
+    status: Order['status'];
+    payment: { status: Order['payment']['status'] };
+    total: number;
+    itemCount: number;
+    createdAt: string;
+  }>;
+}
+
+export interface Permission {
+  key: string;
+  name: string;
+  description: string;
+  category: string;
+}
+
+export interface StaffRole {
+  _id: string;
+  key: string;
+  name: string;
+  description?: string;
+  permissions: string[];
+  builtIn: boolean;
+  memberCount: number;
+}
+
+export type BackOfficeRole = 'admin' | 'staff' | 'customer';
+
+export interface StaffMember {
+  _id: string;
+  name: string;
+  email: string;
+  role: BackOfficeRole;
+  staffRole?: { _id: string; key: string; name: string } | null;
+  isActive: boolean;
+  lastLogin?: string;
+  twoFactor?: { enabled: boolean };
+  createdAt: string;
+}
+
+export interface RoleInput {
+  name: string;
+  description?: string;
+  permissions: string[];
+}
+
+export interface RoleAssignment {
+  role: BackOfficeRole;
+  staffRole?: string;
+}
 
 export interface DashboardStats {
   totalRevenue: number;
@@ -25,10 +151,34 @@ export interface DashboardStatsResponse {
 }
 
 export interface UpdateOrderStatusData {
-  status: 'pending' | 'processing' | 'shipped' | 'delivered' | 'cancelled';
+  status: OrderStatus;
   adminNotes?: string;
 }
 
+export interface CreateFulfillmentData {
+  // Omit to ship everything not yet shipped
+  items?: Array<{ item: string; quantity: number }>;
+  carrier?: string;
+  // Leave empty to buy a label from the carrier
+  trackingNumber?: string;
+}
+
+export interface RefundOrderData {
+  // Leave everything empty to refund all that is left
+  items?: Array<{ item: string; quantity: number }>;
+  includeShipping?: boolean;
+  // Overrides the amount worked out from the items, or a goodwill amount on its own
+  amount?: number;
+  reason?: string;
+}
+
+export interface TrackingEventData {
+  status: TrackingEvent['status'];
+  description?: string;
+  location?: string;
+  occurredAt?: string;
+}
+
 export interface UpdateShippingData {
   trackingNumber?: string;
   carrier?: string;
@@ -122,6 +272,13 @@ export const getAdminOrders = async (params?: {
   return apiClient.get(url);
 };
 
+/**
+ * Get a single order (admin)
+ */
+export const getAdminOrder = async (id: string): Promise<OrderResponse> => {
+  return apiClient.get(`/admin/orders/${id}`);
+};
+
 /**
  * Update order status (admin)
  */
@@ -148,6 +305,67 @@ export const updateShippingInfo = async (
   return apiClient.put(`/admin/orders/${id}/shipping`, data);
 };
 
+/**
+ * Ship items in a package (admin)
+ */
+export const createFulfillment = async (
+  id: string,
+  data: CreateFulfillmentData
+): Promise<OrderResponse> => {
+  return apiClient.post(`/admin/orders/${id}/fulfillments`, data);
+};
+
+/**
+ * Correct a package's carrier or tracking number (admin)
+ */
+export const updateFulfillment = async (
+  id: string,
+  fulfillmentId: string,
+  data: { carrier?: string; trackingNumber?: string }
+): Promise<OrderResponse> => {
+  return apiClient.put(`/admin/orders/${id}/fulfillments/${fulfillmentId}`, data);
+};
+
+/**
+ * Record a tracking event for a package (admin)
+ */
+export const addTrackingEvent = async (
+  id: string,
+  fulfillmentId: string,
+  data: TrackingEventData
+): Promise<OrderResponse> => {
+  return apiClient.post(`/admin/orders/${id}/fulfillments/${fulfillmentId}/events`, data);
+};
+
+/**
+ * Fetch a package's latest tracking events from the carrier (admin)
+ */
+export const refreshTracking = async (
+  id: string,
+  fulfillmentId: string
+): Promise<OrderResponse> => {
+  return apiClient.post(`/admin/orders/${id}/fulfillments/${fulfillmentId}/refresh`);
+};
+
+/**
+ * Refund items, shipping or an amount of an order (admin)
+ */
+export const refundOrder = async (
+  id: string,
+  data: RefundOrderData
+): Promise<{
+  success: boolean;
+  data: {
+    refundId: string | null;
+    amount: number;
+    paymentStatus: Order['payment']['status'];
+    orderId: string;
+    orderNumber: string;
+  };
+}> => {
+  return apiClient.post(`/payments/refund/${id}`, data);
+};
+
 /**
  * Get inventory status
  */
@@ -173,4 +391,262 @@ export const getInventoryStatus = async (params?: {
   return apiClient.get(url);
 };
 
+/**
+ * Get reviews for moderation (admin)
+ */
+export const getAdminReviews = async (params?: {
+  page?: number;
+  limit?: number;
+  status?: ReviewStatus | 'all';
+  search?: string;
+}): Promise<ReviewsResponse> => {
+  const queryParams = new URLSearchParams();
+  if (params?.page) queryParams.append('page', params.page.toString());
+  if (params?.limit) queryParams.append('limit', params.limit.toString());
+  if (params?.status) queryParams.append('status', params.status);
+  if (params?.search) queryParams.append('search', params.search);
+
+  const queryString = queryParams.toString();
+  const url = `/admin/reviews${queryString ? `?${queryString}` : ''}`;
+
+  return apiClient.get(url);
+};
+
+/**
+ * Moderate a review (admin)
+ */
+export const moderateReview = async (
+  id: string,
+  data: { status: ReviewStatus; moderationNotes?: string }
+): Promise<{
+  success: boolean;
+  data: { review: Review };
+}> => {
+  return apiClient.put(`/admin/reviews/${id}/status`, data);
+};
+
+/**
+ * Moderate reviews in bulk (admin)
+ */
+export const bulkModerateReviews = async (data: {
+  reviewIds: string[];
+  status: ReviewStatus;
+  moderationNotes?: string;
+}): Promise<{
+  success: boolean;
+  data: { matched: number; modified: number; notFound: number };
+}> => {
+  return apiClient.put('/admin/reviews/bulk/status', data);
+};
+
+/**
+ * Post or update merchant reply on a review (admin)
+ */
+export const replyToReview = async (
+  id: string,
+  comment: string
+): Promise<{
+  success: boolean;
+  data: { review: Review };
+}> => {
+  return apiClient.put(`/admin/reviews/${id}/reply`, { comment });
+};
+
+/**
+ * Remove merchant reply from a review (admin)
+ */
+export const deleteReviewReply = async (id: string): Promise<{ success: boolean }> => {
+  return apiClient.delete(`/admin/reviews/${id}/reply`);
+};
+
+/**
+ * Get sign-in activity across all accounts (admin)
+ */
+export const getLoginActivity = async (params?: {
+  page?: number;
+  limit?: number;
+  email?: string;
+  success?: boolean;
+  newDevice?: boolean;
+}): Promise<AdminLoginHistoryResponse> => {
+  const queryParams = new URLSearchParams();
+  if (params?.page) queryParams.append('page', params.page.toString());
+  if (params?.limit) queryParams.append('limit', params.limit.toString());
+  if (params?.email) queryParams.append('email', params.email);
+  if (params?.success !== undefined) queryParams.append('success', String(params.success));
+  if (params?.newDevice !== undefined) queryParams.append('newDevice', String(params.newDevice));
+
+  const queryString = queryParams.toString();
+  const url = `/admin/login-history${queryString ? `?${queryString}` : ''}`;
+
+  return apiClient.get(url);
+};
+
+/**
+ * Get customers (admin)
+ */
+export const getCustomers = async (params?: {
+  page?: number;
+  limit?: number;
+  search?: string;
+  status?: 'active' | 'inactive';
+  tag?: string;
+  sort?: 'newest' | 'oldest' | 'name' | 'lastLogin';
+}): Promise<CustomersResponse> => {
+  const queryParams = new URLSearchParams();
+  if (params?.page) queryParams.append('page', params.page.toString());
+  if (params?.limit) queryParams.append('limit', params.limit.toString());
+  if (params?.search) queryParams.append('search', params.search);
+  if (params?.status) queryParams.append('status', params.status);
+  if (params?.tag) queryParams.append('tag', params.tag);
+  if (params?.sort) queryParams.append('sort', params.sort);
+
+  const queryString = queryParams.toString();
+  const url = `/admin/customers${queryString ? `?${queryString}` : ''}`;
+
+  return apiClient.get(url);
+};
+
+/**
+ * Get customer tags in use (admin)
+ */
+export const getCustomerTags = async (): Promise<{
+  success: boolean;
+  data: { tags: string[] };
+}> => {
+  return apiClient.get('/admin/customers/tags');
+};
 
+/**
+ * Get customer detail (admin)
+ */
+export const getCustomer = async (
+  id: string
+): Promise<{ success: boolean; data: CustomerDetail }> => {
+  return apiClient.get(`/admin/customers/${id}`);
+};
+
+/**
+ * Deactivate or reactivate customer (admin)
+ */
+export const updateCustomerStatus = async (
+  id: string,
+  isActive: boolean
+): Promise<{ success: boolean; data: { customer: { _id: string; isActive: boolean } } }> => {
+  return apiClient.put(`/admin/customers/${id}/status`, { isActive });
+};
+
+/**
+ * Sign customer out of all devices (admin)
+ */
+export const forceLogoutCustomer = async (
+  id: string
+): Promise<{ success: boolean; data: { revoked: number } }> => {
+  return apiClient.post(`/admin/customers/${id}/logout`);
+};
+
+/**
+ * Email customer a password reset link (admin)
+ */
+export const sendCustomerPasswordReset = async (id: string): Promise<{ success: boolean }> => {
+  return apiClient.post(`/admin/customers/${id}/password-reset`);
+};
+
+/**
+ * Add internal customer note (admin)
+ */
+export const addCustomerNote = async (
+  id: string,
+  body: string
+): Promise<{ success: boolean; data: { notes: CustomerNote[] } }> => {
+  return apiClient.post(`/admin/customers/${id}/notes`, { body });
+};
+
+/**
+ * Delete internal customer note (admin)
+ */
+export const deleteCustomerNote = async (
+  id: string,
+  noteId: string
+): Promise<{ success: boolean; data: { notes: CustomerNote[] } }> => {
+  return apiClient.delete(`/admin/customers/${id}/notes/${noteId}`);
+};
+
+/**
+ * Replace customer tags (admin)
+ */
+export const updateCustomerTags = async (
+  id: string,
+  tags: string[]
+): Promise<{ success: boolean; data: { tags: string[] } }> => {
+  return apiClient.put(`/admin/customers/${id}/tags`, { tags });
+};
+
+/**
+ * Get permissions available to staff roles (admin)
+ */
+export const getPermissions = async (): Promise<{
+  success: boolean;
+  data: { permissions: Permission[] };
+}> => {
+  return apiClient.get('/admin/permissions');
+};
+
+/**
+ * Get staff roles (admin)
+ */
+export const getRoles = async (): Promise<{ success: boolean; data: { roles: StaffRole[] } }> => {
+  return apiClient.get('/admin/roles');
+};
+
+/**
+ * Create staff role (admin)
+ */
+export const createRole = async (
+  data: RoleInput
+): Promise<{ success: boolean; data: { role: StaffRole } }> => {
+  return apiClient.post('/admin/roles', data);
+};
+
+/**
+ * Update staff role (admin)
+ */
+export const updateRole = async (
+  id: string,
+  data: Partial<RoleInput>
+): Promise<{ success: boolean; data: { role: StaffRole } }> => {
+  return apiClient.put(`/admin/roles/${id}`, data);
+};
+
+/**
+ * Delete staff role (admin)
+ */
+export const deleteRole = async (id: string): Promise<{ success: boolean }> => {
+  return apiClient.delete(`/admin/roles/${id}`);
+};
+
+/**
+ * Get admin and staff accounts (admin)
+ */
+export const getStaff = async (): Promise<{ success: boolean; data: { staff: StaffMember[] } }> => {
+  return apiClient.get('/admin/staff');
+};
+
+/**
+ * Grant back-office access to an existing account (admin)
+ */
+export const addStaffMember = async (
+  data: RoleAssignment & { email: string }
+): Promise<{ success: boolean; data: { member: StaffMember } }> => {
+  return apiClient.post('/admin/staff', data);
+};
+
+/**
+ * Change or revoke a user's back-office access (admin)
+ */
+export const assignUserRole = async (
+  id: string,
+  data: RoleAssignment
+): Promise<{ success: boolean; data: { member: StaffMember } }> => {
+  return apiClient.put(`/admin/users/${id}/role`, data);
+};
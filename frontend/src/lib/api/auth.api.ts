@@ -4,10 +4,21 @@ export interface User {
   _id: string;
   name: string;
   email: string;
-  role: 'ADMIN' | 'CUSTOMER' | 'admin' | 'customer';
+  role: 'ADMIN' | 'CUSTOMER' | 'admin' | 'staff' | 'customer';
+  staffRole?: {
+    _id: string;
+    key: string;
+    name: string;
+  } | null;
+  // Back-office permissions, e.g. 'orders:read'; empty for customers
+  permissions?: string[];
   phone?: string;
   avatar?: string;
   isEmailVerified: boolean;
+  twoFactor?: {
+    enabled: boolean;
+    enabledAt?: string;
+  };
   createdAt: string;
   updatedAt: string;
 }
@@ -21,6 +32,34 @@ export interface AuthResponse {
   };
 }
 
+export interface TwoFactorChallengeResponse {
+  success: boolean;
+  data: {
+    twoFactorRequired: true;
+    challengeToken: string;
+  };
+}
+
+export type LoginResponse = AuthResponse | TwoFactorChallengeResponse;
+
+export interface TwoFactorLoginData {
+  challengeToken: string;
+  code?: string;
+  recoveryCode?: string;
+}
+
+export interface TwoFactorStatus {
+  enabled: boolean;
+  enabledAt: string | null;
+  recoveryCodesRemaining: number;
+  requiredForRole: boolean;
+}
+
+export interface TwoFactorSetup {
+  secret: string;
+  otpauthUri: string;
+}
+
 export interface RegisterData {
   name: string;
   email: string;
@@ -33,6 +72,78 @@ export interface LoginData {
   password: string;
 }
 
+export interface Session {
+  _id: string;
+  userAgent: string;
+  ip: string;
+  lastUsedAt: string;
+  expiresAt: string;
+  createdAt: string;
+  current: boolean;
+}
+
+export type LoginFailureReason = 'unknown_email' | 'invalid_password' | 'invalid_2fa' | 'locked';
+
+export interface LoginEvent {
+  _id: string;
+  email: string;
+  success: boolean;
+  failureReason?: LoginFailureReason;
+  ip: string;
+  userAgent: string;
+  newDevice: boolean;
+  createdAt: string;
+}
+
+export interface LoginHistoryResponse {
+  success: boolean;
+  data: {
+    events: LoginEvent[];
+    pagination: {
+      page: number;
+      limit: number;
+      total: number;
+      pages: number;
+      hasNext: boolean;
+      hasPrev: boolean;
+    };
+  };
+}
+
+export type AddressType = 'home' | 'work' | 'other';
+
+export interface SavedAddress {
+  _id: string;
+  type: AddressType;
+  name: string;
+  street: string;
+  city: string;
+  state: string;
+  zipCode: string;
+  country: string;
+  phone?: string | null;
+  isDefault: boolean;
+  isDefaultBilling: boolean;
+}
+
+export type AddressInput = Omit<SavedAddress, '_id' | 'isDefault' | 'isDefaultBilling'> & {
+  isDefault?: boolean;
+  isDefaultBilling?: boolean;
+};
+
+export interface AddressesResponse {
+  success: boolean;
+  data: {
+    addresses: SavedAddress[];
+  };
+}
+
+export interface DeleteAccountData {
+  password: string;
+  code?: string;
+  recoveryCode?: string;
+}
+
 export interface RefreshTokenResponse {
   success: boolean;
   data: {
@@ -50,10 +161,17 @@ export const register = async (data: RegisterData): Promise<AuthResponse> => {
 /**
  * Login user
  */
-export const login = async (data: LoginData): Promise<AuthResponse> => {
+export const login = async (data: LoginData): Promise<LoginResponse> => {
   return apiClient.post('/auth/login', data);
 };
 
+/**
+ * Complete login with an authenticator or recovery code
+ */
+export const verifyTwoFactorLogin = async (data: TwoFactorLoginData): Promise<AuthResponse> => {
+  return apiClient.post('/auth/login/2fa', data);
+};
+
 /**
  * Logout user
  */
@@ -81,3 +199,171 @@ export const getCurrentUser = async (): Promise<{
 
 
 
+
+/**
+ * Verify email address with the token from the verification email
+ */
+export const verifyEmail = async (
+  token: string
+): Promise<{ success: boolean; data: { user: User } }> => {
+  return apiClient.post('/auth/verify-email', { token });
+};
+
+/**
+ * Resend email verification link to the current user
+ */
+export const resendVerification = async (): Promise<{ success: boolean; message?: string }> => {
+  return apiClient.post('/auth/resend-verification');
+};
+
+/**
+ * Request a password reset email
+ */
+export const forgotPassword = async (email: string): Promise<{ success: boolean; message?: string }> => {
+  return apiClient.post('/auth/forgot-password', { email });
+};
+
+/**
+ * Reset password with the token from the reset email
+ */
+export const resetPassword = async (
+  token: string,
+  password: string
+): Promise<{ success: boolean; message?: string }> => {
+  return apiClient.post('/auth/reset-password', { token, password });
+};
+
+/**
+ * List signed-in devices for the current user
+ */
+export const getSessions = async (): Promise<{
+  success: boolean;
+  data: { sessions: Session[] };
+}> => {
+  return apiClient.get('/auth/sessions');
+};
+
+/**
+ * Sign out a single device
+ */
+export const revokeSession = async (sessionId: string): Promise<{ success: boolean }> => {
+  return apiClient.delete(`/auth/sessions/${sessionId}`);
+};
+
+/**
+ * Sign out all devices except the current one
+ */
+export const revokeOtherSessions = async (): Promise<{
+  success: boolean;
+  data: { revoked: number };
+}> => {
+  return apiClient.delete('/auth/sessions');
+};
+
+/**
+ * Get two-factor authentication status
+ */
+export const getTwoFactorStatus = async (): Promise<{
+  success: boolean;
+  data: { twoFactor: TwoFactorStatus };
+}> => {
+  return apiClient.get('/auth/2fa');
+};
+
+/**
+ * Start two-factor enrollment
+ */
+export const setupTwoFactor = async (): Promise<{ success: boolean; data: TwoFactorSetup }> => {
+  return apiClient.post('/auth/2fa/setup');
+};
+
+/**
+ * Confirm two-factor enrollment; returns recovery codes to show once
+ */
+export const enableTwoFactor = async (
+  code: string
+): Promise<{ success: boolean; data: { recoveryCodes: string[] } }> => {
+  return apiClient.post('/auth/2fa/enable', { code });
+};
+
+/**
+ * Turn off two-factor authentication
+ */
+export const disableTwoFactor = async (data: {
+  password: string;
+  code?: string;
+  recoveryCode?: string;
+}): Promise<{ success: boolean }> => {
+  return apiClient.post('/auth/2fa/disable', data);
+};
+
+/**
+ * Replace two-factor recovery codes
+ */
+export const regenerateRecoveryCodes = async (
+  code: string
+): Promise<{ success: boolean; data: { recoveryCodes: string[] } }> => {
+  return apiClient.post('/auth/2fa/recovery-codes', { code });
+};
+
+/**
+ * Get recent sign-in attempts on the current account
+ */
+export const getLoginHistory = async (params?: {
+  page?: number;
+  limit?: number;
+}): Promise<LoginHistoryResponse> => {
+  const queryParams = new URLSearchParams();
+  if (params?.page) queryParams.append('page', params.page.toString());
+  if (params?.limit) queryParams.append('limit', params.limit.toString());
+
+  const queryString = queryParams.toString();
+  const url = `/auth/login-history${queryString ? `?${queryString}` : ''}`;
+
+  return apiClient.get(url);
+};
+
+/**
+ * Get saved addresses (defaults first)
+ */
+export const getAddresses = async (): Promise<AddressesResponse> => {
+  return apiClient.get('/auth/me/addresses');
+};
+
+/**
+ * Add address to the address book
+ */
+export const addAddress = async (data: AddressInput): Promise<AddressesResponse> => {
+  return apiClient.post('/auth/me/addresses', data);
+};
+
+/**
+ * Update saved address
+ */
+export const updateAddress = async (
+  addressId: string,
+  data: Partial<AddressInput>
+): Promise<AddressesResponse> => {
+  return apiClient.put(`/auth/me/addresses/${addressId}`, data);
+};
+
+/**
+ * Delete saved address
+ */
+export const deleteAddress = async (addressId: string): Promise<AddressesResponse> => {
+  return apiClient.delete(`/auth/me/addresses/${addressId}`);
+};
+
+/**
+ * Download a copy of the current user's personal data
+ */
+export const exportAccountData = async (format: 'json' | 'zip' = 'json'): Promise<Blob> => {
+  return apiClient.get(`/auth/me/export?format=${format}`, { responseType: 'blob' });
+};
+
+/**
+ * Permanently delete the current user's account
+ */
+export const deleteAccount = async (data: DeleteAccountData): Promise<{ success: boolean }> => {
+  return apiClient.delete('/auth/me', { data });
+};
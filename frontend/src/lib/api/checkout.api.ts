@@ -0,0 +1,87 @@
+import apiClient from './client';
+import { PriceLine } from './orders.api';
+
+export interface ShippingRate {
+  // Pass back as shippingRateId to choose this rate
+  id: string;
+  zone: string;
+  zoneName: string;
+  method: string;
+  name: string;
+  deliveryEstimate: string | null;
+  cost: number;
+}
+
+/**
+ * Server-computed checkout prices; order creation charges exactly these
+ */
+export interface CheckoutQuote {
+  itemCount: number;
+  currency: string;
+  subtotal: number;
+  discount: {
+    amount: number;
+    couponCode: string;
+    discountType: 'percentage' | 'fixed';
+    discountValue: number;
+  } | null;
+  couponError: string | null;
+  loyalty: {
+    pointsRedeemed: number;
+    discountAmount: number;
+  };
+  // Null when nothing ships to the address; shippingError says why
+  shipping: {
+    rateId: string;
+    zone: string;
+    method: string;
+    name: string;
+    cost: number;
+  } | null;
+  shippingRates: ShippingRate[];
+  shippingError: string | null;
+  // Address tax and shipping were worked out for; the store's until one is entered
+  address: {
+    country: string;
+    state?: string;
+    zipCode?: string;
+  };
+  shippingTax: number;
+  tax: number;
+  total: number;
+  giftCards: Array<{
+    code: string;
+    amount: number;
+  }>;
+  giftCardAmount: number;
+  amountDue: number;
+  breakdown: PriceLine[];
+}
+
+export interface CheckoutQuoteData {
+  shippingRateId?: string;
+  couponCode?: string;
+  giftCardCodes?: string[];
+  loyaltyPoints?: number;
+  shippingAddress?: {
+    country: string;
+    state?: string;
+    zipCode?: string;
+  };
+}
+
+export interface CheckoutQuoteResponse {
+  success: boolean;
+  data: {
+    quote: CheckoutQuote;
+  };
+}
+
+/**
+ * Price the current cart for checkout
+ */
+export const getCheckoutQuote = async (
+  data: CheckoutQuoteData
+): Promise<CheckoutQuoteResponse> => {
+  return apiClient.post('/checkout/quote', data);
+};
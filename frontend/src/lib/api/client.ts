@@ -27,6 +27,31 @@ apiClient.interceptors.request.use(
   }
 );
 
+// Refresh tokens rotate on every use, so concurrent 401s must share a single
+// refresh request; replaying the old cookie would revoke the session
+let refreshPromise: Promise<string> | null = null;
+
+const refreshAccessToken = (): Promise<string> => {
+  if (!refreshPromise) {
+    refreshPromise = axios
+      .post(
+        `${config.api.url}/api/${config.api.version}/auth/refresh`,
+        {},
+        { withCredentials: true }
+      )
+      .then((refreshResponse) => {
+        const { accessToken } = refreshResponse.data.data;
+        localStorage.setItem('accessToken', accessToken);
+        return accessToken as string;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
 // Response interceptor - Handle errors globally
 apiClient.interceptors.response.use(
   (response) => {
@@ -41,14 +66,7 @@ apiClient.interceptors.response.use(
 
       try {
         // Try to refresh token
-        const refreshResponse = await axios.post(
-          `${config.api.url}/api/${config.api.version}/auth/refresh`,
-          {},
-          { withCredentials: true }
-        );
-
-        const { accessToken } = refreshResponse.data.data;
-        localStorage.setItem('accessToken', accessToken);
+        const accessToken = await refreshAccessToken();
 
         // Retry original request with new token
         originalRequest.headers.Authorization = `Bearer ${accessToken}`;
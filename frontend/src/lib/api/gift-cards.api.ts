@@ -0,0 +1,162 @@
+import apiClient from './client';
+
+export type GiftCardStatus = 'active' | 'depleted' | 'expired' | 'inactive';
+
+export interface GiftCardTransaction {
+  _id: string;
+  type: 'issue' | 'redeem' | 'restore' | 'adjust' | 'void';
+  amount: number;
+  balanceAfter: number;
+  order?: {
+    _id: string;
+    orderNumber: string;
+  } | string;
+  performedBy?: {
+    _id: string;
+    name: string;
+    email: string;
+  } | string;
+  note?: string;
+  createdAt: string;
+}
+
+export interface GiftCard {
+  _id: string;
+  code: string;
+  maskedCode: string;
+  initialBalance: number;
+  balance: number;
+  currency: string;
+  expiresAt?: string;
+  isActive: boolean;
+  isExpired: boolean;
+  isRedeemable: boolean;
+  recipientEmail?: string;
+  recipientName?: string;
+  note?: string;
+  batchId?: string;
+  issuedBy?: {
+    _id: string;
+    name: string;
+    email: string;
+  };
+  transactions?: GiftCardTransaction[];
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface GiftCardBalance {
+  code: string;
+  balance: number;
+  currency: string;
+  expiresAt: string | null;
+  isRedeemable: boolean;
+}
+
+export interface GiftCardsResponse {
+  success: boolean;
+  data: {
+    giftCards: GiftCard[];
+    pagination: {
+      page: number;
+      limit: number;
+      total: number;
+      pages: number;
+      hasNext: boolean;
+      hasPrev: boolean;
+    };
+  };
+}
+
+export interface IssueGiftCardData {
+  code?: string;
+  initialBalance: number;
+  expiresAt?: string;
+  recipientEmail?: string;
+  recipientName?: string;
+  note?: string;
+}
+
+/**
+ * Check gift card balance
+ */
+export const checkGiftCardBalance = async (
+  code: string
+): Promise<{
+  success: boolean;
+  data: GiftCardBalance;
+}> => {
+  return apiClient.post('/gift-cards/balance', { code });
+};
+
+/**
+ * Get all gift cards (admin)
+ */
+export const getGiftCards = async (params?: {
+  page?: number;
+  limit?: number;
+  status?: GiftCardStatus;
+  batchId?: string;
+  search?: string;
+}): Promise<GiftCardsResponse> => {
+  const queryParams = new URLSearchParams();
+  if (params?.page) queryParams.append('page', params.page.toString());
+  if (params?.limit) queryParams.append('limit', params.limit.toString());
+  if (params?.status) queryParams.append('status', params.status);
+  if (params?.batchId) queryParams.append('batchId', params.batchId);
+  if (params?.search) queryParams.append('search', params.search);
+
+  const queryString = queryParams.toString();
+  const url = `/gift-cards${queryString ? `?${queryString}` : ''}`;
+
+  return apiClient.get(url);
+};
+
+/**
+ * Get gift card with ledger (admin)
+ */
+export const getGiftCard = async (
+  id: string
+): Promise<{
+  success: boolean;
+  data: { giftCard: GiftCard };
+}> => {
+  return apiClient.get(`/gift-cards/${id}`);
+};
+
+/**
+ * Issue a gift card (admin)
+ */
+export const issueGiftCard = async (
+  data: IssueGiftCardData
+): Promise<{
+  success: boolean;
+  data: { giftCard: GiftCard };
+}> => {
+  return apiClient.post('/gift-cards', data);
+};
+
+/**
+ * Issue gift cards in bulk (admin)
+ */
+export const bulkIssueGiftCards = async (
+  data: Omit<IssueGiftCardData, 'code' | 'recipientEmail' | 'recipientName'> & { count: number }
+): Promise<{
+  success: boolean;
+  data: { batchId: string; giftCards: GiftCard[] };
+}> => {
+  return apiClient.post('/gift-cards/bulk', data);
+};
+
+/**
+ * Activate or deactivate a gift card (admin)
+ */
+export const updateGiftCardStatus = async (
+  id: string,
+  data: { isActive: boolean; note?: string }
+): Promise<{
+  success: boolean;
+  data: { giftCard: GiftCard };
+}> => {
+  return apiClient.put(`/gift-cards/${id}/status`, data);
+};
@@ -0,0 +1,86 @@
+import apiClient from './client';
+
+export type LoyaltyTransactionType =
+  | 'earn'
+  | 'redeem'
+  | 'clawback'
+  | 'restore'
+  | 'expire'
+  | 'adjust';
+
+export interface LoyaltyProgram {
+  earnRate: number;
+  redemptionRate: number;
+  expiryDays: number;
+  minRedemptionPoints: number;
+}
+
+export interface LoyaltyAccount {
+  balance: number;
+  lifetimeEarned: number;
+  lifetimeRedeemed: number;
+  pointsValue: number;
+  nextExpiry: {
+    points: number;
+    expiresAt: string;
+  } | null;
+  program: LoyaltyProgram;
+}
+
+export interface LoyaltyTransaction {
+  _id: string;
+  type: LoyaltyTransactionType;
+  points: number;
+  balanceAfter: number;
+  order?: {
+    _id: string;
+    orderNumber: string;
+  };
+  description?: string;
+  expiresAt?: string;
+  createdAt: string;
+}
+
+export interface LoyaltyTransactionsResponse {
+  success: boolean;
+  data: {
+    transactions: LoyaltyTransaction[];
+    pagination: {
+      page: number;
+      limit: number;
+      total: number;
+      pages: number;
+      hasNext: boolean;
+      hasPrev: boolean;
+    };
+  };
+}
+
+/**
+ * Get points balance and program settings
+ */
+export const getLoyaltyAccount = async (): Promise<{
+  success: boolean;
+  data: { account: LoyaltyAccount };
+}> => {
+  return apiClient.get('/loyalty');
+};
+
+/**
+ * Get points history
+ */
+export const getLoyaltyTransactions = async (params?: {
+  page?: number;
+  limit?: number;
+  type?: LoyaltyTransactionType;
+}): Promise<LoyaltyTransactionsResponse> => {
+  const queryParams = new URLSearchParams();
+  if (params?.page) queryParams.append('page', params.page.toString());
+  if (params?.limit) queryParams.append('limit', params.limit.toString());
+  if (params?.type) queryParams.append('type', params.type);
+
+  const queryString = queryParams.toString();
+  const url = `/loyalty/transactions${queryString ? `?${queryString}` : ''}`;
+
+  return apiClient.get(url);
+};
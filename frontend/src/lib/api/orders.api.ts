@@ -1,6 +1,16 @@
 import apiClient from './client';
 
+export type OrderStatus =
+  | 'pending'
+  | 'processing'
+  | 'partially_shipped'
+  | 'shipped'
+  | 'partially_delivered'
+  | 'delivered'
+  | 'cancelled';
+
 export interface OrderItem {
+  _id: string;
   product: {
     _id: string;
     name: string;
@@ -15,16 +25,100 @@ export interface OrderItem {
     optionValue: string;
   }>;
   subtotal: number;
+  taxClass?: 'standard' | 'reduced' | 'exempt';
+  discount?: number; // Share of the order discount
+  taxRate?: number; // Percentage charged on this line
+  tax?: number;
+}
+
+/**
+ * Carrier scan stored on a package, oldest first
+ */
+export interface TrackingEvent {
+  status:
+    | 'label_created'
+    | 'in_transit'
+    | 'out_for_delivery'
+    | 'delivered'
+    | 'exception'
+    | 'returned';
+  description?: string;
+  location?: string;
+  occurredAt: string;
+  eventId?: string;
+}
+
+/**
+ * One package of an order
+ */
+export interface Fulfillment {
+  _id: string;
+  items: Array<{
+    item: string; // _id of the line in Order.items
+    quantity: number;
+  }>;
+  carrier?: string;
+  trackingNumber?: string;
+  labelUrl?: string;
+  status: 'shipped' | 'delivered';
+  trackingEvents: TrackingEvent[];
+  lastTrackedAt?: string;
+  shippedAt: string;
+  deliveredAt?: string;
+}
+
+export type PaymentStatus =
+  | 'pending'
+  | 'paid'
+  | 'failed'
+  | 'partially_refunded'
+  | 'refunded'
+  | 'cancelled';
+
+/**
+ * Money paid back on an order
+ * Goodwill refunds and refunds made at the payment gateway have no items.
+ */
+export interface Refund {
+  _id: string;
+  items: Array<{
+    item: string; // _id of the line in Order.items
+    quantity: number;
+    subtotal?: number;
+    discount?: number;
+    tax?: number;
+  }>;
+  shipping: number; // Shipping cost and its tax
+  amount: number;
+  gatewayAmount: number;
+  giftCardAmount: number;
+  refundId?: string;
+  reason?: string;
+  return?: string;
+  createdAt: string;
+}
+
+/**
+ * One line of the server-computed price breakdown
+ * Discounts and gift cards carry negative amounts.
+ */
+export interface PriceLine {
+  type: 'subtotal' | 'coupon' | 'loyalty' | 'shipping' | 'tax' | 'gift_card';
+  label: string;
+  amount: number;
 }
 
 export interface Order {
   _id: string;
   orderNumber: string;
+  // null for guest checkouts
   user: {
     _id: string;
     name: string;
     email: string;
-  };
+  } | null;
+  // Contact email captured at guest checkout
+  email?: string;
   items: OrderItem[];
   shippingAddress: {
     name: string;
@@ -46,23 +140,43 @@ export interface Order {
   };
   payment: {
     method: string;
-    status: 'pending' | 'paid' | 'failed' | 'refunded' | 'cancelled';
+    status: PaymentStatus;
     transactionId?: string;
     amount: number;
     currency: string;
     paidAt?: string;
+    refundedAt?: string;
   };
   shipping: {
+    rateId?: string;
     method: string;
+    name?: string; // Method name at checkout; older orders only have method
     cost: number;
-    trackingNumber?: string;
-    carrier?: string;
   };
-  status: 'pending' | 'processing' | 'shipped' | 'delivered' | 'cancelled';
+  fulfillments?: Fulfillment[];
+  status: OrderStatus;
   subtotal: number;
-  tax: number;
+  tax: number; // Item tax plus shippingTax
+  shippingTax?: number;
   shippingCost: number;
   total: number;
+  refunds?: Refund[];
+  // Total minus this is what the customer has paid net
+  refundedAmount?: number;
+  giftCards?: Array<{
+    giftCard: string;
+    code: string;
+    amount: number;
+    restoredAt?: string;
+  }>;
+  giftCardAmount?: number;
+  loyalty?: {
+    pointsRedeemed: number;
+    discountAmount: number;
+    pointsEarned: number;
+  };
+  // Absent on orders placed before checkout pricing moved to the server
+  priceBreakdown?: PriceLine[];
   notes?: string;
   paidAt?: string;
   processingAt?: string;
@@ -113,10 +227,74 @@ export interface CreateOrderData {
     country: string;
     phone: string;
   };
-  shippingMethod: string;
+  shippingRateId: string;
+  couponCode?: string;
+  giftCardCodes?: string[];
+  loyaltyPoints?: number;
+  saveAddress?: boolean;
+  notes?: string;
+  // Required for guest checkout
+  email?: string;
+}
+
+/**
+ * Read-only order view behind a signed status link
+ */
+export interface OrderStatusView {
+  orderNumber: string;
+  status: Order['status'];
+  items: Array<{
+    name: string;
+    image?: string;
+    price: number;
+    quantity: number;
+    selectedVariants?: Array<{
+      variantName: string;
+      optionValue: string;
+    }>;
+    subtotal: number;
+  }>;
+  shipping: {
+    method: string;
+    name: string | null;
+  };
+  packages: Array<{
+    status: Fulfillment['status'];
+    carrier: string | null;
+    trackingNumber: string | null;
+    trackingEvents: TrackingEvent[];
+    shippedAt: string;
+    deliveredAt?: string;
+    items: Array<{
+      name: string;
+      image?: string;
+      quantity: number;
+    }>;
+  }>;
+  // Items not in any package yet
+  unshipped: Array<{
+    name: string;
+    image?: string;
+    quantity: number;
+  }>;
+  subtotal: number;
   shippingCost: number;
   tax: number;
-  notes?: string;
+  total: number;
+  createdAt: string;
+  paidAt?: string;
+  processingAt?: string;
+  shippedAt?: string;
+  deliveredAt?: string;
+  cancelledAt?: string;
+}
+
+export interface OrderLookupResponse {
+  success: boolean;
+  data: {
+    url: string;
+    expiresAt: string;
+  };
 }
 
 /**
@@ -159,6 +337,21 @@ export const cancelOrder = async (id: string, reason?: string): Promise<OrderRes
   return apiClient.post(`/orders/${id}/cancel`, { reason });
 };
 
+/**
+ * Find an order by number and email; returns a signed status link
+ */
+export const lookupOrder = async (data: {
+  orderNumber: string;
+  email: string;
+}): Promise<OrderLookupResponse> => {
+  return apiClient.post('/orders/lookup', data);
+};
 
-
-
+/**
+ * Get order status from a signed status link token
+ */
+export const getOrderStatus = async (
+  token: string
+): Promise<{ success: boolean; data: { order: OrderStatusView } }> => {
+  return apiClient.get(`/orders/status/${encodeURIComponent(token)}`);
+};
@@ -1,12 +1,14 @@
 import apiClient from './client';
+import { TaxClass } from './tax.api';
 
 export interface Product {
   _id: string;
   name: string;
   slug: string;
   description: string;
-  price: number;
+  price: number; // Excluding tax
   compareAtPrice?: number;
+  taxClass?: TaxClass;
   category: {
     _id: string;
     name: string;
@@ -67,7 +69,7 @@ export interface ProductsQueryParams {
   search?: string;
   minPrice?: number;
   maxPrice?: number;
-  sort?: 'price_asc' | 'price_desc' | 'name_asc' | 'name_desc' | 'newest';
+  sort?: 'price_asc' | 'price_desc' | 'name_asc' | 'name_desc' | 'newest' | 'rating';
   inStock?: boolean;
   featured?: boolean;
   status?: 'active' | 'inactive' | 'draft';
@@ -0,0 +1,262 @@
+import apiClient from './client';
+import { CloudinarySignatureResponse } from './cloudinary.api';
+
+export type ReturnStatus = 'requested' | 'approved' | 'received' | 'refunded' | 'rejected';
+
+export type ReturnReason =
+  | 'damaged'
+  | 'defective'
+  | 'wrong_item'
+  | 'not_as_described'
+  | 'no_longer_needed'
+  | 'other';
+
+export type ReturnDisposition = 'restock' | 'write_off';
+
+export interface ReturnItem {
+  item: string;
+  product: string;
+  name: string;
+  image?: string;
+  selectedVariants?: {
+    variantName: string;
+    optionValue: string;
+  }[];
+  quantity: number;
+  reason: ReturnReason;
+  disposition?: ReturnDisposition;
+}
+
+export interface ReturnPhoto {
+  url: string;
+  publicId?: string;
+}
+
+export interface Return {
+  _id: string;
+  returnNumber: string;
+  order: {
+    _id: string;
+    orderNumber: string;
+    total?: number;
+    payment?: {
+      status: string;
+      method: string;
+    };
+  };
+  user: {
+    _id: string;
+    name: string;
+    email: string;
+  } | string;
+  items: ReturnItem[];
+  comment?: string;
+  photos: ReturnPhoto[];
+  status: ReturnStatus;
+  rejectionReason?: string;
+  adminNotes?: string;
+  refund?: {
+    amount: number;
+    refundId?: string;
+  };
+  approvedAt?: string;
+  receivedAt?: string;
+  refundedAt?: string;
+  rejectedAt?: string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface ReturnableItem {
+  item: string;
+  name: string;
+  image?: string;
+  selectedVariants?: {
+    variantName: string;
+    optionValue: string;
+  }[];
+  price: number;
+  quantity: number;
+}
+
+export interface ReturnsResponse {
+  success: boolean;
+  data: {
+    returns: Return[];
+    pagination: {
+      page: number;
+      limit: number;
+      total: number;
+      pages: number;
+    };
+  };
+}
+
+export interface CreateReturnData {
+  orderId: string;
+  items: {
+    item: string;
+    quantity: number;
+    reason: ReturnReason;
+  }[];
+  comment?: string;
+  photos?: ReturnPhoto[];
+}
+
+export const RETURN_REASON_LABELS: Record<ReturnReason, string> = {
+  damaged: 'Arrived damaged',
+  defective: 'Defective or not working',
+  wrong_item: 'Wrong item sent',
+  not_as_described: 'Not as described',
+  no_longer_needed: 'No longer needed',
+  other: 'Other',
+};
+
+export const RETURN_STATUS_LABELS: Record<ReturnStatus, string> = {
+  requested: 'Requested',
+  approved: 'Approved',
+  received: 'Received',
+  refunded: 'Refunded',
+  rejected: 'Rejected',
+};
+
+/**
+ * Get the items of an order that can still be returned
+ */
+export const getReturnableItems = async (
+  orderId: string
+): Promise<{
+  success: boolean;
+  data: {
+    orderId: string;
+    orderNumber: string;
+    deadline: string | null;
+    items: ReturnableItem[];
+  };
+}> => {
+  return apiClient.get(`/returns/returnable/${orderId}`);
+};
+
+/**
+ * Request a return
+ */
+export const createReturn = async (
+  data: CreateReturnData
+): Promise<{
+  success: boolean;
+  data: { return: Return };
+}> => {
+  return apiClient.post('/returns', data);
+};
+
+/**
+ * Get current user's returns
+ */
+export const getMyReturns = async (params?: {
+  page?: number;
+  limit?: number;
+}): Promise<ReturnsResponse> => {
+  const queryParams = new URLSearchParams();
+  if (params?.page) queryParams.append('page', params.page.toString());
+  if (params?.limit) queryParams.append('limit', params.limit.toString());
+
+  const queryString = queryParams.toString();
+  const url = `/returns/mine${queryString ? `?${queryString}` : ''}`;
+
+  return apiClient.get(url);
+};
+
+/**
+ * Get single return
+ */
+export const getReturn = async (
+  id: string
+): Promise<{
+  success: boolean;
+  data: { return: Return };
+}> => {
+  return apiClient.get(`/returns/${id}`);
+};
+
+/**
+ * Get upload signature for return photos
+ */
+export const getReturnPhotoSignature = async (): Promise<CloudinarySignatureResponse> => {
+  return apiClient.post('/cloudinary/signature/returns');
+};
+
+/**
+ * Get all returns (admin)
+ */
+export const getReturns = async (params?: {
+  page?: number;
+  limit?: number;
+  status?: ReturnStatus;
+  search?: string;
+}): Promise<ReturnsResponse> => {
+  const queryParams = new URLSearchParams();
+  if (params?.page) queryParams.append('page', params.page.toString());
+  if (params?.limit) queryParams.append('limit', params.limit.toString());
+  if (params?.status) queryParams.append('status', params.status);
+  if (params?.search) queryParams.append('search', params.search);
+
+  const queryString = queryParams.toString();
+  const url = `/returns${queryString ? `?${queryString}` : ''}`;
+
+  return apiClient.get(url);
+};
+
+/**
+ * Approve a return (admin)
+ */
+export const approveReturn = async (
+  id: string,
+  data: { adminNotes?: string } = {}
+): Promise<{
+  success: boolean;
+  data: { return: Return };
+}> => {
+  return apiClient.post(`/returns/${id}/approve`, data);
+};
+
+/**
+ * Reject a return (admin)
+ */
+export const rejectReturn = async (
+  id: string,
+  data: { reason: string; adminNotes?: string }
+): Promise<{
+  success: boolean;
+  data: { return: Return };
+}> => {
+  return apiClient.post(`/returns/${id}/reject`, data);
+};
+
+/**
+ * Mark a return received, restocking or writing off each item (admin)
+ */
+export const receiveReturn = async (
+  id: string,
+  data: {
+    items: { item: string; disposition: ReturnDisposition }[];
+    adminNotes?: string;
+  }
+): Promise<{
+  success: boolean;
+  data: { return: Return };
+}> => {
+  return apiClient.post(`/returns/${id}/receive`, data);
+};
+
+/**
+ * Refund a received return (admin)
+ */
+export const refundReturn = async (
+  id: string,
+  data: { amount?: number } = {}
+): Promise<{
+  success: boolean;
+  data: { return: Return };
+}> => {
+  return apiClient.post(`/returns/${id}/refund`, data);
+};
@@ -0,0 +1,151 @@
+import apiClient from './client';
+
+export type ReviewStatus = 'pending' | 'approved' | 'rejected' | 'spam';
+
+export interface Review {
+  _id: string;
+  product:
+    | string
+    | {
+        _id: string;
+        name: string;
+        slug: string;
+        images?: Array<{ url: string; alt?: string; isPrimary: boolean }>;
+      };
+  user: {
+    _id: string;
+    name: string;
+    email?: string;
+    avatar?: string;
+  };
+  rating: number;
+  title?: string;
+  comment?: string;
+  images: Array<{
+    url: string;
+    publicId?: string;
+  }>;
+  verifiedPurchase: boolean;
+  helpful: {
+    count: number;
+  };
+  votedHelpful?: boolean;
+  merchantReply?: {
+    comment: string;
+    repliedAt: string;
+    repliedBy?: {
+      _id: string;
+      name: string;
+      email: string;
+    };
+  };
+  status: ReviewStatus;
+  moderatedBy?: {
+    _id: string;
+    name: string;
+    email: string;
+  };
+  moderatedAt?: string;
+  moderationNotes?: string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface ReviewsResponse {
+  success: boolean;
+  data: {
+    reviews: Review[];
+    pagination: {
+      page: number;
+      limit: number;
+      total: number;
+      pages: number;
+      hasNext: boolean;
+      hasPrev: boolean;
+    };
+  };
+}
+
+export interface ReviewResponse {
+  success: boolean;
+  data: {
+    review: Review;
+  };
+}
+
+export interface ReviewsQueryParams {
+  page?: number;
+  limit?: number;
+  sort?: 'newest' | 'helpful' | 'rating';
+  rating?: number;
+}
+
+export interface ReviewData {
+  rating: number;
+  title?: string;
+  comment?: string;
+  images?: Array<{ url: string; publicId?: string }>;
+}
+
+/**
+ * Get approved reviews for a product
+ */
+export const getProductReviews = async (
+  productId: string,
+  params?: ReviewsQueryParams
+): Promise<ReviewsResponse> => {
+  const queryParams = new URLSearchParams();
+  if (params?.page) queryParams.append('page', params.page.toString());
+  if (params?.limit) queryParams.append('limit', params.limit.toString());
+  if (params?.sort) queryParams.append('sort', params.sort);
+  if (params?.rating) queryParams.append('rating', params.rating.toString());
+
+  const queryString = queryParams.toString();
+  const url = `/products/${productId}/reviews${queryString ? `?${queryString}` : ''}`;
+
+  return apiClient.get(url);
+};
+
+/**
+ * Create review for a product
+ */
+export const createReview = async (
+  productId: string,
+  data: ReviewData
+): Promise<ReviewResponse> => {
+  return apiClient.post(`/products/${productId}/reviews`, data);
+};
+
+/**
+ * Update own review
+ */
+export const updateReview = async (
+  productId: string,
+  reviewId: string,
+  data: Partial<ReviewData>
+): Promise<ReviewResponse> => {
+  return apiClient.put(`/products/${productId}/reviews/${reviewId}`, data);
+};
+
+/**
+ * Delete review
+ */
+export const deleteReview = async (
+  productId: string,
+  reviewId: string
+): Promise<{ success: boolean }> => {
+  return apiClient.delete(`/products/${productId}/reviews/${reviewId}`);
+};
+
+/**
+ * Toggle helpful vote on a review
+ */
+export const toggleReviewHelpful = async (
+  productId: string,
+  reviewId: string
+): Promise<{
+  success: boolean;
+  data: { helpfulCount: number; votedHelpful: boolean };
+}> => {
+  return apiClient.post(`/products/${productId}/reviews/${reviewId}/helpful`);
+};
@@ -0,0 +1,114 @@
+import apiClient from './client';
+
+export type TaxClass = 'standard' | 'reduced' | 'exempt';
+
+export interface TaxRate {
+  _id: string;
+  name: string;
+  country: string;
+  state: string;
+  zipPrefix: string;
+  taxClass: Exclude<TaxClass, 'exempt'>;
+  rate: number; // Percentage
+  isCompound: boolean;
+  appliesToShipping: boolean;
+  isActive: boolean;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export type TaxRateData = Omit<TaxRate, '_id' | 'createdAt' | 'updatedAt'>;
+
+export interface TaxDisplaySettings {
+  priceDisplay: 'inclusive' | 'exclusive';
+  // Combined percentage per class at the store's base address
+  rates: Record<TaxClass, number>;
+}
+
+export interface TaxRatesResponse {
+  success: boolean;
+  data: {
+    taxRates: TaxRate[];
+    pagination: {
+      page: number;
+      limit: number;
+      total: number;
+      pages: number;
+      hasNext: boolean;
+      hasPrev: boolean;
+    };
+  };
+}
+
+export interface TaxRateResponse {
+  success: boolean;
+  data: {
+    taxRate: TaxRate;
+  };
+}
+
+export interface TaxImportResponse {
+  success: boolean;
+  data: {
+    created: number;
+    updated: number;
+    deleted: number;
+  };
+}
+
+/**
+ * Get how the storefront shows prices
+ */
+export const getTaxDisplaySettings = async (): Promise<{
+  success: boolean;
+  data: TaxDisplaySettings;
+}> => {
+  return apiClient.get('/tax/display');
+};
+
+/**
+ * Get tax rates (admin)
+ */
+export const getTaxRates = async (params?: {
+  page?: number;
+  limit?: number;
+  country?: string;
+  taxClass?: string;
+  search?: string;
+}): Promise<TaxRatesResponse> => {
+  return apiClient.get('/tax/rates', { params });
+};
+
+/**
+ * Create a tax rate (admin)
+ */
+export const createTaxRate = async (data: TaxRateData): Promise<TaxRateResponse> => {
+  return apiClient.post('/tax/rates', data);
+};
+
+/**
+ * Update a tax rate (admin)
+ */
+export const updateTaxRate = async (
+  id: string,
+  data: Partial<TaxRateData>
+): Promise<TaxRateResponse> => {
+  return apiClient.put(`/tax/rates/${id}`, data);
+};
+
+/**
+ * Delete a tax rate (admin)
+ */
+export const deleteTaxRate = async (id: string): Promise<{ success: boolean }> => {
+  return apiClient.delete(`/tax/rates/${id}`);
+};
+
+/**
+ * Import tax rates from CSV text (admin)
+ */
+export const importTaxRates = async (
+  csv: string,
+  replace = false
+): Promise<TaxImportResponse> => {
+  return apiClient.post('/tax/rates/import', { csv, replace });
+};
@@ -0,0 +1,91 @@
+import apiClient from './client';
+import { Cart } from './cart.api';
+
+export interface WishlistItem {
+  _id: string;
+  product: {
+    _id: string;
+    name: string;
+    slug: string;
+    price: number;
+    compareAtPrice?: number;
+    status: string;
+    stock: number;
+    images?: Array<{
+      url: string;
+      alt?: string;
+      isPrimary?: boolean;
+    }>;
+  };
+  selectedVariants: Array<{
+    variantName: string;
+    optionValue: string;
+  }>;
+  addedAt: string;
+}
+
+export interface Wishlist {
+  _id: string;
+  user: string;
+  items: WishlistItem[];
+  itemCount: number;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface WishlistResponse {
+  success: boolean;
+  data: {
+    wishlist: Wishlist;
+  };
+}
+
+/**
+ * Get user's wishlist
+ */
+export const getWishlist = async (): Promise<WishlistResponse> => {
+  return apiClient.get('/wishlist');
+};
+
+/**
+ * Add item to wishlist
+ */
+export const addToWishlist = async (data: {
+  productId: string;
+  selectedVariants?: Array<{
+    variantName: string;
+    optionValue: string;
+  }>;
+}): Promise<WishlistResponse> => {
+  return apiClient.post('/wishlist/items', data);
+};
+
+/**
+ * Remove item from wishlist
+ */
+export const removeWishlistItem = async (itemId: string): Promise<WishlistResponse> => {
+  return apiClient.delete(`/wishlist/items/${itemId}`);
+};
+
+/**
+ * Move wishlist item to cart
+ */
+export const moveWishlistItemToCart = async (
+  itemId: string,
+  quantity = 1
+): Promise<{
+  success: boolean;
+  data: {
+    cart: Cart;
+    wishlist: Wishlist;
+  };
+}> => {
+  return apiClient.post(`/wishlist/items/${itemId}/move-to-cart`, { quantity });
+};
+
+/**
+ * Clear wishlist
+ */
+export const clearWishlist = async (): Promise<WishlistResponse> => {
+  return apiClient.delete('/wishlist');
+};
@@ -12,6 +12,38 @@ export function formatCurrency(amount: number, currency: string = 'USD'): string
   }).format(amount);
 }
 
+/**
+ * Turn a user agent string into a short "Browser on OS" label
+ */
+export function describeDevice(userAgent?: string): string {
+  if (!userAgent) return 'Unknown device';
 
+  const browsers: [string, string][] = [
+    ['Edg/', 'Edge'],
+    ['OPR/', 'Opera'],
+    ['Chrome/', 'Chrome'],
+    ['Firefox/', 'Firefox'],
+    ['Safari/', 'Safari'],
+  ];
+  const systems: [string, string][] = [
+    ['iPhone', 'iPhone'],
+    ['iPad', 'iPad'],
+    ['Android', 'Android'],
+    ['Windows', 'Windows'],
+    ['Mac OS X', 'macOS'],
+    ['Linux', 'Linux'],
+  ];
 
+  const browser = browsers.find(([token]) => userAgent.includes(token))?.[1] || 'Browser';
+  const os = systems.find(([token]) => userAgent.includes(token))?.[1] || 'unknown OS';
 
+  return `${browser} on ${os}`;
+}
+
+/**
+ * Order status for display, e.g. "partially_shipped" -> "Partially shipped"
+ */
+export function formatOrderStatus(status: string): string {
+  const label = status.replace(/_/g, ' ');
+  return label.charAt(0).toUpperCase() + label.slice(1);
+}